@@ -20,21 +20,37 @@ const returnRoutes = require('./routes/returnRoutes');
 const companyProfileRoutes = require('./routes/companyProfileRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
 const userRoutes = require('./routes/userRoutes');
-// const productModelRoutes = require('./routes/productModelRoutes');
-// const bulkStockRoutes = require('./routes/bulkStockRoutes');
+const productModelRoutes = require('./routes/productModelRoutes');
+const bulkStockRoutes = require('./routes/bulkStockRoutes');
+const locationRoutes = require('./routes/locationRoutes');
+const stockTransferRoutes = require('./routes/stockTransferRoutes');
 const preorderRoutes = require('./routes/preorderRoutes');
-// const warrantyRoutes = require('./routes/warrantyRoutes');
-// const repairRoutes = require('./routes/repairRoutes');
+const warrantyRoutes = require('./routes/warrantyRoutes');
+const repairRoutes = require('./routes/repairRoutes');
 const reportRoutes = require('./routes/reportRoutes');
 const storefrontRoutes = require('./routes/storefrontRoutes');
 const stockTakeRoutes = require('./routes/stockTakeRoutes');
 const conditionStatusRoutes = require('./routes/conditionStatusRoutes');
+const taxRuleRoutes = require('./routes/taxRuleRoutes');
 const assetUnitRoutes = require('./routes/assetUnitRoutes');
+const assetImageRoutes = require('./routes/assetImageRoutes');
 const writeOffRoutes = require('./routes/writeOffRoutes');
 const expenseRoutes = require('./routes/expenseRoutes');
 const expenseCategoryRoutes = require('./routes/expenseCategoryRoutes');
 const financialReportRoutes = require('./routes/financialReportRoutes');
 const sourcingRoutes = require('./routes/sourcingRoutes');
+const purchaseOrderRoutes = require('./routes/purchaseOrderRoutes');
+const supplierRoutes = require('./routes/supplierRoutes');
+const supplierBillRoutes = require('./routes/supplierBillRoutes');
+const installmentPlanRoutes = require('./routes/installmentPlanRoutes');
+const quotationRoutes = require('./routes/quotationRoutes');
+const posRoutes = require('./routes/posRoutes');
+const cashDrawerRoutes = require('./routes/cashDrawerRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const promotionRoutes = require('./routes/promotionRoutes');
+const ledgerRoutes = require('./routes/ledgerRoutes');
+const accountingExportRoutes = require('./routes/accountingExportRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
 
 const app = express();
 
@@ -91,21 +107,37 @@ app.use(`${API_BASE}/returns`, returnRoutes);
 app.use(`${API_BASE}/company-profile`, companyProfileRoutes);
 app.use(`${API_BASE}/payments`, paymentRoutes);
 app.use(`${API_BASE}/users`, userRoutes);
-// app.use(`${API_BASE}/product-models`, productModelRoutes);
-// app.use(`${API_BASE}/bulk-stock`, bulkStockRoutes);
+app.use(`${API_BASE}/product-models`, productModelRoutes);
+app.use(`${API_BASE}/bulk-stock`, bulkStockRoutes);
+app.use(`${API_BASE}/locations`, locationRoutes);
+app.use(`${API_BASE}/stock-transfers`, stockTransferRoutes);
 app.use(`${API_BASE}/preorders`, preorderRoutes);
-// app.use(`${API_BASE}/warranties`, warrantyRoutes);
-// app.use(`${API_BASE}/repair-tickets`, repairRoutes);
+app.use(`${API_BASE}/warranties`, warrantyRoutes);
+app.use(`${API_BASE}/repair-tickets`, repairRoutes);
 app.use(`${API_BASE}/reports`, reportRoutes);
 app.use(`${API_BASE}/storefront`, storefrontRoutes);
 app.use(`${API_BASE}/stock-takes`, stockTakeRoutes);
 app.use(`${API_BASE}/condition-statuses`, conditionStatusRoutes);
+app.use(`${API_BASE}/tax-rules`, taxRuleRoutes);
 app.use(`${API_BASE}/assets/:assetId/units`, assetUnitRoutes);
+app.use(`${API_BASE}/assets/:assetId/images`, assetImageRoutes);
 app.use(`${API_BASE}/write-offs`, writeOffRoutes);
 app.use(`${API_BASE}/expenses`, expenseRoutes);
 app.use(`${API_BASE}/expense-categories`, expenseCategoryRoutes);
 app.use(`${API_BASE}/financial-reports`, financialReportRoutes);
 app.use(`${API_BASE}/sourcing`, sourcingRoutes);
+app.use(`${API_BASE}/purchase-orders`, purchaseOrderRoutes);
+app.use(`${API_BASE}/suppliers`, supplierRoutes);
+app.use(`${API_BASE}/supplier-bills`, supplierBillRoutes);
+app.use(`${API_BASE}/installment-plans`, installmentPlanRoutes);
+app.use(`${API_BASE}/quotations`, quotationRoutes);
+app.use(`${API_BASE}/pos`, posRoutes);
+app.use(`${API_BASE}/cash-drawers`, cashDrawerRoutes);
+app.use(`${API_BASE}/webhooks`, webhookRoutes);
+app.use(`${API_BASE}/promotions`, promotionRoutes);
+app.use(`${API_BASE}/ledger`, ledgerRoutes);
+app.use(`${API_BASE}/accounting-exports`, accountingExportRoutes);
+app.use(`${API_BASE}/notifications`, notificationRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -0,0 +1,246 @@
+/**
+ * Accounting Export Controller
+ *
+ * Month-by-month journal exports for QuickBooks and Xero, and the account
+ * mapping they use (Admin only). See services/accountingExportService.js
+ * for what is exported and how re-exports stay idempotent.
+ */
+
+const { AccountingExportBatch, AccountingExportRecord, AccountingExportMapping, ExpenseCategory, InvoicePayment, User, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const exportService = require('../services/accountingExportService');
+const { isValidPeriod } = require('../services/ledgerService');
+
+// ─── Mappings ───
+
+/**
+ * GET /api/v1/accounting-exports/mappings
+ * Saved mappings, plus what each key resolves to (saved or default)
+ */
+exports.listMappings = asyncHandler(async (req, res) => {
+  const [mappings, categories] = await Promise.all([
+    AccountingExportMapping.findAll({ order: [['mapping_type', 'ASC'], ['mapping_key', 'ASC']] }),
+    ExpenseCategory.findAll({ attributes: ['id', 'name'], order: [['sort_order', 'ASC'], ['name', 'ASC']] })
+  ]);
+  const accounts = exportService.accountResolver(mappings);
+
+  res.json({
+    success: true,
+    data: {
+      mappings,
+      resolved: {
+        account: Object.keys(exportService.ACCOUNT_ROLES).map(key => ({ key, ...accounts.role(key) })),
+        payment_method: InvoicePayment.PAYMENT_METHODS.map(key => ({ key, ...accounts.paymentMethod(key) })),
+        expense_category: categories.map(c => ({ key: String(c.id), label: c.name, ...accounts.expenseCategory(c.id) }))
+      }
+    }
+  });
+});
+
+/**
+ * PUT /api/v1/accounting-exports/mappings
+ * Save mappings: { mappings: [{ mapping_type, mapping_key, account_code, account_name }] }.
+ * An empty account_code removes that mapping (back to the default).
+ */
+exports.saveMappings = asyncHandler(async (req, res) => {
+  const { mappings } = req.body;
+  if (!Array.isArray(mappings) || mappings.length === 0) {
+    throw new AppError('mappings must be a non-empty array', 400, 'VALIDATION_ERROR');
+  }
+
+  const rows = mappings.map(m => {
+    const type = m.mapping_type;
+    const key = String(m.mapping_key ?? '').trim();
+    if (!exportService.MAPPING_TYPES.includes(type)) {
+      throw new AppError(`mapping_type must be one of: ${exportService.MAPPING_TYPES.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+    if (!key) {
+      throw new AppError('mapping_key is required', 400, 'VALIDATION_ERROR');
+    }
+    if (type === 'account' && !exportService.ACCOUNT_ROLES[key]) {
+      throw new AppError(`Unknown account role ${key}. Use one of: ${Object.keys(exportService.ACCOUNT_ROLES).join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+    if (type === 'payment_method' && !InvoicePayment.PAYMENT_METHODS.includes(key)) {
+      throw new AppError(`Unknown payment method ${key}`, 400, 'VALIDATION_ERROR');
+    }
+    return {
+      mapping_type: type,
+      mapping_key: key,
+      account_code: String(m.account_code ?? '').trim().substring(0, 30),
+      account_name: String(m.account_name ?? '').trim().substring(0, 150) || null
+    };
+  });
+
+  const t = await sequelize.transaction();
+  try {
+    for (const row of rows) {
+      const existing = await AccountingExportMapping.findOne({
+        where: { mapping_type: row.mapping_type, mapping_key: row.mapping_key },
+        transaction: t
+      });
+      if (!row.account_code) {
+        if (existing) await existing.destroy({ transaction: t });
+      } else if (existing) {
+        await existing.update({ account_code: row.account_code, account_name: row.account_name, updated_by: req.user.id }, { transaction: t });
+      } else {
+        await AccountingExportMapping.create({ ...row, updated_by: req.user.id }, { transaction: t });
+      }
+    }
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  const saved = await AccountingExportMapping.findAll({ order: [['mapping_type', 'ASC'], ['mapping_key', 'ASC']] });
+  res.json({
+    success: true,
+    data: { mappings: saved }
+  });
+});
+
+// ─── Batches ───
+
+/**
+ * GET /api/v1/accounting-exports
+ * Batches, newest first. ?target=, ?period=
+ */
+exports.list = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  const where = {};
+  if (req.query.target) where.target = req.query.target;
+  if (req.query.period) where.period = req.query.period;
+
+  const { count, rows } = await AccountingExportBatch.findAndCountAll({
+    where,
+    include: [
+      { model: User, as: 'creator', attributes: ['id', 'full_name'] },
+      { model: User, as: 'voidedBy', attributes: ['id', 'full_name'] }
+    ],
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  res.json({
+    success: true,
+    data: {
+      batches: rows,
+      pagination: { total: count, page, limit, totalPages: Math.ceil(count / limit) }
+    }
+  });
+});
+
+/**
+ * POST /api/v1/accounting-exports
+ * Export a month: { target, period: 'YYYY-MM' }. Only records that are new
+ * or changed since earlier batches for the same target are included; when
+ * there are none, no batch is created.
+ */
+exports.create = asyncHandler(async (req, res) => {
+  const { target, period } = req.body;
+  if (!exportService.TARGETS.includes(target)) {
+    throw new AppError(`target must be one of: ${exportService.TARGETS.join(', ')}`, 400, 'VALIDATION_ERROR', { target: 'Invalid target' });
+  }
+  if (!isValidPeriod(period)) {
+    throw new AppError('period must be YYYY-MM', 400, 'VALIDATION_ERROR', { period: 'period must be YYYY-MM' });
+  }
+
+  const batch = await exportService.createBatch({ target, period, userId: req.user.id });
+  if (!batch) {
+    return res.json({
+      success: true,
+      data: { batch: null },
+      message: `Everything in ${period} has already been exported to ${target}`
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: { batch }
+  });
+});
+
+/**
+ * GET /api/v1/accounting-exports/:id
+ * A batch with the records it included
+ */
+exports.getById = asyncHandler(async (req, res) => {
+  const batch = await AccountingExportBatch.findByPk(req.params.id, {
+    include: [
+      { model: AccountingExportRecord, as: 'records' },
+      { model: User, as: 'creator', attributes: ['id', 'full_name'] },
+      { model: User, as: 'voidedBy', attributes: ['id', 'full_name'] }
+    ],
+    order: [[{ model: AccountingExportRecord, as: 'records' }, 'id', 'ASC']]
+  });
+  if (!batch) {
+    throw new AppError('Export batch not found', 404, 'NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: { batch }
+  });
+});
+
+/**
+ * GET /api/v1/accounting-exports/:id/download
+ * The batch file, rebuilt from its records
+ */
+exports.download = asyncHandler(async (req, res) => {
+  const batch = await AccountingExportBatch.findByPk(req.params.id);
+  if (!batch) {
+    throw new AppError('Export batch not found', 404, 'NOT_FOUND');
+  }
+
+  const records = await AccountingExportRecord.findAll({
+    where: { batch_id: batch.id },
+    order: [['id', 'ASC']]
+  });
+  const { content, extension, contentType } = exportService.renderBatch(batch.target, records);
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${batch.target}-${batch.period}-${batch.id}.${extension}"`);
+  res.send(content);
+});
+
+/**
+ * POST /api/v1/accounting-exports/:id/void
+ * Mark a batch as not imported (e.g. the import failed) so its records are
+ * exported again next time
+ */
+exports.void = asyncHandler(async (req, res) => {
+  const batch = await AccountingExportBatch.findByPk(req.params.id);
+  if (!batch) {
+    throw new AppError('Export batch not found', 404, 'NOT_FOUND');
+  }
+  if (batch.voided_at) {
+    throw new AppError('This batch is already voided', 409, 'ALREADY_VOIDED');
+  }
+
+  // Later batches for the target may reverse or re-send what this one sent
+  const later = await AccountingExportBatch.count({
+    where: {
+      target: batch.target,
+      voided_at: null,
+      id: { [Op.gt]: batch.id }
+    }
+  });
+  if (later > 0) {
+    throw new AppError('Void the later batches for this target first', 409, 'LATER_BATCHES');
+  }
+
+  await batch.update({
+    voided_at: new Date(),
+    voided_by: req.user.id,
+    void_reason: req.body.reason ? String(req.body.reason).trim() : null
+  });
+
+  res.json({
+    success: true,
+    data: { batch }
+  });
+});
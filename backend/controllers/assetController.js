@@ -1,10 +1,12 @@
-const { Asset, AssetUnit, User, InventoryItemEvent, ConditionStatus, ActivityLog, sequelize } = require('../models');
+const { Asset, AssetUnit, AssetImage, User, InventoryItemEvent, ConditionStatus, ActivityLog, StockMovement, ProductModel, Location, LocationStock, sequelize } = require('../models');
 const { Op } = require('sequelize');
 const { generateAssetTag } = require('../utils/assetTagGenerator');
-const { getReservedQuantity } = require('../services/inventoryAvailabilityService');
+const { getReservedQuantity, assetsAtLocationSql } = require('../services/inventoryAvailabilityService');
 const { validationResult } = require('express-validator');
 const { getValuationSummary } = require('../services/valuationService');
 const { sanitizeAssetForRole, canSeeCost } = require('../middleware/permissions');
+const { REPAIR_STATES, REPAIR_STATE_LABELS, resolveRepairConditions, applyRepairState } = require('../services/repairStateService');
+const { removeImageFiles } = require('../services/productImageService');
 
 // Async handler wrapper
 const asyncHandler = handler => (req, res, next) => {
@@ -25,6 +27,8 @@ exports.list = asyncHandler(async (req, res) => {
     status,
     condition,
     make,
+    productModelId,
+    locationId,
     repairState,
     sortBy: rawSortBy = 'created_at',
     sortOrder: rawSortOrder = 'DESC'
@@ -92,6 +96,15 @@ exports.list = asyncHandler(async (req, res) => {
       where.make = { [Op.or]: makes.map(m => ({ [Op.iLike]: `%${m}%` })) };
     }
   }
+  if (productModelId) {
+    where.product_model_id = productModelId === 'none' ? null : productModelId;
+  }
+  // Only products with sellable stock at the location
+  let locationSql = null;
+  if (locationId) {
+    locationSql = sequelize.escape(parseInt(locationId, 10) || 0);
+    where.id = { [Op.in]: sequelize.literal(assetsAtLocationSql(locationSql)) };
+  }
   if (repairState) {
     const labelToValue = { 'Under Repair': 'under_repair', 'Salvage / Parts': 'salvage_parts', 'Regular': 'regular' };
     const states = repairState.split(',').map(s => labelToValue[s.trim()] || s.trim()).filter(Boolean);
@@ -152,6 +165,21 @@ exports.list = asyncHandler(async (req, res) => {
     }
   };
 
+  if (locationSql) {
+    queryOpts.attributes.include.push([
+      sequelize.literal(`(
+        CASE WHEN "Asset"."is_serialized" = true THEN
+          (SELECT COUNT(*) FROM asset_units au
+           WHERE au.asset_id = "Asset"."id" AND au.location_id = ${locationSql} AND au.status = 'Available')
+        ELSE
+          (SELECT COALESCE(SUM(ls.quantity), 0) FROM location_stocks ls
+           WHERE ls.asset_id = "Asset"."id" AND ls.location_id = ${locationSql})
+        END
+      )`),
+      'location_quantity'
+    ]);
+  }
+
   const { count, rows } = await Asset.findAndCountAll(queryOpts);
 
   // For assets matched via unit SN, fetch ALL their units so frontend can show full hierarchy
@@ -209,7 +237,8 @@ exports.getById = asyncHandler(async (req, res) => {
     { model: User, as: 'creator', attributes: ['id', 'full_name', 'email'] },
     { model: User, as: 'updater', attributes: ['id', 'full_name', 'email'] },
     { model: User, as: 'repairUpdater', attributes: ['id', 'full_name'] },
-    { model: ConditionStatus, as: 'conditionStatus', attributes: ['id', 'name', 'color', 'valuation_rule'] }
+    { model: ConditionStatus, as: 'conditionStatus', attributes: ['id', 'name', 'color', 'valuation_rule'] },
+    { model: ProductModel, as: 'productModel', attributes: ['id', 'make', 'model', 'category', 'asset_type'] }
   ];
 
   const asset = await Asset.findByPk(id, { include: includeArr });
@@ -230,12 +259,15 @@ exports.getById = asyncHandler(async (req, res) => {
   if (asset.is_serialized) {
     const units = await AssetUnit.findAll({
       where: { asset_id: id },
-      include: [{ model: ConditionStatus, as: 'conditionStatus', attributes: ['id', 'name', 'color'] }],
+      include: [
+        { model: ConditionStatus, as: 'conditionStatus', attributes: ['id', 'name', 'color'] },
+        { model: Location, as: 'location', attributes: ['id', 'code', 'name'] }
+      ],
       order: [['created_at', 'DESC']]
     });
 
     // Compute unit summary counts
-    const unitSummary = { total: 0, available: 0, reserved: 0, sold: 0, in_repair: 0, scrapped: 0 };
+    const unitSummary = { total: 0, available: 0, reserved: 0, sold: 0, in_repair: 0, in_transit: 0, scrapped: 0 };
     for (const u of units) {
       unitSummary.total++;
       switch (u.status) {
@@ -243,6 +275,7 @@ exports.getById = asyncHandler(async (req, res) => {
         case 'Reserved': unitSummary.reserved++; break;
         case 'Sold': unitSummary.sold++; break;
         case 'In Repair': unitSummary.in_repair++; break;
+        case 'In Transit': unitSummary.in_transit++; break;
         case 'Scrapped': unitSummary.scrapped++; break;
         case 'Written Off': unitSummary.written_off++; break;
       }
@@ -258,6 +291,13 @@ exports.getById = asyncHandler(async (req, res) => {
       return uData;
     });
     data.unit_summary = unitSummary;
+  } else {
+    // Where the bulk quantity is
+    data.location_stock = await LocationStock.findAll({
+      where: { asset_id: id, quantity: { [Op.gt]: 0 } },
+      include: [{ model: Location, as: 'location', attributes: ['id', 'code', 'name'] }],
+      order: [['quantity', 'DESC']]
+    });
   }
 
   res.json({
@@ -298,11 +338,43 @@ exports.create = asyncHandler(async (req, res) => {
     assetData.quantity = 0;
   }
 
+  // Linked to a catalog model: fill blank specs and price from the catalog
+  if (assetData.product_model_id) {
+    const productModel = await ProductModel.findByPk(assetData.product_model_id);
+    if (!productModel) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_PRODUCT_MODEL',
+          message: 'Product model not found'
+        }
+      });
+    }
+    productModel.applyDefaults(assetData);
+  }
+
+  // Opening stock goes to the default location unless one is given
+  const locationId = req.body.location_id || null;
+  if (locationId && !(await Location.findOne({ where: { id: locationId, is_active: true } }))) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_LOCATION',
+        message: 'Location not found or inactive'
+      }
+    });
+  }
+
   const asset = await Asset.create(assetData);
 
   // Log creation event
   await InventoryItemEvent.logCreated(asset, req.user?.id);
 
+  // Start the bulk stock ledger at the initial quantity
+  if (!asset.is_serialized) {
+    await StockMovement.recordOpeningBalance(asset, req.user?.id, null, locationId);
+  }
+
   res.status(201).json({
     success: true,
     data: { asset },
@@ -346,8 +418,22 @@ exports.update = asyncHandler(async (req, res) => {
   delete updateData.id;
   updateData.updated_by = req.user?.id;
 
+  if (updateData.product_model_id === '') updateData.product_model_id = null;
+  if (updateData.product_model_id) {
+    const productModel = await ProductModel.findByPk(updateData.product_model_id);
+    if (!productModel) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_PRODUCT_MODEL',
+          message: 'Product model not found'
+        }
+      });
+    }
+  }
+
   // Capture before values for logging
-  const trackableFields = ['status', 'condition', 'price', 'cost', 'make', 'model', 'serial_number', 'specs', 'category', 'asset_type'];
+  const trackableFields = ['status', 'condition', 'price', 'cost', 'make', 'model', 'serial_number', 'specs', 'category', 'asset_type', 'product_model_id'];
   const beforeValues = {};
   const afterValues = {};
   const changedFields = [];
@@ -875,12 +961,19 @@ exports.permanentDelete = asyncHandler(async (req, res) => {
     });
   }
 
+  const images = await AssetImage.findAll({
+    where: { asset_id: { [Op.in]: foundIds } },
+    attributes: ['storage_key', 'thumbnail_key']
+  });
+
   // Permanently delete (force: true bypasses paranoid)
   const deletedCount = await Asset.destroy({
     where: { id: { [Op.in]: foundIds } },
     force: true // Permanent delete
   });
 
+  removeImageFiles(images);
+
   res.json({
     success: true,
     data: {
@@ -1164,12 +1257,6 @@ exports.importUnits = asyncHandler(async (req, res) => {
 // Repair / Salvage workflow
 // ---------------------------------------------------------------------------
 
-const REPAIR_STATE_LABELS = {
-  regular: 'Regular',
-  under_repair: 'Under Repair',
-  salvage_parts: 'Salvage / Parts'
-};
-
 /**
  * GET /api/v1/assets/repair-units
  * List all units in repair/salvage, grouped by product (asset).
@@ -1325,7 +1412,7 @@ exports.updateRepairState = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { repair_state, repair_notes, unit_ids } = req.body;
 
-  if (!['regular', 'under_repair', 'salvage_parts'].includes(repair_state)) {
+  if (!REPAIR_STATES.includes(repair_state)) {
     return res.status(400).json({
       success: false,
       error: { code: 'INVALID_STATE', message: 'repair_state must be regular, under_repair, or salvage_parts' }
@@ -1343,25 +1430,8 @@ exports.updateRepairState = asyncHandler(async (req, res) => {
   }
 
   // Resolve condition statuses for valuation mapping
-  const [needsRepairCond, partsOnlyCond, defaultCond] = await Promise.all([
-    ConditionStatus.findOne({ where: { name: 'Needs Repair' } }),
-    ConditionStatus.findOne({ where: { name: 'Parts Only' } }),
-    ConditionStatus.findOne({ where: { is_default: true } })
-  ]);
-
-  const conditionMap = {
-    under_repair: needsRepairCond?.id || null,
-    salvage_parts: partsOnlyCond?.id || null,
-    regular: null // will use previous or default
-  };
-
-  // Helper to append a note entry to a JSONB array
-  const appendNote = (existing, text, userName, userId) => {
-    if (!text) return existing;
-    const arr = Array.isArray(existing) ? [...existing] : [];
-    arr.push({ text, author: userName || 'Unknown', author_id: userId, timestamp: new Date().toISOString() });
-    return arr;
-  };
+  const conditions = await resolveRepairConditions();
+  const { conditionMap, defaultConditionId } = conditions;
 
   const transaction = await sequelize.transaction();
   try {
@@ -1377,26 +1447,9 @@ exports.updateRepairState = asyncHandler(async (req, res) => {
       });
 
       for (const unit of units) {
-        const oldState = unit.repair_state;
-        if (oldState === repair_state) continue;
+        if (unit.repair_state === repair_state) continue;
 
-        // Store previous condition when entering repair/salvage
-        if (repair_state !== 'regular' && oldState === 'regular') {
-          unit.previous_condition_status_id = unit.condition_status_id;
-        }
-
-        // Update condition status for valuation
-        if (repair_state === 'regular') {
-          unit.condition_status_id = unit.previous_condition_status_id || defaultCond?.id || null;
-          unit.previous_condition_status_id = null;
-        } else {
-          unit.condition_status_id = conditionMap[repair_state];
-        }
-
-        unit.repair_state = repair_state;
-        if (repair_notes) unit.repair_notes = appendNote(unit.repair_notes, repair_notes, userName, userId);
-        unit.repair_updated_at = now;
-        unit.repair_updated_by = userId;
+        applyRepairState(unit, repair_state, conditions, { note: repair_notes, userId, userName });
         await unit.save({ transaction });
       }
 
@@ -1418,21 +1471,7 @@ exports.updateRepairState = asyncHandler(async (req, res) => {
       // Asset-level repair state change
       const oldState = asset.repair_state || 'regular';
 
-      if (repair_state !== 'regular' && oldState === 'regular') {
-        asset.previous_condition_status_id = asset.condition_status_id;
-      }
-
-      if (repair_state === 'regular') {
-        asset.condition_status_id = asset.previous_condition_status_id || defaultCond?.id || null;
-        asset.previous_condition_status_id = null;
-      } else {
-        asset.condition_status_id = conditionMap[repair_state];
-      }
-
-      asset.repair_state = repair_state;
-      if (repair_notes) asset.repair_notes = appendNote(asset.repair_notes, repair_notes, userName, userId);
-      asset.repair_updated_at = now;
-      asset.repair_updated_by = userId;
+      applyRepairState(asset, repair_state, conditions, { note: repair_notes, userId, userName });
       await asset.save({ transaction });
 
       // Also update all non-Sold units if serialized
@@ -1451,7 +1490,7 @@ exports.updateRepairState = asyncHandler(async (req, res) => {
             transaction
           });
           for (const unit of units) {
-            unit.condition_status_id = unit.previous_condition_status_id || defaultCond?.id || null;
+            unit.condition_status_id = unit.previous_condition_status_id || defaultConditionId;
             unit.previous_condition_status_id = null;
             Object.assign(unit, unitUpdate);
             await unit.save({ transaction });
@@ -1579,7 +1618,12 @@ exports.reconcileQuantities = asyncHandler(async (req, res) => {
       });
 
       if (apply) {
-        await sequelize.query('UPDATE assets SET quantity = $1 WHERE id = $2', { bind: [correctQty, row.id] });
+        const asset = await Asset.findByPk(row.id);
+        await StockMovement.record(asset, correctQty - asset.quantity, 'count_correction', {
+          referenceType: 'reconcile',
+          notes: `Quantity reconciled from stock take count of ${lastCount} less ${soldAfter} sold since`,
+          userId: req.user?.id
+        });
       }
     }
   }
@@ -0,0 +1,283 @@
+/**
+ * Asset Image Controller
+ *
+ * Storefront photos for a product (Asset), optionally of one unit.
+ *
+ * - Upload re-encodes each file and generates a thumbnail; see
+ *   services/productImageService.js.
+ * - Product photos and each unit's photos are ordered separately, and each
+ *   group has one primary image. The first photo uploaded to a group
+ *   becomes its primary; deleting the primary promotes the next one.
+ * - Files are served publicly from GET /storefront/images/:filename.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { Asset, AssetUnit, AssetImage, sequelize } = require('../models');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const {
+  IMAGES_DIR,
+  ALLOWED_MIME_TYPES,
+  ALLOWED_EXTENSIONS,
+  MAX_FILE_SIZE,
+  MAX_FILES_PER_UPLOAD,
+  processImage,
+  generateStorageKeys,
+  sortImages,
+  formatImage,
+  removeImageFiles
+} = require('../services/productImageService');
+
+// Relative to the API host, like company logo URLs
+const IMAGE_BASE_URL = '/api/v1/storefront/images';
+
+if (!fs.existsSync(IMAGES_DIR)) {
+  fs.mkdirSync(IMAGES_DIR, { recursive: true });
+}
+
+// Kept in memory: only the re-encoded image and thumbnail are written out
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_FILES_PER_UPLOAD
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype) && ALLOWED_EXTENSIONS.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new AppError('Only JPG, PNG and WebP images are allowed', 400, 'INVALID_FILE_TYPE'));
+    }
+  }
+});
+
+function uploadImages(req, res, next) {
+  upload.array('images', MAX_FILES_PER_UPLOAD)(req, res, err => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Each image must be under ${MAX_FILE_SIZE / (1024 * 1024)}MB`
+        : err.code === 'LIMIT_FILE_COUNT'
+          ? `Upload at most ${MAX_FILES_PER_UPLOAD} images at a time`
+          : err.message;
+      return next(new AppError(message, 400, err.code));
+    }
+    next(err);
+  });
+}
+
+async function loadAsset(assetId) {
+  const asset = await Asset.findByPk(assetId, { attributes: ['id', 'asset_tag', 'make', 'model'] });
+  if (!asset) {
+    throw new AppError('Product not found', 404, 'NOT_FOUND');
+  }
+  return asset;
+}
+
+async function resolveUnitId(assetId, unitId) {
+  if (unitId === undefined || unitId === null || unitId === '') return null;
+  const unit = await AssetUnit.findOne({ where: { id: unitId, asset_id: assetId }, attributes: ['id'] });
+  if (!unit) {
+    throw new AppError('Unit not found on this product', 400, 'INVALID_UNIT', { asset_unit_id: 'Not a unit of this product' });
+  }
+  return unit.id;
+}
+
+async function loadImage(assetId, imageId, transaction = null) {
+  const image = await AssetImage.findOne({ where: { id: imageId, asset_id: assetId }, transaction });
+  if (!image) {
+    throw new AppError('Image not found', 404, 'NOT_FOUND');
+  }
+  return image;
+}
+
+function groupWhere(image) {
+  return { asset_id: image.asset_id, asset_unit_id: image.asset_unit_id || null };
+}
+
+async function listImages(assetId) {
+  const images = await AssetImage.findAll({ where: { asset_id: assetId } });
+  const byGroup = { product: [], units: {} };
+  for (const image of sortImages(images)) {
+    const formatted = { ...formatImage(image, IMAGE_BASE_URL), sort_order: image.sort_order, original_file_name: image.original_file_name };
+    if (image.asset_unit_id) {
+      (byGroup.units[image.asset_unit_id] = byGroup.units[image.asset_unit_id] || []).push(formatted);
+    } else {
+      byGroup.product.push(formatted);
+    }
+  }
+  return byGroup;
+}
+
+/**
+ * GET /api/v1/assets/:assetId/images
+ * Product photos, and unit photos keyed by unit id
+ */
+exports.list = asyncHandler(async (req, res) => {
+  await loadAsset(req.params.assetId);
+
+  res.json({ success: true, data: await listImages(req.params.assetId) });
+});
+
+/**
+ * POST /api/v1/assets/:assetId/images
+ * multipart/form-data: images[] (up to 10), asset_unit_id?, alt_text?
+ */
+exports.upload = [
+  uploadImages,
+  asyncHandler(async (req, res) => {
+    const asset = await loadAsset(req.params.assetId);
+    if (!req.files || req.files.length === 0) {
+      throw new AppError('No images uploaded', 400, 'NO_FILE');
+    }
+    const unitId = await resolveUnitId(asset.id, req.body.asset_unit_id);
+    const altText = req.body.alt_text ? String(req.body.alt_text).trim().slice(0, 255) : null;
+
+    // Re-encode everything first so one bad file rejects the whole upload
+    const processed = [];
+    for (const file of req.files) {
+      try {
+        processed.push({ file, ...(await processImage(file.buffer)) });
+      } catch (err) {
+        throw new AppError(`${file.originalname} could not be read as an image`, 400, 'INVALID_IMAGE');
+      }
+    }
+
+    const written = [];
+    const t = await sequelize.transaction();
+    try {
+      const where = { asset_id: asset.id, asset_unit_id: unitId };
+      const existing = await AssetImage.findAll({ where, attributes: ['sort_order', 'is_primary'], transaction: t, lock: true });
+      let nextOrder = existing.reduce((max, image) => Math.max(max, image.sort_order + 1), 0);
+      let needsPrimary = !existing.some(image => image.is_primary);
+
+      for (const { file, image, thumbnail, width, height } of processed) {
+        const keys = generateStorageKeys();
+        fs.writeFileSync(path.join(IMAGES_DIR, keys.storage_key), image);
+        fs.writeFileSync(path.join(IMAGES_DIR, keys.thumbnail_key), thumbnail);
+        written.push(keys);
+
+        await AssetImage.create({
+          ...where,
+          ...keys,
+          mime_type: 'image/jpeg',
+          original_file_name: file.originalname,
+          width,
+          height,
+          file_size: image.length,
+          alt_text: altText,
+          sort_order: nextOrder++,
+          is_primary: needsPrimary,
+          image_data: image.toString('base64'),
+          thumbnail_data: thumbnail.toString('base64'),
+          uploaded_by: req.user.id
+        }, { transaction: t });
+        needsPrimary = false;
+      }
+
+      await t.commit();
+    } catch (err) {
+      if (!t.finished) await t.rollback();
+      removeImageFiles(written);
+      throw err;
+    }
+
+    res.status(201).json({
+      success: true,
+      data: await listImages(asset.id),
+      message: `${processed.length} image(s) uploaded`
+    });
+  })
+];
+
+/**
+ * PUT /api/v1/assets/:assetId/images/reorder
+ * Body: { image_ids: [...] } — every image of one group, in display order
+ */
+exports.reorder = asyncHandler(async (req, res) => {
+  const asset = await loadAsset(req.params.assetId);
+  const ids = Array.isArray(req.body.image_ids) ? req.body.image_ids.map(id => parseInt(id, 10)) : [];
+  if (ids.length === 0) {
+    throw new AppError('image_ids is required', 400, 'VALIDATION_ERROR', { image_ids: 'Required' });
+  }
+
+  const t = await sequelize.transaction();
+  try {
+    const first = await loadImage(asset.id, ids[0], t);
+    const group = await AssetImage.findAll({ where: groupWhere(first), transaction: t, lock: true });
+    const groupIds = group.map(image => image.id).sort((a, b) => a - b);
+    if (groupIds.length !== ids.length || [...ids].sort((a, b) => a - b).some((id, i) => id !== groupIds[i])) {
+      throw new AppError('image_ids must list every image of the product, or of one unit, exactly once', 400, 'VALIDATION_ERROR', { image_ids: 'Incomplete or mixed list' });
+    }
+
+    for (const image of group) {
+      await image.update({ sort_order: ids.indexOf(image.id) }, { transaction: t });
+    }
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  res.json({ success: true, data: await listImages(asset.id) });
+});
+
+/**
+ * PUT /api/v1/assets/:assetId/images/:imageId
+ * Body: { alt_text?, is_primary? } — is_primary: true makes it the group's primary
+ */
+exports.update = asyncHandler(async (req, res) => {
+  const asset = await loadAsset(req.params.assetId);
+  const { alt_text, is_primary } = req.body;
+
+  const t = await sequelize.transaction();
+  try {
+    const image = await loadImage(asset.id, req.params.imageId, t);
+
+    if (alt_text !== undefined) {
+      image.alt_text = alt_text ? String(alt_text).trim().slice(0, 255) : null;
+    }
+    if (is_primary === true && !image.is_primary) {
+      await AssetImage.update({ is_primary: false }, { where: groupWhere(image), transaction: t });
+      image.is_primary = true;
+    }
+    await image.save({ transaction: t });
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  res.json({ success: true, data: await listImages(asset.id) });
+});
+
+/**
+ * DELETE /api/v1/assets/:assetId/images/:imageId
+ */
+exports.remove = asyncHandler(async (req, res) => {
+  const asset = await loadAsset(req.params.assetId);
+
+  const t = await sequelize.transaction();
+  let image;
+  try {
+    image = await loadImage(asset.id, req.params.imageId, t);
+    await image.destroy({ transaction: t });
+
+    if (image.is_primary) {
+      const [next] = sortImages(await AssetImage.findAll({ where: groupWhere(image), transaction: t }));
+      if (next) await next.update({ is_primary: true }, { transaction: t });
+    }
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  removeImageFiles([image]);
+
+  res.json({ success: true, data: await listImages(asset.id), message: 'Image deleted' });
+});
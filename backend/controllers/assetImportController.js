@@ -1,4 +1,4 @@
-const { Asset } = require('../models');
+const { Asset, StockMovement } = require('../models');
 const { generateAssetTag } = require('../utils/assetTagGenerator');
 const multer = require('multer');
 const csvParser = require('csv-parser');
@@ -256,6 +256,7 @@ exports.bulkImport = [
         };
 
         const asset = await Asset.create(assetData);
+        await StockMovement.recordOpeningBalance(asset, req.user?.id);
         imported.push({ rowNumber: row.rowNumber, assetTag });
       } catch (error) {
         failed.push({
@@ -1,4 +1,4 @@
-const { Asset, ImportBatch, InventoryItemEvent, sequelize } = require('../models');
+const { Asset, ImportBatch, InventoryItemEvent, StockMovement, ProductModel, sequelize } = require('../models');
 const multer = require('multer');
 const csvParser = require('csv-parser');
 const XLSX = require('xlsx');
@@ -270,6 +270,9 @@ exports.validateImport = asyncHandler(async (req, res) => {
     // Get merged taxonomy (hardcoded + custom)
     const { categories, allAssetTypes } = await getFullTaxonomy();
 
+    // Catalog matcher resolves each row's make/model to a product model
+    const matchProductModel = await ProductModel.loadMatcher();
+
     // Transform and validate all rows
     const validationErrors = [];
     const validRows = [];
@@ -302,6 +305,12 @@ exports.validateImport = asyncHandler(async (req, res) => {
         transformed.quantity = 1;
       }
 
+      // Link to the catalog model and fill blank fields from it
+      const catalogMatch = matchProductModel(transformed);
+      if (catalogMatch) {
+        catalogMatch.productModel.applyDefaults(transformed);
+      }
+
       // If category is missing but asset_type is present, try to infer category
       if (!transformed.category && transformed.asset_type) {
         transformed.category = getCategoryForAssetType(transformed.asset_type);
@@ -393,7 +402,8 @@ exports.validateImport = asyncHandler(async (req, res) => {
         transformedRows.push({
           ...transformed,
           _originalRow: row,
-          _rowNumber: rowNumber
+          _rowNumber: rowNumber,
+          _catalogMatch: catalogMatch
         });
       }
     }
@@ -444,10 +454,17 @@ exports.validateImport = asyncHandler(async (req, res) => {
 
     // Get preview of transformed data (first 20 rows)
     const validPreview = transformedRows.slice(0, 20).map(r => {
-      const { _originalRow, _rowNumber, ...transformed } = r;
+      const { _originalRow, _rowNumber, _catalogMatch, ...transformed } = r;
       return {
         rowNumber: _rowNumber,
-        ...transformed
+        ...transformed,
+        product_model: _catalogMatch
+          ? {
+            id: _catalogMatch.productModel.id,
+            name: _catalogMatch.productModel.getDisplayName(),
+            match_type: _catalogMatch.matchType
+          }
+          : null
       };
     });
 
@@ -457,6 +474,7 @@ exports.validateImport = asyncHandler(async (req, res) => {
         totalRows: data.length,
         validRows: validRows.length,
         invalidRows: validationErrors.length,
+        catalogMatchedRows: transformedRows.filter(r => r._catalogMatch).length,
         validationErrors,
         validPreview
       }
@@ -546,6 +564,7 @@ exports.commitImport = asyncHandler(async (req, res) => {
 
     // Get merged taxonomy (hardcoded + custom)
     const { categories: commitCategories, allAssetTypes: commitAllAssetTypes } = await getFullTaxonomy();
+    const matchProductModel = await ProductModel.loadMatcher();
 
     // Re-validate (security: never trust client)
     const validationErrors = [];
@@ -568,6 +587,12 @@ exports.commitImport = asyncHandler(async (req, res) => {
         transformed.quantity = 1;
       }
 
+      // Link to the catalog model and fill blank fields from it
+      const catalogMatch = matchProductModel(transformed);
+      if (catalogMatch) {
+        catalogMatch.productModel.applyDefaults(transformed);
+      }
+
       // If category is missing but asset_type is present, try to infer category
       if (!transformed.category && transformed.asset_type) {
         transformed.category = getCategoryForAssetType(transformed.asset_type);
@@ -681,6 +706,7 @@ exports.commitImport = asyncHandler(async (req, res) => {
           batch.original_file_name,
           req.user?.id
         );
+        await StockMovement.recordOpeningBalance(asset, req.user?.id);
 
         imported.push({
           rowNumber: _rowNumber,
@@ -4,7 +4,8 @@
  * CRUD operations for individual serialized units within a product (Asset).
  */
 
-const { Asset, AssetUnit, ConditionStatus, sequelize } = require('../models');
+const { Asset, AssetUnit, AssetImage, ConditionStatus, Location, sequelize } = require('../models');
+const { removeImageFiles } = require('../services/productImageService');
 const { Op } = require('sequelize');
 
 const asyncHandler = handler => (req, res, next) => {
@@ -17,7 +18,7 @@ const asyncHandler = handler => (req, res, next) => {
  */
 exports.list = asyncHandler(async (req, res) => {
   const { assetId } = req.params;
-  const { status, condition_status_id, search, page = 1, limit = 50 } = req.query;
+  const { status, condition_status_id, location_id, search, page = 1, limit = 50 } = req.query;
 
   const asset = await Asset.findByPk(assetId);
   if (!asset) {
@@ -35,6 +36,9 @@ exports.list = asyncHandler(async (req, res) => {
   if (condition_status_id) {
     where.condition_status_id = condition_status_id;
   }
+  if (location_id) {
+    where.location_id = location_id === 'in_transit' ? null : location_id;
+  }
   if (search) {
     where[Op.or] = [
       { serial_number: { [Op.iLike]: `%${search}%` } },
@@ -51,7 +55,8 @@ exports.list = asyncHandler(async (req, res) => {
     offset: parseInt(offset),
     order: [['created_at', 'DESC']],
     include: [
-      { model: ConditionStatus, as: 'conditionStatus', attributes: ['id', 'name', 'color'] }
+      { model: ConditionStatus, as: 'conditionStatus', attributes: ['id', 'name', 'color'] },
+      { model: Location, as: 'location', attributes: ['id', 'code', 'name'] }
     ]
   });
 
@@ -104,7 +109,7 @@ exports.create = asyncHandler(async (req, res) => {
     });
   }
 
-  const { serial_number, cpu, cpu_model, memory, storage, cost_amount, price_amount, cost_currency, price_currency, condition_status_id, purchase_date, notes } = req.body;
+  const { serial_number, cpu, cpu_model, memory, storage, cost_amount, price_amount, cost_currency, price_currency, condition_status_id, purchase_date, notes, location_id } = req.body;
 
   if (!serial_number || serial_number.trim() === '') {
     return res.status(400).json({
@@ -113,6 +118,14 @@ exports.create = asyncHandler(async (req, res) => {
     });
   }
 
+  // Omitted location: the unit lands at the default location
+  if (location_id && !(await Location.findOne({ where: { id: location_id, is_active: true } }))) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVALID_LOCATION', message: 'Location not found or inactive' }
+    });
+  }
+
   // Check uniqueness
   const existing = await AssetUnit.findOne({ where: { serial_number: serial_number.trim() } });
   if (existing) {
@@ -135,7 +148,8 @@ exports.create = asyncHandler(async (req, res) => {
     price_currency: price_currency || null,
     condition_status_id: condition_status_id || asset.condition_status_id || null,
     purchase_date: purchase_date || null,
-    notes: notes || null
+    notes: notes || null,
+    location_id: location_id || null
   });
 
   // Reload with condition
@@ -279,6 +293,12 @@ exports.update = asyncHandler(async (req, res) => {
   if (price_amount !== undefined) unit.price_amount = price_amount !== null && price_amount !== '' ? parseFloat(price_amount) : null;
   if (price_currency !== undefined) unit.price_currency = price_currency || null;
   if (condition_status_id !== undefined) unit.condition_status_id = condition_status_id || null;
+  if (status !== undefined && status !== unit.status && [status, unit.status].includes('In Transit')) {
+    return res.status(409).json({
+      success: false,
+      error: { code: 'UNIT_IN_TRANSIT', message: 'In Transit is set by stock transfers — receive or cancel the transfer instead' }
+    });
+  }
   if (status !== undefined) unit.status = status;
   if (purchase_date !== undefined) unit.purchase_date = purchase_date || null;
   if (notes !== undefined) unit.notes = notes || null;
@@ -325,15 +345,22 @@ exports.remove = asyncHandler(async (req, res) => {
     });
   }
 
-  if (['Sold', 'Reserved'].includes(unit.status)) {
+  if (['Sold', 'Reserved', 'In Transit'].includes(unit.status)) {
     return res.status(400).json({
       success: false,
       error: { code: 'CANNOT_DELETE', message: `Cannot delete unit with status "${unit.status}". Only Available units can be deleted.` }
     });
   }
 
+  const images = await AssetImage.findAll({
+    where: { asset_unit_id: unit.id },
+    attributes: ['storage_key', 'thumbnail_key']
+  });
+
   await unit.destroy();
 
+  removeImageFiles(images);
+
   res.json({
     success: true,
     message: 'Unit deleted successfully'
@@ -371,6 +398,7 @@ exports.summary = asyncHandler(async (req, res) => {
     reserved: 0,
     sold: 0,
     in_repair: 0,
+    in_transit: 0,
     scrapped: 0
   };
 
@@ -382,6 +410,7 @@ exports.summary = asyncHandler(async (req, res) => {
       case 'Reserved': summary.reserved = count; break;
       case 'Sold': summary.sold = count; break;
       case 'In Repair': summary.in_repair = count; break;
+      case 'In Transit': summary.in_transit = count; break;
       case 'Scrapped': summary.scrapped = count; break;
       case 'Written Off': summary.written_off = count; break;
     }
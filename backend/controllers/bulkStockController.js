@@ -0,0 +1,387 @@
+/**
+ * Bulk Stock Controller
+ *
+ * Non-serialized stock (accessories, chargers, cables) kept as Asset rows
+ * with a quantity. Every quantity change is posted to the StockMovement
+ * ledger; manual adjustments also write a STOCK_ADJUSTED inventory event so
+ * they show on the asset history page.
+ */
+
+const { Asset, StockMovement, User, InventoryItemEvent, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const { generateAssetTag } = require('../utils/assetTagGenerator');
+const { validateTaxonomyAsync } = require('../utils/inventoryTaxonomy');
+const { isValidCurrency } = require('../utils/currencyUtils');
+const { sanitizeAssetForRole } = require('../middleware/permissions');
+
+// Async handler wrapper
+const asyncHandler = handler => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+// Fields editable through PATCH /bulk-stock/:id (quantity goes through /adjust)
+const UPDATABLE_FIELDS = [
+  'make', 'model', 'product_category', 'subcategory', 'condition',
+  'price_amount', 'price_currency', 'cost_amount', 'cost_currency',
+  'reorder_point', 'reorder_quantity'
+];
+
+function parseNonNegativeInt(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const num = Number(value);
+  return Number.isInteger(num) && num >= 0 ? num : NaN;
+}
+
+function serializeItem(asset, role) {
+  const data = sanitizeAssetForRole(asset, role);
+  const plain = typeof data.toJSON === 'function' ? data.toJSON() : data;
+  return {
+    ...plain,
+    below_reorder_point: asset.reorder_point !== null && asset.quantity <= asset.reorder_point
+  };
+}
+
+/**
+ * Find a bulk (non-serialized) asset or send 404/400
+ */
+async function findBulkAsset(id, res, options = {}) {
+  const asset = await Asset.findByPk(id, options);
+  if (!asset) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Stock item not found' }
+    });
+    return null;
+  }
+  if (asset.is_serialized) {
+    res.status(400).json({
+      success: false,
+      error: { code: 'SERIALIZED_ASSET', message: 'Serialized products are tracked per unit, not as bulk stock' }
+    });
+    return null;
+  }
+  return asset;
+}
+
+/**
+ * GET /api/v1/bulk-stock
+ * List bulk stock items with search, filters, and pagination.
+ *
+ * Query: search, category, asset_type, below_reorder_point=true, page, limit
+ */
+exports.list = asyncHandler(async (req, res) => {
+  const { search, category, asset_type, below_reorder_point, page = 1, limit = 50 } = req.query;
+
+  const where = { is_serialized: false };
+  if (category) where.category = category;
+  if (asset_type) where.asset_type = asset_type;
+  if (search) {
+    where[Op.or] = [
+      { asset_tag: { [Op.iLike]: `%${search}%` } },
+      { make: { [Op.iLike]: `%${search}%` } },
+      { model: { [Op.iLike]: `%${search}%` } }
+    ];
+  }
+  if (below_reorder_point === 'true') {
+    where.reorder_point = { [Op.ne]: null };
+    where[Op.and] = [sequelize.where(sequelize.col('quantity'), Op.lte, sequelize.col('reorder_point'))];
+  }
+
+  const offset = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+  const { rows, count } = await Asset.findAndCountAll({
+    where,
+    order: [['make', 'ASC'], ['model', 'ASC']],
+    limit: parseInt(limit, 10),
+    offset
+  });
+
+  res.json({
+    success: true,
+    data: rows.map(asset => serializeItem(asset, req.user.role)),
+    meta: {
+      total: count,
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      totalPages: Math.ceil(count / parseInt(limit, 10))
+    }
+  });
+});
+
+/**
+ * GET /api/v1/bulk-stock/:id
+ * Get a bulk stock item with its movement ledger (newest first)
+ *
+ * Query: movements_limit (default 100)
+ */
+exports.getById = asyncHandler(async (req, res) => {
+  const asset = await findBulkAsset(req.params.id, res);
+  if (!asset) return;
+
+  const movementsLimit = Math.min(parseInt(req.query.movements_limit, 10) || 100, 500);
+
+  const movements = await StockMovement.findAll({
+    where: { asset_id: asset.id },
+    include: [{ model: User, as: 'creator', attributes: ['id', 'full_name'], required: false }],
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit: movementsLimit
+  });
+
+  res.json({
+    success: true,
+    data: {
+      ...serializeItem(asset, req.user.role),
+      movements: movements.map(m => ({ ...m.toJSON(), reason_label: m.getReasonLabel() }))
+    }
+  });
+});
+
+/**
+ * POST /api/v1/bulk-stock
+ * Create a bulk stock item. The starting quantity is posted as the
+ * opening balance of its ledger.
+ *
+ * Body: { category, asset_type, make, model, quantity?, reorder_point?,
+ *         reorder_quantity?, price_amount?, price_currency?, cost_amount?, cost_currency?, ... }
+ */
+exports.create = asyncHandler(async (req, res) => {
+  const { category, asset_type, make, model } = req.body;
+
+  if (!category || !asset_type || !make || !model) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'category, asset_type, make, and model are required' }
+    });
+  }
+
+  const taxonomy = await validateTaxonomyAsync(category, asset_type);
+  if (!taxonomy.valid) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVALID_TAXONOMY', message: taxonomy.error }
+    });
+  }
+
+  const quantity = parseNonNegativeInt(req.body.quantity ?? 0);
+  const reorderPoint = parseNonNegativeInt(req.body.reorder_point);
+  const reorderQuantity = parseNonNegativeInt(req.body.reorder_quantity);
+  if (Number.isNaN(quantity) || Number.isNaN(reorderPoint) || Number.isNaN(reorderQuantity) || reorderQuantity === 0) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'quantity and reorder_point must be whole numbers ≥ 0; reorder_quantity must be ≥ 1' }
+    });
+  }
+
+  for (const field of ['price_currency', 'cost_currency']) {
+    if (req.body[field] && !isValidCurrency(req.body[field])) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'INVALID_CURRENCY', message: `${field} must be USD, GHS, or GBP` }
+      });
+    }
+  }
+
+  const assetData = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (req.body[field] !== undefined) assetData[field] = req.body[field];
+  }
+
+  const assetTag = await generateAssetTag();
+
+  const t = await sequelize.transaction();
+  try {
+    const asset = await Asset.create({
+      ...assetData,
+      asset_tag: assetTag,
+      category,
+      asset_type,
+      is_serialized: false,
+      quantity,
+      reorder_point: reorderPoint,
+      reorder_quantity: reorderQuantity,
+      created_by: req.user.id,
+      updated_by: req.user.id
+    }, { transaction: t });
+
+    await InventoryItemEvent.logCreated(asset, req.user.id, t);
+    await StockMovement.recordOpeningBalance(asset, req.user.id, t);
+
+    await t.commit();
+
+    res.status(201).json({
+      success: true,
+      data: serializeItem(asset, req.user.role),
+      message: 'Stock item created'
+    });
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+});
+
+/**
+ * PATCH /api/v1/bulk-stock/:id
+ * Update item details and reorder settings. Quantity cannot be set here —
+ * use PATCH /:id/adjust so the change is ledgered.
+ */
+exports.update = asyncHandler(async (req, res) => {
+  if (req.body.quantity !== undefined) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'USE_ADJUST', message: 'Quantity changes must be posted through the adjust action' }
+    });
+  }
+
+  const asset = await findBulkAsset(req.params.id, res);
+  if (!asset) return;
+
+  const changes = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (req.body[field] !== undefined) changes[field] = req.body[field];
+  }
+
+  for (const field of ['reorder_point', 'reorder_quantity']) {
+    if (changes[field] === undefined) continue;
+    const value = parseNonNegativeInt(changes[field]);
+    if (Number.isNaN(value) || (field === 'reorder_quantity' && value === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: `${field} must be a whole number${field === 'reorder_quantity' ? ' ≥ 1' : ' ≥ 0'}, or null to clear` }
+      });
+    }
+    changes[field] = value;
+  }
+
+  for (const field of ['price_currency', 'cost_currency']) {
+    if (changes[field] && !isValidCurrency(changes[field])) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'INVALID_CURRENCY', message: `${field} must be USD, GHS, or GBP` }
+      });
+    }
+  }
+
+  const beforeValues = {};
+  const afterValues = {};
+  const changedFields = [];
+  for (const [field, value] of Object.entries(changes)) {
+    if (asset[field] !== value) {
+      changedFields.push(field);
+      beforeValues[field] = asset[field];
+      afterValues[field] = value;
+    }
+  }
+
+  await asset.update({ ...changes, updated_by: req.user.id });
+
+  if (changedFields.length > 0) {
+    await InventoryItemEvent.logUpdated(asset, changedFields, beforeValues, afterValues, req.user.id);
+  }
+
+  res.json({
+    success: true,
+    data: serializeItem(asset, req.user.role),
+    message: 'Stock item updated'
+  });
+});
+
+/**
+ * PATCH /api/v1/bulk-stock/:id/adjust
+ * Post a manual stock movement.
+ *
+ * Body: { reason: 'receipt'|'damage'|'count_correction', quantity_change?, counted_quantity?, notes? }
+ * - receipt: quantity_change > 0
+ * - damage: quantity_change < 0 (a positive number is treated as a removal)
+ * - count_correction: counted_quantity (physical count) or a signed quantity_change
+ */
+exports.adjustQuantity = asyncHandler(async (req, res) => {
+  const { reason, notes } = req.body;
+
+  if (!StockMovement.MANUAL_REASONS.includes(reason)) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: `reason must be one of: ${StockMovement.MANUAL_REASONS.join(', ')}` }
+    });
+  }
+
+  const countedQuantity = parseNonNegativeInt(req.body.counted_quantity);
+  let quantityChange = req.body.quantity_change !== undefined ? Number(req.body.quantity_change) : null;
+
+  if (countedQuantity !== null && reason !== 'count_correction') {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'counted_quantity is only valid for count_correction' }
+    });
+  }
+  if (Number.isNaN(countedQuantity)) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'counted_quantity must be a whole number ≥ 0' }
+    });
+  }
+  if (countedQuantity === null && (quantityChange === null || !Number.isInteger(quantityChange) || quantityChange === 0)) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'quantity_change must be a non-zero whole number' }
+    });
+  }
+
+  if (reason === 'damage' && quantityChange > 0) quantityChange = -quantityChange;
+  if (reason === 'receipt' && quantityChange < 0) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'Receipts must add stock; use damage or count_correction to remove it' }
+    });
+  }
+
+  const t = await sequelize.transaction();
+  try {
+    const asset = await findBulkAsset(req.params.id, res, { transaction: t, lock: true });
+    if (!asset) {
+      await t.rollback();
+      return;
+    }
+
+    const onHand = asset.quantity || 0;
+    if (countedQuantity !== null) quantityChange = countedQuantity - onHand;
+
+    if (quantityChange === 0) {
+      await t.rollback();
+      return res.status(400).json({
+        success: false,
+        error: { code: 'NO_CHANGE', message: `Counted quantity matches on-hand quantity (${onHand})` }
+      });
+    }
+
+    if (onHand + quantityChange < 0) {
+      await t.rollback();
+      return res.status(409).json({
+        success: false,
+        error: { code: 'INSUFFICIENT_QUANTITY', message: `Only ${onHand} on hand, cannot remove ${-quantityChange}` }
+      });
+    }
+
+    const movement = await StockMovement.record(asset, quantityChange, reason, {
+      referenceType: 'manual',
+      notes: notes || null,
+      userId: req.user.id
+    }, t);
+
+    await asset.updateComputedStatus(t);
+    await InventoryItemEvent.logStockAdjusted(asset, movement, req.user.id, t);
+
+    await t.commit();
+
+    res.json({
+      success: true,
+      data: {
+        item: serializeItem(asset, req.user.role),
+        movement: { ...movement.toJSON(), reason_label: movement.getReasonLabel() }
+      },
+      message: 'Stock adjusted'
+    });
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+});
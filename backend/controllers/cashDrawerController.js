@@ -0,0 +1,437 @@
+/**
+ * Cash Drawer Controller
+ *
+ * Cashier till sessions.
+ *
+ * - A cashier opens a drawer with a float; only one can be open per user.
+ * - Cash put in or taken out other than through sales (float top-ups,
+ *   petty expenses, bank drops) is recorded as a movement.
+ * - Closing records the counted cash and works out over/short against the
+ *   cash payments and refunds the cashier took while the drawer was open.
+ * - The Z-report summarizes a closed session; on an open one it is an
+ *   interim X-report.
+ *
+ * Sales users see and work only their own drawers; Admin and Manager can
+ * see all of them and close a drawer on a cashier's behalf.
+ */
+
+const fs = require('fs');
+const {
+  CashDrawerSession,
+  CashDrawerMovement,
+  CompanyProfile,
+  Location,
+  ActivityLog,
+  User,
+  sequelize
+} = require('../models');
+const { Op } = require('sequelize');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { MOVEMENT_TYPES, MOVEMENT_REASONS, REASON_LABELS, summarizeSession, totalsByMethod } = require('../services/cashDrawerService');
+const invoicePdfService = require('../services/invoicePdfService');
+
+const SUPERVISOR_ROLES = ['Admin', 'Manager'];
+
+const round2 = n => Math.round(n * 100) / 100;
+
+const isSupervisor = user => SUPERVISOR_ROLES.includes(user.role);
+
+function sessionIncludes() {
+  return [
+    { model: User, as: 'cashier', attributes: ['id', 'full_name'] },
+    { model: User, as: 'closer', attributes: ['id', 'full_name'] },
+    { model: Location, as: 'location', attributes: ['id', 'code', 'name'] },
+    {
+      model: CashDrawerMovement,
+      as: 'movements',
+      include: [{ model: User, as: 'creator', attributes: ['id', 'full_name'] }]
+    }
+  ];
+}
+
+async function loadSession(id, user, transaction = null) {
+  // Row lock serializes movements against a concurrent close
+  const session = await CashDrawerSession.findByPk(id, transaction ? { transaction, lock: true } : {});
+  if (!session || (!isSupervisor(user) && session.user_id !== user.id)) {
+    throw new AppError('Cash drawer session not found', 404, 'NOT_FOUND');
+  }
+  return session;
+}
+
+function serializeSession(session, payments = []) {
+  const movements = [...(session.movements || [])].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  return {
+    ...session.toJSON(),
+    movements: movements.map(movement => ({
+      ...movement.toJSON(),
+      reason_label: movement.getReasonLabel()
+    })),
+    status_label: session.getStatusLabel(),
+    summary: session.getCashSummary(payments)
+  };
+}
+
+async function fetchSession(id) {
+  const session = await CashDrawerSession.findByPk(id, { include: sessionIncludes() });
+  const payments = session.status === 'open' ? await session.getSessionPayments() : [];
+  return serializeSession(session, payments);
+}
+
+function parseAmount(value, field, { required = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    if (required) {
+      throw new AppError(`${field} is required`, 400, 'VALIDATION_ERROR');
+    }
+    return 0;
+  }
+  const num = Number(value);
+  if (!Number.isFinite(num) || num < 0) {
+    throw new AppError(`${field} must be a number >= 0`, 400, 'VALIDATION_ERROR');
+  }
+  return round2(num);
+}
+
+/**
+ * Build the Z-report (or X-report for an open session)
+ */
+async function buildReport(id) {
+  const session = await CashDrawerSession.findByPk(id, { include: sessionIncludes() });
+  const payments = await session.getSessionPayments();
+  const serialized = serializeSession(session, payments);
+
+  return {
+    report_type: session.status === 'closed' ? 'Z' : 'X',
+    generated_at: new Date().toISOString(),
+    session: serialized,
+    takings_by_method: totalsByMethod(payments),
+    transactions: payments.map(payment => ({
+      id: payment.id,
+      created_at: payment.created_at,
+      invoice_number: payment.invoice?.invoice_number || null,
+      preorder_tracking_code: payment.preorder?.tracking_code || null,
+      transaction_type: payment.transaction_type,
+      payment_method: payment.getMethodDisplay(),
+      amount: payment.amount
+    }))
+  };
+}
+
+/**
+ * GET /api/v1/cash-drawers
+ * Query: status, user_id (Admin/Manager), from, to (opened_at, YYYY-MM-DD),
+ *        page, limit
+ */
+exports.list = asyncHandler(async (req, res) => {
+  const { status, user_id, from, to, page = 1, limit = 20 } = req.query;
+
+  const where = {};
+  if (status) where.status = status;
+  if (!isSupervisor(req.user)) {
+    where.user_id = req.user.id;
+  } else if (user_id) {
+    where.user_id = user_id;
+  }
+  if (from || to) {
+    where.opened_at = {};
+    if (from) where.opened_at[Op.gte] = new Date(`${from}T00:00:00`);
+    if (to) where.opened_at[Op.lte] = new Date(`${to}T23:59:59.999`);
+  }
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+  const { rows, count } = await CashDrawerSession.findAndCountAll({
+    where,
+    include: [
+      { model: User, as: 'cashier', attributes: ['id', 'full_name'] },
+      { model: Location, as: 'location', attributes: ['id', 'code', 'name'] }
+    ],
+    order: [['opened_at', 'DESC']],
+    limit: limitNum,
+    offset: (pageNum - 1) * limitNum
+  });
+
+  res.json({
+    success: true,
+    data: {
+      sessions: rows.map(session => ({
+        ...session.toJSON(),
+        status_label: session.getStatusLabel()
+      })),
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(count / limitNum)
+      }
+    }
+  });
+});
+
+/**
+ * GET /api/v1/cash-drawers/current
+ * The signed-in user's open drawer, or null
+ */
+exports.current = asyncHandler(async (req, res) => {
+  const session = await CashDrawerSession.findOne({
+    where: { user_id: req.user.id, status: 'open' }
+  });
+
+  res.json({
+    success: true,
+    data: { session: session ? await fetchSession(session.id) : null }
+  });
+});
+
+/**
+ * GET /api/v1/cash-drawers/:id
+ */
+exports.getById = asyncHandler(async (req, res) => {
+  await loadSession(req.params.id, req.user);
+  res.json({
+    success: true,
+    data: { session: await fetchSession(req.params.id) }
+  });
+});
+
+/**
+ * POST /api/v1/cash-drawers/open
+ * Body: opening_float, currency, location_id, register_name, notes
+ *
+ * Opens a drawer for the signed-in user.
+ */
+exports.open = asyncHandler(async (req, res) => {
+  const { location_id, register_name, notes } = req.body;
+  const openingFloat = parseAmount(req.body.opening_float, 'opening_float', { required: true });
+  const currency = (req.body.currency || 'GHS').toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    throw new AppError('currency must be a 3-letter code', 400, 'VALIDATION_ERROR');
+  }
+
+  const t = await sequelize.transaction();
+  let session;
+  try {
+    const existing = await CashDrawerSession.findOne({
+      where: { user_id: req.user.id, status: 'open' },
+      transaction: t,
+      lock: true
+    });
+    if (existing) {
+      throw new AppError(`You already have drawer ${existing.session_number} open`, 409, 'SESSION_ALREADY_OPEN');
+    }
+
+    if (location_id) {
+      const location = await Location.findByPk(location_id, { transaction: t });
+      if (!location || !location.is_active) {
+        throw new AppError('Location not found', 404, 'NOT_FOUND');
+      }
+    }
+
+    session = await CashDrawerSession.create({
+      session_number: await CashDrawerSession.generateSessionNumber(t),
+      user_id: req.user.id,
+      location_id: location_id || null,
+      register_name: register_name || null,
+      currency,
+      status: 'open',
+      opened_at: new Date(),
+      opening_float: openingFloat,
+      opening_notes: notes || null
+    }, { transaction: t });
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.CASH_DRAWER_OPENED,
+    entityType: ActivityLog.ENTITY_TYPES.CASH_DRAWER_SESSION,
+    entityId: session.id,
+    summary: `Cash drawer ${session.session_number} opened with a float of ${currency} ${openingFloat.toFixed(2)}`,
+    metadata: {
+      sessionNumber: session.session_number,
+      openingFloat,
+      currency,
+      locationId: session.location_id,
+      registerName: session.register_name
+    }
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { session: await fetchSession(session.id) },
+    message: `Cash drawer ${session.session_number} opened`
+  });
+});
+
+/**
+ * POST /api/v1/cash-drawers/:id/movements
+ * Body: movement_type (cash_in|cash_out), reason, amount, notes
+ */
+exports.addMovement = asyncHandler(async (req, res) => {
+  const { movement_type, notes } = req.body;
+  if (!MOVEMENT_TYPES.includes(movement_type)) {
+    throw new AppError(`movement_type must be one of: ${MOVEMENT_TYPES.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+  const reason = req.body.reason || 'other';
+  if (!MOVEMENT_REASONS[movement_type].includes(reason)) {
+    throw new AppError(`reason for ${movement_type} must be one of: ${MOVEMENT_REASONS[movement_type].join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+  if (reason === 'other' && !notes) {
+    throw new AppError('notes are required when the reason is other', 400, 'VALIDATION_ERROR');
+  }
+  const amount = parseAmount(req.body.amount, 'amount', { required: true });
+  if (amount === 0) {
+    throw new AppError('amount must be greater than 0', 400, 'VALIDATION_ERROR');
+  }
+
+  const t = await sequelize.transaction();
+  let session;
+  let movement;
+  try {
+    session = await loadSession(req.params.id, req.user, t);
+    if (session.status !== 'open') {
+      throw new AppError('Cash can only be moved in or out of an open drawer', 400, 'INVALID_STATUS');
+    }
+
+    movement = await CashDrawerMovement.create({
+      session_id: session.id,
+      movement_type,
+      reason,
+      amount,
+      notes: notes || null,
+      created_by: req.user.id
+    }, { transaction: t });
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  const direction = movement_type === 'cash_in' ? 'into' : 'out of';
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.CASH_DRAWER_MOVEMENT,
+    entityType: ActivityLog.ENTITY_TYPES.CASH_DRAWER_SESSION,
+    entityId: session.id,
+    summary: `${REASON_LABELS[reason]}: ${session.currency} ${amount.toFixed(2)} ${direction} cash drawer ${session.session_number}`,
+    metadata: {
+      sessionNumber: session.session_number,
+      movementId: movement.id,
+      movementType: movement_type,
+      reason,
+      amount,
+      notes: notes || null
+    }
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { session: await fetchSession(session.id) },
+    message: `${REASON_LABELS[reason]} recorded`
+  });
+});
+
+/**
+ * POST /api/v1/cash-drawers/:id/close
+ * Body: counted_amount, notes
+ *
+ * Snapshots the session's cash figures and the over/short.
+ */
+exports.close = asyncHandler(async (req, res) => {
+  const counted = parseAmount(req.body.counted_amount, 'counted_amount', { required: true });
+  const { notes } = req.body;
+
+  const t = await sequelize.transaction();
+  let session;
+  let summary;
+  try {
+    session = await loadSession(req.params.id, req.user, t);
+    if (session.status !== 'open') {
+      throw new AppError('Cash drawer is already closed', 400, 'INVALID_STATUS');
+    }
+
+    session.closed_at = new Date();
+    const payments = await session.getSessionPayments(t);
+    const movements = await CashDrawerMovement.findAll({ where: { session_id: session.id }, transaction: t });
+    summary = summarizeSession({
+      openingFloat: session.opening_float,
+      payments: payments.filter(p => p.payment_method === 'Cash'),
+      movements,
+      counted
+    });
+
+    session.status = 'closed';
+    session.closed_by = req.user.id;
+    session.cash_sales_amount = summary.cash_sales;
+    session.cash_refunds_amount = summary.cash_refunds;
+    session.cash_in_amount = summary.cash_in;
+    session.cash_out_amount = summary.cash_out;
+    session.expected_amount = summary.expected;
+    session.counted_amount = summary.counted;
+    session.over_short_amount = summary.over_short;
+    session.closing_notes = notes || null;
+    await session.save({ transaction: t });
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  const overShort = summary.over_short === 0
+    ? 'balanced'
+    : `${summary.over_short > 0 ? 'over' : 'short'} by ${session.currency} ${Math.abs(summary.over_short).toFixed(2)}`;
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.CASH_DRAWER_CLOSED,
+    entityType: ActivityLog.ENTITY_TYPES.CASH_DRAWER_SESSION,
+    entityId: session.id,
+    summary: `Cash drawer ${session.session_number} closed, ${overShort}`,
+    metadata: {
+      sessionNumber: session.session_number,
+      cashierId: session.user_id,
+      currency: session.currency,
+      ...summary
+    }
+  });
+
+  res.json({
+    success: true,
+    data: { session: await fetchSession(session.id) },
+    message: `Cash drawer ${session.session_number} closed`
+  });
+});
+
+/**
+ * GET /api/v1/cash-drawers/:id/z-report
+ * Z-report for a closed session, X-report (interim) for an open one
+ */
+exports.getReport = asyncHandler(async (req, res) => {
+  await loadSession(req.params.id, req.user);
+  res.json({
+    success: true,
+    data: await buildReport(req.params.id)
+  });
+});
+
+/**
+ * GET /api/v1/cash-drawers/:id/z-report/pdf
+ * Printable report on an 80mm receipt roll
+ */
+exports.getReportPdf = asyncHandler(async (req, res) => {
+  const session = await loadSession(req.params.id, req.user);
+  const report = await buildReport(session.id);
+  const companyProfile = await CompanyProfile.findOne({ where: { is_active: true } });
+
+  invoicePdfService.cleanupOldZReportPdfs(session.session_number);
+  const { filePath, fileName } = await invoicePdfService.generateZReportPdf(report, companyProfile);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+  fs.createReadStream(filePath).pipe(res);
+});
@@ -1,6 +1,6 @@
 'use strict';
 
-const { CompanyProfile, User } = require('../models');
+const { CompanyProfile, Invoice, User } = require('../models');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -99,6 +99,7 @@ exports.getProfile = asyncHandler(async (req, res) => {
         email: profile.email,
         website: profile.website,
         taxIdOrTin: profile.tax_id_or_tin,
+        taxMode: profile.tax_mode,
         notesFooter: profile.notes_footer,
         logoUrl,
         hasLogo: !!profile.logo_storage_key,
@@ -128,6 +129,7 @@ exports.updateProfile = asyncHandler(async (req, res) => {
     email,
     website,
     taxIdOrTin,
+    taxMode,
     notesFooter
   } = req.body;
 
@@ -142,6 +144,16 @@ exports.updateProfile = asyncHandler(async (req, res) => {
     });
   }
 
+  if (taxMode !== undefined && !Invoice.TAX_MODES.includes(taxMode)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_TAX_MODE',
+        message: `Tax mode must be one of: ${Invoice.TAX_MODES.join(', ')}`
+      }
+    });
+  }
+
   // Find existing profile or create new
   let profile = await CompanyProfile.findOne({ where: { is_active: true } });
 
@@ -158,6 +170,7 @@ exports.updateProfile = asyncHandler(async (req, res) => {
     email: email?.trim() || null,
     website: website?.trim() || null,
     tax_id_or_tin: taxIdOrTin?.trim() || null,
+    ...(taxMode !== undefined && { tax_mode: taxMode }),
     notes_footer: notesFooter?.trim() || null,
     updated_by_user_id: req.user?.id || null
   };
@@ -205,6 +218,7 @@ exports.updateProfile = asyncHandler(async (req, res) => {
         email: profile.email,
         website: profile.website,
         taxIdOrTin: profile.tax_id_or_tin,
+        taxMode: profile.tax_mode,
         notesFooter: profile.notes_footer,
         logoUrl,
         hasLogo: !!profile.logo_storage_key,
@@ -215,6 +215,19 @@ exports.checkDuplicate = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Notification opt-outs in a request body (snake_case or camelCase); only
+ * the ones given, so an update leaves the rest alone
+ */
+function parseOptOuts(body) {
+  const optOuts = {};
+  for (const channel of ['sms', 'whatsapp', 'email']) {
+    const value = body[`${channel}_opt_out`] ?? body[`${channel}OptOut`];
+    if (value !== undefined) optOuts[`${channel}_opt_out`] = value === true || value === 'true';
+  }
+  return optOuts;
+}
+
 /**
  * Find duplicate customers by normalized contact fields
  */
@@ -328,6 +341,7 @@ exports.create = asyncHandler(async (req, res) => {
       heard_about_us_other_text: _heardAboutUsOtherText,
       tags: tags || [],
       notes,
+      ...parseOptOuts(req.body),
       created_by: req.user?.id,
       updated_by: req.user?.id
     });
@@ -435,6 +449,7 @@ exports.update = asyncHandler(async (req, res) => {
       heard_about_us_other_text: _heardAboutUsOtherText,
       tags: tags || [],
       notes,
+      ...parseOptOuts(req.body),
       updated_by: req.user?.id
     });
 
@@ -520,7 +535,9 @@ exports.merge = asyncHandler(async (req, res) => {
       'first_name', 'last_name', 'company_name',
       'phone_raw', 'whatsapp_raw', 'whatsapp_same_as_phone',
       'email', 'address',
-      'heard_about_us', 'heard_about_us_other_text'
+      'heard_about_us', 'heard_about_us_other_text',
+      // An opt-out on either record is kept
+      'sms_opt_out', 'whatsapp_opt_out', 'email_opt_out'
     ];
 
     for (const field of fieldsToMerge) {
@@ -0,0 +1,240 @@
+/**
+ * Customer Statement Controller
+ *
+ * Statement of account per customer: JSON, PDF (shared token link, like
+ * invoice PDFs) and a WhatsApp share link.
+ */
+
+const { Customer, CompanyProfile } = require('../models');
+const { buildStatement } = require('../services/customerStatementService');
+const invoicePdfService = require('../services/invoicePdfService');
+const fs = require('fs');
+
+// Async handler wrapper
+const asyncHandler = handler => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+const PDF_EXPIRY_DAYS = 7;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Read from/to (YYYY-MM-DD) from the query. Sends a 400 and returns null
+ * when either is malformed or from is after to.
+ */
+function parsePeriod(query, res) {
+  const from = query.from || null;
+  const to = query.to || null;
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'from and to must be dates in YYYY-MM-DD format' }
+    });
+    return null;
+  }
+  if (from && to && from > to) {
+    res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'from must be on or before to' }
+    });
+    return null;
+  }
+  return { from, to };
+}
+
+function sendNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: { code: 'NOT_FOUND', message: 'Customer not found' }
+  });
+}
+
+/**
+ * Generate the statement PDF and remember its token and period on the customer
+ */
+async function generateStatementPdf(customer, statement, existingToken = null) {
+  const companyProfile = await CompanyProfile.findOne({ where: { is_active: true } });
+
+  invoicePdfService.cleanupOldStatementPdfs(customer.id);
+  const result = await invoicePdfService.generateStatementPdf(statement, companyProfile, existingToken);
+
+  await customer.update({
+    statement_access_token: result.accessToken,
+    statement_generated_at: new Date(),
+    statement_period: { from: statement.period.from, to: statement.period.to }
+  });
+  return result;
+}
+
+/**
+ * GET /api/v1/customers/:id/statement
+ * Statement of account. Query: from, to (YYYY-MM-DD; default full history
+ * to today)
+ */
+exports.getStatement = asyncHandler(async (req, res) => {
+  const period = parsePeriod(req.query, res);
+  if (!period) return;
+
+  const statement = await buildStatement(req.params.id, period);
+  if (!statement) return sendNotFound(res);
+
+  res.json({
+    success: true,
+    data: statement
+  });
+});
+
+/**
+ * GET /api/v1/customers/:id/statement/pdf
+ * Generate the statement PDF. Query: from, to, download=true to stream it
+ */
+exports.generatePdf = asyncHandler(async (req, res) => {
+  const period = parsePeriod(req.query, res);
+  if (!period) return;
+
+  const customer = await Customer.findByPk(req.params.id);
+  if (!customer) return sendNotFound(res);
+
+  const statement = await buildStatement(customer.id, period);
+
+  try {
+    const { filePath, fileName, accessToken } = await generateStatementPdf(customer, statement);
+
+    if (req.query.download === 'true') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      fs.createReadStream(filePath).pipe(res);
+    } else {
+      res.json({
+        success: true,
+        data: {
+          pdfUrl: `/api/v1/customers/${customer.id}/statement/pdf/download?token=${accessToken}`,
+          fileName,
+          accessToken,
+          expiresIn: `${PDF_EXPIRY_DAYS} days`
+        }
+      });
+    }
+  } catch (error) {
+    console.error('Statement PDF generation error:', error);
+    return res.status(500).json({
+      success: false,
+      error: { code: 'PDF_ERROR', message: 'Failed to generate statement PDF' }
+    });
+  }
+});
+
+/**
+ * GET /api/v1/customers/:id/statement/pdf/download
+ * Download the last generated statement with its access token (no auth).
+ * A missing or stale file is rebuilt for the same period with current data.
+ */
+exports.downloadPdf = asyncHandler(async (req, res) => {
+  const { token } = req.query;
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'TOKEN_REQUIRED', message: 'Access token is required' }
+    });
+  }
+
+  const customer = await Customer.findByPk(req.params.id);
+  if (!customer || !customer.statement_access_token || customer.statement_access_token !== token) {
+    return res.status(403).json({
+      success: false,
+      error: { code: 'INVALID_TOKEN', message: 'Invalid or expired access token' }
+    });
+  }
+
+  const daysSinceGenerated = customer.statement_generated_at
+    ? (Date.now() - new Date(customer.statement_generated_at).getTime()) / (1000 * 60 * 60 * 24)
+    : Infinity;
+
+  let pdfPath = invoicePdfService.getStatementPdfPath(customer.id, token);
+  if (!pdfPath || !fs.existsSync(pdfPath) || daysSinceGenerated > PDF_EXPIRY_DAYS) {
+    try {
+      const statement = await buildStatement(customer.id, customer.statement_period || {});
+      const result = await generateStatementPdf(customer, statement, token);
+      pdfPath = result.filePath;
+    } catch (err) {
+      console.error('Statement PDF regeneration error:', err);
+      return res.status(500).json({
+        success: false,
+        error: { code: 'PDF_ERROR', message: 'Failed to generate PDF. Please try again.' }
+      });
+    }
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="Statement-${customer.id}.pdf"`);
+  fs.createReadStream(pdfPath).pipe(res);
+});
+
+/**
+ * GET /api/v1/customers/:id/statement/whatsapp-link
+ * WhatsApp share link with the balance and a link to the statement PDF.
+ * Query: from, to, baseUrl
+ */
+exports.getWhatsAppLink = asyncHandler(async (req, res) => {
+  const period = parsePeriod(req.query, res);
+  if (!period) return;
+
+  const customer = await Customer.findByPk(req.params.id);
+  if (!customer) return sendNotFound(res);
+
+  if (!customer.whatsapp_e164) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'NO_WHATSAPP', message: 'Customer does not have a WhatsApp number' }
+    });
+  }
+
+  const statement = await buildStatement(customer.id, period);
+  const { accessToken } = await generateStatementPdf(customer, statement);
+
+  const appBaseUrl = req.query.baseUrl || process.env.APP_URL || 'http://localhost:3000';
+  const pdfUrl = `${appBaseUrl}/api/v1/customers/${customer.id}/statement/pdf/download?token=${accessToken}`;
+
+  const companyProfile = await CompanyProfile.findOne({ where: { is_active: true } });
+  const companyName = companyProfile?.company_name || 'Our Company';
+  const customerName = customer.getDisplayName() || 'Valued Customer';
+
+  const formatCurrency = (amount, currency = 'GHS') => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: currency,
+      minimumFractionDigits: 2
+    }).format(amount);
+  };
+
+  const balances = statement.sections
+    .filter(section => section.closing_balance !== 0)
+    .map(section => `Balance Due: ${formatCurrency(section.closing_balance, section.currency)}`);
+
+  const message = [
+    `Hello ${customerName},`,
+    '',
+    `Here is your statement of account from ${companyName}.`,
+    '',
+    ...(balances.length > 0 ? balances : ['Your account is fully paid — thank you!']),
+    '',
+    `You can view and download your statement here:`,
+    pdfUrl,
+    '',
+    `Thank you for your business!`
+  ].join('\n');
+
+  const whatsappNumber = customer.whatsapp_e164.replace(/^\+/, '');
+  const whatsappLink = `https://wa.me/${whatsappNumber}?text=${encodeURIComponent(message)}`;
+
+  res.json({
+    success: true,
+    data: {
+      whatsappLink,
+      customerName,
+      whatsappNumber: customer.whatsapp_e164,
+      message,
+      pdfUrl
+    }
+  });
+});
@@ -1,5 +1,5 @@
 const db = require('../models');
-const { Asset, Invoice } = db;
+const { Asset, Invoice, InstallmentPlan, Installment, Customer } = db;
 const sequelize = db.sequelize;
 const { Op } = require('sequelize');
 const { canSeeCost } = require('../middleware/permissions');
@@ -39,6 +39,11 @@ exports.getMetrics = asyncHandler(async (req, res) => {
     }
   }) || 0;
 
+  // Layaway / BNPL plans behind on payments (see GET /dashboard/collections)
+  const installmentsOverdue = await InstallmentPlan.count({
+    where: { status: 'active', [Op.and]: [InstallmentPlan.overdueCondition()] }
+  });
+
   // Aging stock: <1 year, 1-2 years, >2 years (using purchase_date with created_at fallback)
   // Optionally filtered by category
   const agingCategoryFilter = req.query.category;
@@ -274,7 +279,8 @@ exports.getMetrics = asyncHandler(async (req, res) => {
       wipe_pending: 0,
       qc_pending: 0,
       preorders_sla_breach: 0,
-      repairs_open: inRepairAssets
+      repairs_open: inRepairAssets,
+      installments_overdue: installmentsOverdue
     },
     aging_stock: {
       under_1y: agingUnder1y,
@@ -292,6 +298,62 @@ exports.getMetrics = asyncHandler(async (req, res) => {
   res.json({ success: true, data });
 });
 
+/**
+ * GET /api/v1/dashboard/collections
+ * Collections queue: active installment plans with overdue installments,
+ * most overdue first, with overdue totals per currency
+ */
+exports.getCollections = asyncHandler(async (req, res) => {
+  const today = new Date().toISOString().slice(0, 10);
+
+  const plans = await InstallmentPlan.findAll({
+    where: { status: 'active', [Op.and]: [InstallmentPlan.overdueCondition()] },
+    include: [
+      { model: Installment, as: 'installments' },
+      { model: Invoice, as: 'invoice', attributes: ['id', 'invoice_number', 'balance_due'] },
+      { model: Customer, as: 'customer', attributes: ['id', 'first_name', 'last_name', 'company_name', 'phone_e164', 'whatsapp_e164'] }
+    ]
+  });
+
+  const queue = [];
+  const totalsMap = {};
+  for (const plan of plans) {
+    const overdue = plan.getOverdueSummary(today);
+    if (overdue.overdue_count === 0) continue;
+
+    queue.push({
+      plan_id: plan.id,
+      plan_number: plan.plan_number,
+      invoice_id: plan.invoice_id,
+      invoice_number: plan.invoice?.invoice_number,
+      customer_id: plan.customer_id,
+      customer_name: plan.customer ? plan.customer.getDisplayName() : null,
+      phone_e164: plan.customer?.phone_e164 || null,
+      whatsapp_e164: plan.customer?.whatsapp_e164 || null,
+      currency: plan.currency,
+      balance_due: parseFloat(plan.invoice?.balance_due) || 0,
+      ...overdue
+    });
+
+    if (!totalsMap[plan.currency]) {
+      totalsMap[plan.currency] = { currency: plan.currency, plan_count: 0, overdue_amount: 0 };
+    }
+    totalsMap[plan.currency].plan_count += 1;
+    totalsMap[plan.currency].overdue_amount = Math.round((totalsMap[plan.currency].overdue_amount + overdue.overdue_amount) * 100) / 100;
+  }
+
+  queue.sort((a, b) => b.days_overdue - a.days_overdue || b.overdue_amount - a.overdue_amount);
+
+  res.json({
+    success: true,
+    data: {
+      as_of: today,
+      queue,
+      totals: Object.values(totalsMap).sort((a, b) => a.currency.localeCompare(b.currency))
+    }
+  });
+});
+
 /**
  * GET /api/v1/dashboard/category-breakdown
  * Category → asset_type hierarchy with unit counts for treemap
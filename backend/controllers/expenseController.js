@@ -195,7 +195,8 @@ exports.create = asyncHandler(async (req, res) => {
   const dateObj = new Date(expense_date);
   const recognition_period = `${dateObj.getFullYear()}-${String(dateObj.getMonth() + 1).padStart(2, '0')}`;
 
-  const expense = await Expense.create({
+  // Together with its ledger posting (fails with PERIOD_CLOSED for a closed month)
+  const expense = await sequelize.transaction(transaction => Expense.create({
     expense_date,
     recognition_period,
     category_id,
@@ -209,7 +210,7 @@ exports.create = asyncHandler(async (req, res) => {
     source_type: 'manual',
     notes: notes || null,
     created_by: req.user.id
-  });
+  }, { transaction }));
 
   const full = await Expense.findByPk(expense.id, {
     include: [
@@ -287,7 +288,7 @@ exports.update = asyncHandler(async (req, res) => {
     updates.amount_usd = Math.round(amountUsd * 100) / 100;
   }
 
-  await expense.update(updates);
+  await sequelize.transaction(transaction => expense.update(updates, { transaction }));
 
   const full = await Expense.findByPk(expense.id, {
     include: [
@@ -311,7 +312,7 @@ exports.remove = asyncHandler(async (req, res) => {
     });
   }
 
-  await expense.destroy();
+  await sequelize.transaction(transaction => expense.destroy({ transaction }));
   res.json({ success: true, message: 'Expense deleted' });
 });
 
@@ -1,9 +1,12 @@
 /**
  * Financial Report Controller
- * Admin-only P&L, revenue vs expense, and profit reporting.
+ * Admin-only P&L, revenue vs expense, profit, tax liability and accounts
+ * payable aging reporting.
+ *
+ * Revenue is reported net of tax: taxes on invoices are owed to the GRA.
  */
 
-const { Invoice, Expense, ExpenseCategory, sequelize } = require('../models');
+const { Invoice, InvoicePayment, CustomerCreditApplication, Customer, Expense, ExpenseCategory, Supplier, SupplierBill, sequelize } = require('../models');
 const { Op, fn, col, literal, QueryTypes } = require('sequelize');
 
 const asyncHandler = handler => (req, res, next) => {
@@ -61,10 +64,10 @@ function getGranularity(startDate, endDate) {
 exports.profitAndLoss = asyncHandler(async (req, res) => {
   const { startDate, endDate } = parseDateRange(req.query);
 
-  // ─── Revenue (from non-cancelled invoices in period) ───
+  // ─── Revenue (from non-cancelled invoices in period, net of output tax) ───
   const revenueResult = await sequelize.query(`
     SELECT
-      COALESCE(SUM(total_amount), 0) as total_revenue,
+      COALESCE(SUM(total_amount - tax_amount), 0) as total_revenue,
       COALESCE(SUM(total_cost_amount), 0) as cost_of_goods_sold,
       COUNT(*) as invoice_count
     FROM invoices
@@ -122,7 +125,7 @@ exports.profitAndLoss = asyncHandler(async (req, res) => {
   const revenueByMonth = await sequelize.query(`
     SELECT
       DATE_TRUNC('month', invoice_date)::date as month,
-      COALESCE(SUM(total_amount), 0) as revenue,
+      COALESCE(SUM(total_amount - tax_amount), 0) as revenue,
       COALESCE(SUM(total_cost_amount), 0) as cogs
     FROM invoices
     WHERE invoice_date BETWEEN :startDate AND :endDate
@@ -149,12 +152,28 @@ exports.profitAndLoss = asyncHandler(async (req, res) => {
     type: QueryTypes.SELECT
   });
 
+  // ─── Realized FX gain/loss on supplier payments (GHS, by payment_date) ───
+  const fxByMonth = await sequelize.query(`
+    SELECT
+      TO_CHAR(sp.payment_date, 'YYYY-MM') as month,
+      COALESCE(SUM(sp.fx_gain_loss_ghs), 0) as fx_gain_loss
+    FROM supplier_payments sp
+    WHERE sp.payment_date BETWEEN :startDate AND :endDate
+      AND sp.voided_at IS NULL
+    GROUP BY TO_CHAR(sp.payment_date, 'YYYY-MM')
+    ORDER BY month ASC
+  `, {
+    replacements: { startDate, endDate },
+    type: QueryTypes.SELECT
+  });
+
   const totalRevenue = parseFloat(revenueResult[0].total_revenue) || 0;
   const collectedRevenue = parseFloat(collectedResult[0].collected_revenue) || 0;
   const cogs = parseFloat(revenueResult[0].cost_of_goods_sold) || 0;
   const totalExpenses = parseFloat(expenseResult[0].total_expenses) || 0;
   const grossProfit = totalRevenue - cogs;
-  const netProfit = grossProfit - totalExpenses;
+  const fxGainLoss = parseFloat(fxByMonth.reduce((sum, m) => sum + (parseFloat(m.fx_gain_loss) || 0), 0).toFixed(2));
+  const netProfit = grossProfit - totalExpenses + fxGainLoss;
   const netMargin = totalRevenue > 0 ? (netProfit / totalRevenue * 100) : 0;
 
   // Merge revenue and expense monthly data
@@ -165,22 +184,30 @@ exports.profitAndLoss = asyncHandler(async (req, res) => {
       month: key,
       revenue: parseFloat(r.revenue) || 0,
       cogs: parseFloat(r.cogs) || 0,
-      expenses: 0
+      expenses: 0,
+      fx_gain_loss: 0
     };
   }
   for (const e of expenseByMonth) {
     const key = e.month;
     if (!monthMap[key]) {
-      monthMap[key] = { month: key, revenue: 0, cogs: 0, expenses: 0 };
+      monthMap[key] = { month: key, revenue: 0, cogs: 0, expenses: 0, fx_gain_loss: 0 };
     }
     monthMap[key].expenses = parseFloat(e.expenses) || 0;
   }
+  for (const f of fxByMonth) {
+    const key = f.month;
+    if (!monthMap[key]) {
+      monthMap[key] = { month: key, revenue: 0, cogs: 0, expenses: 0, fx_gain_loss: 0 };
+    }
+    monthMap[key].fx_gain_loss = parseFloat(f.fx_gain_loss) || 0;
+  }
   const monthlyBreakdown = Object.values(monthMap)
     .sort((a, b) => a.month.localeCompare(b.month))
     .map(m => ({
       ...m,
       gross_profit: m.revenue - m.cogs,
-      net_profit: (m.revenue - m.cogs) - m.expenses
+      net_profit: (m.revenue - m.cogs) - m.expenses + m.fx_gain_loss
     }));
 
   res.json({
@@ -194,6 +221,7 @@ exports.profitAndLoss = asyncHandler(async (req, res) => {
         gross_profit: grossProfit,
         gross_margin: totalRevenue > 0 ? Math.round((grossProfit / totalRevenue) * 10000) / 100 : 0,
         total_expenses: totalExpenses,
+        realized_fx_gain_loss: fxGainLoss,
         net_profit: netProfit,
         net_margin: Math.round(netMargin * 100) / 100,
         invoice_count: parseInt(revenueResult[0].invoice_count) || 0,
@@ -221,7 +249,7 @@ exports.revenueVsExpense = asyncHandler(async (req, res) => {
   const revenue = await sequelize.query(`
     SELECT
       DATE_TRUNC('month', invoice_date)::date as month,
-      COALESCE(SUM(total_amount), 0) as amount
+      COALESCE(SUM(total_amount - tax_amount), 0) as amount
     FROM invoices
     WHERE invoice_date BETWEEN :startDate AND :endDate
       AND status != 'CANCELLED'
@@ -281,7 +309,7 @@ exports.summary = asyncHandler(async (req, res) => {
   // Current period revenue
   const rev = await sequelize.query(`
     SELECT
-      COALESCE(SUM(total_amount), 0) as revenue,
+      COALESCE(SUM(total_amount - tax_amount), 0) as revenue,
       COALESCE(SUM(total_cost_amount), 0) as cogs
     FROM invoices
     WHERE invoice_date BETWEEN :startDate AND :endDate
@@ -317,7 +345,7 @@ exports.summary = asyncHandler(async (req, res) => {
   const prevStart = new Date(prevEnd - durationMs);
 
   const prevRev = await sequelize.query(`
-    SELECT COALESCE(SUM(total_amount), 0) as revenue, COALESCE(SUM(total_cost_amount), 0) as cogs
+    SELECT COALESCE(SUM(total_amount - tax_amount), 0) as revenue, COALESCE(SUM(total_cost_amount), 0) as cogs
     FROM invoices WHERE invoice_date BETWEEN :startDate AND :endDate
       AND status != 'CANCELLED' AND is_deleted = false
   `, { replacements: { startDate: prevStart, endDate: prevEnd }, type: QueryTypes.SELECT });
@@ -352,3 +380,302 @@ exports.summary = asyncHandler(async (req, res) => {
     }
   });
 });
+
+/**
+ * GET /api/v1/financial-reports/tax-liability
+ * Output tax charged on invoices in the period, for VAT/levy filing — Admin only
+ *
+ * Taxes are grouped by code and invoice currency (amounts are not converted).
+ * Cancelled and deleted invoices are excluded.
+ */
+exports.taxLiability = asyncHandler(async (req, res) => {
+  const { startDate, endDate } = parseDateRange(req.query);
+
+  const byTax = await sequelize.query(`
+    SELECT
+      tl.code,
+      tl.name,
+      tl.rate_percent,
+      tl.is_compound,
+      i.currency,
+      COUNT(DISTINCT i.id) as invoice_count,
+      COALESCE(SUM(tl.taxable_amount), 0) as taxable_amount,
+      COALESCE(SUM(tl.tax_amount), 0) as tax_amount
+    FROM invoice_tax_lines tl
+    JOIN invoices i ON tl.invoice_id = i.id
+    WHERE i.invoice_date BETWEEN :startDate AND :endDate
+      AND i.status != 'CANCELLED'
+      AND i.is_deleted = false
+    GROUP BY tl.code, tl.name, tl.rate_percent, tl.is_compound, i.currency
+    ORDER BY i.currency, MIN(tl.sequence), tl.code
+  `, {
+    replacements: { startDate, endDate },
+    type: QueryTypes.SELECT
+  });
+
+  // Sales split by whether tax was charged
+  const sales = await sequelize.query(`
+    SELECT
+      currency,
+      COUNT(*) FILTER (WHERE tax_mode != 'none') as taxed_invoice_count,
+      COALESCE(SUM(total_amount - tax_amount) FILTER (WHERE tax_mode != 'none'), 0) as taxed_sales_net,
+      COALESCE(SUM(tax_amount), 0) as tax_collected,
+      COUNT(*) FILTER (WHERE tax_mode = 'none') as untaxed_invoice_count,
+      COALESCE(SUM(total_amount) FILTER (WHERE tax_mode = 'none'), 0) as untaxed_sales
+    FROM invoices
+    WHERE invoice_date BETWEEN :startDate AND :endDate
+      AND status != 'CANCELLED'
+      AND is_deleted = false
+    GROUP BY currency
+    ORDER BY currency
+  `, {
+    replacements: { startDate, endDate },
+    type: QueryTypes.SELECT
+  });
+
+  // Monthly totals per tax (GRA returns are filed monthly)
+  const byMonth = await sequelize.query(`
+    SELECT
+      DATE_TRUNC('month', i.invoice_date)::date as month,
+      tl.code,
+      i.currency,
+      COALESCE(SUM(tl.tax_amount), 0) as tax_amount
+    FROM invoice_tax_lines tl
+    JOIN invoices i ON tl.invoice_id = i.id
+    WHERE i.invoice_date BETWEEN :startDate AND :endDate
+      AND i.status != 'CANCELLED'
+      AND i.is_deleted = false
+    GROUP BY DATE_TRUNC('month', i.invoice_date), tl.code, i.currency
+    ORDER BY month ASC, tl.code
+  `, {
+    replacements: { startDate, endDate },
+    type: QueryTypes.SELECT
+  });
+
+  res.json({
+    success: true,
+    data: {
+      period: { startDate, endDate },
+      by_tax: byTax.map(t => ({
+        ...t,
+        rate_percent: parseFloat(t.rate_percent),
+        invoice_count: parseInt(t.invoice_count),
+        taxable_amount: parseFloat(t.taxable_amount),
+        tax_amount: parseFloat(t.tax_amount)
+      })),
+      sales: sales.map(s => ({
+        currency: s.currency,
+        taxed_invoice_count: parseInt(s.taxed_invoice_count),
+        taxed_sales_net: parseFloat(s.taxed_sales_net),
+        tax_collected: parseFloat(s.tax_collected),
+        untaxed_invoice_count: parseInt(s.untaxed_invoice_count),
+        untaxed_sales: parseFloat(s.untaxed_sales)
+      })),
+      monthly_breakdown: byMonth.map(m => ({
+        month: typeof m.month === 'string' ? m.month.substring(0, 7) : new Date(m.month).toISOString().substring(0, 7),
+        code: m.code,
+        currency: m.currency,
+        tax_amount: parseFloat(m.tax_amount)
+      }))
+    }
+  });
+});
+
+/**
+ * GET /api/v1/financial-reports/ap-aging
+ * What we owe suppliers, by how far past due — Admin only
+ *
+ * Query: as_of (YYYY-MM-DD, default today). Unpaid bill balances are bucketed
+ * by days past due date and totalled per supplier and currency. Amounts are
+ * in the bill currency; amount_ghs values use each bill's booked rate.
+ */
+exports.apAging = asyncHandler(async (req, res) => {
+  const asOf = req.query.as_of || new Date().toISOString().slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf) || isNaN(new Date(asOf))) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'as_of must be a date in YYYY-MM-DD format' }
+    });
+  }
+
+  const bills = await SupplierBill.findAll({
+    where: {
+      status: { [Op.in]: ['open', 'partially_paid'] },
+      bill_date: { [Op.lte]: asOf }
+    },
+    include: [{ model: Supplier, as: 'supplier', attributes: ['id', 'name', 'payment_terms_days'] }],
+    order: [['due_date', 'ASC']]
+  });
+
+  const emptyBuckets = () => Object.fromEntries(SupplierBill.AGING_BUCKETS.map(bucket => [bucket, 0]));
+  const round = n => Math.round(n * 100) / 100;
+
+  const supplierMap = {};
+  const totalsMap = {};
+  for (const bill of bills) {
+    const balance = bill.getBalance();
+    if (balance <= 0) continue;
+    const bucket = SupplierBill.agingBucket(bill.due_date, asOf);
+
+    const key = `${bill.supplier_id}:${bill.currency}`;
+    if (!supplierMap[key]) {
+      supplierMap[key] = {
+        supplier_id: bill.supplier_id,
+        supplier_name: bill.supplier?.name,
+        payment_terms_days: bill.supplier?.payment_terms_days,
+        currency: bill.currency,
+        bill_count: 0,
+        buckets: emptyBuckets(),
+        total: 0,
+        total_ghs: 0,
+        oldest_due_date: bill.due_date
+      };
+    }
+    const row = supplierMap[key];
+    row.bill_count += 1;
+    row.buckets[bucket] = round(row.buckets[bucket] + balance);
+    row.total = round(row.total + balance);
+    row.total_ghs = round(row.total_ghs + balance * bill.fx_rate);
+
+    if (!totalsMap[bill.currency]) {
+      totalsMap[bill.currency] = { currency: bill.currency, buckets: emptyBuckets(), total: 0, total_ghs: 0 };
+    }
+    const totals = totalsMap[bill.currency];
+    totals.buckets[bucket] = round(totals.buckets[bucket] + balance);
+    totals.total = round(totals.total + balance);
+    totals.total_ghs = round(totals.total_ghs + balance * bill.fx_rate);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      as_of: asOf,
+      buckets: SupplierBill.AGING_BUCKETS,
+      suppliers: Object.values(supplierMap).sort((a, b) => b.total_ghs - a.total_ghs),
+      totals: Object.values(totalsMap).sort((a, b) => a.currency.localeCompare(b.currency))
+    }
+  });
+});
+
+/**
+ * GET /api/v1/financial-reports/ar-aging
+ * What customers owe us, by how long it has been outstanding — Admin only
+ *
+ * Query: as_of (YYYY-MM-DD, default today). Each invoice's balance as it
+ * stood at the end of as_of — its total less payments and store credit, plus
+ * refunds, dated on or before then, the same arithmetic as the customer
+ * statement — is bucketed by days since invoice date and totalled per
+ * customer and currency; invoices without a customer are grouped as walk-in.
+ */
+exports.arAging = asyncHandler(async (req, res) => {
+  const asOf = req.query.as_of || new Date().toISOString().slice(0, 10);
+  const endOfDay = new Date(`${asOf}T23:59:59.999Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf) || isNaN(endOfDay)) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'as_of must be a date in YYYY-MM-DD format' }
+    });
+  }
+
+  // Invoices settled since as_of were still owing then, so they are
+  // picked up along with those owing now
+  const settledLater = await InvoicePayment.findAll({
+    attributes: ['invoice_id'],
+    where: { transaction_type: 'PAYMENT', voided_at: null, payment_date: { [Op.gt]: endOfDay } },
+    group: ['invoice_id'],
+    raw: true
+  });
+  const creditedLater = await CustomerCreditApplication.findAll({
+    attributes: ['invoice_id'],
+    where: { voided_at: null, applied_at: { [Op.gt]: endOfDay } },
+    group: ['invoice_id'],
+    raw: true
+  });
+  const laterIds = [...new Set([...settledLater, ...creditedLater].map(row => row.invoice_id))];
+
+  const invoices = await Invoice.findAll({
+    where: {
+      status: { [Op.ne]: 'CANCELLED' },
+      is_deleted: false,
+      invoice_date: { [Op.lte]: endOfDay },
+      [Op.or]: [
+        { balance_due: { [Op.gt]: 0 } },
+        ...(laterIds.length > 0 ? [{ id: { [Op.in]: laterIds } }] : [])
+      ]
+    },
+    include: [{ model: Customer, as: 'customer', attributes: ['id', 'first_name', 'last_name', 'company_name', 'phone_e164'] }],
+    order: [['invoice_date', 'ASC']]
+  });
+
+  const invoiceIds = invoices.map(invoice => invoice.id);
+  const settledBy = new Map();
+  if (invoiceIds.length > 0) {
+    const payments = await InvoicePayment.findAll({
+      attributes: ['invoice_id', 'transaction_type', [fn('SUM', col('amount')), 'total']],
+      where: { invoice_id: { [Op.in]: invoiceIds }, voided_at: null, payment_date: { [Op.lte]: endOfDay } },
+      group: ['invoice_id', 'transaction_type'],
+      raw: true
+    });
+    const applications = await CustomerCreditApplication.findAll({
+      attributes: ['invoice_id', [fn('SUM', col('amount_applied')), 'total']],
+      where: { invoice_id: { [Op.in]: invoiceIds }, voided_at: null, applied_at: { [Op.lte]: endOfDay } },
+      group: ['invoice_id'],
+      raw: true
+    });
+    for (const row of payments) {
+      const amount = parseFloat(row.total) || 0;
+      settledBy.set(row.invoice_id, (settledBy.get(row.invoice_id) || 0) + (row.transaction_type === 'REFUND' ? -amount : amount));
+    }
+    for (const row of applications) {
+      settledBy.set(row.invoice_id, (settledBy.get(row.invoice_id) || 0) + (parseFloat(row.total) || 0));
+    }
+  }
+
+  const emptyBuckets = () => Object.fromEntries(Invoice.AR_AGING_BUCKETS.map(bucket => [bucket, 0]));
+  const round = n => Math.round(n * 100) / 100;
+
+  const customerMap = {};
+  const totalsMap = {};
+  for (const invoice of invoices) {
+    const balance = round((parseFloat(invoice.total_amount) || 0) - (settledBy.get(invoice.id) || 0));
+    if (balance <= 0) continue;
+    const bucket = Invoice.agingBucket(invoice.invoice_date, asOf);
+
+    const key = `${invoice.customer_id || 'walk-in'}:${invoice.currency}`;
+    if (!customerMap[key]) {
+      customerMap[key] = {
+        customer_id: invoice.customer_id,
+        customer_name: invoice.customer ? invoice.customer.getDisplayName() : 'Walk-in',
+        phone_e164: invoice.customer?.phone_e164 || null,
+        currency: invoice.currency,
+        invoice_count: 0,
+        buckets: emptyBuckets(),
+        total: 0,
+        oldest_invoice_date: invoice.invoice_date
+      };
+    }
+    const row = customerMap[key];
+    row.invoice_count += 1;
+    row.buckets[bucket] = round(row.buckets[bucket] + balance);
+    row.total = round(row.total + balance);
+
+    if (!totalsMap[invoice.currency]) {
+      totalsMap[invoice.currency] = { currency: invoice.currency, buckets: emptyBuckets(), total: 0 };
+    }
+    const totals = totalsMap[invoice.currency];
+    totals.buckets[bucket] = round(totals.buckets[bucket] + balance);
+    totals.total = round(totals.total + balance);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      as_of: asOf,
+      buckets: Invoice.AR_AGING_BUCKETS,
+      customers: Object.values(customerMap).sort((a, b) =>
+        a.currency.localeCompare(b.currency) || b.total - a.total
+      ),
+      totals: Object.values(totalsMap).sort((a, b) => a.currency.localeCompare(b.currency))
+    }
+  });
+});
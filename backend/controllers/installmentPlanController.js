@@ -0,0 +1,462 @@
+/**
+ * Installment Plan Controller
+ *
+ * Layaway / BNPL plans on invoices.
+ *
+ * - Payments are still recorded on the invoice as usual; each one is
+ *   allocated to the oldest installment still owing.
+ * - The invoice's items stay reserved while the plan is active. The plan
+ *   completes when the invoice is paid.
+ * - Defaulting a plan cancels the invoice, releases its stock and turns
+ *   what the customer paid into store credit.
+ */
+
+const {
+  InstallmentPlan,
+  Installment,
+  Invoice,
+  InvoiceItem,
+  InvoicePayment,
+  InvoiceReturn,
+  Asset,
+  Customer,
+  CustomerCredit,
+  CustomerCreditApplication,
+  ActivityLog,
+  User,
+  sequelize
+} = require('../models');
+const { Op } = require('sequelize');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { buildSchedule } = require('../services/installmentPlanService');
+const { releaseInvoiceItems } = require('../services/inventoryAvailabilityService');
+
+const MAX_INSTALLMENTS = 52;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const round2 = n => Math.round(n * 100) / 100;
+
+function planIncludes() {
+  return [
+    { model: Installment, as: 'installments' },
+    { model: Invoice, as: 'invoice', attributes: ['id', 'invoice_number', 'invoice_date', 'status', 'currency', 'total_amount', 'amount_paid', 'balance_due', 'fulfillment_type'] },
+    { model: Customer, as: 'customer', attributes: ['id', 'first_name', 'last_name', 'company_name', 'phone_e164', 'whatsapp_e164'] },
+    { model: CustomerCredit, as: 'storeCredit', attributes: ['id', 'original_amount', 'remaining_amount', 'status'] },
+    { model: User, as: 'creator', attributes: ['id', 'full_name'] }
+  ];
+}
+
+async function loadPlan(id, transaction = null) {
+  // Row lock serializes plan changes against concurrent payments
+  const plan = await InstallmentPlan.findByPk(id, transaction ? { transaction, lock: true } : {});
+  if (!plan) {
+    throw new AppError('Installment plan not found', 404, 'NOT_FOUND');
+  }
+  return plan;
+}
+
+function serializePlan(plan) {
+  const installments = [...(plan.installments || [])].sort((a, b) => a.sequence - b.sequence);
+  const totalDue = installments.reduce((sum, inst) => sum + inst.amount_due, 0);
+  const totalPaid = installments.reduce((sum, inst) => sum + inst.amount_paid, 0);
+  const next = plan.status === 'active' ? installments.find(inst => inst.status !== 'paid') : null;
+
+  return {
+    ...plan.toJSON(),
+    installments: installments.map(inst => inst.toJSON()),
+    customer_name: plan.customer ? plan.customer.getDisplayName() : null,
+    status_label: plan.getStatusLabel(),
+    total_due: round2(totalDue),
+    total_paid: round2(totalPaid),
+    balance: round2(totalDue - totalPaid),
+    next_installment: next ? { sequence: next.sequence, due_date: next.due_date, amount: next.getBalance() } : null,
+    overdue: plan.getOverdueSummary()
+  };
+}
+
+async function fetchPlan(id) {
+  const plan = await InstallmentPlan.findByPk(id, { include: planIncludes() });
+  return serializePlan(plan);
+}
+
+function parseAmount(value, field) {
+  if (value === undefined || value === null || value === '') return 0;
+  const num = Number(value);
+  if (!Number.isFinite(num) || num < 0) {
+    throw new AppError(`${field} must be a number >= 0`, 400, 'VALIDATION_ERROR');
+  }
+  return round2(num);
+}
+
+/**
+ * GET /api/v1/installment-plans
+ * Query: status (comma-separated), customer_id, invoice_id, overdue=true,
+ *        page, limit
+ */
+exports.list = asyncHandler(async (req, res) => {
+  const { status, customer_id, invoice_id, page = 1, limit = 20 } = req.query;
+
+  const where = {};
+  if (customer_id) where.customer_id = customer_id;
+  if (invoice_id) where.invoice_id = invoice_id;
+  if (status) {
+    const statuses = status.split(',').map(s => s.trim()).filter(Boolean);
+    where.status = statuses.length === 1 ? statuses[0] : { [Op.in]: statuses };
+  }
+  if (req.query.overdue === 'true') {
+    where.status = 'active';
+    where[Op.and] = [InstallmentPlan.overdueCondition()];
+  }
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+  const { rows, count } = await InstallmentPlan.findAndCountAll({
+    where,
+    include: planIncludes(),
+    distinct: true,
+    order: [['created_at', 'DESC']],
+    limit: limitNum,
+    offset: (pageNum - 1) * limitNum
+  });
+
+  res.json({
+    success: true,
+    data: {
+      plans: rows.map(serializePlan),
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(count / limitNum)
+      }
+    }
+  });
+});
+
+/**
+ * GET /api/v1/installment-plans/:id
+ */
+exports.getById = asyncHandler(async (req, res) => {
+  await loadPlan(req.params.id);
+  res.json({
+    success: true,
+    data: { plan: await fetchPlan(req.params.id) }
+  });
+});
+
+/**
+ * POST /api/v1/installment-plans
+ * Body: invoice_id, installment_count, frequency (weekly|biweekly|monthly),
+ *       down_payment_amount, fee_amount, start_date, grace_days, notes
+ *
+ * The fee is added to the invoice as a line of its own. Payments already
+ * on the invoice count towards the down payment and earliest installments.
+ */
+exports.create = asyncHandler(async (req, res) => {
+  const { invoice_id, notes } = req.body;
+  if (!invoice_id) {
+    throw new AppError('invoice_id is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const count = Number(req.body.installment_count);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_INSTALLMENTS) {
+    throw new AppError(`installment_count must be a whole number from 1 to ${MAX_INSTALLMENTS}`, 400, 'VALIDATION_ERROR');
+  }
+  const frequency = req.body.frequency || 'monthly';
+  if (!InstallmentPlan.FREQUENCIES.includes(frequency)) {
+    throw new AppError(`frequency must be one of: ${InstallmentPlan.FREQUENCIES.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+  const downPayment = parseAmount(req.body.down_payment_amount, 'down_payment_amount');
+  const fee = parseAmount(req.body.fee_amount, 'fee_amount');
+  const graceDays = req.body.grace_days === undefined ? 0 : Number(req.body.grace_days);
+  if (!Number.isInteger(graceDays) || graceDays < 0) {
+    throw new AppError('grace_days must be a whole number >= 0', 400, 'VALIDATION_ERROR');
+  }
+  const startDate = req.body.start_date || new Date().toISOString().slice(0, 10);
+  if (!DATE_PATTERN.test(startDate)) {
+    throw new AppError('start_date must be a date in YYYY-MM-DD format', 400, 'VALIDATION_ERROR');
+  }
+
+  const t = await sequelize.transaction();
+  let plan;
+  let invoice;
+  try {
+    invoice = await Invoice.findByPk(invoice_id, { transaction: t, lock: true });
+    if (!invoice || invoice.is_deleted) {
+      throw new AppError('Invoice not found', 404, 'NOT_FOUND');
+    }
+    if (!['UNPAID', 'PARTIALLY_PAID'].includes(invoice.status)) {
+      throw new AppError('Only unpaid or partially paid invoices can be put on an installment plan', 400, 'INVALID_STATUS');
+    }
+    if (!invoice.customer_id) {
+      throw new AppError('Installment plans need a customer on the invoice', 400, 'CUSTOMER_REQUIRED');
+    }
+
+    const existing = await InstallmentPlan.findOne({
+      where: { invoice_id: invoice.id, status: { [Op.in]: ['active', 'completed'] } },
+      transaction: t
+    });
+    if (existing) {
+      throw new AppError(`Invoice is already on installment plan ${existing.plan_number}`, 409, 'PLAN_EXISTS');
+    }
+
+    let feeItem = null;
+    if (fee > 0) {
+      feeItem = await InvoiceItem.create({
+        invoice_id: invoice.id,
+        description: 'Installment plan fee',
+        quantity: 1,
+        unit_price_amount: fee,
+        unit_cost_amount: 0
+      }, { transaction: t });
+      await invoice.recalculateTotals(t);
+    }
+
+    const total = parseFloat(invoice.total_amount) || 0;
+    if (downPayment >= total) {
+      throw new AppError('down_payment_amount must be less than the invoice total', 400, 'VALIDATION_ERROR');
+    }
+
+    plan = await InstallmentPlan.create({
+      plan_number: await InstallmentPlan.generatePlanNumber(t),
+      invoice_id: invoice.id,
+      customer_id: invoice.customer_id,
+      currency: invoice.currency,
+      frequency,
+      installment_count: count,
+      start_date: startDate,
+      down_payment_amount: downPayment,
+      fee_amount: fee,
+      fee_invoice_item_id: feeItem?.id || null,
+      grace_days: graceDays,
+      notes: notes || null,
+      created_by: req.user.id
+    }, { transaction: t });
+
+    const schedule = buildSchedule({ total, downPayment, count, frequency, startDate });
+    await Installment.bulkCreate(
+      schedule.map(inst => ({ ...inst, installment_plan_id: plan.id })),
+      { transaction: t }
+    );
+
+    // Allocate payments already taken on the invoice
+    await InstallmentPlan.syncForInvoice(invoice, t);
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.INSTALLMENT_PLAN_CREATED,
+    entityType: ActivityLog.ENTITY_TYPES.INSTALLMENT_PLAN,
+    entityId: plan.id,
+    summary: `Installment plan ${plan.plan_number} set up on invoice ${invoice.invoice_number}: ${count} ${frequency} installments`,
+    metadata: {
+      planNumber: plan.plan_number,
+      invoiceId: invoice.id,
+      invoiceNumber: invoice.invoice_number,
+      downPayment,
+      fee,
+      total: parseFloat(invoice.total_amount),
+      currency: invoice.currency
+    }
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { plan: await fetchPlan(plan.id) },
+    message: `Installment plan ${plan.plan_number} created`
+  });
+});
+
+/**
+ * POST /api/v1/installment-plans/:id/cancel
+ * Body: reason
+ *
+ * Takes the invoice off the plan; it carries on as an ordinary invoice.
+ * The plan fee line is removed if nothing has been paid yet, otherwise it
+ * stays on the invoice.
+ */
+exports.cancel = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const t = await sequelize.transaction();
+  let plan;
+  let invoice;
+  let feeRemoved = false;
+  try {
+    plan = await loadPlan(req.params.id, t);
+    if (plan.status !== 'active') {
+      throw new AppError(`Only active plans can be cancelled (plan is ${plan.getStatusLabel().toLowerCase()})`, 400, 'INVALID_STATUS');
+    }
+    invoice = await Invoice.findByPk(plan.invoice_id, { transaction: t, lock: true });
+
+    plan.status = 'cancelled';
+    plan.cancelled_at = new Date();
+    plan.cancelled_by = req.user.id;
+    if (reason) {
+      plan.notes = plan.notes ? `${plan.notes}\nCancelled: ${reason}` : `Cancelled: ${reason}`;
+    }
+    await plan.save({ transaction: t });
+
+    if (plan.fee_invoice_item_id && invoice.status === 'UNPAID') {
+      await InvoiceItem.destroy({ where: { id: plan.fee_invoice_item_id }, transaction: t });
+      await invoice.recalculateTotals(t);
+      feeRemoved = true;
+    }
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.INSTALLMENT_PLAN_CANCELLED,
+    entityType: ActivityLog.ENTITY_TYPES.INSTALLMENT_PLAN,
+    entityId: plan.id,
+    summary: `Installment plan ${plan.plan_number} on invoice ${invoice.invoice_number} cancelled`,
+    metadata: { planNumber: plan.plan_number, invoiceId: invoice.id, reason: reason || null, feeRemoved }
+  });
+
+  res.json({
+    success: true,
+    data: { plan: await fetchPlan(plan.id), feeRemoved },
+    message: `Installment plan ${plan.plan_number} cancelled`
+  });
+});
+
+/**
+ * POST /api/v1/installment-plans/:id/default
+ * Body: reason (required)
+ *
+ * The customer has stopped paying: cancel the invoice, release its stock
+ * and issue store credit for what was paid (payments less refunds, plus
+ * store credit applied, less credit already issued for returns).
+ */
+exports.defaultPlan = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  if (!reason || !String(reason).trim()) {
+    throw new AppError('A reason is required to default a plan', 400, 'REASON_REQUIRED');
+  }
+  const userId = req.user.id;
+
+  const t = await sequelize.transaction();
+  let plan;
+  let invoice;
+  let credit = null;
+  let releasedItems;
+  try {
+    plan = await loadPlan(req.params.id, t);
+    if (plan.status !== 'active') {
+      throw new AppError(`Only active plans can be defaulted (plan is ${plan.getStatusLabel().toLowerCase()})`, 400, 'INVALID_STATUS');
+    }
+
+    invoice = await Invoice.findByPk(plan.invoice_id, { transaction: t, lock: true });
+    invoice.items = await InvoiceItem.findAll({
+      where: { invoice_id: invoice.id },
+      include: [{ model: Asset, as: 'asset' }],
+      transaction: t
+    });
+
+    const payments = await InvoicePayment.findAll({
+      where: { invoice_id: invoice.id, voided_at: null },
+      transaction: t
+    });
+    const applications = await CustomerCreditApplication.findAll({
+      where: { invoice_id: invoice.id, voided_at: null },
+      transaction: t
+    });
+    const returns = await InvoiceReturn.findAll({
+      where: { invoice_id: invoice.id },
+      attributes: ['id'],
+      transaction: t
+    });
+    const returnCredits = returns.length === 0 ? [] : await CustomerCredit.findAll({
+      where: { source_return_id: { [Op.in]: returns.map(r => r.id) }, voided_at: null },
+      transaction: t
+    });
+
+    const paid = payments.reduce((sum, p) => sum + (p.transaction_type === 'REFUND' ? -p.amount : p.amount), 0)
+      + applications.reduce((sum, a) => sum + a.amount_applied, 0)
+      - returnCredits.reduce((sum, c) => sum + c.original_amount, 0);
+    const creditAmount = Math.max(0, round2(paid));
+
+    const prevFulfillment = invoice.fulfillment_type || 'delivered';
+    const cancellationReason = `Installment plan ${plan.plan_number} defaulted: ${String(reason).trim()}`;
+    invoice.applyCancellation(userId, cancellationReason);
+    await invoice.save({ transaction: t });
+
+    releasedItems = await releaseInvoiceItems(invoice, {
+      transaction: t,
+      userId,
+      reason: cancellationReason,
+      fulfillmentType: prevFulfillment
+    });
+
+    if (creditAmount > 0) {
+      credit = await CustomerCredit.create({
+        customer_id: plan.customer_id,
+        currency: invoice.currency,
+        original_amount: creditAmount,
+        remaining_amount: creditAmount,
+        status: 'ACTIVE',
+        source_type: 'INSTALLMENT_PLAN',
+        created_by_user_id: userId
+      }, { transaction: t });
+    }
+
+    plan.status = 'defaulted';
+    plan.defaulted_at = new Date();
+    plan.defaulted_by = userId;
+    plan.default_reason = String(reason).trim();
+    plan.store_credit_id = credit?.id || null;
+    await plan.save({ transaction: t });
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.logInvoiceCancelled(invoice, userId, plan.default_reason);
+  await ActivityLog.log({
+    actorUserId: userId,
+    actionType: ActivityLog.ACTION_TYPES.INSTALLMENT_PLAN_DEFAULTED,
+    entityType: ActivityLog.ENTITY_TYPES.INSTALLMENT_PLAN,
+    entityId: plan.id,
+    summary: `Installment plan ${plan.plan_number} defaulted; invoice ${invoice.invoice_number} cancelled` +
+      (credit ? ` and ${credit.currency} ${credit.original_amount.toFixed(2)} issued as store credit` : ''),
+    metadata: {
+      planNumber: plan.plan_number,
+      invoiceId: invoice.id,
+      invoiceNumber: invoice.invoice_number,
+      reason: plan.default_reason,
+      storeCreditId: credit?.id || null,
+      storeCreditAmount: credit?.original_amount || 0,
+      releasedItemsCount: releasedItems.length
+    }
+  });
+  if (credit) {
+    const customer = await Customer.findByPk(plan.customer_id);
+    await ActivityLog.logStoreCreditCreated(credit, customer, userId);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      plan: await fetchPlan(plan.id),
+      storeCredit: credit,
+      releasedItemsCount: releasedItems.length,
+      releasedItems
+    },
+    message: credit
+      ? `Plan defaulted. ${credit.currency} ${credit.original_amount.toFixed(2)} issued as store credit.`
+      : 'Plan defaulted. Nothing had been paid, so no store credit was issued.'
+  });
+});
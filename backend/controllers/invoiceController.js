@@ -4,12 +4,13 @@
  * CRUD operations for invoices with payments and inventory locking
  */
 
-const { Invoice, InvoiceItem, InvoicePayment, Customer, Asset, AssetUnit, User, CompanyProfile, ActivityLog, InventoryItemEvent, CustomerCreditApplication, CustomerCredit, InvoiceReturn, InvoiceAdjustment, DescriptionMapping, sequelize } = require('../models');
+const { Invoice, InvoiceItem, InvoicePayment, Customer, Asset, AssetUnit, User, CompanyProfile, ActivityLog, InventoryItemEvent, CustomerCreditApplication, CustomerCredit, CustomerWarranty, InvoiceReturn, StockMovement, InvoiceAdjustment, DescriptionMapping, ProductModel, InvoiceTaxLine, InstallmentPlan, Promotion, InvoicePromotion, sequelize } = require('../models');
 const { Op } = require('sequelize');
 const { sanitizeInvoiceForRole, canSeeCost, canEditInvoices, canVoidInvoices } = require('../middleware/permissions');
 const exchangeRateService = require('../services/exchangeRateService');
-const { checkAndReserve, computeAvailability } = require('../services/inventoryAvailabilityService');
+const { checkAndReserve, computeAvailability, assetsAtLocationSql, releaseInvoiceItems, getHeldQuantities, getInTransitQuantities } = require('../services/inventoryAvailabilityService');
 const invoicePdfService = require('../services/invoicePdfService');
+const notificationService = require('../services/notificationService');
 const path = require('path');
 const fs = require('fs');
 
@@ -77,6 +78,7 @@ async function recalculateInvoiceTotals(invoice, dbTransaction = null) {
   }
 
   await invoice.save(queryOptions);
+  await InstallmentPlan.syncForInvoice(invoice, dbTransaction);
 
   return {
     paymentsSum,
@@ -288,8 +290,15 @@ exports.getById = asyncHandler(async (req, res) => {
           { model: User, as: 'receivedBy', attributes: ['id', 'full_name'] }
         ],
         order: [['payment_date', 'DESC']]
+      },
+      { model: InvoiceTaxLine, as: 'taxLines' },
+      {
+        model: InvoicePromotion,
+        as: 'promotions',
+        include: [{ model: Promotion, as: 'promotion', attributes: ['id', 'code', 'name', 'discount_type', 'discount_value', 'scope'] }]
       }
-    ]
+    ],
+    order: [[{ model: InvoiceTaxLine, as: 'taxLines' }, 'sequence', 'ASC']]
   });
 
   if (!invoice) {
@@ -322,11 +331,20 @@ exports.create = asyncHandler(async (req, res) => {
     invoiceDate, invoice_date,
     currency = 'GHS',
     fulfillment_type = 'delivered',
+    taxMode, tax_mode,
     notes
   } = req.body;
 
   const _customerId = customerId || customer_id;
   const _invoiceDate = invoiceDate || invoice_date || new Date();
+  const _taxMode = taxMode || tax_mode;
+
+  if (_taxMode && !Invoice.TAX_MODES.includes(_taxMode)) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVALID_TAX_MODE', message: `Tax mode must be one of: ${Invoice.TAX_MODES.join(', ')}` }
+    });
+  }
 
   // Validate customer exists if provided
   if (_customerId) {
@@ -349,6 +367,7 @@ exports.create = asyncHandler(async (req, res) => {
     status: 'UNPAID', // Always UNPAID on creation
     currency,
     fulfillment_type: ['delivered', 'held'].includes(fulfillment_type) ? fulfillment_type : 'delivered',
+    tax_mode: _taxMode || await CompanyProfile.getDefaultTaxMode(),
     notes,
     amount_paid: 0,
     balance_due: 0, // Will be updated when items are added
@@ -394,9 +413,18 @@ exports.update = asyncHandler(async (req, res) => {
     invoiceDate, invoice_date,
     currency,
     fulfillment_type,
+    taxMode, tax_mode,
     notes
   } = req.body;
 
+  const _taxMode = taxMode !== undefined ? taxMode : tax_mode;
+  if (_taxMode !== undefined && !Invoice.TAX_MODES.includes(_taxMode)) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVALID_TAX_MODE', message: `Tax mode must be one of: ${Invoice.TAX_MODES.join(', ')}` }
+    });
+  }
+
   const invoice = await Invoice.findByPk(id);
 
   if (!invoice) {
@@ -450,6 +478,11 @@ exports.update = asyncHandler(async (req, res) => {
     invoice.fulfillment_type = fulfillment_type;
   }
 
+  if (_taxMode !== undefined && _taxMode !== invoice.tax_mode) {
+    changes.tax_mode = { from: invoice.tax_mode, to: _taxMode };
+    invoice.tax_mode = _taxMode;
+  }
+
   if (notes !== undefined) {
     changes.notes = { from: invoice.notes, to: notes };
     invoice.notes = notes;
@@ -458,6 +491,11 @@ exports.update = asyncHandler(async (req, res) => {
   invoice.updated_by = req.user?.id;
   await invoice.save();
 
+  // Tax mode and invoice date (rates in force) both change the tax lines
+  if (changes.tax_mode || (changes.invoice_date && invoice.tax_mode !== 'none')) {
+    await invoice.recalculateTotals();
+  }
+
   // Log the edit
   await ActivityLog.log({
     actorUserId: req.user.id,
@@ -472,7 +510,8 @@ exports.update = asyncHandler(async (req, res) => {
   await invoice.reload({
     include: [
       { model: Customer, as: 'customer' },
-      { model: InvoiceItem, as: 'items' }
+      { model: InvoiceItem, as: 'items' },
+      { model: InvoiceTaxLine, as: 'taxLines' }
     ]
   });
 
@@ -485,7 +524,9 @@ exports.update = asyncHandler(async (req, res) => {
 
 /**
  * POST /api/v1/invoices/:id/items
- * Add inventory item to invoice
+ * Add inventory item to invoice. Serialized units carry a warranty tier
+ * (warranty_tier, default Standard) that their warranty is issued on once
+ * the invoice is paid.
  */
 exports.addItem = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -508,12 +549,14 @@ exports.addItem = asyncHandler(async (req, res) => {
     assetId, asset_id,
     unitPrice, unit_price,
     quantity = 1,
-    asset_unit_id, assetUnitId
+    asset_unit_id, assetUnitId,
+    warranty_tier, warrantyTier
   } = req.body;
 
   const _assetId = assetId || asset_id;
   const _unitPrice = unitPrice || unit_price;
   const _assetUnitId = asset_unit_id || assetUnitId;
+  const _warrantyTier = warranty_tier || warrantyTier;
 
   if (!_assetId) {
     return res.status(400).json({
@@ -522,6 +565,13 @@ exports.addItem = asyncHandler(async (req, res) => {
     });
   }
 
+  if (_warrantyTier && !CustomerWarranty.TIERS[_warrantyTier]) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVALID_WARRANTY_TIER', message: `Warranty tier must be one of: ${Object.keys(CustomerWarranty.TIERS).join(', ')}` }
+    });
+  }
+
   const invoice = await Invoice.findByPk(id);
 
   if (!invoice) {
@@ -624,6 +674,7 @@ exports.addItem = asyncHandler(async (req, res) => {
         invoice_id: id,
         asset_id: _assetId,
         asset_unit_id: unit.id,
+        warranty_tier: _warrantyTier || CustomerWarranty.DEFAULT_TIER,
         description,
         quantity: 1,
         unit_price_amount: sellingPrice,
@@ -763,8 +814,13 @@ exports.addItem = asyncHandler(async (req, res) => {
     // Decrement non-serialized quantity if item physically leaves the shelf
     // Held (layaway) invoices keep items in store — don't decrement
     if (!asset.is_serialized && invoice.fulfillment_type !== 'held') {
-      asset.quantity = Math.max((asset.quantity || 0) - quantity, 0);
-      await asset.save({ transaction });
+      const onHand = asset.quantity || 0;
+      await StockMovement.record(asset, Math.max(onHand - quantity, 0) - onHand, 'sale', {
+        referenceType: 'invoice',
+        referenceId: invoice.id,
+        notes: `Added to invoice ${invoice.invoice_number}`,
+        userId: req.user?.id
+      }, transaction);
     }
 
     // Update asset computed status
@@ -1184,6 +1240,153 @@ exports.updateInvoiceDiscount = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * POST /api/v1/invoices/:id/promotions
+ * Redeem a promotion by code or promotion_id. Promotions are set up by
+ * admins, so max_discount_percent does not apply to them.
+ */
+exports.applyPromotion = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { code, promotion_id, promotionId } = req.body;
+  const _promotionId = promotion_id || promotionId;
+
+  if (!code && !_promotionId) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'code or promotion_id is required' }
+    });
+  }
+
+  const invoice = await Invoice.findByPk(id);
+
+  if (!invoice) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Invoice not found' }
+    });
+  }
+
+  // Sales users can only modify their own invoices
+  if (req.user.role === 'Sales' && invoice.created_by !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      error: { code: 'FORBIDDEN', message: 'You can only modify your own invoices' }
+    });
+  }
+
+  if (['PAID', 'CANCELLED'].includes(invoice.status)) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVOICE_LOCKED', message: 'Cannot apply promotions to paid or cancelled invoices' }
+    });
+  }
+
+  const promotion = code ? await Promotion.findByCode(code) : await Promotion.findByPk(_promotionId);
+
+  if (!promotion) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'PROMOTION_NOT_FOUND', message: 'Promotion not found' }
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+  let redemption;
+
+  try {
+    redemption = await promotion.redeemOn(invoice, { userId: req.user.id, transaction });
+    await transaction.commit();
+  } catch (err) {
+    if (!transaction.finished) await transaction.rollback();
+    if (!err.code || !err.code.startsWith('PROMOTION_')) throw err;
+    return res.status(400).json({
+      success: false,
+      error: { code: err.code, message: err.message }
+    });
+  }
+
+  invoice.updated_by = req.user.id;
+  await invoice.recalculateTotals();
+  await redemption.reload();
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: 'INVOICE_UPDATED',
+    entityType: 'INVOICE',
+    entityId: invoice.id,
+    summary: `Promotion ${promotion.code || promotion.name} applied to ${invoice.invoice_number}: -${redemption.discount_amount}`,
+    metadata: { invoiceNumber: invoice.invoice_number, promotionId: promotion.id, code: promotion.code, discount_amount: redemption.discount_amount }
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { redemption, invoice },
+    message: 'Promotion applied'
+  });
+});
+
+/**
+ * DELETE /api/v1/invoices/:id/promotions/:promotionId
+ * Take a promotion off an invoice
+ */
+exports.removePromotion = asyncHandler(async (req, res) => {
+  const { id, promotionId } = req.params;
+
+  const invoice = await Invoice.findByPk(id);
+
+  if (!invoice) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Invoice not found' }
+    });
+  }
+
+  // Sales users can only modify their own invoices
+  if (req.user.role === 'Sales' && invoice.created_by !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      error: { code: 'FORBIDDEN', message: 'You can only modify your own invoices' }
+    });
+  }
+
+  if (['PAID', 'CANCELLED'].includes(invoice.status)) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVOICE_LOCKED', message: 'Cannot remove promotions from paid or cancelled invoices' }
+    });
+  }
+
+  const redemption = await InvoicePromotion.findOne({
+    where: { invoice_id: invoice.id, promotion_id: promotionId }
+  });
+
+  if (!redemption) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'This promotion is not on the invoice' }
+    });
+  }
+
+  await redemption.destroy();
+  invoice.updated_by = req.user.id;
+  await invoice.recalculateTotals();
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: 'INVOICE_UPDATED',
+    entityType: 'INVOICE',
+    entityId: invoice.id,
+    summary: `Promotion ${redemption.code || redemption.promotion_id} removed from ${invoice.invoice_number}`,
+    metadata: { invoiceNumber: invoice.invoice_number, promotionId: redemption.promotion_id, code: redemption.code }
+  });
+
+  res.json({
+    success: true,
+    data: { invoice },
+    message: 'Promotion removed'
+  });
+});
+
 /**
  * DELETE /api/v1/invoices/:id/items/:itemId
  * Remove item from invoice
@@ -1266,8 +1469,12 @@ exports.removeItem = asyncHandler(async (req, res) => {
     // Restore non-serialized quantity (item back on the shelf)
     // Only restore if it was decremented (delivered invoices only)
     if (assetRef && !assetRef.is_serialized && invoice.fulfillment_type !== 'held') {
-      assetRef.quantity = (assetRef.quantity || 0) + removedQuantity;
-      await assetRef.save({ transaction });
+      await StockMovement.record(assetRef, removedQuantity, 'sale_reversal', {
+        referenceType: 'invoice',
+        referenceId: invoice.id,
+        notes: `Removed from invoice ${invoice.invoice_number}`,
+        userId: req.user?.id
+      }, transaction);
     }
 
     // Delete the item
@@ -1435,8 +1642,12 @@ exports.voidItem = asyncHandler(async (req, res) => {
     // Restore non-serialized quantity (was decremented on addItem, item going back on shelf)
     if (item.asset) {
       if (!item.asset.is_serialized) {
-        item.asset.quantity += quantityToVoid;
-        await item.asset.save({ transaction: dbTransaction });
+        await StockMovement.record(item.asset, quantityToVoid, 'sale_reversal', {
+          referenceType: 'invoice',
+          referenceId: invoice.id,
+          notes: `Item voided on invoice ${invoice.invoice_number}: ${reason.trim()}`,
+          userId
+        }, dbTransaction);
       }
       await item.asset.updateComputedStatus(dbTransaction);
     }
@@ -1677,15 +1888,16 @@ exports.createTransaction = asyncHandler(async (req, res) => {
       }
     }
 
-    // Log activity
+    await dbTransaction.commit();
+
+    // Log activity once committed: its webhook and customer notification read
+    // the payment back
     if (_transactionType === 'PAYMENT') {
       await ActivityLog.logPaymentReceived(txRecord, invoice, req.user?.id);
     } else {
       await ActivityLog.logRefundRecorded(txRecord, invoice, req.user?.id);
     }
 
-    await dbTransaction.commit();
-
     // Reload transaction with user
     await txRecord.reload({
       include: [
@@ -2078,88 +2290,34 @@ exports.cancel = asyncHandler(async (req, res) => {
     });
   }
 
+  // Layaway stock is released through the plan (default or cancel it first)
+  const activePlan = await InstallmentPlan.findOne({ where: { invoice_id: invoice.id, status: 'active' } });
+  if (activePlan) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'INSTALLMENT_PLAN_ACTIVE',
+        message: `Invoice is on installment plan ${activePlan.plan_number}. Cancel or default the plan first.`
+      }
+    });
+  }
+
   const prevStatus = invoice.status;
   const prevFulfillment = invoice.fulfillment_type || 'delivered';
   const dbTransaction = await sequelize.transaction();
 
   try {
     // Set invoice to CANCELLED first so asset status queries exclude this invoice
-    invoice.status = 'CANCELLED';
-    invoice.subtotal_amount = 0;
-    invoice.total_amount = 0;
-    invoice.balance_due = 0;
-    invoice.amount_paid = 0;
-    invoice.total_cost_amount = 0;
-    invoice.total_profit_amount = 0;
-    invoice.margin_percent = null;
-    invoice.cancelled_at = new Date();
-    invoice.cancelled_by_user_id = userId;
-    invoice.cancellation_reason = reason || null;
-    invoice.updated_by = userId;
+    invoice.applyCancellation(userId, reason);
     await invoice.save({ transaction: dbTransaction });
 
-    const releasedItems = [];
-
-    // Update asset statuses — CANCELLED invoices are automatically excluded from reserved count
-    for (const item of invoice.items) {
-      if (item.asset && !item.voided_at) {
-        const previousStatus = item.asset.status;
-
-        // Revert serialized unit status to Available — but only if unit is still on THIS invoice
-        if (item.asset_unit_id) {
-          const unit = await AssetUnit.findByPk(item.asset_unit_id, { transaction: dbTransaction });
-          if (unit && ['Reserved', 'Sold'].includes(unit.status)) {
-            // Skip if unit has been reassigned to a different invoice (e.g. via exchange)
-            const isStillOnThisInvoice = !unit.invoice_item_id || unit.invoice_item_id === item.id;
-            if (isStillOnThisInvoice) {
-              unit.status = 'Available';
-              unit.sold_date = null;
-              unit.invoice_item_id = null;
-              await unit.save({ transaction: dbTransaction });
-            }
-          }
-        }
-
-        // Restore non-serialized quantity (was decremented on addItem for delivered invoices)
-        if (!item.asset.is_serialized && prevFulfillment !== 'held') {
-          const unreturned = item.quantity - (item.quantity_returned_total || 0);
-          if (unreturned > 0) {
-            item.asset.quantity += unreturned;
-            await item.asset.save({ transaction: dbTransaction });
-          }
-        }
-
-        // Update computed status (will go back to 'In Stock' if no other active items)
-        await item.asset.updateComputedStatus(dbTransaction);
-
-        const newStatus = item.asset.status;
-
-        // Log invoice cancelled event
-        await InventoryItemEvent.logInvoiceCancelled(
-          item.asset,
-          invoice,
-          reason,
-          userId,
-          dbTransaction
-        );
-
-        // Log inventory released event
-        await InventoryItemEvent.logInvoiceCancelledInventoryReleased(
-          item.asset,
-          invoice,
-          newStatus,
-          userId,
-          dbTransaction
-        );
-
-        releasedItems.push({
-          assetId: item.asset.id,
-          assetTag: item.asset.asset_tag,
-          previousStatus,
-          newStatus
-        });
-      }
-    }
+    // CANCELLED invoices are automatically excluded from reserved count
+    const releasedItems = await releaseInvoiceItems(invoice, {
+      transaction: dbTransaction,
+      userId,
+      reason,
+      fulfillmentType: prevFulfillment
+    });
 
     // Log activity
     await ActivityLog.logInvoiceCancelled(invoice, userId, reason);
@@ -2287,10 +2445,11 @@ exports.delete = asyncHandler(async (req, res) => {
 
 /**
  * GET /api/v1/invoices/available-assets
- * Get inventory items available for invoicing
+ * Get inventory items available for invoicing: not reserved on open invoices,
+ * held in website carts or on the road between locations
  */
 exports.getAvailableAssets = asyncHandler(async (req, res) => {
-  const { search, category, limit = 20, excludeInvoiceId } = req.query;
+  const { search, category, limit = 20, excludeInvoiceId, locationId } = req.query;
 
   // Use subquery to compute available quantity from invoice_items
   // When excludeInvoiceId is provided, that invoice's items are excluded from
@@ -2309,13 +2468,30 @@ exports.getAvailableAssets = asyncHandler(async (req, res) => {
     replacements.category = category;
   }
 
+  // Only stock on hand at one location; location_quantity is capped by overall availability
+  let locationClause = '';
+  let locationSelect = '';
+  if (locationId) {
+    locationClause = `AND a.id IN ${assetsAtLocationSql(':locationId')}`;
+    locationSelect = `,
+            CASE WHEN a.is_serialized = true THEN
+              (SELECT COUNT(*) FROM asset_units au WHERE au.asset_id = a.id AND au.status = 'Available' AND au.location_id = :locationId)
+            ELSE
+              LEAST(
+                COALESCE((SELECT ls.quantity FROM location_stocks ls WHERE ls.asset_id = a.id AND ls.location_id = :locationId), 0),
+                a.quantity - COALESCE(reserved.total, 0)
+              )
+            END AS location_quantity`;
+    replacements.locationId = parseInt(locationId, 10) || 0;
+  }
+
   let excludeInvoiceClause = '';
   if (excludeInvoiceId) {
     excludeInvoiceClause = `AND i.id != :excludeInvoiceId`;
     replacements.excludeInvoiceId = excludeInvoiceId;
   }
 
-  const [assets] = await sequelize.query(
+  let [assets] = await sequelize.query(
     `SELECT a.id, a.asset_tag, a.make, a.model, a.serial_number,
             a.condition, a.status, a.quantity, a.is_serialized,
             a.cost_amount, a.cost_currency,
@@ -2327,7 +2503,7 @@ exports.getAvailableAssets = asyncHandler(async (req, res) => {
               (SELECT COUNT(*) FROM asset_units au WHERE au.asset_id = a.id AND au.status = 'Available')
             ELSE
               (a.quantity - COALESCE(reserved.total, 0))
-            END AS available_quantity
+            END AS available_quantity${locationSelect}
      FROM assets a
      LEFT JOIN (
        SELECT ii.asset_id, SUM(ii.quantity) AS total
@@ -2347,6 +2523,7 @@ exports.getAvailableAssets = asyncHandler(async (req, res) => {
        )
        ${searchClause}
        ${categoryClause}
+       ${locationClause}
      ORDER BY a.created_at DESC
      LIMIT :limit`,
     {
@@ -2354,6 +2531,23 @@ exports.getAvailableAssets = asyncHandler(async (req, res) => {
     }
   );
 
+  // Take out stock held in website carts and, for bulk items, quantity on the
+  // road between locations (In Transit units are already not Available)
+  const assetIds = assets.map(a => a.id);
+  const heldMap = await getHeldQuantities(assetIds);
+  const inTransitMap = await getInTransitQuantities(assetIds.filter((id, i) => !assets[i].is_serialized));
+  for (const asset of assets) {
+    const held = heldMap.get(asset.id) || 0;
+    const inTransit = inTransitMap.get(asset.id) || 0;
+    asset.held_quantity = held;
+    asset.in_transit_quantity = inTransit;
+    asset.available_quantity = Math.max(0, (parseInt(asset.available_quantity, 10) || 0) - held - inTransit);
+    if (asset.location_quantity !== undefined) {
+      asset.location_quantity = Math.min(parseInt(asset.location_quantity, 10) || 0, asset.available_quantity);
+    }
+  }
+  assets = assets.filter(a => a.available_quantity > 0);
+
   // When search matched unit SNs, attach the matched units to each serialized asset
   if (search) {
     const serializedIds = assets.filter(a => a.is_serialized).map(a => a.id);
@@ -2366,8 +2560,9 @@ exports.getAvailableAssets = asyncHandler(async (req, res) => {
                 cs.id as condition_id, cs.name as condition_name, cs.color as condition_color
          FROM asset_units au
          LEFT JOIN condition_statuses cs ON au.condition_status_id = cs.id
-         WHERE au.asset_id IN (:ids) AND au.serial_number ILIKE :search AND au.status = 'Available'`,
-        { replacements: { ids: serializedIds, search: `%${search}%` } }
+         WHERE au.asset_id IN (:ids) AND au.serial_number ILIKE :search AND au.status = 'Available'
+           ${locationId ? 'AND au.location_id = :locationId' : ''}`,
+        { replacements: { ids: serializedIds, search: `%${search}%`, ...(locationId ? { locationId: replacements.locationId } : {}) } }
       );
       const unitsByAssetId = {};
       for (const u of matchedUnits) {
@@ -2424,8 +2619,10 @@ exports.generatePdf = asyncHandler(async (req, res) => {
           { model: User, as: 'receivedBy', attributes: ['id', 'full_name'] }
         ],
         order: [['payment_date', 'DESC']]
-      }
-    ]
+      },
+      { model: InvoiceTaxLine, as: 'taxLines' }
+    ],
+    order: [[{ model: InvoiceTaxLine, as: 'taxLines' }, 'sequence', 'ASC']]
   });
 
   if (!invoice) {
@@ -2520,8 +2717,10 @@ exports.downloadPdf = asyncHandler(async (req, res) => {
         model: InvoicePayment,
         as: 'payments',
         include: [{ model: User, as: 'receivedBy', attributes: ['id', 'full_name'] }]
-      }
-    ]
+      },
+      { model: InvoiceTaxLine, as: 'taxLines' }
+    ],
+    order: [[{ model: InvoiceTaxLine, as: 'taxLines' }, 'sequence', 'ASC']]
   });
 
   if (!invoice) {
@@ -2603,8 +2802,10 @@ exports.getWhatsAppLink = asyncHandler(async (req, res) => {
 
   const invoice = await Invoice.findByPk(id, {
     include: [
-      { model: Customer, as: 'customer' }
-    ]
+      { model: Customer, as: 'customer' },
+      { model: InvoiceTaxLine, as: 'taxLines' }
+    ],
+    order: [[{ model: InvoiceTaxLine, as: 'taxLines' }, 'sequence', 'ASC']]
   });
 
   if (!invoice) {
@@ -2712,6 +2913,55 @@ exports.getWhatsAppLink = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * POST /api/v1/invoices/:id/notify
+ * Send the invoice to the customer by SMS, WhatsApp and email as set up in
+ * notification templates. For invoices built up item by item, which are not
+ * sent when created.
+ */
+exports.notifyCustomer = asyncHandler(async (req, res) => {
+  const invoice = await Invoice.findByPk(req.params.id);
+
+  if (!invoice) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Invoice not found' }
+    });
+  }
+
+  if (!invoice.customer_id) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'NO_CUSTOMER', message: 'Invoice has no customer to notify' }
+    });
+  }
+
+  if (invoice.status === 'CANCELLED') {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVOICE_CANCELLED', message: 'Cannot send a cancelled invoice' }
+    });
+  }
+
+  const logs = await notificationService.notifyInvoiceIssued(invoice);
+
+  if (logs.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'NOTHING_SENT',
+        message: 'No message could be sent: the customer has no contact details for an active channel, or has opted out'
+      }
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { channels: logs.map(log => log.channel), notifications: logs },
+    message: `Invoice sent by ${logs.map(log => log.channel).join(', ')}`
+  });
+});
+
 /**
  * POST /api/v1/invoices/:id/items/:itemId/link-asset
  * Manually link an invoice item to an asset (and optionally save the mapping)
@@ -2754,11 +3004,20 @@ exports.linkItemAsset = asyncHandler(async (req, res) => {
   // Update the item's asset_id
   await item.update({ asset_id });
 
-  // Optionally save the description → asset mapping for future auto-matching
+  // Optionally save the description → asset mapping for future auto-matching.
+  // The mapping also records the catalog model so reports can group lines
+  // carrying this description even when they are not linked to an asset.
   if (save_mapping && item.description && DescriptionMapping) {
+    let productModelId = asset.product_model_id;
+    if (!productModelId) {
+      const match = await ProductModel.resolveDescription(item.description);
+      productModelId = match ? match.productModel.id : null;
+    }
+
     await DescriptionMapping.upsert({
       description: item.description,
       asset_id,
+      product_model_id: productModelId,
       match_type: 'manual'
     });
   }
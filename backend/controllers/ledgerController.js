@@ -0,0 +1,402 @@
+/**
+ * Ledger Controller
+ *
+ * Chart of accounts, journal entries, trial balance, balance sheet and
+ * period closing (Admin only). Entries from payments, returns, store
+ * credit, write-offs and expenses are posted automatically — see
+ * services/ledgerService.js; manual entries cover opening balances and
+ * adjustments.
+ */
+
+const { LedgerAccount, JournalEntry, JournalLine, AccountingPeriod, User, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const ledgerService = require('../services/ledgerService');
+
+const entryIncludes = [
+  {
+    model: JournalLine,
+    as: 'lines',
+    include: [{ model: LedgerAccount, as: 'account', attributes: ['id', 'code', 'name', 'type'] }]
+  },
+  { model: User, as: 'creator', attributes: ['id', 'full_name'] }
+];
+
+/**
+ * ?as_of=YYYY-MM-DD, defaulting to today
+ */
+function parseAsOf(query) {
+  if (!query.as_of) return ledgerService.toDateOnly(new Date());
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(query.as_of) || isNaN(new Date(query.as_of).getTime())) {
+    throw new AppError('as_of must be a date (YYYY-MM-DD)', 400, 'VALIDATION_ERROR');
+  }
+  return query.as_of;
+}
+
+function parsePeriodParam(period) {
+  if (!ledgerService.isValidPeriod(period)) {
+    throw new AppError('Period must be YYYY-MM', 400, 'VALIDATION_ERROR');
+  }
+  return period;
+}
+
+// ─── Accounts ───
+
+/**
+ * GET /api/v1/ledger/accounts
+ * Chart of accounts with current balances
+ */
+exports.listAccounts = asyncHandler(async (req, res) => {
+  const [accounts, totals] = await Promise.all([
+    LedgerAccount.findAll({ order: [['code', 'ASC']] }),
+    ledgerService.accountTotals()
+  ]);
+  const totalsById = new Map(totals.map(t => [t.id, t]));
+
+  res.json({
+    success: true,
+    data: {
+      accounts: accounts.map(account => {
+        const t = totalsById.get(account.id) || { debit: 0, credit: 0 };
+        const net = (parseFloat(t.debit) || 0) - (parseFloat(t.credit) || 0);
+        return {
+          ...account.toJSON(),
+          balance: Math.round((account.normal_balance === 'credit' ? -net : net) * 100) / 100
+        };
+      })
+    }
+  });
+});
+
+/**
+ * POST /api/v1/ledger/accounts
+ * Add an account to the chart
+ */
+exports.createAccount = asyncHandler(async (req, res) => {
+  const code = String(req.body.code || '').trim();
+  const name = String(req.body.name || '').trim();
+  const { type } = req.body;
+
+  if (!/^\d{3,10}$/.test(code)) {
+    throw new AppError('code must be 3-10 digits', 400, 'VALIDATION_ERROR', { code: 'code must be 3-10 digits' });
+  }
+  if (!name) {
+    throw new AppError('name is required', 400, 'VALIDATION_ERROR', { name: 'name is required' });
+  }
+  if (!LedgerAccount.TYPES.includes(type)) {
+    throw new AppError(`type must be one of: ${LedgerAccount.TYPES.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+  const normalBalance = req.body.normal_balance || LedgerAccount.defaultNormalBalance(type);
+  if (!['debit', 'credit'].includes(normalBalance)) {
+    throw new AppError('normal_balance must be debit or credit', 400, 'VALIDATION_ERROR');
+  }
+  if (await LedgerAccount.findOne({ where: { code } })) {
+    throw new AppError(`Account ${code} already exists`, 409, 'DUPLICATE_CODE');
+  }
+
+  const account = await LedgerAccount.create({
+    code,
+    name: name.substring(0, 100),
+    type,
+    normal_balance: normalBalance,
+    description: req.body.description || null
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { account }
+  });
+});
+
+/**
+ * PUT /api/v1/ledger/accounts/:id
+ * Rename, describe or deactivate an account. Type and normal balance can
+ * only change on custom accounts with nothing posted.
+ */
+exports.updateAccount = asyncHandler(async (req, res) => {
+  const account = await LedgerAccount.findByPk(req.params.id);
+  if (!account) {
+    throw new AppError('Account not found', 404, 'NOT_FOUND');
+  }
+
+  const updates = {};
+  if (req.body.name !== undefined) {
+    const name = String(req.body.name || '').trim();
+    if (!name) throw new AppError('name is required', 400, 'VALIDATION_ERROR', { name: 'name is required' });
+    updates.name = name.substring(0, 100);
+  }
+  if (req.body.description !== undefined) updates.description = req.body.description || null;
+  if (req.body.is_active !== undefined) {
+    if (account.is_system && !req.body.is_active) {
+      throw new AppError('System accounts are used by automatic postings and cannot be deactivated', 400, 'SYSTEM_ACCOUNT');
+    }
+    updates.is_active = !!req.body.is_active;
+  }
+
+  if (req.body.type !== undefined || req.body.normal_balance !== undefined) {
+    if (account.is_system) {
+      throw new AppError('The type of a system account cannot be changed', 400, 'SYSTEM_ACCOUNT');
+    }
+    if (await JournalLine.count({ where: { account_id: account.id } }) > 0) {
+      throw new AppError('The type of an account with postings cannot be changed', 400, 'IN_USE');
+    }
+    const type = req.body.type ?? account.type;
+    if (!LedgerAccount.TYPES.includes(type)) {
+      throw new AppError(`type must be one of: ${LedgerAccount.TYPES.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+    updates.type = type;
+    updates.normal_balance = req.body.normal_balance || LedgerAccount.defaultNormalBalance(type);
+  }
+
+  await account.update(updates);
+
+  res.json({
+    success: true,
+    data: { account }
+  });
+});
+
+// ─── Journal entries ───
+
+/**
+ * GET /api/v1/ledger/journal-entries
+ * ?period=YYYY-MM, ?source_type=, ?account=<code>, ?start_date=&end_date=
+ */
+exports.listEntries = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  const where = {};
+
+  if (req.query.period) where.period = parsePeriodParam(req.query.period);
+  if (req.query.source_type) where.source_type = req.query.source_type;
+  if (req.query.start_date || req.query.end_date) {
+    where.entry_date = {};
+    if (req.query.start_date) where.entry_date[Op.gte] = req.query.start_date;
+    if (req.query.end_date) where.entry_date[Op.lte] = req.query.end_date;
+  }
+  if (req.query.account) {
+    const account = await LedgerAccount.findOne({ where: { code: req.query.account } });
+    if (!account) throw new AppError('Account not found', 404, 'NOT_FOUND');
+    where.id = { [Op.in]: sequelize.literal(`(SELECT entry_id FROM journal_lines WHERE account_id = ${account.id})`) };
+  }
+
+  const { count, rows } = await JournalEntry.findAndCountAll({
+    where,
+    include: entryIncludes,
+    order: [['entry_date', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset: (page - 1) * limit,
+    distinct: true
+  });
+
+  res.json({
+    success: true,
+    data: {
+      entries: rows,
+      pagination: { total: count, page, limit, totalPages: Math.ceil(count / limit) }
+    }
+  });
+});
+
+/**
+ * GET /api/v1/ledger/journal-entries/:id
+ */
+exports.getEntry = asyncHandler(async (req, res) => {
+  const entry = await JournalEntry.findByPk(req.params.id, { include: entryIncludes });
+  if (!entry) {
+    throw new AppError('Journal entry not found', 404, 'NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: { entry }
+  });
+});
+
+/**
+ * POST /api/v1/ledger/journal-entries
+ * Manual entry: { entry_date, description, lines: [{ account: code, debit, credit, memo }] }
+ */
+exports.createEntry = asyncHandler(async (req, res) => {
+  const { entry_date, description, lines } = req.body;
+
+  if (!entry_date || isNaN(new Date(entry_date).getTime())) {
+    throw new AppError('entry_date is required', 400, 'VALIDATION_ERROR', { entry_date: 'entry_date is required' });
+  }
+  if (!String(description || '').trim()) {
+    throw new AppError('description is required', 400, 'VALIDATION_ERROR', { description: 'description is required' });
+  }
+  if (!Array.isArray(lines)) {
+    throw new AppError('lines must be an array', 400, 'VALIDATION_ERROR', { lines: 'lines must be an array' });
+  }
+
+  const codes = [...new Set(lines.map(l => String(l.account || '')))];
+  const inactive = await LedgerAccount.findAll({ where: { code: codes, is_active: false }, attributes: ['code'] });
+  if (inactive.length > 0) {
+    throw new AppError(`Inactive account(s): ${inactive.map(a => a.code).join(', ')}`, 400, 'ACCOUNT_INACTIVE');
+  }
+
+  const t = await sequelize.transaction();
+  let entry;
+  try {
+    entry = await ledgerService.postEntry({
+      date: entry_date,
+      description: String(description).trim(),
+      sourceType: 'manual',
+      lines: lines.map(l => ({ account: String(l.account || ''), debit: l.debit, credit: l.credit, memo: l.memo })),
+      userId: req.user.id
+    }, t);
+    if (!entry) {
+      throw new AppError('An entry needs at least one debit and one credit', 400, 'UNBALANCED_ENTRY');
+    }
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  const full = await JournalEntry.findByPk(entry.id, { include: entryIncludes });
+  res.status(201).json({
+    success: true,
+    data: { entry: full }
+  });
+});
+
+/**
+ * POST /api/v1/ledger/journal-entries/:id/reverse
+ * Reverse a manual entry on its own date. Automatic entries are reversed
+ * by voiding or editing what posted them.
+ */
+exports.reverseEntry = asyncHandler(async (req, res) => {
+  const entry = await JournalEntry.findByPk(req.params.id);
+  if (!entry) {
+    throw new AppError('Journal entry not found', 404, 'NOT_FOUND');
+  }
+  if (entry.source_type !== 'manual') {
+    throw new AppError(`This entry was posted from ${entry.source_type}; void or edit the source instead`, 400, 'AUTOMATIC_ENTRY');
+  }
+
+  const t = await sequelize.transaction();
+  let reversal;
+  try {
+    reversal = await ledgerService.reverseEntry(entry, {
+      userId: req.user.id,
+      description: req.body.reason ? `Reversal: ${entry.description} (${String(req.body.reason).trim()})` : null
+    }, t);
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  const full = await JournalEntry.findByPk(reversal.id, { include: entryIncludes });
+  res.status(201).json({
+    success: true,
+    data: { entry: full }
+  });
+});
+
+// ─── Reports ───
+
+/**
+ * GET /api/v1/ledger/trial-balance?as_of=YYYY-MM-DD
+ */
+exports.trialBalance = asyncHandler(async (req, res) => {
+  const asOf = parseAsOf(req.query);
+  const totals = await ledgerService.accountTotals(asOf);
+
+  res.json({
+    success: true,
+    data: { as_of: asOf, ...ledgerService.buildTrialBalance(totals) }
+  });
+});
+
+/**
+ * GET /api/v1/ledger/balance-sheet?as_of=YYYY-MM-DD
+ */
+exports.balanceSheet = asyncHandler(async (req, res) => {
+  const asOf = parseAsOf(req.query);
+  const totals = await ledgerService.accountTotals(asOf);
+
+  res.json({
+    success: true,
+    data: { as_of: asOf, ...ledgerService.buildBalanceSheet(totals) }
+  });
+});
+
+// ─── Periods ───
+
+/**
+ * GET /api/v1/ledger/periods
+ * Months with postings or a close record, newest first
+ */
+exports.listPeriods = asyncHandler(async (req, res) => {
+  const [records, posted] = await Promise.all([
+    AccountingPeriod.findAll({ include: [{ model: User, as: 'closedBy', attributes: ['id', 'full_name'] }] }),
+    JournalEntry.findAll({
+      attributes: ['period', [sequelize.fn('COUNT', sequelize.col('id')), 'entry_count']],
+      group: ['period'],
+      raw: true
+    })
+  ]);
+  const recordByPeriod = new Map(records.map(r => [r.period, r]));
+  const countByPeriod = new Map(posted.map(p => [p.period, parseInt(p.entry_count, 10)]));
+
+  const periods = [...new Set([...recordByPeriod.keys(), ...countByPeriod.keys()])]
+    .sort()
+    .reverse()
+    .map(period => {
+      const record = recordByPeriod.get(period);
+      return {
+        period,
+        status: record?.status || 'open',
+        closed_at: record?.status === 'closed' ? record.closed_at : null,
+        closed_by: record?.status === 'closed' ? record.closedBy : null,
+        entry_count: countByPeriod.get(period) || 0
+      };
+    });
+
+  res.json({
+    success: true,
+    data: { periods }
+  });
+});
+
+/**
+ * POST /api/v1/ledger/periods/:period/close
+ * Lock a finished month against postings
+ */
+exports.closePeriod = asyncHandler(async (req, res) => {
+  const period = parsePeriodParam(req.params.period);
+  if (period >= ledgerService.periodOf(new Date())) {
+    throw new AppError('Only months that have ended can be closed', 400, 'PERIOD_NOT_ENDED');
+  }
+
+  const [record] = await AccountingPeriod.findOrCreate({ where: { period } });
+  if (record.status === 'closed') {
+    throw new AppError(`${period} is already closed`, 409, 'PERIOD_CLOSED');
+  }
+  await record.update({ status: 'closed', closed_at: new Date(), closed_by: req.user.id });
+
+  res.json({
+    success: true,
+    data: { period: record }
+  });
+});
+
+/**
+ * POST /api/v1/ledger/periods/:period/reopen
+ */
+exports.reopenPeriod = asyncHandler(async (req, res) => {
+  const period = parsePeriodParam(req.params.period);
+  const record = await AccountingPeriod.findOne({ where: { period } });
+  if (!record || record.status !== 'closed') {
+    throw new AppError(`${period} is not closed`, 400, 'PERIOD_OPEN');
+  }
+  await record.update({ status: 'open', closed_at: null, closed_by: null });
+
+  res.json({
+    success: true,
+    data: { period: record }
+  });
+});
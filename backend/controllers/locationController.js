@@ -0,0 +1,267 @@
+/**
+ * Location Controller
+ *
+ * CRUD for stock locations (shops, warehouse, technicians) and a per-location
+ * view of what is on hand there. Stock moves between locations through
+ * stock transfers, not by editing a location.
+ */
+
+const { Location, AssetUnit, LocationStock, StockMovement, StockTransfer, User, sequelize } = require('../models');
+const { Op, QueryTypes } = require('sequelize');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+// Units no longer in our hands don't count towards a location's stock
+const GONE_UNIT_STATUSES = ['Sold', 'Written Off', 'Returned to Supplier'];
+
+/**
+ * Validate and normalize location input. Only fields present in the body
+ * are returned, so the same helper serves create and update.
+ */
+function parseLocationInput(body) {
+  const data = {};
+
+  if (body.code !== undefined) {
+    const code = String(body.code || '').trim().toUpperCase();
+    if (!code) throw new AppError('Code is required', 400, 'VALIDATION_ERROR');
+    data.code = code;
+  }
+  if (body.name !== undefined) {
+    const name = String(body.name || '').trim();
+    if (!name) throw new AppError('Name is required', 400, 'VALIDATION_ERROR');
+    data.name = name;
+  }
+  if (body.location_type !== undefined) {
+    if (!Location.TYPES.includes(body.location_type)) {
+      throw new AppError(`location_type must be one of: ${Location.TYPES.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+    data.location_type = body.location_type;
+  }
+  for (const field of ['address', 'phone', 'notes']) {
+    if (body[field] !== undefined) data[field] = body[field] ? String(body[field]).trim() : null;
+  }
+  if (body.user_id !== undefined) data.user_id = body.user_id || null;
+  if (body.is_active !== undefined) data.is_active = !!body.is_active;
+
+  return data;
+}
+
+async function checkCodeUnique(code, excludeId = null) {
+  const where = { code };
+  if (excludeId) where.id = { [Op.ne]: excludeId };
+  const existing = await Location.findOne({ where });
+  if (existing) {
+    throw new AppError(`A location with code ${code} already exists`, 409, 'DUPLICATE_CODE');
+  }
+}
+
+async function checkHolder(userId) {
+  if (!userId) return;
+  const user = await User.findByPk(userId, { attributes: ['id', 'is_active'] });
+  if (!user || !user.is_active) {
+    throw new AppError('Assigned user not found or inactive', 400, 'INVALID_USER');
+  }
+}
+
+/**
+ * GET /api/v1/locations
+ * List locations with on-hand counts. ?include_inactive=true shows all.
+ */
+exports.list = asyncHandler(async (req, res) => {
+  const where = {};
+  if (req.query.include_inactive !== 'true') where.is_active = true;
+
+  const locations = await Location.findAll({
+    where,
+    include: [{ model: User, as: 'holder', attributes: ['id', 'full_name'] }],
+    attributes: {
+      include: [
+        [
+          sequelize.literal(`(SELECT COUNT(*) FROM asset_units au
+            WHERE au.location_id = "Location".id
+              AND au.status NOT IN (${GONE_UNIT_STATUSES.map(s => `'${s}'`).join(', ')}))`),
+          'unit_count'
+        ],
+        [
+          sequelize.literal(`(SELECT COUNT(*) FROM asset_units au
+            WHERE au.location_id = "Location".id AND au.status = 'Available')`),
+          'available_unit_count'
+        ],
+        [
+          sequelize.literal('(SELECT COALESCE(SUM(ls.quantity), 0) FROM location_stocks ls WHERE ls.location_id = "Location".id)'),
+          'bulk_quantity'
+        ]
+      ]
+    },
+    order: [['is_default', 'DESC'], ['name', 'ASC']]
+  });
+
+  res.json({
+    success: true,
+    data: {
+      locations: locations.map(location => ({
+        ...location.toJSON(),
+        unit_count: parseInt(location.get('unit_count'), 10) || 0,
+        available_unit_count: parseInt(location.get('available_unit_count'), 10) || 0,
+        bulk_quantity: parseInt(location.get('bulk_quantity'), 10) || 0
+      }))
+    }
+  });
+});
+
+/**
+ * GET /api/v1/locations/:id
+ * Location with the products on hand there
+ */
+exports.getById = asyncHandler(async (req, res) => {
+  const location = await Location.findByPk(req.params.id, {
+    include: [{ model: User, as: 'holder', attributes: ['id', 'full_name'] }]
+  });
+  if (!location) {
+    throw new AppError('Location not found', 404, 'NOT_FOUND');
+  }
+
+  const stock = await sequelize.query(`
+    SELECT a.id, a.asset_tag, a.make, a.model, a.category, a.asset_type, a.is_serialized,
+           COALESCE(u.on_hand, ls.quantity, 0) AS on_hand,
+           COALESCE(u.available, ls.quantity, 0) AS available
+    FROM assets a
+    LEFT JOIN (
+      SELECT asset_id,
+             COUNT(*) AS on_hand,
+             COUNT(*) FILTER (WHERE status = 'Available') AS available
+      FROM asset_units
+      WHERE location_id = :locationId AND status NOT IN (:goneStatuses)
+      GROUP BY asset_id
+    ) u ON u.asset_id = a.id
+    LEFT JOIN location_stocks ls ON ls.asset_id = a.id AND ls.location_id = :locationId
+    WHERE a.deleted_at IS NULL
+      AND (u.on_hand > 0 OR ls.quantity > 0)
+    ORDER BY a.make, a.model
+  `, {
+    replacements: { locationId: location.id, goneStatuses: GONE_UNIT_STATUSES },
+    type: QueryTypes.SELECT
+  });
+
+  res.json({
+    success: true,
+    data: {
+      location,
+      stock: stock.map(row => ({
+        ...row,
+        on_hand: parseInt(row.on_hand, 10),
+        available: parseInt(row.available, 10)
+      }))
+    }
+  });
+});
+
+/**
+ * POST /api/v1/locations
+ * Create a location (Admin, Manager)
+ */
+exports.create = asyncHandler(async (req, res) => {
+  const data = parseLocationInput(req.body);
+  if (!data.code || !data.name) {
+    throw new AppError('code and name are required', 400, 'VALIDATION_ERROR');
+  }
+  await checkCodeUnique(data.code);
+  await checkHolder(data.user_id);
+
+  const isDefault = !!req.body.is_default;
+
+  const location = await sequelize.transaction(async (transaction) => {
+    // Only one default location
+    if (isDefault) {
+      await Location.update({ is_default: false }, { where: { is_default: true }, transaction });
+    }
+
+    return Location.create({
+      ...data,
+      is_default: isDefault,
+      is_active: isDefault ? true : data.is_active !== false,
+      created_by: req.user?.id,
+      updated_by: req.user?.id
+    }, { transaction });
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { location }
+  });
+});
+
+/**
+ * PUT /api/v1/locations/:id
+ * Update a location (Admin, Manager). Setting is_default moves the default
+ * here; the default location cannot be deactivated.
+ */
+exports.update = asyncHandler(async (req, res) => {
+  const location = await Location.findByPk(req.params.id);
+  if (!location) {
+    throw new AppError('Location not found', 404, 'NOT_FOUND');
+  }
+
+  const data = parseLocationInput(req.body);
+  if (data.code && data.code !== location.code) {
+    await checkCodeUnique(data.code, location.id);
+  }
+  if (data.user_id) await checkHolder(data.user_id);
+
+  const makeDefault = req.body.is_default === true && !location.is_default;
+  if (req.body.is_default === false && location.is_default) {
+    throw new AppError('Set another location as default instead', 400, 'DEFAULT_REQUIRED');
+  }
+  if (data.is_active === false && (location.is_default || makeDefault)) {
+    throw new AppError('The default location cannot be deactivated', 400, 'DEFAULT_REQUIRED');
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    if (makeDefault) {
+      await Location.update({ is_default: false }, { where: { is_default: true }, transaction });
+      data.is_default = true;
+    }
+    await location.update({ ...data, updated_by: req.user?.id }, { transaction });
+  });
+
+  res.json({
+    success: true,
+    data: { location }
+  });
+});
+
+/**
+ * DELETE /api/v1/locations/:id
+ * Delete a location (Admin). Blocked while stock or transfers reference it —
+ * set it inactive instead.
+ */
+exports.remove = asyncHandler(async (req, res) => {
+  const location = await Location.findByPk(req.params.id);
+  if (!location) {
+    throw new AppError('Location not found', 404, 'NOT_FOUND');
+  }
+  if (location.is_default) {
+    throw new AppError('The default location cannot be deleted', 400, 'DEFAULT_REQUIRED');
+  }
+
+  const unitCount = await AssetUnit.count({ where: { location_id: location.id } });
+  const bulkCount = await LocationStock.count({ where: { location_id: location.id, quantity: { [Op.gt]: 0 } } });
+  const transferCount = await StockTransfer.count({
+    where: { [Op.or]: [{ from_location_id: location.id }, { to_location_id: location.id }] }
+  });
+  const movementCount = await StockMovement.count({ where: { location_id: location.id } });
+  if (unitCount > 0 || bulkCount > 0 || transferCount > 0 || movementCount > 0) {
+    throw new AppError(
+      `Cannot delete: ${unitCount} unit(s), ${bulkCount} bulk item(s), ${transferCount} transfer(s) and ${movementCount} stock movement(s) reference this location. Set it inactive instead.`,
+      400,
+      'IN_USE'
+    );
+  }
+
+  await LocationStock.destroy({ where: { location_id: location.id } });
+  await location.destroy();
+
+  res.json({
+    success: true,
+    data: { message: 'Location deleted' }
+  });
+});
@@ -0,0 +1,650 @@
+/**
+ * MoMo Reconciliation Controller
+ *
+ * Mobile Money statement imports for the payment reconciliation report.
+ *
+ * - An MTN MoMo or Telecel Cash statement export (CSV/XLSX) is uploaded;
+ *   its columns are detected from the header row, as for inventory imports.
+ * - Each incoming receipt is matched to a MoMo payment recorded on an
+ *   invoice, by reference first and then by amount and date.
+ * - Receipts already imported from an overlapping statement are skipped.
+ * - What is left unmatched on either side shows up on the reconciliation
+ *   report; receipts can be matched by hand or ignored with a reason.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const XLSX = require('xlsx');
+const {
+  MomoStatementImport,
+  MomoStatementLine,
+  InvoicePayment,
+  Invoice,
+  Customer,
+  ActivityLog,
+  User,
+  sequelize
+} = require('../models');
+const { Op } = require('sequelize');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { autoDetectStatementColumns, MOMO_STATEMENT_PATTERNS } = require('../utils/columnDetector');
+const {
+  PROVIDERS,
+  REQUIRED_FIELDS,
+  DEFAULT_WINDOW_DAYS,
+  normalizeStatementRows,
+  matchStatementLines
+} = require('../services/momoReconciliationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statements often start with a title block; the header is looked for in
+// the first rows of the sheet
+const HEADER_SEARCH_ROWS = 15;
+
+const upload = multer({
+  dest: 'uploads/',
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB max
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (['.csv', '.xls', '.xlsx'].includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new AppError('Only CSV and Excel files are allowed', 400, 'INVALID_FILE_TYPE'));
+    }
+  }
+});
+
+/**
+ * Read the first sheet of a statement as header + rows. CSV cells are kept
+ * as text so day-first dates are not read month-first.
+ */
+function readStatement(filePath, originalName) {
+  const isCsv = path.extname(originalName).toLowerCase() === '.csv';
+  const workbook = XLSX.readFile(filePath, isCsv ? { raw: true } : { cellDates: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const grid = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', blankrows: true });
+
+  let headerIndex = grid.slice(0, HEADER_SEARCH_ROWS).findIndex(row => {
+    const detected = autoDetectStatementColumns(row.map(String));
+    return REQUIRED_FIELDS.every(field => detected[field]);
+  });
+  if (headerIndex === -1) headerIndex = 0;
+
+  const headers = (grid[headerIndex] || []).map(h => String(h).trim());
+  const rows = grid.slice(headerIndex + 1).map(values => {
+    const row = {};
+    headers.forEach((header, i) => {
+      if (header) row[header] = values[i];
+    });
+    return row;
+  });
+
+  // Row numbers as shown in the spreadsheet, so skipped rows can be found
+  const sheetStart = sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']).s.r : 0;
+  return { headers: headers.filter(Boolean), rows, firstRowNumber: sheetStart + headerIndex + 2 };
+}
+
+function parseMapping(value, headers) {
+  if (!value) return {};
+  let mapping;
+  try {
+    mapping = typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (err) {
+    throw new AppError('mapping must be a JSON object of field to column', 400, 'VALIDATION_ERROR');
+  }
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!MOMO_STATEMENT_PATTERNS[field]) {
+      throw new AppError(`Unknown statement field: ${field}`, 400, 'VALIDATION_ERROR');
+    }
+    if (header && !headers.includes(header)) {
+      throw new AppError(`Column "${header}" is not in the file`, 400, 'VALIDATION_ERROR');
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Match unmatched statement lines against MoMo payments not yet backing a
+ * receipt. Saves the matches.
+ * @returns {Promise<number>} number of lines matched
+ */
+async function autoMatch(lines, transaction) {
+  if (lines.length === 0) return 0;
+
+  const times = lines.map(line => new Date(line.transaction_date).getTime());
+  const windowMs = DEFAULT_WINDOW_DAYS * DAY_MS;
+  const payments = await InvoicePayment.findAll({
+    where: {
+      payment_method: 'MoMo',
+      transaction_type: 'PAYMENT',
+      voided_at: null,
+      payment_date: { [Op.between]: [new Date(Math.min(...times) - windowMs), new Date(Math.max(...times) + windowMs)] },
+      id: { [Op.notIn]: sequelize.literal('(SELECT invoice_payment_id FROM momo_statement_lines WHERE invoice_payment_id IS NOT NULL)') }
+    },
+    include: [{ model: Invoice, as: 'invoice', attributes: ['id', 'invoice_number'] }],
+    transaction
+  });
+
+  const { matches } = matchStatementLines(
+    lines,
+    payments.map(payment => ({
+      id: payment.id,
+      amount: payment.amount,
+      payment_date: payment.payment_date,
+      comment: payment.comment,
+      payment_method_other_text: payment.payment_method_other_text,
+      invoice_number: payment.invoice?.invoice_number
+    }))
+  );
+
+  const now = new Date();
+  for (const match of matches) {
+    await lines[match.line_index].update({
+      match_status: 'matched',
+      match_method: match.match_method,
+      invoice_payment_id: match.payment_id,
+      matched_at: now,
+      matched_by: null
+    }, { transaction });
+  }
+  return matches.length;
+}
+
+function paymentInclude() {
+  return {
+    model: InvoicePayment,
+    as: 'payment',
+    attributes: ['id', 'payment_date', 'amount', 'currency', 'comment', 'received_by_user_id'],
+    include: [{
+      model: Invoice,
+      as: 'invoice',
+      attributes: ['id', 'invoice_number'],
+      include: [{ model: Customer, as: 'customer', attributes: ['id', 'first_name', 'last_name', 'company_name'] }]
+    }]
+  };
+}
+
+function serializeLine(line) {
+  const { raw_data, ...rest } = line.toJSON();
+  return {
+    ...rest,
+    status_label: line.getStatusLabel(),
+    invoice_number: line.payment?.invoice?.invoice_number || null,
+    customer_name: line.payment?.invoice?.customer ? line.payment.invoice.customer.getDisplayName() : null
+  };
+}
+
+async function importSummary(statementImport) {
+  const counts = await MomoStatementLine.findAll({
+    where: { import_id: statementImport.id },
+    attributes: [
+      'match_status',
+      [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+      [sequelize.fn('SUM', sequelize.col('amount')), 'amount']
+    ],
+    group: ['match_status'],
+    raw: true
+  });
+
+  const byStatus = {};
+  for (const status of MomoStatementLine.MATCH_STATUSES) {
+    const row = counts.find(c => c.match_status === status);
+    byStatus[status] = {
+      count: row ? parseInt(row.count, 10) : 0,
+      amount: row ? parseFloat(row.amount) || 0 : 0
+    };
+  }
+
+  return {
+    ...statementImport.toJSON(),
+    provider_label: statementImport.getProviderLabel(),
+    lines: byStatus
+  };
+}
+
+async function loadLine(id, transaction = null) {
+  const line = await MomoStatementLine.findByPk(id, transaction ? { transaction, lock: true } : {});
+  if (!line) {
+    throw new AppError('Statement line not found', 404, 'NOT_FOUND');
+  }
+  return line;
+}
+
+async function fetchLine(id) {
+  const line = await MomoStatementLine.findByPk(id, { include: [paymentInclude()] });
+  return serializeLine(line);
+}
+
+/**
+ * POST /api/v1/reports/reconciliation/momo/imports
+ * Multipart: file (CSV/XLSX), provider (mtn|telecel), mapping (optional
+ * JSON of field -> column, overrides detection)
+ *
+ * Fails with COLUMNS_NOT_DETECTED, listing the file's headers and what was
+ * detected, when the transaction ID, date or amount column can't be found.
+ */
+exports.importStatement = [
+  upload.single('file'),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new AppError('No file uploaded', 400, 'NO_FILE');
+    }
+
+    const filePath = req.file.path;
+    let statementImport;
+    let created;
+    let matched;
+    try {
+      const { provider } = req.body;
+      if (!PROVIDERS.includes(provider)) {
+        throw new AppError(`provider must be one of: ${PROVIDERS.join(', ')}`, 400, 'VALIDATION_ERROR');
+      }
+
+      const { headers, rows, firstRowNumber } = readStatement(filePath, req.file.originalname);
+      const mapping = { ...autoDetectStatementColumns(headers), ...parseMapping(req.body.mapping, headers) };
+      const missing = REQUIRED_FIELDS.filter(field => !mapping[field]);
+      if (missing.length > 0) {
+        throw new AppError(
+          `Could not find the ${missing.join(', ')} column(s) in the statement`,
+          400,
+          'COLUMNS_NOT_DETECTED',
+          { headers, mapping, missing }
+        );
+      }
+
+      const { lines, skipped } = normalizeStatementRows(rows, mapping, { firstRowNumber });
+      if (lines.length === 0) {
+        throw new AppError('No incoming receipts found in the statement', 400, 'NO_RECEIPTS', { skipped });
+      }
+
+      const t = await sequelize.transaction();
+      try {
+        const existing = await MomoStatementLine.findAll({
+          where: { provider, transaction_id: { [Op.in]: lines.map(line => line.transaction_id) } },
+          attributes: ['transaction_id'],
+          transaction: t
+        });
+        const seen = new Set(existing.map(line => line.transaction_id));
+        const fresh = lines.filter(line => {
+          if (seen.has(line.transaction_id)) return false;
+          seen.add(line.transaction_id);
+          return true;
+        });
+
+        const dates = lines.map(line => line.transaction_date.toISOString().slice(0, 10)).sort();
+        statementImport = await MomoStatementImport.create({
+          provider,
+          original_file_name: req.file.originalname,
+          column_mapping: mapping,
+          period_from: dates[0],
+          period_to: dates[dates.length - 1],
+          rows_total: rows.length,
+          rows_skipped: skipped.length,
+          rows_duplicate: lines.length - fresh.length,
+          skipped_rows: skipped,
+          imported_by: req.user.id
+        }, { transaction: t });
+
+        created = await MomoStatementLine.bulkCreate(fresh.map(line => ({
+          import_id: statementImport.id,
+          provider,
+          row_number: line.row_number,
+          transaction_id: line.transaction_id,
+          transaction_date: line.transaction_date,
+          amount: line.amount,
+          counterparty_phone: line.counterparty_phone,
+          counterparty_name: line.counterparty_name,
+          reference: line.reference,
+          raw_data: line.raw
+        })), { transaction: t, returning: true });
+
+        matched = await autoMatch(created, t);
+
+        await t.commit();
+      } catch (err) {
+        if (!t.finished) await t.rollback();
+        throw err;
+      }
+    } finally {
+      fs.unlink(filePath, () => {});
+    }
+
+    await ActivityLog.log({
+      actorUserId: req.user.id,
+      actionType: ActivityLog.ACTION_TYPES.MOMO_STATEMENT_IMPORTED,
+      entityType: ActivityLog.ENTITY_TYPES.MOMO_STATEMENT_IMPORT,
+      entityId: statementImport.id,
+      summary: `${statementImport.getProviderLabel()} statement imported: ${created.length} receipts, ${matched} matched`,
+      metadata: {
+        fileName: statementImport.original_file_name,
+        periodFrom: statementImport.period_from,
+        periodTo: statementImport.period_to,
+        receipts: created.length,
+        matched,
+        duplicates: statementImport.rows_duplicate,
+        skipped: statementImport.rows_skipped
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { import: await importSummary(statementImport) },
+      message: `${created.length} receipts imported, ${matched} matched automatically`
+    });
+  })
+];
+
+/**
+ * GET /api/v1/reports/reconciliation/momo/imports
+ * Query: page, limit
+ */
+exports.listImports = asyncHandler(async (req, res) => {
+  const pageNum = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+  const { rows, count } = await MomoStatementImport.findAndCountAll({
+    include: [{ model: User, as: 'importer', attributes: ['id', 'full_name'] }],
+    order: [['created_at', 'DESC']],
+    limit: limitNum,
+    offset: (pageNum - 1) * limitNum
+  });
+
+  res.json({
+    success: true,
+    data: {
+      imports: await Promise.all(rows.map(importSummary)),
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(count / limitNum)
+      }
+    }
+  });
+});
+
+/**
+ * GET /api/v1/reports/reconciliation/momo/imports/:id
+ * Query: status (unmatched|matched|ignored)
+ */
+exports.getImport = asyncHandler(async (req, res) => {
+  const statementImport = await MomoStatementImport.findByPk(req.params.id, {
+    include: [{ model: User, as: 'importer', attributes: ['id', 'full_name'] }]
+  });
+  if (!statementImport) {
+    throw new AppError('Statement import not found', 404, 'NOT_FOUND');
+  }
+
+  const where = { import_id: statementImport.id };
+  if (req.query.status) where.match_status = req.query.status;
+  const lines = await MomoStatementLine.findAll({
+    where,
+    include: [paymentInclude()],
+    order: [['transaction_date', 'ASC']]
+  });
+
+  res.json({
+    success: true,
+    data: {
+      import: await importSummary(statementImport),
+      lines: lines.map(serializeLine)
+    }
+  });
+});
+
+/**
+ * POST /api/v1/reports/reconciliation/momo/imports/:id/rematch
+ * Retry automatic matching for the import's unmatched receipts, e.g. after
+ * missing payments have been recorded
+ */
+exports.rematchImport = asyncHandler(async (req, res) => {
+  const statementImport = await MomoStatementImport.findByPk(req.params.id);
+  if (!statementImport) {
+    throw new AppError('Statement import not found', 404, 'NOT_FOUND');
+  }
+
+  const t = await sequelize.transaction();
+  let matched;
+  try {
+    const lines = await MomoStatementLine.findAll({
+      where: { import_id: statementImport.id, match_status: 'unmatched' },
+      order: [['transaction_date', 'ASC']],
+      transaction: t,
+      lock: true
+    });
+    matched = await autoMatch(lines, t);
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  res.json({
+    success: true,
+    data: { import: await importSummary(statementImport), matched },
+    message: `${matched} more receipt${matched === 1 ? '' : 's'} matched`
+  });
+});
+
+/**
+ * GET /api/v1/reports/reconciliation/momo/lines/:id/candidates
+ * Unmatched MoMo payments of the same amount around the receipt's date,
+ * closest first. Query: days (default 7)
+ */
+exports.getCandidates = asyncHandler(async (req, res) => {
+  const line = await loadLine(req.params.id);
+  const days = Math.min(60, Math.max(0, parseInt(req.query.days, 10) || 7));
+  const at = new Date(line.transaction_date).getTime();
+
+  const payments = await InvoicePayment.findAll({
+    where: {
+      payment_method: 'MoMo',
+      transaction_type: 'PAYMENT',
+      voided_at: null,
+      amount: line.amount,
+      payment_date: { [Op.between]: [new Date(at - days * DAY_MS), new Date(at + days * DAY_MS)] },
+      id: { [Op.notIn]: sequelize.literal('(SELECT invoice_payment_id FROM momo_statement_lines WHERE invoice_payment_id IS NOT NULL)') }
+    },
+    include: [
+      {
+        model: Invoice,
+        as: 'invoice',
+        attributes: ['id', 'invoice_number'],
+        include: [{ model: Customer, as: 'customer', attributes: ['id', 'first_name', 'last_name', 'company_name'] }]
+      },
+      { model: User, as: 'receivedBy', attributes: ['id', 'full_name'] }
+    ]
+  });
+
+  payments.sort((a, b) => Math.abs(new Date(a.payment_date) - at) - Math.abs(new Date(b.payment_date) - at));
+
+  res.json({
+    success: true,
+    data: {
+      payments: payments.map(payment => ({
+        id: payment.id,
+        payment_date: payment.payment_date,
+        amount: payment.amount,
+        currency: payment.currency,
+        comment: payment.comment,
+        invoice_id: payment.invoice?.id || null,
+        invoice_number: payment.invoice?.invoice_number || null,
+        customer_name: payment.invoice?.customer ? payment.invoice.customer.getDisplayName() : 'Walk-in',
+        received_by: payment.receivedBy?.full_name || null
+      }))
+    }
+  });
+});
+
+/**
+ * POST /api/v1/reports/reconciliation/momo/lines/:id/match
+ * Body: invoice_payment_id
+ */
+exports.matchLine = asyncHandler(async (req, res) => {
+  const { invoice_payment_id } = req.body;
+  if (!invoice_payment_id) {
+    throw new AppError('invoice_payment_id is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const t = await sequelize.transaction();
+  let line;
+  let payment;
+  try {
+    line = await loadLine(req.params.id, t);
+    if (line.match_status === 'matched') {
+      throw new AppError('Receipt is already matched; unmatch it first', 400, 'INVALID_STATUS');
+    }
+
+    payment = await InvoicePayment.findByPk(invoice_payment_id, {
+      include: [{ model: Invoice, as: 'invoice', attributes: ['id', 'invoice_number'] }],
+      transaction: t
+    });
+    if (!payment || payment.isVoided() || payment.transaction_type !== 'PAYMENT') {
+      throw new AppError('Payment not found', 404, 'NOT_FOUND');
+    }
+    if (payment.payment_method !== 'MoMo') {
+      throw new AppError(`Payment was recorded as ${payment.getMethodDisplay()}, not MoMo`, 400, 'METHOD_MISMATCH');
+    }
+    const taken = await MomoStatementLine.findOne({ where: { invoice_payment_id: payment.id }, transaction: t });
+    if (taken) {
+      throw new AppError(`Payment is already matched to receipt ${taken.transaction_id}`, 409, 'PAYMENT_ALREADY_MATCHED');
+    }
+
+    await line.update({
+      match_status: 'matched',
+      match_method: 'manual',
+      invoice_payment_id: payment.id,
+      matched_at: new Date(),
+      matched_by: req.user.id,
+      ignore_reason: null
+    }, { transaction: t });
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  const amountNote = Math.round(payment.amount * 100) === Math.round(line.amount * 100)
+    ? ''
+    : ` (payment ${payment.amount.toFixed(2)}, receipt ${line.amount.toFixed(2)})`;
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.MOMO_RECEIPT_MATCHED,
+    entityType: ActivityLog.ENTITY_TYPES.MOMO_STATEMENT_IMPORT,
+    entityId: line.import_id,
+    summary: `MoMo receipt ${line.transaction_id} matched to a payment on invoice ${payment.invoice?.invoice_number}${amountNote}`,
+    metadata: {
+      lineId: line.id,
+      transactionId: line.transaction_id,
+      paymentId: payment.id,
+      invoiceNumber: payment.invoice?.invoice_number,
+      receiptAmount: line.amount,
+      paymentAmount: payment.amount
+    }
+  });
+
+  res.json({
+    success: true,
+    data: { line: await fetchLine(line.id) },
+    message: 'Receipt matched'
+  });
+});
+
+/**
+ * POST /api/v1/reports/reconciliation/momo/lines/:id/unmatch
+ * Undo a match or an ignore
+ */
+exports.unmatchLine = asyncHandler(async (req, res) => {
+  const t = await sequelize.transaction();
+  let line;
+  let previous;
+  try {
+    line = await loadLine(req.params.id, t);
+    if (line.match_status === 'unmatched') {
+      throw new AppError('Receipt is not matched', 400, 'INVALID_STATUS');
+    }
+    previous = { status: line.match_status, paymentId: line.invoice_payment_id, method: line.match_method };
+
+    await line.update({
+      match_status: 'unmatched',
+      match_method: null,
+      invoice_payment_id: null,
+      matched_at: null,
+      matched_by: null,
+      ignore_reason: null
+    }, { transaction: t });
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.MOMO_RECEIPT_UNMATCHED,
+    entityType: ActivityLog.ENTITY_TYPES.MOMO_STATEMENT_IMPORT,
+    entityId: line.import_id,
+    summary: `MoMo receipt ${line.transaction_id} set back to unmatched`,
+    metadata: { lineId: line.id, transactionId: line.transaction_id, previous }
+  });
+
+  res.json({
+    success: true,
+    data: { line: await fetchLine(line.id) },
+    message: 'Receipt set back to unmatched'
+  });
+});
+
+/**
+ * POST /api/v1/reports/reconciliation/momo/lines/:id/ignore
+ * Body: reason — for receipts that are not sales (wallet top-ups, transfers
+ * between own accounts)
+ */
+exports.ignoreLine = asyncHandler(async (req, res) => {
+  const reason = (req.body.reason || '').trim();
+  if (!reason) {
+    throw new AppError('reason is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const t = await sequelize.transaction();
+  let line;
+  try {
+    line = await loadLine(req.params.id, t);
+    if (line.match_status !== 'unmatched') {
+      throw new AppError('Only unmatched receipts can be ignored', 400, 'INVALID_STATUS');
+    }
+
+    await line.update({
+      match_status: 'ignored',
+      matched_at: new Date(),
+      matched_by: req.user.id,
+      ignore_reason: reason
+    }, { transaction: t });
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.MOMO_RECEIPT_IGNORED,
+    entityType: ActivityLog.ENTITY_TYPES.MOMO_STATEMENT_IMPORT,
+    entityId: line.import_id,
+    summary: `MoMo receipt ${line.transaction_id} ignored: ${reason}`,
+    metadata: { lineId: line.id, transactionId: line.transaction_id, amount: line.amount, reason }
+  });
+
+  res.json({
+    success: true,
+    data: { line: await fetchLine(line.id) },
+    message: 'Receipt ignored'
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * Notification Controller
+ *
+ * Customer message templates and the message log.
+ *
+ * - Each event has a template per channel (SMS, WhatsApp, email). Saving one
+ *   replaces the default; deleting it goes back to the default.
+ * - Every attempt at a message is a log row. A failed message can be sent
+ *   again by hand as well as by the automatic retries.
+ *
+ * See services/notificationService.js for the events, their placeholders and
+ * how messages are sent.
+ */
+
+const { NotificationTemplate, NotificationLog, Customer } = require('../models');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { fillTemplate } = require('../services/emailService');
+const {
+  CHANNELS,
+  EVENTS,
+  EVENT_LABELS,
+  EVENT_PLACEHOLDERS,
+  RETRY_DELAYS_MINUTES,
+  MAX_ATTEMPTS,
+  providerFor,
+  defaultTemplate,
+  resolveTemplates,
+  unknownPlaceholders,
+  templateParameters,
+  loadTemplates,
+  retry
+} = require('../services/notificationService');
+
+// Shown in previews for placeholders the request does not fill
+const SAMPLE_DATA = {
+  customer_name: 'Ama',
+  tracking_code: 'PRE-0042',
+  item_description: 'MacBook Air M2',
+  quantity: '1',
+  shipping_method: 'air',
+  estimated_arrival_date: '2026-11-02',
+  balance_due: '1500.00',
+  invoice_number: 'INV-0107',
+  total_amount: '4500.00',
+  amount: '3000.00',
+  payment_method: 'MoMo',
+  currency: 'GHS',
+  plan_number: 'LAY-0012',
+  amount_due: '750.00',
+  due_date: '2026-11-15',
+  days_overdue: '4',
+  warranty_number: 'WAR-0031',
+  end_date: '2026-12-01',
+  days_left: '30'
+};
+
+function parseEventChannel(params) {
+  const { event, channel } = params;
+  if (!EVENTS.includes(event)) {
+    throw new AppError(`Unknown event: ${event}`, 400, 'VALIDATION_ERROR', { event: `Must be one of: ${EVENTS.join(', ')}` });
+  }
+  if (!CHANNELS.includes(channel)) {
+    throw new AppError(`Unknown channel: ${channel}`, 400, 'VALIDATION_ERROR', { channel: `Must be one of: ${CHANNELS.join(', ')}` });
+  }
+  return { event, channel };
+}
+
+/**
+ * Validate a template as it would be saved
+ * @returns {{ subject, body, is_active, whatsapp_template_name, whatsapp_language }}
+ */
+function parseTemplate(event, channel, input, current) {
+  const body = input.body !== undefined ? String(input.body || '').trim() : current.body;
+  const subject = channel === 'email'
+    ? (input.subject !== undefined ? String(input.subject || '').trim() : current.subject)
+    : null;
+  const isActive = input.is_active !== undefined ? Boolean(input.is_active) : current.is_active;
+  const whatsappTemplateName = channel === 'whatsapp'
+    ? (input.whatsapp_template_name !== undefined ? String(input.whatsapp_template_name || '').trim() || null : current.whatsapp_template_name)
+    : null;
+  const whatsappLanguage = channel === 'whatsapp'
+    ? (input.whatsapp_language !== undefined ? String(input.whatsapp_language || '').trim() || null : current.whatsapp_language)
+    : null;
+
+  const errors = {};
+  if (!body) errors.body = 'Required';
+  if (channel === 'email' && !subject) errors.subject = 'Required for email';
+  if (subject && subject.length > 255) errors.subject = 'Must be 255 characters or fewer';
+  if (channel === 'whatsapp' && isActive && !whatsappTemplateName) {
+    errors.whatsapp_template_name = 'WhatsApp messages we start must use a template approved in WhatsApp Manager';
+  }
+
+  const unknown = unknownPlaceholders(event, `${subject || ''} ${body}`);
+  if (unknown.length > 0) {
+    errors.placeholders = `Not filled by this event: ${unknown.map(name => `{${name}}`).join(', ')}. Available: ${EVENT_PLACEHOLDERS[event].map(name => `{${name}}`).join(', ')}`;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new AppError('Template is not valid', 400, 'VALIDATION_ERROR', errors);
+  }
+
+  return {
+    subject,
+    body,
+    is_active: isActive,
+    whatsapp_template_name: whatsappTemplateName,
+    whatsapp_language: whatsappLanguage
+  };
+}
+
+/**
+ * GET /notifications/events
+ * Events, their placeholders and which channels can send
+ */
+exports.listEvents = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      events: EVENTS.map(event => ({ event, label: EVENT_LABELS[event], placeholders: EVENT_PLACEHOLDERS[event] })),
+      channels: CHANNELS.map(channel => {
+        const provider = providerFor(channel);
+        return { channel, provider: provider.name, configured: provider.isConfigured() };
+      }),
+      retry_delays_minutes: RETRY_DELAYS_MINUTES,
+      max_attempts: MAX_ATTEMPTS
+    }
+  });
+});
+
+/**
+ * GET /notifications/templates
+ * The template in use for every event and channel
+ */
+exports.listTemplates = asyncHandler(async (req, res) => {
+  const templates = await loadTemplates();
+
+  res.json({
+    success: true,
+    data: {
+      templates: EVENTS.map(event => ({
+        event,
+        label: EVENT_LABELS[event],
+        placeholders: EVENT_PLACEHOLDERS[event],
+        channels: templates[event]
+      }))
+    }
+  });
+});
+
+/**
+ * PUT /notifications/templates/:event/:channel
+ * Body: { body?, subject?, is_active?, whatsapp_template_name?, whatsapp_language? }
+ */
+exports.updateTemplate = asyncHandler(async (req, res) => {
+  const { event, channel } = parseEventChannel(req.params);
+
+  const existing = await NotificationTemplate.findOne({ where: { event, channel } });
+  const current = resolveTemplates(existing ? [existing] : [])[event][channel];
+  const fields = parseTemplate(event, channel, req.body, current);
+
+  const template = existing || NotificationTemplate.build({ event, channel });
+  template.set({ ...fields, updated_by: req.user.id });
+  await template.save();
+
+  res.json({
+    success: true,
+    data: resolveTemplates([template])[event][channel],
+    message: 'Template saved'
+  });
+});
+
+/**
+ * DELETE /notifications/templates/:event/:channel
+ * Goes back to the default template
+ */
+exports.resetTemplate = asyncHandler(async (req, res) => {
+  const { event, channel } = parseEventChannel(req.params);
+
+  await NotificationTemplate.destroy({ where: { event, channel } });
+
+  res.json({
+    success: true,
+    data: resolveTemplates([])[event][channel],
+    message: 'Template reset to the default'
+  });
+});
+
+/**
+ * POST /notifications/templates/:event/:channel/preview
+ * Body: { body?, subject?, data? } — unsaved changes to try, and values to
+ * fill in over the sample ones
+ */
+exports.previewTemplate = asyncHandler(async (req, res) => {
+  const { event, channel } = parseEventChannel(req.params);
+
+  const templates = await loadTemplates();
+  const template = templates[event][channel];
+  const body = req.body.body !== undefined ? String(req.body.body) : template.body;
+  const subject = req.body.subject !== undefined ? String(req.body.subject) : template.subject;
+  const data = { ...SAMPLE_DATA, ...(req.body.data || {}) };
+
+  res.json({
+    success: true,
+    data: {
+      subject: channel === 'email' ? fillTemplate(subject || '', data) : null,
+      body: fillTemplate(body, data),
+      whatsapp_parameters: channel === 'whatsapp' ? templateParameters(body, data) : null,
+      unknown_placeholders: unknownPlaceholders(event, `${subject || ''} ${body}`),
+      default: defaultTemplate(event, channel)
+    }
+  });
+});
+
+/**
+ * GET /notifications/logs
+ * Query: customer_id, channel, status, event, reference_type, reference_id, page, limit
+ */
+exports.listLogs = asyncHandler(async (req, res) => {
+  const { customer_id, channel, status, event, reference_type, reference_id, page = 1, limit = 50 } = req.query;
+
+  const where = {};
+  if (customer_id) where.customer_id = customer_id;
+  if (channel) where.channel = channel;
+  if (status) where.status = status;
+  if (event) where.event = event;
+  if (reference_type) where.reference_type = reference_type;
+  if (reference_id) where.reference_id = String(reference_id);
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+
+  const { rows, count } = await NotificationLog.findAndCountAll({
+    where,
+    include: [{ model: Customer, as: 'customer', attributes: ['id', 'first_name', 'last_name', 'company_name'] }],
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit: limitNum,
+    offset: (pageNum - 1) * limitNum
+  });
+
+  res.json({
+    success: true,
+    data: {
+      logs: rows,
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(count / limitNum)
+      }
+    }
+  });
+});
+
+/**
+ * POST /notifications/logs/:id/retry
+ * Sends a failed message again as a new attempt and returns its outcome
+ */
+exports.retryLog = asyncHandler(async (req, res) => {
+  const log = await NotificationLog.findByPk(req.params.id);
+  if (!log) {
+    throw new AppError('Notification not found', 404, 'NOT_FOUND');
+  }
+  if (log.status !== 'failed') {
+    throw new AppError('Only failed notifications can be sent again', 409, 'NOT_FAILED');
+  }
+  if (!log.event) {
+    throw new AppError('Only customer notifications can be sent again', 409, 'NOT_RETRYABLE');
+  }
+  if (!providerFor(log.channel).isConfigured()) {
+    throw new AppError(`No ${log.channel} provider is configured`, 409, 'PROVIDER_NOT_CONFIGURED');
+  }
+
+  const attempt = await retry(log);
+  if (!attempt) {
+    throw new AppError(`The customer has opted out of ${log.channel} messages`, 409, 'OPTED_OUT');
+  }
+
+  res.status(201).json({
+    success: true,
+    data: attempt,
+    message: attempt.status === 'sent'
+      ? 'Sent'
+      : `Not sent (${attempt.error_message})${attempt.next_attempt_at ? '; it will be retried' : ''}`
+  });
+});
@@ -0,0 +1,555 @@
+/**
+ * POS Controller
+ *
+ * Counter checkout for walk-in sales.
+ *
+ * - Items are added by scanning a unit's serial number, IMEI or barcode
+ *   (or a product's asset tag for bulk stock).
+ * - Checkout creates the invoice, its items and one payment per tender in
+ *   a single transaction. A sale must be paid in full; only cash can be
+ *   over-tendered, and the excess is returned as change.
+ * - Receipt data is shaped for 58mm / 80mm thermal printers.
+ */
+
+const {
+  Invoice,
+  InvoiceItem,
+  InvoicePayment,
+  InvoiceTaxLine,
+  Asset,
+  AssetUnit,
+  Customer,
+  CustomerWarranty,
+  CompanyProfile,
+  User,
+  ActivityLog,
+  InventoryItemEvent,
+  StockMovement,
+  sequelize
+} = require('../models');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { sanitizeInvoiceForRole } = require('../middleware/permissions');
+const exchangeRateService = require('../services/exchangeRateService');
+const { computeAvailability } = require('../services/inventoryAvailabilityService');
+const { resolveScanCode } = require('../services/scanLookupService');
+const { settleTender } = require('../services/posService');
+const { ALLOWED_CURRENCIES } = require('../utils/currencyUtils');
+
+const DISCOUNT_TYPES = ['none', 'percentage', 'fixed'];
+const MAX_CART_LINES = 100;
+
+const round2 = n => Math.round(n * 100) / 100;
+
+function parseQuantity(value) {
+  const quantity = Number(value);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new AppError('Quantity must be an integer >= 1', 400, 'INVALID_QUANTITY');
+  }
+  return quantity;
+}
+
+function parsePrice(value) {
+  const price = parseFloat(value);
+  if (isNaN(price) || price < 0) {
+    throw new AppError('Unit price must be a non-negative number', 400, 'INVALID_PRICE');
+  }
+  return round2(price);
+}
+
+function parseDiscount(type, value) {
+  const discountType = type || 'none';
+  if (!DISCOUNT_TYPES.includes(discountType)) {
+    throw new AppError('Discount type must be none, percentage, or fixed', 400, 'INVALID_DISCOUNT_TYPE');
+  }
+  if (discountType === 'none') return { type: 'none', value: 0 };
+
+  const discountValue = parseFloat(value ?? 0);
+  if (isNaN(discountValue) || discountValue < 0) {
+    throw new AppError('Discount value must be a non-negative number', 400, 'INVALID_DISCOUNT_VALUE');
+  }
+  if (discountType === 'percentage' && discountValue > 100) {
+    throw new AppError('Percentage discount cannot exceed 100%', 400, 'INVALID_DISCOUNT_VALUE');
+  }
+  return { type: discountType, value: discountValue };
+}
+
+/**
+ * Enforce the user's max_discount_percent, as on invoices
+ * @param {number} userId
+ * @param {{ type, value }} discount
+ * @param {number} base - amount a fixed discount is taken off
+ */
+async function assertDiscountAllowed(userId, discount, base) {
+  if (discount.type === 'none' || discount.value <= 0) return;
+
+  const dbUser = await User.findByPk(userId, { attributes: ['max_discount_percent'] });
+  const maxDiscount = dbUser?.max_discount_percent != null ? parseFloat(dbUser.max_discount_percent) : null;
+  if (maxDiscount === null) return;
+
+  const effectivePercent = discount.type === 'percentage'
+    ? discount.value
+    : (base > 0 ? (discount.value / base) * 100 : 0);
+  if (effectivePercent > maxDiscount) {
+    throw new AppError(`Maximum discount for your role is ${maxDiscount}%. Contact a manager for higher discounts.`, 400, 'DISCOUNT_LIMIT_EXCEEDED');
+  }
+}
+
+// Current selling price: unit-level price if set, otherwise the product's
+function currentPrice(asset, unit = null) {
+  return unit && unit.price_amount !== null ? parseFloat(unit.price_amount) : (parseFloat(asset.price_amount) || 0);
+}
+
+function describe(asset, unit = null) {
+  const serial = unit ? unit.serial_number : asset.serial_number;
+  return `${asset.make} ${asset.model}${serial ? ` (S/N: ${serial})` : ''} [${asset.asset_tag}]`;
+}
+
+/**
+ * Validate the cart lines in the request body
+ * @returns {Array<{ assetId, unitId, quantity, unitPrice, warrantyTier, discount }>}
+ */
+function parseCart(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError('Scan at least one item', 400, 'NO_ITEMS');
+  }
+  if (items.length > MAX_CART_LINES) {
+    throw new AppError(`A sale can have at most ${MAX_CART_LINES} lines`, 400, 'TOO_MANY_ITEMS');
+  }
+
+  return items.map(line => {
+    if (!line || !line.asset_id) {
+      throw new AppError('Every line needs an asset_id', 400, 'MISSING_ASSET');
+    }
+    if (line.warranty_tier && !CustomerWarranty.TIERS[line.warranty_tier]) {
+      throw new AppError(`Warranty tier must be one of: ${Object.keys(CustomerWarranty.TIERS).join(', ')}`, 400, 'INVALID_WARRANTY_TIER');
+    }
+    return {
+      assetId: line.asset_id,
+      unitId: line.asset_unit_id || null,
+      quantity: line.quantity === undefined ? 1 : parseQuantity(line.quantity),
+      unitPrice: line.unit_price === undefined || line.unit_price === null ? null : parsePrice(line.unit_price),
+      warrantyTier: line.warranty_tier || null,
+      discount: parseDiscount(line.discount_type, line.discount_value)
+    };
+  });
+}
+
+/**
+ * Validate the tenders in the request body
+ * @returns {Array<{ payment_method, amount, payment_method_other_text, reference }>}
+ */
+function parseTenders(payments) {
+  if (!Array.isArray(payments) || payments.length === 0) {
+    throw new AppError('At least one payment is required', 400, 'PAYMENT_REQUIRED');
+  }
+
+  return payments.map(payment => {
+    const method = payment?.payment_method;
+    if (!InvoicePayment.PAYMENT_METHODS.includes(method)) {
+      throw new AppError(`Invalid payment method. Must be one of: ${InvoicePayment.PAYMENT_METHODS.join(', ')}`, 400, 'INVALID_METHOD');
+    }
+    const amount = parseFloat(payment.amount);
+    if (isNaN(amount) || amount <= 0) {
+      throw new AppError('Each payment amount must be greater than 0', 400, 'INVALID_AMOUNT');
+    }
+    const otherText = (payment.payment_method_other_text || '').trim();
+    if (method === 'Other' && !otherText) {
+      throw new AppError('Please specify the payment method when selecting "Other"', 400, 'OTHER_TEXT_REQUIRED');
+    }
+    return {
+      payment_method: method,
+      amount: round2(amount),
+      payment_method_other_text: method === 'Other' ? otherText : null,
+      reference: (payment.reference || '').trim() || null
+    };
+  });
+}
+
+// Payment comment, noting any change given back from a cash tender
+function paymentComment(invoice, payment, currency) {
+  const parts = [`POS sale ${invoice.invoice_number}`];
+  if (payment.reference) parts.push(`ref: ${payment.reference}`);
+  if (payment.tendered > payment.amount) {
+    parts.push(`tendered ${currency} ${payment.tendered.toFixed(2)}, change ${currency} ${round2(payment.tendered - payment.amount).toFixed(2)}`);
+  }
+  return parts.join(' — ');
+}
+
+/**
+ * Receipt data for the thermal printer
+ * @param {string} invoiceId
+ * @param {Object} tender - tendered and change_due from checkout; left out
+ *   on reprints, where only the recorded payments are known
+ */
+async function buildReceipt(invoiceId, tender = {}) {
+  const [invoice, company] = await Promise.all([
+    Invoice.findByPk(invoiceId, {
+      include: [
+        { model: Customer, as: 'customer' },
+        { model: User, as: 'creator', attributes: ['id', 'full_name'] },
+        {
+          model: InvoiceItem,
+          as: 'items',
+          include: [
+            { model: Asset, as: 'asset', attributes: ['id', 'asset_tag', 'make', 'model'] },
+            { model: AssetUnit, as: 'assetUnit', attributes: ['id', 'serial_number', 'imei'] }
+          ]
+        },
+        { model: InvoicePayment, as: 'payments' },
+        { model: InvoiceTaxLine, as: 'taxLines' }
+      ],
+      order: [
+        [{ model: InvoiceItem, as: 'items' }, 'created_at', 'ASC'],
+        [{ model: InvoicePayment, as: 'payments' }, 'created_at', 'ASC'],
+        [{ model: InvoiceTaxLine, as: 'taxLines' }, 'sequence', 'ASC']
+      ]
+    }),
+    CompanyProfile.findOne({ where: { is_active: true } })
+  ]);
+  if (!invoice) {
+    throw new AppError('Invoice not found', 404, 'NOT_FOUND');
+  }
+
+  const payments = invoice.payments.filter(payment => !payment.isVoided());
+  const items = invoice.items.filter(item => !item.voided_at);
+
+  return {
+    company: company ? {
+      name: company.company_name,
+      tagline: company.tagline,
+      address: [company.address_line_1, company.address_line_2, company.city].filter(Boolean).join(', '),
+      phone: company.phone,
+      tax_id: company.tax_id_or_tin,
+      footer: company.notes_footer
+    } : null,
+    invoice_id: invoice.id,
+    invoice_number: invoice.invoice_number,
+    date: invoice.created_at,
+    cashier: invoice.creator ? invoice.creator.full_name : null,
+    customer_name: invoice.customer ? invoice.customer.getDisplayName() : null,
+    currency: invoice.currency,
+    items: items.map(item => ({
+      description: item.asset ? `${item.asset.make} ${item.asset.model}` : item.description,
+      serial_number: item.assetUnit ? item.assetUnit.serial_number : null,
+      imei: item.assetUnit ? item.assetUnit.imei : null,
+      quantity: item.quantity,
+      unit_price: item.unit_price_amount,
+      discount_amount: item.discount_amount,
+      line_total: item.line_total_amount,
+      warranty_tier: item.warranty_tier
+    })),
+    subtotal: invoice.subtotal_amount,
+    discount_amount: invoice.discount_amount,
+    tax_lines: invoice.taxLines.map(line => ({
+      name: line.name,
+      rate_percent: line.rate_percent,
+      tax_amount: line.tax_amount
+    })),
+    tax_amount: invoice.tax_amount,
+    total: invoice.total_amount,
+    payments: payments.map(payment => ({
+      method: payment.getMethodDisplay(),
+      amount: payment.getSignedAmount()
+    })),
+    amount_paid: invoice.amount_paid,
+    balance_due: invoice.balance_due,
+    tendered: tender.tendered ?? null,
+    change_due: tender.change_due ?? null
+  };
+}
+
+/**
+ * GET /api/v1/pos/lookup?code=XXXX
+ * Resolve a scanned serial number, IMEI, barcode or asset tag to a cart line.
+ * Serialized products must be scanned by unit; a product's own tag or
+ * serial only adds bulk stock.
+ */
+exports.lookup = asyncHandler(async (req, res) => {
+  const code = (req.query.code || '').trim();
+  if (!code) {
+    throw new AppError('code query parameter is required', 400, 'MISSING_CODE');
+  }
+
+  const { asset, unit, matchedOn } = await resolveScanCode(code);
+  if (!asset) {
+    throw new AppError(`No item found for ${code}`, 404, 'CODE_NOT_FOUND');
+  }
+
+  if (asset.is_serialized && !unit) {
+    throw new AppError(`${asset.make} ${asset.model} is serialized — scan the unit's serial number, IMEI or barcode`, 400, 'UNIT_REQUIRED');
+  }
+  if (unit && unit.status !== 'Available') {
+    throw new AppError(`Unit ${unit.serial_number} is ${unit.status}, not Available`, 409, 'UNIT_UNAVAILABLE');
+  }
+
+  const { available } = await computeAvailability(asset.id);
+  if (!unit && available < 1) {
+    throw new AppError(`${asset.make} ${asset.model} is out of stock`, 409, 'OUT_OF_STOCK');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      line: {
+        asset_id: asset.id,
+        asset_unit_id: unit ? unit.id : null,
+        asset_tag: asset.asset_tag,
+        description: describe(asset, unit),
+        make: asset.make,
+        model: asset.model,
+        category: asset.category,
+        is_serialized: !!asset.is_serialized,
+        serial_number: unit ? unit.serial_number : null,
+        imei: unit ? unit.imei : null,
+        unit_price: round2(currentPrice(asset, unit)),
+        available: unit ? 1 : available,
+        matched_on: matchedOn
+      }
+    }
+  });
+});
+
+/**
+ * POST /api/v1/pos/checkout
+ * Body: customer_id (optional, walk-in otherwise), currency, notes,
+ *       items: [{ asset_id, asset_unit_id (serialized), quantity (bulk),
+ *                 unit_price, warranty_tier, discount_type, discount_value }],
+ *       discount_type, discount_value (sale-level),
+ *       payments: [{ payment_method, amount, payment_method_other_text, reference }]
+ *
+ * All or nothing: stock, discounts and tender are checked inside the
+ * transaction, and any failure leaves no invoice behind. The invoice is
+ * delivered (items leave the store) and PAID.
+ */
+exports.checkout = asyncHandler(async (req, res) => {
+  const { customer_id, currency = 'GHS', notes } = req.body;
+  if (!ALLOWED_CURRENCIES.includes(currency)) {
+    throw new AppError(`Currency must be one of: ${ALLOWED_CURRENCIES.join(', ')}`, 400, 'INVALID_CURRENCY');
+  }
+  const cart = parseCart(req.body.items);
+  const tenders = parseTenders(req.body.payments);
+  const saleDiscount = parseDiscount(req.body.discount_type, req.body.discount_value);
+  const userId = req.user.id;
+
+  const t = await sequelize.transaction();
+  let invoice;
+  let settlement;
+  const paymentRecords = [];
+  try {
+    if (customer_id && !(await Customer.findByPk(customer_id, { transaction: t }))) {
+      throw new AppError('Customer not found', 400, 'INVALID_CUSTOMER');
+    }
+
+    // --- Check every line against stock before creating anything ---
+    const assets = new Map();
+    const requestedByAsset = new Map();
+    const unitIds = new Set();
+    const lines = [];
+
+    for (const line of cart) {
+      if (!assets.has(line.assetId)) {
+        // Locks the asset row (SELECT FOR UPDATE) for the rest of the checkout
+        const { available, asset } = await computeAvailability(line.assetId, { transaction: t });
+        if (!asset || asset.deleted_at) {
+          throw new AppError(`Inventory item ${line.assetId} not found`, 404, 'ASSET_NOT_FOUND');
+        }
+        assets.set(line.assetId, { asset, available });
+      }
+      const { asset } = assets.get(line.assetId);
+
+      let unit = null;
+      let quantity = line.quantity;
+      if (asset.is_serialized) {
+        if (!line.unitId) {
+          throw new AppError(`asset_unit_id is required for ${asset.make} ${asset.model}`, 400, 'UNIT_REQUIRED');
+        }
+        if (unitIds.has(line.unitId)) {
+          throw new AppError('The same unit was scanned twice', 400, 'DUPLICATE_UNIT');
+        }
+        unit = await AssetUnit.findOne({ where: { id: line.unitId, asset_id: asset.id }, transaction: t, lock: true });
+        if (!unit) {
+          throw new AppError('Unit not found for this product', 404, 'UNIT_NOT_FOUND');
+        }
+        if (unit.status !== 'Available') {
+          throw new AppError(`Unit ${unit.serial_number} is ${unit.status}, not Available`, 409, 'UNIT_UNAVAILABLE');
+        }
+        unitIds.add(unit.id);
+        quantity = 1;
+      } else {
+        if (line.unitId) {
+          throw new AppError('asset_unit_id only applies to serialized products', 400, 'VALIDATION_ERROR');
+        }
+        requestedByAsset.set(asset.id, (requestedByAsset.get(asset.id) || 0) + quantity);
+      }
+
+      const unitPrice = line.unitPrice !== null ? line.unitPrice : round2(currentPrice(asset, unit));
+      await assertDiscountAllowed(userId, line.discount, quantity * unitPrice);
+      lines.push({ ...line, asset, unit, quantity, unitPrice });
+    }
+
+    // Reserved quantity is read outside this transaction, so a product
+    // scanned on several lines is checked once against the total
+    const shortages = [];
+    for (const [assetId, requested] of requestedByAsset) {
+      const { asset, available } = assets.get(assetId);
+      if (requested > available) {
+        shortages.push({ asset_id: assetId, description: `${asset.make} ${asset.model} [${asset.asset_tag}]`, requested, available });
+      }
+    }
+    if (shortages.length > 0) {
+      throw new AppError('Not enough stock for this sale', 409, 'INSUFFICIENT_STOCK', { shortages });
+    }
+
+    // --- Invoice and items ---
+    invoice = await Invoice.create({
+      invoice_number: await Invoice.generateInvoiceNumber(),
+      customer_id: customer_id || null,
+      invoice_date: new Date(),
+      status: 'UNPAID',
+      currency,
+      fulfillment_type: 'delivered',
+      source: 'pos',
+      tax_mode: await CompanyProfile.getDefaultTaxMode(t),
+      discount_type: saleDiscount.type,
+      discount_value: saleDiscount.value,
+      notes: notes || null,
+      amount_paid: 0,
+      balance_due: 0,
+      created_by: userId,
+      updated_by: userId
+    }, { transaction: t });
+
+    for (const { asset, unit, quantity, unitPrice, warrantyTier, discount } of lines) {
+      const originalCostAmount = unit && unit.cost_amount !== null ? parseFloat(unit.cost_amount) : (parseFloat(asset.cost_amount) || 0);
+      const originalCostCurrency = (unit && unit.cost_currency) || asset.cost_currency || 'USD';
+      let unitCost = originalCostAmount;
+      if (originalCostCurrency !== currency && unitCost > 0) {
+        unitCost = await exchangeRateService.convertAmount(unitCost, originalCostCurrency, currency);
+        if (!invoice.fx_rate_used) {
+          invoice.fx_rate_source = 'hardcoded';
+          invoice.fx_rate_used = await exchangeRateService.getExchangeRate(originalCostCurrency, currency);
+          invoice.fx_fetched_at = new Date();
+        }
+      }
+
+      await InvoiceItem.create({
+        invoice_id: invoice.id,
+        asset_id: asset.id,
+        asset_unit_id: unit ? unit.id : null,
+        warranty_tier: unit ? (warrantyTier || CustomerWarranty.DEFAULT_TIER) : null,
+        description: describe(asset, unit),
+        quantity,
+        unit_price_amount: unitPrice,
+        unit_cost_amount: unitCost,
+        original_cost_currency: originalCostCurrency,
+        original_cost_amount: originalCostAmount,
+        discount_type: discount.type,
+        discount_value: discount.value,
+        category: asset.category || null,
+        asset_type: asset.asset_type || null
+      }, { transaction: t });
+
+      if (unit) {
+        unit.status = 'Reserved';
+        await unit.save({ transaction: t });
+      } else {
+        const onHand = asset.quantity || 0;
+        await StockMovement.record(asset, Math.max(onHand - quantity, 0) - onHand, 'sale', {
+          referenceType: 'invoice',
+          referenceId: invoice.id,
+          notes: `POS sale ${invoice.invoice_number}`,
+          userId
+        }, t);
+      }
+    }
+
+    for (const { asset } of assets.values()) {
+      await asset.updateComputedStatus(t);
+      await InventoryItemEvent.logAddedToInvoice(asset, invoice, userId, t);
+    }
+
+    await invoice.recalculateTotals(t);
+    await assertDiscountAllowed(userId, saleDiscount, parseFloat(invoice.subtotal_amount) || 0);
+
+    // --- Payments ---
+    const total = parseFloat(invoice.total_amount) || 0;
+    if (total <= 0) {
+      throw new AppError('Sale total must be greater than zero', 400, 'ZERO_TOTAL');
+    }
+    settlement = settleTender(total, tenders);
+    if (settlement.shortfall > 0) {
+      throw new AppError(
+        `Payments fall short of the total by ${currency} ${settlement.shortfall.toFixed(2)}`,
+        400,
+        'INSUFFICIENT_TENDER',
+        { total, tendered: settlement.tendered, shortfall: settlement.shortfall }
+      );
+    }
+    if (settlement.non_cash_excess > 0) {
+      throw new AppError(
+        `Payments exceed the total by ${currency} ${settlement.non_cash_excess.toFixed(2)}. Only cash can be over-tendered.`,
+        400,
+        'OVERPAYMENT',
+        { total, tendered: settlement.tendered }
+      );
+    }
+
+    for (const payment of settlement.payments) {
+      paymentRecords.push(await InvoicePayment.create({
+        invoice_id: invoice.id,
+        transaction_type: 'PAYMENT',
+        payment_date: new Date(),
+        amount: payment.amount,
+        currency,
+        payment_method: payment.payment_method,
+        payment_method_other_text: payment.payment_method_other_text,
+        comment: paymentComment(invoice, payment, currency),
+        received_by_user_id: userId
+      }, { transaction: t }));
+    }
+
+    invoice.amount_paid = round2(settlement.payments.reduce((sum, payment) => sum + payment.amount, 0));
+    await invoice.updatePaymentStatus(t);
+    if (invoice.status === 'PAID') {
+      await invoice.handlePaidTransition(t, userId);
+    }
+
+    for (const txRecord of paymentRecords) {
+      for (const { asset } of assets.values()) {
+        await InventoryItemEvent.logPaymentReceived(asset, txRecord, invoice, userId, t);
+      }
+    }
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.logInvoiceCreated(invoice, userId);
+  for (const txRecord of paymentRecords) {
+    await ActivityLog.logPaymentReceived(txRecord, invoice, userId);
+  }
+
+  res.status(201).json({
+    success: true,
+    data: {
+      invoice: sanitizeInvoiceForRole(invoice, req.user.role),
+      receipt: await buildReceipt(invoice.id, settlement)
+    },
+    message: settlement.change_due > 0
+      ? `Sale ${invoice.invoice_number} complete. Change due: ${currency} ${settlement.change_due.toFixed(2)}`
+      : `Sale ${invoice.invoice_number} complete`
+  });
+});
+
+/**
+ * GET /api/v1/pos/receipts/:invoiceId
+ * Receipt data for reprinting a sale
+ */
+exports.getReceipt = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: { receipt: await buildReceipt(req.params.invoiceId) }
+  });
+});
@@ -1,7 +1,8 @@
 /**
  * Preorder Controller
  *
- * CRUD, status updates, convert-to-invoice, and summary.
+ * CRUD, status updates, payments (deposit, top-ups, refunds),
+ * cancellation, convert-to-invoice, SLA targets, and summary.
  */
 
 const asyncHandler = handler => (req, res, next) => {
@@ -9,8 +10,13 @@ const asyncHandler = handler => (req, res, next) => {
 };
 
 const { Op } = require('sequelize');
-const { Preorder, Customer, Invoice, InvoiceItem, InvoicePayment, User, NotificationLog, sequelize } = require('../models');
-const { sendPreorderStatusEmail } = require('../services/emailService');
+const { Preorder, PreorderPayment, PreorderSlaTarget, Customer, Invoice, InvoiceItem, InvoicePayment, User, NotificationLog, ActivityLog, sequelize } = require('../models');
+const slaService = require('../services/preorderSlaService');
+
+const round2 = n => Math.round(n * 100) / 100;
+
+// Preorders are priced and paid in cedis; their invoices are too
+const INVOICE_CURRENCY = 'GHS';
 
 // ─── List ────────────────────────────────────────────────────
 exports.list = asyncHandler(async (req, res) => {
@@ -82,7 +88,15 @@ exports.getById = asyncHandler(async (req, res) => {
     });
   }
 
-  res.json({ success: true, data: preorder });
+  // Due date of each stage against the shipping method's target
+  const targets = await slaService.loadTargets();
+  const target = slaService.targetFor(targets, preorder.shipping_method);
+  const sla = preorder.status === 'Cancelled' ? null : {
+    target,
+    ...slaService.computeSchedule(preorder, target)
+  };
+
+  res.json({ success: true, data: { ...preorder.toJSON(), sla } });
 });
 
 // ─── Create ──────────────────────────────────────────────────
@@ -120,6 +134,15 @@ exports.create = asyncHandler(async (req, res) => {
   if (!finalName) errors.push('customer_name is required');
   if (!finalPhone) errors.push('customer_phone is required');
 
+  const depositAmount = round2(parseFloat(deposit_amount) || 0);
+  if (deposit_amount != null && (isNaN(parseFloat(deposit_amount)) || depositAmount < 0)) {
+    errors.push('deposit_amount must be a number >= 0');
+  }
+  const depositMethod = PreorderPayment.normalizeMethod(deposit_payment_method, req.body.deposit_payment_method_other_text);
+  if (depositAmount > 0 && !depositMethod) {
+    errors.push(`deposit_payment_method must be one of: ${PreorderPayment.PAYMENT_METHODS.join(', ')} (Other needs deposit_payment_method_other_text)`);
+  }
+
   if (errors.length > 0) {
     return res.status(400).json({
       success: false,
@@ -129,28 +152,59 @@ exports.create = asyncHandler(async (req, res) => {
 
   const tracking_code = await Preorder.generateTrackingCode();
 
-  const preorder = await Preorder.create({
-    tracking_code,
-    customer_id: customer_id || null,
-    customer_name: finalName,
-    customer_phone: finalPhone,
-    customer_email: finalEmail || null,
-    item_description,
-    quantity: quantity || 1,
-    source_url: source_url || null,
-    source_notes: source_notes || null,
-    purchase_cost_amount: purchase_cost_amount || null,
-    purchase_cost_currency: purchase_cost_currency || 'USD',
-    supplier_order_number: supplier_order_number || null,
-    shipping_method: shipping_method || null,
-    estimated_arrival_date: estimated_arrival_date || null,
-    selling_price,
-    deposit_amount,
-    deposit_payment_method: deposit_payment_method || null,
-    notes: notes || null,
-    created_by: req.user?.id,
-    updated_by: req.user?.id
-  });
+  const dbTransaction = await sequelize.transaction();
+  let preorder;
+  let deposit = null;
+  try {
+    preorder = await Preorder.create({
+      tracking_code,
+      customer_id: customer_id || null,
+      customer_name: finalName,
+      customer_phone: finalPhone,
+      customer_email: finalEmail || null,
+      item_description,
+      quantity: quantity || 1,
+      source_url: source_url || null,
+      source_notes: source_notes || null,
+      purchase_cost_amount: purchase_cost_amount || null,
+      purchase_cost_currency: purchase_cost_currency || 'USD',
+      supplier_order_number: supplier_order_number || null,
+      shipping_method: shipping_method || null,
+      estimated_arrival_date: estimated_arrival_date || null,
+      estimated_arrival_source: estimated_arrival_date ? 'manual' : null,
+      selling_price,
+      deposit_amount: depositAmount,
+      deposit_payment_method: depositMethod ? depositMethod.payment_method : null,
+      notes: notes || null,
+      created_by: req.user?.id,
+      updated_by: req.user?.id
+    }, { transaction: dbTransaction });
+
+    await slaService.refreshPreorder(preorder, { transaction: dbTransaction });
+    await preorder.save({ transaction: dbTransaction });
+
+    // The deposit is the preorder's first payment
+    if (depositAmount > 0) {
+      deposit = await PreorderPayment.create({
+        preorder_id: preorder.id,
+        transaction_type: 'PAYMENT',
+        payment_date: new Date(),
+        amount: depositAmount,
+        ...depositMethod,
+        comment: 'Deposit',
+        received_by: req.user?.id
+      }, { transaction: dbTransaction });
+    }
+
+    await dbTransaction.commit();
+  } catch (err) {
+    if (!dbTransaction.finished) await dbTransaction.rollback();
+    throw err;
+  }
+
+  if (deposit) {
+    await ActivityLog.logPreorderPayment(deposit, preorder, req.user?.id);
+  }
 
   const full = await Preorder.findByPk(preorder.id, {
     include: [
@@ -180,10 +234,13 @@ exports.update = asyncHandler(async (req, res) => {
     'purchase_date', 'supplier_order_number',
     'shipping_method', 'tracking_number', 'shipped_date',
     'estimated_arrival_date', 'actual_arrival_date',
-    'selling_price', 'deposit_amount', 'deposit_payment_method',
+    'selling_price',
     'status', 'status_message',
     'notes'
   ];
+  // deposit_amount follows the preorder's payments (POST /:id/payments, /:id/refunds)
+
+  const previousStatus = preorder.status;
 
   for (const field of allowedFields) {
     if (req.body[field] !== undefined) {
@@ -198,14 +255,25 @@ exports.update = asyncHandler(async (req, res) => {
     applyStatusDates(preorder, req.body.status);
   }
 
+  // An arrival date changed by hand is kept; clearing it goes back to the estimate
+  if (req.body.estimated_arrival_date !== undefined) {
+    const entered = req.body.estimated_arrival_date || null;
+    preorder.estimated_arrival_date = entered;
+    if (!entered) {
+      preorder.estimated_arrival_source = null;
+    } else if (slaService.toDateOnly(entered) !== slaService.toDateOnly(preorder.previous('estimated_arrival_date'))) {
+      preorder.estimated_arrival_source = 'manual';
+    }
+  }
+
+  await slaService.refreshPreorder(preorder);
+
   preorder.updated_by = req.user?.id;
   await preorder.save();
 
-  // Send email notification on status change (non-blocking)
+  // The status change log entry also notifies the customer (services/notificationService.js)
   if (statusChanged) {
-    sendPreorderStatusEmail(preorder).catch(err => {
-      console.error('Email notification error:', err.message);
-    });
+    await ActivityLog.logPreorderStatusChanged(preorder, previousStatus, req.user?.id);
   }
 
   const full = await Preorder.findByPk(preorder.id, {
@@ -240,20 +308,22 @@ exports.updateStatus = asyncHandler(async (req, res) => {
     });
   }
 
+  const previousStatus = preorder.status;
   preorder.status = status;
   if (status_message !== undefined) {
     preorder.status_message = status_message || null;
   }
 
   applyStatusDates(preorder, status);
+  await slaService.refreshPreorder(preorder);
 
   preorder.updated_by = req.user?.id;
   await preorder.save();
 
-  // Send email notification (non-blocking — don't fail the request if email fails)
-  sendPreorderStatusEmail(preorder).catch(err => {
-    console.error('Email notification error:', err.message);
-  });
+  // Also notifies the customer (services/notificationService.js)
+  if (previousStatus !== status) {
+    await ActivityLog.logPreorderStatusChanged(preorder, previousStatus, req.user?.id);
+  }
 
   res.json({ success: true, data: preorder });
 });
@@ -276,32 +346,63 @@ exports.remove = asyncHandler(async (req, res) => {
     });
   }
 
+  if (preorder.deposit_amount > 0) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'MONEY_HELD', message: `GHS ${preorder.deposit_amount.toFixed(2)} is still held on this preorder. Refund it before deleting.` }
+    });
+  }
+
   await preorder.destroy();
 
   res.json({ success: true, message: 'Preorder deleted' });
 });
 
 // ─── Convert to Invoice ─────────────────────────────────────
+// The preorder is locked for the whole conversion, so two requests can't
+// both create an invoice and carry the same deposits over
 exports.convertToInvoice = asyncHandler(async (req, res) => {
-  const preorder = await Preorder.findByPk(req.params.id);
+  const dbTransaction = await sequelize.transaction();
 
-  if (!preorder) {
-    return res.status(404).json({
-      success: false,
-      error: { code: 'NOT_FOUND', message: 'Preorder not found' }
-    });
-  }
+  try {
+    const preorder = await Preorder.findByPk(req.params.id, { transaction: dbTransaction, lock: true });
+
+    if (!preorder) {
+      await dbTransaction.rollback();
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Preorder not found' }
+      });
+    }
 
-  if (preorder.invoice_id) {
-    return res.status(400).json({
-      success: false,
-      error: { code: 'ALREADY_CONVERTED', message: 'This preorder has already been converted to an invoice' }
+    if (preorder.invoice_id) {
+      await dbTransaction.rollback();
+      return res.status(400).json({
+        success: false,
+        error: { code: 'ALREADY_CONVERTED', message: 'This preorder has already been converted to an invoice' }
+      });
+    }
+
+    // Carry each payment and refund over on its own date and method, so
+    // money is still reported on the day it was taken
+    const payments = await PreorderPayment.findAll({
+      where: { preorder_id: preorder.id, voided_at: null, invoice_payment_id: null },
+      order: [['payment_date', 'ASC'], ['id', 'ASC']],
+      transaction: dbTransaction
     });
-  }
 
-  const dbTransaction = await sequelize.transaction();
+    const otherCurrencies = [...new Set(payments.map(p => p.currency).filter(c => c !== INVOICE_CURRENCY))];
+    if (otherCurrencies.length > 0) {
+      await dbTransaction.rollback();
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'CURRENCY_MISMATCH',
+          message: `Payments in ${otherCurrencies.join(', ')} can't be carried over to a ${INVOICE_CURRENCY} invoice. Refund them and take the payment again in ${INVOICE_CURRENCY}.`
+        }
+      });
+    }
 
-  try {
     // Find or create customer
     let customerId = preorder.customer_id;
     if (!customerId) {
@@ -336,7 +437,7 @@ exports.convertToInvoice = asyncHandler(async (req, res) => {
       customer_id: customerId,
       invoice_date: new Date(),
       status: 'UNPAID',
-      currency: 'GHS',
+      currency: INVOICE_CURRENCY,
       subtotal_amount: preorder.selling_price * preorder.quantity,
       total_amount: preorder.selling_price * preorder.quantity,
       total_cost_amount: 0,
@@ -360,21 +461,28 @@ exports.convertToInvoice = asyncHandler(async (req, res) => {
       line_profit_amount: preorder.selling_price * preorder.quantity
     }, { transaction: dbTransaction });
 
-    // Add deposit as payment
-    if (preorder.deposit_amount > 0) {
-      await InvoicePayment.create({
+    for (const payment of payments) {
+      const isRefund = payment.transaction_type === 'REFUND';
+      const invoicePayment = await InvoicePayment.create({
         invoice_id: invoice.id,
-        payment_date: preorder.created_at,
-        amount: preorder.deposit_amount,
-        currency: 'GHS',
-        comment: `Preorder deposit (${preorder.tracking_code})`,
-        payment_method: preorder.deposit_payment_method || null,
-        received_by_user_id: req.user?.id
-      }, { transaction: dbTransaction });
+        transaction_type: payment.transaction_type,
+        payment_date: payment.payment_date,
+        amount: payment.amount,
+        currency: payment.currency,
+        comment: `Preorder ${isRefund ? 'refund' : 'deposit'} (${preorder.tracking_code})${payment.comment ? `: ${payment.comment}` : ''}`,
+        payment_method: payment.payment_method,
+        payment_method_other_text: payment.payment_method_other_text,
+        received_by_user_id: payment.received_by
+      }, { transaction: dbTransaction, fromPreorderDeposit: true });
+
+      payment.invoice_payment_id = invoicePayment.id;
+      await payment.save({ transaction: dbTransaction });
+    }
 
-      // Update invoice payment totals
-      invoice.amount_paid = preorder.deposit_amount;
-      invoice.balance_due = (preorder.selling_price * preorder.quantity) - preorder.deposit_amount;
+    const { net } = PreorderPayment.summarize(payments);
+    if (net > 0) {
+      invoice.amount_paid = net;
+      invoice.balance_due = round2((preorder.selling_price * preorder.quantity) - net);
 
       if (invoice.balance_due <= 0) {
         invoice.status = 'PAID';
@@ -382,16 +490,27 @@ exports.convertToInvoice = asyncHandler(async (req, res) => {
         invoice.status = 'PARTIALLY_PAID';
       }
       await invoice.save({ transaction: dbTransaction });
+
+      // Paid in full by the deposits: same follow-up as any invoice turning PAID
+      if (invoice.status === 'PAID') {
+        await invoice.handlePaidTransition(dbTransaction, req.user?.id);
+      }
     }
 
     // Update preorder
+    const previousStatus = preorder.status;
     preorder.invoice_id = invoice.id;
     preorder.status = 'Completed';
+    await slaService.refreshPreorder(preorder, { transaction: dbTransaction });
     preorder.updated_by = req.user?.id;
     await preorder.save({ transaction: dbTransaction });
 
     await dbTransaction.commit();
 
+    if (previousStatus !== 'Completed') {
+      await ActivityLog.logPreorderStatusChanged(preorder, previousStatus, req.user?.id);
+    }
+
     res.json({
       success: true,
       data: {
@@ -401,18 +520,211 @@ exports.convertToInvoice = asyncHandler(async (req, res) => {
       }
     });
   } catch (err) {
-    await dbTransaction.rollback();
+    if (!dbTransaction.finished) await dbTransaction.rollback();
     throw err;
   }
 });
 
+// ─── Payments ────────────────────────────────────────────────
+exports.listPayments = asyncHandler(async (req, res) => {
+  const preorder = await Preorder.findByPk(req.params.id);
+
+  if (!preorder) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Preorder not found' }
+    });
+  }
+
+  const payments = await PreorderPayment.findAll({
+    where: { preorder_id: preorder.id },
+    include: [
+      { model: User, as: 'receivedBy', attributes: ['id', 'full_name'] },
+      { model: User, as: 'voidedBy', attributes: ['id', 'full_name'] }
+    ],
+    order: [['payment_date', 'ASC'], ['id', 'ASC']]
+  });
+
+  res.json({
+    success: true,
+    data: {
+      payments: payments.map(p => ({ ...p.toJSON(), method_display: p.getMethodDisplay() })),
+      totals: {
+        ...PreorderPayment.summarize(payments),
+        balance_due: preorder.balance_due
+      }
+    }
+  });
+});
+
+// Record a top-up: { amount, payment_method, payment_method_other_text, payment_date, comment }
+exports.addPayment = asyncHandler(async (req, res) => {
+  const input = parsePaymentInput(req.body);
+  if (input.errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: input.errors.join(', ') }
+    });
+  }
+
+  const result = await recordPreorderPayment(req.params.id, { ...input.values, transaction_type: 'PAYMENT' }, req.user?.id);
+  if (result.error) {
+    return res.status(result.status).json({ success: false, error: result.error });
+  }
+
+  res.status(201).json({ success: true, data: result });
+});
+
+// Give money back: { amount (default: all held), payment_method, payment_method_other_text, comment }
+exports.refund = asyncHandler(async (req, res) => {
+  const input = parsePaymentInput(req.body, { refund: true });
+  if (input.errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: input.errors.join(', ') }
+    });
+  }
+
+  const result = await recordPreorderPayment(req.params.id, { ...input.values, transaction_type: 'REFUND' }, req.user?.id);
+  if (result.error) {
+    return res.status(result.status).json({ success: false, error: result.error });
+  }
+
+  res.status(201).json({ success: true, data: result });
+});
+
+// ─── Cancel ──────────────────────────────────────────────────
+// { status_message, refund: { amount, payment_method, payment_method_other_text, comment } }
+// Without a refund any money held stays on the preorder (e.g. a forfeited deposit)
+// and can still be refunded later.
+exports.cancel = asyncHandler(async (req, res) => {
+  const preorder = await Preorder.findByPk(req.params.id);
+
+  if (!preorder) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Preorder not found' }
+    });
+  }
+
+  if (preorder.invoice_id || preorder.status === 'Cancelled') {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVALID_STATUS', message: `A ${preorder.invoice_id ? 'converted' : 'cancelled'} preorder cannot be cancelled` }
+    });
+  }
+
+  let refund = null;
+  if (req.body.refund) {
+    const input = parsePaymentInput({ comment: 'Preorder cancelled', ...req.body.refund }, { refund: true });
+    if (input.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: input.errors.join(', ') }
+      });
+    }
+    refund = { ...input.values, transaction_type: 'REFUND' };
+  }
+
+  const dbTransaction = await sequelize.transaction();
+  const previousStatus = preorder.status;
+  let cancelled;
+  let payment = null;
+  try {
+    if (refund) {
+      const result = await recordPreorderPayment(preorder.id, refund, req.user?.id, dbTransaction);
+      if (result.error) {
+        await dbTransaction.rollback();
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+      payment = result.payment;
+      cancelled = result.preorder;
+    } else {
+      cancelled = await Preorder.findByPk(preorder.id, { transaction: dbTransaction, lock: true });
+    }
+
+    cancelled.status = 'Cancelled';
+    if (req.body.status_message !== undefined) {
+      cancelled.status_message = req.body.status_message || null;
+    }
+    await slaService.refreshPreorder(cancelled, { transaction: dbTransaction });
+    cancelled.updated_by = req.user?.id;
+    await cancelled.save({ transaction: dbTransaction });
+
+    await dbTransaction.commit();
+  } catch (err) {
+    if (!dbTransaction.finished) await dbTransaction.rollback();
+    throw err;
+  }
+
+  if (payment) {
+    await ActivityLog.logPreorderPayment(payment, cancelled, req.user?.id);
+  }
+  await ActivityLog.logPreorderStatusChanged(cancelled, previousStatus, req.user?.id);
+
+  res.json({ success: true, data: { preorder: cancelled, refund: payment } });
+});
+
+// Void a payment or refund entered in error: { reason }
+exports.voidPayment = asyncHandler(async (req, res) => {
+  const reason = (req.body.reason || '').trim();
+  if (!reason) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'reason is required' }
+    });
+  }
+
+  const dbTransaction = await sequelize.transaction();
+  let preorder;
+  let payment;
+  try {
+    preorder = await Preorder.findByPk(req.params.id, { transaction: dbTransaction, lock: true });
+    payment = preorder && await PreorderPayment.findOne({
+      where: { id: req.params.paymentId, preorder_id: preorder.id },
+      transaction: dbTransaction
+    });
+
+    let error = null;
+    if (!payment) {
+      error = { status: 404, code: 'NOT_FOUND', message: 'Preorder payment not found' };
+    } else if (payment.isVoided()) {
+      error = { status: 400, code: 'ALREADY_VOIDED', message: 'This payment is already voided' };
+    } else if (payment.invoice_payment_id) {
+      error = { status: 400, code: 'ALREADY_CONVERTED', message: 'This payment was carried over to the invoice; void it there instead' };
+    } else if (payment.transaction_type === 'PAYMENT' && round2(preorder.deposit_amount - payment.amount) < 0) {
+      error = { status: 400, code: 'REFUNDED', message: 'Part of this payment has been refunded; void the refund first' };
+    }
+    if (error) {
+      await dbTransaction.rollback();
+      return res.status(error.status).json({ success: false, error: { code: error.code, message: error.message } });
+    }
+
+    payment.voided_at = new Date();
+    payment.voided_by = req.user?.id;
+    payment.void_reason = reason;
+    await payment.save({ transaction: dbTransaction });
+
+    await refreshAmountHeld(preorder, req.user?.id, dbTransaction);
+
+    await dbTransaction.commit();
+  } catch (err) {
+    if (!dbTransaction.finished) await dbTransaction.rollback();
+    throw err;
+  }
+
+  await ActivityLog.logPreorderPaymentVoided(payment, preorder, req.user?.id, reason);
+
+  res.json({ success: true, data: { payment, amount_held: preorder.deposit_amount } });
+});
+
 // ─── Summary ─────────────────────────────────────────────────
 exports.summary = asyncHandler(async (req, res) => {
   const activeStatuses = ['Deposit Paid', 'Purchased', 'Shipped', 'Arrived'];
 
   const all = await Preorder.findAll({
     where: { status: { [Op.in]: activeStatuses } },
-    attributes: ['status', 'selling_price', 'deposit_amount', 'estimated_arrival_date'],
+    attributes: ['status', 'selling_price', 'deposit_amount', 'estimated_arrival_date', 'sla_status'],
     raw: true
   });
 
@@ -420,6 +732,7 @@ exports.summary = asyncHandler(async (req, res) => {
   let totalDeposits = 0;
   let totalBalance = 0;
   let arrivingThisWeek = 0;
+  const bySlaStatus = { on_track: 0, at_risk: 0, breached: 0 };
 
   const now = new Date();
   const weekEnd = new Date(now);
@@ -427,6 +740,7 @@ exports.summary = asyncHandler(async (req, res) => {
 
   for (const row of all) {
     byStatus[row.status] = (byStatus[row.status] || 0) + 1;
+    if (row.sla_status) bySlaStatus[row.sla_status]++;
     totalDeposits += parseFloat(row.deposit_amount) || 0;
     totalBalance += (parseFloat(row.selling_price) || 0) - (parseFloat(row.deposit_amount) || 0);
 
@@ -445,11 +759,76 @@ exports.summary = asyncHandler(async (req, res) => {
       by_status: byStatus,
       total_deposits_collected: Math.round(totalDeposits * 100) / 100,
       total_balance_outstanding: Math.round(totalBalance * 100) / 100,
-      arriving_this_week: arrivingThisWeek
+      arriving_this_week: arrivingThisWeek,
+      by_sla_status: bySlaStatus
     }
   });
 });
 
+// ─── SLA Targets ─────────────────────────────────────────────
+exports.listSlaTargets = asyncHandler(async (req, res) => {
+  const targets = await slaService.loadTargets();
+  const transit = await slaService.learnTransitDays(targets);
+
+  const data = slaService.SHIPPING_METHODS.map(method => ({
+    shipping_method: method,
+    ...targets[method],
+    total_days: PreorderSlaTarget.DAY_FIELDS
+      .filter(f => f !== 'at_risk_days')
+      .reduce((sum, f) => sum + targets[method][f], 0),
+    learned_transit: transit[method]
+  }));
+
+  res.json({ success: true, data: { targets: data } });
+});
+
+// { purchase_days, dispatch_days, transit_days, pickup_days, at_risk_days }
+// Open preorders are re-checked against the new target straight away.
+exports.updateSlaTarget = asyncHandler(async (req, res) => {
+  const method = req.params.method;
+  if (!slaService.SHIPPING_METHODS.includes(method)) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: `shipping method must be one of: ${slaService.SHIPPING_METHODS.join(', ')}` }
+    });
+  }
+
+  const errors = [];
+  const values = {};
+  for (const field of PreorderSlaTarget.DAY_FIELDS) {
+    if (req.body[field] === undefined) continue;
+    const days = Number(req.body[field]);
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+      errors.push(`${field} must be a whole number of days from 0 to 365`);
+    } else {
+      values[field] = days;
+    }
+  }
+  if (errors.length === 0 && Object.keys(values).length === 0) {
+    errors.push(`at least one of ${PreorderSlaTarget.DAY_FIELDS.join(', ')} is required`);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: errors.join(', ') }
+    });
+  }
+
+  let target = await PreorderSlaTarget.findOne({ where: { shipping_method: method } });
+  if (!target) {
+    target = PreorderSlaTarget.build({ shipping_method: method, ...slaService.DEFAULT_TARGETS[method] });
+  }
+  Object.assign(target, values);
+  target.updated_by = req.user?.id;
+  await target.save();
+
+  // Re-check without alerting; the daily run flags anything that got worse
+  const { checkPreorderSla } = require('../services/preorderSlaScheduler');
+  const check = await checkPreorderSla({ alert: false });
+
+  res.json({ success: true, data: { target, rechecked: check.checked } });
+});
+
 // ─── Notifications ──────────────────────────────────────────
 exports.getNotifications = asyncHandler(async (req, res) => {
   const logs = await NotificationLog.findAll({
@@ -475,3 +854,108 @@ function applyStatusDates(preorder, status) {
       break;
   }
 }
+
+function parsePaymentInput(body, { refund = false } = {}) {
+  const errors = [];
+  const values = {};
+
+  if (body.amount === undefined || body.amount === null || body.amount === '') {
+    // A refund with no amount gives back everything held
+    if (!refund) errors.push('amount is required');
+  } else {
+    const amount = round2(parseFloat(body.amount));
+    if (!(amount > 0)) errors.push('amount must be greater than 0');
+    values.amount = amount;
+  }
+
+  const method = PreorderPayment.normalizeMethod(body.payment_method, body.payment_method_other_text);
+  if (!method) {
+    errors.push(`payment_method must be one of: ${PreorderPayment.PAYMENT_METHODS.join(', ')} (Other needs payment_method_other_text)`);
+  } else {
+    Object.assign(values, method);
+  }
+
+  if (body.payment_date) {
+    const date = new Date(body.payment_date);
+    if (isNaN(date.getTime())) errors.push('payment_date is not a valid date');
+    else if (date > new Date()) errors.push('payment_date cannot be in the future');
+    else values.payment_date = date;
+  }
+
+  const comment = (body.comment || '').trim();
+  if (refund && !comment) errors.push('comment (reason for the refund) is required');
+  values.comment = comment || null;
+
+  return { errors, values };
+}
+
+/**
+ * Record a payment or refund against a preorder and update the amount it
+ * holds. Runs in the caller's transaction if given (and then leaves the
+ * activity log to the caller), otherwise in its own.
+ * @returns {Promise<{ payment, preorder }|{ status: number, error: { code, message } }>}
+ */
+async function recordPreorderPayment(preorderId, values, userId, transaction = null) {
+  const dbTransaction = transaction || await sequelize.transaction();
+  let preorder;
+  let payment;
+  try {
+    preorder = await Preorder.findByPk(preorderId, { transaction: dbTransaction, lock: true });
+
+    let error = null;
+    if (!preorder) {
+      error = { status: 404, code: 'NOT_FOUND', message: 'Preorder not found' };
+    } else if (preorder.invoice_id) {
+      error = { status: 400, code: 'ALREADY_CONVERTED', message: 'This preorder has been invoiced; take payments and refunds on the invoice' };
+    } else if (values.transaction_type === 'PAYMENT' && preorder.status === 'Cancelled') {
+      error = { status: 400, code: 'INVALID_STATUS', message: 'Payments cannot be taken on a cancelled preorder' };
+    } else if (values.transaction_type === 'REFUND') {
+      if (preorder.deposit_amount <= 0) {
+        error = { status: 400, code: 'NOTHING_TO_REFUND', message: 'No money is held on this preorder' };
+      } else if (values.amount > preorder.deposit_amount) {
+        error = { status: 400, code: 'REFUND_EXCEEDS_HELD', message: `Refund cannot exceed the GHS ${preorder.deposit_amount.toFixed(2)} held` };
+      }
+    }
+    if (error) {
+      if (!transaction) await dbTransaction.rollback();
+      return { status: error.status, error: { code: error.code, message: error.message } };
+    }
+
+    payment = await PreorderPayment.create({
+      preorder_id: preorder.id,
+      transaction_type: values.transaction_type,
+      payment_date: values.payment_date || new Date(),
+      amount: values.amount ?? preorder.deposit_amount,
+      payment_method: values.payment_method,
+      payment_method_other_text: values.payment_method_other_text,
+      comment: values.comment,
+      received_by: userId
+    }, { transaction: dbTransaction });
+
+    await refreshAmountHeld(preorder, userId, dbTransaction);
+
+    if (!transaction) await dbTransaction.commit();
+  } catch (err) {
+    if (!transaction && !dbTransaction.finished) await dbTransaction.rollback();
+    throw err;
+  }
+
+  if (!transaction) {
+    await ActivityLog.logPreorderPayment(payment, preorder, userId);
+  }
+  return { payment, preorder };
+}
+
+/**
+ * Recompute deposit_amount (net held) from the preorder's payments
+ */
+async function refreshAmountHeld(preorder, userId, transaction) {
+  const payments = await PreorderPayment.findAll({
+    where: { preorder_id: preorder.id },
+    attributes: ['transaction_type', 'amount', 'voided_at'],
+    transaction
+  });
+  preorder.deposit_amount = PreorderPayment.summarize(payments).net;
+  preorder.updated_by = userId;
+  await preorder.save({ transaction });
+}
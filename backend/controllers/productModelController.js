@@ -0,0 +1,243 @@
+/**
+ * Product Model Controller
+ *
+ * CRUD for the product model catalog: canonical specs, default price, and
+ * aliases used to resolve imports and invoice descriptions to a model.
+ */
+
+const { ProductModel, Asset, DescriptionMapping, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { validateTaxonomyAsync } = require('../utils/inventoryTaxonomy');
+const { isValidCurrency } = require('../utils/currencyUtils');
+
+const EDITABLE_FIELDS = [
+  'make', 'model', 'category', 'asset_type',
+  ...ProductModel.SPEC_FIELDS,
+  'default_price_amount', 'default_price_currency', 'notes', 'is_active'
+];
+
+/**
+ * Pick editable fields from the request body, trimming strings and
+ * turning blanks into null.
+ */
+function pickFields(body) {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] === undefined) continue;
+    const value = body[field];
+    data[field] = typeof value === 'string' ? (value.trim() || null) : value;
+  }
+  if (body.aliases !== undefined) {
+    if (!Array.isArray(body.aliases)) {
+      throw new AppError('aliases must be an array of strings', 400, 'VALIDATION_ERROR');
+    }
+    data.aliases = ProductModel.cleanAliases(body.aliases);
+  }
+  return data;
+}
+
+/**
+ * Validate a merged (existing + incoming) product model and check that its
+ * name and aliases do not collide with another catalog entry.
+ */
+async function validateProductModel(data, excludeId = null) {
+  if (!data.make) throw new AppError('Make is required', 400, 'VALIDATION_ERROR');
+  if (!data.model) throw new AppError('Model is required', 400, 'VALIDATION_ERROR');
+
+  if (data.category && data.asset_type) {
+    const result = await validateTaxonomyAsync(data.category, data.asset_type);
+    if (!result.valid) throw new AppError(result.error, 400, 'INVALID_TAXONOMY');
+  } else if (data.category || data.asset_type) {
+    throw new AppError('category and asset_type must be set together', 400, 'INVALID_TAXONOMY');
+  }
+
+  if (data.default_price_currency && !isValidCurrency(data.default_price_currency)) {
+    throw new AppError('Currency must be USD, GHS, or GBP', 400, 'INVALID_CURRENCY');
+  }
+
+  const others = await ProductModel.findAll({
+    where: excludeId ? { id: { [Op.ne]: excludeId } } : {},
+    attributes: ['id', 'make', 'model', 'aliases']
+  });
+
+  const ownName = ProductModel.normalizeName(`${data.make} ${data.model}`);
+  const ownKeys = new Set([ownName, ...(data.aliases || []).map(ProductModel.normalizeName)]);
+
+  for (const other of others) {
+    const otherName = ProductModel.normalizeName(`${other.make} ${other.model}`);
+    if (otherName === ownName) {
+      throw new AppError(`${other.make} ${other.model} is already in the catalog`, 409, 'DUPLICATE_MODEL');
+    }
+    const otherKeys = [otherName, ...(other.aliases || []).map(ProductModel.normalizeName)];
+    const clash = otherKeys.find(key => ownKeys.has(key));
+    if (clash) {
+      throw new AppError(
+        `"${clash}" already identifies ${other.make} ${other.model}`,
+        409,
+        'ALIAS_CONFLICT'
+      );
+    }
+  }
+}
+
+/**
+ * GET /api/v1/product-models
+ * List catalog models with linked asset counts.
+ *
+ * Query: search (make, model, aliases), category, asset_type,
+ *        include_inactive=true, page, limit
+ */
+exports.list = asyncHandler(async (req, res) => {
+  const { search, category, asset_type, include_inactive, page = 1, limit = 50 } = req.query;
+
+  const where = {};
+  if (include_inactive !== 'true') where.is_active = true;
+  if (category) where.category = category;
+  if (asset_type) where.asset_type = asset_type;
+  if (search) {
+    where[Op.or] = [
+      { make: { [Op.iLike]: `%${search}%` } },
+      { model: { [Op.iLike]: `%${search}%` } },
+      sequelize.where(sequelize.cast(sequelize.col('aliases'), 'text'), { [Op.iLike]: `%${search}%` })
+    ];
+  }
+
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 50;
+
+  const { rows, count } = await ProductModel.findAndCountAll({
+    where,
+    attributes: {
+      include: [[
+        sequelize.literal('(SELECT COUNT(*) FROM assets a WHERE a.product_model_id = "ProductModel".id AND a.deleted_at IS NULL)'),
+        'asset_count'
+      ]]
+    },
+    order: [['make', 'ASC'], ['model', 'ASC']],
+    limit: limitNum,
+    offset: (pageNum - 1) * limitNum
+  });
+
+  res.json({
+    success: true,
+    data: {
+      productModels: rows.map(row => ({
+        ...row.toJSON(),
+        asset_count: parseInt(row.get('asset_count'), 10) || 0
+      }))
+    },
+    meta: {
+      total: count,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(count / limitNum)
+    }
+  });
+});
+
+/**
+ * GET /api/v1/product-models/:id
+ * Get a catalog model with its linked assets
+ */
+exports.getById = asyncHandler(async (req, res) => {
+  const productModel = await ProductModel.findByPk(req.params.id);
+  if (!productModel) {
+    throw new AppError('Product model not found', 404, 'NOT_FOUND');
+  }
+
+  const assets = await Asset.findAll({
+    where: { product_model_id: productModel.id },
+    attributes: ['id', 'asset_tag', 'make', 'model', 'status', 'quantity', 'is_serialized', 'price_amount', 'price_currency'],
+    order: [['created_at', 'DESC']],
+    limit: 100
+  });
+
+  const mappingCount = await DescriptionMapping.count({ where: { product_model_id: productModel.id } });
+
+  res.json({
+    success: true,
+    data: {
+      productModel,
+      assets,
+      description_mapping_count: mappingCount
+    }
+  });
+});
+
+/**
+ * POST /api/v1/product-models
+ * Add a model to the catalog (Admin, Manager)
+ */
+exports.create = asyncHandler(async (req, res) => {
+  const data = pickFields(req.body);
+  if (data.aliases === undefined) data.aliases = [];
+
+  await validateProductModel(data);
+
+  const productModel = await ProductModel.create({
+    ...data,
+    created_by: req.user.id,
+    updated_by: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { productModel },
+    message: `${productModel.getDisplayName()} added to the catalog`
+  });
+});
+
+/**
+ * PUT /api/v1/product-models/:id
+ * Update a catalog model (Admin, Manager). Linked assets keep their own
+ * specs; catalog values are only used to fill blanks when linking.
+ */
+exports.update = asyncHandler(async (req, res) => {
+  const productModel = await ProductModel.findByPk(req.params.id);
+  if (!productModel) {
+    throw new AppError('Product model not found', 404, 'NOT_FOUND');
+  }
+
+  const data = pickFields(req.body);
+  const merged = { ...productModel.toJSON(), ...data };
+
+  await validateProductModel(merged, productModel.id);
+
+  await productModel.update({ ...data, updated_by: req.user.id });
+
+  res.json({
+    success: true,
+    data: { productModel },
+    message: 'Product model updated'
+  });
+});
+
+/**
+ * DELETE /api/v1/product-models/:id
+ * Delete a catalog model (Admin). Blocked while assets or description
+ * mappings point at it — deactivate it instead.
+ */
+exports.delete = asyncHandler(async (req, res) => {
+  const productModel = await ProductModel.findByPk(req.params.id);
+  if (!productModel) {
+    throw new AppError('Product model not found', 404, 'NOT_FOUND');
+  }
+
+  const assetCount = await Asset.count({ where: { product_model_id: productModel.id }, paranoid: false });
+  const mappingCount = await DescriptionMapping.count({ where: { product_model_id: productModel.id } });
+  if (assetCount > 0 || mappingCount > 0) {
+    throw new AppError(
+      `Cannot delete: ${assetCount} asset(s) and ${mappingCount} description mapping(s) use this model. Set it inactive instead.`,
+      400,
+      'IN_USE'
+    );
+  }
+
+  await productModel.destroy();
+
+  res.json({
+    success: true,
+    data: { message: 'Product model deleted' }
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * Promotion Controller
+ *
+ * CRUD for centrally defined promotions. They are redeemed on invoices via
+ * POST /invoices/:id/promotions and on website orders via promo_code (see
+ * storefrontController); codeless promotions are applied to website orders
+ * automatically. Edits affect invoices the next time their totals are
+ * recalculated.
+ */
+
+const { Promotion, InvoicePromotion, Invoice, ProductModel, sequelize } = require('../models');
+const { Op, QueryTypes } = require('sequelize');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { DISCOUNT_TYPES, SCOPES, normalizeCode } = require('../services/promotionService');
+
+/**
+ * Validate and normalize promotion input. Only fields present in the body
+ * are returned, so the same helper serves create and update.
+ */
+function parsePromotionInput(body) {
+  const data = {};
+  const invalid = (message, field) => new AppError(message, 400, 'VALIDATION_ERROR', field ? { [field]: message } : undefined);
+
+  if (body.code !== undefined) {
+    const code = normalizeCode(body.code);
+    if (code && !/^[A-Z0-9_-]{3,40}$/.test(code)) {
+      throw invalid('Code must be 3-40 letters, digits, - or _', 'code');
+    }
+    data.code = code || null;
+  }
+  if (body.name !== undefined) {
+    const name = String(body.name || '').trim();
+    if (!name) throw invalid('Name is required', 'name');
+    data.name = name.substring(0, 100);
+  }
+  if (body.description !== undefined) data.description = body.description || null;
+  if (body.discount_type !== undefined) {
+    if (!DISCOUNT_TYPES.includes(body.discount_type)) {
+      throw invalid(`discount_type must be one of: ${DISCOUNT_TYPES.join(', ')}`, 'discount_type');
+    }
+    data.discount_type = body.discount_type;
+  }
+  if (body.discount_value !== undefined) {
+    const value = parseFloat(body.discount_value);
+    if (isNaN(value) || value <= 0) throw invalid('discount_value must be greater than 0', 'discount_value');
+    data.discount_value = value;
+  }
+  if (body.scope !== undefined) {
+    if (!SCOPES.includes(body.scope)) {
+      throw invalid(`scope must be one of: ${SCOPES.join(', ')}`, 'scope');
+    }
+    data.scope = body.scope;
+  }
+  if (body.scope_values !== undefined) {
+    if (!Array.isArray(body.scope_values)) {
+      throw invalid('scope_values must be an array of categories or product model ids', 'scope_values');
+    }
+    data.scope_values = [...new Set(body.scope_values.map(v => (typeof v === 'string' ? v.trim() : v)).filter(v => v !== '' && v != null))];
+  }
+  if (body.bundle_items !== undefined) {
+    if (!Array.isArray(body.bundle_items)) {
+      throw invalid('bundle_items must be an array', 'bundle_items');
+    }
+    data.bundle_items = body.bundle_items.map(item => {
+      const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw invalid('Each bundle item needs a quantity of at least 1', 'bundle_items');
+      }
+      if (item.product_model_id != null) {
+        const id = parseInt(item.product_model_id, 10);
+        if (!id) throw invalid('Invalid product_model_id in bundle_items', 'bundle_items');
+        return { product_model_id: id, quantity };
+      }
+      const category = String(item.category || '').trim();
+      if (!category) throw invalid('Each bundle item needs a category or product_model_id', 'bundle_items');
+      return { category, quantity };
+    });
+  }
+  for (const field of ['starts_at', 'ends_at']) {
+    if (body[field] === undefined) continue;
+    if (body[field] && isNaN(new Date(body[field]).getTime())) {
+      throw invalid(`${field} must be a date`, field);
+    }
+    data[field] = body[field] ? new Date(body[field]) : null;
+  }
+  for (const field of ['usage_limit', 'per_customer_limit']) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      data[field] = null;
+      continue;
+    }
+    const limit = Number(body[field]);
+    if (!Number.isInteger(limit) || limit < 1) throw invalid(`${field} must be a whole number of at least 1`, field);
+    data[field] = limit;
+  }
+  if (body.is_active !== undefined) data.is_active = !!body.is_active;
+
+  return data;
+}
+
+/**
+ * Checks that span fields, run on the merged record
+ */
+async function checkPromotion(promotion, excludeId = null) {
+  if (promotion.discount_type === 'percentage' && promotion.discount_value > 100) {
+    throw new AppError('A percentage discount cannot exceed 100', 400, 'VALIDATION_ERROR');
+  }
+  if (promotion.starts_at && promotion.ends_at && new Date(promotion.ends_at) <= new Date(promotion.starts_at)) {
+    throw new AppError('ends_at must be after starts_at', 400, 'VALIDATION_ERROR');
+  }
+  if (['category', 'product_model'].includes(promotion.scope) && (promotion.scope_values || []).length === 0) {
+    throw new AppError(`A ${promotion.scope} promotion needs scope_values`, 400, 'VALIDATION_ERROR');
+  }
+  if (promotion.scope === 'bundle' && (promotion.bundle_items || []).length < 2) {
+    throw new AppError('A bundle needs at least two bundle_items', 400, 'VALIDATION_ERROR');
+  }
+
+  const modelIds = [
+    ...(promotion.scope === 'product_model' ? promotion.scope_values : []),
+    ...(promotion.scope === 'bundle' ? promotion.bundle_items.map(i => i.product_model_id).filter(Boolean) : [])
+  ].map(Number);
+  if (modelIds.some(id => !Number.isInteger(id))) {
+    throw new AppError('Product model ids must be numbers', 400, 'VALIDATION_ERROR');
+  }
+  if (modelIds.length > 0) {
+    const found = await ProductModel.count({ where: { id: [...new Set(modelIds)] } });
+    if (found !== new Set(modelIds).size) {
+      throw new AppError('One or more product models were not found', 400, 'VALIDATION_ERROR');
+    }
+  }
+
+  if (promotion.code) {
+    const where = { code: promotion.code };
+    if (excludeId) where.id = { [Op.ne]: excludeId };
+    if (await Promotion.findOne({ where })) {
+      throw new AppError(`A promotion with code ${promotion.code} already exists`, 409, 'DUPLICATE_CODE');
+    }
+  }
+}
+
+/**
+ * Redemption count and discount given per promotion, on invoices that
+ * weren't cancelled
+ */
+async function usageByPromotion(promotionIds) {
+  if (promotionIds.length === 0) return new Map();
+
+  const rows = await sequelize.query(`
+    SELECT ip.promotion_id,
+      COUNT(*) as times_used,
+      COALESCE(SUM(ip.discount_amount), 0) as discount_given
+    FROM invoice_promotions ip
+    JOIN invoices i ON i.id = ip.invoice_id
+    WHERE ip.promotion_id IN (:promotionIds)
+      AND i.status != 'CANCELLED'
+      AND i.is_deleted = false
+    GROUP BY ip.promotion_id
+  `, { replacements: { promotionIds }, type: QueryTypes.SELECT });
+
+  return new Map(rows.map(r => [r.promotion_id, {
+    times_used: parseInt(r.times_used, 10),
+    discount_given: parseFloat(r.discount_given)
+  }]));
+}
+
+function withUsage(promotion, usage) {
+  return {
+    ...promotion.toJSON(),
+    ...(usage.get(promotion.id) || { times_used: 0, discount_given: 0 })
+  };
+}
+
+/**
+ * GET /api/v1/promotions
+ * List promotions with usage. ?active=true limits to those running now;
+ * ?search= matches code or name.
+ */
+exports.list = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  const where = {};
+
+  if (req.query.active === 'true') {
+    const now = new Date();
+    where.is_active = true;
+    where[Op.and] = [
+      { [Op.or]: [{ starts_at: null }, { starts_at: { [Op.lte]: now } }] },
+      { [Op.or]: [{ ends_at: null }, { ends_at: { [Op.gt]: now } }] }
+    ];
+  }
+  if (req.query.search) {
+    where[Op.or] = [
+      { code: { [Op.iLike]: `%${req.query.search}%` } },
+      { name: { [Op.iLike]: `%${req.query.search}%` } }
+    ];
+  }
+
+  const { count, rows } = await Promotion.findAndCountAll({
+    where,
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+  const usage = await usageByPromotion(rows.map(p => p.id));
+
+  res.json({
+    success: true,
+    data: {
+      promotions: rows.map(p => withUsage(p, usage)),
+      pagination: { total: count, page, limit, totalPages: Math.ceil(count / limit) }
+    }
+  });
+});
+
+/**
+ * GET /api/v1/promotions/:id
+ * A promotion with usage and its latest redemptions
+ */
+exports.getById = asyncHandler(async (req, res) => {
+  const promotion = await Promotion.findByPk(req.params.id);
+  if (!promotion) {
+    throw new AppError('Promotion not found', 404, 'NOT_FOUND');
+  }
+
+  const [usage, redemptions] = await Promise.all([
+    usageByPromotion([promotion.id]),
+    InvoicePromotion.findAll({
+      where: { promotion_id: promotion.id },
+      include: [{ model: Invoice, as: 'invoice', attributes: ['id', 'invoice_number', 'invoice_date', 'status', 'total_amount', 'source'] }],
+      order: [['created_at', 'DESC']],
+      limit: 50
+    })
+  ]);
+
+  res.json({
+    success: true,
+    data: { promotion: withUsage(promotion, usage), redemptions }
+  });
+});
+
+/**
+ * POST /api/v1/promotions
+ * Create a promotion (Admin, Manager)
+ */
+exports.create = asyncHandler(async (req, res) => {
+  const data = parsePromotionInput(req.body);
+  if (!data.name || !data.discount_type || data.discount_value === undefined) {
+    throw new AppError('name, discount_type and discount_value are required', 400, 'VALIDATION_ERROR');
+  }
+  const promotion = { scope: 'all', scope_values: [], bundle_items: [], ...data };
+  await checkPromotion(promotion);
+
+  const created = await Promotion.create({
+    ...promotion,
+    created_by: req.user?.id,
+    updated_by: req.user?.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { promotion: created }
+  });
+});
+
+/**
+ * PUT /api/v1/promotions/:id
+ * Update a promotion (Admin, Manager)
+ */
+exports.update = asyncHandler(async (req, res) => {
+  const promotion = await Promotion.findByPk(req.params.id);
+  if (!promotion) {
+    throw new AppError('Promotion not found', 404, 'NOT_FOUND');
+  }
+
+  const data = parsePromotionInput(req.body);
+  await checkPromotion({ ...promotion.toJSON(), ...data }, promotion.id);
+
+  await promotion.update({ ...data, updated_by: req.user?.id });
+
+  res.json({
+    success: true,
+    data: { promotion }
+  });
+});
+
+/**
+ * DELETE /api/v1/promotions/:id
+ * Delete a promotion (Admin, Manager). Once redeemed it is kept for the
+ * margin reports — deactivate it or set ends_at instead.
+ */
+exports.remove = asyncHandler(async (req, res) => {
+  const promotion = await Promotion.findByPk(req.params.id);
+  if (!promotion) {
+    throw new AppError('Promotion not found', 404, 'NOT_FOUND');
+  }
+
+  const usedCount = await InvoicePromotion.count({ where: { promotion_id: promotion.id } });
+  if (usedCount > 0) {
+    throw new AppError(
+      `Cannot delete: redeemed on ${usedCount} invoice(s). Deactivate it or set ends_at instead.`,
+      400,
+      'IN_USE'
+    );
+  }
+
+  await promotion.destroy();
+
+  res.json({
+    success: true,
+    data: { message: 'Promotion deleted' }
+  });
+});
@@ -0,0 +1,874 @@
+/**
+ * Purchase Order Controller
+ *
+ * Supplier purchase orders and the goods-received notes booked against them.
+ * Status workflow: draft → ordered → partially_received → received → closed
+ * (or cancelled while nothing has been received).
+ *
+ * - Draft: header and lines are freely editable.
+ * - Place: opens the SourcingBatch that received units join; the PO's cost
+ *   inputs are copied onto it so landed cost is computed the batch's way.
+ * - Receive: each goods-received note creates AssetUnits against PO lines.
+ *   Units beyond a line's outstanding quantity are accepted and recorded as
+ *   over-shipped.
+ * - Close: whatever is still outstanding is recorded as short-shipped.
+ */
+
+const { PurchaseOrder, PurchaseOrderLine, GoodsReceivedNote, GoodsReceivedNoteLine, SourcingBatch, Supplier, Asset, AssetUnit, Location, ActivityLog, User, sequelize } = require('../models');
+const { Op, QueryTypes } = require('sequelize');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { colorTier, isEsimOnly, projectedMargin, buyDecision } = require('../utils/sourcingUnitFields');
+
+const HEADER_FIELDS = [
+  'supplier_id', 'supplier_name', 'supplier_type', 'order_date', 'expected_arrival_date', 'shipping_route',
+  'warranty_days', 'warranty_type', 'notes', ...PurchaseOrder.COST_FIELDS
+];
+
+// Header fields that can still change once the order is placed
+const PLACED_EDITABLE_FIELDS = ['expected_arrival_date', 'shipping_route', 'notes'];
+
+/**
+ * Standard include set for PO detail queries
+ */
+function purchaseOrderIncludes() {
+  return [
+    { model: Supplier, as: 'supplier', attributes: ['id', 'name', 'default_currency', 'payment_terms_days'] },
+    { model: User, as: 'creator', attributes: ['id', 'full_name'] },
+    { model: User, as: 'closer', attributes: ['id', 'full_name'] },
+    { model: SourcingBatch, as: 'sourcingBatch', attributes: ['id', 'batch_reference', 'status', 'arrival_date', 'total_units', 'total_landed_cost_ghs'] },
+    {
+      model: PurchaseOrderLine,
+      as: 'lines',
+      include: [{ model: Asset, as: 'asset', attributes: ['id', 'asset_tag', 'make', 'model', 'category', 'asset_type'] }]
+    },
+    {
+      model: GoodsReceivedNote,
+      as: 'receipts',
+      include: [
+        { model: GoodsReceivedNoteLine, as: 'lines' },
+        { model: Location, as: 'location', attributes: ['id', 'code', 'name'] },
+        { model: User, as: 'receiver', attributes: ['id', 'full_name'] }
+      ]
+    }
+  ];
+}
+
+async function loadPurchaseOrder(id, transaction = null) {
+  // Row lock serializes concurrent receipts against one PO
+  const purchaseOrder = await PurchaseOrder.findByPk(id, transaction ? { transaction, lock: true } : {});
+  if (!purchaseOrder) {
+    throw new AppError('Purchase order not found', 404, 'NOT_FOUND');
+  }
+  return purchaseOrder;
+}
+
+async function loadLines(purchaseOrder, transaction = null) {
+  return PurchaseOrderLine.findAll({
+    where: { purchase_order_id: purchaseOrder.id },
+    order: [['id', 'ASC']],
+    ...(transaction ? { transaction, lock: true } : {})
+  });
+}
+
+function requireStatus(purchaseOrder, statuses, action) {
+  if (!statuses.includes(purchaseOrder.status)) {
+    throw new AppError(
+      `Cannot ${action} a purchase order that is ${purchaseOrder.getStatusLabel()}`,
+      409,
+      'INVALID_STATUS'
+    );
+  }
+}
+
+function summarizeLines(lines) {
+  return lines.reduce((totals, line) => {
+    totals.quantity_ordered += line.quantity_ordered;
+    totals.quantity_received += line.quantity_received || 0;
+    totals.quantity_outstanding += line.getOutstandingQuantity();
+    totals.quantity_short += line.quantity_short || 0;
+    totals.quantity_over += line.getOverQuantity();
+    totals.expected_cost_usd = parseFloat((totals.expected_cost_usd + line.getExpectedCostUsd()).toFixed(2));
+    return totals;
+  }, {
+    quantity_ordered: 0,
+    quantity_received: 0,
+    quantity_outstanding: 0,
+    quantity_short: 0,
+    quantity_over: 0,
+    expected_cost_usd: 0
+  });
+}
+
+function serializePurchaseOrder(purchaseOrder) {
+  const lines = purchaseOrder.lines || [];
+  return {
+    ...purchaseOrder.toJSON(),
+    status_label: purchaseOrder.getStatusLabel(),
+    lines: lines.map(line => ({
+      ...line.toJSON(),
+      quantity_outstanding: line.getOutstandingQuantity(),
+      quantity_over: line.getOverQuantity()
+    })),
+    totals: summarizeLines(lines)
+  };
+}
+
+async function fetchPurchaseOrder(id) {
+  const purchaseOrder = await PurchaseOrder.findByPk(id, {
+    include: purchaseOrderIncludes(),
+    order: [
+      [{ model: PurchaseOrderLine, as: 'lines' }, 'id', 'ASC'],
+      [{ model: GoodsReceivedNote, as: 'receipts' }, 'id', 'ASC']
+    ]
+  });
+  return serializePurchaseOrder(purchaseOrder);
+}
+
+function parseNonNegativeNumber(value, field) {
+  const num = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(num) || num < 0) {
+    throw new AppError(`${field} must be a number ≥ 0`, 400, 'VALIDATION_ERROR');
+  }
+  return num;
+}
+
+/**
+ * Validate header input. Only fields present in the body are returned.
+ */
+function parseHeader(body, allowedFields = HEADER_FIELDS) {
+  const data = {};
+  for (const field of allowedFields) {
+    if (body[field] === undefined) continue;
+    data[field] = body[field] === '' ? null : body[field];
+  }
+  if (data.supplier_name !== undefined) {
+    data.supplier_name = String(data.supplier_name || '').trim();
+  }
+  for (const field of PurchaseOrder.COST_FIELDS) {
+    if (data[field] !== undefined && data[field] !== null) data[field] = parseNonNegativeNumber(data[field], field);
+  }
+  return data;
+}
+
+/**
+ * Point header data at a supplier record (by supplier_id, or resolved from
+ * supplier_name) and fill in the supplier's defaults.
+ */
+async function applySupplier(header, userId, transaction = null) {
+  const supplier = await Supplier.resolve({
+    supplierId: header.supplier_id,
+    supplierName: header.supplier_name,
+    supplierType: header.supplier_type,
+    userId
+  }, transaction);
+  if (!supplier) {
+    throw new AppError(
+      header.supplier_id ? 'Supplier not found' : 'supplier_id or supplier_name is required',
+      400,
+      header.supplier_id ? 'INVALID_SUPPLIER' : 'VALIDATION_ERROR'
+    );
+  }
+  if (!supplier.is_active) {
+    throw new AppError(`Supplier ${supplier.name} is inactive`, 400, 'INVALID_SUPPLIER');
+  }
+  supplier.applyDefaults(header);
+  delete header.warranty_terms;
+  return supplier;
+}
+
+/**
+ * Validate PO line input. Each line orders a serialized product.
+ * @returns {Promise<Array<Object>>} line attributes ready to create
+ */
+async function parseLines(lines) {
+  if (!Array.isArray(lines)) {
+    throw new AppError('lines must be an array', 400, 'VALIDATION_ERROR');
+  }
+
+  const assetIds = [...new Set(lines.map(line => line.asset_id).filter(Boolean))];
+  const assets = assetIds.length > 0
+    ? await Asset.findAll({ where: { id: { [Op.in]: assetIds } }, attributes: ['id', 'make', 'model', 'is_serialized'] })
+    : [];
+  const assetsById = new Map(assets.map(asset => [asset.id, asset]));
+
+  return lines.map((line, index) => {
+    const asset = assetsById.get(parseInt(line.asset_id, 10));
+    if (!asset) {
+      throw new AppError(`Line ${index + 1}: product not found`, 400, 'INVALID_ASSET');
+    }
+    if (!asset.is_serialized) {
+      throw new AppError(`Line ${index + 1}: ${asset.make} ${asset.model} is bulk stock — purchase orders receive serialized units`, 400, 'SERIALIZED_ONLY');
+    }
+    const quantity = Number(line.quantity_ordered);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new AppError(`Line ${index + 1}: quantity_ordered must be a whole number ≥ 1`, 400, 'VALIDATION_ERROR');
+    }
+
+    return {
+      asset_id: asset.id,
+      description: String(line.description || '').trim() || `${asset.make} ${asset.model}`,
+      supplier_grade: line.supplier_grade ? String(line.supplier_grade).trim() : null,
+      quantity_ordered: quantity,
+      unit_cost_usd: parseNonNegativeNumber(line.unit_cost_usd, `Line ${index + 1}: unit_cost_usd`),
+      projected_sell_price_ghs: line.projected_sell_price_ghs != null && line.projected_sell_price_ghs !== ''
+        ? parseNonNegativeNumber(line.projected_sell_price_ghs, `Line ${index + 1}: projected_sell_price_ghs`)
+        : null,
+      notes: line.notes || null
+    };
+  });
+}
+
+/**
+ * Validate the units on a goods-received note against the PO lines.
+ * @returns {Map<number, {line, units: Array}>} units grouped by PO line
+ */
+async function parseReceivedUnits(units, lines, transaction) {
+  if (!Array.isArray(units) || units.length === 0) {
+    throw new AppError('units must be a non-empty array', 400, 'VALIDATION_ERROR');
+  }
+
+  const linesById = new Map(lines.map(line => [line.id, line]));
+  const grouped = new Map();
+  const seenSerials = new Set();
+  const seenImeis = new Set();
+
+  units.forEach((unit, index) => {
+    const label = `Unit ${index + 1}`;
+    const line = linesById.get(parseInt(unit.purchase_order_line_id, 10));
+    if (!line) {
+      throw new AppError(`${label}: not a line on this purchase order`, 400, 'INVALID_LINE');
+    }
+
+    const serial = unit.serial_number ? String(unit.serial_number).trim() : null;
+    const imei = unit.imei ? String(unit.imei).trim() : null;
+    if (imei && !/^\d{15}$/.test(imei)) {
+      throw new AppError(`${label}: IMEI "${imei}" is not 15 digits`, 400, 'INVALID_IMEI');
+    }
+    if (serial) {
+      if (seenSerials.has(serial)) throw new AppError(`${label}: serial number ${serial} appears twice`, 400, 'DUPLICATE_SERIAL');
+      seenSerials.add(serial);
+    }
+    if (imei) {
+      if (seenImeis.has(imei)) throw new AppError(`${label}: IMEI ${imei} appears twice`, 400, 'DUPLICATE_IMEI');
+      seenImeis.add(imei);
+    }
+
+    const batteryHealth = unit.battery_health_percent != null && unit.battery_health_percent !== ''
+      ? parseInt(unit.battery_health_percent, 10)
+      : null;
+
+    if (!grouped.has(line.id)) grouped.set(line.id, { line, units: [] });
+    grouped.get(line.id).units.push({
+      serial_number: serial,
+      imei,
+      storage: unit.storage ? parseInt(unit.storage, 10) : null,
+      phone_color: unit.phone_color ? String(unit.phone_color).trim() : null,
+      battery_health_percent: Number.isNaN(batteryHealth) ? null : batteryHealth,
+      supplier_grade: unit.supplier_grade ? String(unit.supplier_grade).trim() : line.supplier_grade,
+      supplier_sku: unit.supplier_sku || null,
+      unit_cost_usd: unit.unit_cost_usd != null && unit.unit_cost_usd !== ''
+        ? parseNonNegativeNumber(unit.unit_cost_usd, `${label}: unit_cost_usd`)
+        : line.unit_cost_usd,
+      notes: unit.notes || null
+    });
+  });
+
+  const orFilters = [];
+  if (seenSerials.size > 0) orFilters.push({ serial_number: { [Op.in]: [...seenSerials] } });
+  if (seenImeis.size > 0) orFilters.push({ imei: { [Op.in]: [...seenImeis] } });
+  if (orFilters.length > 0) {
+    const existing = await AssetUnit.findOne({
+      where: { [Op.or]: orFilters },
+      attributes: ['id', 'serial_number', 'imei'],
+      transaction
+    });
+    if (existing) {
+      const which = seenSerials.has(existing.serial_number) ? `Serial number ${existing.serial_number}` : `IMEI ${existing.imei}`;
+      throw new AppError(`${which} already exists in inventory`, 409, 'DUPLICATE_UNIT');
+    }
+  }
+
+  return grouped;
+}
+
+/**
+ * GET /api/v1/purchase-orders
+ * List purchase orders with quantity totals
+ */
+exports.list = asyncHandler(async (req, res) => {
+  const { status, supplier_id, supplier_name, search, page = 1, limit = 20 } = req.query;
+
+  const where = {};
+  if (status) {
+    const statuses = status.split(',').map(s => s.trim()).filter(Boolean);
+    where.status = statuses.length === 1 ? statuses[0] : { [Op.in]: statuses };
+  }
+  if (supplier_id) where.supplier_id = supplier_id;
+  if (supplier_name) where.supplier_name = { [Op.iLike]: `%${supplier_name}%` };
+  if (search) where.po_number = { [Op.iLike]: `%${search}%` };
+
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 20;
+
+  const { rows, count } = await PurchaseOrder.findAndCountAll({
+    where,
+    include: [{ model: User, as: 'creator', attributes: ['id', 'full_name'] }],
+    attributes: {
+      include: [
+        [
+          sequelize.literal('(SELECT COALESCE(SUM(pol.quantity_ordered), 0) FROM purchase_order_lines pol WHERE pol.purchase_order_id = "PurchaseOrder".id)'),
+          'quantity_ordered'
+        ],
+        [
+          sequelize.literal('(SELECT COALESCE(SUM(pol.quantity_received), 0) FROM purchase_order_lines pol WHERE pol.purchase_order_id = "PurchaseOrder".id)'),
+          'quantity_received'
+        ],
+        [
+          sequelize.literal('(SELECT COALESCE(SUM(pol.quantity_ordered * pol.unit_cost_usd), 0) FROM purchase_order_lines pol WHERE pol.purchase_order_id = "PurchaseOrder".id)'),
+          'expected_cost_usd'
+        ]
+      ]
+    },
+    order: [['created_at', 'DESC']],
+    limit: limitNum,
+    offset: (pageNum - 1) * limitNum
+  });
+
+  res.json({
+    success: true,
+    data: {
+      purchaseOrders: rows.map(purchaseOrder => ({
+        ...purchaseOrder.toJSON(),
+        status_label: purchaseOrder.getStatusLabel(),
+        quantity_ordered: parseInt(purchaseOrder.get('quantity_ordered'), 10) || 0,
+        quantity_received: parseInt(purchaseOrder.get('quantity_received'), 10) || 0,
+        expected_cost_usd: parseFloat(purchaseOrder.get('expected_cost_usd')) || 0
+      }))
+    },
+    meta: {
+      total: count,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(count / limitNum)
+    }
+  });
+});
+
+/**
+ * GET /api/v1/purchase-orders/shipment-discrepancies
+ * PO lines that were short-shipped or over-shipped, with per-supplier totals.
+ * Query: supplier_id, supplier_name, date_from, date_to (PO order date)
+ */
+exports.shipmentDiscrepancies = asyncHandler(async (req, res) => {
+  const { supplier_id, supplier_name, date_from, date_to } = req.query;
+
+  const conditions = [`po.status <> 'cancelled'`];
+  const replacements = {};
+  if (supplier_id) {
+    conditions.push('po.supplier_id = :supplierId');
+    replacements.supplierId = supplier_id;
+  }
+  if (supplier_name) {
+    conditions.push('po.supplier_name ILIKE :supplierName');
+    replacements.supplierName = `%${supplier_name}%`;
+  }
+  if (date_from) {
+    conditions.push('po.order_date >= :dateFrom');
+    replacements.dateFrom = date_from;
+  }
+  if (date_to) {
+    conditions.push('po.order_date <= :dateTo');
+    replacements.dateTo = date_to;
+  }
+
+  const rows = await sequelize.query(`
+    SELECT po.id AS purchase_order_id, po.po_number, po.supplier_id, po.supplier_name, po.order_date, po.status,
+           pol.id AS purchase_order_line_id, pol.description, pol.supplier_grade,
+           pol.quantity_ordered, pol.quantity_received, pol.quantity_short,
+           GREATEST(pol.quantity_received - pol.quantity_ordered, 0) AS quantity_over,
+           pol.unit_cost_usd
+    FROM purchase_order_lines pol
+    JOIN purchase_orders po ON po.id = pol.purchase_order_id
+    WHERE ${conditions.join(' AND ')}
+      AND (pol.quantity_short > 0 OR pol.quantity_received > pol.quantity_ordered)
+    ORDER BY po.order_date DESC, po.po_number, pol.id
+  `, { replacements, type: QueryTypes.SELECT });
+
+  const suppliers = await sequelize.query(`
+    SELECT po.supplier_id, COALESCE(s.name, po.supplier_name) AS supplier_name,
+           COUNT(DISTINCT po.id) AS purchase_orders,
+           SUM(pol.quantity_ordered) AS quantity_ordered,
+           SUM(pol.quantity_received) AS quantity_received,
+           SUM(pol.quantity_short) AS quantity_short,
+           SUM(GREATEST(pol.quantity_received - pol.quantity_ordered, 0)) AS quantity_over
+    FROM purchase_order_lines pol
+    JOIN purchase_orders po ON po.id = pol.purchase_order_id
+    LEFT JOIN suppliers s ON s.id = po.supplier_id
+    WHERE ${conditions.join(' AND ')}
+      AND po.status <> 'draft'
+    GROUP BY po.supplier_id, COALESCE(s.name, po.supplier_name)
+    ORDER BY supplier_name
+  `, { replacements, type: QueryTypes.SELECT });
+
+  res.json({
+    success: true,
+    data: {
+      lines: rows.map(row => ({
+        ...row,
+        quantity_over: parseInt(row.quantity_over, 10),
+        unit_cost_usd: parseFloat(row.unit_cost_usd),
+        short_cost_usd: parseFloat((row.quantity_short * parseFloat(row.unit_cost_usd)).toFixed(2))
+      })),
+      suppliers: suppliers.map(row => {
+        const ordered = parseInt(row.quantity_ordered, 10) || 0;
+        const received = parseInt(row.quantity_received, 10) || 0;
+        const over = parseInt(row.quantity_over, 10) || 0;
+        return {
+          supplier_id: row.supplier_id,
+          supplier_name: row.supplier_name,
+          purchase_orders: parseInt(row.purchase_orders, 10),
+          quantity_ordered: ordered,
+          quantity_received: received,
+          quantity_short: parseInt(row.quantity_short, 10) || 0,
+          quantity_over: over,
+          // Share of ordered units that arrived (over-shipped units don't count)
+          fill_rate_percent: ordered > 0 ? parseFloat((((received - over) / ordered) * 100).toFixed(1)) : null
+        };
+      })
+    }
+  });
+});
+
+/**
+ * GET /api/v1/purchase-orders/:id
+ */
+exports.getById = asyncHandler(async (req, res) => {
+  await loadPurchaseOrder(req.params.id);
+  res.json({
+    success: true,
+    data: { purchaseOrder: await fetchPurchaseOrder(req.params.id) }
+  });
+});
+
+/**
+ * POST /api/v1/purchase-orders
+ * Create a draft purchase order with its lines
+ */
+exports.create = asyncHandler(async (req, res) => {
+  const header = parseHeader(req.body);
+  const lines = await parseLines(req.body.lines || []);
+
+  const t = await sequelize.transaction();
+  let purchaseOrder;
+  try {
+    await applySupplier(header, req.user.id, t);
+
+    purchaseOrder = await PurchaseOrder.create({
+      ...header,
+      po_number: await PurchaseOrder.generatePoNumber(t),
+      order_date: header.order_date || new Date().toISOString().slice(0, 10),
+      status: 'draft',
+      created_by: req.user.id
+    }, { transaction: t });
+
+    await PurchaseOrderLine.bulkCreate(
+      lines.map(line => ({ ...line, purchase_order_id: purchaseOrder.id })),
+      { transaction: t, validate: true }
+    );
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.PURCHASE_ORDER_CREATED,
+    entityType: ActivityLog.ENTITY_TYPES.PURCHASE_ORDER,
+    entityId: purchaseOrder.id,
+    summary: `Purchase order ${purchaseOrder.po_number} created for ${purchaseOrder.supplier_name}`,
+    metadata: { poNumber: purchaseOrder.po_number, lineCount: lines.length }
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { purchaseOrder: await fetchPurchaseOrder(purchaseOrder.id) },
+    message: `Purchase order ${purchaseOrder.po_number} created`
+  });
+});
+
+/**
+ * PATCH /api/v1/purchase-orders/:id
+ * Drafts: any header field, and `lines` replaces every line.
+ * Placed orders: arrival date, shipping route and notes; cost inputs only
+ * until the first delivery (they are synced to the sourcing batch).
+ */
+exports.update = asyncHandler(async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const purchaseOrder = await loadPurchaseOrder(req.params.id, t);
+    requireStatus(purchaseOrder, ['draft', 'ordered', 'partially_received', 'received'], 'edit');
+
+    const isDraft = purchaseOrder.status === 'draft';
+    const allowedFields = isDraft
+      ? HEADER_FIELDS
+      : purchaseOrder.status === 'ordered'
+        ? [...PLACED_EDITABLE_FIELDS, ...PurchaseOrder.COST_FIELDS]
+        : PLACED_EDITABLE_FIELDS;
+
+    const rejected = Object.keys(req.body).filter(field => !allowedFields.includes(field) && !(isDraft && field === 'lines'));
+    if (rejected.length > 0) {
+      throw new AppError(
+        `Cannot change ${rejected.join(', ')} on a purchase order that is ${purchaseOrder.getStatusLabel()}`,
+        409,
+        'FIELD_LOCKED'
+      );
+    }
+
+    const header = parseHeader(req.body, allowedFields);
+    if (header.supplier_id !== undefined || header.supplier_name !== undefined) {
+      await applySupplier(header, req.user.id, t);
+    }
+    await purchaseOrder.update(header, { transaction: t });
+
+    if (isDraft && req.body.lines !== undefined) {
+      const lines = await parseLines(req.body.lines);
+      await PurchaseOrderLine.destroy({ where: { purchase_order_id: purchaseOrder.id }, transaction: t });
+      await PurchaseOrderLine.bulkCreate(
+        lines.map(line => ({ ...line, purchase_order_id: purchaseOrder.id })),
+        { transaction: t, validate: true }
+      );
+    }
+
+    // Keep the batch's landed-cost inputs in step with the order
+    if (purchaseOrder.sourcing_batch_id) {
+      const batchChanges = {};
+      for (const field of [...PurchaseOrder.COST_FIELDS, 'shipping_route']) {
+        if (header[field] !== undefined) batchChanges[field] = header[field];
+      }
+      if (Object.keys(batchChanges).length > 0) {
+        await SourcingBatch.update(batchChanges, { where: { id: purchaseOrder.sourcing_batch_id }, transaction: t });
+      }
+    }
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  res.json({
+    success: true,
+    data: { purchaseOrder: await fetchPurchaseOrder(req.params.id) }
+  });
+});
+
+/**
+ * POST /api/v1/purchase-orders/:id/place
+ * Send the order to the supplier: opens its sourcing batch.
+ */
+exports.place = asyncHandler(async (req, res) => {
+  const t = await sequelize.transaction();
+  let purchaseOrder;
+  let totals;
+  try {
+    purchaseOrder = await loadPurchaseOrder(req.params.id, t);
+    requireStatus(purchaseOrder, ['draft'], 'place');
+
+    const lines = await loadLines(purchaseOrder, t);
+    if (lines.length === 0) {
+      throw new AppError('Add at least one line before placing the order', 400, 'NO_LINES');
+    }
+    totals = summarizeLines(lines);
+
+    const supplier = purchaseOrder.supplier_id
+      ? await Supplier.findByPk(purchaseOrder.supplier_id, { transaction: t })
+      : null;
+    const batchData = {
+      batch_reference: purchaseOrder.po_number,
+      supplier_id: purchaseOrder.supplier_id,
+      supplier_name: purchaseOrder.supplier_name,
+      supplier_type: purchaseOrder.supplier_type,
+      order_date: purchaseOrder.order_date,
+      total_units: totals.quantity_ordered,
+      total_cost_usd: totals.expected_cost_usd,
+      shipping_cost_per_unit_usd: purchaseOrder.shipping_cost_per_unit_usd || 0,
+      shipping_route: purchaseOrder.shipping_route,
+      import_duty_rate: purchaseOrder.import_duty_rate || 0,
+      fx_rate_at_purchase: purchaseOrder.fx_rate_at_purchase || 1,
+      handling_per_unit_ghs: purchaseOrder.handling_per_unit_ghs || 0,
+      warranty_days: purchaseOrder.warranty_days,
+      warranty_type: purchaseOrder.warranty_type,
+      status: 'ordered',
+      notes: `Purchase order ${purchaseOrder.po_number}`,
+      created_by: req.user.id
+    };
+    if (supplier) supplier.applyDefaults(batchData);
+    const batch = await SourcingBatch.create(batchData, { transaction: t });
+
+    purchaseOrder.sourcing_batch_id = batch.id;
+    purchaseOrder.status = 'ordered';
+    purchaseOrder.ordered_at = new Date();
+    await purchaseOrder.save({ transaction: t });
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.PURCHASE_ORDER_PLACED,
+    entityType: ActivityLog.ENTITY_TYPES.PURCHASE_ORDER,
+    entityId: purchaseOrder.id,
+    summary: `Purchase order ${purchaseOrder.po_number} placed — ${totals.quantity_ordered} unit(s), $${totals.expected_cost_usd.toFixed(2)}`,
+    metadata: { poNumber: purchaseOrder.po_number, sourcingBatchId: purchaseOrder.sourcing_batch_id, ...totals }
+  });
+
+  res.json({
+    success: true,
+    data: { purchaseOrder: await fetchPurchaseOrder(purchaseOrder.id) },
+    message: `Purchase order ${purchaseOrder.po_number} placed`
+  });
+});
+
+/**
+ * POST /api/v1/purchase-orders/:id/receipts
+ * Book in a delivery as a goods-received note.
+ * Body: { received_date, location_id, supplier_reference, notes,
+ *         units: [{ purchase_order_line_id, serial_number, imei, storage,
+ *                   phone_color, battery_health_percent, supplier_grade,
+ *                   unit_cost_usd }] }
+ * unit_cost_usd defaults to the line's expected cost.
+ */
+exports.receive = asyncHandler(async (req, res) => {
+  const { received_date, location_id, supplier_reference, notes, units } = req.body;
+
+  if (location_id) {
+    const location = await Location.findByPk(location_id);
+    if (!location || !location.is_active) {
+      throw new AppError('Location not found or inactive', 400, 'INVALID_LOCATION');
+    }
+  }
+
+  const t = await sequelize.transaction();
+  let purchaseOrder;
+  let receipt;
+  const overShipped = [];
+  let unitCount = 0;
+  try {
+    purchaseOrder = await loadPurchaseOrder(req.params.id, t);
+    requireStatus(purchaseOrder, PurchaseOrder.RECEIVABLE_STATUSES, 'receive against');
+
+    const lines = await loadLines(purchaseOrder, t);
+    const grouped = await parseReceivedUnits(units, lines, t);
+    const batch = await SourcingBatch.findByPk(purchaseOrder.sourcing_batch_id, { transaction: t });
+    const receivedDate = received_date || new Date().toISOString().slice(0, 10);
+
+    receipt = await GoodsReceivedNote.create({
+      grn_number: await GoodsReceivedNote.generateGrnNumber(t),
+      purchase_order_id: purchaseOrder.id,
+      received_date: receivedDate,
+      location_id: location_id || null,
+      supplier_reference: supplier_reference || null,
+      notes: notes || null,
+      received_by: req.user.id
+    }, { transaction: t });
+
+    for (const { line, units: lineUnits } of grouped.values()) {
+      const asset = await Asset.findByPk(line.asset_id, { transaction: t });
+      const projectedSell = line.projected_sell_price_ghs;
+
+      for (const unit of lineUnits) {
+        const landedCost = batch.computeLandedCost(unit.unit_cost_usd);
+        const margin = projectedMargin(projectedSell, landedCost);
+
+        await AssetUnit.create({
+          asset_id: asset.id,
+          serial_number: unit.serial_number,
+          imei: unit.imei,
+          storage: unit.storage,
+          phone_color: unit.phone_color,
+          color_tier: colorTier(unit.phone_color),
+          esim_only: isEsimOnly(`${asset.model} ${line.description}`),
+          battery_health_percent: unit.battery_health_percent,
+          supplier_grade: unit.supplier_grade,
+          supplier_sku: unit.supplier_sku,
+          cost_amount: unit.unit_cost_usd,
+          price_amount: projectedSell || asset.price_amount || 0,
+          sourcing_batch_id: batch.id,
+          purchase_order_line_id: line.id,
+          goods_received_note_id: receipt.id,
+          landed_cost_ghs: landedCost,
+          projected_sell_price_ghs: projectedSell,
+          projected_margin_percent: margin,
+          buy_decision: buyDecision(margin),
+          status: 'Available',
+          purchase_date: purchaseOrder.order_date,
+          location_id: location_id || null,
+          notes: unit.notes
+        }, { transaction: t });
+      }
+
+      asset.quantity = (asset.quantity || 0) + lineUnits.length;
+      await asset.save({ transaction: t });
+      await asset.updateComputedStatus(t);
+
+      const over = line.receive(lineUnits.length);
+      await line.save({ transaction: t });
+      await GoodsReceivedNoteLine.create({
+        goods_received_note_id: receipt.id,
+        purchase_order_line_id: line.id,
+        quantity_received: lineUnits.length,
+        quantity_over: over
+      }, { transaction: t });
+
+      if (over > 0) overShipped.push({ purchase_order_line_id: line.id, description: line.description, quantity_over: over });
+      unitCount += lineUnits.length;
+    }
+
+    purchaseOrder.status = PurchaseOrder.receiptStatusFor(lines);
+    await purchaseOrder.save({ transaction: t });
+
+    // The batch has arrived once its first delivery is booked in
+    if (!batch.arrival_date) {
+      batch.arrival_date = receivedDate;
+      if (batch.warranty_days) {
+        const arrival = new Date(receivedDate);
+        arrival.setDate(arrival.getDate() + +batch.warranty_days);
+        batch.warranty_expires_on = arrival;
+      }
+    }
+    if (batch.status === 'ordered' || batch.status === 'in_transit') batch.status = 'arrived';
+    await batch.save({ transaction: t });
+    await batch.recomputeTotals({ transaction: t });
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.GOODS_RECEIVED,
+    entityType: ActivityLog.ENTITY_TYPES.PURCHASE_ORDER,
+    entityId: purchaseOrder.id,
+    summary: `${receipt.grn_number}: ${unitCount} unit(s) received against ${purchaseOrder.po_number}`
+      + (overShipped.length > 0 ? ` (${overShipped.reduce((s, l) => s + l.quantity_over, 0)} over-shipped)` : ''),
+    metadata: { poNumber: purchaseOrder.po_number, grnNumber: receipt.grn_number, unitCount, overShipped }
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      receipt,
+      over_shipped: overShipped,
+      purchaseOrder: await fetchPurchaseOrder(purchaseOrder.id)
+    },
+    message: `${receipt.grn_number} recorded — ${unitCount} unit(s) received`
+  });
+});
+
+/**
+ * POST /api/v1/purchase-orders/:id/close
+ * Close the order; anything still outstanding is recorded as short-shipped.
+ * Body: { reason }
+ */
+exports.close = asyncHandler(async (req, res) => {
+  const t = await sequelize.transaction();
+  let purchaseOrder;
+  const shortShipped = [];
+  try {
+    purchaseOrder = await loadPurchaseOrder(req.params.id, t);
+    requireStatus(purchaseOrder, PurchaseOrder.RECEIVABLE_STATUSES, 'close');
+
+    const lines = await loadLines(purchaseOrder, t);
+    for (const line of lines) {
+      const outstanding = line.getOutstandingQuantity();
+      if (outstanding === 0) continue;
+      line.quantity_short = (line.quantity_short || 0) + outstanding;
+      await line.save({ transaction: t });
+      shortShipped.push({ purchase_order_line_id: line.id, description: line.description, quantity_short: outstanding });
+    }
+
+    purchaseOrder.status = 'closed';
+    purchaseOrder.closed_at = new Date();
+    purchaseOrder.closed_by = req.user.id;
+    purchaseOrder.close_reason = req.body.reason || null;
+    await purchaseOrder.save({ transaction: t });
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  const shortTotal = shortShipped.reduce((sum, line) => sum + line.quantity_short, 0);
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.PURCHASE_ORDER_CLOSED,
+    entityType: ActivityLog.ENTITY_TYPES.PURCHASE_ORDER,
+    entityId: purchaseOrder.id,
+    summary: `Purchase order ${purchaseOrder.po_number} closed`
+      + (shortTotal > 0 ? ` — ${shortTotal} unit(s) short-shipped` : ''),
+    metadata: { poNumber: purchaseOrder.po_number, reason: purchaseOrder.close_reason, shortShipped }
+  });
+
+  res.json({
+    success: true,
+    data: {
+      short_shipped: shortShipped,
+      purchaseOrder: await fetchPurchaseOrder(purchaseOrder.id)
+    },
+    message: `Purchase order ${purchaseOrder.po_number} closed`
+  });
+});
+
+/**
+ * POST /api/v1/purchase-orders/:id/cancel
+ * Cancel an order before anything has been received. Body: { reason }
+ */
+exports.cancel = asyncHandler(async (req, res) => {
+  const t = await sequelize.transaction();
+  let purchaseOrder;
+  try {
+    purchaseOrder = await loadPurchaseOrder(req.params.id, t);
+    requireStatus(purchaseOrder, ['draft', 'ordered'], 'cancel');
+
+    purchaseOrder.status = 'cancelled';
+    purchaseOrder.closed_at = new Date();
+    purchaseOrder.closed_by = req.user.id;
+    purchaseOrder.close_reason = req.body.reason || null;
+    await purchaseOrder.save({ transaction: t });
+
+    if (purchaseOrder.sourcing_batch_id) {
+      await SourcingBatch.update(
+        { status: 'cancelled' },
+        { where: { id: purchaseOrder.sourcing_batch_id }, transaction: t }
+      );
+    }
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.PURCHASE_ORDER_CANCELLED,
+    entityType: ActivityLog.ENTITY_TYPES.PURCHASE_ORDER,
+    entityId: purchaseOrder.id,
+    summary: `Purchase order ${purchaseOrder.po_number} cancelled`,
+    metadata: { poNumber: purchaseOrder.po_number, reason: purchaseOrder.close_reason }
+  });
+
+  res.json({
+    success: true,
+    data: { purchaseOrder: await fetchPurchaseOrder(purchaseOrder.id) },
+    message: `Purchase order ${purchaseOrder.po_number} cancelled`
+  });
+});
@@ -0,0 +1,1135 @@
+/**
+ * Quotation Controller
+ *
+ * Quotes / proforma invoices, mostly for wholesale buyers who want a price
+ * before committing.
+ *
+ * - Lines and discounts work as on invoices, but a quotation reserves
+ *   nothing and never moves stock.
+ * - Converting an accepted quotation creates an UNPAID invoice. Stock and
+ *   prices are checked at that point; nothing is created if any line
+ *   can't be filled.
+ */
+
+const {
+  Quotation,
+  QuotationItem,
+  Invoice,
+  InvoiceItem,
+  Asset,
+  AssetUnit,
+  Customer,
+  CustomerWarranty,
+  CompanyProfile,
+  User,
+  ActivityLog,
+  InventoryItemEvent,
+  StockMovement,
+  sequelize
+} = require('../models');
+const { Op } = require('sequelize');
+const fs = require('fs');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { sanitizeInvoiceForRole } = require('../middleware/permissions');
+const exchangeRateService = require('../services/exchangeRateService');
+const { computeAvailability } = require('../services/inventoryAvailabilityService');
+const invoicePdfService = require('../services/invoicePdfService');
+const { defaultValidUntil, canTransition, resolveConversionPrice, splitFixedDiscount } = require('../services/quotationService');
+const { ALLOWED_CURRENCIES } = require('../utils/currencyUtils');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DISCOUNT_TYPES = ['none', 'percentage', 'fixed'];
+const PDF_EXPIRY_DAYS = 7;
+
+const round2 = n => Math.round(n * 100) / 100;
+
+function quotationIncludes() {
+  return [
+    { model: Customer, as: 'customer' },
+    {
+      model: QuotationItem,
+      as: 'items',
+      include: [
+        { model: Asset, as: 'asset', attributes: ['id', 'asset_tag', 'make', 'model', 'serial_number', 'status', 'is_serialized', 'price_amount'] },
+        { model: AssetUnit, as: 'assetUnit', attributes: ['id', 'serial_number', 'status'] }
+      ]
+    },
+    { model: Invoice, as: 'convertedInvoice', attributes: ['id', 'invoice_number', 'status', 'total_amount'] },
+    { model: User, as: 'creator', attributes: ['id', 'full_name'] }
+  ];
+}
+
+async function loadQuotation(id, transaction = null) {
+  // Row lock serializes edits and conversion of the same quotation
+  const quotation = await Quotation.findByPk(id, transaction ? { transaction, lock: true } : {});
+  if (!quotation) {
+    throw new AppError('Quotation not found', 404, 'NOT_FOUND');
+  }
+  return quotation;
+}
+
+function serializeQuotation(quotation, role) {
+  return {
+    ...sanitizeInvoiceForRole(quotation, role),
+    status_label: quotation.getStatusLabel(),
+    is_expired: quotation.isExpired(),
+    customer_name: quotation.customer ? quotation.customer.getDisplayName() : null
+  };
+}
+
+async function fetchQuotation(id, role) {
+  const quotation = await Quotation.findByPk(id, {
+    include: quotationIncludes(),
+    order: [[{ model: QuotationItem, as: 'items' }, 'created_at', 'ASC']]
+  });
+  return serializeQuotation(quotation, role);
+}
+
+/**
+ * Sales users may only change their own quotations, and only while the
+ * quotation is still a draft or sent
+ */
+function assertCanModify(quotation, user) {
+  if (user.role === 'Sales' && quotation.created_by !== user.id) {
+    throw new AppError('You can only modify your own quotations', 403, 'FORBIDDEN');
+  }
+  if (!quotation.isEditable()) {
+    throw new AppError(`Cannot change a ${quotation.getStatusLabel().toLowerCase()} quotation`, 400, 'QUOTATION_LOCKED');
+  }
+}
+
+function parseDate(value, field) {
+  if (!DATE_PATTERN.test(String(value))) {
+    throw new AppError(`${field} must be a date in YYYY-MM-DD format`, 400, 'VALIDATION_ERROR');
+  }
+  return String(value);
+}
+
+function parseQuantity(value) {
+  const quantity = Number(value);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new AppError('Quantity must be an integer >= 1', 400, 'INVALID_QUANTITY');
+  }
+  return quantity;
+}
+
+function parsePrice(value) {
+  const price = parseFloat(value);
+  if (isNaN(price) || price < 0) {
+    throw new AppError('Unit price must be a non-negative number', 400, 'INVALID_PRICE');
+  }
+  return round2(price);
+}
+
+/**
+ * Validate a discount type/value pair the way the invoice endpoints do
+ * @returns {{ type: string, value: number }}
+ */
+function parseDiscount(type, value) {
+  const discountType = type || 'none';
+  if (!DISCOUNT_TYPES.includes(discountType)) {
+    throw new AppError('Discount type must be none, percentage, or fixed', 400, 'INVALID_DISCOUNT_TYPE');
+  }
+  if (discountType === 'none') return { type: 'none', value: 0 };
+
+  const discountValue = parseFloat(value ?? 0);
+  if (isNaN(discountValue) || discountValue < 0) {
+    throw new AppError('Discount value must be a non-negative number', 400, 'INVALID_DISCOUNT_VALUE');
+  }
+  if (discountType === 'percentage' && discountValue > 100) {
+    throw new AppError('Percentage discount cannot exceed 100%', 400, 'INVALID_DISCOUNT_VALUE');
+  }
+  return { type: discountType, value: discountValue };
+}
+
+/**
+ * Enforce the user's max_discount_percent, as on invoices
+ * @param {number} userId
+ * @param {{ type, value }} discount
+ * @param {number} base - amount a fixed discount is taken off
+ */
+async function assertDiscountAllowed(userId, discount, base) {
+  if (discount.type === 'none' || discount.value <= 0) return;
+
+  const dbUser = await User.findByPk(userId, { attributes: ['max_discount_percent'] });
+  const maxDiscount = dbUser?.max_discount_percent != null ? parseFloat(dbUser.max_discount_percent) : null;
+  if (maxDiscount === null) return;
+
+  const effectivePercent = discount.type === 'percentage'
+    ? discount.value
+    : (base > 0 ? (discount.value / base) * 100 : 0);
+  if (effectivePercent > maxDiscount) {
+    throw new AppError(`Maximum discount for your role is ${maxDiscount}%. Contact a manager for higher discounts.`, 400, 'DISCOUNT_LIMIT_EXCEEDED');
+  }
+}
+
+// Current selling price: unit-level price if set, otherwise the product's
+function currentPrice(asset, unit = null) {
+  return unit && unit.price_amount !== null ? parseFloat(unit.price_amount) : (parseFloat(asset.price_amount) || 0);
+}
+
+/**
+ * Unit cost in the document currency. Unit-level cost and currency are used
+ * when set, as in invoiceController.addItem.
+ * @returns {Promise<{ unitCost, originalCostCurrency, originalCostAmount }>}
+ */
+async function costIn(currency, asset, unit = null) {
+  const originalCostAmount = unit && unit.cost_amount !== null ? parseFloat(unit.cost_amount) : (parseFloat(asset.cost_amount) || 0);
+  const originalCostCurrency = (unit && unit.cost_currency) || asset.cost_currency || 'USD';
+
+  let unitCost = originalCostAmount;
+  if (originalCostCurrency !== currency && unitCost > 0) {
+    unitCost = await exchangeRateService.convertAmount(unitCost, originalCostCurrency, currency);
+  }
+  return { unitCost, originalCostCurrency, originalCostAmount };
+}
+
+function describe(asset, unit = null) {
+  const serial = unit ? unit.serial_number : asset.serial_number;
+  return `${asset.make} ${asset.model}${serial ? ` (S/N: ${serial})` : ''} [${asset.asset_tag}]`;
+}
+
+/**
+ * Quotation data for the PDF renderer. A quoted unit's serial number is
+ * shown in place of the product's.
+ */
+function pdfData(quotation) {
+  const data = quotation.toJSON();
+  if (quotation.customer) {
+    data.customer.displayName = quotation.customer.getDisplayName();
+  }
+  data.items = (data.items || []).map(item => (item.asset && item.assetUnit
+    ? { ...item, asset: { ...item.asset, serial_number: item.assetUnit.serial_number } }
+    : item));
+  return data;
+}
+
+async function loadForPdf(id) {
+  return Quotation.findByPk(id, {
+    include: quotationIncludes(),
+    order: [[{ model: QuotationItem, as: 'items' }, 'created_at', 'ASC']]
+  });
+}
+
+/**
+ * Render the quotation PDF and store its access token
+ * @param {string} existingToken - keep the same download link when regenerating
+ */
+async function renderPdf(quotation, existingToken = null) {
+  const companyProfile = await CompanyProfile.findOne({ where: { is_active: true } });
+
+  invoicePdfService.cleanupOldQuotationPdfs(quotation.quotation_number);
+  const result = await invoicePdfService.generateQuotationPdf(pdfData(quotation), companyProfile, existingToken);
+
+  await quotation.update({
+    pdf_access_token: result.accessToken,
+    pdf_generated_at: new Date()
+  });
+  return { ...result, companyProfile };
+}
+
+/**
+ * GET /api/v1/quotations
+ * Query: status (comma-separated), customer_id, search (quotation number),
+ *        expired=true, page, limit
+ */
+exports.list = asyncHandler(async (req, res) => {
+  const { status, customer_id, search, page = 1, limit = 20 } = req.query;
+
+  const where = {};
+  if (customer_id) where.customer_id = customer_id;
+  if (search) where.quotation_number = { [Op.iLike]: `%${search}%` };
+  if (status) {
+    const statuses = status.split(',').map(s => s.trim()).filter(Boolean);
+    where.status = statuses.length === 1 ? statuses[0] : { [Op.in]: statuses };
+  }
+  if (req.query.expired === 'true') {
+    where.valid_until = { [Op.lt]: new Date().toISOString().slice(0, 10) };
+    if (!status) where.status = { [Op.in]: ['DRAFT', 'SENT', 'ACCEPTED'] };
+  }
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+  const { rows, count } = await Quotation.findAndCountAll({
+    where,
+    include: [
+      { model: Customer, as: 'customer', attributes: ['id', 'first_name', 'last_name', 'company_name', 'phone_e164', 'whatsapp_e164'] },
+      { model: Invoice, as: 'convertedInvoice', attributes: ['id', 'invoice_number', 'status'] },
+      { model: User, as: 'creator', attributes: ['id', 'full_name'] }
+    ],
+    order: [['created_at', 'DESC']],
+    limit: limitNum,
+    offset: (pageNum - 1) * limitNum
+  });
+
+  res.json({
+    success: true,
+    data: {
+      quotations: rows.map(quotation => serializeQuotation(quotation, req.user.role)),
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(count / limitNum)
+      }
+    }
+  });
+});
+
+/**
+ * GET /api/v1/quotations/:id
+ */
+exports.getById = asyncHandler(async (req, res) => {
+  await loadQuotation(req.params.id);
+  res.json({
+    success: true,
+    data: { quotation: await fetchQuotation(req.params.id, req.user.role) }
+  });
+});
+
+/**
+ * POST /api/v1/quotations
+ * Body: customer_id, quote_date, valid_until (default 14 days after the
+ *       quote date), currency, tax_mode, notes
+ */
+exports.create = asyncHandler(async (req, res) => {
+  const { customer_id, currency = 'GHS', tax_mode, notes } = req.body;
+
+  const quoteDate = req.body.quote_date ? parseDate(req.body.quote_date, 'quote_date') : new Date().toISOString().slice(0, 10);
+  const validUntil = req.body.valid_until ? parseDate(req.body.valid_until, 'valid_until') : defaultValidUntil(quoteDate);
+  if (validUntil < quoteDate) {
+    throw new AppError('valid_until cannot be before the quote date', 400, 'VALIDATION_ERROR');
+  }
+  if (!ALLOWED_CURRENCIES.includes(currency)) {
+    throw new AppError(`Currency must be one of: ${ALLOWED_CURRENCIES.join(', ')}`, 400, 'INVALID_CURRENCY');
+  }
+  if (tax_mode && !Quotation.TAX_MODES.includes(tax_mode)) {
+    throw new AppError(`Tax mode must be one of: ${Quotation.TAX_MODES.join(', ')}`, 400, 'INVALID_TAX_MODE');
+  }
+  if (customer_id && !(await Customer.findByPk(customer_id))) {
+    throw new AppError('Customer not found', 400, 'INVALID_CUSTOMER');
+  }
+
+  const quotation = await Quotation.create({
+    quotation_number: await Quotation.generateQuotationNumber(),
+    customer_id: customer_id || null,
+    quote_date: quoteDate,
+    valid_until: validUntil,
+    currency,
+    tax_mode: tax_mode || await CompanyProfile.getDefaultTaxMode(),
+    notes: notes || null,
+    created_by: req.user.id,
+    updated_by: req.user.id
+  });
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.QUOTATION_CREATED,
+    entityType: ActivityLog.ENTITY_TYPES.QUOTATION,
+    entityId: quotation.id,
+    summary: `Quotation ${quotation.quotation_number} created`,
+    metadata: { quotationNumber: quotation.quotation_number, customerId: quotation.customer_id, currency, validUntil }
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { quotation: await fetchQuotation(quotation.id, req.user.role) },
+    message: `Quotation ${quotation.quotation_number} created`
+  });
+});
+
+/**
+ * PATCH /api/v1/quotations/:id
+ * Body: customer_id, quote_date, valid_until, currency (only while the
+ *       quotation has no lines), tax_mode, notes
+ */
+exports.update = asyncHandler(async (req, res) => {
+  const { customer_id, currency, tax_mode, notes } = req.body;
+
+  const t = await sequelize.transaction();
+  let quotation;
+  try {
+    quotation = await loadQuotation(req.params.id, t);
+    assertCanModify(quotation, req.user);
+
+    if (customer_id !== undefined) {
+      if (customer_id && !(await Customer.findByPk(customer_id, { transaction: t }))) {
+        throw new AppError('Customer not found', 400, 'INVALID_CUSTOMER');
+      }
+      quotation.customer_id = customer_id || null;
+    }
+    if (req.body.quote_date !== undefined) quotation.quote_date = parseDate(req.body.quote_date, 'quote_date');
+    if (req.body.valid_until !== undefined) quotation.valid_until = parseDate(req.body.valid_until, 'valid_until');
+    if (quotation.valid_until < quotation.quote_date) {
+      throw new AppError('valid_until cannot be before the quote date', 400, 'VALIDATION_ERROR');
+    }
+
+    if (currency !== undefined && currency !== quotation.currency) {
+      if (!ALLOWED_CURRENCIES.includes(currency)) {
+        throw new AppError(`Currency must be one of: ${ALLOWED_CURRENCIES.join(', ')}`, 400, 'INVALID_CURRENCY');
+      }
+      const itemCount = await QuotationItem.count({ where: { quotation_id: quotation.id }, transaction: t });
+      if (itemCount > 0) {
+        throw new AppError('Remove the lines before changing the currency of a quotation', 400, 'CURRENCY_LOCKED');
+      }
+      quotation.currency = currency;
+    }
+    if (tax_mode !== undefined) {
+      if (!Quotation.TAX_MODES.includes(tax_mode)) {
+        throw new AppError(`Tax mode must be one of: ${Quotation.TAX_MODES.join(', ')}`, 400, 'INVALID_TAX_MODE');
+      }
+      quotation.tax_mode = tax_mode;
+    }
+    if (notes !== undefined) quotation.notes = notes || null;
+    quotation.updated_by = req.user.id;
+
+    // Tax mode and quote date both feed the tax calculation
+    await quotation.recalculateTotals(t);
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  res.json({
+    success: true,
+    data: { quotation: await fetchQuotation(quotation.id, req.user.role) },
+    message: 'Quotation updated'
+  });
+});
+
+/**
+ * POST /api/v1/quotations/:id/items
+ * Body: asset_id, asset_unit_id (serialized products, optional), quantity,
+ *       unit_price (default current selling price), warranty_tier,
+ *       discount_type, discount_value
+ *
+ * Stock is not checked or reserved; available_now in the response is for
+ * information only.
+ */
+exports.addItem = asyncHandler(async (req, res) => {
+  const { asset_id, asset_unit_id, warranty_tier } = req.body;
+  if (!asset_id) {
+    throw new AppError('Asset ID is required', 400, 'MISSING_ASSET');
+  }
+  if (warranty_tier && !CustomerWarranty.TIERS[warranty_tier]) {
+    throw new AppError(`Warranty tier must be one of: ${Object.keys(CustomerWarranty.TIERS).join(', ')}`, 400, 'INVALID_WARRANTY_TIER');
+  }
+  let quantity = req.body.quantity === undefined ? 1 : parseQuantity(req.body.quantity);
+  const discount = parseDiscount(req.body.discount_type, req.body.discount_value);
+
+  const t = await sequelize.transaction();
+  let quotation;
+  let item;
+  let asset;
+  try {
+    quotation = await loadQuotation(req.params.id, t);
+    assertCanModify(quotation, req.user);
+
+    asset = await Asset.findByPk(asset_id, { transaction: t });
+    if (!asset) {
+      throw new AppError('Inventory item not found', 404, 'ASSET_NOT_FOUND');
+    }
+
+    let unit = null;
+    if (asset_unit_id) {
+      if (!asset.is_serialized) {
+        throw new AppError('asset_unit_id only applies to serialized products', 400, 'VALIDATION_ERROR');
+      }
+      unit = await AssetUnit.findOne({ where: { id: asset_unit_id, asset_id: asset.id }, transaction: t });
+      if (!unit) {
+        throw new AppError('Unit not found for this product', 404, 'UNIT_NOT_FOUND');
+      }
+      if (unit.status !== 'Available') {
+        throw new AppError(`Unit is "${unit.status}", not Available`, 400, 'UNIT_UNAVAILABLE');
+      }
+      const alreadyQuoted = await QuotationItem.findOne({
+        where: { quotation_id: quotation.id, asset_unit_id: unit.id },
+        transaction: t
+      });
+      if (alreadyQuoted) {
+        throw new AppError('This unit is already on the quotation', 400, 'UNIT_ALREADY_QUOTED');
+      }
+      quantity = 1;
+    }
+
+    const unitPrice = req.body.unit_price !== undefined ? parsePrice(req.body.unit_price) : currentPrice(asset, unit);
+    await assertDiscountAllowed(req.user.id, discount, quantity * unitPrice);
+
+    const { unitCost } = await costIn(quotation.currency, asset, unit);
+
+    item = await QuotationItem.create({
+      quotation_id: quotation.id,
+      asset_id: asset.id,
+      asset_unit_id: unit ? unit.id : null,
+      warranty_tier: asset.is_serialized ? (warranty_tier || CustomerWarranty.DEFAULT_TIER) : null,
+      description: describe(asset, unit),
+      quantity,
+      unit_price_amount: unitPrice,
+      unit_cost_amount: unitCost,
+      discount_type: discount.type,
+      discount_value: discount.value,
+      category: asset.category || null,
+      asset_type: asset.asset_type || null
+    }, { transaction: t });
+
+    quotation.updated_by = req.user.id;
+    await quotation.recalculateTotals(t);
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  const { available } = await computeAvailability(asset.id);
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.QUOTATION_UPDATED,
+    entityType: ActivityLog.ENTITY_TYPES.QUOTATION,
+    entityId: quotation.id,
+    summary: `Item added to quotation ${quotation.quotation_number}: ${asset.asset_tag} x${item.quantity}`,
+    metadata: { quotationNumber: quotation.quotation_number, assetId: asset.id, assetTag: asset.asset_tag, quantity: item.quantity, unitPrice: item.unit_price_amount }
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      item_id: item.id,
+      available_now: available,
+      quotation: await fetchQuotation(quotation.id, req.user.role)
+    },
+    message: 'Item added to quotation'
+  });
+});
+
+/**
+ * PATCH /api/v1/quotations/:id/items/:itemId
+ * Body: quantity, unit_price (upward revisions only, as on invoices),
+ *       discount_type, discount_value
+ */
+exports.updateItem = asyncHandler(async (req, res) => {
+  const { quantity, unit_price, discount_type, discount_value } = req.body;
+
+  const t = await sequelize.transaction();
+  let quotation;
+  let item;
+  try {
+    quotation = await loadQuotation(req.params.id, t);
+    assertCanModify(quotation, req.user);
+
+    item = await QuotationItem.findOne({ where: { id: req.params.itemId, quotation_id: quotation.id }, transaction: t });
+    if (!item) {
+      throw new AppError('Quotation item not found', 404, 'ITEM_NOT_FOUND');
+    }
+
+    if (quantity !== undefined) {
+      const newQuantity = parseQuantity(quantity);
+      if (item.asset_unit_id && newQuantity !== 1) {
+        throw new AppError('A line for a specific unit always has a quantity of 1', 400, 'INVALID_QUANTITY');
+      }
+      item.quantity = newQuantity;
+    }
+
+    if (unit_price !== undefined) {
+      const newPrice = parsePrice(unit_price);
+      const oldPrice = parseFloat(item.unit_price_amount) || 0;
+      if (newPrice < oldPrice) {
+        throw new AppError(`Price can only be revised upward. Current: ${oldPrice.toFixed(2)}, requested: ${newPrice.toFixed(2)}`, 400, 'PRICE_DECREASE_NOT_ALLOWED');
+      }
+      item.unit_price_amount = newPrice;
+    }
+
+    if (discount_type !== undefined || discount_value !== undefined) {
+      const discount = parseDiscount(discount_type ?? item.discount_type, discount_value ?? item.discount_value);
+      item.discount_type = discount.type;
+      item.discount_value = discount.value;
+    }
+    await assertDiscountAllowed(
+      req.user.id,
+      { type: item.discount_type, value: item.discount_value },
+      item.quantity * (parseFloat(item.unit_price_amount) || 0)
+    );
+
+    // beforeSave hook recalculates the line
+    await item.save({ transaction: t });
+    quotation.updated_by = req.user.id;
+    await quotation.recalculateTotals(t);
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.QUOTATION_UPDATED,
+    entityType: ActivityLog.ENTITY_TYPES.QUOTATION,
+    entityId: quotation.id,
+    summary: `Item updated on quotation ${quotation.quotation_number}: ${item.description}`,
+    metadata: {
+      quotationNumber: quotation.quotation_number,
+      itemId: item.id,
+      quantity: item.quantity,
+      unitPrice: item.unit_price_amount,
+      discount_type: item.discount_type,
+      discount_value: item.discount_value
+    }
+  });
+
+  res.json({
+    success: true,
+    data: { quotation: await fetchQuotation(quotation.id, req.user.role) },
+    message: 'Item updated'
+  });
+});
+
+/**
+ * DELETE /api/v1/quotations/:id/items/:itemId
+ */
+exports.removeItem = asyncHandler(async (req, res) => {
+  const t = await sequelize.transaction();
+  let quotation;
+  let item;
+  try {
+    quotation = await loadQuotation(req.params.id, t);
+    assertCanModify(quotation, req.user);
+
+    item = await QuotationItem.findOne({ where: { id: req.params.itemId, quotation_id: quotation.id }, transaction: t });
+    if (!item) {
+      throw new AppError('Quotation item not found', 404, 'ITEM_NOT_FOUND');
+    }
+    await item.destroy({ transaction: t });
+
+    quotation.updated_by = req.user.id;
+    await quotation.recalculateTotals(t);
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.QUOTATION_UPDATED,
+    entityType: ActivityLog.ENTITY_TYPES.QUOTATION,
+    entityId: quotation.id,
+    summary: `Item removed from quotation ${quotation.quotation_number}: ${item.description}`,
+    metadata: { quotationNumber: quotation.quotation_number, itemId: item.id, assetId: item.asset_id }
+  });
+
+  res.json({
+    success: true,
+    data: { quotation: await fetchQuotation(quotation.id, req.user.role) },
+    message: 'Item removed from quotation'
+  });
+});
+
+/**
+ * PATCH /api/v1/quotations/:id/discount
+ * Body: discount_type, discount_value — quotation-level discount, applied
+ * after line discounts as on invoices
+ */
+exports.updateDiscount = asyncHandler(async (req, res) => {
+  const discount = parseDiscount(req.body.discount_type, req.body.discount_value);
+
+  const t = await sequelize.transaction();
+  let quotation;
+  try {
+    quotation = await loadQuotation(req.params.id, t);
+    assertCanModify(quotation, req.user);
+    await assertDiscountAllowed(req.user.id, discount, parseFloat(quotation.subtotal_amount) || 0);
+
+    quotation.discount_type = discount.type;
+    quotation.discount_value = discount.value;
+    quotation.updated_by = req.user.id;
+    await quotation.recalculateTotals(t);
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.QUOTATION_UPDATED,
+    entityType: ActivityLog.ENTITY_TYPES.QUOTATION,
+    entityId: quotation.id,
+    summary: `Quotation discount updated on ${quotation.quotation_number}: ${discount.type} ${discount.value}`,
+    metadata: { quotationNumber: quotation.quotation_number, discount_type: discount.type, discount_value: discount.value, discount_amount: quotation.discount_amount }
+  });
+
+  res.json({
+    success: true,
+    data: { quotation: await fetchQuotation(quotation.id, req.user.role) },
+    message: 'Quotation discount updated'
+  });
+});
+
+/**
+ * POST /api/v1/quotations/:id/status
+ * Body: status (SENT | ACCEPTED | DECLINED), reason (when declining)
+ */
+exports.updateStatus = asyncHandler(async (req, res) => {
+  const { status, reason } = req.body;
+
+  const t = await sequelize.transaction();
+  let quotation;
+  let previousStatus;
+  try {
+    quotation = await loadQuotation(req.params.id, t);
+    if (req.user.role === 'Sales' && quotation.created_by !== req.user.id) {
+      throw new AppError('You can only modify your own quotations', 403, 'FORBIDDEN');
+    }
+    previousStatus = quotation.status;
+    if (!canTransition(previousStatus, status)) {
+      throw new AppError(`Cannot change a ${quotation.getStatusLabel().toLowerCase()} quotation to ${status}`, 400, 'INVALID_STATUS');
+    }
+
+    if (status === 'ACCEPTED') {
+      if (quotation.isExpired()) {
+        throw new AppError(`Quotation expired on ${quotation.valid_until}. Extend valid_until before accepting it.`, 400, 'QUOTATION_EXPIRED');
+      }
+      const itemCount = await QuotationItem.count({ where: { quotation_id: quotation.id }, transaction: t });
+      if (itemCount === 0) {
+        throw new AppError('Add at least one line before accepting the quotation', 400, 'NO_ITEMS');
+      }
+      quotation.accepted_at = new Date();
+    } else if (status === 'SENT') {
+      quotation.sent_at = quotation.sent_at || new Date();
+      quotation.accepted_at = null;
+      quotation.declined_at = null;
+      quotation.decline_reason = null;
+    } else if (status === 'DECLINED') {
+      quotation.declined_at = new Date();
+      quotation.decline_reason = reason || null;
+    }
+
+    quotation.status = status;
+    quotation.updated_by = req.user.id;
+    await quotation.save({ transaction: t });
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.QUOTATION_STATUS_CHANGED,
+    entityType: ActivityLog.ENTITY_TYPES.QUOTATION,
+    entityId: quotation.id,
+    summary: `Quotation ${quotation.quotation_number} marked ${quotation.getStatusLabel().toLowerCase()}`,
+    metadata: { quotationNumber: quotation.quotation_number, previousStatus, status, reason: reason || null }
+  });
+
+  res.json({
+    success: true,
+    data: { quotation: await fetchQuotation(quotation.id, req.user.role) },
+    message: `Quotation marked ${quotation.getStatusLabel().toLowerCase()}`
+  });
+});
+
+/**
+ * POST /api/v1/quotations/:id/convert
+ * Body: fulfillment_type (delivered | held), use_current_prices
+ *
+ * Turns an accepted quotation into an UNPAID invoice in one transaction.
+ * Every line is checked against current stock first: serialized lines get
+ * the quoted unit or the next Available units, bulk lines need enough
+ * unreserved quantity. If anything is short, nothing is created and the
+ * shortages are returned.
+ *
+ * Quoted prices are honoured while the quotation is valid. An expired
+ * quotation is only converted with use_current_prices, which reprices every
+ * line at the current selling price. Lines whose price has moved are
+ * reported either way.
+ */
+exports.convert = asyncHandler(async (req, res) => {
+  const fulfillmentType = ['delivered', 'held'].includes(req.body.fulfillment_type) ? req.body.fulfillment_type : 'delivered';
+  const useCurrentPrices = req.body.use_current_prices === true || req.body.use_current_prices === 'true';
+
+  const t = await sequelize.transaction();
+  let quotation;
+  let invoice;
+  const priceChanges = [];
+  try {
+    quotation = await loadQuotation(req.params.id, t);
+    if (req.user.role === 'Sales' && quotation.created_by !== req.user.id) {
+      throw new AppError('You can only convert your own quotations', 403, 'FORBIDDEN');
+    }
+    if (quotation.status === 'CONVERTED') {
+      throw new AppError('Quotation has already been converted', 409, 'ALREADY_CONVERTED');
+    }
+    if (quotation.status !== 'ACCEPTED') {
+      throw new AppError('Only accepted quotations can be converted to an invoice', 400, 'INVALID_STATUS');
+    }
+
+    const items = await QuotationItem.findAll({
+      where: { quotation_id: quotation.id },
+      order: [['created_at', 'ASC']],
+      transaction: t
+    });
+    if (items.length === 0) {
+      throw new AppError('Quotation has no lines', 400, 'NO_ITEMS');
+    }
+
+    // --- Check stock and prices for every line before creating anything ---
+    const shortages = [];
+    const assets = new Map();
+    const requestedByAsset = new Map();
+    const namedUnitIds = items.filter(item => item.asset_unit_id).map(item => item.asset_unit_id);
+    const lines = [];
+
+    for (const item of items) {
+      if (!assets.has(item.asset_id)) {
+        // Locks the asset row (SELECT FOR UPDATE) for the rest of the conversion
+        const { available, asset } = await computeAvailability(item.asset_id, { transaction: t });
+        assets.set(item.asset_id, { asset, available, unitPool: null });
+      }
+      const entry = assets.get(item.asset_id);
+      const { asset } = entry;
+      if (!asset) {
+        shortages.push({ item_id: item.id, description: item.description, requested: item.quantity, available: 0, reason: 'Inventory item no longer exists' });
+        continue;
+      }
+
+      let units = [];
+      if (asset.is_serialized) {
+        if (item.asset_unit_id) {
+          const unit = await AssetUnit.findOne({ where: { id: item.asset_unit_id, asset_id: asset.id }, transaction: t, lock: true });
+          if (!unit || unit.status !== 'Available') {
+            shortages.push({ item_id: item.id, description: item.description, requested: 1, available: 0, reason: `Quoted unit is ${unit ? unit.status : 'missing'}` });
+            continue;
+          }
+          units = [unit];
+        } else {
+          if (!entry.unitPool) {
+            // Units quoted by name on other lines aren't up for grabs
+            const poolWhere = { asset_id: asset.id, status: 'Available' };
+            if (namedUnitIds.length > 0) poolWhere.id = { [Op.notIn]: namedUnitIds };
+            entry.unitPool = await AssetUnit.findAll({
+              where: poolWhere,
+              order: [['id', 'ASC']],
+              transaction: t,
+              lock: true
+            });
+          }
+          if (entry.unitPool.length < item.quantity) {
+            shortages.push({ item_id: item.id, description: item.description, requested: item.quantity, available: entry.unitPool.length, reason: 'Not enough Available units' });
+            entry.unitPool = [];
+            continue;
+          }
+          units = entry.unitPool.splice(0, item.quantity);
+        }
+      } else {
+        requestedByAsset.set(asset.id, (requestedByAsset.get(asset.id) || 0) + item.quantity);
+      }
+
+      const priceUnits = units.length ? units : [null];
+      const unitPrices = priceUnits.map(unit => resolveConversionPrice({
+        quotedPrice: item.unit_price_amount,
+        currentPrice: currentPrice(asset, unit),
+        useCurrentPrices
+      }));
+      if (unitPrices.some(p => p.changed)) {
+        priceChanges.push({
+          item_id: item.id,
+          description: item.description,
+          quoted_price: item.unit_price_amount,
+          current_prices: [...new Set(priceUnits.map(unit => round2(currentPrice(asset, unit))))]
+        });
+      }
+
+      lines.push({ item, asset, units, unitPrices: unitPrices.map(p => p.price) });
+    }
+
+    for (const [assetId, requested] of requestedByAsset) {
+      const { asset, available } = assets.get(assetId);
+      if (requested > available) {
+        shortages.push({ asset_id: assetId, description: `${asset.make} ${asset.model} [${asset.asset_tag}]`, requested, available, reason: 'Insufficient stock' });
+      }
+    }
+
+    if (shortages.length > 0) {
+      throw new AppError('Not enough stock to convert this quotation', 409, 'INSUFFICIENT_STOCK', { shortages });
+    }
+    if (quotation.isExpired() && !useCurrentPrices) {
+      throw new AppError(
+        `Quotation expired on ${quotation.valid_until}. Convert with use_current_prices to invoice at current prices.`,
+        409,
+        'QUOTATION_EXPIRED',
+        { price_changes: priceChanges }
+      );
+    }
+
+    // --- Create the invoice ---
+    invoice = await Invoice.create({
+      invoice_number: await Invoice.generateInvoiceNumber(),
+      customer_id: quotation.customer_id,
+      invoice_date: new Date(),
+      status: 'UNPAID',
+      currency: quotation.currency,
+      fulfillment_type: fulfillmentType,
+      tax_mode: quotation.tax_mode,
+      discount_type: quotation.discount_type,
+      discount_value: quotation.discount_value,
+      notes: quotation.notes,
+      amount_paid: 0,
+      balance_due: 0,
+      created_by: req.user.id,
+      updated_by: req.user.id
+    }, { transaction: t });
+
+    const invoiceCost = async (asset, unit) => {
+      const cost = await costIn(invoice.currency, asset, unit);
+      if (cost.originalCostCurrency !== invoice.currency && cost.originalCostAmount > 0 && !invoice.fx_rate_used) {
+        invoice.fx_rate_source = 'hardcoded';
+        invoice.fx_rate_used = await exchangeRateService.getExchangeRate(cost.originalCostCurrency, invoice.currency);
+        invoice.fx_fetched_at = new Date();
+      }
+      return cost;
+    };
+
+    for (const { item, asset, units, unitPrices } of lines) {
+      if (units.length > 0) {
+        // One invoice line per serialized unit; a fixed discount is shared out
+        const fixedShares = item.discount_type === 'fixed' ? splitFixedDiscount(item.discount_value, units.length) : null;
+        for (let i = 0; i < units.length; i++) {
+          const unit = units[i];
+          const cost = await invoiceCost(asset, unit);
+          await InvoiceItem.create({
+            invoice_id: invoice.id,
+            asset_id: asset.id,
+            asset_unit_id: unit.id,
+            warranty_tier: item.warranty_tier || CustomerWarranty.DEFAULT_TIER,
+            description: describe(asset, unit),
+            quantity: 1,
+            unit_price_amount: unitPrices[i],
+            unit_cost_amount: cost.unitCost,
+            original_cost_currency: cost.originalCostCurrency,
+            original_cost_amount: cost.originalCostAmount,
+            discount_type: item.discount_type,
+            discount_value: fixedShares ? fixedShares[i] : item.discount_value,
+            category: asset.category || null,
+            asset_type: asset.asset_type || null
+          }, { transaction: t });
+
+          unit.status = 'Reserved';
+          await unit.save({ transaction: t });
+        }
+      } else {
+        const cost = await invoiceCost(asset, null);
+        await InvoiceItem.create({
+          invoice_id: invoice.id,
+          asset_id: asset.id,
+          description: describe(asset),
+          quantity: item.quantity,
+          unit_price_amount: unitPrices[0],
+          unit_cost_amount: cost.unitCost,
+          original_cost_currency: cost.originalCostCurrency,
+          original_cost_amount: cost.originalCostAmount,
+          discount_type: item.discount_type,
+          discount_value: item.discount_value,
+          category: asset.category || null,
+          asset_type: asset.asset_type || null
+        }, { transaction: t });
+
+        // Held (layaway) invoices keep items in store — don't decrement
+        if (fulfillmentType !== 'held') {
+          const onHand = asset.quantity || 0;
+          await StockMovement.record(asset, Math.max(onHand - item.quantity, 0) - onHand, 'sale', {
+            referenceType: 'invoice',
+            referenceId: invoice.id,
+            notes: `Added to invoice ${invoice.invoice_number} from quotation ${quotation.quotation_number}`,
+            userId: req.user.id
+          }, t);
+        }
+      }
+    }
+
+    for (const { asset } of assets.values()) {
+      await asset.updateComputedStatus(t);
+      await InventoryItemEvent.logAddedToInvoice(asset, invoice, req.user.id, t);
+    }
+
+    await invoice.recalculateTotals(t);
+
+    quotation.status = 'CONVERTED';
+    quotation.converted_invoice_id = invoice.id;
+    quotation.converted_at = new Date();
+    quotation.converted_by = req.user.id;
+    quotation.updated_by = req.user.id;
+    await quotation.save({ transaction: t });
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.logInvoiceCreated(invoice, req.user.id);
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.QUOTATION_CONVERTED,
+    entityType: ActivityLog.ENTITY_TYPES.QUOTATION,
+    entityId: quotation.id,
+    summary: `Quotation ${quotation.quotation_number} converted to invoice ${invoice.invoice_number}`,
+    metadata: {
+      quotationNumber: quotation.quotation_number,
+      invoiceId: invoice.id,
+      invoiceNumber: invoice.invoice_number,
+      quotedTotal: quotation.total_amount,
+      invoiceTotal: invoice.total_amount,
+      repriced: useCurrentPrices,
+      priceChanges: priceChanges.length
+    }
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      invoice: sanitizeInvoiceForRole(invoice, req.user.role),
+      quotation: await fetchQuotation(quotation.id, req.user.role),
+      repriced: useCurrentPrices,
+      price_changes: priceChanges
+    },
+    message: `Quotation converted to invoice ${invoice.invoice_number}`
+  });
+});
+
+/**
+ * GET /api/v1/quotations/:id/pdf
+ * Query: download=true streams the file instead of returning its URL
+ */
+exports.generatePdf = asyncHandler(async (req, res) => {
+  const quotation = await loadForPdf(req.params.id);
+  if (!quotation) {
+    throw new AppError('Quotation not found', 404, 'NOT_FOUND');
+  }
+
+  let result;
+  try {
+    result = await renderPdf(quotation);
+  } catch (error) {
+    console.error('Quotation PDF generation error:', error);
+    throw new AppError('Failed to generate PDF', 500, 'PDF_ERROR');
+  }
+
+  if (req.query.download === 'true') {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.fileName}"`);
+    return fs.createReadStream(result.filePath).pipe(res);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      pdfUrl: `/api/v1/quotations/${quotation.id}/pdf/download?token=${result.accessToken}`,
+      fileName: result.fileName,
+      accessToken: result.accessToken,
+      expiresIn: `${PDF_EXPIRY_DAYS} days`
+    }
+  });
+});
+
+/**
+ * GET /api/v1/quotations/:id/pdf/download?token=xxx
+ * Public: the token is the access check. The file is regenerated (same
+ * token) if it is missing or older than 7 days.
+ */
+exports.downloadPdf = asyncHandler(async (req, res) => {
+  const { token } = req.query;
+  if (!token) {
+    throw new AppError('Access token is required', 400, 'TOKEN_REQUIRED');
+  }
+
+  const quotation = await loadForPdf(req.params.id);
+  if (!quotation) {
+    throw new AppError('Quotation not found', 404, 'NOT_FOUND');
+  }
+  if (quotation.pdf_access_token !== token) {
+    throw new AppError('Invalid or expired access token', 403, 'INVALID_TOKEN');
+  }
+
+  const ageDays = quotation.pdf_generated_at
+    ? (Date.now() - new Date(quotation.pdf_generated_at).getTime()) / (1000 * 60 * 60 * 24)
+    : Infinity;
+  let pdfPath = invoicePdfService.getQuotationPdfPath(quotation.quotation_number, token);
+
+  if (!pdfPath || !fs.existsSync(pdfPath) || ageDays > PDF_EXPIRY_DAYS) {
+    try {
+      pdfPath = (await renderPdf(quotation, token)).filePath;
+    } catch (error) {
+      console.error('Quotation PDF regeneration error:', error);
+      throw new AppError('Failed to generate PDF. Please try again.', 500, 'PDF_ERROR');
+    }
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="Quotation-${quotation.quotation_number}.pdf"`);
+  fs.createReadStream(pdfPath).pipe(res);
+});
+
+/**
+ * GET /api/v1/quotations/:id/whatsapp-link
+ * Query: baseUrl (frontend origin for the PDF link)
+ */
+exports.getWhatsAppLink = asyncHandler(async (req, res) => {
+  const quotation = await loadForPdf(req.params.id);
+  if (!quotation) {
+    throw new AppError('Quotation not found', 404, 'NOT_FOUND');
+  }
+  if (!quotation.customer || !quotation.customer.whatsapp_e164) {
+    throw new AppError('Customer does not have a WhatsApp number', 400, 'NO_WHATSAPP');
+  }
+
+  const appBaseUrl = req.query.baseUrl || process.env.APP_URL || 'http://localhost:3000';
+
+  // Reuse a PDF generated in the last 24 hours, otherwise make a fresh one
+  let accessToken = null;
+  let companyProfile = null;
+  if (quotation.pdf_access_token && quotation.pdf_generated_at) {
+    const hoursSinceGenerated = (Date.now() - new Date(quotation.pdf_generated_at).getTime()) / (1000 * 60 * 60);
+    if (hoursSinceGenerated < 24) accessToken = quotation.pdf_access_token;
+  }
+  if (!accessToken) {
+    ({ accessToken, companyProfile } = await renderPdf(quotation));
+  } else {
+    companyProfile = await CompanyProfile.findOne({ where: { is_active: true } });
+  }
+  const pdfUrl = `${appBaseUrl}/api/v1/quotations/${quotation.id}/pdf/download?token=${accessToken}`;
+
+  const customerName = quotation.customer.first_name
+    ? `${quotation.customer.first_name}${quotation.customer.last_name ? ' ' + quotation.customer.last_name : ''}`
+    : quotation.customer.company_name || 'Valued Customer';
+  const companyName = companyProfile?.company_name || 'Our Company';
+
+  const message = [
+    `Hello ${customerName},`,
+    '',
+    `Please find Quotation ${quotation.quotation_number} from ${companyName}.`,
+    '',
+    `Quote Total: ${invoicePdfService.formatCurrency(quotation.total_amount, quotation.currency)}`,
+    `Valid Until: ${invoicePdfService.formatDate(quotation.valid_until)}`,
+    '',
+    `You can view and download the quotation here:`,
+    pdfUrl,
+    '',
+    `Let us know if you'd like to go ahead.`
+  ].join('\n');
+
+  const whatsappNumber = quotation.customer.whatsapp_e164.replace(/^\+/, '');
+
+  res.json({
+    success: true,
+    data: {
+      whatsappLink: `https://wa.me/${whatsappNumber}?text=${encodeURIComponent(message)}`,
+      customerName,
+      whatsappNumber: quotation.customer.whatsapp_e164,
+      message,
+      pdfUrl
+    }
+  });
+});
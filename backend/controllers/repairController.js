@@ -0,0 +1,605 @@
+/**
+ * Repair Controller
+ *
+ * Repair tickets for in-house units and walk-in customer devices.
+ * Status workflow: received → diagnosing → awaiting_parts → repaired → returned
+ */
+
+const { RepairTicket, Asset, AssetUnit, Customer, User, InventoryItemEvent, ActivityLog, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const { isValidCurrency } = require('../utils/currencyUtils');
+const { convertAmount } = require('../services/exchangeRateService');
+const { resolveRepairConditions, applyRepairState } = require('../services/repairStateService');
+
+// Async handler wrapper
+const asyncHandler = handler => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+const OPEN_STATUSES = ['received', 'diagnosing', 'awaiting_parts'];
+
+const STATUS_LABELS = {
+  received: 'Received',
+  diagnosing: 'Diagnosing',
+  awaiting_parts: 'Awaiting Parts',
+  repaired: 'Repaired',
+  returned: 'Returned'
+};
+
+/**
+ * Standard include set for repair ticket queries
+ */
+function ticketIncludes() {
+  return [
+    {
+      model: AssetUnit,
+      as: 'unit',
+      attributes: ['id', 'serial_number', 'imei', 'status', 'repair_state', 'asset_id'],
+      required: false,
+      include: [{
+        model: Asset,
+        as: 'product',
+        attributes: ['id', 'asset_tag', 'make', 'model', 'category', 'asset_type']
+      }]
+    },
+    {
+      model: Customer,
+      as: 'customer',
+      attributes: ['id', 'first_name', 'last_name', 'company_name', 'phone_raw', 'email'],
+      required: false
+    },
+    {
+      model: User,
+      as: 'technician',
+      attributes: ['id', 'full_name'],
+      required: false
+    },
+    {
+      model: User,
+      as: 'completer',
+      attributes: ['id', 'full_name'],
+      required: false
+    },
+    {
+      model: User,
+      as: 'creator',
+      attributes: ['id', 'full_name'],
+      required: false
+    }
+  ];
+}
+
+/**
+ * Validate that a technician user exists and is active
+ */
+async function findTechnician(userId) {
+  const tech = await User.findByPk(userId, { attributes: ['id', 'full_name', 'is_active', 'role'] });
+  if (!tech || !tech.is_active) return null;
+  return tech;
+}
+
+function parseCost(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const num = parseFloat(value);
+  return Number.isFinite(num) && num >= 0 ? num : NaN;
+}
+
+/**
+ * GET /api/v1/repair-tickets
+ * List repair tickets with filters, pagination, and status counts
+ */
+exports.list = asyncHandler(async (req, res) => {
+  const {
+    status, assigned_to, customer_id, asset_unit_id, search,
+    page = 1, limit = 50
+  } = req.query;
+
+  const where = {};
+  if (status) {
+    const statuses = status.split(',').map(s => s.trim()).filter(Boolean);
+    where.status = statuses.length === 1 ? statuses[0] : { [Op.in]: statuses };
+  }
+  if (assigned_to) where.assigned_to = assigned_to;
+  if (customer_id) where.customer_id = customer_id;
+  if (asset_unit_id) where.asset_unit_id = asset_unit_id;
+  if (search) {
+    where[Op.or] = [
+      { ticket_number: { [Op.iLike]: `%${search}%` } },
+      { device_description: { [Op.iLike]: `%${search}%` } },
+      { device_serial: { [Op.iLike]: `%${search}%` } },
+      { '$unit.serial_number$': { [Op.iLike]: `%${search}%` } }
+    ];
+  }
+
+  const offset = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+  const { rows, count } = await RepairTicket.findAndCountAll({
+    where,
+    include: ticketIncludes(),
+    order: [['created_at', 'DESC']],
+    limit: parseInt(limit, 10),
+    offset,
+    distinct: true,
+    subQuery: false
+  });
+
+  const byStatus = await RepairTicket.findAll({
+    attributes: [
+      'status',
+      [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+    ],
+    group: ['status'],
+    raw: true
+  });
+
+  res.json({
+    success: true,
+    data: rows.map(t => ({ ...t.toJSON(), total_cost: t.getTotalCost() })),
+    meta: {
+      total: count,
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      totalPages: Math.ceil(count / parseInt(limit, 10))
+    },
+    summary: {
+      byStatus: byStatus.reduce((acc, row) => {
+        acc[row.status] = parseInt(row.count, 10);
+        return acc;
+      }, {})
+    }
+  });
+});
+
+/**
+ * GET /api/v1/repair-tickets/:id
+ * Get single repair ticket with all associations
+ */
+exports.getById = asyncHandler(async (req, res) => {
+  const ticket = await RepairTicket.findByPk(req.params.id, {
+    include: ticketIncludes()
+  });
+
+  if (!ticket) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Repair ticket not found' }
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { ...ticket.toJSON(), total_cost: ticket.getTotalCost() }
+  });
+});
+
+/**
+ * POST /api/v1/repair-tickets
+ * Open a repair ticket for an in-house unit or a walk-in customer device.
+ *
+ * Body: { asset_unit_id } or { customer_id, device_description, device_serial? },
+ *       plus issue_description, intake_date?, assigned_to?, parts_cost?, labour_cost?, currency?
+ */
+exports.create = asyncHandler(async (req, res) => {
+  const {
+    asset_unit_id, customer_id, device_description, device_serial,
+    issue_description, intake_date, assigned_to, currency = 'GHS'
+  } = req.body;
+  const userId = req.user.id;
+
+  if (!issue_description) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'issue_description is required' }
+    });
+  }
+
+  if (!asset_unit_id && !(customer_id && device_description)) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'Provide asset_unit_id, or customer_id and device_description for a walk-in device' }
+    });
+  }
+
+  if (!isValidCurrency(currency)) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVALID_CURRENCY', message: 'currency must be USD, GHS, or GBP' }
+    });
+  }
+
+  const partsCost = parseCost(req.body.parts_cost);
+  const labourCost = parseCost(req.body.labour_cost);
+  if (Number.isNaN(partsCost) || Number.isNaN(labourCost)) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'parts_cost and labour_cost must be non-negative numbers' }
+    });
+  }
+
+  if (assigned_to && !(await findTechnician(assigned_to))) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVALID_TECHNICIAN', message: 'Assigned technician not found or inactive' }
+    });
+  }
+
+  if (customer_id && !(await Customer.findByPk(customer_id, { attributes: ['id'] }))) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Customer not found' }
+    });
+  }
+
+  const conditions = asset_unit_id ? await resolveRepairConditions() : null;
+
+  const t = await sequelize.transaction();
+  try {
+    let unit = null;
+
+    if (asset_unit_id) {
+      unit = await AssetUnit.findByPk(asset_unit_id, { transaction: t, lock: true });
+      if (!unit) {
+        await t.rollback();
+        return res.status(404).json({
+          success: false,
+          error: { code: 'NOT_FOUND', message: 'Asset unit not found' }
+        });
+      }
+
+      if (['Sold', 'Written Off', 'Scrapped', 'Returned to Supplier'].includes(unit.status)) {
+        await t.rollback();
+        return res.status(409).json({
+          success: false,
+          error: { code: 'UNIT_NOT_IN_STOCK', message: `Unit is ${unit.status}. Open a walk-in ticket for customer-owned devices.` }
+        });
+      }
+
+      const openTicket = await RepairTicket.findOne({
+        where: { asset_unit_id, status: { [Op.in]: OPEN_STATUSES } },
+        transaction: t
+      });
+      if (openTicket) {
+        await t.rollback();
+        return res.status(409).json({
+          success: false,
+          error: { code: 'TICKET_ALREADY_OPEN', message: `Unit already has open repair ticket ${openTicket.ticket_number}` }
+        });
+      }
+    }
+
+    const ticketNumber = await RepairTicket.generateTicketNumber(t);
+
+    const ticket = RepairTicket.build({
+      ticket_number: ticketNumber,
+      intake_date: intake_date || new Date().toISOString().split('T')[0],
+      asset_unit_id: asset_unit_id || null,
+      customer_id: customer_id || null,
+      device_description: device_description || null,
+      device_serial: device_serial || null,
+      issue_description,
+      assigned_to: assigned_to || null,
+      parts_cost: partsCost || 0,
+      labour_cost: labourCost || 0,
+      currency: currency.toUpperCase(),
+      status: 'received',
+      created_by: userId
+    });
+    ticket.addHistory(null, 'received', 'Ticket opened', req.user);
+    await ticket.save({ transaction: t });
+
+    // In-house units move into the repair workflow
+    if (unit) {
+      applyRepairState(unit, 'under_repair', conditions, {
+        note: `Repair ticket ${ticketNumber} opened: ${issue_description}`,
+        userId,
+        userName: req.user.full_name || req.user.username
+      });
+      await unit.save({ transaction: t });
+
+      await InventoryItemEvent.log({
+        inventoryItemId: unit.asset_id,
+        eventType: 'UPDATED',
+        actorUserId: userId,
+        source: 'USER',
+        referenceType: 'repair_ticket',
+        referenceId: ticket.id,
+        summary: `Unit ${unit.serial_number} booked in for repair (${ticketNumber})`,
+        details: {
+          ticketId: ticket.id,
+          ticketNumber,
+          unitId: unit.id,
+          repair_state: 'under_repair'
+        }
+      }, t);
+    }
+
+    await t.commit();
+
+    await ActivityLog.log({
+      actorUserId: userId,
+      actionType: ActivityLog.ACTION_TYPES.REPAIR_TICKET_CREATED,
+      entityType: ActivityLog.ENTITY_TYPES.REPAIR_TICKET,
+      entityId: ticket.id,
+      summary: `Repair ticket ${ticketNumber} opened${unit ? ` for unit ${unit.serial_number}` : ` for ${device_description}`}`,
+      metadata: {
+        ticketNumber,
+        assetUnitId: asset_unit_id || null,
+        customerId: customer_id || null,
+        assignedTo: assigned_to || null
+      }
+    });
+
+    const result = await RepairTicket.findByPk(ticket.id, { include: ticketIncludes() });
+
+    res.status(201).json({
+      success: true,
+      data: { ...result.toJSON(), total_cost: result.getTotalCost() },
+      message: 'Repair ticket created'
+    });
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+});
+
+/**
+ * PATCH /api/v1/repair-tickets/:id
+ * Update ticket details, costs, assignee, or move it through the workflow.
+ *
+ * Body: { status?, note?, assigned_to?, diagnosis?, issue_description?,
+ *         parts_cost?, labour_cost?, device_description?, device_serial? }
+ * Entering 'repaired' is done through POST /:id/complete.
+ */
+exports.update = asyncHandler(async (req, res) => {
+  const ticket = await RepairTicket.findByPk(req.params.id);
+
+  if (!ticket) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Repair ticket not found' }
+    });
+  }
+
+  if (ticket.status === 'returned') {
+    return res.status(409).json({
+      success: false,
+      error: { code: 'TICKET_CLOSED', message: 'Returned tickets cannot be modified' }
+    });
+  }
+
+  const { status, note, assigned_to } = req.body;
+  const changes = {};
+
+  for (const field of ['diagnosis', 'issue_description', 'device_description', 'device_serial']) {
+    if (req.body[field] !== undefined) changes[field] = req.body[field];
+  }
+
+  for (const field of ['parts_cost', 'labour_cost']) {
+    if (req.body[field] === undefined) continue;
+    const value = parseCost(req.body[field]);
+    if (value === null || Number.isNaN(value)) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: `${field} must be a non-negative number` }
+      });
+    }
+    if (ticket.status !== 'repaired' || !ticket.asset_unit_id) {
+      changes[field] = value;
+    } else if (value !== ticket[field]) {
+      // Costs on completed in-house repairs are already capitalised into the unit
+      return res.status(409).json({
+        success: false,
+        error: { code: 'TICKET_COMPLETED', message: 'Costs cannot change after an in-house repair is completed' }
+      });
+    }
+  }
+
+  if (assigned_to !== undefined) {
+    if (assigned_to && !(await findTechnician(assigned_to))) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'INVALID_TECHNICIAN', message: 'Assigned technician not found or inactive' }
+      });
+    }
+    changes.assigned_to = assigned_to || null;
+  }
+
+  const fromStatus = ticket.status;
+  if (status && status !== fromStatus) {
+    if (!ticket.canTransitionTo(status)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'INVALID_TRANSITION',
+          message: status === 'repaired'
+            ? 'Use the complete action to mark a ticket as repaired'
+            : `Cannot move ticket from ${STATUS_LABELS[fromStatus]} to ${STATUS_LABELS[status] || status}`
+        }
+      });
+    }
+    changes.status = status;
+    if (status === 'returned') changes.returned_at = new Date();
+  }
+
+  Object.assign(ticket, changes);
+  if (changes.status) {
+    ticket.addHistory(fromStatus, changes.status, note, req.user);
+  } else if (note) {
+    ticket.addHistory(fromStatus, fromStatus, note, req.user);
+  }
+  await ticket.save();
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.REPAIR_TICKET_UPDATED,
+    entityType: ActivityLog.ENTITY_TYPES.REPAIR_TICKET,
+    entityId: ticket.id,
+    summary: changes.status
+      ? `Repair ticket ${ticket.ticket_number} moved to ${STATUS_LABELS[changes.status]}`
+      : `Repair ticket ${ticket.ticket_number} updated`,
+    metadata: { ticketNumber: ticket.ticket_number, changes: Object.keys(changes), note: note || null }
+  });
+
+  const result = await RepairTicket.findByPk(ticket.id, { include: ticketIncludes() });
+
+  res.json({
+    success: true,
+    data: { ...result.toJSON(), total_cost: result.getTotalCost() },
+    message: 'Repair ticket updated'
+  });
+});
+
+/**
+ * POST /api/v1/repair-tickets/:id/complete
+ * Complete a repair. For in-house units this sets the unit's repair_state
+ * (regular when repaired, salvage_parts when unrepairable), adds the repair
+ * cost to the unit's cost basis, and writes a REPAIR_COMPLETED event.
+ *
+ * Body: { outcome = 'repaired', parts_cost?, labour_cost?, resolution_notes? }
+ */
+exports.complete = asyncHandler(async (req, res) => {
+  const { outcome = 'repaired', resolution_notes } = req.body;
+  const userId = req.user.id;
+
+  if (!RepairTicket.OUTCOMES.includes(outcome)) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: `outcome must be one of: ${RepairTicket.OUTCOMES.join(', ')}` }
+    });
+  }
+
+  const partsCost = parseCost(req.body.parts_cost);
+  const labourCost = parseCost(req.body.labour_cost);
+  if (Number.isNaN(partsCost) || Number.isNaN(labourCost)) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'parts_cost and labour_cost must be non-negative numbers' }
+    });
+  }
+
+  let ticket = await RepairTicket.findByPk(req.params.id);
+  if (!ticket) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Repair ticket not found' }
+    });
+  }
+
+  if (!OPEN_STATUSES.includes(ticket.status)) {
+    return res.status(409).json({
+      success: false,
+      error: { code: 'INVALID_STATUS', message: `Cannot complete a ticket with status ${STATUS_LABELS[ticket.status]}` }
+    });
+  }
+
+  if (partsCost !== null) ticket.parts_cost = partsCost;
+  if (labourCost !== null) ticket.labour_cost = labourCost;
+  let totalCost = ticket.getTotalCost();
+
+  // Resolve currency conversion and conditions before opening the transaction
+  let unitCostCurrency = null;
+  let productCost = 0;
+  let costInUnitCurrency = 0;
+  let costInGhs = 0;
+  let conditions = null;
+  if (ticket.asset_unit_id) {
+    const unitPreview = await AssetUnit.findByPk(ticket.asset_unit_id, {
+      include: [{ model: Asset, as: 'product', attributes: ['id', 'cost_amount', 'cost_currency'] }]
+    });
+    unitCostCurrency = unitPreview?.cost_currency || unitPreview?.product?.cost_currency || 'USD';
+    productCost = parseFloat(unitPreview?.product?.cost_amount) || 0;
+    if (totalCost > 0) {
+      costInUnitCurrency = await convertAmount(totalCost, ticket.currency, unitCostCurrency);
+      costInGhs = await convertAmount(totalCost, ticket.currency, 'GHS');
+    }
+    conditions = await resolveRepairConditions();
+  }
+
+  const t = await sequelize.transaction();
+  try {
+    // Re-read under a lock so two completions cannot both add the repair cost
+    const locked = await RepairTicket.findByPk(ticket.id, { transaction: t, lock: true });
+    if (!OPEN_STATUSES.includes(locked.status)) {
+      await t.rollback();
+      return res.status(409).json({
+        success: false,
+        error: { code: 'INVALID_STATUS', message: `Cannot complete a ticket with status ${STATUS_LABELS[locked.status]}` }
+      });
+    }
+    if (partsCost !== null) locked.parts_cost = partsCost;
+    if (labourCost !== null) locked.labour_cost = labourCost;
+    if (ticket.asset_unit_id && locked.getTotalCost() > 0 &&
+        (locked.currency !== ticket.currency || locked.getTotalCost() !== totalCost)) {
+      // Costs were edited since they were converted above
+      costInUnitCurrency = await convertAmount(locked.getTotalCost(), locked.currency, unitCostCurrency);
+      costInGhs = await convertAmount(locked.getTotalCost(), locked.currency, 'GHS');
+    }
+    ticket = locked;
+    totalCost = ticket.getTotalCost();
+
+    const fromStatus = ticket.status;
+    ticket.outcome = outcome;
+    ticket.resolution_notes = resolution_notes || null;
+    ticket.status = 'repaired';
+    ticket.completed_at = new Date();
+    ticket.completed_by = userId;
+    ticket.addHistory(fromStatus, 'repaired', resolution_notes || `Completed: ${outcome}`, req.user);
+    await ticket.save({ transaction: t });
+
+    let costAdded = null;
+    if (ticket.asset_unit_id) {
+      const unit = await AssetUnit.findByPk(ticket.asset_unit_id, { transaction: t, lock: true });
+
+      applyRepairState(unit, outcome === 'repaired' ? 'regular' : 'salvage_parts', conditions, {
+        note: `Repair ticket ${ticket.ticket_number} completed (${outcome})${resolution_notes ? `: ${resolution_notes}` : ''}`,
+        userId,
+        userName: req.user.full_name || req.user.username
+      });
+
+      // Capitalise repair cost into the unit's cost basis
+      if (totalCost > 0) {
+        const baseCost = unit.cost_amount != null ? unit.cost_amount : productCost;
+        costAdded = parseFloat(costInUnitCurrency.toFixed(2));
+        unit.cost_amount = parseFloat((baseCost + costAdded).toFixed(2));
+        if (!unit.cost_currency) unit.cost_currency = unitCostCurrency;
+        if (unit.landed_cost_ghs != null) {
+          unit.landed_cost_ghs = parseFloat((unit.landed_cost_ghs + costInGhs).toFixed(2));
+        }
+      }
+      await unit.save({ transaction: t });
+
+      await InventoryItemEvent.logRepairCompleted(unit.asset_id, ticket, unit, costAdded, userId, t);
+    }
+
+    await t.commit();
+
+    await ActivityLog.log({
+      actorUserId: userId,
+      actionType: ActivityLog.ACTION_TYPES.REPAIR_TICKET_COMPLETED,
+      entityType: ActivityLog.ENTITY_TYPES.REPAIR_TICKET,
+      entityId: ticket.id,
+      summary: `Repair ticket ${ticket.ticket_number} completed (${outcome}) - ${ticket.currency} ${totalCost}`,
+      metadata: {
+        ticketNumber: ticket.ticket_number,
+        outcome,
+        partsCost: ticket.parts_cost,
+        labourCost: ticket.labour_cost,
+        currency: ticket.currency,
+        assetUnitId: ticket.asset_unit_id,
+        costAddedToUnit: costAdded,
+        unitCostCurrency
+      }
+    });
+
+    const result = await RepairTicket.findByPk(ticket.id, { include: ticketIncludes() });
+
+    res.json({
+      success: true,
+      data: { ...result.toJSON(), total_cost: totalCost },
+      message: 'Repair completed successfully'
+    });
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+});
@@ -3,7 +3,7 @@
  * 
  * Business intelligence reports informed by real SalesBinder data patterns:
  * - Sales trends (daily/weekly/monthly)
- * - Margin analysis per item, category, overall
+ * - Margin analysis per item, category, promotion, overall
  * - Top sellers ranking with velocity
  * - Staff performance comparison
  * - Customer insights (top buyers, new vs returning)
@@ -11,13 +11,32 @@
  * - Revenue forecasting
  */
 
-const { Invoice, InvoiceItem, InvoicePayment, Asset, AssetUnit, Customer, User, ConditionStatus, sequelize } = require('../models');
+const { Invoice, InvoiceItem, InvoicePayment, Asset, AssetUnit, Customer, User, ConditionStatus, Preorder, sequelize } = require('../models');
 const { Op, fn, col, literal, QueryTypes } = require('sequelize');
+const slaService = require('../services/preorderSlaService');
 
 const asyncHandler = handler => (req, res, next) => {
   Promise.resolve(handler(req, res, next)).catch(next);
 };
 
+/**
+ * Product model grouping for invoice line reports (alias a = assets).
+ * Lines group by catalog model — the linked asset's, else the one saved on
+ * the line's description mapping — and fall back to raw strings when neither
+ * exists.
+ */
+const MODEL_JOINS = `
+    LEFT JOIN description_asset_mappings dam ON ii.asset_id IS NULL AND dam.description = ii.description
+    LEFT JOIN product_models pm ON pm.id = COALESCE(a.product_model_id, dam.product_model_id)`;
+const MODEL_GROUP = {
+  make: `COALESCE(pm.make, a.make, SPLIT_PART(ii.description, ' - ', 1), 'Unlinked')`,
+  model: `COALESCE(pm.model, a.model, ii.description, 'Unlinked')`,
+  category: `COALESCE(pm.category, a.category, ii.category, 'Unlinked')`,
+  asset_type: `COALESCE(pm.asset_type, a.asset_type, ii.asset_type, 'Unlinked')`
+};
+const MODEL_SELECT = `pm.id as product_model_id, ${MODEL_GROUP.make} as make, ${MODEL_GROUP.model} as model, ${MODEL_GROUP.category} as category, ${MODEL_GROUP.asset_type} as asset_type`;
+const MODEL_GROUP_BY = `pm.id, ${MODEL_GROUP.make}, ${MODEL_GROUP.model}, ${MODEL_GROUP.category}, ${MODEL_GROUP.asset_type}`;
+
 /**
  * Helper: Parse date range from query params
  */
@@ -199,10 +218,7 @@ exports.topSellers = asyncHandler(async (req, res) => {
 
   const topByQuantity = await sequelize.query(`
     SELECT
-      COALESCE(a.make, SPLIT_PART(ii.description, ' - ', 1), 'Unlinked') as make,
-      COALESCE(a.model, ii.description, 'Unlinked') as model,
-      COALESCE(a.category, ii.category, 'Unlinked') as category,
-      COALESCE(a.asset_type, ii.asset_type, 'Unlinked') as asset_type,
+      ${MODEL_SELECT},
       SUM(ii.quantity) as total_sold,
       SUM(${ADJ_REV}) as total_revenue,
       SUM(${ADJ_PROFIT}) as total_profit,
@@ -213,12 +229,13 @@ exports.topSellers = asyncHandler(async (req, res) => {
     FROM invoice_items ii
     JOIN invoices i ON ii.invoice_id = i.id
     LEFT JOIN assets a ON ii.asset_id = a.id
+    ${MODEL_JOINS}
     WHERE i.invoice_date BETWEEN :startDate AND :endDate
       AND i.status IN ('PAID', 'PARTIALLY_PAID')
       AND i.is_deleted = false
       AND ii.voided_at IS NULL
       AND LOWER(COALESCE(ii.description, '')) != 'discount' AND COALESCE(ii.category, '') != '_discount'
-    GROUP BY COALESCE(a.make, SPLIT_PART(ii.description, ' - ', 1), 'Unlinked'), COALESCE(a.model, ii.description, 'Unlinked'), COALESCE(a.category, ii.category, 'Unlinked'), COALESCE(a.asset_type, ii.asset_type, 'Unlinked')
+    GROUP BY ${MODEL_GROUP_BY}
     ORDER BY total_sold DESC
     LIMIT :limit
   `, {
@@ -229,10 +246,7 @@ exports.topSellers = asyncHandler(async (req, res) => {
   // Top by revenue
   const topByRevenue = await sequelize.query(`
     SELECT
-      COALESCE(a.make, SPLIT_PART(ii.description, ' - ', 1), 'Unlinked') as make,
-      COALESCE(a.model, ii.description, 'Unlinked') as model,
-      COALESCE(a.category, ii.category, 'Unlinked') as category,
-      COALESCE(a.asset_type, ii.asset_type, 'Unlinked') as asset_type,
+      ${MODEL_SELECT},
       SUM(ii.quantity) as total_sold,
       SUM(${ADJ_REV}) as total_revenue,
       SUM(${ADJ_PROFIT}) as total_profit,
@@ -242,12 +256,13 @@ exports.topSellers = asyncHandler(async (req, res) => {
     FROM invoice_items ii
     JOIN invoices i ON ii.invoice_id = i.id
     LEFT JOIN assets a ON ii.asset_id = a.id
+    ${MODEL_JOINS}
     WHERE i.invoice_date BETWEEN :startDate AND :endDate
       AND i.status IN ('PAID', 'PARTIALLY_PAID')
       AND i.is_deleted = false
       AND ii.voided_at IS NULL
       AND LOWER(COALESCE(ii.description, '')) != 'discount' AND COALESCE(ii.category, '') != '_discount'
-    GROUP BY COALESCE(a.make, SPLIT_PART(ii.description, ' - ', 1), 'Unlinked'), COALESCE(a.model, ii.description, 'Unlinked'), COALESCE(a.category, ii.category, 'Unlinked'), COALESCE(a.asset_type, ii.asset_type, 'Unlinked')
+    GROUP BY ${MODEL_GROUP_BY}
     ORDER BY total_revenue DESC
     LIMIT :limit
   `, {
@@ -586,7 +601,8 @@ exports.inventoryAgingReport = asyncHandler(async (req, res) => {
 
 /**
  * GET /api/v1/reports/low-stock
- * Low stock alerts
+ * Low stock alerts. Bulk items with a reorder_point are flagged against it;
+ * everything else uses ?threshold (default 3).
  */
 exports.lowStockReport = asyncHandler(async (req, res) => {
   const threshold = parseInt(req.query.threshold) || 3;
@@ -595,7 +611,7 @@ exports.lowStockReport = asyncHandler(async (req, res) => {
     SELECT 
       a.id, a.asset_tag, a.make, a.model, a.category, a.asset_type,
       a.quantity, a.price_amount, a.cost_amount,
-      a.serial_number,
+      a.serial_number, a.reorder_point, a.reorder_quantity,
       (SELECT COUNT(*) FROM invoice_items ii 
        JOIN invoices i ON ii.invoice_id = i.id 
        WHERE ii.asset_id = a.id 
@@ -605,10 +621,15 @@ exports.lowStockReport = asyncHandler(async (req, res) => {
       AND LOWER(COALESCE(ii.description, '')) != 'discount' AND COALESCE(ii.category, '') != '_discount'
        AND i.invoice_date >= NOW() - INTERVAL '30 days') as sold_last_30_days
     FROM assets a
-    WHERE a.status = 'In Stock'
-      AND a.quantity <= :threshold
-      AND a.quantity > 0
-      AND a.deleted_at IS NULL
+    WHERE a.deleted_at IS NULL
+      AND (
+        -- Bulk stock with a reorder point: flag at or below it, including zero
+        (a.reorder_point IS NOT NULL AND a.is_serialized = false
+          AND a.status != 'Written Off' AND a.quantity <= a.reorder_point)
+        -- Everything else: fall back to the generic threshold
+        OR (a.reorder_point IS NULL AND a.status = 'In Stock'
+          AND a.quantity <= :threshold AND a.quantity > 0)
+      )
     ORDER BY a.quantity ASC, sold_last_30_days DESC
   `, {
     replacements: { threshold },
@@ -626,6 +647,7 @@ exports.lowStockReport = asyncHandler(async (req, res) => {
     JOIN invoice_items ii ON ii.asset_id = a.id
     JOIN invoices i ON ii.invoice_id = i.id
     WHERE a.quantity = 0
+      AND a.reorder_point IS NULL
       AND a.status NOT IN ('Sold', 'Written Off')
       AND a.deleted_at IS NULL
       AND i.status IN ('PAID', 'PARTIALLY_PAID')
@@ -648,7 +670,10 @@ exports.lowStockReport = asyncHandler(async (req, res) => {
         quantity: parseInt(i.quantity),
         price_amount: parseFloat(i.price_amount),
         cost_amount: parseFloat(i.cost_amount),
-        sold_last_30_days: parseInt(i.sold_last_30_days)
+        sold_last_30_days: parseInt(i.sold_last_30_days),
+        reorder_point: i.reorder_point !== null ? parseInt(i.reorder_point) : null,
+        reorder_quantity: i.reorder_quantity !== null ? parseInt(i.reorder_quantity) : null,
+        below_reorder_point: i.reorder_point !== null
       })),
       restock_suggestions: outOfStockFastMovers.map(i => ({
         ...i,
@@ -780,7 +805,7 @@ exports.marginAnalysis = asyncHandler(async (req, res) => {
   // Margin by model
   const marginByModel = await sequelize.query(`
     SELECT
-      COALESCE(a.make, SPLIT_PART(ii.description, ' - ', 1), 'Unlinked') as make, COALESCE(a.model, ii.description, 'Unlinked') as model, COALESCE(a.category, ii.category, 'Unlinked') as category, COALESCE(a.asset_type, ii.asset_type, 'Unlinked') as asset_type,
+      ${MODEL_SELECT},
       SUM(ii.quantity) as total_sold,
       SUM(${M_ADJ_REV}) as total_revenue,
       SUM(ii.line_cost_amount) as total_cost,
@@ -791,12 +816,13 @@ exports.marginAnalysis = asyncHandler(async (req, res) => {
     FROM invoice_items ii
     JOIN invoices i ON ii.invoice_id = i.id
     LEFT JOIN assets a ON ii.asset_id = a.id
+    ${MODEL_JOINS}
     WHERE i.invoice_date BETWEEN :startDate AND :endDate
       AND i.status IN ('PAID', 'PARTIALLY_PAID')
       AND i.is_deleted = false
       AND ii.voided_at IS NULL
       AND LOWER(COALESCE(ii.description, '')) != 'discount' AND COALESCE(ii.category, '') != '_discount'
-    GROUP BY COALESCE(a.make, SPLIT_PART(ii.description, ' - ', 1), 'Unlinked'), COALESCE(a.model, ii.description, 'Unlinked'), COALESCE(a.category, ii.category, 'Unlinked'), COALESCE(a.asset_type, ii.asset_type, 'Unlinked')
+    GROUP BY ${MODEL_GROUP_BY}
     ORDER BY margin_percent DESC
     LIMIT 20
   `, {
@@ -804,6 +830,46 @@ exports.marginAnalysis = asyncHandler(async (req, res) => {
     type: QueryTypes.SELECT
   });
 
+  // Margin by promotion — each promotion is charged with the discount it
+  // allocated to invoice items, against the sales and cost of those units
+  const marginByPromotion = await sequelize.query(`
+    WITH promoted AS (
+      SELECT
+        ip.promotion_id,
+        ip.invoice_id,
+        (alloc->>'amount')::numeric as discount,
+        ii.line_total_amount * (alloc->>'quantity')::numeric / NULLIF(ii.quantity, 0) as gross,
+        ii.line_cost_amount * (alloc->>'quantity')::numeric / NULLIF(ii.quantity, 0) as cost
+      FROM invoice_promotions ip
+      JOIN invoices i ON ip.invoice_id = i.id
+      CROSS JOIN LATERAL jsonb_array_elements(ip.allocations) alloc
+      JOIN invoice_items ii ON ii.id = (alloc->>'invoice_item_id')::uuid
+      WHERE i.invoice_date BETWEEN :startDate AND :endDate
+        AND i.status != 'CANCELLED'
+        AND i.is_deleted = false
+        AND ii.voided_at IS NULL
+    )
+    SELECT
+      p.id as promotion_id, p.code, p.name, p.scope,
+      COUNT(DISTINCT pr.invoice_id) as invoice_count,
+      SUM(pr.discount) as discount_cost,
+      SUM(pr.gross) as gross_sales,
+      SUM(pr.cost) as cost,
+      CASE WHEN SUM(pr.gross) > 0
+        THEN (SUM(pr.gross - pr.cost) / SUM(pr.gross) * 100)
+        ELSE 0 END as margin_before_percent,
+      CASE WHEN SUM(pr.gross - pr.discount) > 0
+        THEN (SUM(pr.gross - pr.discount - pr.cost) / SUM(pr.gross - pr.discount) * 100)
+        ELSE 0 END as margin_percent
+    FROM promoted pr
+    JOIN promotions p ON p.id = pr.promotion_id
+    GROUP BY p.id, p.code, p.name, p.scope
+    ORDER BY discount_cost DESC
+  `, {
+    replacements: { startDate, endDate },
+    type: QueryTypes.SELECT
+  });
+
   const stats = overallMargin[0];
   res.json({
     success: true,
@@ -833,6 +899,22 @@ exports.marginAnalysis = asyncHandler(async (req, res) => {
         total_profit: parseFloat(m.total_profit),
         margin_percent: parseFloat(m.margin_percent)
       })),
+      by_promotion: marginByPromotion.map(p => {
+        const grossSales = parseFloat(p.gross_sales) || 0;
+        const discountCost = parseFloat(p.discount_cost) || 0;
+        const cost = parseFloat(p.cost) || 0;
+        return {
+          ...p,
+          invoice_count: parseInt(p.invoice_count),
+          discount_cost: discountCost,
+          gross_sales: grossSales,
+          revenue: grossSales - discountCost,
+          cost,
+          profit: grossSales - discountCost - cost,
+          margin_before_percent: parseFloat(p.margin_before_percent),
+          margin_percent: parseFloat(p.margin_percent)
+        };
+      }),
       loss_makers: lossMakers.map(l => ({
         ...l,
         total_amount: parseFloat(l.total_amount),
@@ -859,13 +941,84 @@ exports.marginAnalysis = asyncHandler(async (req, res) => {
 
 /**
  * GET /api/v1/reports/preorder-sla
- * Preorder SLA tracking (placeholder for future)
+ * Open preorders at risk or past their SLA, on-time rate of preorders
+ * completed in the period per shipping method, and learned transit times
+ * against the targets (services/preorderSlaService.js)
  */
 exports.preorderSLAReport = asyncHandler(async (req, res) => {
+  const { startDate, endDate } = parseDateRange(req.query);
+  const today = slaService.toDateOnly(new Date());
+  const targets = await slaService.loadTargets();
+  const transit = await slaService.learnTransitDays(targets);
+
+  const open = await Preorder.findAll({
+    where: { status: { [Op.in]: ['Deposit Paid', 'Purchased', 'Shipped', 'Arrived'] } },
+    attributes: [
+      'id', 'tracking_code', 'customer_name', 'item_description', 'status', 'shipping_method',
+      'sla_status', 'sla_stage', 'sla_due_date', 'sla_promised_date', 'estimated_arrival_date'
+    ],
+    order: [['sla_due_date', 'ASC']]
+  });
+
+  const openByStatus = { on_track: 0, at_risk: 0, breached: 0, unchecked: 0 };
+  for (const p of open) {
+    openByStatus[p.sla_status || 'unchecked']++;
+  }
+  const flagged = open
+    .filter(p => p.sla_status === 'at_risk' || p.sla_status === 'breached')
+    .map(p => ({
+      ...p.toJSON(),
+      days_overdue: Math.max(0, slaService.daysBetween(p.sla_due_date, today))
+    }));
+
+  // Completed in the period: on time if ready for pickup by the promised date
+  const completed = await Preorder.findAll({
+    where: {
+      status: 'Completed',
+      updated_at: { [Op.between]: [startDate, endDate] }
+    },
+    attributes: ['id', 'status', 'shipping_method', 'created_at', 'updated_at', 'purchase_date', 'shipped_date', 'actual_arrival_date']
+  });
+
+  const byMethod = {};
+  for (const method of slaService.SHIPPING_METHODS) {
+    const target = slaService.targetFor(targets, method);
+    byMethod[method] = {
+      shipping_method: method,
+      completed: 0,
+      on_time: 0,
+      on_time_rate: null,
+      late_by_stage: Object.fromEntries(slaService.STAGES.map(s => [s.stage, 0])),
+      target_total_days: target.purchase_days + target.dispatch_days + target.transit_days + target.pickup_days,
+      target_transit_days: target.transit_days,
+      transit: transit[method]
+    };
+  }
+
+  for (const p of completed) {
+    const method = slaService.SHIPPING_METHODS.includes(p.shipping_method) ? p.shipping_method : 'other';
+    const { promised_date: promised, stages } = slaService.computeSchedule(p, slaService.targetFor(targets, method), today);
+    const row = byMethod[method];
+    row.completed++;
+    if (stages[stages.length - 1].completed_date <= promised) row.on_time++;
+    for (const stage of stages) {
+      if (stage.state === 'late') row.late_by_stage[stage.stage]++;
+    }
+  }
+  for (const row of Object.values(byMethod)) {
+    row.on_time_rate = row.completed > 0 ? Math.round((row.on_time / row.completed) * 1000) / 10 : null;
+  }
+
   res.json({
     success: true,
     data: {
-      message: 'Preorder SLA report - coming soon'
+      period: { start: startDate, end: endDate },
+      open: {
+        total: open.length,
+        by_sla_status: openByStatus,
+        flagged
+      },
+      by_shipping_method: Object.values(byMethod)
     }
   });
 });
@@ -951,9 +1104,139 @@ exports.myPerformance = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Helper: MoMo statement reconciliation for a period — statement receipts
+ * by match status, receipts with no recorded payment, and MoMo payments
+ * with no statement receipt. Payments only count as unmatched on dates an
+ * imported statement covers. Null when no statement overlaps the period.
+ */
+async function momoStatementSection(startDate, endDate) {
+  const [coverage] = await sequelize.query(`
+    SELECT COUNT(*) AS import_count, MIN(period_from) AS covered_from, MAX(period_to) AS covered_to
+    FROM momo_statement_imports
+    WHERE period_from <= CAST(:endDate AS date) AND period_to >= CAST(:startDate AS date)
+  `, {
+    replacements: { startDate, endDate },
+    type: QueryTypes.SELECT
+  });
+  if (!parseInt(coverage.import_count)) return null;
+
+  const byStatus = await sequelize.query(`
+    SELECT match_status, COUNT(*) AS count, COALESCE(SUM(amount), 0) AS amount
+    FROM momo_statement_lines
+    WHERE transaction_date BETWEEN :startDate AND :endDate
+    GROUP BY match_status
+  `, {
+    replacements: { startDate, endDate },
+    type: QueryTypes.SELECT
+  });
+
+  const unmatchedReceipts = await sequelize.query(`
+    SELECT id, import_id, provider, transaction_id, transaction_date, amount,
+      counterparty_name, counterparty_phone, reference
+    FROM momo_statement_lines
+    WHERE transaction_date BETWEEN :startDate AND :endDate
+      AND match_status = 'unmatched'
+    ORDER BY transaction_date ASC
+    LIMIT 100
+  `, {
+    replacements: { startDate, endDate },
+    type: QueryTypes.SELECT
+  });
+
+  const unmatchedPayments = await sequelize.query(`
+    SELECT
+      p.id,
+      p.payment_date,
+      p.amount,
+      p.comment,
+      i.id AS invoice_id,
+      i.invoice_number,
+      COALESCE(c.first_name || ' ' || c.last_name, c.company_name, 'Walk-in') AS customer_name,
+      u.full_name AS received_by,
+      COUNT(*) OVER () AS total_count,
+      SUM(p.amount) OVER () AS total_amount
+    FROM invoice_payments p
+    JOIN invoices i ON p.invoice_id = i.id
+    LEFT JOIN customers c ON i.customer_id = c.id
+    LEFT JOIN users u ON p.received_by_user_id = u.id
+    WHERE p.payment_date BETWEEN :startDate AND :endDate
+      AND p.payment_method = 'MoMo'
+      AND p.transaction_type = 'PAYMENT'
+      AND p.voided_at IS NULL
+      AND NOT EXISTS (SELECT 1 FROM momo_statement_lines l WHERE l.invoice_payment_id = p.id)
+      AND EXISTS (
+        SELECT 1 FROM momo_statement_imports s
+        WHERE p.payment_date::date BETWEEN s.period_from AND s.period_to
+      )
+    ORDER BY p.payment_date ASC
+    LIMIT 100
+  `, {
+    replacements: { startDate, endDate },
+    type: QueryTypes.SELECT
+  });
+
+  const statuses = {};
+  for (const status of ['matched', 'unmatched', 'ignored']) {
+    const row = byStatus.find(r => r.match_status === status);
+    statuses[status] = {
+      count: row ? parseInt(row.count) || 0 : 0,
+      amount: row ? parseFloat(row.amount) || 0 : 0
+    };
+  }
+
+  return {
+    import_count: parseInt(coverage.import_count) || 0,
+    covered_from: coverage.covered_from,
+    covered_to: coverage.covered_to,
+    receipts: statuses,
+    statement_total: parseFloat((statuses.matched.amount + statuses.unmatched.amount + statuses.ignored.amount).toFixed(2)),
+    unmatched_receipts: unmatchedReceipts.map(line => ({
+      id: line.id,
+      import_id: line.import_id,
+      provider: line.provider,
+      transaction_id: line.transaction_id,
+      transaction_date: line.transaction_date,
+      amount: parseFloat(line.amount) || 0,
+      counterparty_name: line.counterparty_name,
+      counterparty_phone: line.counterparty_phone,
+      reference: line.reference
+    })),
+    unmatched_payments: {
+      count: unmatchedPayments.length ? parseInt(unmatchedPayments[0].total_count) || 0 : 0,
+      amount: unmatchedPayments.length ? parseFloat(unmatchedPayments[0].total_amount) || 0 : 0,
+      payments: unmatchedPayments.map(p => ({
+        id: p.id,
+        payment_date: p.payment_date,
+        amount: parseFloat(p.amount) || 0,
+        comment: p.comment,
+        invoice_id: p.invoice_id,
+        invoice_number: p.invoice_number,
+        customer_name: p.customer_name,
+        received_by: p.received_by
+      }))
+    }
+  };
+}
+
+// Money received: invoice payments, plus preorder payments not yet carried
+// over to an invoice (once carried over they are invoice payments, with the
+// same date and method)
+const RECEIPTS_SQL = `(
+  SELECT payment_date, amount, payment_method::text AS payment_method,
+    transaction_type::text AS transaction_type, voided_at
+  FROM invoice_payments
+  UNION ALL
+  SELECT payment_date, amount, payment_method, transaction_type, voided_at
+  FROM preorder_payments
+  WHERE invoice_payment_id IS NULL
+)`;
+
 /**
  * GET /api/v1/reports/reconciliation
- * Payment reconciliation — all money received during a period, grouped by method
+ * Payment reconciliation — all money received during a period (including
+ * preorder deposits), grouped by method, checked against imported MoMo
+ * statements where there are any
  */
 exports.reconciliation = asyncHandler(async (req, res) => {
   const { startDate, endDate } = parseDateRange(req.query);
@@ -977,7 +1260,7 @@ exports.reconciliation = asyncHandler(async (req, res) => {
     SELECT
       COALESCE(SUM(p.amount), 0) AS total_collected,
       COUNT(*) AS payment_count
-    FROM invoice_payments p
+    FROM ${RECEIPTS_SQL} p
     WHERE p.payment_date BETWEEN :startDate AND :endDate
       AND p.voided_at IS NULL
       AND p.transaction_type = 'PAYMENT'
@@ -1007,7 +1290,7 @@ exports.reconciliation = asyncHandler(async (req, res) => {
       p.payment_method AS method,
       COALESCE(SUM(p.amount), 0) AS amount,
       COUNT(*) AS count
-    FROM invoice_payments p
+    FROM ${RECEIPTS_SQL} p
     WHERE p.payment_date BETWEEN :startDate AND :endDate
       AND p.voided_at IS NULL
       AND p.transaction_type = 'PAYMENT'
@@ -1042,7 +1325,7 @@ exports.reconciliation = asyncHandler(async (req, res) => {
       SUM(CASE WHEN p.payment_method = 'ACH' THEN p.amount ELSE 0 END) AS ach,
       SUM(CASE WHEN p.payment_method = 'Other' THEN p.amount ELSE 0 END) AS other,
       SUM(p.amount) AS total
-    FROM invoice_payments p
+    FROM ${RECEIPTS_SQL} p
     WHERE p.payment_date BETWEEN :startDate AND :endDate
       AND p.voided_at IS NULL
       AND p.transaction_type = 'PAYMENT'
@@ -1117,7 +1400,23 @@ exports.reconciliation = asyncHandler(async (req, res) => {
     type: QueryTypes.SELECT
   });
 
-  // 8. Outstanding invoices
+  // 8. Preorder deposits: taken and refunded in the period, and held now
+  // for preorders not yet invoiced
+  const preorderDeposits = await sequelize.query(`
+    SELECT
+      COALESCE(SUM(CASE WHEN transaction_type = 'PAYMENT' AND payment_date BETWEEN :startDate AND :endDate THEN amount END), 0) AS received,
+      COUNT(CASE WHEN transaction_type = 'PAYMENT' AND payment_date BETWEEN :startDate AND :endDate THEN 1 END) AS received_count,
+      COALESCE(SUM(CASE WHEN transaction_type = 'REFUND' AND payment_date BETWEEN :startDate AND :endDate THEN amount END), 0) AS refunded,
+      COALESCE(SUM(CASE WHEN invoice_payment_id IS NULL THEN
+        CASE WHEN transaction_type = 'REFUND' THEN -amount ELSE amount END END), 0) AS held
+    FROM preorder_payments
+    WHERE voided_at IS NULL
+  `, {
+    replacements: { startDate, endDate },
+    type: QueryTypes.SELECT
+  });
+
+  // 9. Outstanding invoices
   const outstandingInvoices = await sequelize.query(`
     SELECT
       i.id,
@@ -1168,6 +1467,12 @@ exports.reconciliation = asyncHandler(async (req, res) => {
         amount: parseFloat(currentPeriodTotals[0].amount) || 0,
         count: parseInt(currentPeriodTotals[0].count) || 0
       },
+      preorder_deposits: {
+        received: parseFloat(preorderDeposits[0].received) || 0,
+        received_count: parseInt(preorderDeposits[0].received_count) || 0,
+        refunded: parseFloat(preorderDeposits[0].refunded) || 0,
+        held: parseFloat(preorderDeposits[0].held) || 0
+      },
       outstanding_invoices: outstandingInvoices.map(inv => ({
         id: inv.id,
         invoice_number: inv.invoice_number,
@@ -1178,7 +1483,8 @@ exports.reconciliation = asyncHandler(async (req, res) => {
         balance_due: parseFloat(inv.balance_due) || 0,
         days_outstanding: inv.days_outstanding || 0,
         status: inv.status
-      }))
+      })),
+      momo_statement: await momoStatementSection(startDate, endDate)
     }
   });
 });
@@ -17,9 +17,12 @@ const {
   User,
   ActivityLog,
   InventoryItemEvent,
+  StockMovement,
+  InstallmentPlan,
   sequelize
 } = require('../models');
 const { Op } = require('sequelize');
+const ledgerService = require('../services/ledgerService');
 
 /**
  * Async handler wrapper
@@ -92,6 +95,7 @@ async function recalculateInvoiceTotals(invoice, dbTransaction = null) {
   invoice.status = newStatus;
 
   await invoice.save(queryOptions);
+  await InstallmentPlan.syncForInvoice(invoice, dbTransaction);
 }
 
 /**
@@ -405,8 +409,17 @@ exports.finalizeReturn = asyncHandler(async (req, res) => {
         const asset = returnItem.asset;
 
         // Restore on_hand: returned items become available again
-        asset.quantity += returnItem.quantity_returned;
-        await asset.save({ transaction: dbTransaction });
+        if (asset.is_serialized) {
+          asset.quantity += returnItem.quantity_returned;
+          await asset.save({ transaction: dbTransaction });
+        } else {
+          await StockMovement.record(asset, returnItem.quantity_returned, 'return', {
+            referenceType: 'invoice_return',
+            referenceId: invoiceReturn.id,
+            notes: `Returned on invoice ${invoice.invoice_number}`,
+            userId
+          }, dbTransaction);
+        }
 
         // Update computed status
         await asset.updateComputedStatus(dbTransaction);
@@ -419,7 +432,7 @@ exports.finalizeReturn = asyncHandler(async (req, res) => {
 
         // Clear sourcing actuals on returned serialized unit
         if (returnItem.invoiceItem?.asset_unit_id) {
-          const { AssetUnit, SourcingBatch } = require('../models');
+          const { AssetUnit, SourcingBatch, CustomerWarranty } = require('../models');
           const unit = await AssetUnit.findByPk(returnItem.invoiceItem.asset_unit_id, { transaction: dbTransaction });
           if (unit) {
             unit.actual_sell_price_ghs = null;
@@ -432,6 +445,13 @@ exports.finalizeReturn = asyncHandler(async (req, res) => {
             unit.times_returned = (unit.times_returned || 0) + 1;
             await unit.save({ transaction: dbTransaction });
 
+            // A returned unit no longer carries the customer's warranty
+            await CustomerWarranty.voidWhere(
+              { asset_unit_id: unit.id, invoice_item_id: returnItem.invoiceItem.id },
+              `Unit returned (${invoiceReturn.return_type})`,
+              dbTransaction
+            );
+
             if (unit.sourcing_batch_id && SourcingBatch) {
               const batch = await SourcingBatch.findByPk(unit.sourcing_batch_id, { transaction: dbTransaction });
               if (batch) await batch.recomputeTotals(dbTransaction);
@@ -495,6 +515,12 @@ exports.finalizeReturn = asyncHandler(async (req, res) => {
     invoiceReturn.finalized_by_user_id = userId;
     await invoiceReturn.save({ transaction: dbTransaction });
 
+    // Cost of the returned items goes back from COGS into inventory
+    const restockedCost = invoiceReturn.items
+      .filter(returnItem => returnItem.asset)
+      .reduce((sum, returnItem) => sum + (parseFloat(returnItem.invoiceItem?.unit_cost_amount) || 0) * returnItem.quantity_returned, 0);
+    await ledgerService.postReturnRestock(invoiceReturn, restockedCost, { userId, invoiceNumber: invoice.invoice_number }, dbTransaction);
+
     // 5. Check if all items are now fully returned
     const allItems = await InvoiceItem.findAll({
       where: { invoice_id: invoice.id },
@@ -4,26 +4,61 @@
  * CRUD operations for phone sourcing batches.
  */
 
-const { SourcingBatch, AssetUnit, Asset, User, WarrantyClaim, sequelize } = require('../models');
+const { SourcingBatch, Supplier, AssetUnit, Asset, User, WarrantyClaim, sequelize } = require('../models');
 const { Op, QueryTypes } = require('sequelize');
 const ExcelJS = require('exceljs');
 const XLSX = require('xlsx');
 const path = require('path');
+const { colorTier, isEsimOnly, batteryFlag, projectedMargin, buyDecision } = require('../utils/sourcingUnitFields');
 
 const asyncHandler = handler => (req, res, next) => {
   Promise.resolve(handler(req, res, next)).catch(next);
 };
 
+/**
+ * Point batch data at a supplier record — by supplier_id, or resolved from a
+ * free-text supplier_name — and, for new batches, copy the supplier's
+ * default warranty terms.
+ * Sends the error response and returns null when the supplier is invalid.
+ */
+async function applySupplier(data, req, res, { withDefaults = true } = {}) {
+  const supplier = await Supplier.resolve({
+    supplierId: data.supplier_id,
+    supplierName: data.supplier_name,
+    supplierType: data.supplier_type,
+    userId: req.user.id
+  });
+
+  if (!supplier) {
+    res.status(400).json({
+      success: false,
+      error: data.supplier_id
+        ? { code: 'INVALID_SUPPLIER', message: 'Supplier not found' }
+        : { code: 'VALIDATION_ERROR', message: 'supplier_id or supplier_name is required' }
+    });
+    return null;
+  }
+
+  if (withDefaults) {
+    supplier.applyDefaults(data);
+  } else {
+    data.supplier_id = supplier.id;
+    data.supplier_name = supplier.name;
+  }
+  return supplier;
+}
+
 /**
  * GET /api/v1/sourcing
  * List sourcing batches with pagination and filters.
  */
 exports.list = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 25, status, supplier_name } = req.query;
+  const { page = 1, limit = 25, status, supplier_id, supplier_name } = req.query;
   const offset = (Math.max(1, +page) - 1) * +limit;
 
   const where = {};
   if (status) where.status = status;
+  if (supplier_id) where.supplier_id = supplier_id;
   if (supplier_name) where.supplier_name = { [Op.iLike]: `%${supplier_name}%` };
 
   const { rows: batches, count: total } = await SourcingBatch.findAndCountAll({
@@ -63,6 +98,7 @@ exports.list = asyncHandler(async (req, res) => {
  */
 exports.create = asyncHandler(async (req, res) => {
   const data = { ...req.body, created_by: req.user.id };
+  if (!(await applySupplier(data, req, res))) return;
 
   // Auto-compute warranty expiry
   if (data.arrival_date && data.warranty_days) {
@@ -86,6 +122,11 @@ exports.create = asyncHandler(async (req, res) => {
 exports.detail = asyncHandler(async (req, res) => {
   const batch = await SourcingBatch.findByPk(req.params.id, {
     include: [
+      {
+        model: Supplier,
+        as: 'supplier',
+        attributes: ['id', 'name', 'supplier_type', 'default_currency', 'payment_terms_days']
+      },
       {
         model: AssetUnit,
         as: 'units',
@@ -123,6 +164,11 @@ exports.update = asyncHandler(async (req, res) => {
 
   const updates = { ...req.body };
 
+  // Changing the supplier re-points the batch; the name follows the record
+  if (updates.supplier_id !== undefined || updates.supplier_name !== undefined) {
+    if (!(await applySupplier(updates, req, res, { withDefaults: false }))) return;
+  }
+
   // Auto-compute warranty expiry when arrival_date is being set
   if (updates.arrival_date) {
     const warrantyDays = updates.warranty_days || batch.warranty_days;
@@ -133,8 +179,14 @@ exports.update = asyncHandler(async (req, res) => {
     }
   }
 
+  const supplierChanged = updates.supplier_id !== undefined && updates.supplier_id !== batch.supplier_id;
   await batch.update(updates);
 
+  // Claims are reported under the batch's supplier
+  if (supplierChanged) {
+    await WarrantyClaim.update({ supplier_id: batch.supplier_id }, { where: { sourcing_batch_id: batch.id } });
+  }
+
   return res.json({ success: true, data: batch });
 });
 
@@ -303,10 +355,10 @@ exports.importBatch = asyncHandler(async (req, res) => {
       if (!batch) { await dbTransaction.rollback(); return res.status(404).json({ success: false, error: { code: 'BATCH_NOT_FOUND', message: 'Sourcing batch not found' } }); }
     } else {
       // Create new batch
+      const supplier = await Supplier.resolveName(supplier_name || 'Unknown', { supplierType: supplier_type, userId: req.user.id }, dbTransaction);
       const totalCostUsd = rows.reduce((s, r) => s + (parseFloat(r['Unit Price'] || r['unit_price_usd'] || r['cost_usd'] || 0)), 0);
-      batch = await SourcingBatch.create({
+      batch = await SourcingBatch.create(supplier.applyDefaults({
         batch_reference: batch_reference || `IMPORT-${Date.now()}`,
-        supplier_name: supplier_name || 'Unknown',
         supplier_type,
         order_date: order_date || new Date().toISOString().slice(0, 10),
         total_units: rows.length,
@@ -317,17 +369,9 @@ exports.importBatch = asyncHandler(async (req, res) => {
         handling_per_unit_ghs: parseFloat(handling_per_unit_ghs) || 0,
         status: 'ordered',
         created_by: req.user.id,
-      }, { transaction: dbTransaction });
+      }), { transaction: dbTransaction });
     }
 
-    // Color tier map
-    const colorTierMap = {
-      black: 1, graphite: 1, 'space black': 1, 'space gray': 1, midnight: 1,
-      silver: 2, gold: 2, starlight: 2, white: 2, 'natural titanium': 2, 'white titanium': 2,
-      blue: 3, 'sierra blue': 3, 'pacific blue': 3, 'blue titanium': 3, purple: 3, 'deep purple': 3,
-      green: 4, pink: 4, red: 4, yellow: 4, orange: 4, coral: 4,
-    };
-
     const units = [];
     const errors = [];
 
@@ -345,7 +389,7 @@ exports.importBatch = asyncHandler(async (req, res) => {
       const costUsd = parseFloat(row['Unit Price'] || row['unit_price_usd'] || row['cost_usd'] || 0);
       const supplierSku = row['SKU'] || row['supplier_sku'] || '';
       const supplierGrade = row['supplier_grade'] || row['Grade'] || row['grade'] || '';
-      const buyDecision = row['buy_decision'] || '';
+      const rowBuyDecision = row['buy_decision'] || '';
       const projectedSell = parseFloat(row['projected_sell_ghs'] || row['projected_sell_price_ghs'] || 0);
 
       // ecoATM Description parsing: "iPhone 13 Pro 1TB (Unlocked).1TB.Graphite.GradeB"
@@ -363,38 +407,14 @@ exports.importBatch = asyncHandler(async (req, res) => {
       if (!parsedModel && !desc) { errors.push({ row: rowNum, error: 'No model or description' }); continue; }
       if (imei && imei.length !== 15) { errors.push({ row: rowNum, error: `IMEI "${imei}" is not 15 digits` }); continue; }
 
-      // Auto-detect eSIM
-      const esimOnly = /iPhone\s*(14|15|16)/i.test(parsedModel || desc);
-
-      // Color tier
-      const colorLower = (parsedColor || '').toLowerCase().trim();
-      const colorTier = colorTierMap[colorLower] || null;
-
       // Landed cost
       const landedCost = batch.computeLandedCost(costUsd);
 
-      // Projected margin
-      let projectedMargin = null;
-      if (projectedSell > 0 && landedCost > 0) {
-        projectedMargin = Math.round(((projectedSell - landedCost) / projectedSell) * 10000) / 100;
-      }
-
-      // Auto buy decision
-      let autoBuyDecision = buyDecision;
-      if (!autoBuyDecision && projectedMargin != null) {
-        if (projectedMargin >= 30) autoBuyDecision = 'STRONG_BUY';
-        else if (projectedMargin >= 20) autoBuyDecision = 'BUY';
-        else if (projectedMargin >= 15) autoBuyDecision = 'NEGOTIATE';
-        else autoBuyDecision = 'NO_BUY';
-      }
+      // Projected margin and auto buy decision
+      const margin = projectedMargin(projectedSell, landedCost);
+      const autoBuyDecision = rowBuyDecision || buyDecision(margin);
 
-      // Battery flag
       const bhInt = bh != null ? parseInt(bh) : null;
-      let batteryFlag = null;
-      if (bhInt != null) {
-        if (bhInt < 80) batteryFlag = 'SERVICE_WARNING';
-        else if (bhInt < 85) batteryFlag = 'LOW';
-      }
 
       // Find or create the Asset (product)
       const assetName = `${parsedModel} ${parsedStorage ? parsedStorage + 'GB' : ''}`.trim();
@@ -416,16 +436,16 @@ exports.importBatch = asyncHandler(async (req, res) => {
         price_amount: projectedSell || 0,
         storage: parsedStorage || null,
         phone_color: parsedColor || null,
-        color_tier: colorTier,
+        color_tier: colorTier(parsedColor),
         supplier_sku: supplierSku || null,
         supplier_grade: parsedGrade || null,
-        esim_only: esimOnly,
+        esim_only: isEsimOnly(parsedModel || desc),
         battery_health_percent: bhInt,
-        battery_flag: batteryFlag,
+        battery_flag: batteryFlag(bhInt),
         sourcing_batch_id: batch.id,
         landed_cost_ghs: landedCost,
         projected_sell_price_ghs: projectedSell || null,
-        projected_margin_percent: projectedMargin,
+        projected_margin_percent: margin,
         buy_decision: autoBuyDecision || null,
         status: 'Available',
         purchase_date: batch.order_date,
@@ -4,7 +4,7 @@
  * Manage warranty claims for sourcing batches.
  */
 
-const { SourcingBatch, AssetUnit, WarrantyClaim, sequelize } = require('../models');
+const { SourcingBatch, Supplier, AssetUnit, WarrantyClaim, sequelize } = require('../models');
 const { Op } = require('sequelize');
 
 const asyncHandler = handler => (req, res, next) => {
@@ -16,11 +16,12 @@ const asyncHandler = handler => (req, res, next) => {
  * List warranty claims with pagination and filters.
  */
 exports.listClaims = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 25, sourcing_batch_id, status } = req.query;
+  const { page = 1, limit = 25, sourcing_batch_id, supplier_id, status } = req.query;
   const offset = (Math.max(1, +page) - 1) * +limit;
 
   const where = {};
   if (sourcing_batch_id) where.sourcing_batch_id = sourcing_batch_id;
+  if (supplier_id) where.supplier_id = supplier_id;
   if (status) where.status = status;
 
   const { rows: claims, count: total } = await WarrantyClaim.findAndCountAll({
@@ -35,6 +36,11 @@ exports.listClaims = asyncHandler(async (req, res) => {
         model: SourcingBatch,
         as: 'batch',
         attributes: ['id', 'batch_reference', 'supplier_name']
+      },
+      {
+        model: Supplier,
+        as: 'supplier',
+        attributes: ['id', 'name']
       }
     ],
     order: [['created_at', 'DESC']],
@@ -93,6 +99,7 @@ exports.createClaim = asyncHandler(async (req, res) => {
 
   const claim = await WarrantyClaim.create({
     ...req.body,
+    supplier_id: batch.supplier_id,
     created_by: req.user.id
   });
 
@@ -4,8 +4,9 @@
  * CRUD + workflow operations for physical inventory counting sessions.
  */
 
-const { StockTake, StockTakeItem, StockTakeScan, StockTakeBatch, StockTakeUnitNote, Asset, AssetUnit, User, InventoryItemEvent, ActivityLog, sequelize } = require('../models');
+const { StockTake, StockTakeItem, StockTakeScan, StockTakeBatch, StockTakeUnitNote, Asset, AssetUnit, User, InventoryItemEvent, ActivityLog, StockMovement, Location, LocationStock, sequelize } = require('../models');
 const { Op } = require('sequelize');
+const { resolveScanCode } = require('../services/scanLookupService');
 
 const asyncHandler = handler => (req, res, next) => {
   Promise.resolve(handler(req, res, next)).catch(next);
@@ -15,6 +16,12 @@ const asyncHandler = handler => (req, res, next) => {
 // Helpers
 // ---------------------------------------------------------------------------
 
+// Location id a location-scoped stock take counts, or null
+function locationScopeId(stockTake) {
+  if (stockTake.scope !== 'location' || !stockTake.scope_filter) return null;
+  return parseInt(stockTake.scope_filter.location_id, 10) || null;
+}
+
 async function computeSummary(stockTakeId) {
   const items = await StockTakeItem.findAll({
     where: { stock_take_id: stockTakeId },
@@ -221,8 +228,24 @@ exports.start = asyncHandler(async (req, res) => {
   if (stockTake.scope === 'category' && stockTake.scope_filter) {
     if (stockTake.scope_filter.category) assetWhere.category = stockTake.scope_filter.category;
     if (stockTake.scope_filter.asset_type) assetWhere.asset_type = stockTake.scope_filter.asset_type;
-  } else if (stockTake.scope === 'location' && stockTake.scope_filter) {
-    if (stockTake.scope_filter.location) assetWhere.location = stockTake.scope_filter.location;
+  }
+
+  // Location scope counts what should be on hand at one location
+  const locationId = locationScopeId(stockTake);
+  if (stockTake.scope === 'location') {
+    if (!locationId || !(await Location.findByPk(locationId))) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'INVALID_LOCATION', message: 'Location scope requires a valid scope_filter.location_id' }
+      });
+    }
+    assetWhere.id = { [Op.in]: sequelize.literal(`(
+      SELECT au.asset_id FROM asset_units au
+       WHERE au.location_id = ${locationId} AND au.status NOT IN ('Sold', 'Written Off')
+      UNION
+      SELECT ls.asset_id FROM location_stocks ls
+       WHERE ls.location_id = ${locationId} AND ls.quantity > 0
+    )`) };
   }
 
   const assets = await Asset.findAll({
@@ -247,6 +270,7 @@ exports.start = asyncHandler(async (req, res) => {
       `SELECT au.asset_id, COUNT(*) AS cnt
          FROM asset_units au
         WHERE au.asset_id IN (:ids) AND au.status NOT IN ('Sold', 'Written Off')
+          ${locationId ? 'AND au.location_id = :locationId' : ''}
           AND au.id NOT IN (
             SELECT ii.asset_unit_id FROM invoice_items ii
             JOIN invoices i ON i.id = ii.invoice_id
@@ -256,7 +280,7 @@ exports.start = asyncHandler(async (req, res) => {
               AND COALESCE(i.fulfillment_type, 'delivered') = 'delivered'
           )
         GROUP BY au.asset_id`,
-      { replacements: { ids: serializedIds } }
+      { replacements: { ids: serializedIds, locationId } }
     );
     rows.forEach(r => { unitCountMap[r.asset_id] = parseInt(r.cnt, 10); });
   }
@@ -264,9 +288,18 @@ exports.start = asyncHandler(async (req, res) => {
   // For non-serialized assets, quantity now reflects physical on-shelf count
   // (decremented on addItem, restored on removeItem/cancel/void)
   // For held (layaway) invoices, quantity was NOT decremented, so add back held items
+  // A location-scoped take expects that location's balance instead; held
+  // items are not tied to a location.
   const nonSerializedIds = assets.filter(a => !a.is_serialized).map(a => a.id);
   let heldMap = {};
-  if (nonSerializedIds.length > 0) {
+  let locationQtyMap = {};
+  if (locationId && nonSerializedIds.length > 0) {
+    const rows = await LocationStock.findAll({
+      where: { asset_id: { [Op.in]: nonSerializedIds }, location_id: locationId },
+      attributes: ['asset_id', 'quantity']
+    });
+    rows.forEach(r => { locationQtyMap[r.asset_id] = r.quantity; });
+  } else if (nonSerializedIds.length > 0) {
     const [rows] = await sequelize.query(
       `SELECT ii.asset_id, COALESCE(SUM(ii.quantity), 0) AS held
          FROM invoice_items ii
@@ -292,7 +325,9 @@ exports.start = asyncHandler(async (req, res) => {
       count_method: a.is_serialized ? 'serial' : 'quantity',
       expected_quantity: a.is_serialized
         ? (unitCountMap[a.id] || 0)
-        : (a.quantity || 0) + (heldMap[a.id] || 0),
+        : locationId
+          ? (locationQtyMap[a.id] || 0)
+          : (a.quantity || 0) + (heldMap[a.id] || 0),
       status: 'pending'
     }));
 
@@ -745,6 +780,8 @@ exports.finalize = asyncHandler(async (req, res) => {
 
   // Note: unresolved variances are allowed — they will be skipped during adjustment
 
+  const locationId = locationScopeId(stockTake);
+
   // Apply adjustments in a transaction
   const transaction = await sequelize.transaction();
   try {
@@ -767,11 +804,22 @@ exports.finalize = asyncHandler(async (req, res) => {
       // But qty field must also exclude dispatched items on open delivered invoices
       // Since addItem decrements qty, counted_quantity IS the correct qty value
       // (dispatched items were already subtracted from qty when added to invoice)
+      // A location-scoped count only corrects that location's balance
       if (!item.asset.is_serialized) {
-        item.asset.quantity = item.counted_quantity;
+        const current = locationId
+          ? await LocationStock.quantityAt(item.asset.id, locationId, transaction)
+          : (item.asset.quantity || 0);
+        await StockMovement.record(item.asset, item.counted_quantity - current, 'count_correction', {
+          referenceType: 'stock_take',
+          referenceId: stockTake.id,
+          notes: `Stock take ${stockTake.reference}: ${item.resolution}`,
+          userId: req.user?.id,
+          locationId
+        }, transaction);
+      } else {
+        // For serialized: don't change quantity field (derived from units)
+        await item.asset.save({ transaction });
       }
-      // For serialized: don't change quantity field (derived from units)
-      await item.asset.save({ transaction });
       await item.asset.updateComputedStatus(transaction);
 
       item.status = 'adjusted';
@@ -965,7 +1013,8 @@ exports.export = asyncHandler(async (req, res) => {
 
 /**
  * GET /:id/lookup?code=XXXXX
- * Lookup by serial_number or asset_tag (for scanner).
+ * Lookup by serial number, asset tag, unit barcode or IMEI (for scanner).
+ * See scanLookupService.resolveScanCode.
  */
 exports.lookup = asyncHandler(async (req, res) => {
   const { code } = req.query;
@@ -984,37 +1033,7 @@ exports.lookup = asyncHandler(async (req, res) => {
     });
   }
 
-  // First try asset by serial_number or asset_tag (case-insensitive)
-  const codeUpper = code.toUpperCase();
-  let asset = await Asset.findOne({
-    where: {
-      [Op.or]: [
-        sequelize.where(sequelize.fn('UPPER', sequelize.col('serial_number')), codeUpper),
-        sequelize.where(sequelize.fn('UPPER', sequelize.col('asset_tag')), codeUpper)
-      ],
-      deleted_at: null
-    }
-  });
-
-  let unit = null;
-
-  // If not found at asset level, search asset_units by serial_number (case-insensitive)
-  if (!asset) {
-    unit = await AssetUnit.findOne({
-      where: sequelize.where(sequelize.fn('UPPER', sequelize.col('serial_number')), codeUpper),
-      include: [{ model: Asset, as: 'product', where: { deleted_at: null } }]
-    });
-    if (unit) asset = unit.product;
-  }
-
-  // Fallback: search asset_units by barcode (SalesBinder SKU)
-  if (!asset) {
-    unit = await AssetUnit.findOne({
-      where: sequelize.where(sequelize.fn('UPPER', sequelize.col('barcode')), codeUpper),
-      include: [{ model: Asset, as: 'product', where: { deleted_at: null } }]
-    });
-    if (unit) asset = unit.product;
-  }
+  const { asset, unit } = await resolveScanCode(code);
 
   if (!asset) {
     return res.status(404).json({
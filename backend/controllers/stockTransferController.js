@@ -0,0 +1,777 @@
+/**
+ * Stock Transfer Controller
+ *
+ * Moves units and bulk quantities between locations.
+ * Status workflow: draft → in_transit → received (or cancelled)
+ *
+ * - Draft: lines are added by scanning a serial/barcode (units) or asset tag
+ *   (bulk), or by id. Nothing moves yet.
+ * - Dispatch: stock leaves the source location (Available units become
+ *   In Transit with no location, bulk is taken out of the source's
+ *   LocationStock). Stock on the road cannot be sold anywhere.
+ * - Receive: each scan at the destination books that unit or quantity in;
+ *   the transfer completes itself once every line is received.
+ * - Cancel: drafts are simply closed; in-transit stock not yet received
+ *   goes back to the source location.
+ */
+
+const { StockTransfer, StockTransferItem, Location, Asset, AssetUnit, LocationStock, InventoryItemEvent, ActivityLog, User, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+// Units that have left the business cannot be transferred
+const IMMOVABLE_UNIT_STATUSES = ['Sold', 'Written Off', 'Returned to Supplier'];
+
+/**
+ * Standard include set for transfer queries
+ */
+function transferIncludes() {
+  return [
+    { model: Location, as: 'fromLocation', attributes: ['id', 'code', 'name', 'location_type'] },
+    { model: Location, as: 'toLocation', attributes: ['id', 'code', 'name', 'location_type'] },
+    { model: User, as: 'creator', attributes: ['id', 'full_name'] },
+    { model: User, as: 'dispatcher', attributes: ['id', 'full_name'] },
+    { model: User, as: 'receiver', attributes: ['id', 'full_name'] },
+    {
+      model: StockTransferItem,
+      as: 'items',
+      include: [
+        { model: Asset, as: 'asset', attributes: ['id', 'asset_tag', 'make', 'model', 'category', 'is_serialized'] },
+        { model: AssetUnit, as: 'unit', attributes: ['id', 'serial_number', 'barcode', 'imei', 'status', 'location_id'] }
+      ]
+    }
+  ];
+}
+
+async function loadTransfer(id, transaction = null) {
+  // Row lock serializes concurrent scans and workflow actions on one transfer
+  const transfer = await StockTransfer.findByPk(id, transaction ? { transaction, lock: true } : {});
+  if (!transfer) {
+    throw new AppError('Stock transfer not found', 404, 'NOT_FOUND');
+  }
+  const options = transaction ? { transaction } : {};
+  transfer.fromLocation = await Location.findByPk(transfer.from_location_id, { attributes: ['id', 'code', 'name'], ...options });
+  transfer.toLocation = await Location.findByPk(transfer.to_location_id, { attributes: ['id', 'code', 'name'], ...options });
+  return transfer;
+}
+
+function requireStatus(transfer, status, action) {
+  if (transfer.status !== status) {
+    throw new AppError(
+      `Cannot ${action} a transfer that is ${transfer.getStatusLabel()}`,
+      409,
+      'INVALID_STATUS'
+    );
+  }
+}
+
+async function fetchTransfer(id) {
+  const transfer = await StockTransfer.findByPk(id, {
+    include: transferIncludes(),
+    order: [[{ model: StockTransferItem, as: 'items' }, 'id', 'ASC']]
+  });
+  return serializeTransfer(transfer);
+}
+
+function serializeTransfer(transfer) {
+  const data = transfer.toJSON();
+  const items = transfer.items || [];
+  data.status_label = transfer.getStatusLabel();
+  data.totals = {
+    lines: items.length,
+    quantity: items.reduce((sum, item) => sum + item.quantity, 0),
+    received_quantity: items.reduce((sum, item) => sum + (item.received_quantity || 0), 0)
+  };
+  return data;
+}
+
+/**
+ * Find a unit by serial number, barcode or IMEI (case-insensitive)
+ */
+async function findUnitByCode(code, transaction = null) {
+  const upper = code.toUpperCase();
+  return AssetUnit.findOne({
+    where: {
+      [Op.or]: [
+        sequelize.where(sequelize.fn('UPPER', sequelize.col('AssetUnit.serial_number')), upper),
+        sequelize.where(sequelize.fn('UPPER', sequelize.col('AssetUnit.barcode')), upper),
+        sequelize.where(sequelize.fn('UPPER', sequelize.col('AssetUnit.imei')), upper)
+      ]
+    },
+    include: [{ model: Asset, as: 'product', where: { deleted_at: null } }],
+    ...(transaction ? { transaction } : {})
+  });
+}
+
+async function findBulkAssetByTag(code, transaction = null) {
+  return Asset.findOne({
+    where: {
+      [Op.and]: [sequelize.where(sequelize.fn('UPPER', sequelize.col('asset_tag')), code.toUpperCase())],
+      deleted_at: null
+    },
+    ...(transaction ? { transaction } : {})
+  });
+}
+
+function parseQuantity(value, fallback = 1) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const quantity = parseInt(value, 10);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new AppError('quantity must be a positive whole number', 400, 'VALIDATION_ERROR');
+  }
+  return quantity;
+}
+
+/**
+ * Add a unit or bulk quantity to a draft transfer.
+ * Input: { code, quantity? } (scan) or { asset_unit_id } or { asset_id, quantity }
+ * @returns {StockTransferItem}
+ */
+async function addLine(transfer, input, transaction) {
+  let unit = null;
+  let asset = null;
+
+  if (input.asset_unit_id) {
+    unit = await AssetUnit.findByPk(input.asset_unit_id, { transaction });
+    if (!unit) throw new AppError('Asset unit not found', 404, 'NOT_FOUND');
+  } else if (input.asset_id) {
+    asset = await Asset.findOne({ where: { id: input.asset_id, deleted_at: null }, transaction });
+    if (!asset) throw new AppError('Asset not found', 404, 'NOT_FOUND');
+  } else if (input.code && String(input.code).trim()) {
+    const code = String(input.code).trim();
+    unit = await findUnitByCode(code, transaction);
+    if (!unit) asset = await findBulkAssetByTag(code, transaction);
+    if (!unit && !asset) {
+      throw new AppError(`No unit or item found for ${code}`, 404, 'CODE_NOT_FOUND');
+    }
+  } else {
+    throw new AppError('Provide code, asset_unit_id, or asset_id with quantity', 400, 'VALIDATION_ERROR');
+  }
+
+  if (unit) {
+    if (IMMOVABLE_UNIT_STATUSES.includes(unit.status)) {
+      throw new AppError(`Unit ${unit.serial_number} is ${unit.status} and cannot be transferred`, 409, 'UNIT_NOT_IN_STOCK');
+    }
+    if (unit.location_id !== transfer.from_location_id) {
+      throw new AppError(`Unit ${unit.serial_number} is not at ${transfer.fromLocation.name}`, 409, 'WRONG_LOCATION');
+    }
+
+    const openLine = await StockTransferItem.findOne({
+      where: { asset_unit_id: unit.id },
+      include: [{
+        model: StockTransfer,
+        as: 'transfer',
+        where: { status: { [Op.in]: StockTransfer.OPEN_STATUSES } },
+        attributes: ['id', 'transfer_number']
+      }],
+      transaction
+    });
+    if (openLine) {
+      throw new AppError(
+        `Unit ${unit.serial_number} is already on transfer ${openLine.transfer.transfer_number}`,
+        409,
+        'ALREADY_ON_TRANSFER'
+      );
+    }
+
+    return StockTransferItem.create({
+      transfer_id: transfer.id,
+      asset_id: unit.asset_id,
+      asset_unit_id: unit.id,
+      quantity: 1
+    }, { transaction });
+  }
+
+  if (asset.is_serialized) {
+    throw new AppError(`${asset.asset_tag} is serialized — scan the unit serial numbers instead`, 400, 'SERIALIZED_ASSET');
+  }
+
+  const quantity = parseQuantity(input.quantity);
+  const existing = await StockTransferItem.findOne({
+    where: { transfer_id: transfer.id, asset_id: asset.id, asset_unit_id: null },
+    transaction
+  });
+  const requested = quantity + (existing ? existing.quantity : 0);
+  const onHand = await LocationStock.quantityAt(asset.id, transfer.from_location_id, transaction);
+  if (requested > onHand) {
+    throw new AppError(
+      `Only ${onHand} of ${asset.asset_tag} on hand at ${transfer.fromLocation.name}`,
+      409,
+      'INSUFFICIENT_STOCK'
+    );
+  }
+
+  if (existing) {
+    existing.quantity = requested;
+    await existing.save({ transaction });
+    return existing;
+  }
+
+  return StockTransferItem.create({
+    transfer_id: transfer.id,
+    asset_id: asset.id,
+    asset_unit_id: null,
+    quantity
+  }, { transaction });
+}
+
+/**
+ * Put a unit that was on the road at a location; an In Transit unit is for
+ * sale again there
+ */
+async function placeUnit(unitId, locationId, transaction) {
+  await AssetUnit.update({ location_id: locationId }, { where: { id: unitId }, transaction });
+  await AssetUnit.update({ status: 'Available' }, { where: { id: unitId, status: 'In Transit' }, transaction });
+}
+
+/**
+ * Book a received quantity against a line: units get the destination
+ * location, bulk quantity is added to the destination's stock.
+ */
+async function receiveLine(transfer, item, quantity, userId, transaction) {
+  const accepted = item.receive(quantity, userId);
+  if (accepted === 0) return 0;
+  await item.save({ transaction });
+
+  if (item.asset_unit_id) {
+    await placeUnit(item.asset_unit_id, transfer.to_location_id, transaction);
+  } else {
+    await LocationStock.adjust(item.asset_id, accepted, { locationId: transfer.to_location_id }, transaction);
+  }
+
+  return accepted;
+}
+
+function describeLine(item, quantity) {
+  return item.unit ? `Unit ${item.unit.serial_number}` : `${quantity} unit(s)`;
+}
+
+/**
+ * GET /api/v1/stock-transfers
+ * List transfers. Query: status, location_id (either end), search, page, limit
+ */
+exports.list = asyncHandler(async (req, res) => {
+  const { status, location_id, search, page = 1, limit = 20 } = req.query;
+
+  const where = {};
+  if (status) {
+    const statuses = status.split(',').map(s => s.trim()).filter(Boolean);
+    where.status = statuses.length === 1 ? statuses[0] : { [Op.in]: statuses };
+  }
+  if (location_id) {
+    where[Op.or] = [{ from_location_id: location_id }, { to_location_id: location_id }];
+  }
+  if (search) {
+    where.transfer_number = { [Op.iLike]: `%${search}%` };
+  }
+
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 20;
+
+  const { rows, count } = await StockTransfer.findAndCountAll({
+    where,
+    include: [
+      { model: Location, as: 'fromLocation', attributes: ['id', 'code', 'name'] },
+      { model: Location, as: 'toLocation', attributes: ['id', 'code', 'name'] },
+      { model: User, as: 'creator', attributes: ['id', 'full_name'] }
+    ],
+    attributes: {
+      include: [
+        [
+          sequelize.literal('(SELECT COALESCE(SUM(sti.quantity), 0) FROM stock_transfer_items sti WHERE sti.transfer_id = "StockTransfer".id)'),
+          'total_quantity'
+        ],
+        [
+          sequelize.literal('(SELECT COALESCE(SUM(sti.received_quantity), 0) FROM stock_transfer_items sti WHERE sti.transfer_id = "StockTransfer".id)'),
+          'received_quantity'
+        ]
+      ]
+    },
+    order: [['created_at', 'DESC']],
+    limit: limitNum,
+    offset: (pageNum - 1) * limitNum
+  });
+
+  res.json({
+    success: true,
+    data: {
+      transfers: rows.map(transfer => ({
+        ...transfer.toJSON(),
+        status_label: transfer.getStatusLabel(),
+        total_quantity: parseInt(transfer.get('total_quantity'), 10) || 0,
+        received_quantity: parseInt(transfer.get('received_quantity'), 10) || 0
+      }))
+    },
+    meta: {
+      total: count,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(count / limitNum)
+    }
+  });
+});
+
+/**
+ * GET /api/v1/stock-transfers/:id
+ */
+exports.getById = asyncHandler(async (req, res) => {
+  await loadTransfer(req.params.id);
+
+  res.json({
+    success: true,
+    data: { transfer: await fetchTransfer(req.params.id) }
+  });
+});
+
+/**
+ * POST /api/v1/stock-transfers
+ * Create a draft transfer.
+ * Body: { from_location_id, to_location_id, notes?, items?: [{ code } | { asset_unit_id } | { asset_id, quantity }] }
+ */
+exports.create = asyncHandler(async (req, res) => {
+  const { from_location_id, to_location_id, notes, items = [] } = req.body;
+
+  if (!from_location_id || !to_location_id) {
+    throw new AppError('from_location_id and to_location_id are required', 400, 'VALIDATION_ERROR');
+  }
+  if (String(from_location_id) === String(to_location_id)) {
+    throw new AppError('Source and destination must be different locations', 400, 'SAME_LOCATION');
+  }
+  if (!Array.isArray(items)) {
+    throw new AppError('items must be an array', 400, 'VALIDATION_ERROR');
+  }
+
+  const locations = await Location.findAll({ where: { id: [from_location_id, to_location_id], is_active: true } });
+  if (locations.length !== 2) {
+    throw new AppError('Both locations must exist and be active', 400, 'INVALID_LOCATION');
+  }
+
+  const t = await sequelize.transaction();
+  let transfer;
+  try {
+    transfer = await StockTransfer.create({
+      transfer_number: await StockTransfer.generateTransferNumber(t),
+      from_location_id,
+      to_location_id,
+      notes: notes || null,
+      status: 'draft',
+      created_by: req.user.id
+    }, { transaction: t });
+    transfer.fromLocation = locations.find(l => String(l.id) === String(from_location_id));
+
+    for (const line of items) {
+      await addLine(transfer, line, t);
+    }
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.STOCK_TRANSFER_CREATED,
+    entityType: ActivityLog.ENTITY_TYPES.STOCK_TRANSFER,
+    entityId: transfer.id,
+    summary: `Stock transfer ${transfer.transfer_number} created`,
+    metadata: {
+      transferNumber: transfer.transfer_number,
+      fromLocationId: transfer.from_location_id,
+      toLocationId: transfer.to_location_id
+    }
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { transfer: await fetchTransfer(transfer.id) },
+    message: `Transfer ${transfer.transfer_number} created`
+  });
+});
+
+/**
+ * PATCH /api/v1/stock-transfers/:id
+ * Edit notes or destination of a draft transfer
+ */
+exports.update = asyncHandler(async (req, res) => {
+  const transfer = await loadTransfer(req.params.id);
+  requireStatus(transfer, 'draft', 'edit');
+
+  const { notes, to_location_id } = req.body;
+  if (notes !== undefined) transfer.notes = notes || null;
+  if (to_location_id !== undefined && String(to_location_id) !== String(transfer.to_location_id)) {
+    if (String(to_location_id) === String(transfer.from_location_id)) {
+      throw new AppError('Source and destination must be different locations', 400, 'SAME_LOCATION');
+    }
+    const destination = await Location.findOne({ where: { id: to_location_id, is_active: true } });
+    if (!destination) {
+      throw new AppError('Destination must exist and be active', 400, 'INVALID_LOCATION');
+    }
+    transfer.to_location_id = destination.id;
+  }
+
+  await transfer.save();
+
+  res.json({
+    success: true,
+    data: { transfer: await fetchTransfer(transfer.id) }
+  });
+});
+
+/**
+ * POST /api/v1/stock-transfers/:id/items
+ * Add a line to a draft transfer by scan or id.
+ * Body: { code, quantity? } | { asset_unit_id } | { asset_id, quantity }
+ */
+exports.addItem = asyncHandler(async (req, res) => {
+  const t = await sequelize.transaction();
+  let item;
+  try {
+    const transfer = await loadTransfer(req.params.id, t);
+    requireStatus(transfer, 'draft', 'add items to');
+
+    item = await addLine(transfer, req.body, t);
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  res.status(201).json({
+    success: true,
+    data: {
+      item,
+      transfer: await fetchTransfer(req.params.id)
+    }
+  });
+});
+
+/**
+ * DELETE /api/v1/stock-transfers/:id/items/:itemId
+ * Remove a line from a draft transfer
+ */
+exports.removeItem = asyncHandler(async (req, res) => {
+  const transfer = await loadTransfer(req.params.id);
+  requireStatus(transfer, 'draft', 'remove items from');
+
+  const item = await StockTransferItem.findOne({
+    where: { id: req.params.itemId, transfer_id: transfer.id }
+  });
+  if (!item) {
+    throw new AppError('Transfer line not found', 404, 'NOT_FOUND');
+  }
+
+  await item.destroy();
+
+  res.json({
+    success: true,
+    data: { transfer: await fetchTransfer(transfer.id) }
+  });
+});
+
+/**
+ * POST /api/v1/stock-transfers/:id/dispatch
+ * Send the transfer: stock leaves the source location
+ */
+exports.dispatch = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const t = await sequelize.transaction();
+  let transfer;
+  try {
+    transfer = await loadTransfer(req.params.id, t);
+    requireStatus(transfer, 'draft', 'dispatch');
+
+    const items = await StockTransferItem.findAll({
+      where: { transfer_id: transfer.id },
+      include: [{ model: AssetUnit, as: 'unit' }],
+      transaction: t
+    });
+    if (items.length === 0) {
+      throw new AppError('Add at least one item before dispatching', 400, 'EMPTY_TRANSFER');
+    }
+
+    for (const item of items) {
+      if (item.unit) {
+        // Re-check: the unit may have been sold or moved since it was added
+        if (IMMOVABLE_UNIT_STATUSES.includes(item.unit.status) || item.unit.location_id !== transfer.from_location_id) {
+          throw new AppError(
+            `Unit ${item.unit.serial_number} is no longer in stock at ${transfer.fromLocation.name}. Remove it from the transfer.`,
+            409,
+            'UNIT_UNAVAILABLE'
+          );
+        }
+        item.unit.location_id = null;
+        // A unit already on an invoice keeps its Reserved status
+        if (item.unit.status === 'Available') item.unit.status = 'In Transit';
+        await item.unit.save({ transaction: t });
+      } else {
+        const onHand = await LocationStock.quantityAt(item.asset_id, transfer.from_location_id, t);
+        if (item.quantity > onHand) {
+          throw new AppError(
+            `Only ${onHand} of asset ${item.asset_id} left at ${transfer.fromLocation.name}; transfer needs ${item.quantity}`,
+            409,
+            'INSUFFICIENT_STOCK'
+          );
+        }
+        await LocationStock.adjust(item.asset_id, -item.quantity, { locationId: transfer.from_location_id, strict: true }, t);
+      }
+
+      await InventoryItemEvent.logTransferred(item.asset_id, transfer, 'dispatched', describeLine(item, item.quantity), userId, t);
+    }
+
+    transfer.status = 'in_transit';
+    transfer.dispatched_at = new Date();
+    transfer.dispatched_by = userId;
+    await transfer.save({ transaction: t });
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: userId,
+    actionType: ActivityLog.ACTION_TYPES.STOCK_TRANSFER_DISPATCHED,
+    entityType: ActivityLog.ENTITY_TYPES.STOCK_TRANSFER,
+    entityId: transfer.id,
+    summary: `Stock transfer ${transfer.transfer_number} dispatched from ${transfer.fromLocation.name} to ${transfer.toLocation.name}`,
+    metadata: { transferNumber: transfer.transfer_number }
+  });
+
+  res.json({
+    success: true,
+    data: { transfer: await fetchTransfer(transfer.id) },
+    message: `Transfer ${transfer.transfer_number} dispatched`
+  });
+});
+
+/**
+ * POST /api/v1/stock-transfers/:id/receive
+ * Scan stock in at the destination.
+ * Body: { code, quantity? } — unit serial/barcode/IMEI, or asset tag for bulk
+ * lines (quantity defaults to 1). Completes the transfer when nothing is
+ * left outstanding.
+ */
+exports.receiveScan = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const code = String(req.body.code || '').trim();
+  if (!code) {
+    throw new AppError('code is required', 400, 'VALIDATION_ERROR');
+  }
+  const quantity = parseQuantity(req.body.quantity);
+
+  const t = await sequelize.transaction();
+  let transfer;
+  let received;
+  let completed = false;
+  try {
+    transfer = await loadTransfer(req.params.id, t);
+    requireStatus(transfer, 'in_transit', 'receive');
+
+    const items = await StockTransferItem.findAll({
+      where: { transfer_id: transfer.id },
+      include: [
+        { model: AssetUnit, as: 'unit', attributes: ['id', 'serial_number', 'barcode', 'imei'] },
+        { model: Asset, as: 'asset', attributes: ['id', 'asset_tag'] }
+      ],
+      transaction: t
+    });
+
+    const upper = code.toUpperCase();
+    const item = items.find(line => line.unit
+      ? [line.unit.serial_number, line.unit.barcode, line.unit.imei].some(v => v && v.toUpperCase() === upper)
+      : line.asset && line.asset.asset_tag.toUpperCase() === upper);
+
+    if (!item) {
+      throw new AppError(`${code} is not on transfer ${transfer.transfer_number}`, 404, 'NOT_ON_TRANSFER');
+    }
+    if (item.isFullyReceived()) {
+      throw new AppError(`${code} has already been received`, 409, 'ALREADY_RECEIVED');
+    }
+    if (!item.unit && quantity > item.getOutstandingQuantity()) {
+      throw new AppError(
+        `Only ${item.getOutstandingQuantity()} of ${item.asset.asset_tag} outstanding on this transfer`,
+        409,
+        'OVER_RECEIPT'
+      );
+    }
+
+    received = await receiveLine(transfer, item, item.unit ? 1 : quantity, userId, t);
+    await InventoryItemEvent.logTransferred(item.asset_id, transfer, 'received', describeLine(item, received), userId, t);
+
+    if (items.every(line => line.isFullyReceived())) {
+      transfer.status = 'received';
+      transfer.received_at = new Date();
+      transfer.received_by = userId;
+      await transfer.save({ transaction: t });
+      completed = true;
+    }
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  if (completed) {
+    await ActivityLog.log({
+      actorUserId: userId,
+      actionType: ActivityLog.ACTION_TYPES.STOCK_TRANSFER_RECEIVED,
+      entityType: ActivityLog.ENTITY_TYPES.STOCK_TRANSFER,
+      entityId: transfer.id,
+      summary: `Stock transfer ${transfer.transfer_number} received at ${transfer.toLocation.name}`,
+      metadata: { transferNumber: transfer.transfer_number }
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      received_quantity: received,
+      completed,
+      transfer: await fetchTransfer(transfer.id)
+    },
+    message: completed ? `Transfer ${transfer.transfer_number} fully received` : `Received ${code}`
+  });
+});
+
+/**
+ * POST /api/v1/stock-transfers/:id/complete
+ * Close an in-transit transfer. Lines still outstanding are rejected with
+ * OUTSTANDING_ITEMS unless receive_all is true, which receives them without
+ * scanning.
+ */
+exports.complete = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const receiveAll = req.body.receive_all === true;
+
+  const t = await sequelize.transaction();
+  let transfer;
+  try {
+    transfer = await loadTransfer(req.params.id, t);
+    requireStatus(transfer, 'in_transit', 'complete');
+
+    const items = await StockTransferItem.findAll({
+      where: { transfer_id: transfer.id },
+      include: [
+        { model: AssetUnit, as: 'unit', attributes: ['id', 'serial_number'] },
+        { model: Asset, as: 'asset', attributes: ['id', 'asset_tag'] }
+      ],
+      transaction: t
+    });
+    const outstanding = items.filter(item => !item.isFullyReceived());
+
+    if (outstanding.length > 0 && !receiveAll) {
+      await t.rollback();
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'OUTSTANDING_ITEMS',
+          message: `${outstanding.length} line(s) not yet received — scan them or pass receive_all`,
+          items: outstanding.map(item => ({
+            id: item.id,
+            asset_tag: item.asset?.asset_tag,
+            serial_number: item.unit?.serial_number || null,
+            outstanding_quantity: item.getOutstandingQuantity()
+          }))
+        }
+      });
+    }
+
+    for (const item of outstanding) {
+      const received = await receiveLine(transfer, item, item.getOutstandingQuantity(), userId, t);
+      await InventoryItemEvent.logTransferred(item.asset_id, transfer, 'received', describeLine(item, received), userId, t);
+    }
+
+    transfer.status = 'received';
+    transfer.received_at = new Date();
+    transfer.received_by = userId;
+    await transfer.save({ transaction: t });
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: userId,
+    actionType: ActivityLog.ACTION_TYPES.STOCK_TRANSFER_RECEIVED,
+    entityType: ActivityLog.ENTITY_TYPES.STOCK_TRANSFER,
+    entityId: transfer.id,
+    summary: `Stock transfer ${transfer.transfer_number} received at ${transfer.toLocation.name}`,
+    metadata: { transferNumber: transfer.transfer_number, receiveAll }
+  });
+
+  res.json({
+    success: true,
+    data: { transfer: await fetchTransfer(transfer.id) },
+    message: `Transfer ${transfer.transfer_number} received`
+  });
+});
+
+/**
+ * POST /api/v1/stock-transfers/:id/cancel
+ * Cancel a draft or in-transit transfer. Body: { reason? }
+ * In-transit stock not yet received returns to the source location.
+ */
+exports.cancel = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const t = await sequelize.transaction();
+  let transfer;
+  try {
+    transfer = await loadTransfer(req.params.id, t);
+    if (!StockTransfer.OPEN_STATUSES.includes(transfer.status)) {
+      throw new AppError(`Cannot cancel a transfer that is ${transfer.getStatusLabel()}`, 409, 'INVALID_STATUS');
+    }
+
+    if (transfer.status === 'in_transit') {
+      const items = await StockTransferItem.findAll({
+        where: { transfer_id: transfer.id },
+        include: [{ model: AssetUnit, as: 'unit', attributes: ['id', 'serial_number'] }],
+        transaction: t
+      });
+
+      for (const item of items) {
+        const outstanding = item.getOutstandingQuantity();
+        if (outstanding === 0) continue;
+
+        if (item.asset_unit_id) {
+          await placeUnit(item.asset_unit_id, transfer.from_location_id, t);
+        } else {
+          await LocationStock.adjust(item.asset_id, outstanding, { locationId: transfer.from_location_id }, t);
+        }
+        await InventoryItemEvent.logTransferred(item.asset_id, transfer, 'returned', describeLine(item, outstanding), userId, t);
+      }
+    }
+
+    transfer.status = 'cancelled';
+    transfer.cancelled_at = new Date();
+    transfer.cancelled_by = userId;
+    transfer.cancel_reason = req.body.reason || null;
+    await transfer.save({ transaction: t });
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: userId,
+    actionType: ActivityLog.ACTION_TYPES.STOCK_TRANSFER_CANCELLED,
+    entityType: ActivityLog.ENTITY_TYPES.STOCK_TRANSFER,
+    entityId: transfer.id,
+    summary: `Stock transfer ${transfer.transfer_number} cancelled${transfer.cancel_reason ? `: ${transfer.cancel_reason}` : ''}`,
+    metadata: { transferNumber: transfer.transfer_number, reason: transfer.cancel_reason }
+  });
+
+  res.json({
+    success: true,
+    data: { transfer: await fetchTransfer(transfer.id) },
+    message: `Transfer ${transfer.transfer_number} cancelled`
+  });
+});
@@ -2,17 +2,42 @@
  * Storefront Controller
  *
  * Public-facing API for the Payless4Tech website.
- * Products, orders, Paystack payments, and customer lookup.
+ * Products, carts, orders, Paystack payments, customer lookup and
+ * customer accounts (one-time code sign-in).
  */
 
 const asyncHandler = handler => (req, res, next) => {
   Promise.resolve(handler(req, res, next)).catch(next);
 };
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const axios = require('axios');
 const { Op, QueryTypes } = require('sequelize');
-const { Invoice, InvoiceItem, InvoicePayment, Customer, Asset, Preorder, ActivityLog, sequelize } = require('../models');
-const { computeAvailability, computeBulkAvailability } = require('../services/inventoryAvailabilityService');
+const { Invoice, InvoiceItem, InvoicePayment, InvoiceTaxLine, Customer, CustomerCredit, CustomerWarranty, CustomerLoginCode, CustomerSession, Asset, AssetUnit, AssetImage, ConditionStatus, Preorder, ActivityLog, CompanyProfile, Location, InstallmentPlan, StorefrontCart, StorefrontCartItem, Promotion, sequelize } = require('../models');
+const { computeAvailability, computeBulkAvailability, assetsAtLocationSql, computeLocationQuantities } = require('../services/inventoryAvailabilityService');
+const { AppError } = require('../middleware/errorHandler');
+const { IMAGES_DIR, isStorageKey, sortImages, formatImage } = require('../services/productImageService');
+const { MAX_CART_ITEMS, holdExpiry, orderExpiry, paymentExpiry, parseCartLine } = require('../services/storefrontCartService');
+const {
+  CODE_TTL_MINUTES,
+  MAX_CODE_ATTEMPTS,
+  RESEND_COOLDOWN_SECONDS,
+  MAX_CODES_PER_HOUR,
+  parseLoginIdentity,
+  generateCode,
+  hashCode,
+  codeMatches,
+  generateSessionToken,
+  hashToken,
+  codeExpiry,
+  sessionExpiry,
+  maskDestination,
+  buildCodeMessage
+} = require('../services/customerAuthService');
+const { sendSms } = require('../services/smsService');
+const { sendLoginCodeEmail } = require('../services/emailService');
+const invoicePdfService = require('../services/invoicePdfService');
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -46,8 +71,9 @@ function buildSpecs(asset) {
  * Map an Asset row to the public product shape.
  * @param {Asset} asset
  * @param {number|null} availableQty - computed available quantity (if known)
+ * @param {Array} images - formatted product photos, primary first
  */
-function formatProduct(asset, availableQty = null) {
+function formatProduct(asset, availableQty = null, images = []) {
   const qty = availableQty != null ? availableQty : (parseInt(asset.quantity) || 0);
   return {
     id: asset.id,
@@ -61,7 +87,7 @@ function formatProduct(asset, availableQty = null) {
     specs: buildSpecs(asset),
     price: parseFloat(asset.price_amount) || 0,
     currency: asset.price_currency || 'GHS',
-    images: [],
+    images,
     quantity: qty,
     in_stock: qty > 0,
     asset_tag: asset.asset_tag,
@@ -70,6 +96,68 @@ function formatProduct(asset, availableQty = null) {
   };
 }
 
+/**
+ * Absolute base URL of product images, so the website can use them as-is.
+ */
+function imageBaseUrl(req) {
+  return `${req.protocol}://${req.get('host')}/api/v1/storefront/images`;
+}
+
+/**
+ * Product photos (not unit photos) for a page of assets.
+ * @returns {Map} assetId -> formatted images, primary first
+ */
+async function productImages(assetIds, baseUrl) {
+  const result = new Map();
+  if (assetIds.length === 0) return result;
+
+  const images = await AssetImage.findAll({
+    where: { asset_id: { [Op.in]: assetIds }, asset_unit_id: null }
+  });
+  for (const image of sortImages(images)) {
+    if (!result.has(image.asset_id)) result.set(image.asset_id, []);
+    result.get(image.asset_id).push(formatImage(image, baseUrl));
+  }
+  return result;
+}
+
+/**
+ * Resolve the ?location=CODE filter to an active location.
+ * @returns {Location|null} null when no filter was given
+ * @throws when the code does not match an active location
+ */
+async function resolveLocationFilter(code) {
+  if (!code) return null;
+  const location = await Location.findOne({
+    where: { code: String(code).trim().toUpperCase(), is_active: true },
+    attributes: ['id', 'code', 'name']
+  });
+  if (!location) {
+    throw new AppError(`Unknown location ${code}`, 400, 'INVALID_LOCATION');
+  }
+  return location;
+}
+
+/**
+ * Available quantity per asset, limited to what is on hand at a location
+ * when one is given.
+ * @returns {Map} assetId -> available quantity
+ */
+async function availableQuantities(assetIds, location = null) {
+  const result = new Map();
+  if (assetIds.length === 0) return result;
+
+  const availMap = await computeBulkAvailability(assetIds);
+  const atLocation = location ? await computeLocationQuantities(assetIds, location.id) : null;
+
+  for (const id of assetIds) {
+    const avail = availMap.get(id);
+    if (!avail) continue;
+    result.set(id, atLocation ? Math.min(avail.available, atLocation.get(id) || 0) : avail.available);
+  }
+  return result;
+}
+
 /**
  * Map Paystack channel to InvoicePayment payment_method.
  */
@@ -127,9 +215,10 @@ async function findOrCreateCustomer({ first_name, last_name, email, phone }, tra
 /**
  * GET /products
  * Paginated, filterable product listing.
+ * ?location=CODE limits results and quantities to stock at that location.
  */
 exports.getProducts = asyncHandler(async (req, res) => {
-  let { page, limit, category, asset_type, condition, brand, minPrice, maxPrice, search, sort, inStock } = req.query;
+  let { page, limit, category, asset_type, condition, brand, minPrice, maxPrice, search, sort, inStock, location: locationCode } = req.query;
 
   if (search && search.length > 100) search = search.substring(0, 100);
 
@@ -145,6 +234,11 @@ exports.getProducts = asyncHandler(async (req, res) => {
     where.quantity = { [Op.gt]: 0 };
   }
 
+  const location = await resolveLocationFilter(locationCode);
+  if (location && inStock !== 'false') {
+    where.id = { [Op.in]: sequelize.literal(assetsAtLocationSql(sequelize.escape(location.id))) };
+  }
+
   // Must have a price
   where.price_amount = { [Op.gt]: 0 };
 
@@ -189,13 +283,15 @@ exports.getProducts = asyncHandler(async (req, res) => {
   });
 
   // Compute real availability for the page of results
-  const assetIds = rows.map(a => a.id);
-  const availMap = assetIds.length ? await computeBulkAvailability(assetIds) : new Map();
+  const availMap = await availableQuantities(rows.map(a => a.id), location);
 
-  const products = rows.map(asset => {
-    const avail = availMap.get(asset.id);
-    return formatProduct(asset, avail ? avail.available : null);
-  });
+  const imageMap = await productImages(rows.map(a => a.id), imageBaseUrl(req));
+
+  const products = rows.map(asset => formatProduct(
+    asset,
+    availMap.has(asset.id) ? availMap.get(asset.id) : null,
+    imageMap.get(asset.id) || []
+  ));
 
   res.json({
     success: true,
@@ -247,13 +343,14 @@ exports.getFeaturedProducts = asyncHandler(async (req, res) => {
 
   const assetIds = products.map(a => a.id);
   const availMap = assetIds.length ? await computeBulkAvailability(assetIds) : new Map();
+  const imageMap = await productImages(assetIds, imageBaseUrl(req));
 
   res.json({
     success: true,
     data: {
       products: products.map(a => {
         const avail = availMap.get(a.id);
-        return formatProduct(a, avail ? avail.available : null);
+        return formatProduct(a, avail ? avail.available : null, imageMap.get(a.id) || []);
       })
     }
   });
@@ -262,8 +359,11 @@ exports.getFeaturedProducts = asyncHandler(async (req, res) => {
 /**
  * GET /products/:id
  * Single product with full details.
+ * ?location=CODE reports the quantity available at that location.
  */
 exports.getProductById = asyncHandler(async (req, res) => {
+  const location = await resolveLocationFilter(req.query.location);
+
   const asset = await Asset.findOne({
     where: { id: req.params.id, deleted_at: null },
     attributes: { exclude: ['cost_amount', 'cost_currency', 'salesbinder_id', 'created_by', 'updated_by', 'deleted_by', 'import_batch_id'] }
@@ -276,15 +376,86 @@ exports.getProductById = asyncHandler(async (req, res) => {
     });
   }
 
-  const availMap = await computeBulkAvailability([asset.id]);
-  const avail = availMap.get(asset.id);
+  const availMap = await availableQuantities([asset.id], location);
+  const baseUrl = imageBaseUrl(req);
+  const imageMap = await productImages([asset.id], baseUrl);
+
+  // Photos of individual units still for sale, labelled with their grade
+  const unitImages = await AssetImage.findAll({
+    where: { asset_id: asset.id, asset_unit_id: { [Op.ne]: null } },
+    include: [{
+      model: AssetUnit,
+      as: 'unit',
+      where: { status: 'Available' },
+      attributes: ['id', 'condition_status_id'],
+      include: [{ model: ConditionStatus, as: 'conditionStatus', attributes: ['name'] }]
+    }]
+  });
+  const units = new Map();
+  for (const image of sortImages(unitImages)) {
+    if (!units.has(image.asset_unit_id)) {
+      units.set(image.asset_unit_id, {
+        unit_id: image.asset_unit_id,
+        condition: image.unit.conditionStatus ? image.unit.conditionStatus.name : null,
+        images: []
+      });
+    }
+    units.get(image.asset_unit_id).images.push(formatImage(image, baseUrl));
+  }
 
   res.json({
     success: true,
-    data: { product: formatProduct(asset, avail ? avail.available : null) }
+    data: {
+      product: {
+        ...formatProduct(asset, availMap.has(asset.id) ? availMap.get(asset.id) : null, imageMap.get(asset.id) || []),
+        unit_images: [...units.values()]
+      }
+    }
   });
 });
 
+/**
+ * GET /images/:filename
+ * Product photo or thumbnail. Public (no API key) so it can be used in <img>
+ * tags; restored from the database when missing on disk, as logos are.
+ */
+exports.serveProductImage = asyncHandler(async (req, res) => {
+  const filename = path.basename(req.params.filename);
+  if (!isStorageKey(filename)) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Image not found' }
+    });
+  }
+
+  const filePath = path.join(IMAGES_DIR, filename);
+  if (!fs.existsSync(filePath)) {
+    const isThumbnail = filename.endsWith('-thumb.jpg');
+    const image = await AssetImage.scope('withData').findOne({
+      where: isThumbnail ? { thumbnail_key: filename } : { storage_key: filename },
+      attributes: [isThumbnail ? 'thumbnail_data' : 'image_data']
+    });
+    const data = image && (isThumbnail ? image.thumbnail_data : image.image_data);
+    if (data) {
+      fs.mkdirSync(IMAGES_DIR, { recursive: true });
+      fs.writeFileSync(filePath, Buffer.from(data, 'base64'));
+    }
+  }
+
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Image not found' }
+    });
+  }
+
+  res.setHeader('Content-Type', 'image/jpeg');
+  // File names are never reused, so the image can be cached for good
+  res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+  res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+  fs.createReadStream(filePath).pipe(res);
+});
+
 /**
  * GET /categories
  * Categories with in-stock product counts.
@@ -313,36 +484,260 @@ exports.getCategories = asyncHandler(async (req, res) => {
 });
 
 // ---------------------------------------------------------------------------
-// Order / Checkout endpoints
+// Cart endpoints
 // ---------------------------------------------------------------------------
 
+const CART_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 /**
- * POST /orders
- * Create a new order (Invoice) from website checkout.
+ * Load a cart by its token, locked when a transaction is given.
+ * @throws {AppError} 404 when there is no such cart
  */
-exports.createOrder = asyncHandler(async (req, res) => {
-  let { customer: customerData, items, fulfillment, delivery_address, source, notes } = req.body;
+async function loadCart(cartId, transaction = null) {
+  const cart = CART_ID_PATTERN.test(String(cartId))
+    ? await StorefrontCart.findByPk(cartId, transaction ? { transaction, lock: true } : {})
+    : null;
+  if (!cart) {
+    throw new AppError('Cart not found', 404, 'CART_NOT_FOUND');
+  }
+  return cart;
+}
 
-  // Validate request
-  if (!customerData || (!customerData.phone && !customerData.email)) {
-    return res.status(400).json({
-      success: false,
-      error: { code: 'INVALID_CUSTOMER', message: 'Customer phone or email is required' }
-    });
+/**
+ * Only an active cart whose hold has not lapsed can change or check out.
+ * @throws {AppError}
+ */
+function assertCartOpen(cart) {
+  if (cart.status === 'checked_out') {
+    throw new AppError('This cart has already been checked out', 409, 'CART_CHECKED_OUT');
+  }
+  if (!cart.isHoldActive()) {
+    throw new AppError('This cart has expired. Start a new cart to continue shopping.', 410, 'CART_EXPIRED');
   }
+}
 
-  if (!items || !Array.isArray(items) || items.length === 0) {
-    return res.status(400).json({
-      success: false,
-      error: { code: 'INVALID_ITEMS', message: 'At least one item is required' }
-    });
+/**
+ * Public shape of a cart. `available` is how many of each product the cart
+ * could hold in total, i.e. not counting its own hold.
+ */
+async function formatCart(cart, req) {
+  const items = await StorefrontCartItem.findAll({
+    where: { cart_id: cart.id },
+    include: [{ model: Asset, as: 'asset', attributes: ['id', 'asset_tag', 'make', 'model', 'condition', 'price_amount', 'price_currency'] }],
+    order: [['created_at', 'ASC'], ['id', 'ASC']]
+  });
+  const assetIds = items.map(item => item.asset_id);
+  const availMap = await computeBulkAvailability(assetIds, { excludeCartId: cart.id });
+  const imageMap = await productImages(assetIds, imageBaseUrl(req));
+
+  const lines = items.filter(item => item.asset).map(item => {
+    const unitPrice = parseFloat(item.asset.price_amount) || 0;
+    const [image] = imageMap.get(item.asset_id) || [];
+    return {
+      product_id: item.asset_id,
+      name: `${item.asset.make} ${item.asset.model}`,
+      asset_tag: item.asset.asset_tag,
+      condition: item.asset.condition,
+      quantity: item.quantity,
+      available: availMap.has(item.asset_id) ? availMap.get(item.asset_id).available : 0,
+      unit_price: unitPrice,
+      line_total: Math.round(unitPrice * item.quantity * 100) / 100,
+      image: image ? image.thumbnail_url : null
+    };
+  });
+
+  return {
+    cart_id: cart.id,
+    status: cart.status,
+    hold_active: cart.isHoldActive(),
+    expires_at: cart.expires_at,
+    currency: 'GHS',
+    subtotal: Math.round(lines.reduce((sum, line) => sum + line.line_total, 0) * 100) / 100,
+    items: lines,
+    order_id: cart.invoice_id
+  };
+}
+
+/**
+ * POST /carts
+ * Start an empty cart. The returned cart_id is the token for later calls.
+ */
+exports.createCart = asyncHandler(async (req, res) => {
+  const cart = await StorefrontCart.create({ status: 'active', expires_at: holdExpiry() });
+
+  res.status(201).json({ success: true, data: await formatCart(cart, req) });
+});
+
+/**
+ * GET /carts/:id
+ */
+exports.getCart = asyncHandler(async (req, res) => {
+  const cart = await loadCart(req.params.id);
+
+  res.json({ success: true, data: await formatCart(cart, req) });
+});
+
+/**
+ * Set the quantity of one product in an open cart (0 removes it) and
+ * restart the cart's hold.
+ */
+async function setCartItem(cartId, assetId, quantity) {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const cart = await loadCart(cartId, transaction);
+    assertCartOpen(cart);
+
+    const existing = await StorefrontCartItem.findOne({ where: { cart_id: cart.id, asset_id: assetId }, transaction });
+
+    if (quantity === 0) {
+      if (existing) await existing.destroy({ transaction });
+    } else {
+      // Locks the asset row, so two carts can't take the same last unit
+      const { available, asset } = await computeAvailability(assetId, { transaction, excludeCartId: cart.id });
+
+      if (!asset || !(parseFloat(asset.price_amount) > 0)) {
+        throw new AppError(`Product ${assetId} not found`, 404, 'PRODUCT_NOT_FOUND');
+      }
+      if (quantity > available) {
+        throw new AppError(
+          `Insufficient stock for ${asset.make} ${asset.model}: ${available} available, ${quantity} requested`,
+          400,
+          'INSUFFICIENT_STOCK'
+        );
+      }
+
+      if (existing) {
+        await existing.update({ quantity }, { transaction });
+      } else {
+        const lineCount = await StorefrontCartItem.count({ where: { cart_id: cart.id }, transaction });
+        if (lineCount >= MAX_CART_ITEMS) {
+          throw new AppError(`Maximum ${MAX_CART_ITEMS} items per order`, 400, 'TOO_MANY_ITEMS');
+        }
+        await StorefrontCartItem.create({ cart_id: cart.id, asset_id: asset.id, quantity }, { transaction });
+      }
+    }
+
+    cart.expires_at = holdExpiry();
+    await cart.save({ transaction });
+
+    await transaction.commit();
+    return cart;
+  } catch (err) {
+    if (!transaction.finished) await transaction.rollback();
+    throw err;
   }
+}
 
-  if (items.length > 20) {
-    return res.status(400).json({
-      success: false,
-      error: { code: 'TOO_MANY_ITEMS', message: 'Maximum 20 items per order' }
+/**
+ * PUT /carts/:id/items
+ * Body: { product_id, quantity } — sets the product's quantity; 0 removes it.
+ * Restarts the hold on everything in the cart.
+ */
+exports.setCartItem = asyncHandler(async (req, res) => {
+  let line;
+  try {
+    line = parseCartLine(req.body);
+  } catch (err) {
+    throw new AppError(err.message, 400, err.code, { [err.field]: err.message });
+  }
+
+  const cart = await setCartItem(req.params.id, line.assetId, line.quantity);
+
+  res.json({ success: true, data: await formatCart(cart, req) });
+});
+
+/**
+ * DELETE /carts/:id/items/:productId
+ */
+exports.removeCartItem = asyncHandler(async (req, res) => {
+  const assetId = parseInt(req.params.productId, 10);
+  if (!Number.isInteger(assetId)) {
+    throw new AppError('Invalid product id', 400, 'INVALID_ITEM');
+  }
+
+  const cart = await setCartItem(req.params.id, assetId, 0);
+
+  res.json({ success: true, data: await formatCart(cart, req) });
+});
+
+/**
+ * DELETE /carts/:id
+ * Abandon the cart, releasing its hold straight away.
+ */
+exports.abandonCart = asyncHandler(async (req, res) => {
+  const cart = await loadCart(req.params.id);
+
+  if (cart.status === 'checked_out') {
+    throw new AppError('This cart has already been checked out', 409, 'CART_CHECKED_OUT');
+  }
+  if (cart.status === 'active') {
+    await cart.update({ status: 'abandoned' });
+  }
+
+  res.json({ success: true, data: await formatCart(cart, req), message: 'Cart abandoned' });
+});
+
+/**
+ * POST /carts/:id/checkout
+ * Body: same as POST /orders, without items. Turns the cart into an order;
+ * its hold carries over to the order's reservation in the same transaction.
+ */
+exports.checkoutCart = asyncHandler(async (req, res) => {
+  const order = parseCheckout(req.body);
+
+  const transaction = await sequelize.transaction();
+  let invoice;
+
+  try {
+    const cart = await loadCart(req.params.id, transaction);
+    assertCartOpen(cart);
+
+    const items = await StorefrontCartItem.findAll({
+      where: { cart_id: cart.id },
+      order: [['created_at', 'ASC'], ['id', 'ASC']],
+      transaction
     });
+    if (items.length === 0) {
+      throw new AppError('The cart is empty', 400, 'INVALID_ITEMS');
+    }
+
+    invoice = await createOrderInvoice({
+      ...order,
+      items: items.map(item => ({ product_id: item.asset_id, quantity: item.quantity }))
+    }, transaction, { excludeCartId: cart.id });
+
+    await cart.update({
+      status: 'checked_out',
+      invoice_id: invoice.id,
+      customer_id: invoice.customer_id,
+      checked_out_at: new Date()
+    }, { transaction });
+
+    await transaction.commit();
+  } catch (err) {
+    if (!transaction.finished) await transaction.rollback();
+    throw err;
+  }
+
+  res.status(201).json({
+    success: true,
+    data: await completeOrder(invoice, order.customerData)
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Order / Checkout endpoints
+// ---------------------------------------------------------------------------
+
+/**
+ * Check a checkout body and apply the input limits (long text is truncated).
+ * @returns {Object} { customerData, fulfillment, delivery_address, source, notes, promoCode }
+ * @throws {AppError}
+ */
+function parseCheckout({ customer: customerData, fulfillment, delivery_address, source, notes, promo_code }) {
+  if (!customerData || (!customerData.phone && !customerData.email)) {
+    throw new AppError('Customer phone or email is required', 400, 'INVALID_CUSTOMER');
   }
 
   // Input length limits — truncate silently
@@ -355,181 +750,301 @@ exports.createOrder = asyncHandler(async (req, res) => {
   if (customerData.phone && customerData.phone.length > 20) customerData.phone = customerData.phone.substring(0, 20);
   if (customerData.email) {
     if (customerData.email.length > 254) {
-      return res.status(400).json({
-        success: false,
-        error: { code: 'INVALID_EMAIL', message: 'Email address is too long' }
-      });
+      throw new AppError('Email address is too long', 400, 'INVALID_EMAIL');
     }
     if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(customerData.email)) {
-      return res.status(400).json({
-        success: false,
-        error: { code: 'INVALID_EMAIL', message: 'Invalid email format' }
-      });
+      throw new AppError('Invalid email format', 400, 'INVALID_EMAIL');
     }
   }
 
-  const transaction = await sequelize.transaction();
+  const promoCode = promo_code ? String(promo_code).trim().substring(0, 40) : null;
 
-  try {
-    // 1. Find or create customer
-    const customer = await findOrCreateCustomer(customerData, transaction);
+  return { customerData, fulfillment, delivery_address, source, notes, promoCode };
+}
 
-    // 2. Generate invoice number and create invoice
-    const invoiceNumber = await Invoice.generateInvoiceNumber();
+/**
+ * Redeem the shopper's promo code, then any automatic offers the order
+ * qualifies for. A bad code fails the checkout; offers that don't fit are
+ * skipped.
+ * @throws {AppError}
+ */
+async function applyOrderPromotions(invoice, promoCode, transaction) {
+  if (promoCode) {
+    const promotion = await Promotion.findByCode(promoCode, { transaction });
+    if (!promotion) {
+      throw new AppError('This promo code is not valid', 400, 'INVALID_PROMO_CODE', { promo_code: 'This promo code is not valid' });
+    }
+    try {
+      await promotion.redeemOn(invoice, { transaction });
+    } catch (err) {
+      if (!err.code || !err.code.startsWith('PROMOTION_')) throw err;
+      throw new AppError(err.message, 400, err.code, { promo_code: err.message });
+    }
+  }
 
-    const invoice = await Invoice.create({
-      invoice_number: invoiceNumber,
-      customer_id: customer.id,
-      invoice_date: new Date(),
-      status: 'UNPAID',
-      currency: 'GHS',
-      subtotal_amount: 0,
-      total_amount: 0,
-      amount_paid: 0,
-      balance_due: 0,
-      total_cost_amount: 0,
-      total_profit_amount: 0,
-      source: source || 'website',
-      notes: [
-        fulfillment === 'delivery' ? `Delivery to: ${delivery_address || 'N/A'}` : 'Pickup',
-        notes
-      ].filter(Boolean).join(' | ')
-    }, { transaction });
+  for (const offer of await Promotion.findAutomatic(new Date(), transaction)) {
+    try {
+      await offer.redeemOn(invoice, { transaction });
+    } catch (err) {
+      if (!err.code || !err.code.startsWith('PROMOTION_')) throw err;
+    }
+  }
+}
+
+/**
+ * Create the UNPAID invoice for a website order, checking stock for each
+ * line with the asset row locked. The invoice is cancelled by
+ * storefrontScheduler if it is still unpaid at storefront_expires_at.
+ *
+ * @param {Object} order - from parseCheckout, plus items [{ product_id, quantity }]
+ * @param {Transaction} transaction
+ * @param {Object} options
+ * @param {string} options.excludeCartId - cart being checked out, whose own hold doesn't count
+ * @returns {Promise<Invoice>}
+ * @throws {AppError}
+ */
+async function createOrderInvoice(order, transaction, { excludeCartId = null } = {}) {
+  const { customerData, items, fulfillment, delivery_address, source, notes, promoCode } = order;
+
+  // 1. Find or create customer
+  const customer = await findOrCreateCustomer(customerData, transaction);
+
+  // 2. Generate invoice number and create invoice
+  const invoiceNumber = await Invoice.generateInvoiceNumber();
+
+  const invoice = await Invoice.create({
+    invoice_number: invoiceNumber,
+    customer_id: customer.id,
+    invoice_date: new Date(),
+    status: 'UNPAID',
+    currency: 'GHS',
+    subtotal_amount: 0,
+    total_amount: 0,
+    amount_paid: 0,
+    balance_due: 0,
+    total_cost_amount: 0,
+    total_profit_amount: 0,
+    source: source || 'website',
+    storefront_expires_at: orderExpiry(),
+    tax_mode: await CompanyProfile.getDefaultTaxMode(transaction),
+    notes: [
+      fulfillment === 'delivery' ? `Delivery to: ${delivery_address || 'N/A'}` : 'Pickup',
+      notes
+    ].filter(Boolean).join(' | ')
+  }, { transaction });
+
+  // 3. Validate stock & create invoice items
+  for (const orderItem of items) {
+    const { product_id, quantity = 1 } = orderItem;
+
+    if (!product_id || quantity < 1) {
+      throw new AppError('Invalid product_id or quantity for item', 400, 'INVALID_ITEM');
+    }
 
-    // 3. Validate stock & create invoice items
-    const createdItems = [];
+    // Check availability with row locking
+    const { available, asset } = await computeAvailability(product_id, { transaction, excludeCartId });
 
-    for (const orderItem of items) {
-      const { product_id, quantity = 1 } = orderItem;
+    if (!asset) {
+      throw new AppError(`Product ${product_id} not found`, 404, 'PRODUCT_NOT_FOUND');
+    }
 
-      if (!product_id || quantity < 1) {
-        await transaction.rollback();
-        return res.status(400).json({
-          success: false,
-          error: { code: 'INVALID_ITEM', message: `Invalid product_id or quantity for item` }
-        });
-      }
+    if (quantity > available) {
+      throw new AppError(
+        `Insufficient stock for ${asset.make} ${asset.model}: ${available} available, ${quantity} requested`,
+        400,
+        'INSUFFICIENT_STOCK'
+      );
+    }
 
-      // Check availability with row locking
-      const { available, asset } = await computeAvailability(product_id, { transaction });
+    // Build description
+    const serial = asset.serial_number ? ` S/N: ${asset.serial_number}` : '';
+    const description = `${asset.make} ${asset.model}${serial} [${asset.asset_tag}]`;
 
-      if (!asset) {
-        await transaction.rollback();
-        return res.status(404).json({
-          success: false,
-          error: { code: 'PRODUCT_NOT_FOUND', message: `Product ${product_id} not found` }
-        });
-      }
+    // Create invoice item — beforeSave hook calculates totals
+    await InvoiceItem.create({
+      invoice_id: invoice.id,
+      asset_id: asset.id,
+      description,
+      quantity,
+      unit_price_amount: parseFloat(asset.price_amount) || 0,
+      unit_cost_amount: parseFloat(asset.cost_amount) || 0,
+      original_cost_currency: asset.cost_currency,
+      original_cost_amount: parseFloat(asset.cost_amount) || 0,
+      discount_type: 'none',
+      discount_value: 0
+    }, { transaction });
 
-      if (quantity > available) {
-        await transaction.rollback();
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: 'INSUFFICIENT_STOCK',
-            message: `Insufficient stock for ${asset.make} ${asset.model}: ${available} available, ${quantity} requested`
-          }
-        });
-      }
+    // Update asset computed status
+    await asset.updateComputedStatus(transaction);
+  }
 
-      // Build description
-      const serial = asset.serial_number ? ` S/N: ${asset.serial_number}` : '';
-      const description = `${asset.make} ${asset.model}${serial} [${asset.asset_tag}]`;
-
-      // Create invoice item — beforeSave hook calculates totals
-      const item = await InvoiceItem.create({
-        invoice_id: invoice.id,
-        asset_id: asset.id,
-        description,
-        quantity,
-        unit_price_amount: parseFloat(asset.price_amount) || 0,
-        unit_cost_amount: parseFloat(asset.cost_amount) || 0,
-        original_cost_currency: asset.cost_currency,
-        original_cost_amount: parseFloat(asset.cost_amount) || 0,
-        discount_type: 'none',
-        discount_value: 0
-      }, { transaction });
+  // 4. Promotions — amounts are settled when the totals are recalculated
+  await applyOrderPromotions(invoice, promoCode, transaction);
 
-      // Update asset computed status
-      await asset.updateComputedStatus(transaction);
+  return invoice;
+}
 
-      createdItems.push(item);
-    }
+/**
+ * After the order's transaction has committed: total it up, log it and
+ * build the response body.
+ */
+async function completeOrder(invoice, customerData) {
+  // Recalculate invoice totals (outside transaction, follows existing pattern)
+  await invoice.recalculateTotals();
 
-    await transaction.commit();
+  // Reload invoice with items
+  await invoice.reload({
+    include: [
+      { model: Customer, as: 'customer' },
+      {
+        model: InvoiceItem,
+        as: 'items',
+        include: [{ model: Asset, as: 'asset', attributes: ['id', 'asset_tag', 'make', 'model', 'condition'] }]
+      }
+    ]
+  });
 
-    // Recalculate invoice totals (outside transaction, follows existing pattern)
-    await invoice.recalculateTotals();
-
-    // Reload invoice with items
-    await invoice.reload({
-      include: [
-        { model: Customer, as: 'customer' },
-        {
-          model: InvoiceItem,
-          as: 'items',
-          include: [{ model: Asset, as: 'asset', attributes: ['id', 'asset_tag', 'make', 'model', 'condition'] }]
-        }
-      ]
-    });
+  // Log activity
+  await ActivityLog.log({
+    actionType: 'INVOICE_CREATED',
+    entityType: 'INVOICE',
+    entityId: invoice.id,
+    summary: `Storefront order ${invoice.invoice_number} created`,
+    metadata: { invoiceNumber: invoice.invoice_number, source: 'website', customerEmail: customerData.email }
+  });
 
-    // Log activity
-    await ActivityLog.log({
-      actionType: 'INVOICE_CREATED',
-      entityType: 'INVOICE',
-      entityId: invoice.id,
-      summary: `Storefront order ${invoice.invoice_number} created`,
-      metadata: { invoiceNumber: invoice.invoice_number, source: 'website', customerEmail: customerData.email }
+  return {
+    order_id: invoice.id,
+    invoice_number: invoice.invoice_number,
+    discount: parseFloat(invoice.discount_amount),
+    total: parseFloat(invoice.total_amount),
+    currency: invoice.currency,
+    status: invoice.status,
+    payment_url: null,
+    payment_due_by: invoice.storefront_expires_at,
+    items: invoice.items.map(i => ({
+      id: i.id,
+      description: i.description,
+      quantity: i.quantity,
+      unit_price: parseFloat(i.unit_price_amount),
+      line_total: parseFloat(i.line_total_amount)
+    }))
+  };
+}
+
+/**
+ * POST /orders
+ * Create a new order (Invoice) from website checkout. An optional
+ * promo_code is redeemed along with any automatic offers.
+ * Unpaid orders are cancelled after STOREFRONT_ORDER_TIMEOUT_MINUTES
+ * (returned as payment_due_by).
+ */
+exports.createOrder = asyncHandler(async (req, res) => {
+  const order = parseCheckout(req.body);
+  const { items } = req.body;
+
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVALID_ITEMS', message: 'At least one item is required' }
     });
+  }
 
-    res.status(201).json({
-      success: true,
-      data: {
-        order_id: invoice.id,
-        invoice_number: invoice.invoice_number,
-        total: parseFloat(invoice.total_amount),
-        currency: invoice.currency,
-        status: invoice.status,
-        payment_url: null,
-        items: invoice.items.map(i => ({
-          id: i.id,
-          description: i.description,
-          quantity: i.quantity,
-          unit_price: parseFloat(i.unit_price_amount),
-          line_total: parseFloat(i.line_total_amount)
-        }))
-      }
+  if (items.length > MAX_CART_ITEMS) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'TOO_MANY_ITEMS', message: `Maximum ${MAX_CART_ITEMS} items per order` }
     });
+  }
+
+  const transaction = await sequelize.transaction();
+  let invoice;
+
+  try {
+    invoice = await createOrderInvoice({ ...order, items }, transaction);
+    await transaction.commit();
   } catch (err) {
     if (!transaction.finished) await transaction.rollback();
     throw err;
   }
+
+  res.status(201).json({
+    success: true,
+    data: await completeOrder(invoice, order.customerData)
+  });
 });
 
+const ORDER_INCLUDE = [
+  { model: Customer, as: 'customer', attributes: ['id', 'first_name', 'last_name', 'email', 'phone_raw'] },
+  {
+    model: InvoiceItem,
+    as: 'items',
+    where: { voided_at: null },
+    required: false,
+    include: [{ model: Asset, as: 'asset', attributes: ['id', 'asset_tag', 'make', 'model', 'condition'] }]
+  },
+  {
+    model: InvoicePayment,
+    as: 'payments',
+    where: { voided_at: null },
+    required: false,
+    attributes: ['id', 'amount', 'currency', 'payment_method', 'payment_date', 'created_at']
+  }
+];
+
+/**
+ * Customer-facing order (no cost/profit data), loaded with ORDER_INCLUDE.
+ */
+function formatOrder(invoice) {
+  return {
+    order_id: invoice.id,
+    invoice_number: invoice.invoice_number,
+    status: invoice.status,
+    currency: invoice.currency,
+    subtotal: parseFloat(invoice.subtotal_amount),
+    discount: parseFloat(invoice.discount_amount),
+    total: parseFloat(invoice.total_amount),
+    amount_paid: parseFloat(invoice.amount_paid),
+    balance_due: parseFloat(invoice.balance_due),
+    payment_method: invoice.payment_method,
+    payment_due_by: invoice.status === 'UNPAID' ? invoice.storefront_expires_at : null,
+    source: invoice.source,
+    created_at: invoice.created_at,
+    customer: invoice.customer ? {
+      first_name: invoice.customer.first_name,
+      last_name: invoice.customer.last_name,
+      email: invoice.customer.email,
+      phone: invoice.customer.phone_raw
+    } : null,
+    items: (invoice.items || []).map(i => ({
+      id: i.id,
+      description: i.description,
+      quantity: i.quantity,
+      unit_price: parseFloat(i.unit_price_amount),
+      line_total: parseFloat(i.line_total_amount),
+      product: i.asset ? {
+        id: i.asset.id,
+        name: `${i.asset.make} ${i.asset.model}`,
+        asset_tag: i.asset.asset_tag,
+        condition: i.asset.condition
+      } : null
+    })),
+    payments: (invoice.payments || []).map(p => ({
+      id: p.id,
+      amount: parseFloat(p.amount),
+      currency: p.currency,
+      method: p.payment_method,
+      date: p.payment_date
+    }))
+  };
+}
+
 /**
  * GET /orders/:id
  * Get order status (customer-facing — no cost/profit data).
  */
 exports.getOrder = asyncHandler(async (req, res) => {
-  const invoice = await Invoice.findByPk(req.params.id, {
-    include: [
-      { model: Customer, as: 'customer', attributes: ['id', 'first_name', 'last_name', 'email', 'phone_raw'] },
-      {
-        model: InvoiceItem,
-        as: 'items',
-        where: { voided_at: null },
-        required: false,
-        include: [{ model: Asset, as: 'asset', attributes: ['id', 'asset_tag', 'make', 'model', 'condition'] }]
-      },
-      {
-        model: InvoicePayment,
-        as: 'payments',
-        where: { voided_at: null },
-        required: false,
-        attributes: ['id', 'amount', 'currency', 'payment_method', 'payment_date', 'created_at']
-      }
-    ]
-  });
+  const invoice = await Invoice.findByPk(req.params.id, { include: ORDER_INCLUDE });
 
   if (!invoice) {
     return res.status(404).json({
@@ -540,45 +1055,7 @@ exports.getOrder = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: {
-      order_id: invoice.id,
-      invoice_number: invoice.invoice_number,
-      status: invoice.status,
-      currency: invoice.currency,
-      subtotal: parseFloat(invoice.subtotal_amount),
-      total: parseFloat(invoice.total_amount),
-      amount_paid: parseFloat(invoice.amount_paid),
-      balance_due: parseFloat(invoice.balance_due),
-      payment_method: invoice.payment_method,
-      source: invoice.source,
-      created_at: invoice.created_at,
-      customer: invoice.customer ? {
-        first_name: invoice.customer.first_name,
-        last_name: invoice.customer.last_name,
-        email: invoice.customer.email,
-        phone: invoice.customer.phone_raw
-      } : null,
-      items: (invoice.items || []).map(i => ({
-        id: i.id,
-        description: i.description,
-        quantity: i.quantity,
-        unit_price: parseFloat(i.unit_price_amount),
-        line_total: parseFloat(i.line_total_amount),
-        product: i.asset ? {
-          id: i.asset.id,
-          name: `${i.asset.make} ${i.asset.model}`,
-          asset_tag: i.asset.asset_tag,
-          condition: i.asset.condition
-        } : null
-      })),
-      payments: (invoice.payments || []).map(p => ({
-        id: p.id,
-        amount: parseFloat(p.amount),
-        currency: p.currency,
-        method: p.payment_method,
-        date: p.payment_date
-      }))
-    }
+    data: formatOrder(invoice)
   });
 });
 
@@ -588,7 +1065,9 @@ exports.getOrder = asyncHandler(async (req, res) => {
 
 /**
  * POST /orders/:id/initiate-payment
- * Initialize a Paystack transaction for the order.
+ * Initialize a Paystack transaction for the order. An unpaid website order
+ * gets the payment grace period before it can time out, and the scheduler
+ * checks with Paystack before cancelling it.
  */
 exports.initiatePayment = asyncHandler(async (req, res) => {
   const invoice = await Invoice.findByPk(req.params.id, {
@@ -636,6 +1115,22 @@ exports.initiatePayment = asyncHandler(async (req, res) => {
   const amountInPesewas = Math.round(balanceDue * 100);
   const callbackUrl = process.env.PAYSTACK_CALLBACK_URL || 'https://payless4tech.com/order-confirmation';
 
+  // Mark the payment as started and push the timeout back in one statement,
+  // so it cannot cross the scheduler cancelling the order
+  const [started] = await Invoice.update(
+    {
+      payment_reference: invoice.invoice_number,
+      storefront_expires_at: paymentExpiry(invoice.storefront_expires_at)
+    },
+    { where: { id: invoice.id, status: { [Op.in]: ['UNPAID', 'PARTIALLY_PAID'] } } }
+  );
+  if (!started) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'ORDER_CANCELLED', message: 'This order has been cancelled' }
+    });
+  }
+
   try {
     const paystackRes = await axios.post(
       'https://api.paystack.co/transaction/initialize',
@@ -668,10 +1163,6 @@ exports.initiatePayment = asyncHandler(async (req, res) => {
       });
     }
 
-    // Store the reference on the invoice
-    invoice.payment_reference = invoice.invoice_number;
-    await invoice.save();
-
     res.json({
       success: true,
       data: {
@@ -722,36 +1213,48 @@ exports.handlePaystackWebhook = asyncHandler(async (req, res) => {
   const amountPaid = data.amount / 100; // pesewas → GHS
   const channel = data.channel; // card, bank, mobile_money, etc.
 
-  // Find invoice by reference (invoice_number) or payment_reference
-  const invoice = await Invoice.findOne({
-    where: {
-      [Op.or]: [
-        { invoice_number: reference },
-        { payment_reference: reference }
-      ]
-    },
-    include: [
-      {
-        model: InvoiceItem,
-        as: 'items',
-        include: [{ model: Asset, as: 'asset' }]
-      }
-    ]
-  });
+  const dbTransaction = await sequelize.transaction();
 
-  if (!invoice) {
-    // Unknown reference — acknowledge to stop retries
-    return res.sendStatus(200);
-  }
+  try {
+    // Find invoice by reference (invoice_number) or payment_reference, locked
+    // so the unpaid-order timeout cannot cancel it while the payment is applied
+    const invoice = await Invoice.findOne({
+      where: {
+        [Op.or]: [
+          { invoice_number: reference },
+          { payment_reference: reference }
+        ]
+      },
+      transaction: dbTransaction,
+      lock: true
+    });
 
-  // Idempotency: if already paid, skip
-  if (invoice.status === 'PAID') {
-    return res.sendStatus(200);
-  }
+    if (!invoice) {
+      // Unknown reference — acknowledge to stop retries
+      await dbTransaction.rollback();
+      return res.sendStatus(200);
+    }
 
-  const dbTransaction = await sequelize.transaction();
+    // Idempotency: if already paid, skip
+    if (invoice.status === 'PAID') {
+      await dbTransaction.rollback();
+      return res.sendStatus(200);
+    }
+
+    // Paid after the order was cancelled (e.g. it timed out): the stock may
+    // be gone, so leave it for staff to refund or re-invoice
+    if (invoice.status === 'CANCELLED') {
+      await dbTransaction.rollback();
+      await ActivityLog.log({
+        actionType: 'PAYMENT_NOT_APPLIED',
+        entityType: 'INVOICE',
+        entityId: invoice.id,
+        summary: `Paystack payment of ${invoice.currency} ${amountPaid.toFixed(2)} received for cancelled order ${invoice.invoice_number} — not applied, refund or re-invoice`,
+        metadata: { reference, channel, amount: amountPaid, invoiceNumber: invoice.invoice_number }
+      });
+      return res.sendStatus(200);
+    }
 
-  try {
     const prevStatus = invoice.status;
 
     // Create payment record
@@ -784,6 +1287,7 @@ exports.handlePaystackWebhook = asyncHandler(async (req, res) => {
     }
 
     await invoice.save({ transaction: dbTransaction });
+    await InstallmentPlan.syncForInvoice(invoice, dbTransaction);
 
     // If invoice just became PAID, decrement on-hand quantity via shared method
     if (prevStatus !== 'PAID' && invoice.status === 'PAID') {
@@ -842,10 +1346,408 @@ exports.createOrFindCustomer = asyncHandler(async (req, res) => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// Customer account endpoints
+// ---------------------------------------------------------------------------
+
+/**
+ * Login identity from the body, as an AppError when invalid.
+ */
+function loginIdentity(body) {
+  try {
+    return parseLoginIdentity(body);
+  } catch (err) {
+    throw new AppError(err.message, 400, err.code, { [err.field]: err.message });
+  }
+}
+
+/**
+ * The customer with the phone number or email address just verified.
+ * @returns {Customer|null}
+ */
+async function findAccountCustomer({ channel, destination }, transaction = null) {
+  return Customer.findOne({
+    where: channel === 'sms' ? { phone_e164: destination } : { email_lower: destination },
+    order: [['id', 'ASC']],
+    transaction
+  });
+}
+
+function formatAccount(customer) {
+  return {
+    id: customer.id,
+    first_name: customer.first_name,
+    last_name: customer.last_name,
+    email: customer.email,
+    phone: customer.phone_raw,
+    created_at: customer.created_at
+  };
+}
+
+/**
+ * POST /account/login
+ * Body: { phone } or { email }. Sends a one-time sign-in code by SMS or
+ * email. Anyone can sign in; the customer record is created on first sign-in.
+ */
+exports.requestLoginCode = asyncHandler(async (req, res) => {
+  const { channel, destination } = loginIdentity(req.body);
+
+  const recent = await CustomerLoginCode.findAll({
+    where: { destination, created_at: { [Op.gte]: new Date(Date.now() - 60 * 60 * 1000) } },
+    attributes: ['created_at'],
+    order: [['created_at', 'DESC']]
+  });
+  if (recent.length >= MAX_CODES_PER_HOUR) {
+    throw new AppError('Too many codes requested. Please try again later.', 429, 'TOO_MANY_CODES');
+  }
+  if (recent[0] && Date.now() - new Date(recent[0].created_at).getTime() < RESEND_COOLDOWN_SECONDS * 1000) {
+    throw new AppError(`Please wait ${RESEND_COOLDOWN_SECONDS} seconds before requesting another code`, 429, 'CODE_RECENTLY_SENT');
+  }
+
+  const code = generateCode();
+  const loginCode = await CustomerLoginCode.create({
+    channel,
+    destination,
+    code_hash: hashCode(code, destination),
+    expires_at: codeExpiry(),
+    ip_address: req.ip
+  });
+
+  const message = buildCodeMessage(code);
+  let result = channel === 'sms'
+    ? await sendSms(destination, message.text)
+    : await sendLoginCodeEmail(destination, message.subject, message.text);
+
+  if (!result.sent && result.reason === 'no_api_key' && process.env.NODE_ENV === 'development') {
+    console.log(`[dev] Sign-in code for ${destination}: ${code}`);
+    result = { sent: true };
+  }
+
+  if (!result.sent) {
+    // Still counts towards the hourly limit
+    await loginCode.update({ consumed_at: new Date() });
+    throw new AppError('We could not send your code. Please try again shortly.', 502, 'CODE_NOT_SENT');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      channel,
+      sent_to: maskDestination(channel, destination),
+      expires_in_minutes: CODE_TTL_MINUTES
+    }
+  });
+});
+
+/**
+ * POST /account/verify
+ * Body: { phone | email, code, first_name?, last_name? }
+ * Names are only needed when no customer has that phone or email yet.
+ * Returns the session token to send as X-Customer-Token.
+ */
+exports.verifyLoginCode = asyncHandler(async (req, res) => {
+  const identity = loginIdentity(req.body);
+  const { code, first_name, last_name } = req.body;
+  if (!code) {
+    throw new AppError('Enter the code we sent you', 400, 'VALIDATION_ERROR', { code: 'Required' });
+  }
+
+  const transaction = await sequelize.transaction();
+  let customer;
+  let session;
+  let token;
+
+  try {
+    const loginCode = await CustomerLoginCode.findOne({
+      where: { destination: identity.destination, consumed_at: null },
+      order: [['created_at', 'DESC']],
+      transaction,
+      lock: true
+    });
+
+    if (!loginCode || !loginCode.isUsable()) {
+      throw new AppError('This code has expired. Please request a new one.', 400, 'CODE_EXPIRED');
+    }
+
+    if (!codeMatches(code, identity.destination, loginCode.code_hash)) {
+      loginCode.attempts += 1;
+      await loginCode.save({ transaction });
+      await transaction.commit();
+      const left = Math.max(0, MAX_CODE_ATTEMPTS - loginCode.attempts);
+      throw new AppError(
+        left > 0 ? `Incorrect code. ${left} attempt(s) left.` : 'Incorrect code. Please request a new one.',
+        400,
+        left > 0 ? 'INVALID_CODE' : 'CODE_EXPIRED'
+      );
+    }
+
+    customer = await findAccountCustomer(identity, transaction);
+    if (!customer) {
+      // Leave the code unused so the shopper can resubmit with their name
+      if (!first_name || !String(first_name).trim()) {
+        throw new AppError('Tell us your name to create your account', 400, 'NAME_REQUIRED', { first_name: 'Required' });
+      }
+      customer = await Customer.create({
+        first_name: String(first_name).trim().substring(0, 100),
+        last_name: last_name ? String(last_name).trim().substring(0, 100) : null,
+        email: identity.channel === 'email' ? identity.destination : null,
+        phone_raw: identity.channel === 'sms' ? identity.destination : null,
+        heard_about_us: 'Other',
+        heard_about_us_other_text: 'Website'
+      }, { transaction });
+    }
+
+    loginCode.consumed_at = new Date();
+    await loginCode.save({ transaction });
+
+    token = generateSessionToken();
+    session = await CustomerSession.create({
+      customer_id: customer.id,
+      token_hash: hashToken(token),
+      channel: identity.channel,
+      destination: identity.destination,
+      expires_at: sessionExpiry(),
+      last_used_at: new Date(),
+      ip_address: req.ip,
+      user_agent: (req.get('user-agent') || '').substring(0, 255) || null
+    }, { transaction });
+
+    await transaction.commit();
+  } catch (err) {
+    if (!transaction.finished) await transaction.rollback();
+    throw err;
+  }
+
+  res.json({
+    success: true,
+    data: {
+      token,
+      expires_at: session.expires_at,
+      customer: formatAccount(customer)
+    }
+  });
+});
+
+/**
+ * POST /account/logout
+ */
+exports.logout = asyncHandler(async (req, res) => {
+  await req.customerSession.update({ revoked_at: new Date() });
+
+  res.json({ success: true, message: 'Signed out' });
+});
+
+/**
+ * Active store credit of a customer, with the balance per currency
+ */
+async function storeCredit(customerId) {
+  const credits = await CustomerCredit.findAll({
+    where: { customer_id: customerId, status: 'ACTIVE', remaining_amount: { [Op.gt]: 0 } },
+    order: [['created_at', 'DESC']]
+  });
+
+  const balances = {};
+  for (const credit of credits) {
+    balances[credit.currency] = Math.round(((balances[credit.currency] || 0) + credit.remaining_amount) * 100) / 100;
+  }
+  return { credits, balances };
+}
+
+/**
+ * GET /account
+ * Profile and store credit balance per currency.
+ */
+exports.getAccount = asyncHandler(async (req, res) => {
+  const { balances } = await storeCredit(req.customer.id);
+
+  res.json({
+    success: true,
+    data: {
+      ...formatAccount(req.customer),
+      signed_in_with: req.customerSession.channel === 'sms' ? 'phone' : 'email',
+      store_credit: balances
+    }
+  });
+});
+
+/**
+ * GET /account/orders
+ * The customer's invoices, newest first. ?page, ?limit
+ */
+exports.listAccountOrders = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+
+  const { count, rows } = await Invoice.findAndCountAll({
+    where: { customer_id: req.customer.id, is_deleted: false },
+    order: [['invoice_date', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  res.json({
+    success: true,
+    data: {
+      orders: rows.map(invoice => ({
+        order_id: invoice.id,
+        invoice_number: invoice.invoice_number,
+        date: invoice.invoice_date,
+        status: invoice.status,
+        currency: invoice.currency,
+        total: parseFloat(invoice.total_amount),
+        amount_paid: parseFloat(invoice.amount_paid),
+        balance_due: parseFloat(invoice.balance_due),
+        payment_due_by: invoice.status === 'UNPAID' ? invoice.storefront_expires_at : null
+      })),
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    }
+  });
+});
+
+async function loadAccountInvoice(req, include) {
+  const invoice = await Invoice.findOne({
+    where: { id: req.params.id, customer_id: req.customer.id, is_deleted: false },
+    include
+  });
+  if (!invoice) {
+    throw new AppError('Order not found', 404, 'NOT_FOUND');
+  }
+  return invoice;
+}
+
+/**
+ * GET /account/orders/:id
+ * Same shape as GET /orders/:id.
+ */
+exports.getAccountOrder = asyncHandler(async (req, res) => {
+  const invoice = await loadAccountInvoice(req, ORDER_INCLUDE);
+
+  res.json({ success: true, data: formatOrder(invoice) });
+});
+
+/**
+ * GET /account/orders/:id/pdf
+ * The invoice (or receipt, once paid) as a PDF download.
+ */
+exports.getAccountOrderPdf = asyncHandler(async (req, res) => {
+  const invoice = await loadAccountInvoice(req, [
+    { model: Customer, as: 'customer' },
+    { model: InvoiceItem, as: 'items', include: [{ model: Asset, as: 'asset', attributes: ['id', 'asset_tag', 'make', 'model', 'serial_number', 'status'] }] },
+    { model: InvoicePayment, as: 'payments', where: { voided_at: null }, required: false },
+    { model: InvoiceTaxLine, as: 'taxLines' }
+  ]);
+  const companyProfile = await CompanyProfile.findOne({ where: { is_active: true } });
+
+  const invoiceData = invoice.toJSON();
+  invoiceData.customer.displayName = invoiceData.customer.first_name
+    ? `${invoiceData.customer.first_name} ${invoiceData.customer.last_name || ''}`.trim()
+    : invoiceData.customer.company_name || 'Customer';
+  invoiceData.taxLines = (invoiceData.taxLines || []).sort((a, b) => a.sequence - b.sequence);
+
+  // Keep the staff download link (which carries the token) working
+  invoicePdfService.cleanupOldPdfs(invoice.invoice_number);
+  const { filePath, fileName, accessToken } = await invoicePdfService.generatePdf(
+    invoiceData,
+    companyProfile,
+    invoice.pdf_access_token
+  );
+  await invoice.update({ pdf_access_token: accessToken, pdf_generated_at: new Date() });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  fs.createReadStream(filePath).pipe(res);
+});
+
+/**
+ * GET /account/preorders
+ * Preorders linked to the customer, and unlinked ones placed with the phone
+ * number or email address they signed in with.
+ */
+exports.listAccountPreorders = asyncHandler(async (req, res) => {
+  const { channel, destination } = req.customerSession;
+  const unlinked = channel === 'sms'
+    ? { customer_phone: { [Op.like]: `%${destination.replace(/\D/g, '').slice(-9)}` } }
+    : { customer_email: { [Op.iLike]: destination } };
+
+  const preorders = await Preorder.findAll({
+    where: {
+      [Op.or]: [
+        { customer_id: req.customer.id },
+        { customer_id: null, ...unlinked }
+      ]
+    },
+    order: [['created_at', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    data: preorders.map(preorder => ({
+      ...preorder.toTrackingJSON(),
+      created_at: preorder.created_at
+    }))
+  });
+});
+
+/**
+ * GET /account/warranties
+ */
+exports.listAccountWarranties = asyncHandler(async (req, res) => {
+  const warranties = await CustomerWarranty.findAll({
+    where: { customer_id: req.customer.id, status: { [Op.ne]: 'void' } },
+    include: [
+      { model: Asset, as: 'asset', attributes: ['id', 'make', 'model'], paranoid: false },
+      { model: AssetUnit, as: 'unit', attributes: ['id', 'serial_number'] },
+      { model: Invoice, as: 'invoice', attributes: ['id', 'invoice_number'] }
+    ],
+    order: [['end_date', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    data: warranties.map(warranty => ({
+      warranty_number: warranty.warranty_number,
+      tier: warranty.warranty_tier,
+      coverage: (CustomerWarranty.TIERS[warranty.warranty_tier] || {}).coverage || null,
+      start_date: warranty.start_date,
+      end_date: warranty.end_date,
+      status: warranty.getDisplayStatus(),
+      product: warranty.asset ? `${warranty.asset.make} ${warranty.asset.model}` : null,
+      serial_number: warranty.unit ? warranty.unit.serial_number : null,
+      invoice_number: warranty.invoice ? warranty.invoice.invoice_number : null
+    }))
+  });
+});
+
+/**
+ * GET /account/credits
+ * Store credit that can still be spent, and the balance per currency.
+ */
+exports.getAccountCredits = asyncHandler(async (req, res) => {
+  const { credits, balances } = await storeCredit(req.customer.id);
+
+  res.json({
+    success: true,
+    data: {
+      balances,
+      credits: credits.map(credit => ({
+        id: credit.id,
+        currency: credit.currency,
+        original_amount: credit.original_amount,
+        remaining_amount: credit.remaining_amount,
+        source_type: credit.source_type,
+        created_at: credit.created_at
+      }))
+    }
+  });
+});
+
 // ─── Preorder Tracking Portal ────────────────────────────────
 // Public endpoint — no auth, rate-limited
-const STATUS_ORDER = ['Deposit Paid', 'Purchased', 'Shipped', 'Arrived', 'Completed'];
-
 exports.trackPreorder = asyncHandler(async (req, res) => {
   const { code, phone } = req.query;
 
@@ -884,34 +1786,8 @@ exports.trackPreorder = asyncHandler(async (req, res) => {
     });
   }
 
-  // Build progress steps
-  const currentIndex = STATUS_ORDER.indexOf(preorder.status);
-  const dateMap = {
-    'Deposit Paid': preorder.created_at,
-    'Purchased': preorder.purchase_date,
-    'Shipped': preorder.shipped_date,
-    'Arrived': preorder.actual_arrival_date,
-    'Completed': preorder.status === 'Completed' ? preorder.updated_at : null
-  };
-
-  const steps = STATUS_ORDER.map((label, i) => ({
-    label: label === 'Completed' ? 'Ready for Pickup' : label,
-    completed: i <= currentIndex,
-    date: dateMap[label] ? new Date(dateMap[label]).toISOString().split('T')[0] : null
-  }));
-
   res.json({
     success: true,
-    data: {
-      tracking_code: preorder.tracking_code,
-      item_description: preorder.item_description,
-      quantity: preorder.quantity,
-      status: preorder.status,
-      status_message: preorder.status_message,
-      estimated_arrival_date: preorder.estimated_arrival_date,
-      deposit_amount: preorder.deposit_amount,
-      balance_due: preorder.balance_due,
-      steps
-    }
+    data: preorder.toTrackingJSON()
   });
 });
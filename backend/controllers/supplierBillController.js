@@ -0,0 +1,506 @@
+/**
+ * Supplier Bill Controller
+ *
+ * Accounts payable: supplier bills (usually one per sourcing batch) and the
+ * payments made against them.
+ *
+ * - A bill adds to the supplier's outstanding balance; payments and voids
+ *   take it off again.
+ * - Payments may be in USD, GBP or GHS at the rate actually used. The
+ *   difference between that and the rate the bill was booked at is the
+ *   realized FX gain/loss reported on the P&L.
+ */
+
+const { SupplierBill, SupplierPayment, Supplier, SourcingBatch, ActivityLog, User, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { isValidCurrency } = require('../utils/currencyUtils');
+const { getExchangeRate } = require('../services/exchangeRateService');
+
+function billIncludes() {
+  return [
+    { model: Supplier, as: 'supplier', attributes: ['id', 'name', 'default_currency', 'payment_terms_days'] },
+    { model: SourcingBatch, as: 'sourcingBatch', attributes: ['id', 'batch_reference', 'order_date', 'fx_rate_at_purchase', 'total_cost_usd'] },
+    { model: User, as: 'creator', attributes: ['id', 'full_name'] },
+    {
+      model: SupplierPayment,
+      as: 'payments',
+      include: [{ model: User, as: 'payer', attributes: ['id', 'full_name'] }]
+    }
+  ];
+}
+
+async function loadBill(id, transaction = null) {
+  // Row lock serializes concurrent payments against one bill
+  const bill = await SupplierBill.findByPk(id, transaction ? { transaction, lock: true } : {});
+  if (!bill) {
+    throw new AppError('Supplier bill not found', 404, 'NOT_FOUND');
+  }
+  return bill;
+}
+
+function serializeBill(bill) {
+  const payments = bill.payments || [];
+  return {
+    ...bill.toJSON(),
+    status_label: bill.getStatusLabel(),
+    balance: bill.getBalance(),
+    realized_fx_gain_loss_ghs: parseFloat(
+      payments.filter(p => !p.isVoided()).reduce((sum, p) => sum + p.fx_gain_loss_ghs, 0).toFixed(2)
+    )
+  };
+}
+
+async function fetchBill(id) {
+  const bill = await SupplierBill.findByPk(id, {
+    include: billIncludes(),
+    order: [[{ model: SupplierPayment, as: 'payments' }, 'payment_date', 'ASC']]
+  });
+  return serializeBill(bill);
+}
+
+function parsePositiveNumber(value, field) {
+  const num = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(num) || num <= 0) {
+    throw new AppError(`${field} must be a number > 0`, 400, 'VALIDATION_ERROR');
+  }
+  return num;
+}
+
+function parseCurrency(value, field = 'currency') {
+  const currency = String(value || '').toUpperCase();
+  if (!isValidCurrency(currency)) {
+    throw new AppError(`${field} must be USD, GHS, or GBP`, 400, 'INVALID_CURRENCY');
+  }
+  return currency;
+}
+
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+/**
+ * Cedi rate for an amount in `currency`: the rate given, 1 for GHS, or the
+ * rate on `date` from the exchange rate service.
+ */
+async function resolveFxRate(currency, fxRate, date, fallback = null) {
+  if (currency === 'GHS') return 1;
+  if (fxRate !== undefined && fxRate !== null && fxRate !== '') return parsePositiveNumber(fxRate, 'fx_rate');
+  if (fallback) return fallback;
+  return getExchangeRate(currency, 'GHS', date);
+}
+
+/**
+ * GET /api/v1/supplier-bills
+ * Query: supplier_id, sourcing_batch_id, status (comma-separated),
+ *        overdue=true, page, limit
+ */
+exports.list = asyncHandler(async (req, res) => {
+  const { supplier_id, sourcing_batch_id, status, page = 1, limit = 20 } = req.query;
+
+  const where = {};
+  if (supplier_id) where.supplier_id = supplier_id;
+  if (sourcing_batch_id) where.sourcing_batch_id = sourcing_batch_id;
+  if (status) {
+    const statuses = status.split(',').map(s => s.trim()).filter(Boolean);
+    where.status = statuses.length === 1 ? statuses[0] : { [Op.in]: statuses };
+  }
+  if (req.query.overdue === 'true') {
+    where.status = { [Op.in]: ['open', 'partially_paid'] };
+    where.due_date = { [Op.lt]: new Date().toISOString().slice(0, 10) };
+  }
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+  const { rows, count } = await SupplierBill.findAndCountAll({
+    where,
+    include: [
+      { model: Supplier, as: 'supplier', attributes: ['id', 'name'] },
+      { model: SourcingBatch, as: 'sourcingBatch', attributes: ['id', 'batch_reference'] }
+    ],
+    order: [['due_date', 'ASC'], ['id', 'ASC']],
+    limit: limitNum,
+    offset: (pageNum - 1) * limitNum
+  });
+
+  res.json({
+    success: true,
+    data: {
+      bills: rows.map(serializeBill),
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(count / limitNum)
+      }
+    }
+  });
+});
+
+/**
+ * GET /api/v1/supplier-bills/:id
+ */
+exports.getById = asyncHandler(async (req, res) => {
+  await loadBill(req.params.id);
+  res.json({
+    success: true,
+    data: { bill: await fetchBill(req.params.id) }
+  });
+});
+
+/**
+ * POST /api/v1/supplier-bills
+ * Body: supplier_id and/or sourcing_batch_id, amount, bill_date,
+ *       supplier_reference, currency, fx_rate, due_date, notes
+ *
+ * Defaults: supplier from the batch, currency from the supplier, due date
+ * from the supplier's payment terms, and for USD bills on a batch the
+ * batch's fx_rate_at_purchase.
+ */
+exports.create = asyncHandler(async (req, res) => {
+  const { sourcing_batch_id, supplier_reference, notes } = req.body;
+  const amount = parsePositiveNumber(req.body.amount, 'amount');
+  const billDate = req.body.bill_date || new Date().toISOString().slice(0, 10);
+
+  const t = await sequelize.transaction();
+  let bill;
+  let supplier;
+  try {
+    let batch = null;
+    if (sourcing_batch_id) {
+      batch = await SourcingBatch.findByPk(sourcing_batch_id, { transaction: t });
+      if (!batch) {
+        throw new AppError('Sourcing batch not found', 400, 'INVALID_BATCH');
+      }
+    }
+
+    const supplierId = req.body.supplier_id || batch?.supplier_id;
+    if (!supplierId) {
+      throw new AppError('supplier_id or a sourcing batch with a supplier is required', 400, 'VALIDATION_ERROR');
+    }
+    if (batch && batch.supplier_id && String(batch.supplier_id) !== String(supplierId)) {
+      throw new AppError('Sourcing batch belongs to a different supplier', 400, 'SUPPLIER_MISMATCH');
+    }
+    supplier = await Supplier.findByPk(supplierId, { transaction: t, lock: true });
+    if (!supplier) {
+      throw new AppError('Supplier not found', 400, 'INVALID_SUPPLIER');
+    }
+
+    // Bills are kept in the supplier's currency so the balance adds up
+    const currency = req.body.currency ? parseCurrency(req.body.currency) : supplier.default_currency;
+    if (currency !== supplier.default_currency) {
+      throw new AppError(
+        `${supplier.name} is billed in ${supplier.default_currency}; change the supplier's currency to record a ${currency} bill`,
+        400,
+        'CURRENCY_MISMATCH'
+      );
+    }
+
+    const batchRate = currency === 'USD' ? batch?.fx_rate_at_purchase : null;
+    const fxRate = await resolveFxRate(currency, req.body.fx_rate, billDate, batchRate);
+
+    bill = await SupplierBill.create({
+      bill_number: await SupplierBill.generateBillNumber(t),
+      supplier_id: supplier.id,
+      sourcing_batch_id: batch?.id || null,
+      supplier_reference: supplier_reference || null,
+      bill_date: billDate,
+      due_date: req.body.due_date || addDays(billDate, supplier.payment_terms_days),
+      currency,
+      amount,
+      fx_rate: fxRate,
+      status: 'open',
+      notes: notes || null,
+      created_by: req.user.id
+    }, { transaction: t });
+
+    await supplier.increment('outstanding_balance', { by: amount, transaction: t });
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.SUPPLIER_BILL_CREATED,
+    entityType: ActivityLog.ENTITY_TYPES.SUPPLIER_BILL,
+    entityId: bill.id,
+    summary: `Bill ${bill.bill_number} of ${bill.currency} ${bill.amount.toFixed(2)} recorded for ${supplier.name}`,
+    metadata: {
+      billNumber: bill.bill_number,
+      supplierId: supplier.id,
+      sourcingBatchId: bill.sourcing_batch_id,
+      amount: bill.amount,
+      currency: bill.currency,
+      fxRate: bill.fx_rate
+    }
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { bill: await fetchBill(bill.id) },
+    message: `Bill ${bill.bill_number} recorded`
+  });
+});
+
+/**
+ * PATCH /api/v1/supplier-bills/:id
+ * Reference, due date and notes. Amounts are corrected by voiding the bill
+ * and recording it again.
+ */
+exports.update = asyncHandler(async (req, res) => {
+  const bill = await loadBill(req.params.id);
+
+  const allowedFields = ['supplier_reference', 'due_date', 'notes'];
+  const rejected = Object.keys(req.body).filter(field => !allowedFields.includes(field));
+  if (rejected.length > 0) {
+    throw new AppError(`Cannot change ${rejected.join(', ')}; void the bill and record it again`, 409, 'FIELD_LOCKED');
+  }
+  if (bill.status === 'void') {
+    throw new AppError('Cannot edit a void bill', 409, 'INVALID_STATUS');
+  }
+
+  const updates = {};
+  for (const field of allowedFields) {
+    if (req.body[field] !== undefined) updates[field] = req.body[field] || null;
+  }
+  if (updates.due_date === null) {
+    throw new AppError('due_date cannot be blank', 400, 'VALIDATION_ERROR');
+  }
+  await bill.update(updates);
+
+  res.json({
+    success: true,
+    data: { bill: await fetchBill(bill.id) }
+  });
+});
+
+/**
+ * POST /api/v1/supplier-bills/:id/void
+ * Void a bill with no active payments. Body: { reason }
+ */
+exports.voidBill = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  if (!reason || !String(reason).trim()) {
+    throw new AppError('A reason is required to void a bill', 400, 'VALIDATION_ERROR');
+  }
+
+  const t = await sequelize.transaction();
+  let bill;
+  try {
+    bill = await loadBill(req.params.id, t);
+    if (bill.status === 'void') {
+      throw new AppError('Bill is already void', 409, 'INVALID_STATUS');
+    }
+    const activePayments = await SupplierPayment.count({
+      where: { supplier_bill_id: bill.id, voided_at: null },
+      transaction: t
+    });
+    if (activePayments > 0) {
+      throw new AppError(`Void the ${activePayments} payment(s) on this bill first`, 409, 'HAS_PAYMENTS');
+    }
+
+    const balance = bill.getBalance();
+    await bill.update({
+      status: 'void',
+      voided_at: new Date(),
+      voided_by: req.user.id,
+      void_reason: String(reason).trim()
+    }, { transaction: t });
+
+    await Supplier.increment('outstanding_balance', {
+      by: -balance,
+      where: { id: bill.supplier_id },
+      transaction: t
+    });
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.SUPPLIER_BILL_VOIDED,
+    entityType: ActivityLog.ENTITY_TYPES.SUPPLIER_BILL,
+    entityId: bill.id,
+    summary: `Bill ${bill.bill_number} voided`,
+    metadata: { billNumber: bill.bill_number, reason: bill.void_reason }
+  });
+
+  res.json({
+    success: true,
+    data: { bill: await fetchBill(bill.id) },
+    message: `Bill ${bill.bill_number} voided`
+  });
+});
+
+/**
+ * POST /api/v1/supplier-bills/:id/payments
+ * Record a (part) payment.
+ * Body: amount, currency, fx_rate (GHS per unit of payment currency;
+ *       looked up when omitted), amount_applied (bill currency — required
+ *       when paying in another currency), payment_date, payment_method,
+ *       reference, notes
+ */
+exports.addPayment = asyncHandler(async (req, res) => {
+  const amount = parsePositiveNumber(req.body.amount, 'amount');
+  const paymentDate = req.body.payment_date || new Date().toISOString().slice(0, 10);
+  const paymentMethod = req.body.payment_method || 'Bank Transfer';
+  if (!SupplierPayment.PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new AppError(`payment_method must be one of: ${SupplierPayment.PAYMENT_METHODS.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+
+  const t = await sequelize.transaction();
+  let bill;
+  let payment;
+  try {
+    bill = await loadBill(req.params.id, t);
+    if (!['open', 'partially_paid'].includes(bill.status)) {
+      throw new AppError(`Cannot pay a bill that is ${bill.getStatusLabel()}`, 409, 'INVALID_STATUS');
+    }
+
+    const currency = req.body.currency ? parseCurrency(req.body.currency) : bill.currency;
+    let amountApplied = null;
+    if (currency !== bill.currency) {
+      if (req.body.amount_applied === undefined) {
+        throw new AppError(
+          `amount_applied (in ${bill.currency}) is required when paying a ${bill.currency} bill in ${currency}`,
+          400,
+          'VALIDATION_ERROR'
+        );
+      }
+      amountApplied = parsePositiveNumber(req.body.amount_applied, 'amount_applied');
+    }
+    const fxRate = await resolveFxRate(currency, req.body.fx_rate, paymentDate);
+
+    const amounts = SupplierPayment.computeAmounts({ amount, currency, fxRate, amountApplied }, bill);
+    if (amounts.amount_applied > bill.getBalance()) {
+      throw new AppError(
+        `Payment settles ${bill.currency} ${amounts.amount_applied.toFixed(2)} but only ${bill.currency} ${bill.getBalance().toFixed(2)} is outstanding`,
+        400,
+        'OVERPAYMENT'
+      );
+    }
+
+    payment = await SupplierPayment.create({
+      supplier_bill_id: bill.id,
+      supplier_id: bill.supplier_id,
+      payment_date: paymentDate,
+      amount,
+      currency,
+      fx_rate: fxRate,
+      ...amounts,
+      payment_method: paymentMethod,
+      reference: req.body.reference || null,
+      notes: req.body.notes || null,
+      paid_by: req.user.id
+    }, { transaction: t });
+
+    bill.applyPayment(amounts.amount_applied);
+    await bill.save({ transaction: t });
+
+    await Supplier.increment('outstanding_balance', {
+      by: -amounts.amount_applied,
+      where: { id: bill.supplier_id },
+      transaction: t
+    });
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.SUPPLIER_PAYMENT_RECORDED,
+    entityType: ActivityLog.ENTITY_TYPES.SUPPLIER_BILL,
+    entityId: bill.id,
+    summary: `Payment of ${payment.currency} ${payment.amount.toFixed(2)} recorded against bill ${bill.bill_number}`,
+    metadata: {
+      paymentId: payment.id,
+      amount: payment.amount,
+      currency: payment.currency,
+      fxRate: payment.fx_rate,
+      amountApplied: payment.amount_applied,
+      fxGainLossGhs: payment.fx_gain_loss_ghs
+    }
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { payment, bill: await fetchBill(bill.id) },
+    message: `Payment recorded against bill ${bill.bill_number}`
+  });
+});
+
+/**
+ * POST /api/v1/supplier-bills/:id/payments/:paymentId/void
+ * Reverse a payment recorded in error. Body: { reason }
+ */
+exports.voidPayment = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  if (!reason || !String(reason).trim()) {
+    throw new AppError('A reason is required to void a payment', 400, 'VALIDATION_ERROR');
+  }
+
+  const t = await sequelize.transaction();
+  let bill;
+  let payment;
+  try {
+    bill = await loadBill(req.params.id, t);
+    payment = await SupplierPayment.findOne({
+      where: { id: req.params.paymentId, supplier_bill_id: bill.id },
+      transaction: t,
+      lock: true
+    });
+    if (!payment) {
+      throw new AppError('Payment not found', 404, 'NOT_FOUND');
+    }
+    if (payment.isVoided()) {
+      throw new AppError('Payment is already voided', 409, 'INVALID_STATUS');
+    }
+
+    await payment.update({
+      voided_at: new Date(),
+      voided_by: req.user.id,
+      void_reason: String(reason).trim()
+    }, { transaction: t });
+
+    bill.applyPayment(-payment.amount_applied);
+    await bill.save({ transaction: t });
+
+    await Supplier.increment('outstanding_balance', {
+      by: payment.amount_applied,
+      where: { id: bill.supplier_id },
+      transaction: t
+    });
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.SUPPLIER_PAYMENT_VOIDED,
+    entityType: ActivityLog.ENTITY_TYPES.SUPPLIER_BILL,
+    entityId: bill.id,
+    summary: `Payment of ${payment.currency} ${payment.amount.toFixed(2)} on bill ${bill.bill_number} voided`,
+    metadata: { paymentId: payment.id, reason: payment.void_reason }
+  });
+
+  res.json({
+    success: true,
+    data: { bill: await fetchBill(bill.id) },
+    message: 'Payment voided'
+  });
+});
@@ -0,0 +1,477 @@
+/**
+ * Supplier Controller
+ *
+ * CRUD for supplier master records, duplicate detection over names and
+ * aliases, and merging duplicates into one record.
+ */
+
+const { Supplier, SourcingBatch, PurchaseOrder, WarrantyClaim, SupplierBill, SupplierPayment, ActivityLog, User, sequelize } = require('../models');
+const { Op, QueryTypes } = require('sequelize');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { isValidCurrency } = require('../utils/currencyUtils');
+
+const TEXT_FIELDS = [
+  'contact_name', 'email', 'phone', 'whatsapp', 'website', 'address', 'country',
+  'payment_terms', 'default_warranty_type', 'default_warranty_terms', 'notes'
+];
+
+// Blank fields on the merge target are filled from the merged suppliers
+const MERGE_FILL_FIELDS = [
+  'contact_name', 'email', 'phone', 'whatsapp', 'website', 'address', 'country',
+  'payment_terms', 'default_warranty_days', 'default_warranty_type', 'default_warranty_terms'
+];
+
+function parseWholeNumber(value, field) {
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < 0) {
+    throw new AppError(`${field} must be a whole number ≥ 0`, 400, 'VALIDATION_ERROR');
+  }
+  return num;
+}
+
+/**
+ * Validate and normalize supplier input. Only fields present in the body
+ * are returned, so the same helper serves create and update.
+ */
+function parseSupplierInput(body) {
+  const data = {};
+
+  if (body.name !== undefined) {
+    const name = String(body.name || '').trim();
+    if (!name) throw new AppError('Name is required', 400, 'VALIDATION_ERROR');
+    data.name = name;
+  }
+  if (body.supplier_type !== undefined) {
+    if (!Supplier.TYPES.includes(body.supplier_type)) {
+      throw new AppError(`supplier_type must be one of: ${Supplier.TYPES.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+    data.supplier_type = body.supplier_type;
+  }
+  if (body.default_currency !== undefined) {
+    const currency = String(body.default_currency || '').toUpperCase();
+    if (!isValidCurrency(currency)) {
+      throw new AppError('default_currency must be USD, GHS, or GBP', 400, 'INVALID_CURRENCY');
+    }
+    data.default_currency = currency;
+  }
+  for (const field of TEXT_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field] ? String(body[field]).trim() : null;
+  }
+  if (body.payment_terms_days !== undefined) {
+    data.payment_terms_days = parseWholeNumber(body.payment_terms_days || 0, 'payment_terms_days');
+  }
+  if (body.default_warranty_days !== undefined) {
+    data.default_warranty_days = body.default_warranty_days === null || body.default_warranty_days === ''
+      ? null
+      : parseWholeNumber(body.default_warranty_days, 'default_warranty_days');
+  }
+  if (body.aliases !== undefined) {
+    if (!Array.isArray(body.aliases)) throw new AppError('aliases must be an array', 400, 'VALIDATION_ERROR');
+    data.aliases = body.aliases;
+  }
+  if (body.is_active !== undefined) data.is_active = !!body.is_active;
+
+  return data;
+}
+
+/**
+ * Reject a name or alias that already identifies another supplier
+ */
+async function checkNamesUnique(names, excludeId = null) {
+  const others = await Supplier.findAll({
+    where: excludeId ? { id: { [Op.ne]: excludeId } } : {},
+    attributes: ['id', 'name', 'aliases']
+  });
+  for (const name of names) {
+    const key = Supplier.normalizeName(name);
+    const clash = key && others.find(other => other.matchesName(key));
+    if (clash) {
+      throw new AppError(`"${name}" already belongs to supplier ${clash.name} — merge them instead`, 409, 'DUPLICATE_NAME');
+    }
+  }
+}
+
+/**
+ * GET /api/v1/suppliers
+ * List suppliers with batch and unit counts.
+ * Query: search (name or alias), include_inactive=true
+ */
+exports.list = asyncHandler(async (req, res) => {
+  const { search } = req.query;
+
+  const where = {};
+  if (req.query.include_inactive !== 'true') where.is_active = true;
+  if (search) {
+    where[Op.or] = [
+      { name: { [Op.iLike]: `%${search}%` } },
+      sequelize.where(sequelize.cast(sequelize.col('aliases'), 'text'), { [Op.iLike]: `%${search}%` })
+    ];
+  }
+
+  const suppliers = await Supplier.findAll({
+    where,
+    attributes: {
+      include: [
+        [
+          sequelize.literal('(SELECT COUNT(*) FROM sourcing_batches sb WHERE sb.supplier_id = "Supplier".id)'),
+          'batch_count'
+        ],
+        [
+          sequelize.literal(`(SELECT COUNT(*) FROM asset_units au
+            JOIN sourcing_batches sb ON sb.id = au.sourcing_batch_id
+            WHERE sb.supplier_id = "Supplier".id)`),
+          'unit_count'
+        ],
+        [
+          sequelize.literal(`(SELECT COUNT(*) FROM purchase_orders po
+            WHERE po.supplier_id = "Supplier".id AND po.status IN ('ordered', 'partially_received'))`),
+          'open_purchase_orders'
+        ]
+      ]
+    },
+    order: [['name', 'ASC']]
+  });
+
+  res.json({
+    success: true,
+    data: {
+      suppliers: suppliers.map(supplier => ({
+        ...supplier.toJSON(),
+        batch_count: parseInt(supplier.get('batch_count'), 10) || 0,
+        unit_count: parseInt(supplier.get('unit_count'), 10) || 0,
+        open_purchase_orders: parseInt(supplier.get('open_purchase_orders'), 10) || 0
+      }))
+    }
+  });
+});
+
+/**
+ * GET /api/v1/suppliers/duplicates
+ * Groups of suppliers whose names or aliases look like the same business
+ * ("ecoATM", "Eco-ATM Ltd"). Inactive suppliers are included.
+ */
+exports.duplicates = asyncHandler(async (req, res) => {
+  const suppliers = await Supplier.findAll({
+    attributes: {
+      include: [
+        [
+          sequelize.literal('(SELECT COUNT(*) FROM sourcing_batches sb WHERE sb.supplier_id = "Supplier".id)'),
+          'batch_count'
+        ]
+      ]
+    },
+    order: [['id', 'ASC']]
+  });
+
+  // Union suppliers that share any key, so A~B and B~C form one group
+  const groupOf = new Map();
+  const groups = [];
+  for (const supplier of suppliers) {
+    const keys = [supplier.name, ...(supplier.aliases || [])].map(Supplier.duplicateKey).filter(Boolean);
+    const matched = [...new Set(keys.map(key => groupOf.get(key)).filter(Boolean))];
+
+    let group = matched[0];
+    if (!group) {
+      group = { keys: new Set(), suppliers: [] };
+      groups.push(group);
+    }
+    for (const other of matched.slice(1)) {
+      other.keys.forEach(key => group.keys.add(key));
+      group.suppliers.push(...other.suppliers);
+      groups.splice(groups.indexOf(other), 1);
+    }
+    group.suppliers.push(supplier);
+    keys.forEach(key => group.keys.add(key));
+    group.keys.forEach(key => groupOf.set(key, group));
+  }
+
+  res.json({
+    success: true,
+    data: {
+      groups: groups
+        .filter(group => group.suppliers.length > 1)
+        .map(group => ({
+          suppliers: group.suppliers.map(supplier => ({
+            id: supplier.id,
+            name: supplier.name,
+            aliases: supplier.aliases,
+            supplier_type: supplier.supplier_type,
+            is_active: supplier.is_active,
+            outstanding_balance: supplier.outstanding_balance,
+            default_currency: supplier.default_currency,
+            batch_count: parseInt(supplier.get('batch_count'), 10) || 0
+          }))
+        }))
+    }
+  });
+});
+
+/**
+ * GET /api/v1/suppliers/:id
+ * Supplier with its scorecard, recent batches and open purchase orders
+ */
+exports.getById = asyncHandler(async (req, res) => {
+  const supplier = await Supplier.findByPk(req.params.id, {
+    include: [
+      { model: User, as: 'creator', attributes: ['id', 'full_name'] },
+      { model: User, as: 'updater', attributes: ['id', 'full_name'] }
+    ]
+  });
+  if (!supplier) {
+    throw new AppError('Supplier not found', 404, 'NOT_FOUND');
+  }
+
+  const [scorecard] = await sequelize.query(
+    'SELECT * FROM view_supplier_scorecard WHERE supplier_id = :supplierId',
+    { replacements: { supplierId: supplier.id }, type: QueryTypes.SELECT }
+  );
+
+  const recentBatches = await SourcingBatch.findAll({
+    where: { supplier_id: supplier.id },
+    attributes: ['id', 'batch_reference', 'order_date', 'arrival_date', 'status', 'total_units', 'total_cost_usd', 'warranty_expires_on'],
+    order: [['order_date', 'DESC']],
+    limit: 10
+  });
+
+  const openPurchaseOrders = await PurchaseOrder.findAll({
+    where: { supplier_id: supplier.id, status: { [Op.in]: ['draft', 'ordered', 'partially_received'] } },
+    attributes: ['id', 'po_number', 'order_date', 'expected_arrival_date', 'status'],
+    order: [['order_date', 'DESC']]
+  });
+
+  const openClaims = await WarrantyClaim.count({
+    where: { supplier_id: supplier.id, status: { [Op.notIn]: ['resolved', 'refunded', 'rejected'] } }
+  });
+
+  res.json({
+    success: true,
+    data: {
+      supplier,
+      scorecard: scorecard || null,
+      recentBatches,
+      openPurchaseOrders,
+      openWarrantyClaims: openClaims
+    }
+  });
+});
+
+/**
+ * POST /api/v1/suppliers
+ * Create a supplier. outstanding_balance may be given as an opening balance.
+ */
+exports.create = asyncHandler(async (req, res) => {
+  const data = parseSupplierInput(req.body);
+  if (!data.name) {
+    throw new AppError('name is required', 400, 'VALIDATION_ERROR');
+  }
+  await checkNamesUnique([data.name, ...(data.aliases || [])]);
+
+  const aliases = data.aliases || [];
+  delete data.aliases;
+  const supplier = Supplier.build({
+    ...data,
+    aliases: [],
+    outstanding_balance: parseFloat(req.body.outstanding_balance) || 0,
+    created_by: req.user?.id,
+    updated_by: req.user?.id
+  });
+  supplier.addAliases(aliases);
+  await supplier.save();
+
+  res.status(201).json({
+    success: true,
+    data: { supplier }
+  });
+});
+
+/**
+ * PATCH /api/v1/suppliers/:id
+ * Update a supplier. A new name is copied onto its batches and purchase
+ * orders; the old name is kept as an alias so imports still resolve it.
+ */
+exports.update = asyncHandler(async (req, res) => {
+  const supplier = await Supplier.findByPk(req.params.id);
+  if (!supplier) {
+    throw new AppError('Supplier not found', 404, 'NOT_FOUND');
+  }
+
+  const data = parseSupplierInput(req.body);
+  const renamed = data.name && data.name !== supplier.name;
+  const newNames = [...(renamed ? [data.name] : []), ...(data.aliases || [])];
+  if (newNames.length > 0) await checkNamesUnique(newNames, supplier.id);
+
+  // Bills are kept in the supplier's currency
+  if (data.default_currency && data.default_currency !== supplier.default_currency) {
+    const openBills = await SupplierBill.count({
+      where: { supplier_id: supplier.id, status: { [Op.in]: ['open', 'partially_paid'] } }
+    });
+    if (openBills > 0 || supplier.outstanding_balance !== 0) {
+      throw new AppError(
+        `Cannot change currency while ${supplier.default_currency} ${supplier.outstanding_balance.toFixed(2)} is outstanding`,
+        400,
+        'CURRENCY_MISMATCH'
+      );
+    }
+  }
+
+  const previousName = supplier.name;
+  const aliases = data.aliases;
+  delete data.aliases;
+
+  await sequelize.transaction(async (transaction) => {
+    supplier.set({ ...data, updated_by: req.user?.id });
+    if (aliases !== undefined) supplier.aliases = [];
+    supplier.addAliases([...(aliases || []), ...(renamed ? [previousName] : [])]);
+    await supplier.save({ transaction });
+
+    if (renamed) {
+      await SourcingBatch.update({ supplier_name: supplier.name }, { where: { supplier_id: supplier.id }, transaction });
+      await PurchaseOrder.update({ supplier_name: supplier.name }, { where: { supplier_id: supplier.id }, transaction });
+    }
+  });
+
+  res.json({
+    success: true,
+    data: { supplier }
+  });
+});
+
+/**
+ * DELETE /api/v1/suppliers/:id
+ * Delete a supplier with no history. Suppliers with batches, purchase
+ * orders, claims or bills should be set inactive or merged instead.
+ */
+exports.remove = asyncHandler(async (req, res) => {
+  const supplier = await Supplier.findByPk(req.params.id);
+  if (!supplier) {
+    throw new AppError('Supplier not found', 404, 'NOT_FOUND');
+  }
+
+  const batchCount = await SourcingBatch.count({ where: { supplier_id: supplier.id } });
+  const poCount = await PurchaseOrder.count({ where: { supplier_id: supplier.id } });
+  const claimCount = await WarrantyClaim.count({ where: { supplier_id: supplier.id } });
+  const billCount = await SupplierBill.count({ where: { supplier_id: supplier.id } });
+  if (batchCount > 0 || poCount > 0 || claimCount > 0 || billCount > 0) {
+    throw new AppError(
+      `Cannot delete: ${batchCount} batch(es), ${poCount} purchase order(s), ${claimCount} warranty claim(s) and ${billCount} bill(s) reference this supplier. Set it inactive or merge it instead.`,
+      400,
+      'IN_USE'
+    );
+  }
+
+  await supplier.destroy();
+
+  res.json({
+    success: true,
+    data: { message: 'Supplier deleted' }
+  });
+});
+
+/**
+ * POST /api/v1/suppliers/:id/merge
+ * Merge duplicate suppliers into this one. Body: { source_ids: [..] }
+ *
+ * Batches, purchase orders, warranty claims, bills and payments move to the
+ * target; the merged names become aliases; blank contact and warranty fields
+ * are filled from the merged records; balances are added together (they must
+ * share a currency). The merged suppliers are deleted.
+ */
+exports.merge = asyncHandler(async (req, res) => {
+  const targetId = parseInt(req.params.id, 10);
+  const sourceIds = [...new Set((req.body.source_ids || []).map(id => parseInt(id, 10)))]
+    .filter(id => id && id !== targetId);
+  if (sourceIds.length === 0) {
+    throw new AppError('source_ids must list at least one other supplier', 400, 'VALIDATION_ERROR');
+  }
+
+  const t = await sequelize.transaction();
+  let target;
+  let sources;
+  const diff = {};
+  const moved = {};
+  try {
+    target = await Supplier.findByPk(targetId, { transaction: t, lock: true });
+    if (!target) {
+      throw new AppError('Supplier not found', 404, 'NOT_FOUND');
+    }
+    sources = await Supplier.findAll({
+      where: { id: { [Op.in]: sourceIds } },
+      order: [['id', 'ASC']],
+      transaction: t,
+      lock: true
+    });
+    if (sources.length !== sourceIds.length) {
+      throw new AppError('One or more suppliers to merge were not found', 404, 'NOT_FOUND');
+    }
+
+    const otherCurrency = sources.find(source => source.outstanding_balance !== 0 && source.default_currency !== target.default_currency);
+    if (otherCurrency) {
+      throw new AppError(
+        `${otherCurrency.name} has a balance in ${otherCurrency.default_currency}; settle it or change its currency before merging into a ${target.default_currency} supplier`,
+        400,
+        'CURRENCY_MISMATCH'
+      );
+    }
+
+    const where = { supplier_id: { [Op.in]: sourceIds } };
+    [moved.batches] = await SourcingBatch.update({ supplier_id: target.id, supplier_name: target.name }, { where, transaction: t });
+    [moved.purchase_orders] = await PurchaseOrder.update({ supplier_id: target.id, supplier_name: target.name }, { where, transaction: t });
+    [moved.warranty_claims] = await WarrantyClaim.update({ supplier_id: target.id }, { where, transaction: t });
+    [moved.bills] = await SupplierBill.update({ supplier_id: target.id }, { where, transaction: t });
+    await SupplierPayment.update({ supplier_id: target.id }, { where, transaction: t });
+
+    for (const field of MERGE_FILL_FIELDS) {
+      if (target[field] !== null && target[field] !== '') continue;
+      const donor = sources.find(source => source[field] !== null && source[field] !== '');
+      if (donor) {
+        diff[field] = { from: target[field], to: donor[field] };
+        target[field] = donor[field];
+      }
+    }
+
+    const addedAliases = target.addAliases(sources.flatMap(source => [source.name, ...(source.aliases || [])]));
+    if (addedAliases.length > 0) diff.aliases = { added: addedAliases };
+
+    const mergedBalance = sources.reduce((sum, source) => sum + source.outstanding_balance, 0);
+    if (mergedBalance !== 0) {
+      const balance = parseFloat((target.outstanding_balance + mergedBalance).toFixed(2));
+      diff.outstanding_balance = { from: target.outstanding_balance, to: balance };
+      target.outstanding_balance = balance;
+    }
+
+    const mergedNotes = sources.filter(source => source.notes).map(source => `[Merged from ${source.name}]\n${source.notes}`);
+    if (mergedNotes.length > 0) {
+      target.notes = [target.notes, ...mergedNotes].filter(Boolean).join('\n\n---\n');
+      diff.notes = { appended: mergedNotes.length };
+    }
+
+    target.updated_by = req.user?.id;
+    await target.save({ transaction: t });
+
+    await Supplier.destroy({ where: { id: { [Op.in]: sourceIds } }, transaction: t });
+
+    await t.commit();
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.SUPPLIER_MERGED,
+    entityType: ActivityLog.ENTITY_TYPES.SUPPLIER,
+    entityId: target.id,
+    summary: `Merged ${sources.map(source => source.name).join(', ')} into supplier ${target.name}`,
+    metadata: {
+      mergedSuppliers: sources.map(source => ({ id: source.id, name: source.name })),
+      moved,
+      diff
+    }
+  });
+
+  res.json({
+    success: true,
+    data: { supplier: target, moved, diff },
+    message: `${sources.length} supplier(s) merged into ${target.name}`
+  });
+});
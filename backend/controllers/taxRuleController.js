@@ -0,0 +1,165 @@
+/**
+ * Tax Rule Controller
+ *
+ * CRUD for the tax rules applied when invoice totals are recalculated.
+ * Changing a rule affects invoices the next time their totals are
+ * recalculated; tax lines already stored on invoices keep their rates.
+ */
+
+const { TaxRule, InvoiceTaxLine } = require('../models');
+const { Op } = require('sequelize');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+/**
+ * Validate and normalize tax rule input. Only fields present in the body
+ * are returned, so the same helper serves create and update.
+ */
+function parseRuleInput(body) {
+  const data = {};
+
+  if (body.code !== undefined) {
+    const code = String(body.code || '').trim().toUpperCase();
+    if (!code) throw new AppError('Code is required', 400, 'VALIDATION_ERROR');
+    data.code = code;
+  }
+  if (body.name !== undefined) {
+    const name = String(body.name || '').trim();
+    if (!name) throw new AppError('Name is required', 400, 'VALIDATION_ERROR');
+    data.name = name;
+  }
+  if (body.rate_percent !== undefined) {
+    const rate = parseFloat(body.rate_percent);
+    if (isNaN(rate) || rate < 0 || rate > 100) {
+      throw new AppError('rate_percent must be between 0 and 100', 400, 'VALIDATION_ERROR');
+    }
+    data.rate_percent = rate;
+  }
+  if (body.is_compound !== undefined) data.is_compound = !!body.is_compound;
+  if (body.is_active !== undefined) data.is_active = !!body.is_active;
+  if (body.sequence !== undefined) data.sequence = parseInt(body.sequence, 10) || 0;
+  if (body.exempt_categories !== undefined) {
+    if (!Array.isArray(body.exempt_categories)) {
+      throw new AppError('exempt_categories must be an array of category names', 400, 'VALIDATION_ERROR');
+    }
+    data.exempt_categories = [...new Set(body.exempt_categories.map(c => String(c).trim()).filter(Boolean))];
+  }
+  for (const field of ['effective_from', 'effective_to']) {
+    if (body[field] === undefined) continue;
+    if (body[field] && isNaN(new Date(body[field]).getTime())) {
+      throw new AppError(`${field} must be a date (YYYY-MM-DD)`, 400, 'VALIDATION_ERROR');
+    }
+    data[field] = body[field] || null;
+  }
+
+  return data;
+}
+
+function checkEffectiveWindow(rule) {
+  if (rule.effective_from && rule.effective_to && rule.effective_to < rule.effective_from) {
+    throw new AppError('effective_to must be on or after effective_from', 400, 'VALIDATION_ERROR');
+  }
+}
+
+async function checkCodeUnique(code, excludeId = null) {
+  const where = { code };
+  if (excludeId) where.id = { [Op.ne]: excludeId };
+  const existing = await TaxRule.findOne({ where });
+  if (existing) {
+    throw new AppError(`A tax rule with code ${code} already exists`, 409, 'DUPLICATE_CODE');
+  }
+}
+
+/**
+ * GET /api/v1/tax-rules
+ * List tax rules in invoice order. ?active=true limits to active rules.
+ */
+exports.list = asyncHandler(async (req, res) => {
+  const where = {};
+  if (req.query.active === 'true') where.is_active = true;
+
+  const taxRules = await TaxRule.findAll({
+    where,
+    order: [['sequence', 'ASC'], ['id', 'ASC']]
+  });
+
+  res.json({
+    success: true,
+    data: { taxRules }
+  });
+});
+
+/**
+ * POST /api/v1/tax-rules
+ * Create a tax rule (Admin only)
+ */
+exports.create = asyncHandler(async (req, res) => {
+  const data = parseRuleInput(req.body);
+  if (!data.code || !data.name || data.rate_percent === undefined) {
+    throw new AppError('code, name and rate_percent are required', 400, 'VALIDATION_ERROR');
+  }
+  checkEffectiveWindow(data);
+  await checkCodeUnique(data.code);
+
+  const taxRule = await TaxRule.create({
+    ...data,
+    created_by: req.user?.id,
+    updated_by: req.user?.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { taxRule }
+  });
+});
+
+/**
+ * PUT /api/v1/tax-rules/:id
+ * Update a tax rule (Admin only)
+ */
+exports.update = asyncHandler(async (req, res) => {
+  const taxRule = await TaxRule.findByPk(req.params.id);
+  if (!taxRule) {
+    throw new AppError('Tax rule not found', 404, 'NOT_FOUND');
+  }
+
+  const data = parseRuleInput(req.body);
+  checkEffectiveWindow({ ...taxRule.toJSON(), ...data });
+  if (data.code && data.code !== taxRule.code) {
+    await checkCodeUnique(data.code, taxRule.id);
+  }
+
+  await taxRule.update({ ...data, updated_by: req.user?.id });
+
+  res.json({
+    success: true,
+    data: { taxRule }
+  });
+});
+
+/**
+ * DELETE /api/v1/tax-rules/:id
+ * Delete a tax rule (Admin only). Rules already charged on invoices are
+ * kept for the record — set them inactive or close the effective window.
+ */
+exports.remove = asyncHandler(async (req, res) => {
+  const taxRule = await TaxRule.findByPk(req.params.id);
+  if (!taxRule) {
+    throw new AppError('Tax rule not found', 404, 'NOT_FOUND');
+  }
+
+  const usedCount = await InvoiceTaxLine.count({ where: { tax_rule_id: taxRule.id } });
+  if (usedCount > 0) {
+    throw new AppError(
+      `Cannot delete: ${usedCount} invoice(s) carry this tax. Deactivate it or set effective_to instead.`,
+      400,
+      'IN_USE'
+    );
+  }
+
+  await taxRule.destroy();
+
+  res.json({
+    success: true,
+    data: { message: 'Tax rule deleted' }
+  });
+});
@@ -0,0 +1,838 @@
+/**
+ * Warranty Controller
+ *
+ * Customer-facing warranties on serialized units and the claims made
+ * against them. Warranties are issued automatically when an invoice is paid
+ * (see Invoice.handlePaidTransition); POST / registers one manually.
+ * Claim workflow: submitted → approved → completed, or submitted → rejected
+ */
+
+const {
+  CustomerWarranty, CustomerWarrantyClaim, CustomerCredit, RepairTicket,
+  Invoice, InvoiceItem, Asset, AssetUnit, Customer, User,
+  InventoryItemEvent, ActivityLog, sequelize
+} = require('../models');
+const { Op } = require('sequelize');
+const { resolveRepairConditions, applyRepairState } = require('../services/repairStateService');
+
+// Async handler wrapper
+const asyncHandler = handler => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+const today = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Standard include set for warranty queries
+ */
+function warrantyIncludes() {
+  return [
+    {
+      model: AssetUnit,
+      as: 'unit',
+      attributes: ['id', 'serial_number', 'imei', 'status', 'asset_id'],
+      include: [{
+        model: Asset,
+        as: 'product',
+        attributes: ['id', 'asset_tag', 'make', 'model', 'category', 'asset_type']
+      }]
+    },
+    {
+      model: Customer,
+      as: 'customer',
+      attributes: ['id', 'first_name', 'last_name', 'company_name', 'phone_raw', 'email'],
+      required: false
+    },
+    {
+      model: Invoice,
+      as: 'invoice',
+      attributes: ['id', 'invoice_number', 'invoice_date', 'currency'],
+      required: false
+    }
+  ];
+}
+
+/**
+ * Standard include set for claim queries
+ */
+function claimIncludes() {
+  return [
+    { model: CustomerWarranty, as: 'warranty', include: warrantyIncludes() },
+    {
+      model: RepairTicket,
+      as: 'repairTicket',
+      attributes: ['id', 'ticket_number', 'status', 'outcome'],
+      required: false
+    },
+    {
+      model: AssetUnit,
+      as: 'replacementUnit',
+      attributes: ['id', 'serial_number', 'asset_id'],
+      required: false
+    },
+    {
+      model: CustomerCredit,
+      as: 'customerCredit',
+      attributes: ['id', 'currency', 'original_amount', 'remaining_amount', 'status'],
+      required: false
+    },
+    { model: User, as: 'reviewer', attributes: ['id', 'full_name'], required: false },
+    { model: User, as: 'completer', attributes: ['id', 'full_name'], required: false },
+    { model: User, as: 'creator', attributes: ['id', 'full_name'], required: false }
+  ];
+}
+
+function serializeWarranty(warranty) {
+  return {
+    ...warranty.toJSON(),
+    display_status: warranty.getDisplayStatus(),
+    coverage: CustomerWarranty.TIERS[warranty.warranty_tier]?.coverage || null
+  };
+}
+
+/**
+ * GET /api/v1/warranties
+ * List customer warranties with filters and pagination.
+ *
+ * Query: status (active|expired|replaced|void), customer_id, warranty_tier,
+ *        expiring_within_days, search (warranty number / serial), page, limit
+ */
+exports.list = asyncHandler(async (req, res) => {
+  const {
+    status, customer_id, warranty_tier, expiring_within_days, search,
+    page = 1, limit = 50
+  } = req.query;
+
+  const where = {};
+  const asOf = today();
+
+  if (status === 'active') {
+    where.status = 'active';
+    where.end_date = { [Op.gte]: asOf };
+  } else if (status === 'expired') {
+    where.status = 'active';
+    where.end_date = { [Op.lt]: asOf };
+  } else if (status) {
+    where.status = status;
+  }
+
+  if (expiring_within_days) {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() + parseInt(expiring_within_days, 10));
+    where.status = 'active';
+    where.end_date = { [Op.between]: [asOf, cutoff.toISOString().split('T')[0]] };
+  }
+
+  if (customer_id) where.customer_id = customer_id;
+  if (warranty_tier) where.warranty_tier = warranty_tier;
+  if (search) {
+    where[Op.or] = [
+      { warranty_number: { [Op.iLike]: `%${search}%` } },
+      { '$unit.serial_number$': { [Op.iLike]: `%${search}%` } }
+    ];
+  }
+
+  const offset = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+  const { rows, count } = await CustomerWarranty.findAndCountAll({
+    where,
+    include: warrantyIncludes(),
+    order: [['created_at', 'DESC']],
+    limit: parseInt(limit, 10),
+    offset,
+    distinct: true,
+    subQuery: false
+  });
+
+  res.json({
+    success: true,
+    data: rows.map(serializeWarranty),
+    meta: {
+      total: count,
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      totalPages: Math.ceil(count / parseInt(limit, 10))
+    }
+  });
+});
+
+/**
+ * GET /api/v1/warranties/:id
+ * Get a warranty with its claims
+ */
+exports.getById = asyncHandler(async (req, res) => {
+  const warranty = await CustomerWarranty.findByPk(req.params.id, {
+    include: [
+      ...warrantyIncludes(),
+      { model: CustomerWarranty, as: 'replacesWarranty', attributes: ['id', 'warranty_number', 'asset_unit_id'], required: false },
+      { model: CustomerWarrantyClaim, as: 'claims', required: false }
+    ],
+    order: [[{ model: CustomerWarrantyClaim, as: 'claims' }, 'created_at', 'DESC']]
+  });
+
+  if (!warranty) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Warranty not found' }
+    });
+  }
+
+  res.json({
+    success: true,
+    data: serializeWarranty(warranty)
+  });
+});
+
+/**
+ * POST /api/v1/warranties
+ * Register a warranty manually, e.g. for units sold before warranties were
+ * tracked or when the tier is changed after sale.
+ *
+ * Body: { invoice_item_id } or { asset_unit_id, customer_id? },
+ *       plus warranty_tier?, start_date?
+ */
+exports.create = asyncHandler(async (req, res) => {
+  const { invoice_item_id, warranty_tier = CustomerWarranty.DEFAULT_TIER, start_date } = req.body;
+  let { asset_unit_id, customer_id } = req.body;
+  const userId = req.user.id;
+
+  if (!CustomerWarranty.TIERS[warranty_tier]) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVALID_WARRANTY_TIER', message: `Warranty tier must be one of: ${Object.keys(CustomerWarranty.TIERS).join(', ')}` }
+    });
+  }
+
+  if (!invoice_item_id && !asset_unit_id) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'invoice_item_id or asset_unit_id is required' }
+    });
+  }
+
+  let item = null;
+  let invoice = null;
+  if (invoice_item_id) {
+    item = await InvoiceItem.findByPk(invoice_item_id, {
+      include: [{ model: Invoice, as: 'invoice' }]
+    });
+    if (!item || item.voided_at) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Invoice item not found' }
+      });
+    }
+    if (!item.asset_unit_id) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'NOT_SERIALIZED', message: 'Warranties can only be issued for serialized units' }
+      });
+    }
+    invoice = item.invoice;
+    if (invoice.status !== 'PAID') {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'INVOICE_NOT_PAID', message: 'Warranties are issued once the invoice is paid' }
+      });
+    }
+    asset_unit_id = item.asset_unit_id;
+    customer_id = invoice.customer_id;
+  }
+
+  const unit = await AssetUnit.findByPk(asset_unit_id);
+  if (!unit) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Asset unit not found' }
+    });
+  }
+
+  if (unit.status !== 'Sold') {
+    return res.status(409).json({
+      success: false,
+      error: { code: 'UNIT_NOT_SOLD', message: `Unit is "${unit.status}". Warranties cover sold units only.` }
+    });
+  }
+
+  if (customer_id && !(await Customer.findByPk(customer_id, { attributes: ['id'] }))) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Customer not found' }
+    });
+  }
+
+  const existing = await CustomerWarranty.findOne({
+    where: { asset_unit_id, status: 'active' }
+  });
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      error: { code: 'WARRANTY_EXISTS', message: `Unit already has active warranty ${existing.warranty_number}` }
+    });
+  }
+
+  const startDate = start_date || unit.sold_date || today();
+
+  const t = await sequelize.transaction();
+  try {
+    const warranty = await CustomerWarranty.create({
+      warranty_number: await CustomerWarranty.generateWarrantyNumber(t),
+      customer_id: customer_id || null,
+      invoice_id: invoice?.id || null,
+      invoice_item_id: item?.id || unit.invoice_item_id || null,
+      asset_id: unit.asset_id,
+      asset_unit_id: unit.id,
+      warranty_tier,
+      start_date: startDate,
+      end_date: CustomerWarranty.computeEndDate(startDate, warranty_tier),
+      created_by: userId
+    }, { transaction: t });
+
+    if (item && item.warranty_tier !== warranty_tier) {
+      item.warranty_tier = warranty_tier;
+      await item.save({ transaction: t });
+    }
+
+    await t.commit();
+
+    await ActivityLog.log({
+      actorUserId: userId,
+      actionType: ActivityLog.ACTION_TYPES.WARRANTY_ISSUED,
+      entityType: ActivityLog.ENTITY_TYPES.WARRANTY,
+      entityId: warranty.id,
+      summary: `${warranty_tier} warranty ${warranty.warranty_number} registered for unit ${unit.serial_number}`,
+      metadata: {
+        warrantyNumber: warranty.warranty_number,
+        assetUnitId: unit.id,
+        customerId: customer_id || null,
+        invoiceId: invoice?.id || null,
+        endDate: warranty.end_date
+      }
+    });
+
+    const result = await CustomerWarranty.findByPk(warranty.id, { include: warrantyIncludes() });
+
+    res.status(201).json({
+      success: true,
+      data: serializeWarranty(result),
+      message: 'Warranty registered'
+    });
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+});
+
+/**
+ * GET /api/v1/warranties/claims
+ * List warranty claims with filters and pagination
+ */
+exports.listClaims = asyncHandler(async (req, res) => {
+  const { status, customer_id, warranty_id, page = 1, limit = 50 } = req.query;
+
+  const where = {};
+  if (status) {
+    const statuses = status.split(',').map(s => s.trim()).filter(Boolean);
+    where.status = statuses.length === 1 ? statuses[0] : { [Op.in]: statuses };
+  }
+  if (customer_id) where.customer_id = customer_id;
+  if (warranty_id) where.warranty_id = warranty_id;
+
+  const offset = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+  const { rows, count } = await CustomerWarrantyClaim.findAndCountAll({
+    where,
+    include: claimIncludes(),
+    order: [['created_at', 'DESC']],
+    limit: parseInt(limit, 10),
+    offset,
+    distinct: true
+  });
+
+  res.json({
+    success: true,
+    data: rows,
+    meta: {
+      total: count,
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      totalPages: Math.ceil(count / parseInt(limit, 10))
+    }
+  });
+});
+
+/**
+ * POST /api/v1/warranties/claims
+ * Submit a claim against an active, unexpired warranty.
+ *
+ * Body: { warranty_id } or { serial_number }, plus issue_description, claim_date?
+ */
+exports.submitClaim = asyncHandler(async (req, res) => {
+  const { warranty_id, serial_number, issue_description, claim_date } = req.body;
+  const userId = req.user.id;
+
+  if (!issue_description) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'issue_description is required' }
+    });
+  }
+
+  if (!warranty_id && !serial_number) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'warranty_id or serial_number is required' }
+    });
+  }
+
+  const warranty = warranty_id
+    ? await CustomerWarranty.findByPk(warranty_id, { include: warrantyIncludes() })
+    : await CustomerWarranty.findOne({
+      where: { status: 'active', '$unit.serial_number$': serial_number },
+      include: warrantyIncludes()
+    });
+
+  if (!warranty) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Warranty not found' }
+    });
+  }
+
+  const claimDate = claim_date || today();
+  if (!warranty.isClaimable(claimDate)) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'WARRANTY_NOT_CLAIMABLE',
+        message: `Warranty ${warranty.warranty_number} is ${warranty.getDisplayStatus(claimDate)}`
+      }
+    });
+  }
+
+  const openClaim = await CustomerWarrantyClaim.findOne({
+    where: { warranty_id: warranty.id, status: { [Op.in]: ['submitted', 'approved'] } }
+  });
+  if (openClaim) {
+    return res.status(409).json({
+      success: false,
+      error: { code: 'CLAIM_ALREADY_OPEN', message: `Warranty already has open claim ${openClaim.claim_number}` }
+    });
+  }
+
+  const t = await sequelize.transaction();
+  try {
+    const claim = await CustomerWarrantyClaim.create({
+      claim_number: await CustomerWarrantyClaim.generateClaimNumber(t),
+      warranty_id: warranty.id,
+      customer_id: warranty.customer_id,
+      claim_date: claimDate,
+      issue_description,
+      status: 'submitted',
+      created_by: userId
+    }, { transaction: t });
+
+    await t.commit();
+
+    await ActivityLog.log({
+      actorUserId: userId,
+      actionType: ActivityLog.ACTION_TYPES.WARRANTY_CLAIM_SUBMITTED,
+      entityType: ActivityLog.ENTITY_TYPES.WARRANTY_CLAIM,
+      entityId: claim.id,
+      summary: `Warranty claim ${claim.claim_number} submitted for unit ${warranty.unit.serial_number}`,
+      metadata: {
+        claimNumber: claim.claim_number,
+        warrantyNumber: warranty.warranty_number,
+        customerId: warranty.customer_id
+      }
+    });
+
+    const result = await CustomerWarrantyClaim.findByPk(claim.id, { include: claimIncludes() });
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: 'Warranty claim submitted'
+    });
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+});
+
+/**
+ * PATCH /api/v1/warranties/claims/:id
+ * Approve or reject a submitted claim, or update its notes.
+ *
+ * Body: { status?: 'approved'|'rejected', rejection_reason?, notes?,
+ *         create_repair_ticket?, assigned_to? }
+ * Approving with create_repair_ticket opens a walk-in repair ticket for the
+ * customer's unit and links it to the claim.
+ */
+exports.updateClaim = asyncHandler(async (req, res) => {
+  const { status, rejection_reason, notes, create_repair_ticket, assigned_to } = req.body;
+  const userId = req.user.id;
+
+  const claim = await CustomerWarrantyClaim.findByPk(req.params.id, {
+    include: [{ model: CustomerWarranty, as: 'warranty', include: warrantyIncludes() }]
+  });
+
+  if (!claim) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Warranty claim not found' }
+    });
+  }
+
+  if (!claim.isOpen()) {
+    return res.status(409).json({
+      success: false,
+      error: { code: 'CLAIM_CLOSED', message: `Claim is ${claim.status} and cannot be modified` }
+    });
+  }
+
+  if (status && !['approved', 'rejected'].includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'status must be approved or rejected. Use the complete action to close a claim.' }
+    });
+  }
+
+  if (status && claim.status !== 'submitted') {
+    return res.status(409).json({
+      success: false,
+      error: { code: 'INVALID_TRANSITION', message: `Claim is already ${claim.status}` }
+    });
+  }
+
+  if (status === 'rejected' && !rejection_reason) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'rejection_reason is required when rejecting a claim' }
+    });
+  }
+
+  if (create_repair_ticket && status !== 'approved') {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'A repair ticket can only be opened when approving a claim' }
+    });
+  }
+
+  if (assigned_to) {
+    const tech = await User.findByPk(assigned_to, { attributes: ['id', 'is_active'] });
+    if (!tech || !tech.is_active) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'INVALID_TECHNICIAN', message: 'Assigned technician not found or inactive' }
+      });
+    }
+  }
+
+  const warranty = claim.warranty;
+
+  const t = await sequelize.transaction();
+  try {
+    if (notes !== undefined) claim.notes = notes;
+
+    let ticket = null;
+    if (status) {
+      claim.status = status;
+      claim.reviewed_by = userId;
+      claim.reviewed_at = new Date();
+      if (status === 'rejected') claim.rejection_reason = rejection_reason;
+    }
+
+    if (create_repair_ticket) {
+      const product = warranty.unit.product;
+      const ticketNumber = await RepairTicket.generateTicketNumber(t);
+      ticket = RepairTicket.build({
+        ticket_number: ticketNumber,
+        intake_date: today(),
+        customer_id: warranty.customer_id,
+        device_description: product ? `${product.make} ${product.model}` : null,
+        device_serial: warranty.unit.serial_number,
+        issue_description: `Warranty claim ${claim.claim_number}: ${claim.issue_description}`,
+        assigned_to: assigned_to || null,
+        status: 'received',
+        created_by: userId
+      });
+      ticket.addHistory(null, 'received', `Opened from warranty claim ${claim.claim_number}`, req.user);
+      await ticket.save({ transaction: t });
+      claim.repair_ticket_id = ticket.id;
+    }
+
+    await claim.save({ transaction: t });
+    await t.commit();
+
+    if (status) {
+      await ActivityLog.log({
+        actorUserId: userId,
+        actionType: status === 'approved'
+          ? ActivityLog.ACTION_TYPES.WARRANTY_CLAIM_APPROVED
+          : ActivityLog.ACTION_TYPES.WARRANTY_CLAIM_REJECTED,
+        entityType: ActivityLog.ENTITY_TYPES.WARRANTY_CLAIM,
+        entityId: claim.id,
+        summary: `Warranty claim ${claim.claim_number} ${status}`,
+        metadata: {
+          claimNumber: claim.claim_number,
+          warrantyNumber: warranty.warranty_number,
+          rejectionReason: rejection_reason || null,
+          repairTicketNumber: ticket?.ticket_number || null
+        }
+      });
+    }
+
+    if (ticket) {
+      await ActivityLog.log({
+        actorUserId: userId,
+        actionType: ActivityLog.ACTION_TYPES.REPAIR_TICKET_CREATED,
+        entityType: ActivityLog.ENTITY_TYPES.REPAIR_TICKET,
+        entityId: ticket.id,
+        summary: `Repair ticket ${ticket.ticket_number} opened for warranty claim ${claim.claim_number}`,
+        metadata: {
+          ticketNumber: ticket.ticket_number,
+          claimNumber: claim.claim_number,
+          customerId: warranty.customer_id,
+          assignedTo: assigned_to || null
+        }
+      });
+    }
+
+    const result = await CustomerWarrantyClaim.findByPk(claim.id, { include: claimIncludes() });
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Warranty claim updated'
+    });
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+});
+
+/**
+ * POST /api/v1/warranties/claims/:id/complete
+ * Close an approved claim and record how it was resolved.
+ *
+ * Body: { resolution_type: 'repaired'|'replacement'|'store_credit'|'none',
+ *         replacement_unit_id?, credit_amount?, notes? }
+ *
+ * - replacement: the replacement unit (must be Available) is marked Sold and
+ *   receives a new warranty ending on the original end date; the original
+ *   unit comes back into stock as In Repair and its warranty is marked replaced.
+ * - store_credit: issues a CustomerCredit in the invoice currency.
+ */
+exports.completeClaim = asyncHandler(async (req, res) => {
+  const { resolution_type, replacement_unit_id, notes } = req.body;
+  const userId = req.user.id;
+
+  if (!CustomerWarrantyClaim.RESOLUTIONS.includes(resolution_type)) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: `resolution_type must be one of: ${CustomerWarrantyClaim.RESOLUTIONS.join(', ')}` }
+    });
+  }
+
+  const claim = await CustomerWarrantyClaim.findByPk(req.params.id, {
+    include: [
+      { model: CustomerWarranty, as: 'warranty', include: warrantyIncludes() },
+      { model: RepairTicket, as: 'repairTicket', required: false }
+    ]
+  });
+
+  if (!claim) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Warranty claim not found' }
+    });
+  }
+
+  if (claim.status !== 'approved') {
+    return res.status(409).json({
+      success: false,
+      error: { code: 'INVALID_STATUS', message: `Only approved claims can be completed (claim is ${claim.status})` }
+    });
+  }
+
+  const warranty = claim.warranty;
+
+  if (resolution_type === 'repaired' && claim.repairTicket &&
+      !['repaired', 'returned'].includes(claim.repairTicket.status)) {
+    return res.status(409).json({
+      success: false,
+      error: { code: 'REPAIR_NOT_FINISHED', message: `Repair ticket ${claim.repairTicket.ticket_number} is still open` }
+    });
+  }
+
+  if (resolution_type === 'replacement' && !replacement_unit_id) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'replacement_unit_id is required for a replacement' }
+    });
+  }
+
+  let creditAmount = null;
+  let creditCurrency = null;
+  let customer = null;
+  if (resolution_type === 'store_credit') {
+    creditAmount = parseFloat(req.body.credit_amount);
+    if (!Number.isFinite(creditAmount) || creditAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: 'credit_amount must be a positive number' }
+      });
+    }
+    if (!warranty.customer_id) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'NO_CUSTOMER', message: 'Store credit requires a warranty linked to a customer' }
+      });
+    }
+    customer = await Customer.findByPk(warranty.customer_id);
+    creditCurrency = warranty.invoice?.currency || 'GHS';
+
+    // Credit cannot exceed what the customer paid for the unit
+    if (warranty.invoice_item_id) {
+      const item = await InvoiceItem.findByPk(warranty.invoice_item_id, { attributes: ['id', 'line_total_amount'] });
+      if (item && creditAmount > item.line_total_amount) {
+        return res.status(400).json({
+          success: false,
+          error: { code: 'CREDIT_EXCEEDS_PRICE', message: `credit_amount cannot exceed the sale price of ${creditCurrency} ${item.line_total_amount}` }
+        });
+      }
+    }
+  }
+
+  const conditions = resolution_type === 'replacement' ? await resolveRepairConditions() : null;
+
+  const t = await sequelize.transaction();
+  try {
+    let replacementUnit = null;
+    let replacementWarranty = null;
+    let credit = null;
+
+    if (resolution_type === 'replacement') {
+      replacementUnit = await AssetUnit.findByPk(replacement_unit_id, { transaction: t, lock: true });
+      if (!replacementUnit) {
+        await t.rollback();
+        return res.status(404).json({
+          success: false,
+          error: { code: 'NOT_FOUND', message: 'Replacement unit not found' }
+        });
+      }
+      if (replacementUnit.status !== 'Available') {
+        await t.rollback();
+        return res.status(409).json({
+          success: false,
+          error: { code: 'UNIT_UNAVAILABLE', message: `Replacement unit is "${replacementUnit.status}", not Available` }
+        });
+      }
+
+      const originalUnit = await AssetUnit.findByPk(warranty.asset_unit_id, { transaction: t, lock: true });
+
+      // Replacement goes out to the customer on the original sale line
+      replacementUnit.status = 'Sold';
+      replacementUnit.sold_date = today();
+      replacementUnit.invoice_item_id = warranty.invoice_item_id;
+      await replacementUnit.save({ transaction: t });
+
+      // Faulty unit comes back into our stock for repair
+      originalUnit.status = 'In Repair';
+      originalUnit.sold_date = null;
+      originalUnit.invoice_item_id = null;
+      applyRepairState(originalUnit, 'under_repair', conditions, {
+        note: `Returned under warranty claim ${claim.claim_number}: ${claim.issue_description}`,
+        userId,
+        userName: req.user.full_name || req.user.username
+      });
+      await originalUnit.save({ transaction: t });
+
+      warranty.status = 'replaced';
+      await warranty.save({ transaction: t });
+
+      // Remaining cover transfers to the replacement unit
+      replacementWarranty = await CustomerWarranty.create({
+        warranty_number: await CustomerWarranty.generateWarrantyNumber(t),
+        customer_id: warranty.customer_id,
+        invoice_id: warranty.invoice_id,
+        invoice_item_id: warranty.invoice_item_id,
+        asset_id: replacementUnit.asset_id,
+        asset_unit_id: replacementUnit.id,
+        warranty_tier: warranty.warranty_tier,
+        start_date: today(),
+        end_date: warranty.end_date,
+        replaces_warranty_id: warranty.id,
+        created_by: userId
+      }, { transaction: t });
+
+      claim.replacement_unit_id = replacementUnit.id;
+      claim.replacement_warranty_id = replacementWarranty.id;
+
+      await InventoryItemEvent.logWarrantyReplacement(replacementUnit.asset_id, claim, replacementUnit, 'issued', userId, t);
+      await InventoryItemEvent.logWarrantyReplacement(originalUnit.asset_id, claim, originalUnit, 'received', userId, t);
+
+      const assetIds = [...new Set([replacementUnit.asset_id, originalUnit.asset_id])];
+      for (const assetId of assetIds) {
+        const asset = await Asset.findByPk(assetId, { transaction: t });
+        if (asset) await asset.updateComputedStatus(t);
+      }
+    }
+
+    if (resolution_type === 'store_credit') {
+      credit = await CustomerCredit.create({
+        customer_id: warranty.customer_id,
+        currency: creditCurrency,
+        original_amount: creditAmount,
+        remaining_amount: creditAmount,
+        status: 'ACTIVE',
+        source_type: 'WARRANTY_CLAIM',
+        source_warranty_claim_id: claim.id,
+        created_by_user_id: userId
+      }, { transaction: t });
+      claim.customer_credit_id = credit.id;
+    }
+
+    claim.status = 'completed';
+    claim.resolution_type = resolution_type;
+    if (notes !== undefined) claim.notes = notes;
+    claim.completed_by = userId;
+    claim.completed_at = new Date();
+    await claim.save({ transaction: t });
+
+    await t.commit();
+
+    if (credit) {
+      await ActivityLog.logStoreCreditCreated(credit, customer, userId);
+    }
+
+    await ActivityLog.log({
+      actorUserId: userId,
+      actionType: ActivityLog.ACTION_TYPES.WARRANTY_CLAIM_COMPLETED,
+      entityType: ActivityLog.ENTITY_TYPES.WARRANTY_CLAIM,
+      entityId: claim.id,
+      summary: `Warranty claim ${claim.claim_number} completed (${resolution_type})`,
+      metadata: {
+        claimNumber: claim.claim_number,
+        warrantyNumber: warranty.warranty_number,
+        resolutionType: resolution_type,
+        replacementUnitId: replacementUnit?.id || null,
+        replacementWarrantyNumber: replacementWarranty?.warranty_number || null,
+        creditId: credit?.id || null,
+        creditAmount
+      }
+    });
+
+    const result = await CustomerWarrantyClaim.findByPk(claim.id, { include: claimIncludes() });
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Warranty claim completed'
+    });
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+});
@@ -0,0 +1,306 @@
+/**
+ * Webhook Controller
+ *
+ * Outbound webhook subscriptions and their delivery log.
+ *
+ * - A subscription is an HTTPS URL plus the events it wants. Its signing
+ *   secret is returned once, on create or rotate; after that only a hint is
+ *   shown.
+ * - Every event sent is kept as a delivery with its attempts, last response
+ *   and next retry. Any delivery can be replayed.
+ *
+ * See services/webhookService.js for the event list and signature scheme.
+ */
+
+const { WebhookSubscription, WebhookDelivery, ActivityLog, User } = require('../models');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const {
+  EVENTS,
+  EVENT_LABELS,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  RETRY_DELAYS_MINUTES,
+  generateSecret,
+  validateEndpointUrl,
+  replayDelivery
+} = require('../services/webhookService');
+
+function parseUrl(value) {
+  const error = validateEndpointUrl(value);
+  if (error) {
+    throw new AppError(error, 400, 'VALIDATION_ERROR', { url: error });
+  }
+  return String(value).trim();
+}
+
+function parseEvents(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new AppError('Choose at least one event', 400, 'VALIDATION_ERROR', { events: 'Required' });
+  }
+  const events = [...new Set(value.map(event => String(event).trim()))];
+  const unknown = events.filter(event => event !== '*' && !EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown events: ${unknown.join(', ')}`, 400, 'VALIDATION_ERROR', { events: `Must be from: ${EVENTS.join(', ')}` });
+  }
+  return events.includes('*') ? ['*'] : events;
+}
+
+async function loadSubscription(id) {
+  const subscription = await WebhookSubscription.findByPk(id);
+  if (!subscription) {
+    throw new AppError('Webhook subscription not found', 404, 'NOT_FOUND');
+  }
+  return subscription;
+}
+
+function serializeDelivery(delivery, { withPayload = false } = {}) {
+  const json = delivery.toJSON();
+  if (!withPayload) delete json.payload;
+  return { ...json, status_label: delivery.getStatusLabel() };
+}
+
+/**
+ * GET /webhooks/events
+ * Events a subscription can choose from, and how requests are signed
+ */
+exports.listEvents = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      events: EVENTS.map(event => ({ event, label: EVENT_LABELS[event] })),
+      signature_header: SIGNATURE_HEADER,
+      timestamp_header: TIMESTAMP_HEADER,
+      signature_algorithm: 'HMAC-SHA512 (hex) of "<timestamp>.<raw request body>"',
+      retry_delays_minutes: RETRY_DELAYS_MINUTES
+    }
+  });
+});
+
+/**
+ * GET /webhooks
+ */
+exports.list = asyncHandler(async (req, res) => {
+  const subscriptions = await WebhookSubscription.findAll({
+    include: [{ model: User, as: 'creator', attributes: ['id', 'full_name'] }],
+    order: [['created_at', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    data: { subscriptions: subscriptions.map(sub => sub.toSafeJSON()) }
+  });
+});
+
+/**
+ * GET /webhooks/:id
+ */
+exports.getById = asyncHandler(async (req, res) => {
+  const subscription = await loadSubscription(req.params.id);
+
+  const [pending, failed] = await Promise.all([
+    WebhookDelivery.count({ where: { subscription_id: subscription.id, status: 'pending' } }),
+    WebhookDelivery.count({ where: { subscription_id: subscription.id, status: 'failed' } })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      ...subscription.toSafeJSON(),
+      pending_deliveries: pending,
+      failed_deliveries: failed
+    }
+  });
+});
+
+/**
+ * POST /webhooks
+ * Body: { url, events, description?, is_active? }
+ */
+exports.create = asyncHandler(async (req, res) => {
+  const { url, events, description, is_active } = req.body;
+
+  const subscription = await WebhookSubscription.create({
+    url: parseUrl(url),
+    events: parseEvents(events),
+    description: description ? String(description).trim() : null,
+    is_active: is_active === undefined ? true : Boolean(is_active),
+    secret: generateSecret(),
+    created_by: req.user.id
+  });
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.WEBHOOK_SUBSCRIPTION_CREATED,
+    entityType: ActivityLog.ENTITY_TYPES.WEBHOOK_SUBSCRIPTION,
+    entityId: subscription.id,
+    summary: `Webhook added for ${subscription.url}`,
+    metadata: { url: subscription.url, events: subscription.events }
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { ...subscription.toSafeJSON(), secret: subscription.secret },
+    message: 'Webhook added. Copy the signing secret now — it will not be shown again.'
+  });
+});
+
+/**
+ * PUT /webhooks/:id
+ * Body: { url?, events?, description?, is_active? }
+ */
+exports.update = asyncHandler(async (req, res) => {
+  const subscription = await loadSubscription(req.params.id);
+  const { url, events, description, is_active } = req.body;
+
+  if (url !== undefined) subscription.url = parseUrl(url);
+  if (events !== undefined) subscription.events = parseEvents(events);
+  if (description !== undefined) subscription.description = description ? String(description).trim() : null;
+  if (is_active !== undefined) subscription.is_active = Boolean(is_active);
+
+  const changed = subscription.changed() || [];
+  await subscription.save();
+
+  if (changed.length > 0) {
+    await ActivityLog.log({
+      actorUserId: req.user.id,
+      actionType: ActivityLog.ACTION_TYPES.WEBHOOK_SUBSCRIPTION_UPDATED,
+      entityType: ActivityLog.ENTITY_TYPES.WEBHOOK_SUBSCRIPTION,
+      entityId: subscription.id,
+      summary: `Webhook for ${subscription.url} updated: ${changed.join(', ')}`,
+      metadata: { changedFields: changed, url: subscription.url, events: subscription.events, isActive: subscription.is_active }
+    });
+  }
+
+  res.json({ success: true, data: subscription.toSafeJSON() });
+});
+
+/**
+ * POST /webhooks/:id/rotate-secret
+ * Issues a new signing secret; the old one stops working immediately
+ */
+exports.rotateSecret = asyncHandler(async (req, res) => {
+  const subscription = await loadSubscription(req.params.id);
+
+  subscription.secret = generateSecret();
+  await subscription.save();
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.WEBHOOK_SUBSCRIPTION_UPDATED,
+    entityType: ActivityLog.ENTITY_TYPES.WEBHOOK_SUBSCRIPTION,
+    entityId: subscription.id,
+    summary: `Webhook secret rotated for ${subscription.url}`,
+    metadata: { changedFields: ['secret'], url: subscription.url }
+  });
+
+  res.json({
+    success: true,
+    data: { ...subscription.toSafeJSON(), secret: subscription.secret },
+    message: 'Secret rotated. Copy the new signing secret now — it will not be shown again.'
+  });
+});
+
+/**
+ * DELETE /webhooks/:id
+ * Removes the subscription and its delivery log
+ */
+exports.remove = asyncHandler(async (req, res) => {
+  const subscription = await loadSubscription(req.params.id);
+  const { id, url } = subscription;
+
+  await WebhookDelivery.destroy({ where: { subscription_id: id } });
+  await subscription.destroy();
+
+  await ActivityLog.log({
+    actorUserId: req.user.id,
+    actionType: ActivityLog.ACTION_TYPES.WEBHOOK_SUBSCRIPTION_DELETED,
+    entityType: ActivityLog.ENTITY_TYPES.WEBHOOK_SUBSCRIPTION,
+    entityId: id,
+    summary: `Webhook for ${url} deleted`,
+    metadata: { url }
+  });
+
+  res.json({ success: true, message: 'Webhook deleted' });
+});
+
+/**
+ * GET /webhooks/deliveries
+ * Query: subscription_id, status, event, event_id, page, limit
+ */
+exports.listDeliveries = asyncHandler(async (req, res) => {
+  const { subscription_id, status, event, event_id, page = 1, limit = 50 } = req.query;
+
+  const where = {};
+  if (subscription_id) where.subscription_id = subscription_id;
+  if (status) where.status = status;
+  if (event) where.event = event;
+  if (event_id) where.event_id = event_id;
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+
+  const { rows, count } = await WebhookDelivery.findAndCountAll({
+    where,
+    include: [{ model: WebhookSubscription, as: 'subscription', attributes: ['id', 'url', 'description'] }],
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit: limitNum,
+    offset: (pageNum - 1) * limitNum
+  });
+
+  res.json({
+    success: true,
+    data: {
+      deliveries: rows.map(delivery => serializeDelivery(delivery)),
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(count / limitNum)
+      }
+    }
+  });
+});
+
+/**
+ * GET /webhooks/deliveries/:id
+ * One delivery with the payload that was sent
+ */
+exports.getDelivery = asyncHandler(async (req, res) => {
+  const delivery = await WebhookDelivery.findByPk(req.params.id, {
+    include: [
+      { model: WebhookSubscription, as: 'subscription', attributes: ['id', 'url', 'description'] },
+      { model: User, as: 'replayer', attributes: ['id', 'full_name'] }
+    ]
+  });
+  if (!delivery) {
+    throw new AppError('Webhook delivery not found', 404, 'NOT_FOUND');
+  }
+
+  res.json({ success: true, data: serializeDelivery(delivery, { withPayload: true }) });
+});
+
+/**
+ * POST /webhooks/deliveries/:id/replay
+ * Sends the delivery's event again as a new delivery and returns its outcome
+ */
+exports.replay = asyncHandler(async (req, res) => {
+  const original = await WebhookDelivery.findByPk(req.params.id, {
+    include: [{ model: WebhookSubscription, as: 'subscription' }]
+  });
+  if (!original) {
+    throw new AppError('Webhook delivery not found', 404, 'NOT_FOUND');
+  }
+  if (!original.subscription.is_active) {
+    throw new AppError('Enable the webhook before replaying its deliveries', 409, 'SUBSCRIPTION_DISABLED');
+  }
+
+  const replay = await replayDelivery(original, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: serializeDelivery(replay, { withPayload: true }),
+    message: replay.status === 'succeeded'
+      ? 'Delivered'
+      : `Delivery failed (${replay.last_error}); it will be retried`
+  });
+});
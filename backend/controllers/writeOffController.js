@@ -4,7 +4,7 @@
  * Inventory write-off management with approval workflow
  */
 
-const { Asset, AssetUnit, User, InventoryWriteOff, Expense, ExpenseCategory, ActivityLog, sequelize } = require('../models');
+const { Asset, AssetUnit, User, InventoryWriteOff, Expense, ExpenseCategory, ActivityLog, StockMovement, sequelize } = require('../models');
 const { Op } = require('sequelize');
 const { getExchangeRate } = require('../services/exchangeRateService');
 
@@ -78,7 +78,7 @@ async function generateWriteOffNumber(offset = 0) {
 /**
  * Restore inventory for a write-off (used by reject and reverse)
  */
-async function restoreInventory(writeOff, t) {
+async function restoreInventory(writeOff, userId, t) {
   const asset = await Asset.findByPk(writeOff.asset_id, { transaction: t });
 
   if (asset.is_serialized && writeOff.asset_unit_id) {
@@ -88,8 +88,12 @@ async function restoreInventory(writeOff, t) {
       await unit.save({ transaction: t });
     }
   } else {
-    asset.quantity = (parseInt(asset.quantity, 10) || 0) + writeOff.quantity;
-    await asset.save({ transaction: t });
+    await StockMovement.record(asset, writeOff.quantity, 'write_off_reversal', {
+      referenceType: 'write_off',
+      referenceId: writeOff.id,
+      notes: `Write-off ${writeOff.write_off_number} ${writeOff.status === 'REJECTED' ? 'rejected' : 'reversed'}`,
+      userId
+    }, t);
   }
 
   await asset.updateComputedStatus(t);
@@ -157,11 +161,13 @@ async function createExpenseFromWriteOff(writeOff, asset, userId, t) {
 }
 
 /**
- * Delete the expense linked to a write-off (used on reverse).
+ * Delete the expense linked to a write-off (used on reverse). Individual
+ * hooks reverse its ledger posting.
  */
 async function deleteExpenseForWriteOff(writeOffId, t) {
   await Expense.destroy({
     where: { write_off_id: writeOffId },
+    individualHooks: true,
     transaction: t
   });
 }
@@ -345,9 +351,6 @@ exports.create = asyncHandler(async (req, res) => {
         });
       }
 
-      // Deduct inventory immediately
-      asset.quantity = currentQty - quantity;
-      await asset.save({ transaction: t });
     }
 
     const totalCost = parseFloat((quantity * unitCost).toFixed(2));
@@ -373,6 +376,16 @@ exports.create = asyncHandler(async (req, res) => {
       approved_at: autoApprove ? new Date() : null
     }, { transaction: t });
 
+    // Deduct bulk inventory immediately
+    if (!asset.is_serialized) {
+      await StockMovement.record(asset, -quantity, 'write_off', {
+        referenceType: 'write_off',
+        referenceId: writeOff.id,
+        notes: `Write-off ${writeOffNumber}: ${reason}`,
+        userId
+      }, t);
+    }
+
     // Update asset computed status
     await asset.updateComputedStatus(t);
 
@@ -612,7 +625,7 @@ exports.reject = asyncHandler(async (req, res) => {
     await writeOff.save({ transaction: t });
 
     // Restore inventory
-    await restoreInventory(writeOff, t);
+    await restoreInventory(writeOff, req.user.id, t);
 
     await t.commit();
   } catch (err) {
@@ -673,7 +686,7 @@ exports.reverse = asyncHandler(async (req, res) => {
     await writeOff.save({ transaction: t });
 
     // Restore inventory
-    await restoreInventory(writeOff, t);
+    await restoreInventory(writeOff, req.user.id, t);
 
     // Remove the linked expense
     await deleteExpenseForWriteOff(writeOff.id, t);
@@ -1,5 +1,6 @@
 const cors = require('cors');
 const crypto = require('crypto');
+const { SESSION_HEADER, hashToken } = require('../services/customerAuthService');
 
 /**
  * Storefront API key authentication middleware.
@@ -32,6 +33,48 @@ function storefrontAuth(req, res, next) {
   next();
 }
 
+/**
+ * Signed-in storefront customer. Expects the session token from
+ * POST /account/verify in the X-Customer-Token header (the Authorization
+ * header carries the API key) and attaches req.customer and
+ * req.customerSession.
+ */
+async function customerAuth(req, res, next) {
+  try {
+    const token = req.headers[SESSION_HEADER];
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: { code: 'NOT_SIGNED_IN', message: 'Sign in to view your account' }
+      });
+    }
+
+    const { CustomerSession, Customer } = require('../models');
+    const session = await CustomerSession.findOne({
+      where: { token_hash: hashToken(token) },
+      include: [{ model: Customer, as: 'customer' }]
+    });
+
+    if (!session || !session.isActive() || !session.customer) {
+      return res.status(401).json({
+        success: false,
+        error: { code: 'SESSION_EXPIRED', message: 'Your session has expired. Please sign in again.' }
+      });
+    }
+
+    // Touch at most every five minutes
+    if (!session.last_used_at || Date.now() - new Date(session.last_used_at).getTime() > 5 * 60 * 1000) {
+      await session.update({ last_used_at: new Date() });
+    }
+
+    req.customerSession = session;
+    req.customer = session.customer;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
 /**
  * CORS middleware for storefront routes.
  * Allows origins listed in STOREFRONT_ALLOWED_ORIGINS env var (comma-separated), defaults to *.
@@ -55,10 +98,10 @@ function storefrontCors() {
 
   return cors({
     origin,
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'x-api-key', 'Authorization'],
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'x-api-key', 'Authorization', SESSION_HEADER],
     credentials: false
   });
 }
 
-module.exports = { storefrontAuth, storefrontCors };
+module.exports = { storefrontAuth, storefrontCors, customerAuth };
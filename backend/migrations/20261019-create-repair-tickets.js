@@ -0,0 +1,137 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // ALTER TYPE ... ADD VALUE cannot run inside a transaction in PostgreSQL
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_inventory_item_events_event_type" ADD VALUE IF NOT EXISTS 'REPAIR_COMPLETED'`
+    );
+
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('repair_tickets', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        ticket_number: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          unique: true
+        },
+        intake_date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        asset_unit_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'asset_units', key: 'id' }
+        },
+        customer_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'customers', key: 'id' }
+        },
+        device_description: {
+          type: Sequelize.STRING(200),
+          allowNull: true
+        },
+        device_serial: {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        },
+        issue_description: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        diagnosis: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        assigned_to: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'received'
+        },
+        parts_cost: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        labour_cost: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        currency: {
+          type: Sequelize.STRING(3),
+          allowNull: false,
+          defaultValue: 'GHS'
+        },
+        outcome: {
+          type: Sequelize.STRING(20),
+          allowNull: true
+        },
+        resolution_notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        status_history: {
+          type: Sequelize.JSONB,
+          allowNull: true,
+          defaultValue: []
+        },
+        completed_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        completed_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        returned_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('repair_tickets', ['status'], { transaction });
+      await queryInterface.addIndex('repair_tickets', ['asset_unit_id'], { transaction });
+      await queryInterface.addIndex('repair_tickets', ['assigned_to'], { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('repair_tickets');
+    // Enum values cannot be removed in PostgreSQL without recreating the type
+  }
+};
@@ -0,0 +1,262 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // ALTER TYPE ... ADD VALUE cannot run inside a transaction in PostgreSQL
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_inventory_item_events_event_type" ADD VALUE IF NOT EXISTS 'WARRANTY_REPLACEMENT'`
+    );
+
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('customer_warranties', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        warranty_number: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          unique: true
+        },
+        customer_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'customers', key: 'id' }
+        },
+        invoice_id: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'invoices', key: 'id' }
+        },
+        invoice_item_id: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'invoice_items', key: 'id' }
+        },
+        asset_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'assets', key: 'id' }
+        },
+        asset_unit_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'asset_units', key: 'id' }
+        },
+        warranty_tier: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'Standard'
+        },
+        start_date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        end_date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'active'
+        },
+        replaces_warranty_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'customer_warranties', key: 'id' }
+        },
+        void_reason: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        voided_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('customer_warranties', ['customer_id'], { transaction });
+      await queryInterface.addIndex('customer_warranties', ['asset_unit_id'], { transaction });
+      await queryInterface.addIndex('customer_warranties', ['invoice_item_id'], { transaction });
+      await queryInterface.addIndex('customer_warranties', ['status', 'end_date'], { transaction });
+
+      await queryInterface.createTable('customer_warranty_claims', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        claim_number: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          unique: true
+        },
+        warranty_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'customer_warranties', key: 'id' }
+        },
+        customer_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'customers', key: 'id' }
+        },
+        claim_date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        issue_description: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'submitted'
+        },
+        reviewed_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        reviewed_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        rejection_reason: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        repair_ticket_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'repair_tickets', key: 'id' }
+        },
+        resolution_type: {
+          type: Sequelize.STRING(20),
+          allowNull: true
+        },
+        replacement_unit_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'asset_units', key: 'id' }
+        },
+        replacement_warranty_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'customer_warranties', key: 'id' }
+        },
+        customer_credit_id: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'customer_credits', key: 'id' }
+        },
+        notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        completed_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        completed_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('customer_warranty_claims', ['warranty_id'], { transaction });
+      await queryInterface.addIndex('customer_warranty_claims', ['status'], { transaction });
+
+      // Warranty tier chosen at the point of sale
+      await queryInterface.addColumn('invoice_items', 'warranty_tier', {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      }, { transaction });
+
+      // Store credit can now come from a warranty claim as well as a return
+      await queryInterface.addColumn('customer_credits', 'source_type', {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'RETURN'
+      }, { transaction });
+      await queryInterface.addColumn('customer_credits', 'source_warranty_claim_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'customer_warranty_claims', key: 'id' }
+      }, { transaction });
+      await queryInterface.changeColumn('customer_credits', 'source_return_id', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'invoice_returns', key: 'id' }
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.sequelize.query(
+        `DELETE FROM customer_credits WHERE source_type = 'WARRANTY_CLAIM'`,
+        { transaction }
+      );
+      await queryInterface.changeColumn('customer_credits', 'source_return_id', {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'invoice_returns', key: 'id' }
+      }, { transaction });
+      await queryInterface.removeColumn('customer_credits', 'source_warranty_claim_id', { transaction });
+      await queryInterface.removeColumn('customer_credits', 'source_type', { transaction });
+      await queryInterface.removeColumn('invoice_items', 'warranty_tier', { transaction });
+      await queryInterface.dropTable('customer_warranty_claims', { transaction });
+      await queryInterface.dropTable('customer_warranties', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+    // Enum values cannot be removed in PostgreSQL without recreating the type
+  }
+};
@@ -0,0 +1,97 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('stock_movements', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        asset_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'assets', key: 'id' }
+        },
+        quantity_change: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        balance_after: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        reason: {
+          type: Sequelize.STRING(30),
+          allowNull: false
+        },
+        reference_type: {
+          type: Sequelize.STRING(30),
+          allowNull: true
+        },
+        reference_id: {
+          type: Sequelize.STRING(64),
+          allowNull: true
+        },
+        notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('stock_movements', ['asset_id', 'created_at'], { transaction });
+      await queryInterface.addIndex('stock_movements', ['reason'], { transaction });
+      await queryInterface.addIndex('stock_movements', ['reference_type', 'reference_id'], { transaction });
+
+      await queryInterface.addColumn('assets', 'reorder_point', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      }, { transaction });
+      await queryInterface.addColumn('assets', 'reorder_quantity', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      }, { transaction });
+
+      // Seed each existing bulk item's ledger with its current quantity
+      await queryInterface.sequelize.query(`
+        INSERT INTO stock_movements (asset_id, quantity_change, balance_after, reason, notes, created_at)
+        SELECT id, quantity, quantity, 'opening_balance', 'Balance at ledger start', NOW()
+        FROM assets
+        WHERE is_serialized = false AND deleted_at IS NULL AND quantity > 0
+      `, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.removeColumn('assets', 'reorder_quantity', { transaction });
+      await queryInterface.removeColumn('assets', 'reorder_point', { transaction });
+      await queryInterface.dropTable('stock_movements', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,188 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('product_models', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        make: {
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        model: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        category: {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        },
+        asset_type: {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        },
+        cpu: {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        },
+        gpu: {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        },
+        ram_gb: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        storage_gb: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        storage_type: {
+          type: Sequelize.STRING(20),
+          allowNull: true
+        },
+        screen_size_inches: {
+          type: Sequelize.DECIMAL(4, 2),
+          allowNull: true
+        },
+        resolution: {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        },
+        default_price_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: true
+        },
+        default_price_currency: {
+          type: Sequelize.STRING(3),
+          allowNull: false,
+          defaultValue: 'GHS'
+        },
+        aliases: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        is_active: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        updated_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      // One catalog entry per make + model, whatever the casing
+      await queryInterface.sequelize.query(
+        'CREATE UNIQUE INDEX product_models_make_model_unique ON product_models (LOWER(make), LOWER(model))',
+        { transaction }
+      );
+      await queryInterface.addIndex('product_models', ['category', 'asset_type'], { transaction });
+      await queryInterface.addIndex('product_models', ['is_active'], { transaction });
+
+      await queryInterface.addColumn('assets', 'product_model_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'product_models', key: 'id' },
+        onDelete: 'SET NULL'
+      }, { transaction });
+      await queryInterface.addIndex('assets', ['product_model_id'], { transaction });
+
+      await queryInterface.addColumn('description_asset_mappings', 'product_model_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'product_models', key: 'id' },
+        onDelete: 'SET NULL'
+      }, { transaction });
+
+      // Group model profitability by catalog model, falling back to the raw
+      // model string for units whose asset is not linked yet
+      await queryInterface.sequelize.query('DROP VIEW IF EXISTS view_model_profitability', { transaction });
+      await queryInterface.sequelize.query(`
+        CREATE VIEW view_model_profitability AS
+        SELECT pm.id AS product_model_id,
+          COALESCE(pm.make, MIN(a.make)) AS make,
+          COALESCE(pm.model, a.model) AS model,
+          au.storage, COUNT(au.id) AS total_units,
+          COUNT(au.id) FILTER (WHERE au.status = 'Sold') AS units_sold,
+          ROUND(AVG(au.cost_amount), 2) AS avg_purchase_usd,
+          ROUND(AVG(au.landed_cost_ghs), 0) AS avg_landed_ghs,
+          ROUND(AVG(au.actual_sell_price_ghs) FILTER (WHERE au.status = 'Sold'), 0) AS avg_actual_sell_ghs,
+          ROUND(AVG(au.actual_margin_percent) FILTER (WHERE au.status = 'Sold'), 1) AS avg_margin,
+          ROUND(AVG(au.days_to_sell) FILTER (WHERE au.status = 'Sold'), 0) AS avg_days_to_sell,
+          ROUND(AVG(au.battery_health_percent), 0) AS avg_bh
+        FROM asset_units au
+        JOIN assets a ON au.asset_id = a.id
+        LEFT JOIN product_models pm ON a.product_model_id = pm.id
+        WHERE COALESCE(pm.category, a.category) = 'Smartphone'
+        GROUP BY pm.id, pm.make, COALESCE(pm.model, a.model), au.storage
+        ORDER BY avg_margin DESC NULLS LAST
+      `, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.sequelize.query('DROP VIEW IF EXISTS view_model_profitability', { transaction });
+      await queryInterface.sequelize.query(`
+        CREATE VIEW view_model_profitability AS
+        SELECT a.model, au.storage, COUNT(au.id) AS total_units,
+          COUNT(au.id) FILTER (WHERE au.status = 'Sold') AS units_sold,
+          ROUND(AVG(au.cost_amount), 2) AS avg_purchase_usd,
+          ROUND(AVG(au.landed_cost_ghs), 0) AS avg_landed_ghs,
+          ROUND(AVG(au.actual_sell_price_ghs) FILTER (WHERE au.status = 'Sold'), 0) AS avg_actual_sell_ghs,
+          ROUND(AVG(au.actual_margin_percent) FILTER (WHERE au.status = 'Sold'), 1) AS avg_margin,
+          ROUND(AVG(au.days_to_sell) FILTER (WHERE au.status = 'Sold'), 0) AS avg_days_to_sell,
+          ROUND(AVG(au.battery_health_percent), 0) AS avg_bh
+        FROM asset_units au JOIN assets a ON au.asset_id = a.id
+        WHERE a.category = 'Smartphone'
+        GROUP BY a.model, au.storage
+        ORDER BY avg_margin DESC NULLS LAST
+      `, { transaction });
+
+      await queryInterface.removeColumn('description_asset_mappings', 'product_model_id', { transaction });
+      await queryInterface.removeColumn('assets', 'product_model_id', { transaction });
+      await queryInterface.dropTable('product_models', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,198 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('tax_rules', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        code: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          unique: true
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        rate_percent: {
+          type: Sequelize.DECIMAL(6, 3),
+          allowNull: false
+        },
+        is_compound: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        sequence: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        exempt_categories: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        effective_from: {
+          type: Sequelize.DATEONLY,
+          allowNull: true
+        },
+        effective_to: {
+          type: Sequelize.DATEONLY,
+          allowNull: true
+        },
+        is_active: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        updated_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('tax_rules', ['is_active', 'sequence'], { transaction });
+
+      await queryInterface.createTable('invoice_tax_lines', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        invoice_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'invoices', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        tax_rule_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'tax_rules', key: 'id' },
+          onDelete: 'SET NULL'
+        },
+        code: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        rate_percent: {
+          type: Sequelize.DECIMAL(6, 3),
+          allowNull: false
+        },
+        is_compound: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        taxable_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        tax_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        sequence: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('invoice_tax_lines', ['invoice_id'], { transaction });
+      await queryInterface.addIndex('invoice_tax_lines', ['code'], { transaction });
+
+      // Existing invoices stay untaxed ('none'); new ones take the company profile's mode
+      await queryInterface.addColumn('invoices', 'tax_mode', {
+        type: Sequelize.STRING(10),
+        allowNull: false,
+        defaultValue: 'none'
+      }, { transaction });
+      await queryInterface.addColumn('invoices', 'tax_amount', {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      }, { transaction });
+      await queryInterface.addColumn('company_profiles', 'tax_mode', {
+        type: Sequelize.STRING(10),
+        allowNull: false,
+        defaultValue: 'none'
+      }, { transaction });
+
+      // Ghana standard rate: flat levies on the value, VAT on value + levies
+      await queryInterface.bulkInsert('tax_rules', [
+        { code: 'NHIL', name: 'National Health Insurance Levy', rate_percent: 2.5, is_compound: false, sequence: 1 },
+        { code: 'GETFUND', name: 'GETFund Levy', rate_percent: 2.5, is_compound: false, sequence: 2 },
+        { code: 'COVID', name: 'COVID-19 Health Recovery Levy', rate_percent: 1, is_compound: false, sequence: 3 },
+        { code: 'VAT', name: 'Value Added Tax', rate_percent: 15, is_compound: true, sequence: 4 }
+      ].map(rule => ({
+        ...rule,
+        exempt_categories: JSON.stringify([]),
+        is_active: true,
+        created_at: new Date(),
+        updated_at: new Date()
+      })), { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.removeColumn('company_profiles', 'tax_mode', { transaction });
+      await queryInterface.removeColumn('invoices', 'tax_amount', { transaction });
+      await queryInterface.removeColumn('invoices', 'tax_mode', { transaction });
+      await queryInterface.dropTable('invoice_tax_lines', { transaction });
+      await queryInterface.dropTable('tax_rules', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,323 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // ALTER TYPE ... ADD VALUE cannot run inside a transaction in PostgreSQL
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_inventory_item_events_event_type" ADD VALUE IF NOT EXISTS 'TRANSFERRED'`
+    );
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_asset_units_status" ADD VALUE IF NOT EXISTS 'In Transit'`
+    );
+
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('locations', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        code: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          unique: true
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        location_type: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'shop'
+        },
+        address: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        phone: {
+          type: Sequelize.STRING(30),
+          allowNull: true
+        },
+        user_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        is_default: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        is_active: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true
+        },
+        notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        updated_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.createTable('location_stocks', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        asset_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'assets', key: 'id' }
+        },
+        location_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'locations', key: 'id' }
+        },
+        quantity: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('location_stocks', ['asset_id', 'location_id'], { unique: true, transaction });
+      await queryInterface.addIndex('location_stocks', ['location_id'], { transaction });
+
+      await queryInterface.addColumn('asset_units', 'location_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'locations', key: 'id' }
+      }, { transaction });
+      await queryInterface.addIndex('asset_units', ['location_id'], {
+        name: 'asset_units_location_id',
+        transaction
+      });
+
+      await queryInterface.addColumn('stock_movements', 'location_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'locations', key: 'id' }
+      }, { transaction });
+
+      await queryInterface.createTable('stock_transfers', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        transfer_number: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          unique: true
+        },
+        from_location_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'locations', key: 'id' }
+        },
+        to_location_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'locations', key: 'id' }
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'draft'
+        },
+        notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        dispatched_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        dispatched_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        received_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        received_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        cancelled_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        cancelled_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        cancel_reason: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('stock_transfers', ['status'], { transaction });
+      await queryInterface.addIndex('stock_transfers', ['from_location_id'], { transaction });
+      await queryInterface.addIndex('stock_transfers', ['to_location_id'], { transaction });
+
+      await queryInterface.createTable('stock_transfer_items', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        transfer_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'stock_transfers', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        asset_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'assets', key: 'id' }
+        },
+        asset_unit_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'asset_units', key: 'id' }
+        },
+        quantity: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 1
+        },
+        received_quantity: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        received_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        received_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('stock_transfer_items', ['transfer_id'], { transaction });
+      await queryInterface.addIndex('stock_transfer_items', ['asset_unit_id'], { transaction });
+
+      // Everything on hand today is at the main shop
+      await queryInterface.sequelize.query(`
+        INSERT INTO locations (code, name, location_type, is_default, is_active, created_at, updated_at)
+        VALUES ('MAIN', 'Main Shop', 'shop', true, true, NOW(), NOW())
+      `, { transaction });
+
+      await queryInterface.sequelize.query(`
+        UPDATE asset_units
+        SET location_id = (SELECT id FROM locations WHERE code = 'MAIN')
+      `, { transaction });
+
+      await queryInterface.sequelize.query(`
+        INSERT INTO location_stocks (asset_id, location_id, quantity, created_at, updated_at)
+        SELECT id, (SELECT id FROM locations WHERE code = 'MAIN'), quantity, NOW(), NOW()
+        FROM assets
+        WHERE is_serialized = false AND deleted_at IS NULL AND quantity > 0
+      `, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      // Units on the road go back on sale once transfers are gone
+      await queryInterface.sequelize.query(
+        `UPDATE asset_units SET status = 'Available' WHERE status = 'In Transit'`,
+        { transaction }
+      );
+      await queryInterface.dropTable('stock_transfer_items', { transaction });
+      await queryInterface.dropTable('stock_transfers', { transaction });
+      await queryInterface.removeColumn('stock_movements', 'location_id', { transaction });
+      await queryInterface.removeColumn('asset_units', 'location_id', { transaction });
+      await queryInterface.dropTable('location_stocks', { transaction });
+      await queryInterface.dropTable('locations', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+    // Enum values cannot be removed in PostgreSQL without recreating the type
+  }
+};
@@ -0,0 +1,313 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('purchase_orders', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        po_number: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          unique: true
+        },
+        supplier_name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        supplier_type: {
+          type: Sequelize.STRING(30),
+          allowNull: false,
+          defaultValue: 'wholesale'
+        },
+        order_date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        expected_arrival_date: {
+          type: Sequelize.DATEONLY,
+          allowNull: true
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'draft'
+        },
+        shipping_cost_per_unit_usd: {
+          type: Sequelize.DECIMAL(8, 2),
+          allowNull: true
+        },
+        shipping_route: {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        },
+        import_duty_rate: {
+          type: Sequelize.DECIMAL(5, 4),
+          allowNull: true
+        },
+        fx_rate_at_purchase: {
+          type: Sequelize.DECIMAL(10, 4),
+          allowNull: true
+        },
+        handling_per_unit_ghs: {
+          type: Sequelize.DECIMAL(8, 2),
+          allowNull: true
+        },
+        warranty_days: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        warranty_type: {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        },
+        sourcing_batch_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'sourcing_batches', key: 'id' }
+        },
+        notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        ordered_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        closed_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        closed_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        close_reason: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('purchase_orders', ['status'], { transaction });
+      await queryInterface.addIndex('purchase_orders', ['supplier_name'], { transaction });
+
+      await queryInterface.createTable('purchase_order_lines', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        purchase_order_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'purchase_orders', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        asset_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'assets', key: 'id' }
+        },
+        description: {
+          type: Sequelize.STRING(200),
+          allowNull: false
+        },
+        supplier_grade: {
+          type: Sequelize.STRING(20),
+          allowNull: true
+        },
+        quantity_ordered: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        quantity_received: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        quantity_short: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        unit_cost_usd: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false
+        },
+        projected_sell_price_ghs: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: true
+        },
+        notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('purchase_order_lines', ['purchase_order_id'], { transaction });
+      await queryInterface.addIndex('purchase_order_lines', ['asset_id'], { transaction });
+
+      await queryInterface.createTable('goods_received_notes', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        grn_number: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          unique: true
+        },
+        purchase_order_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'purchase_orders', key: 'id' }
+        },
+        received_date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        location_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'locations', key: 'id' }
+        },
+        supplier_reference: {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        },
+        notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        received_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('goods_received_notes', ['purchase_order_id'], { transaction });
+
+      await queryInterface.createTable('goods_received_note_lines', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        goods_received_note_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'goods_received_notes', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        purchase_order_line_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'purchase_order_lines', key: 'id' }
+        },
+        quantity_received: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        quantity_over: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('goods_received_note_lines', ['goods_received_note_id'], { transaction });
+      await queryInterface.addIndex('goods_received_note_lines', ['purchase_order_line_id'], { transaction });
+
+      await queryInterface.addColumn('asset_units', 'purchase_order_line_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'purchase_order_lines', key: 'id' }
+      }, { transaction });
+      await queryInterface.addColumn('asset_units', 'goods_received_note_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'goods_received_notes', key: 'id' }
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.removeColumn('asset_units', 'goods_received_note_id', { transaction });
+      await queryInterface.removeColumn('asset_units', 'purchase_order_line_id', { transaction });
+      await queryInterface.dropTable('goods_received_note_lines', { transaction });
+      await queryInterface.dropTable('goods_received_notes', { transaction });
+      await queryInterface.dropTable('purchase_order_lines', { transaction });
+      await queryInterface.dropTable('purchase_orders', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
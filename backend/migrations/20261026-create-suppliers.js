@@ -0,0 +1,253 @@
+'use strict';
+
+const SCORECARD_COLUMNS = `COUNT(DISTINCT sb.id) AS total_batches,
+        COUNT(au.id) AS total_units,
+        COUNT(au.id) FILTER (WHERE au.status = 'Sold') AS units_sold,
+        ROUND(AVG(au.projected_margin_percent), 1) AS avg_projected_margin,
+        ROUND(AVG(au.actual_margin_percent) FILTER (WHERE au.actual_margin_percent IS NOT NULL), 1) AS avg_actual_margin,
+        ROUND(AVG(au.margin_variance_percent) FILTER (WHERE au.margin_variance_percent IS NOT NULL), 1) AS avg_variance,
+        ROUND(AVG(au.days_to_sell) FILTER (WHERE au.days_to_sell IS NOT NULL), 0) AS avg_days_to_sell,
+        ROUND(AVG(au.battery_health_percent) FILTER (WHERE au.battery_health_percent IS NOT NULL), 0) AS avg_battery_health,
+        COUNT(au.id) FILTER (WHERE au.battery_health_percent < 80) AS units_below_80_bh,
+        SUM(au.actual_sell_price_ghs) FILTER (WHERE au.status = 'Sold') AS total_revenue_ghs,
+        SUM(au.landed_cost_ghs) FILTER (WHERE au.status = 'Sold') AS total_cost_ghs,
+        SUM(au.actual_sell_price_ghs - au.landed_cost_ghs) FILTER (WHERE au.status = 'Sold') AS total_profit_ghs`;
+
+const WARRANTY_COLUMNS = `COUNT(DISTINCT sb.id) AS total_batches,
+        COUNT(DISTINCT wc.id) AS total_claims,
+        COUNT(DISTINCT wc.id) FILTER (WHERE wc.status = 'refunded') AS claims_refunded,
+        COUNT(DISTINCT wc.id) FILTER (WHERE wc.status = 'replaced') AS claims_replaced,
+        COUNT(DISTINCT wc.id) FILTER (WHERE wc.status = 'denied') AS claims_denied,
+        COUNT(DISTINCT wc.id) FILTER (WHERE wc.status IN ('open', 'submitted')) AS claims_pending,
+        ROUND(SUM(wc.refund_amount_usd) FILTER (WHERE wc.status = 'refunded'), 2) AS total_refunds_usd,
+        ROUND(SUM(wc.refund_amount_ghs) FILTER (WHERE wc.status = 'refunded'), 2) AS total_refunds_ghs,
+        ROUND(COUNT(DISTINCT wc.id)::DECIMAL / NULLIF(COUNT(DISTINCT au.id), 0) * 100, 1) AS claim_rate_percent`;
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('suppliers', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        supplier_type: {
+          type: Sequelize.STRING(30),
+          allowNull: false,
+          defaultValue: 'wholesale'
+        },
+        aliases: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        contact_name: {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        },
+        email: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        phone: {
+          type: Sequelize.STRING(30),
+          allowNull: true
+        },
+        whatsapp: {
+          type: Sequelize.STRING(30),
+          allowNull: true
+        },
+        website: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        address: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        country: {
+          type: Sequelize.STRING(60),
+          allowNull: true
+        },
+        default_currency: {
+          type: Sequelize.STRING(3),
+          allowNull: false,
+          defaultValue: 'USD'
+        },
+        payment_terms_days: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        payment_terms: {
+          type: Sequelize.STRING(200),
+          allowNull: true
+        },
+        default_warranty_days: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        default_warranty_type: {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        },
+        default_warranty_terms: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        outstanding_balance: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        is_active: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true
+        },
+        notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        updated_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('suppliers', ['name'], { transaction });
+      await queryInterface.addIndex('suppliers', ['is_active'], { transaction });
+
+      for (const table of ['sourcing_batches', 'purchase_orders', 'warranty_claims']) {
+        await queryInterface.addColumn(table, 'supplier_id', {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'suppliers', key: 'id' }
+        }, { transaction });
+        await queryInterface.addIndex(table, ['supplier_id'], { transaction });
+      }
+
+      // One supplier per distinct name (case/whitespace-insensitive), taking
+      // the type and warranty terms from the most recent batch or PO
+      await queryInterface.sequelize.query(`
+        INSERT INTO suppliers (name, supplier_type, default_warranty_days, default_warranty_type, default_warranty_terms)
+        SELECT DISTINCT ON (LOWER(TRIM(src.supplier_name)))
+          TRIM(src.supplier_name), src.supplier_type, src.warranty_days, src.warranty_type, src.warranty_terms
+        FROM (
+          SELECT supplier_name, supplier_type, warranty_days, warranty_type, warranty_terms, order_date
+          FROM sourcing_batches
+          UNION ALL
+          SELECT supplier_name, supplier_type, warranty_days, warranty_type, NULL, order_date
+          FROM purchase_orders
+        ) src
+        WHERE TRIM(COALESCE(src.supplier_name, '')) <> ''
+        ORDER BY LOWER(TRIM(src.supplier_name)), src.order_date DESC
+      `, { transaction });
+
+      for (const table of ['sourcing_batches', 'purchase_orders']) {
+        await queryInterface.sequelize.query(`
+          UPDATE ${table} t SET supplier_id = s.id
+          FROM suppliers s
+          WHERE LOWER(TRIM(t.supplier_name)) = LOWER(s.name)
+        `, { transaction });
+      }
+
+      await queryInterface.sequelize.query(`
+        UPDATE warranty_claims wc SET supplier_id = sb.supplier_id
+        FROM sourcing_batches sb
+        WHERE wc.sourcing_batch_id = sb.id
+      `, { transaction });
+
+      // Reports group by supplier record so merged names roll up together
+      await queryInterface.sequelize.query('DROP VIEW IF EXISTS view_supplier_scorecard', { transaction });
+      await queryInterface.sequelize.query(`
+        CREATE VIEW view_supplier_scorecard AS
+        SELECT sb.supplier_id, COALESCE(s.name, sb.supplier_name) AS supplier_name,
+        ${SCORECARD_COLUMNS}
+        FROM sourcing_batches sb
+        JOIN asset_units au ON au.sourcing_batch_id = sb.id
+        LEFT JOIN suppliers s ON s.id = sb.supplier_id
+        GROUP BY sb.supplier_id, COALESCE(s.name, sb.supplier_name)
+        ORDER BY avg_actual_margin DESC NULLS LAST
+      `, { transaction });
+
+      await queryInterface.sequelize.query('DROP VIEW IF EXISTS view_warranty_summary', { transaction });
+      await queryInterface.sequelize.query(`
+        CREATE VIEW view_warranty_summary AS
+        SELECT sb.supplier_id, COALESCE(s.name, sb.supplier_name) AS supplier_name,
+        ${WARRANTY_COLUMNS}
+        FROM sourcing_batches sb
+        JOIN asset_units au ON au.sourcing_batch_id = sb.id
+        LEFT JOIN warranty_claims wc ON wc.sourcing_batch_id = sb.id
+        LEFT JOIN suppliers s ON s.id = sb.supplier_id
+        GROUP BY sb.supplier_id, COALESCE(s.name, sb.supplier_name)
+        ORDER BY claim_rate_percent DESC NULLS LAST
+      `, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.sequelize.query('DROP VIEW IF EXISTS view_supplier_scorecard', { transaction });
+      await queryInterface.sequelize.query(`
+        CREATE VIEW view_supplier_scorecard AS
+        SELECT sb.supplier_name, ${SCORECARD_COLUMNS}
+        FROM sourcing_batches sb
+        JOIN asset_units au ON au.sourcing_batch_id = sb.id
+        GROUP BY sb.supplier_name
+        ORDER BY avg_actual_margin DESC NULLS LAST
+      `, { transaction });
+
+      await queryInterface.sequelize.query('DROP VIEW IF EXISTS view_warranty_summary', { transaction });
+      await queryInterface.sequelize.query(`
+        CREATE VIEW view_warranty_summary AS
+        SELECT sb.supplier_name, ${WARRANTY_COLUMNS}
+        FROM sourcing_batches sb
+        JOIN asset_units au ON au.sourcing_batch_id = sb.id
+        LEFT JOIN warranty_claims wc ON wc.sourcing_batch_id = sb.id
+        GROUP BY sb.supplier_name
+        ORDER BY claim_rate_percent DESC NULLS LAST
+      `, { transaction });
+
+      for (const table of ['warranty_claims', 'purchase_orders', 'sourcing_batches']) {
+        await queryInterface.removeColumn(table, 'supplier_id', { transaction });
+      }
+      await queryInterface.dropTable('suppliers', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
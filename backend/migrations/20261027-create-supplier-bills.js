@@ -0,0 +1,219 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('supplier_bills', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        bill_number: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          unique: true
+        },
+        supplier_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'suppliers', key: 'id' }
+        },
+        sourcing_batch_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'sourcing_batches', key: 'id' }
+        },
+        supplier_reference: {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        },
+        bill_date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        due_date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        currency: {
+          type: Sequelize.STRING(3),
+          allowNull: false,
+          defaultValue: 'USD'
+        },
+        amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false
+        },
+        amount_paid: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        fx_rate: {
+          type: Sequelize.DECIMAL(10, 4),
+          allowNull: false
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'open'
+        },
+        notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        voided_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        voided_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        void_reason: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('supplier_bills', ['supplier_id'], { transaction });
+      await queryInterface.addIndex('supplier_bills', ['sourcing_batch_id'], { transaction });
+      await queryInterface.addIndex('supplier_bills', ['status'], { transaction });
+      await queryInterface.addIndex('supplier_bills', ['due_date'], { transaction });
+
+      await queryInterface.createTable('supplier_payments', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        supplier_bill_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'supplier_bills', key: 'id' }
+        },
+        supplier_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'suppliers', key: 'id' }
+        },
+        payment_date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false
+        },
+        currency: {
+          type: Sequelize.STRING(3),
+          allowNull: false
+        },
+        fx_rate: {
+          type: Sequelize.DECIMAL(10, 4),
+          allowNull: false
+        },
+        amount_applied: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false
+        },
+        amount_ghs: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false
+        },
+        booked_ghs: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false
+        },
+        fx_gain_loss_ghs: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        payment_method: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'Bank Transfer'
+        },
+        reference: {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        },
+        notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        paid_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        voided_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        voided_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        void_reason: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('supplier_payments', ['supplier_bill_id'], { transaction });
+      await queryInterface.addIndex('supplier_payments', ['supplier_id'], { transaction });
+      await queryInterface.addIndex('supplier_payments', ['payment_date'], { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.dropTable('supplier_payments', { transaction });
+      await queryInterface.dropTable('supplier_bills', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.addColumn('customers', 'statement_access_token', {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      }, { transaction });
+      await queryInterface.addColumn('customers', 'statement_generated_at', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction });
+      await queryInterface.addColumn('customers', 'statement_period', {
+        type: Sequelize.JSONB,
+        allowNull: true
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.removeColumn('customers', 'statement_period', { transaction });
+      await queryInterface.removeColumn('customers', 'statement_generated_at', { transaction });
+      await queryInterface.removeColumn('customers', 'statement_access_token', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,201 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('installment_plans', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        plan_number: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          unique: true
+        },
+        invoice_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'invoices', key: 'id' }
+        },
+        customer_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'customers', key: 'id' }
+        },
+        currency: {
+          type: Sequelize.STRING(3),
+          allowNull: false
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'active'
+        },
+        frequency: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'monthly'
+        },
+        installment_count: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        start_date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        down_payment_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        fee_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        fee_invoice_item_id: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'invoice_items', key: 'id' },
+          onDelete: 'SET NULL'
+        },
+        grace_days: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        completed_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        defaulted_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        defaulted_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        default_reason: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        store_credit_id: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'customer_credits', key: 'id' }
+        },
+        cancelled_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        cancelled_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('installment_plans', ['invoice_id'], { transaction });
+      await queryInterface.addIndex('installment_plans', ['customer_id'], { transaction });
+      await queryInterface.addIndex('installment_plans', ['status'], { transaction });
+
+      await queryInterface.createTable('installments', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        installment_plan_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'installment_plans', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        sequence: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        due_date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        amount_due: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false
+        },
+        amount_paid: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        paid_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'pending'
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('installments', ['installment_plan_id', 'sequence'], { unique: true, transaction });
+      await queryInterface.addIndex('installments', ['due_date'], { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.dropTable('installments', { transaction });
+      await queryInterface.dropTable('installment_plans', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,298 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('quotations', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        quotation_number: {
+          type: Sequelize.STRING(30),
+          allowNull: false,
+          unique: true
+        },
+        customer_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'customers', key: 'id' }
+        },
+        quote_date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        valid_until: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'DRAFT'
+        },
+        currency: {
+          type: Sequelize.STRING(3),
+          allowNull: false,
+          defaultValue: 'GHS'
+        },
+        subtotal_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        discount_type: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'none'
+        },
+        discount_value: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        discount_percent: {
+          type: Sequelize.DECIMAL(8, 4),
+          allowNull: false,
+          defaultValue: 0
+        },
+        discount_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        tax_mode: {
+          type: Sequelize.STRING(10),
+          allowNull: false,
+          defaultValue: 'none'
+        },
+        tax_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        tax_lines: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        total_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        total_cost_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        total_profit_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        margin_percent: {
+          type: Sequelize.DECIMAL(8, 4),
+          allowNull: true
+        },
+        notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        pdf_access_token: {
+          type: Sequelize.STRING(64),
+          allowNull: true
+        },
+        pdf_generated_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        sent_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        accepted_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        declined_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        decline_reason: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        converted_invoice_id: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'invoices', key: 'id' }
+        },
+        converted_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        converted_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        updated_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('quotations', ['customer_id'], { transaction });
+      await queryInterface.addIndex('quotations', ['status'], { transaction });
+      await queryInterface.addIndex('quotations', ['valid_until'], { transaction });
+
+      await queryInterface.createTable('quotation_items', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        quotation_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'quotations', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        asset_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'assets', key: 'id' }
+        },
+        asset_unit_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'asset_units', key: 'id' },
+          onDelete: 'SET NULL'
+        },
+        warranty_tier: {
+          type: Sequelize.STRING(20),
+          allowNull: true
+        },
+        description: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        quantity: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 1
+        },
+        unit_price_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        line_total_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        unit_cost_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        line_cost_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        line_profit_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        discount_type: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'none'
+        },
+        discount_value: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        discount_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        pre_discount_total: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: true
+        },
+        category: {
+          type: Sequelize.STRING(60),
+          allowNull: true
+        },
+        asset_type: {
+          type: Sequelize.STRING(60),
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('quotation_items', ['quotation_id'], { transaction });
+
+      // Quotes are numbered separately from invoices (QT-YYYY-000001)
+      await queryInterface.sequelize.query(
+        'CREATE SEQUENCE IF NOT EXISTS quotation_number_seq START WITH 1 INCREMENT BY 1;',
+        { transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.dropTable('quotation_items', { transaction });
+      await queryInterface.dropTable('quotations', { transaction });
+      await queryInterface.sequelize.query('DROP SEQUENCE IF EXISTS quotation_number_seq;', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,189 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('cash_drawer_sessions', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        session_number: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          unique: true
+        },
+        user_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' }
+        },
+        location_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'locations', key: 'id' }
+        },
+        register_name: {
+          type: Sequelize.STRING(60),
+          allowNull: true
+        },
+        currency: {
+          type: Sequelize.STRING(3),
+          allowNull: false,
+          defaultValue: 'GHS'
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'open'
+        },
+        opened_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        opening_float: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        opening_notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        closed_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        closed_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        cash_sales_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: true
+        },
+        cash_refunds_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: true
+        },
+        cash_in_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: true
+        },
+        cash_out_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: true
+        },
+        expected_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: true
+        },
+        counted_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: true
+        },
+        over_short_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: true
+        },
+        closing_notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('cash_drawer_sessions', ['user_id'], { transaction });
+      await queryInterface.addIndex('cash_drawer_sessions', ['status'], { transaction });
+      await queryInterface.addIndex('cash_drawer_sessions', ['opened_at'], { transaction });
+
+      // A cashier can only have one drawer open at a time
+      await queryInterface.addIndex('cash_drawer_sessions', ['user_id'], {
+        unique: true,
+        where: { status: 'open' },
+        name: 'cash_drawer_sessions_one_open_per_user',
+        transaction
+      });
+
+      await queryInterface.createTable('cash_drawer_movements', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        session_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'cash_drawer_sessions', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        movement_type: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        reason: {
+          type: Sequelize.STRING(30),
+          allowNull: false
+        },
+        amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false
+        },
+        notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('cash_drawer_movements', ['session_id'], { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.dropTable('cash_drawer_movements', { transaction });
+      await queryInterface.dropTable('cash_drawer_sessions', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
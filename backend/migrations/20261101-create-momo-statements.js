@@ -0,0 +1,201 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('momo_statement_imports', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        provider: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        original_file_name: {
+          type: Sequelize.STRING(255),
+          allowNull: false
+        },
+        column_mapping: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: {}
+        },
+        period_from: {
+          type: Sequelize.DATEONLY,
+          allowNull: true
+        },
+        period_to: {
+          type: Sequelize.DATEONLY,
+          allowNull: true
+        },
+        rows_total: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        rows_skipped: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        rows_duplicate: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        skipped_rows: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        imported_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('momo_statement_imports', ['period_from', 'period_to'], { transaction });
+
+      await queryInterface.createTable('momo_statement_lines', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        import_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'momo_statement_imports', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        provider: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        row_number: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        transaction_id: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        transaction_date: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        amount: {
+          type: Sequelize.DECIMAL(15, 2),
+          allowNull: false
+        },
+        counterparty_phone: {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        },
+        counterparty_name: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        reference: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        raw_data: {
+          type: Sequelize.JSONB,
+          allowNull: true
+        },
+        match_status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'unmatched'
+        },
+        match_method: {
+          type: Sequelize.STRING(20),
+          allowNull: true
+        },
+        invoice_payment_id: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'invoice_payments', key: 'id' },
+          onDelete: 'SET NULL'
+        },
+        matched_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        matched_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        ignore_reason: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('momo_statement_lines', ['import_id'], { transaction });
+      await queryInterface.addIndex('momo_statement_lines', ['match_status'], { transaction });
+      await queryInterface.addIndex('momo_statement_lines', ['transaction_date'], { transaction });
+
+      // The same receipt can appear in overlapping statement exports
+      await queryInterface.addIndex('momo_statement_lines', ['provider', 'transaction_id'], {
+        unique: true,
+        name: 'momo_statement_lines_provider_transaction_id',
+        transaction
+      });
+
+      // A recorded payment backs at most one statement receipt
+      await queryInterface.addIndex('momo_statement_lines', ['invoice_payment_id'], {
+        unique: true,
+        where: { invoice_payment_id: { [Sequelize.Op.ne]: null } },
+        name: 'momo_statement_lines_invoice_payment_id',
+        transaction
+      });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.dropTable('momo_statement_lines', { transaction });
+      await queryInterface.dropTable('momo_statement_imports', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,166 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('webhook_subscriptions', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        url: {
+          type: Sequelize.STRING(500),
+          allowNull: false
+        },
+        description: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        secret: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        events: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        is_active: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true
+        },
+        last_success_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        last_failure_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.createTable('webhook_deliveries', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        subscription_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'webhook_subscriptions', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        event: {
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        event_id: {
+          type: Sequelize.UUID,
+          allowNull: false
+        },
+        payload: {
+          type: Sequelize.JSONB,
+          allowNull: false
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'pending'
+        },
+        attempt_count: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        next_attempt_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        last_attempt_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        response_status: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        response_body: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        last_error: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        delivered_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        replay_of_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'webhook_deliveries', key: 'id' },
+          onDelete: 'SET NULL'
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('webhook_deliveries', ['status', 'next_attempt_at'], { transaction });
+      await queryInterface.addIndex('webhook_deliveries', ['subscription_id', 'created_at'], { transaction });
+      await queryInterface.addIndex('webhook_deliveries', ['event_id'], { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.dropTable('webhook_deliveries', { transaction });
+      await queryInterface.dropTable('webhook_subscriptions', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
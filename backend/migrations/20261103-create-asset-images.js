@@ -0,0 +1,117 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('asset_images', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        asset_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'assets', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        asset_unit_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'asset_units', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        storage_key: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        thumbnail_key: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        mime_type: {
+          type: Sequelize.STRING(50),
+          allowNull: false,
+          defaultValue: 'image/jpeg'
+        },
+        original_file_name: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        width: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        height: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        file_size: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        alt_text: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        sort_order: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        is_primary: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        image_data: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        thumbnail_data: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        uploaded_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('asset_images', ['asset_id', 'asset_unit_id', 'sort_order'], { transaction });
+      await queryInterface.addIndex('asset_images', ['storage_key'], { unique: true, transaction });
+      await queryInterface.addIndex('asset_images', ['thumbnail_key'], { unique: true, transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.dropTable('asset_images', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
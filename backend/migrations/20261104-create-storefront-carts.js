@@ -0,0 +1,121 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('storefront_carts', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          defaultValue: Sequelize.UUIDV4
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'active'
+        },
+        expires_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        customer_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'customers', key: 'id' },
+          onDelete: 'SET NULL'
+        },
+        invoice_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'invoices', key: 'id' },
+          onDelete: 'SET NULL'
+        },
+        checked_out_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('storefront_carts', ['status', 'expires_at'], { transaction });
+
+      await queryInterface.createTable('storefront_cart_items', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        cart_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'storefront_carts', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        asset_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'assets', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        quantity: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 1
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('storefront_cart_items', ['cart_id', 'asset_id'], { unique: true, transaction });
+      await queryInterface.addIndex('storefront_cart_items', ['asset_id'], { transaction });
+
+      // Unpaid website orders are cancelled once this passes
+      await queryInterface.addColumn('invoices', 'storefront_expires_at', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction });
+
+      await queryInterface.addIndex('invoices', ['status', 'storefront_expires_at'], { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.removeIndex('invoices', ['status', 'storefront_expires_at'], { transaction });
+      await queryInterface.removeColumn('invoices', 'storefront_expires_at', { transaction });
+      await queryInterface.dropTable('storefront_cart_items', { transaction });
+      await queryInterface.dropTable('storefront_carts', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,136 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('customer_login_codes', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        channel: {
+          type: Sequelize.STRING(10),
+          allowNull: false
+        },
+        destination: {
+          type: Sequelize.STRING(255),
+          allowNull: false
+        },
+        code_hash: {
+          type: Sequelize.STRING(64),
+          allowNull: false
+        },
+        attempts: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        expires_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        consumed_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        ip_address: {
+          type: Sequelize.STRING(45),
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('customer_login_codes', ['destination', 'created_at'], { transaction });
+
+      await queryInterface.createTable('customer_sessions', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        customer_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'customers', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        token_hash: {
+          type: Sequelize.STRING(64),
+          allowNull: false
+        },
+        channel: {
+          type: Sequelize.STRING(10),
+          allowNull: false
+        },
+        destination: {
+          type: Sequelize.STRING(255),
+          allowNull: false
+        },
+        expires_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        last_used_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        revoked_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        ip_address: {
+          type: Sequelize.STRING(45),
+          allowNull: true
+        },
+        user_agent: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('customer_sessions', ['token_hash'], { unique: true, transaction });
+      await queryInterface.addIndex('customer_sessions', ['customer_id'], { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.dropTable('customer_sessions', { transaction });
+      await queryInterface.dropTable('customer_login_codes', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
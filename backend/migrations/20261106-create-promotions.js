@@ -0,0 +1,180 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('promotions', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        code: {
+          type: Sequelize.STRING(40),
+          allowNull: true,
+          unique: true
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        description: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        discount_type: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        discount_value: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false
+        },
+        scope: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'all'
+        },
+        scope_values: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        bundle_items: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        starts_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        ends_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        usage_limit: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        per_customer_limit: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        is_active: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        updated_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('promotions', ['is_active', 'starts_at', 'ends_at'], { transaction });
+
+      await queryInterface.createTable('invoice_promotions', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        invoice_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'invoices', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        promotion_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'promotions', key: 'id' }
+        },
+        customer_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'customers', key: 'id' },
+          onDelete: 'SET NULL'
+        },
+        code: {
+          type: Sequelize.STRING(40),
+          allowNull: true
+        },
+        discount_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        allocations: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        applied_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('invoice_promotions', ['invoice_id', 'promotion_id'], { unique: true, transaction });
+      await queryInterface.addIndex('invoice_promotions', ['promotion_id', 'customer_id'], { transaction });
+
+      // Part of invoices.discount_amount that came from promotions
+      await queryInterface.addColumn('invoices', 'promotion_discount_amount', {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.removeColumn('invoices', 'promotion_discount_amount', { transaction });
+      await queryInterface.dropTable('invoice_promotions', { transaction });
+      await queryInterface.dropTable('promotions', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
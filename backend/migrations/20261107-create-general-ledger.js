@@ -0,0 +1,233 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('ledger_accounts', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        code: {
+          type: Sequelize.STRING(10),
+          allowNull: false,
+          unique: true
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        type: {
+          type: Sequelize.STRING(10),
+          allowNull: false
+        },
+        normal_balance: {
+          type: Sequelize.STRING(6),
+          allowNull: false
+        },
+        description: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        is_system: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        is_active: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.createTable('journal_entries', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        entry_date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        period: {
+          type: Sequelize.STRING(7),
+          allowNull: false
+        },
+        description: {
+          type: Sequelize.STRING(500),
+          allowNull: false
+        },
+        source_type: {
+          type: Sequelize.STRING(30),
+          allowNull: false
+        },
+        source_id: {
+          type: Sequelize.STRING(64),
+          allowNull: true
+        },
+        reverses_entry_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'journal_entries', key: 'id' }
+        },
+        reversed_by_entry_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'journal_entries', key: 'id' }
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('journal_entries', ['source_type', 'source_id'], { transaction });
+      await queryInterface.addIndex('journal_entries', ['period'], { transaction });
+      await queryInterface.addIndex('journal_entries', ['entry_date'], { transaction });
+
+      await queryInterface.createTable('journal_lines', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        entry_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'journal_entries', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        account_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'ledger_accounts', key: 'id' }
+        },
+        debit: {
+          type: Sequelize.DECIMAL(14, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        credit: {
+          type: Sequelize.DECIMAL(14, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        memo: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('journal_lines', ['entry_id'], { transaction });
+      await queryInterface.addIndex('journal_lines', ['account_id'], { transaction });
+
+      await queryInterface.createTable('accounting_periods', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        period: {
+          type: Sequelize.STRING(7),
+          allowNull: false,
+          unique: true
+        },
+        status: {
+          type: Sequelize.STRING(10),
+          allowNull: false,
+          defaultValue: 'open'
+        },
+        closed_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        closed_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      // Chart of accounts used by the automatic postings (services/ledgerService.js)
+      await queryInterface.bulkInsert('ledger_accounts', [
+        { code: '1000', name: 'Cash on Hand', type: 'asset', normal_balance: 'debit' },
+        { code: '1010', name: 'Mobile Money', type: 'asset', normal_balance: 'debit' },
+        { code: '1020', name: 'Bank', type: 'asset', normal_balance: 'debit' },
+        { code: '1200', name: 'Inventory', type: 'asset', normal_balance: 'debit' },
+        { code: '2100', name: 'Customer Store Credit', type: 'liability', normal_balance: 'credit' },
+        { code: '2200', name: 'Taxes Payable', type: 'liability', normal_balance: 'credit' },
+        { code: '3000', name: "Owner's Equity", type: 'equity', normal_balance: 'credit' },
+        { code: '3100', name: 'Retained Earnings', type: 'equity', normal_balance: 'credit' },
+        { code: '4000', name: 'Sales Revenue', type: 'revenue', normal_balance: 'credit' },
+        { code: '4100', name: 'Sales Returns', type: 'revenue', normal_balance: 'debit' },
+        { code: '5000', name: 'Cost of Goods Sold', type: 'expense', normal_balance: 'debit' },
+        { code: '5100', name: 'Inventory Write-offs', type: 'expense', normal_balance: 'debit' },
+        { code: '5200', name: 'Warranty Claims', type: 'expense', normal_balance: 'debit' },
+        { code: '6000', name: 'Operating Expenses', type: 'expense', normal_balance: 'debit' }
+      ].map(account => ({
+        ...account,
+        is_system: true,
+        is_active: true,
+        created_at: new Date(),
+        updated_at: new Date()
+      })), { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.dropTable('accounting_periods', { transaction });
+      await queryInterface.dropTable('journal_lines', { transaction });
+      await queryInterface.dropTable('journal_entries', { transaction });
+      await queryInterface.dropTable('ledger_accounts', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,183 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('accounting_export_mappings', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        mapping_type: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        mapping_key: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        account_code: {
+          type: Sequelize.STRING(30),
+          allowNull: false
+        },
+        account_name: {
+          type: Sequelize.STRING(150),
+          allowNull: true
+        },
+        updated_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('accounting_export_mappings', ['mapping_type', 'mapping_key'], { unique: true, transaction });
+
+      await queryInterface.createTable('accounting_export_batches', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        target: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        period: {
+          type: Sequelize.STRING(7),
+          allowNull: false
+        },
+        record_count: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        total_debit: {
+          type: Sequelize.DECIMAL(14, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        voided_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        voided_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        void_reason: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('accounting_export_batches', ['target', 'period'], { transaction });
+
+      await queryInterface.createTable('accounting_export_records', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        batch_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'accounting_export_batches', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        record_type: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        record_id: {
+          type: Sequelize.STRING(64),
+          allowNull: false
+        },
+        record_date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        reference: {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        },
+        description: {
+          type: Sequelize.STRING(500),
+          allowNull: false
+        },
+        action: {
+          type: Sequelize.STRING(10),
+          allowNull: false,
+          defaultValue: 'export'
+        },
+        fingerprint: {
+          type: Sequelize.STRING(40),
+          allowNull: false
+        },
+        lines: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('accounting_export_records', ['batch_id'], { transaction });
+      await queryInterface.addIndex('accounting_export_records', ['record_type', 'record_id'], { transaction });
+      await queryInterface.addIndex('accounting_export_records', ['record_date'], { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.dropTable('accounting_export_records', { transaction });
+      await queryInterface.dropTable('accounting_export_batches', { transaction });
+      await queryInterface.dropTable('accounting_export_mappings', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * Preorder deposits and top-ups as dated, method-tagged payments.
+ *
+ * Each preorder's existing deposit becomes its first payment, dated when the
+ * preorder was taken. For preorders already converted, it is linked to the
+ * invoice payment the conversion created so it is not counted twice.
+ */
+
+const METHODS = ['Cash', 'MoMo', 'Card', 'ACH', 'Other'];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('preorder_payments', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        preorder_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'preorders', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        transaction_type: {
+          type: Sequelize.STRING(10),
+          allowNull: false,
+          defaultValue: 'PAYMENT'
+        },
+        payment_date: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false
+        },
+        currency: {
+          type: Sequelize.STRING(3),
+          allowNull: false,
+          defaultValue: 'GHS'
+        },
+        payment_method: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        payment_method_other_text: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        comment: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        received_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        voided_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        voided_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        void_reason: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        invoice_payment_id: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'invoice_payments', key: 'id' },
+          onDelete: 'SET NULL'
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('preorder_payments', ['preorder_id'], { transaction });
+      await queryInterface.addIndex('preorder_payments', ['payment_date'], { transaction });
+      await queryInterface.addIndex('preorder_payments', ['invoice_payment_id'], { transaction });
+
+      // Deposits held for preorders not yet invoiced (services/ledgerService.js)
+      await queryInterface.bulkInsert('ledger_accounts', [{
+        code: '2300',
+        name: 'Customer Deposits',
+        type: 'liability',
+        normal_balance: 'credit',
+        is_system: true,
+        is_active: true,
+        created_at: new Date(),
+        updated_at: new Date()
+      }], { transaction });
+
+      // Existing deposits become payments. Methods outside the payment list
+      // (e.g. "Bank Transfer") are kept as Other with the original text.
+      const [preorders] = await queryInterface.sequelize.query(`
+        SELECT p.id, p.tracking_code, p.deposit_amount, p.deposit_payment_method,
+          p.created_at, p.created_by, p.invoice_id
+        FROM preorders p
+        WHERE p.deposit_amount > 0
+      `, { transaction });
+
+      for (const preorder of preorders) {
+        const rawMethod = (preorder.deposit_payment_method || '').trim();
+        let method = METHODS.find(m => m.toLowerCase() === rawMethod.toLowerCase());
+        let otherText = null;
+        if (!method) {
+          method = rawMethod.toLowerCase() === 'bank transfer' ? 'ACH' : 'Other';
+          otherText = method === 'Other' ? (rawMethod || 'Not recorded') : null;
+        }
+
+        let invoicePaymentId = null;
+        if (preorder.invoice_id) {
+          const [matches] = await queryInterface.sequelize.query(`
+            SELECT id FROM invoice_payments
+            WHERE invoice_id = :invoiceId AND comment = :comment
+            ORDER BY created_at ASC
+            LIMIT 1
+          `, {
+            replacements: { invoiceId: preorder.invoice_id, comment: `Preorder deposit (${preorder.tracking_code})` },
+            transaction
+          });
+          invoicePaymentId = matches[0]?.id || null;
+        }
+
+        await queryInterface.bulkInsert('preorder_payments', [{
+          preorder_id: preorder.id,
+          transaction_type: 'PAYMENT',
+          payment_date: preorder.created_at,
+          amount: preorder.deposit_amount,
+          currency: 'GHS',
+          payment_method: method,
+          payment_method_other_text: otherText,
+          comment: 'Deposit',
+          received_by: preorder.created_by,
+          invoice_payment_id: invoicePaymentId,
+          created_at: preorder.created_at,
+          updated_at: new Date()
+        }], { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.bulkDelete('ledger_accounts', { code: '2300' }, { transaction });
+      await queryInterface.dropTable('preorder_payments', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
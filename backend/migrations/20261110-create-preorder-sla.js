@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * Preorder SLA targets per shipping method, and the SLA standing the daily
+ * check keeps on each preorder (services/preorderSlaService.js)
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('preorder_sla_targets', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        shipping_method: {
+          type: Sequelize.STRING(10),
+          allowNull: false,
+          unique: true
+        },
+        purchase_days: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        dispatch_days: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        transit_days: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        pickup_days: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        at_risk_days: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 2
+        },
+        updated_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.bulkInsert('preorder_sla_targets', [
+        { shipping_method: 'air', purchase_days: 3, dispatch_days: 4, transit_days: 12, pickup_days: 2, at_risk_days: 2 },
+        { shipping_method: 'sea', purchase_days: 3, dispatch_days: 7, transit_days: 45, pickup_days: 2, at_risk_days: 5 },
+        { shipping_method: 'other', purchase_days: 3, dispatch_days: 5, transit_days: 14, pickup_days: 2, at_risk_days: 2 }
+      ].map(target => ({ ...target, created_at: new Date(), updated_at: new Date() })), { transaction });
+
+      await queryInterface.addColumn('preorders', 'sla_status', {
+        type: Sequelize.STRING(10),
+        allowNull: true
+      }, { transaction });
+      await queryInterface.addColumn('preorders', 'sla_stage', {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      }, { transaction });
+      await queryInterface.addColumn('preorders', 'sla_due_date', {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      }, { transaction });
+      await queryInterface.addColumn('preorders', 'sla_promised_date', {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      }, { transaction });
+      await queryInterface.addColumn('preorders', 'sla_alerted_status', {
+        type: Sequelize.STRING(10),
+        allowNull: true
+      }, { transaction });
+      await queryInterface.addColumn('preorders', 'sla_checked_at', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction });
+      await queryInterface.addColumn('preorders', 'estimated_arrival_source', {
+        type: Sequelize.STRING(10),
+        allowNull: true
+      }, { transaction });
+
+      // Dates entered so far were typed in by hand
+      await queryInterface.sequelize.query(`
+        UPDATE preorders SET estimated_arrival_source = 'manual'
+        WHERE estimated_arrival_date IS NOT NULL
+      `, { transaction });
+
+      await queryInterface.addIndex('preorders', ['sla_status'], { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.removeIndex('preorders', ['sla_status'], { transaction });
+      for (const column of ['sla_status', 'sla_stage', 'sla_due_date', 'sla_promised_date', 'sla_alerted_status', 'sla_checked_at', 'estimated_arrival_source']) {
+        await queryInterface.removeColumn('preorders', column, { transaction });
+      }
+      await queryInterface.dropTable('preorder_sla_targets', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
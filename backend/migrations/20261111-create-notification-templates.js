@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * Customer notifications by SMS, WhatsApp and email
+ * (services/notificationService.js): edited templates, one log row per
+ * attempt with retries, and per-customer opt-outs.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('notification_templates', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        event: {
+          type: Sequelize.STRING(40),
+          allowNull: false
+        },
+        channel: {
+          type: Sequelize.STRING(10),
+          allowNull: false
+        },
+        subject: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        body: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        is_active: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true
+        },
+        whatsapp_template_name: {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        },
+        whatsapp_language: {
+          type: Sequelize.STRING(10),
+          allowNull: true
+        },
+        updated_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('notification_templates', ['event', 'channel'], { unique: true, transaction });
+
+      const logColumns = {
+        customer_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'customers', key: 'id' }, onDelete: 'SET NULL' },
+        event: { type: Sequelize.STRING(40), allowNull: true },
+        reference_type: { type: Sequelize.STRING(30), allowNull: true },
+        reference_id: { type: Sequelize.STRING(64), allowNull: true },
+        provider_options: { type: Sequelize.JSONB, allowNull: true },
+        provider: { type: Sequelize.STRING(20), allowNull: true },
+        attempt_number: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 1 },
+        retry_of_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'notification_logs', key: 'id' }, onDelete: 'SET NULL' },
+        next_attempt_at: { type: Sequelize.DATE, allowNull: true },
+        last_attempt_at: { type: Sequelize.DATE, allowNull: true },
+        sent_at: { type: Sequelize.DATE, allowNull: true }
+      };
+      for (const [column, definition] of Object.entries(logColumns)) {
+        await queryInterface.addColumn('notification_logs', column, definition, { transaction });
+      }
+
+      // Customer messages logged so far were preorder status emails, told apart
+      // by their subject lines
+      await queryInterface.sequelize.query(`
+        UPDATE notification_logs
+        SET event = CASE
+              WHEN notification_logs.subject LIKE '%has been purchased%' THEN 'preorder.purchased'
+              WHEN notification_logs.subject LIKE '%has been shipped%' THEN 'preorder.shipped'
+              WHEN notification_logs.subject LIKE '%has arrived%' THEN 'preorder.arrived'
+            END,
+          reference_type = 'preorder',
+          reference_id = notification_logs.preorder_id::text,
+          customer_id = p.customer_id,
+          provider = 'resend',
+          last_attempt_at = notification_logs.created_at,
+          sent_at = CASE WHEN notification_logs.status = 'sent' THEN notification_logs.created_at END
+        FROM preorders p
+        WHERE p.id = notification_logs.preorder_id
+      `, { transaction });
+
+      await queryInterface.addIndex('notification_logs', ['customer_id'], { transaction });
+      await queryInterface.addIndex('notification_logs', ['status', 'next_attempt_at'], { transaction });
+      await queryInterface.addIndex('notification_logs', ['event', 'reference_type', 'reference_id'], { transaction });
+
+      for (const channel of ['sms', 'whatsapp', 'email']) {
+        await queryInterface.addColumn('customers', `${channel}_opt_out`, {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        }, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      for (const channel of ['sms', 'whatsapp', 'email']) {
+        await queryInterface.removeColumn('customers', `${channel}_opt_out`, { transaction });
+      }
+
+      await queryInterface.removeIndex('notification_logs', ['event', 'reference_type', 'reference_id'], { transaction });
+      await queryInterface.removeIndex('notification_logs', ['status', 'next_attempt_at'], { transaction });
+      await queryInterface.removeIndex('notification_logs', ['customer_id'], { transaction });
+      for (const column of [
+        'customer_id', 'event', 'reference_type', 'reference_id', 'provider_options', 'provider',
+        'attempt_number', 'retry_of_id', 'next_attempt_at', 'last_attempt_at', 'sent_at'
+      ]) {
+        await queryInterface.removeColumn('notification_logs', column, { transaction });
+      }
+
+      await queryInterface.dropTable('notification_templates', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
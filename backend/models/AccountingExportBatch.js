@@ -0,0 +1,83 @@
+/**
+ * AccountingExportBatch Model
+ *
+ * One accounting export run for a target system and month. The records it
+ * included (and what was sent for each) are its AccountingExportRecords, so
+ * the file can be downloaded again byte for byte. A voided batch no longer
+ * counts as exported.
+ */
+
+const { TARGETS } = require('../services/accountingExportService');
+
+module.exports = (sequelize, DataTypes) => {
+  const AccountingExportBatch = sequelize.define('AccountingExportBatch', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    target: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [TARGETS]
+      }
+    },
+    period: {
+      type: DataTypes.STRING(7),
+      allowNull: false,
+      comment: 'YYYY-MM exported'
+    },
+    record_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    total_debit: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('total_debit');
+        return val === null ? 0 : parseFloat(val);
+      }
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    voided_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    voided_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    void_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'accounting_export_batches',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['target', 'period'] }
+    ]
+  });
+
+  AccountingExportBatch.TARGETS = TARGETS;
+
+  AccountingExportBatch.associate = (models) => {
+    AccountingExportBatch.hasMany(models.AccountingExportRecord, { foreignKey: 'batch_id', as: 'records' });
+    AccountingExportBatch.belongsTo(models.User, { foreignKey: 'created_by', as: 'creator' });
+    AccountingExportBatch.belongsTo(models.User, { foreignKey: 'voided_by', as: 'voidedBy' });
+  };
+
+  return AccountingExportBatch;
+};
@@ -0,0 +1,63 @@
+/**
+ * AccountingExportMapping Model
+ *
+ * Which account in the accountant's books an export line goes to.
+ * mapping_key is an account role (mapping_type 'account'), a payment
+ * method, an expense category id or a product category; see
+ * services/accountingExportService.js for the defaults.
+ */
+
+const { MAPPING_TYPES } = require('../services/accountingExportService');
+
+module.exports = (sequelize, DataTypes) => {
+  const AccountingExportMapping = sequelize.define('AccountingExportMapping', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    mapping_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [MAPPING_TYPES]
+      }
+    },
+    mapping_key: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    account_code: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      comment: 'Account code (Xero) in the accounting system'
+    },
+    account_name: {
+      type: DataTypes.STRING(150),
+      allowNull: true,
+      comment: 'Account name (QuickBooks); defaults to the code'
+    },
+    updated_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'accounting_export_mappings',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { unique: true, fields: ['mapping_type', 'mapping_key'] }
+    ]
+  });
+
+  AccountingExportMapping.TYPES = MAPPING_TYPES;
+
+  AccountingExportMapping.associate = (models) => {
+    AccountingExportMapping.belongsTo(models.User, { foreignKey: 'updated_by', as: 'updater' });
+  };
+
+  return AccountingExportMapping;
+};
@@ -0,0 +1,83 @@
+/**
+ * AccountingExportRecord Model
+ *
+ * A source record included in an export batch, with the journal lines sent
+ * for it. action 'reversal' backs out lines sent by an earlier batch after
+ * the source was edited, voided or deleted.
+ */
+
+const { RECORD_TYPES } = require('../services/accountingExportService');
+
+module.exports = (sequelize, DataTypes) => {
+  const AccountingExportRecord = sequelize.define('AccountingExportRecord', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    batch_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'accounting_export_batches', key: 'id' }
+    },
+    record_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [RECORD_TYPES]
+      }
+    },
+    record_id: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    record_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    reference: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    description: {
+      type: DataTypes.STRING(500),
+      allowNull: false
+    },
+    action: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'export',
+      validate: {
+        isIn: [['export', 'reversal']]
+      }
+    },
+    fingerprint: {
+      type: DataTypes.STRING(40),
+      allowNull: false,
+      comment: 'Hash of date and lines, to spot changes since export'
+    },
+    lines: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: '[{ account_code, account_name, debit, credit, memo, name }]'
+    }
+  }, {
+    tableName: 'accounting_export_records',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      { fields: ['batch_id'] },
+      { fields: ['record_type', 'record_id'] },
+      { fields: ['record_date'] }
+    ]
+  });
+
+  AccountingExportRecord.associate = (models) => {
+    AccountingExportRecord.belongsTo(models.AccountingExportBatch, { foreignKey: 'batch_id', as: 'batch' });
+  };
+
+  return AccountingExportRecord;
+};
@@ -0,0 +1,50 @@
+/**
+ * AccountingPeriod Model
+ *
+ * A month (YYYY-MM) of the ledger. Months without a row are open; once
+ * closed nothing can be posted to it until an Admin reopens it.
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const AccountingPeriod = sequelize.define('AccountingPeriod', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    period: {
+      type: DataTypes.STRING(7),
+      allowNull: false,
+      unique: true
+    },
+    status: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'open',
+      validate: {
+        isIn: [['open', 'closed']]
+      }
+    },
+    closed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    closed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'accounting_periods',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  AccountingPeriod.associate = (models) => {
+    AccountingPeriod.belongsTo(models.User, { foreignKey: 'closed_by', as: 'closedBy' });
+  };
+
+  return AccountingPeriod;
+};
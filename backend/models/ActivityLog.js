@@ -1,6 +1,8 @@
 'use strict';
 
 const { Model } = require('sequelize');
+const { emitForActivity } = require('../services/webhookService');
+const { notifyForActivity } = require('../services/notificationService');
 
 /**
  * Activity Log Model
@@ -21,6 +23,7 @@ const ACTION_TYPES = {
   PAYMENT_RECEIVED: 'PAYMENT_RECEIVED',
   REFUND_RECORDED: 'REFUND_RECORDED',
   TRANSACTION_VOIDED: 'TRANSACTION_VOIDED',
+  PAYMENT_NOT_APPLIED: 'PAYMENT_NOT_APPLIED',
 
   // Return actions
   RETURN_CREATED: 'RETURN_CREATED',
@@ -46,7 +49,76 @@ const ACTION_TYPES = {
   WRITE_OFF_CREATED: 'WRITE_OFF_CREATED',
   WRITE_OFF_APPROVED: 'WRITE_OFF_APPROVED',
   WRITE_OFF_REJECTED: 'WRITE_OFF_REJECTED',
-  WRITE_OFF_REVERSED: 'WRITE_OFF_REVERSED'
+  WRITE_OFF_REVERSED: 'WRITE_OFF_REVERSED',
+
+  // Repair ticket actions
+  REPAIR_TICKET_CREATED: 'REPAIR_TICKET_CREATED',
+  REPAIR_TICKET_UPDATED: 'REPAIR_TICKET_UPDATED',
+  REPAIR_TICKET_COMPLETED: 'REPAIR_TICKET_COMPLETED',
+
+  // Customer warranty actions
+  WARRANTY_ISSUED: 'WARRANTY_ISSUED',
+  WARRANTY_CLAIM_SUBMITTED: 'WARRANTY_CLAIM_SUBMITTED',
+  WARRANTY_CLAIM_APPROVED: 'WARRANTY_CLAIM_APPROVED',
+  WARRANTY_CLAIM_REJECTED: 'WARRANTY_CLAIM_REJECTED',
+  WARRANTY_CLAIM_COMPLETED: 'WARRANTY_CLAIM_COMPLETED',
+
+  // Stock transfer actions
+  STOCK_TRANSFER_CREATED: 'STOCK_TRANSFER_CREATED',
+  STOCK_TRANSFER_DISPATCHED: 'STOCK_TRANSFER_DISPATCHED',
+  STOCK_TRANSFER_RECEIVED: 'STOCK_TRANSFER_RECEIVED',
+  STOCK_TRANSFER_CANCELLED: 'STOCK_TRANSFER_CANCELLED',
+
+  // Purchasing actions
+  PURCHASE_ORDER_CREATED: 'PURCHASE_ORDER_CREATED',
+  PURCHASE_ORDER_PLACED: 'PURCHASE_ORDER_PLACED',
+  GOODS_RECEIVED: 'GOODS_RECEIVED',
+  PURCHASE_ORDER_CLOSED: 'PURCHASE_ORDER_CLOSED',
+  PURCHASE_ORDER_CANCELLED: 'PURCHASE_ORDER_CANCELLED',
+
+  // Supplier actions
+  SUPPLIER_MERGED: 'SUPPLIER_MERGED',
+
+  // Accounts payable actions
+  SUPPLIER_BILL_CREATED: 'SUPPLIER_BILL_CREATED',
+  SUPPLIER_BILL_VOIDED: 'SUPPLIER_BILL_VOIDED',
+  SUPPLIER_PAYMENT_RECORDED: 'SUPPLIER_PAYMENT_RECORDED',
+  SUPPLIER_PAYMENT_VOIDED: 'SUPPLIER_PAYMENT_VOIDED',
+
+  // Installment plan (layaway / BNPL) actions
+  INSTALLMENT_PLAN_CREATED: 'INSTALLMENT_PLAN_CREATED',
+  INSTALLMENT_PLAN_CANCELLED: 'INSTALLMENT_PLAN_CANCELLED',
+  INSTALLMENT_PLAN_DEFAULTED: 'INSTALLMENT_PLAN_DEFAULTED',
+
+  // Quotation actions
+  QUOTATION_CREATED: 'QUOTATION_CREATED',
+  QUOTATION_UPDATED: 'QUOTATION_UPDATED',
+  QUOTATION_STATUS_CHANGED: 'QUOTATION_STATUS_CHANGED',
+  QUOTATION_CONVERTED: 'QUOTATION_CONVERTED',
+
+  // Cash drawer actions
+  CASH_DRAWER_OPENED: 'CASH_DRAWER_OPENED',
+  CASH_DRAWER_MOVEMENT: 'CASH_DRAWER_MOVEMENT',
+  CASH_DRAWER_CLOSED: 'CASH_DRAWER_CLOSED',
+
+  // MoMo reconciliation actions
+  MOMO_STATEMENT_IMPORTED: 'MOMO_STATEMENT_IMPORTED',
+  MOMO_RECEIPT_MATCHED: 'MOMO_RECEIPT_MATCHED',
+  MOMO_RECEIPT_UNMATCHED: 'MOMO_RECEIPT_UNMATCHED',
+  MOMO_RECEIPT_IGNORED: 'MOMO_RECEIPT_IGNORED',
+
+  // Preorder actions
+  PREORDER_STATUS_CHANGED: 'PREORDER_STATUS_CHANGED',
+  PREORDER_PAYMENT_RECORDED: 'PREORDER_PAYMENT_RECORDED',
+  PREORDER_REFUND_RECORDED: 'PREORDER_REFUND_RECORDED',
+  PREORDER_PAYMENT_VOIDED: 'PREORDER_PAYMENT_VOIDED',
+  PREORDER_SLA_AT_RISK: 'PREORDER_SLA_AT_RISK',
+  PREORDER_SLA_BREACHED: 'PREORDER_SLA_BREACHED',
+
+  // Webhook actions
+  WEBHOOK_SUBSCRIPTION_CREATED: 'WEBHOOK_SUBSCRIPTION_CREATED',
+  WEBHOOK_SUBSCRIPTION_UPDATED: 'WEBHOOK_SUBSCRIPTION_UPDATED',
+  WEBHOOK_SUBSCRIPTION_DELETED: 'WEBHOOK_SUBSCRIPTION_DELETED'
 };
 
 const ENTITY_TYPES = {
@@ -56,7 +128,20 @@ const ENTITY_TYPES = {
   ASSET: 'ASSET',
   RETURN: 'RETURN',
   STORE_CREDIT: 'STORE_CREDIT',
-  WRITE_OFF: 'WRITE_OFF'
+  WRITE_OFF: 'WRITE_OFF',
+  REPAIR_TICKET: 'REPAIR_TICKET',
+  WARRANTY: 'WARRANTY',
+  WARRANTY_CLAIM: 'WARRANTY_CLAIM',
+  STOCK_TRANSFER: 'STOCK_TRANSFER',
+  PURCHASE_ORDER: 'PURCHASE_ORDER',
+  SUPPLIER: 'SUPPLIER',
+  SUPPLIER_BILL: 'SUPPLIER_BILL',
+  INSTALLMENT_PLAN: 'INSTALLMENT_PLAN',
+  QUOTATION: 'QUOTATION',
+  CASH_DRAWER_SESSION: 'CASH_DRAWER_SESSION',
+  MOMO_STATEMENT_IMPORT: 'MOMO_STATEMENT_IMPORT',
+  PREORDER: 'PREORDER',
+  WEBHOOK_SUBSCRIPTION: 'WEBHOOK_SUBSCRIPTION'
 };
 
 module.exports = (sequelize, DataTypes) => {
@@ -69,7 +154,8 @@ module.exports = (sequelize, DataTypes) => {
     }
 
     /**
-     * Create an activity log entry
+     * Create an activity log entry and raise its webhook event and customer
+     * notification, if it has them
      */
     static async log({
       actorUserId,
@@ -79,7 +165,7 @@ module.exports = (sequelize, DataTypes) => {
       summary,
       metadata = null
     }) {
-      return await this.create({
+      const entry = await this.create({
         actor_user_id: actorUserId,
         action_type: actionType,
         entity_type: entityType,
@@ -87,6 +173,11 @@ module.exports = (sequelize, DataTypes) => {
         summary,
         metadata
       });
+
+      emitForActivity(entry);
+      notifyForActivity(entry);
+
+      return entry;
     }
 
     /**
@@ -296,6 +387,96 @@ module.exports = (sequelize, DataTypes) => {
         }
       });
     }
+
+    /**
+     * Log preorder status changed
+     */
+    static async logPreorderStatusChanged(preorder, previousStatus, userId) {
+      return await this.log({
+        actorUserId: userId,
+        actionType: ACTION_TYPES.PREORDER_STATUS_CHANGED,
+        entityType: ENTITY_TYPES.PREORDER,
+        entityId: preorder.id,
+        summary: `Preorder ${preorder.tracking_code} moved from ${previousStatus} to ${preorder.status}`,
+        metadata: {
+          trackingCode: preorder.tracking_code,
+          previousStatus,
+          status: preorder.status,
+          statusMessage: preorder.status_message,
+          customerId: preorder.customer_id,
+          invoiceId: preorder.invoice_id
+        }
+      });
+    }
+
+    /**
+     * Log a deposit, top-up or refund taken against a preorder
+     */
+    static async logPreorderPayment(payment, preorder, userId) {
+      const isRefund = payment.transaction_type === 'REFUND';
+      return await this.log({
+        actorUserId: userId,
+        actionType: isRefund ? ACTION_TYPES.PREORDER_REFUND_RECORDED : ACTION_TYPES.PREORDER_PAYMENT_RECORDED,
+        entityType: ENTITY_TYPES.PREORDER,
+        entityId: preorder.id,
+        summary: `${isRefund ? 'Refund' : 'Payment'} of GHS ${payment.amount.toFixed(2)} (${payment.getMethodDisplay()}) recorded on preorder ${preorder.tracking_code}`,
+        metadata: {
+          trackingCode: preorder.tracking_code,
+          paymentId: payment.id,
+          transactionType: payment.transaction_type,
+          amount: payment.amount,
+          paymentMethod: payment.payment_method,
+          paymentDate: payment.payment_date,
+          comment: payment.comment,
+          amountHeld: preorder.deposit_amount
+        }
+      });
+    }
+
+    /**
+     * Log a voided preorder payment or refund
+     */
+    static async logPreorderPaymentVoided(payment, preorder, userId, reason) {
+      return await this.log({
+        actorUserId: userId,
+        actionType: ACTION_TYPES.PREORDER_PAYMENT_VOIDED,
+        entityType: ENTITY_TYPES.PREORDER,
+        entityId: preorder.id,
+        summary: `${payment.transaction_type === 'REFUND' ? 'Refund' : 'Payment'} of GHS ${payment.amount.toFixed(2)} voided on preorder ${preorder.tracking_code}`,
+        metadata: {
+          trackingCode: preorder.tracking_code,
+          paymentId: payment.id,
+          transactionType: payment.transaction_type,
+          amount: payment.amount,
+          voidReason: reason,
+          amountHeld: preorder.deposit_amount
+        }
+      });
+    }
+
+    /**
+     * Log a preorder found at risk of missing, or past, its SLA by the daily check
+     */
+    static async logPreorderSlaFlagged(preorder, previousSlaStatus) {
+      const breached = preorder.sla_status === 'breached';
+      return await this.log({
+        actorUserId: null,
+        actionType: breached ? ACTION_TYPES.PREORDER_SLA_BREACHED : ACTION_TYPES.PREORDER_SLA_AT_RISK,
+        entityType: ENTITY_TYPES.PREORDER,
+        entityId: preorder.id,
+        summary: `Preorder ${preorder.tracking_code} ${breached ? 'is past' : 'is at risk of missing'} its ${preorder.sla_stage} due date (${preorder.sla_due_date})`,
+        metadata: {
+          trackingCode: preorder.tracking_code,
+          status: preorder.status,
+          shippingMethod: preorder.shipping_method,
+          previousSlaStatus,
+          slaStatus: preorder.sla_status,
+          slaStage: preorder.sla_stage,
+          slaDueDate: preorder.sla_due_date,
+          slaPromisedDate: preorder.sla_promised_date
+        }
+      });
+    }
   }
 
   ActivityLog.init({
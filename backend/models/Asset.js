@@ -70,6 +70,22 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       comment: 'Units returned after sale'
     },
+    reorder_point: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0
+      },
+      comment: 'Bulk stock: flag as low stock when quantity falls to or below this level'
+    },
+    reorder_quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1
+      },
+      comment: 'Bulk stock: suggested quantity to reorder'
+    },
     // quantityRemaining removed — availability is now computed from invoice_items
     // Basic product fields
     make: {
@@ -80,6 +96,12 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(100),
       allowNull: false
     },
+    product_model_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'product_models', key: 'id' },
+      comment: 'Catalog model this asset is an instance of'
+    },
     product_category: {
       type: DataTypes.STRING(50),
       allowNull: true,
@@ -324,8 +346,12 @@ module.exports = (sequelize, DataTypes) => {
     Asset.belongsTo(models.User, { as: 'repairUpdater', foreignKey: 'repair_updated_by' });
     Asset.belongsTo(models.ImportBatch, { as: 'importBatch', foreignKey: 'import_batch_id' });
     Asset.belongsTo(models.ConditionStatus, { as: 'conditionStatus', foreignKey: 'condition_status_id' });
+    Asset.belongsTo(models.ProductModel, { as: 'productModel', foreignKey: 'product_model_id' });
     Asset.hasMany(models.InvoiceItem, { as: 'invoiceItems', foreignKey: 'asset_id' });
     Asset.hasMany(models.AssetUnit, { foreignKey: 'asset_id', as: 'units' });
+    Asset.hasMany(models.StockMovement, { foreignKey: 'asset_id', as: 'stockMovements' });
+    Asset.hasMany(models.LocationStock, { foreignKey: 'asset_id', as: 'locationStocks' });
+    Asset.hasMany(models.AssetImage, { foreignKey: 'asset_id', as: 'images' });
   };
 
   /**
@@ -353,9 +379,10 @@ module.exports = (sequelize, DataTypes) => {
     if (parseInt(paidResult.cnt) > 0) {
       // For serialized assets: only "Sold" if ALL units are sold/scrapped/written off
       if (this.is_serialized) {
+        // Units on the road between locations are still stock
         const [freeUnits] = await sequelize.query(
           `SELECT COUNT(*) AS cnt FROM asset_units
-           WHERE asset_id = :assetId AND status = 'Available'`,
+           WHERE asset_id = :assetId AND status IN ('Available', 'In Transit')`,
           { replacements: { assetId: this.id }, ...queryOptions }
         );
         if (parseInt(freeUnits.cnt) > 0) return 'In Stock';
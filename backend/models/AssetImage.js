@@ -0,0 +1,113 @@
+/**
+ * AssetImage Model
+ *
+ * A product photo for the storefront. Photos with an asset_unit_id show
+ * that particular unit (e.g. a grade B unit's scuffs); the rest show the
+ * product in general.
+ *
+ * image_data/thumbnail_data hold base64 copies of the files so they can be
+ * restored to disk after a redeploy; the default scope leaves them out.
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const AssetImage = sequelize.define('AssetImage', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    asset_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'assets', key: 'id' }
+    },
+    asset_unit_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'asset_units', key: 'id' },
+      comment: 'Set for photos of one specific unit'
+    },
+    storage_key: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true
+    },
+    thumbnail_key: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true
+    },
+    mime_type: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'image/jpeg'
+    },
+    original_file_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    width: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    height: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    file_size: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Bytes, after re-encoding'
+    },
+    alt_text: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    sort_order: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    is_primary: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    image_data: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    thumbnail_data: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    uploaded_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'asset_images',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    defaultScope: {
+      attributes: { exclude: ['image_data', 'thumbnail_data'] }
+    },
+    scopes: {
+      withData: {}
+    },
+    indexes: [
+      { fields: ['asset_id', 'asset_unit_id', 'sort_order'] }
+    ]
+  });
+
+  AssetImage.associate = (models) => {
+    AssetImage.belongsTo(models.Asset, { foreignKey: 'asset_id', as: 'asset' });
+    AssetImage.belongsTo(models.AssetUnit, { foreignKey: 'asset_unit_id', as: 'unit' });
+    AssetImage.belongsTo(models.User, { foreignKey: 'uploaded_by', as: 'uploader' });
+  };
+
+  return AssetImage;
+};
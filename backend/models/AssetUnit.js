@@ -3,6 +3,8 @@
  *
  * Individual serialized unit underneath a product (Asset).
  * Each unit has its own serial number, specs, condition, and optional price/cost overrides.
+ * location_id is where the unit physically is; it is null while the unit is
+ * on a dispatched stock transfer.
  */
 
 module.exports = (sequelize, DataTypes) => {
@@ -80,8 +82,10 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    // In Transit: dispatched on a stock transfer and not yet received, so
+    // not for sale (set and cleared by stockTransferController only)
     status: {
-      type: DataTypes.ENUM('Available', 'Reserved', 'Sold', 'In Repair', 'Scrapped', 'Written Off', 'Returned to Supplier'),
+      type: DataTypes.ENUM('Available', 'Reserved', 'Sold', 'In Repair', 'Scrapped', 'Written Off', 'Returned to Supplier', 'In Transit'),
       allowNull: false,
       defaultValue: 'Available'
     },
@@ -116,6 +120,12 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       comment: 'SalesBinder SKU/barcode — alternate lookup for stock take scanning'
     },
+    location_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'locations', key: 'id' },
+      comment: 'Current location — null while in transit between locations'
+    },
     notes: {
       type: DataTypes.TEXT,
       allowNull: true
@@ -157,6 +167,16 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       references: { model: 'sourcing_batches', key: 'id' }
     },
+    purchase_order_line_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'purchase_order_lines', key: 'id' }
+    },
+    goods_received_note_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'goods_received_notes', key: 'id' }
+    },
     supplier_sku: {
       type: DataTypes.STRING(100),
       allowNull: true
@@ -276,6 +296,10 @@ module.exports = (sequelize, DataTypes) => {
       {
         fields: ['condition_status_id'],
         name: 'asset_units_condition_status_id'
+      },
+      {
+        fields: ['location_id'],
+        name: 'asset_units_location_id'
       }
     ]
   });
@@ -286,7 +310,13 @@ module.exports = (sequelize, DataTypes) => {
     AssetUnit.belongsTo(models.InvoiceItem, { foreignKey: 'invoice_item_id', as: 'invoiceItem' });
     AssetUnit.belongsTo(models.User, { foreignKey: 'repair_updated_by', as: 'repairUpdater' });
     AssetUnit.belongsTo(models.SourcingBatch, { foreignKey: 'sourcing_batch_id', as: 'sourcingBatch' });
+    AssetUnit.belongsTo(models.PurchaseOrderLine, { foreignKey: 'purchase_order_line_id', as: 'purchaseOrderLine' });
+    AssetUnit.belongsTo(models.GoodsReceivedNote, { foreignKey: 'goods_received_note_id', as: 'goodsReceivedNote' });
+    AssetUnit.belongsTo(models.Location, { foreignKey: 'location_id', as: 'location' });
     AssetUnit.hasMany(models.WarrantyClaim, { foreignKey: 'asset_unit_id', as: 'warrantyClaims' });
+    AssetUnit.hasMany(models.RepairTicket, { foreignKey: 'asset_unit_id', as: 'repairTickets' });
+    AssetUnit.hasMany(models.CustomerWarranty, { foreignKey: 'asset_unit_id', as: 'customerWarranties' });
+    AssetUnit.hasMany(models.AssetImage, { foreignKey: 'asset_unit_id', as: 'images' });
   };
 
   // Auto-set battery_flag based on battery_health_percent
@@ -303,5 +333,21 @@ module.exports = (sequelize, DataTypes) => {
     }
   });
 
+  // New units land at the default location unless created somewhere specific
+  AssetUnit.addHook('beforeCreate', 'setDefaultLocation', async (unit, options) => {
+    if (unit.location_id) return;
+    const location = await sequelize.models.Location.getDefault(options.transaction);
+    if (location) unit.location_id = location.id;
+  });
+
+  AssetUnit.addHook('beforeBulkCreate', 'setDefaultLocation', async (units, options) => {
+    if (units.every(unit => unit.location_id)) return;
+    const location = await sequelize.models.Location.getDefault(options.transaction);
+    if (!location) return;
+    for (const unit of units) {
+      if (!unit.location_id) unit.location_id = location.id;
+    }
+  });
+
   return AssetUnit;
 };
@@ -0,0 +1,71 @@
+/**
+ * CashDrawerMovement Model
+ *
+ * Cash put into or taken out of a drawer other than through a sale or a
+ * refund: float top-ups, petty expenses, bank drops.
+ */
+
+const { MOVEMENT_TYPES, REASON_LABELS } = require('../services/cashDrawerService');
+
+module.exports = (sequelize, DataTypes) => {
+  const CashDrawerMovement = sequelize.define('CashDrawerMovement', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    session_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'cash_drawer_sessions', key: 'id' }
+    },
+    movement_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [MOVEMENT_TYPES]
+      }
+    },
+    reason: {
+      type: DataTypes.STRING(30),
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      get() {
+        const val = this.getDataValue('amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'cash_drawer_movements',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['session_id'] }
+    ]
+  });
+
+  CashDrawerMovement.associate = (models) => {
+    CashDrawerMovement.belongsTo(models.CashDrawerSession, { foreignKey: 'session_id', as: 'session' });
+    CashDrawerMovement.belongsTo(models.User, { foreignKey: 'created_by', as: 'creator' });
+  };
+
+  CashDrawerMovement.prototype.getReasonLabel = function() {
+    return REASON_LABELS[this.reason] || this.reason;
+  };
+
+  return CashDrawerMovement;
+};
@@ -0,0 +1,272 @@
+/**
+ * CashDrawerSession Model
+ *
+ * One cashier's till from open to close. The drawer opens with a float,
+ * cash is put in or taken out through CashDrawerMovements, and at close the
+ * counted cash is compared with what should be there given the cash
+ * payments and refunds the cashier took during the session.
+ *
+ * The cash figures are snapshotted at close so the Z-report stays the same
+ * if a payment is voided afterwards.
+ */
+
+const { summarizeSession } = require('../services/cashDrawerService');
+
+const SESSION_STATUSES = ['open', 'closed'];
+
+const STATUS_LABELS = {
+  open: 'Open',
+  closed: 'Closed'
+};
+
+module.exports = (sequelize, DataTypes) => {
+  const CashDrawerSession = sequelize.define('CashDrawerSession', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    session_number: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      unique: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      comment: 'Cashier the drawer belongs to'
+    },
+    location_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'locations', key: 'id' }
+    },
+    register_name: {
+      type: DataTypes.STRING(60),
+      allowNull: true
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'GHS'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'open',
+      validate: {
+        isIn: [SESSION_STATUSES]
+      }
+    },
+    opened_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    opening_float: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('opening_float');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    opening_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    closed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    closed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    cash_sales_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      get() {
+        const val = this.getDataValue('cash_sales_amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    cash_refunds_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      get() {
+        const val = this.getDataValue('cash_refunds_amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    cash_in_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      get() {
+        const val = this.getDataValue('cash_in_amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    cash_out_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      get() {
+        const val = this.getDataValue('cash_out_amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    expected_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      get() {
+        const val = this.getDataValue('expected_amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    counted_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      get() {
+        const val = this.getDataValue('counted_amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    over_short_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      get() {
+        const val = this.getDataValue('over_short_amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    closing_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'cash_drawer_sessions',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['user_id'] },
+      { fields: ['status'] },
+      { fields: ['opened_at'] }
+    ]
+  });
+
+  CashDrawerSession.associate = (models) => {
+    CashDrawerSession.belongsTo(models.User, { foreignKey: 'user_id', as: 'cashier' });
+    CashDrawerSession.belongsTo(models.User, { foreignKey: 'closed_by', as: 'closer' });
+    CashDrawerSession.belongsTo(models.Location, { foreignKey: 'location_id', as: 'location' });
+    CashDrawerSession.hasMany(models.CashDrawerMovement, { foreignKey: 'session_id', as: 'movements' });
+  };
+
+  // Static constants
+  CashDrawerSession.STATUSES = SESSION_STATUSES;
+  CashDrawerSession.STATUS_LABELS = STATUS_LABELS;
+
+  /**
+   * Generate next session number (CD-000001 format)
+   * @param {Transaction} transaction - Optional Sequelize transaction
+   * @returns {Promise<string>}
+   */
+  CashDrawerSession.generateSessionNumber = async function(transaction = null) {
+    const [results] = await sequelize.query(
+      `SELECT session_number FROM cash_drawer_sessions
+       WHERE session_number LIKE 'CD-%'
+       ORDER BY session_number DESC LIMIT 1`,
+      transaction ? { transaction } : {}
+    );
+
+    let nextSeq = 1;
+    if (results.length > 0) {
+      const match = results[0].session_number.match(/CD-(\d+)/);
+      if (match) {
+        nextSeq = parseInt(match[1], 10) + 1;
+      }
+    }
+
+    return `CD-${String(nextSeq).padStart(6, '0')}`;
+  };
+
+  CashDrawerSession.prototype.getStatusLabel = function() {
+    return STATUS_LABELS[this.status] || this.status;
+  };
+
+  /**
+   * Payments and refunds the cashier recorded during the session, in the
+   * drawer's currency and any method, including preorder deposits and
+   * refunds. Voided ones are left out, as are invoice payments carried over
+   * from a preorder (that money was taken when the preorder payment was).
+   * @param {Transaction} transaction - Optional Sequelize transaction
+   * @returns {Promise<Array<InvoicePayment|PreorderPayment>>} oldest first
+   */
+  CashDrawerSession.prototype.getSessionPayments = async function(transaction = null) {
+    const { InvoicePayment, Invoice, PreorderPayment, Preorder } = sequelize.models;
+    const { Op } = sequelize.Sequelize;
+    const window = { [Op.between]: [this.opened_at, this.closed_at || new Date()] };
+
+    const [invoicePayments, preorderPayments] = await Promise.all([
+      InvoicePayment.findAll({
+        where: {
+          received_by_user_id: this.user_id,
+          currency: this.currency,
+          voided_at: null,
+          created_at: window,
+          id: {
+            [Op.notIn]: sequelize.literal('(SELECT invoice_payment_id FROM preorder_payments WHERE invoice_payment_id IS NOT NULL)')
+          }
+        },
+        include: [{ model: Invoice, as: 'invoice', attributes: ['id', 'invoice_number'] }],
+        ...(transaction ? { transaction } : {})
+      }),
+      PreorderPayment.findAll({
+        where: {
+          received_by: this.user_id,
+          currency: this.currency,
+          voided_at: null,
+          created_at: window
+        },
+        include: [{ model: Preorder, as: 'preorder', attributes: ['id', 'tracking_code'] }],
+        ...(transaction ? { transaction } : {})
+      })
+    ]);
+
+    return [...invoicePayments, ...preorderPayments]
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  };
+
+  /**
+   * Cash position of the session. For a closed session this is the
+   * snapshot taken at close; for an open one it is worked out live.
+   * Requires movements to be loaded for an open session.
+   * @param {InvoicePayment[]} payments - from getSessionPayments, open sessions only
+   * @returns {Object} see cashDrawerService.summarizeSession
+   */
+  CashDrawerSession.prototype.getCashSummary = function(payments = []) {
+    if (this.status === 'closed') {
+      return {
+        opening_float: this.opening_float,
+        cash_sales: this.cash_sales_amount,
+        cash_refunds: this.cash_refunds_amount,
+        cash_in: this.cash_in_amount,
+        cash_out: this.cash_out_amount,
+        expected: this.expected_amount,
+        counted: this.counted_amount,
+        over_short: this.over_short_amount
+      };
+    }
+    return summarizeSession({
+      openingFloat: this.opening_float,
+      payments: payments.filter(p => p.payment_method === 'Cash'),
+      movements: this.movements || []
+    });
+  };
+
+  return CashDrawerSession;
+};
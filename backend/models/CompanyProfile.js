@@ -24,6 +24,18 @@ module.exports = (sequelize, DataTypes) => {
       return parts.join(', ');
     }
 
+    /**
+     * Tax mode to stamp on a new invoice (from the active profile)
+     */
+    static async getDefaultTaxMode(transaction = null) {
+      const profile = await CompanyProfile.findOne({
+        where: { is_active: true },
+        attributes: ['id', 'tax_mode'],
+        transaction
+      });
+      return profile?.tax_mode || 'none';
+    }
+
     /**
      * Get contact info object
      */
@@ -102,6 +114,15 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(100),
       allowNull: true
     },
+    // Tax mode for new invoices: none | exclusive (taxes added) | inclusive (prices include tax)
+    tax_mode: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'none',
+      validate: {
+        isIn: [['none', 'exclusive', 'inclusive']]
+      }
+    },
     notes_footer: {
       type: DataTypes.TEXT,
       allowNull: true
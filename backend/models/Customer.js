@@ -75,6 +75,22 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(255),
       allowNull: true
     },
+    // Notifications (services/notificationService.js) the customer has opted out of
+    sms_opt_out: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    whatsapp_opt_out: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    email_opt_out: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
     // Address
     address: {
       type: DataTypes.TEXT,
@@ -105,6 +121,20 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.TEXT,
       allowNull: true
     },
+    // Last shared statement PDF (token grants public download)
+    statement_access_token: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    statement_generated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    statement_period: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: '{ from, to } of the last generated statement'
+    },
     // Import tracking
     salesbinder_id: {
       type: DataTypes.STRING(50),
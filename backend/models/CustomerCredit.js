@@ -1,8 +1,10 @@
 'use strict';
 
 const { Model } = require('sequelize');
+const ledgerService = require('../services/ledgerService');
 
 const CREDIT_STATUSES = ['ACTIVE', 'CONSUMED', 'VOIDED'];
+const CREDIT_SOURCE_TYPES = ['RETURN', 'WARRANTY_CLAIM', 'INSTALLMENT_PLAN'];
 
 module.exports = (sequelize, DataTypes) => {
   class CustomerCredit extends Model {
@@ -17,6 +19,11 @@ module.exports = (sequelize, DataTypes) => {
         as: 'sourceReturn'
       });
 
+      CustomerCredit.belongsTo(models.CustomerWarrantyClaim, {
+        foreignKey: 'source_warranty_claim_id',
+        as: 'sourceWarrantyClaim'
+      });
+
       CustomerCredit.belongsTo(models.User, {
         foreignKey: 'created_by_user_id',
         as: 'createdBy'
@@ -138,14 +145,30 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       defaultValue: 'ACTIVE'
     },
+    source_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'RETURN',
+      validate: {
+        isIn: [CREDIT_SOURCE_TYPES]
+      }
+    },
     source_return_id: {
       type: DataTypes.UUID,
-      allowNull: false,
+      allowNull: true,
       references: {
         model: 'invoice_returns',
         key: 'id'
       }
     },
+    source_warranty_claim_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'customer_warranty_claims',
+        key: 'id'
+      }
+    },
     created_at: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -182,8 +205,17 @@ module.exports = (sequelize, DataTypes) => {
     }
   });
 
+  // Issuing credit posts the store credit liability; voiding it reverses that
+  CustomerCredit.addHook('afterCreate', 'postToLedger', (credit, options) =>
+    ledgerService.postCustomerCredit(credit, options.transaction));
+  CustomerCredit.addHook('afterUpdate', 'postToLedger', (credit, options) => {
+    if (!credit.changed('voided_at') || !credit.voided_at) return null;
+    return ledgerService.reverseSource('customer_credit', credit.id, { userId: credit.voided_by_user_id }, options.transaction);
+  });
+
   // Static constants
   CustomerCredit.CREDIT_STATUSES = CREDIT_STATUSES;
+  CustomerCredit.SOURCE_TYPES = CREDIT_SOURCE_TYPES;
 
   return CustomerCredit;
 };
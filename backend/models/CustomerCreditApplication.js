@@ -1,6 +1,7 @@
 'use strict';
 
 const { Model } = require('sequelize');
+const ledgerService = require('../services/ledgerService');
 
 module.exports = (sequelize, DataTypes) => {
   class CustomerCreditApplication extends Model {
@@ -100,5 +101,14 @@ module.exports = (sequelize, DataTypes) => {
     }
   });
 
+  // Applying credit posts like a payment from the store credit liability;
+  // voiding the application (credit restored) reverses it
+  CustomerCreditApplication.addHook('afterCreate', 'postToLedger', (application, options) =>
+    ledgerService.postCreditApplication(application, options.transaction));
+  CustomerCreditApplication.addHook('afterUpdate', 'postToLedger', (application, options) => {
+    if (!application.changed('voided_at') || !application.voided_at) return null;
+    return ledgerService.reverseSource('credit_application', application.id, { userId: application.voided_by_user_id }, options.transaction);
+  });
+
   return CustomerCreditApplication;
 };
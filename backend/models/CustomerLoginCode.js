@@ -0,0 +1,67 @@
+/**
+ * CustomerLoginCode Model
+ *
+ * A one-time sign-in code sent to a phone number (E.164) or email address
+ * (lower-cased). Only its hash is kept. A code stops working once used,
+ * after MAX_CODE_ATTEMPTS wrong guesses, or at expires_at; see
+ * services/customerAuthService.js.
+ */
+
+const { MAX_CODE_ATTEMPTS } = require('../services/customerAuthService');
+
+module.exports = (sequelize, DataTypes) => {
+  const CustomerLoginCode = sequelize.define('CustomerLoginCode', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    channel: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      validate: {
+        isIn: [['sms', 'email']]
+      }
+    },
+    destination: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    code_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    consumed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    }
+  }, {
+    tableName: 'customer_login_codes',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['destination', 'created_at'] }
+    ]
+  });
+
+  CustomerLoginCode.prototype.isUsable = function(now = new Date()) {
+    return !this.consumed_at && this.attempts < MAX_CODE_ATTEMPTS && new Date(this.expires_at) > now;
+  };
+
+  return CustomerLoginCode;
+};
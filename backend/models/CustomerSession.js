@@ -0,0 +1,74 @@
+/**
+ * CustomerSession Model
+ *
+ * A signed-in storefront customer. token_hash is the SHA-256 of the token
+ * given to the website; channel/destination record the phone number or
+ * email address the customer proved they own when signing in.
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const CustomerSession = sequelize.define('CustomerSession', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'customers', key: 'id' }
+    },
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    channel: {
+      type: DataTypes.STRING(10),
+      allowNull: false
+    },
+    destination: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    user_agent: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+  }, {
+    tableName: 'customer_sessions',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['customer_id'] }
+    ]
+  });
+
+  CustomerSession.associate = (models) => {
+    CustomerSession.belongsTo(models.Customer, { foreignKey: 'customer_id', as: 'customer' });
+  };
+
+  CustomerSession.prototype.isActive = function(now = new Date()) {
+    return !this.revoked_at && new Date(this.expires_at) > now;
+  };
+
+  return CustomerSession;
+};
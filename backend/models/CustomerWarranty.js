@@ -0,0 +1,286 @@
+/**
+ * CustomerWarranty Model
+ *
+ * Warranty sold to a customer on a serialized unit. Issued automatically when
+ * the invoice carrying the unit is paid. Customer claims are tracked in
+ * CustomerWarrantyClaim (supplier-side claims live in WarrantyClaim).
+ *
+ * Status: active → replaced (unit swapped under a claim) | void
+ * "expired" is derived from end_date rather than stored.
+ */
+
+const WARRANTY_STATUSES = ['active', 'replaced', 'void'];
+
+// Both tiers run one year; Premium extends coverage beyond hardware faults
+const WARRANTY_TIERS = {
+  Standard: {
+    label: 'Standard',
+    duration_months: 12,
+    coverage: 'Hardware faults (excludes physical and liquid damage)'
+  },
+  Premium: {
+    label: 'Premium',
+    duration_months: 12,
+    coverage: 'Hardware faults, battery, and one accidental damage repair'
+  }
+};
+
+const DEFAULT_WARRANTY_TIER = 'Standard';
+
+/**
+ * Compute the warranty end date (inclusive) for a tier starting on startDate.
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} tier - Standard | Premium
+ * @returns {string} YYYY-MM-DD
+ */
+function computeEndDate(startDate, tier = DEFAULT_WARRANTY_TIER) {
+  const config = WARRANTY_TIERS[tier] || WARRANTY_TIERS[DEFAULT_WARRANTY_TIER];
+  const [year, month, day] = startDate.split('-').map(Number);
+  // Day before the same calendar date N months later (29 Feb rolls to 1 Mar)
+  const end = new Date(Date.UTC(year, month - 1 + config.duration_months, day - 1));
+  return end.toISOString().split('T')[0];
+}
+
+module.exports = (sequelize, DataTypes) => {
+  const CustomerWarranty = sequelize.define('CustomerWarranty', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    warranty_number: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'customers', key: 'id' }
+    },
+    invoice_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'invoices', key: 'id' }
+    },
+    invoice_item_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'invoice_items', key: 'id' }
+    },
+    asset_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'assets', key: 'id' }
+    },
+    asset_unit_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'asset_units', key: 'id' }
+    },
+    warranty_tier: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: DEFAULT_WARRANTY_TIER,
+      validate: {
+        isIn: [Object.keys(WARRANTY_TIERS)]
+      }
+    },
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    end_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'active',
+      validate: {
+        isIn: [WARRANTY_STATUSES]
+      }
+    },
+    // Set on the warranty issued for a replacement unit
+    replaces_warranty_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'customer_warranties', key: 'id' }
+    },
+    void_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    voided_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'customer_warranties',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { unique: true, fields: ['warranty_number'] },
+      { fields: ['customer_id'] },
+      { fields: ['asset_unit_id'] },
+      { fields: ['invoice_item_id'] },
+      { fields: ['status', 'end_date'] }
+    ]
+  });
+
+  CustomerWarranty.associate = (models) => {
+    CustomerWarranty.belongsTo(models.Customer, { foreignKey: 'customer_id', as: 'customer' });
+    CustomerWarranty.belongsTo(models.Invoice, { foreignKey: 'invoice_id', as: 'invoice' });
+    CustomerWarranty.belongsTo(models.InvoiceItem, { foreignKey: 'invoice_item_id', as: 'invoiceItem' });
+    CustomerWarranty.belongsTo(models.Asset, { foreignKey: 'asset_id', as: 'asset' });
+    CustomerWarranty.belongsTo(models.AssetUnit, { foreignKey: 'asset_unit_id', as: 'unit' });
+    CustomerWarranty.belongsTo(models.CustomerWarranty, { foreignKey: 'replaces_warranty_id', as: 'replacesWarranty' });
+    CustomerWarranty.belongsTo(models.User, { foreignKey: 'created_by', as: 'creator' });
+    CustomerWarranty.hasMany(models.CustomerWarrantyClaim, { foreignKey: 'warranty_id', as: 'claims' });
+  };
+
+  // Static constants
+  CustomerWarranty.STATUSES = WARRANTY_STATUSES;
+  CustomerWarranty.TIERS = WARRANTY_TIERS;
+  CustomerWarranty.DEFAULT_TIER = DEFAULT_WARRANTY_TIER;
+  CustomerWarranty.computeEndDate = computeEndDate;
+
+  // Generate warranty number (pattern: WAR-000001)
+  CustomerWarranty.generateWarrantyNumber = async function(transaction = null) {
+    const [results] = await sequelize.query(
+      `SELECT warranty_number FROM customer_warranties
+       WHERE warranty_number LIKE 'WAR-%'
+       ORDER BY warranty_number DESC LIMIT 1`,
+      transaction ? { transaction } : {}
+    );
+
+    let nextSeq = 1;
+    if (results.length > 0) {
+      const match = results[0].warranty_number.match(/WAR-(\d+)/);
+      if (match) {
+        nextSeq = parseInt(match[1], 10) + 1;
+      }
+    }
+
+    return `WAR-${String(nextSeq).padStart(6, '0')}`;
+  };
+
+  /**
+   * Issue warranties for the serialized items on a paid invoice, starting
+   * today, on the tier chosen for each line (Standard when the line has
+   * none). Idempotent: items that already carry a warranty are skipped, so a
+   * re-paid invoice does not duplicate records. A warranty voided when the
+   * invoice went unpaid is reactivated and re-issued from today, as cover
+   * runs from the date the customer paid.
+   * @returns {Array<CustomerWarranty>} newly issued warranties
+   */
+  CustomerWarranty.issueForInvoice = async function(invoice, items, { transaction, userId = null } = {}) {
+    const issued = [];
+    const startDate = new Date().toISOString().split('T')[0];
+
+    for (const item of items) {
+      if (!item.asset_unit_id) continue;
+      if ((item.quantity_returned_total || 0) >= item.quantity) continue;
+
+      const existing = await CustomerWarranty.findOne({
+        where: { invoice_item_id: item.id, asset_unit_id: item.asset_unit_id },
+        transaction
+      });
+
+      if (existing) {
+        // Reactivate a warranty voided by an earlier unpaid transition
+        if (existing.status === 'void') {
+          const tier = item.warranty_tier || existing.warranty_tier;
+          existing.status = 'active';
+          existing.void_reason = null;
+          existing.voided_at = null;
+          existing.warranty_tier = tier;
+          existing.start_date = startDate;
+          existing.end_date = computeEndDate(startDate, tier);
+          await existing.save({ transaction });
+        }
+        continue;
+      }
+
+      const tier = item.warranty_tier || DEFAULT_WARRANTY_TIER;
+      const warranty = await CustomerWarranty.create({
+        warranty_number: await CustomerWarranty.generateWarrantyNumber(transaction),
+        customer_id: invoice.customer_id || null,
+        invoice_id: invoice.id,
+        invoice_item_id: item.id,
+        asset_id: item.asset_id,
+        asset_unit_id: item.asset_unit_id,
+        warranty_tier: tier,
+        start_date: startDate,
+        end_date: computeEndDate(startDate, tier),
+        created_by: userId
+      }, { transaction });
+
+      issued.push(warranty);
+    }
+
+    return issued;
+  };
+
+  /**
+   * Void active warranties matching a where clause (e.g. invoice un-paid,
+   * unit returned). Warranties that already have claims are left alone.
+   * @returns {number} number of warranties voided
+   */
+  CustomerWarranty.voidWhere = async function(where, reason, transaction = null) {
+    const CustomerWarrantyClaim = sequelize.models.CustomerWarrantyClaim;
+    const warranties = await CustomerWarranty.findAll({
+      where: { ...where, status: 'active' },
+      transaction
+    });
+
+    let voided = 0;
+    for (const warranty of warranties) {
+      const claimCount = await CustomerWarrantyClaim.count({
+        where: { warranty_id: warranty.id },
+        transaction
+      });
+      if (claimCount > 0) continue;
+
+      warranty.status = 'void';
+      warranty.void_reason = reason;
+      warranty.voided_at = new Date();
+      await warranty.save({ transaction });
+      voided++;
+    }
+
+    return voided;
+  };
+
+  /**
+   * Check whether the warranty has lapsed as of a date (default today)
+   */
+  CustomerWarranty.prototype.isExpired = function(asOf = null) {
+    const date = asOf || new Date().toISOString().split('T')[0];
+    return this.end_date < date;
+  };
+
+  /**
+   * Check whether claims can be submitted against this warranty
+   */
+  CustomerWarranty.prototype.isClaimable = function(asOf = null) {
+    return this.status === 'active' && !this.isExpired(asOf);
+  };
+
+  /**
+   * Get display status (active warranties past end_date show as expired)
+   */
+  CustomerWarranty.prototype.getDisplayStatus = function(asOf = null) {
+    if (this.status === 'active' && this.isExpired(asOf)) return 'expired';
+    return this.status;
+  };
+
+  return CustomerWarranty;
+};
@@ -0,0 +1,164 @@
+/**
+ * CustomerWarrantyClaim Model
+ *
+ * A customer's claim against a CustomerWarranty.
+ * Status workflow: submitted → approved → completed
+ *                  submitted → rejected
+ * Completion records how the claim was resolved: repaired in-house,
+ * replacement unit issued, or store credit issued.
+ */
+
+const CLAIM_STATUSES = ['submitted', 'approved', 'rejected', 'completed'];
+const CLAIM_RESOLUTIONS = ['repaired', 'replacement', 'store_credit', 'none'];
+
+module.exports = (sequelize, DataTypes) => {
+  const CustomerWarrantyClaim = sequelize.define('CustomerWarrantyClaim', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    claim_number: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    warranty_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'customer_warranties', key: 'id' }
+    },
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'customers', key: 'id' }
+    },
+    claim_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    issue_description: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'submitted',
+      validate: {
+        isIn: [CLAIM_STATUSES]
+      }
+    },
+    reviewed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    rejection_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Optional repair job opened when the claim is approved
+    repair_ticket_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'repair_tickets', key: 'id' }
+    },
+    resolution_type: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      validate: {
+        isIn: [CLAIM_RESOLUTIONS]
+      }
+    },
+    replacement_unit_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'asset_units', key: 'id' }
+    },
+    replacement_warranty_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'customer_warranties', key: 'id' }
+    },
+    customer_credit_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'customer_credits', key: 'id' }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    completed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'customer_warranty_claims',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { unique: true, fields: ['claim_number'] },
+      { fields: ['warranty_id'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  CustomerWarrantyClaim.associate = (models) => {
+    CustomerWarrantyClaim.belongsTo(models.CustomerWarranty, { foreignKey: 'warranty_id', as: 'warranty' });
+    CustomerWarrantyClaim.belongsTo(models.Customer, { foreignKey: 'customer_id', as: 'customer' });
+    CustomerWarrantyClaim.belongsTo(models.RepairTicket, { foreignKey: 'repair_ticket_id', as: 'repairTicket' });
+    CustomerWarrantyClaim.belongsTo(models.AssetUnit, { foreignKey: 'replacement_unit_id', as: 'replacementUnit' });
+    CustomerWarrantyClaim.belongsTo(models.CustomerWarranty, { foreignKey: 'replacement_warranty_id', as: 'replacementWarranty' });
+    CustomerWarrantyClaim.belongsTo(models.CustomerCredit, { foreignKey: 'customer_credit_id', as: 'customerCredit' });
+    CustomerWarrantyClaim.belongsTo(models.User, { foreignKey: 'reviewed_by', as: 'reviewer' });
+    CustomerWarrantyClaim.belongsTo(models.User, { foreignKey: 'completed_by', as: 'completer' });
+    CustomerWarrantyClaim.belongsTo(models.User, { foreignKey: 'created_by', as: 'creator' });
+  };
+
+  // Static constants
+  CustomerWarrantyClaim.STATUSES = CLAIM_STATUSES;
+  CustomerWarrantyClaim.RESOLUTIONS = CLAIM_RESOLUTIONS;
+
+  // Generate claim number (pattern: WCL-000001)
+  CustomerWarrantyClaim.generateClaimNumber = async function(transaction = null) {
+    const [results] = await sequelize.query(
+      `SELECT claim_number FROM customer_warranty_claims
+       WHERE claim_number LIKE 'WCL-%'
+       ORDER BY claim_number DESC LIMIT 1`,
+      transaction ? { transaction } : {}
+    );
+
+    let nextSeq = 1;
+    if (results.length > 0) {
+      const match = results[0].claim_number.match(/WCL-(\d+)/);
+      if (match) {
+        nextSeq = parseInt(match[1], 10) + 1;
+      }
+    }
+
+    return `WCL-${String(nextSeq).padStart(6, '0')}`;
+  };
+
+  CustomerWarrantyClaim.prototype.isOpen = function() {
+    return ['submitted', 'approved'].includes(this.status);
+  };
+
+  return CustomerWarrantyClaim;
+};
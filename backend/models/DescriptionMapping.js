@@ -18,6 +18,14 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    product_model_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'product_models',
+        key: 'id'
+      }
+    },
     match_type: {
       type: DataTypes.ENUM('exact', 'fuzzy', 'manual'),
       allowNull: false,
@@ -49,6 +57,7 @@ module.exports = (sequelize, DataTypes) => {
 
   DescriptionMapping.associate = (models) => {
     DescriptionMapping.belongsTo(models.Asset, { foreignKey: 'asset_id' });
+    DescriptionMapping.belongsTo(models.ProductModel, { as: 'productModel', foreignKey: 'product_model_id' });
     DescriptionMapping.belongsTo(models.User, { as: 'creator', foreignKey: 'created_by' });
   };
 
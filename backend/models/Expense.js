@@ -1,3 +1,5 @@
+const ledgerService = require('../services/ledgerService');
+
 module.exports = (sequelize, DataTypes) => {
   const Expense = sequelize.define('Expense', {
     id: {
@@ -98,5 +100,17 @@ module.exports = (sequelize, DataTypes) => {
     Expense.belongsTo(models.InventoryWriteOff, { foreignKey: 'write_off_id', as: 'writeOff' });
   };
 
+  // Post to the general ledger. Edits to the amount, date or source reverse
+  // the old posting on its original date and post again.
+  Expense.addHook('afterCreate', 'postToLedger', (expense, options) =>
+    ledgerService.postExpense(expense, options.transaction));
+  Expense.addHook('afterUpdate', 'postToLedger', async (expense, options) => {
+    if (!['amount_local', 'expense_date', 'source_type'].some(field => expense.changed(field))) return;
+    await ledgerService.reverseSource('expense', expense.id, {}, options.transaction);
+    await ledgerService.postExpense(expense, options.transaction);
+  });
+  Expense.addHook('afterDestroy', 'postToLedger', (expense, options) =>
+    ledgerService.reverseSource('expense', expense.id, {}, options.transaction));
+
   return Expense;
 };
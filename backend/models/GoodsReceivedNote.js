@@ -0,0 +1,91 @@
+/**
+ * GoodsReceivedNote Model
+ *
+ * One delivery booked in against a PurchaseOrder. Each line records how
+ * many units arrived for a PO line and how many of those were beyond what
+ * was still outstanding (over-shipped). The units themselves are AssetUnits
+ * carrying goods_received_note_id and purchase_order_line_id.
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const GoodsReceivedNote = sequelize.define('GoodsReceivedNote', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    grn_number: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    purchase_order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'purchase_orders', key: 'id' }
+    },
+    received_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    location_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'locations', key: 'id' },
+      comment: 'Where the delivery was booked in'
+    },
+    supplier_reference: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Supplier delivery note / waybill number'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    received_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'goods_received_notes',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { unique: true, fields: ['grn_number'] },
+      { fields: ['purchase_order_id'] }
+    ]
+  });
+
+  GoodsReceivedNote.associate = (models) => {
+    GoodsReceivedNote.belongsTo(models.PurchaseOrder, { foreignKey: 'purchase_order_id', as: 'purchaseOrder' });
+    GoodsReceivedNote.hasMany(models.GoodsReceivedNoteLine, { foreignKey: 'goods_received_note_id', as: 'lines' });
+    GoodsReceivedNote.hasMany(models.AssetUnit, { foreignKey: 'goods_received_note_id', as: 'units' });
+    GoodsReceivedNote.belongsTo(models.Location, { foreignKey: 'location_id', as: 'location' });
+    GoodsReceivedNote.belongsTo(models.User, { foreignKey: 'received_by', as: 'receiver' });
+  };
+
+  // Generate GRN number (pattern: GRN-000001)
+  GoodsReceivedNote.generateGrnNumber = async function(transaction = null) {
+    const [results] = await sequelize.query(
+      `SELECT grn_number FROM goods_received_notes
+       WHERE grn_number LIKE 'GRN-%'
+       ORDER BY grn_number DESC LIMIT 1`,
+      transaction ? { transaction } : {}
+    );
+
+    let nextSeq = 1;
+    if (results.length > 0) {
+      const match = results[0].grn_number.match(/GRN-(\d+)/);
+      if (match) {
+        nextSeq = parseInt(match[1], 10) + 1;
+      }
+    }
+
+    return `GRN-${String(nextSeq).padStart(6, '0')}`;
+  };
+
+  return GoodsReceivedNote;
+};
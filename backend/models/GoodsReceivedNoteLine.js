@@ -0,0 +1,59 @@
+/**
+ * GoodsReceivedNoteLine Model
+ *
+ * Units received for one purchase order line on one goods-received note.
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const GoodsReceivedNoteLine = sequelize.define('GoodsReceivedNoteLine', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    goods_received_note_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'goods_received_notes', key: 'id' }
+    },
+    purchase_order_line_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'purchase_order_lines', key: 'id' }
+    },
+    quantity_received: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    quantity_over: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Units beyond what was outstanding on the PO line'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'goods_received_note_lines',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['goods_received_note_id'] },
+      { fields: ['purchase_order_line_id'] }
+    ]
+  });
+
+  GoodsReceivedNoteLine.associate = (models) => {
+    GoodsReceivedNoteLine.belongsTo(models.GoodsReceivedNote, { foreignKey: 'goods_received_note_id', as: 'receipt' });
+    GoodsReceivedNoteLine.belongsTo(models.PurchaseOrderLine, { foreignKey: 'purchase_order_line_id', as: 'purchaseOrderLine' });
+  };
+
+  return GoodsReceivedNoteLine;
+};
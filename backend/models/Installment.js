@@ -0,0 +1,87 @@
+/**
+ * Installment Model
+ *
+ * One dated amount on an installment plan. Sequence 0 is the down payment.
+ * amount_paid, paid_at and status are derived by
+ * InstallmentPlan.syncForInvoice from the invoice's payments.
+ */
+
+const INSTALLMENT_STATUSES = ['pending', 'partially_paid', 'paid'];
+
+module.exports = (sequelize, DataTypes) => {
+  const Installment = sequelize.define('Installment', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    installment_plan_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'installment_plans', key: 'id' }
+    },
+    sequence: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    due_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    amount_due: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      get() {
+        const val = this.getDataValue('amount_due');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    amount_paid: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('amount_paid');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    paid_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: [INSTALLMENT_STATUSES]
+      }
+    }
+  }, {
+    tableName: 'installments',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['installment_plan_id', 'sequence'], unique: true },
+      { fields: ['due_date'] }
+    ]
+  });
+
+  Installment.associate = (models) => {
+    Installment.belongsTo(models.InstallmentPlan, { foreignKey: 'installment_plan_id', as: 'plan' });
+  };
+
+  // Static constants
+  Installment.STATUSES = INSTALLMENT_STATUSES;
+
+  /**
+   * Amount still owed on the installment
+   */
+  Installment.prototype.getBalance = function() {
+    return Math.max(0, parseFloat((this.amount_due - this.amount_paid).toFixed(2)));
+  };
+
+  return Installment;
+};
@@ -0,0 +1,284 @@
+/**
+ * InstallmentPlan Model
+ *
+ * Layaway / BNPL schedule on an invoice: an optional down payment then N
+ * dated installments. The invoice stays UNPAID/PARTIALLY_PAID (so its
+ * items stay reserved) until the plan completes or is defaulted.
+ *
+ * A plan fee, if any, is added to the invoice as a line of its own so the
+ * invoice total, balance and payments keep covering everything owed.
+ */
+
+const { FREQUENCIES, rebalanceSchedule, allocatePayments, summarizeOverdue } = require('../services/installmentPlanService');
+
+const PLAN_STATUSES = ['active', 'completed', 'defaulted', 'cancelled'];
+
+const STATUS_LABELS = {
+  active: 'Active',
+  completed: 'Completed',
+  defaulted: 'Defaulted',
+  cancelled: 'Cancelled'
+};
+
+module.exports = (sequelize, DataTypes) => {
+  const InstallmentPlan = sequelize.define('InstallmentPlan', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    plan_number: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      unique: true
+    },
+    invoice_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'invoices', key: 'id' }
+    },
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'customers', key: 'id' }
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'active',
+      validate: {
+        isIn: [PLAN_STATUSES]
+      }
+    },
+    frequency: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'monthly',
+      validate: {
+        isIn: [FREQUENCIES]
+      }
+    },
+    installment_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    down_payment_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('down_payment_amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    fee_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('fee_amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    fee_invoice_item_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'invoice_items', key: 'id' }
+    },
+    grace_days: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Days after a due date before the installment counts as overdue'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    defaulted_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    defaulted_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    default_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    store_credit_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'customer_credits', key: 'id' },
+      comment: 'Credit issued for the amount paid when the plan defaulted'
+    },
+    cancelled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelled_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'installment_plans',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['invoice_id'] },
+      { fields: ['customer_id'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  InstallmentPlan.associate = (models) => {
+    InstallmentPlan.belongsTo(models.Invoice, { foreignKey: 'invoice_id', as: 'invoice' });
+    InstallmentPlan.belongsTo(models.Customer, { foreignKey: 'customer_id', as: 'customer' });
+    InstallmentPlan.hasMany(models.Installment, { foreignKey: 'installment_plan_id', as: 'installments' });
+    InstallmentPlan.belongsTo(models.CustomerCredit, { foreignKey: 'store_credit_id', as: 'storeCredit' });
+    InstallmentPlan.belongsTo(models.User, { foreignKey: 'created_by', as: 'creator' });
+    InstallmentPlan.belongsTo(models.User, { foreignKey: 'defaulted_by', as: 'defaulter' });
+  };
+
+  // Static constants
+  InstallmentPlan.STATUSES = PLAN_STATUSES;
+  InstallmentPlan.STATUS_LABELS = STATUS_LABELS;
+  InstallmentPlan.FREQUENCIES = FREQUENCIES;
+
+  /**
+   * Generate next plan number (PLAN-000001 format)
+   * @param {Transaction} transaction - Optional Sequelize transaction
+   * @returns {Promise<string>}
+   */
+  InstallmentPlan.generatePlanNumber = async function(transaction = null) {
+    const [results] = await sequelize.query(
+      `SELECT plan_number FROM installment_plans
+       WHERE plan_number LIKE 'PLAN-%'
+       ORDER BY plan_number DESC LIMIT 1`,
+      transaction ? { transaction } : {}
+    );
+
+    let nextSeq = 1;
+    if (results.length > 0) {
+      const match = results[0].plan_number.match(/PLAN-(\d+)/);
+      if (match) {
+        nextSeq = parseInt(match[1], 10) + 1;
+      }
+    }
+
+    return `PLAN-${String(nextSeq).padStart(6, '0')}`;
+  };
+
+  /**
+   * Where condition matching plans with an unpaid installment past its due
+   * date plus grace days. Combine with status: 'active'.
+   */
+  InstallmentPlan.overdueCondition = function() {
+    return sequelize.literal(`EXISTS (
+      SELECT 1 FROM installments i
+      WHERE i.installment_plan_id = "InstallmentPlan"."id"
+        AND i.status <> 'paid'
+        AND i.due_date + "InstallmentPlan"."grace_days" < CURRENT_DATE
+    )`);
+  };
+
+  /**
+   * Bring an invoice's plan in line with the invoice: rebalance the schedule
+   * to the invoice total, re-allocate its payments, refunds and store credit
+   * to installments, and complete (or reopen) the plan as the invoice
+   * becomes (or stops being) PAID. Call after the invoice totals change.
+   * @param {Invoice} invoice - saved, with current total_amount and status
+   * @param {Transaction} transaction - Optional Sequelize transaction
+   * @returns {Promise<InstallmentPlan|null>} the plan, if the invoice has an open one
+   */
+  InstallmentPlan.syncForInvoice = async function(invoice, transaction = null) {
+    const { Installment, InvoicePayment, CustomerCreditApplication } = sequelize.models;
+    const { Op } = sequelize.Sequelize;
+    const options = transaction ? { transaction } : {};
+
+    if (invoice.status === 'CANCELLED') return null;
+
+    const plan = await InstallmentPlan.findOne({
+      where: { invoice_id: invoice.id, status: { [Op.in]: ['active', 'completed'] } },
+      include: [{ model: Installment, as: 'installments' }],
+      ...options
+    });
+    if (!plan) return null;
+
+    const payments = await InvoicePayment.findAll({
+      where: { invoice_id: invoice.id, voided_at: null },
+      ...options
+    });
+    const applications = await CustomerCreditApplication.findAll({
+      where: { invoice_id: invoice.id, voided_at: null },
+      ...options
+    });
+    const transactions = [
+      ...payments.map(payment => ({
+        date: payment.payment_date,
+        amount: payment.transaction_type === 'REFUND' ? -payment.amount : payment.amount
+      })),
+      ...applications.map(application => ({ date: application.applied_at, amount: application.amount_applied }))
+    ];
+
+    rebalanceSchedule(plan.installments, parseFloat(invoice.total_amount) || 0);
+    allocatePayments(plan.installments, transactions);
+    for (const installment of plan.installments) {
+      if (installment.changed()) await installment.save(options);
+    }
+
+    if (invoice.status === 'PAID' && plan.status === 'active') {
+      plan.status = 'completed';
+      plan.completed_at = new Date();
+    } else if (invoice.status !== 'PAID' && plan.status === 'completed') {
+      plan.status = 'active';
+      plan.completed_at = null;
+    }
+    if (plan.changed()) await plan.save(options);
+
+    return plan;
+  };
+
+  InstallmentPlan.prototype.getStatusLabel = function() {
+    return STATUS_LABELS[this.status] || this.status;
+  };
+
+  /**
+   * Overdue installments as of a date. Requires installments to be loaded.
+   * @param {string} asOf - YYYY-MM-DD, default today
+   * @returns {{ overdue_count, overdue_amount, oldest_due_date, days_overdue }}
+   */
+  InstallmentPlan.prototype.getOverdueSummary = function(asOf = new Date().toISOString().slice(0, 10)) {
+    if (this.status !== 'active') {
+      return summarizeOverdue([], asOf);
+    }
+    return summarizeOverdue(this.installments || [], asOf, this.grace_days);
+  };
+
+  return InstallmentPlan;
+};
@@ -1,6 +1,7 @@
 'use strict';
 
 const { Model } = require('sequelize');
+const { emitForInventoryEvent } = require('../services/webhookService');
 
 const EVENT_TYPES = [
   'IMPORTED',
@@ -21,7 +22,10 @@ const EVENT_TYPES = [
   'BULK_UPLOAD_REVERTED',
   'INVOICE_CANCELLED',
   'INVOICE_CANCELLED_INVENTORY_RELEASED',
-  'STOCK_ADJUSTED'
+  'STOCK_ADJUSTED',
+  'REPAIR_COMPLETED',
+  'WARRANTY_REPLACEMENT',
+  'TRANSFERRED'
 ];
 
 const SOURCES = ['SYSTEM', 'USER', 'IMPORT', 'INVOICE', 'RETURN', 'PAYMENT'];
@@ -45,7 +49,10 @@ const EVENT_LABELS = {
   'BULK_UPLOAD_REVERTED': 'Import Reverted',
   'INVOICE_CANCELLED': 'Invoice Cancelled',
   'INVOICE_CANCELLED_INVENTORY_RELEASED': 'Released (Invoice Cancelled)',
-  'STOCK_ADJUSTED': 'Stock Adjusted'
+  'STOCK_ADJUSTED': 'Stock Adjusted',
+  'REPAIR_COMPLETED': 'Repair Completed',
+  'WARRANTY_REPLACEMENT': 'Warranty Replacement',
+  'TRANSFERRED': 'Transferred'
 };
 
 module.exports = (sequelize, DataTypes) => {
@@ -84,7 +91,7 @@ module.exports = (sequelize, DataTypes) => {
     }, dbTransaction = null) {
       const options = dbTransaction ? { transaction: dbTransaction } : {};
 
-      return await this.create({
+      const itemEvent = await this.create({
         inventory_item_id: inventoryItemId,
         event_type: eventType,
         actor_user_id: actorUserId,
@@ -94,6 +101,11 @@ module.exports = (sequelize, DataTypes) => {
         summary,
         details_json: details
       }, options);
+
+      // asset.stock_changed webhook, sent once the transaction commits
+      emitForInventoryEvent(itemEvent, dbTransaction);
+
+      return itemEvent;
     }
 
     // Convenience methods for common events
@@ -391,6 +403,103 @@ module.exports = (sequelize, DataTypes) => {
         }
       }, dbTransaction);
     }
+
+    static async logRepairCompleted(assetId, ticket, unit, costAdded, userId, dbTransaction = null) {
+      return await this.log({
+        inventoryItemId: assetId,
+        eventType: 'REPAIR_COMPLETED',
+        actorUserId: userId,
+        source: 'USER',
+        referenceType: 'repair_ticket',
+        referenceId: ticket.id,
+        summary: `Repair ticket ${ticket.ticket_number} completed for unit ${unit.serial_number} (${ticket.outcome})`,
+        details: {
+          ticketId: ticket.id,
+          ticketNumber: ticket.ticket_number,
+          unitId: unit.id,
+          serialNumber: unit.serial_number,
+          outcome: ticket.outcome,
+          partsCost: ticket.parts_cost,
+          labourCost: ticket.labour_cost,
+          currency: ticket.currency,
+          costAdded,
+          repairState: unit.repair_state
+        }
+      }, dbTransaction);
+    }
+
+    static async logStockAdjusted(asset, movement, userId, dbTransaction = null) {
+      const before = movement.balance_after - movement.quantity_change;
+      const sign = movement.quantity_change > 0 ? '+' : '';
+      return await this.log({
+        inventoryItemId: asset.id,
+        eventType: 'STOCK_ADJUSTED',
+        actorUserId: userId,
+        source: 'USER',
+        referenceType: 'stock_movement',
+        referenceId: movement.id,
+        summary: `Stock adjusted: ${before} → ${movement.balance_after} (${sign}${movement.quantity_change}, ${movement.getReasonLabel()})`,
+        details: {
+          movementId: movement.id,
+          reason: movement.reason,
+          quantityChange: movement.quantity_change,
+          quantityBefore: before,
+          balanceAfter: movement.balance_after,
+          notes: movement.notes
+        }
+      }, dbTransaction);
+    }
+
+    static async logWarrantyReplacement(assetId, claim, unit, role, userId, dbTransaction = null) {
+      const action = role === 'issued' ? 'issued as replacement' : 'taken back for replacement';
+      return await this.log({
+        inventoryItemId: assetId,
+        eventType: 'WARRANTY_REPLACEMENT',
+        actorUserId: userId,
+        source: 'USER',
+        referenceType: 'warranty_claim',
+        referenceId: claim.id,
+        summary: `Unit ${unit.serial_number} ${action} under warranty claim ${claim.claim_number}`,
+        details: {
+          claimId: claim.id,
+          claimNumber: claim.claim_number,
+          warrantyId: claim.warranty_id,
+          unitId: unit.id,
+          serialNumber: unit.serial_number,
+          role
+        }
+      }, dbTransaction);
+    }
+
+    /**
+     * Log stock leaving or arriving at a location on a transfer.
+     * @param {string} stage - dispatched | received | returned (cancelled in transit)
+     * @param {string} what - e.g. "Unit C02XK1" or "3 units"
+     */
+    static async logTransferred(assetId, transfer, stage, what, userId, dbTransaction = null) {
+      const route = `${transfer.fromLocation?.name || 'source'} → ${transfer.toLocation?.name || 'destination'}`;
+      const summaries = {
+        dispatched: `${what} dispatched on transfer ${transfer.transfer_number} (${route})`,
+        received: `${what} received on transfer ${transfer.transfer_number} (${route})`,
+        returned: `${what} returned to ${transfer.fromLocation?.name || 'source'} — transfer ${transfer.transfer_number} cancelled`
+      };
+      return await this.log({
+        inventoryItemId: assetId,
+        eventType: 'TRANSFERRED',
+        actorUserId: userId,
+        source: 'USER',
+        referenceType: 'stock_transfer',
+        referenceId: transfer.id,
+        summary: summaries[stage],
+        details: {
+          transferId: transfer.id,
+          transferNumber: transfer.transfer_number,
+          fromLocationId: transfer.from_location_id,
+          toLocationId: transfer.to_location_id,
+          stage
+        }
+      }, dbTransaction);
+    }
   }
 
   InventoryItemEvent.init({
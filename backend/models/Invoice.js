@@ -4,9 +4,22 @@
  * Sales invoice with customer, items, payments, and financial tracking
  */
 
+const { TAX_MODES, computeInvoiceTaxes } = require('../services/taxService');
+const { emitInvoicePaid } = require('../services/webhookService');
+const { toPromotionLines, applyPromotions } = require('../services/promotionService');
+
 const INVOICE_STATUSES = ['UNPAID', 'PARTIALLY_PAID', 'PAID', 'CANCELLED'];
 const INVOICE_CURRENCIES = ['USD', 'GHS', 'GBP'];
 
+// Days since invoice date, upper bound inclusive; anything older is 90_plus.
+// Invoices carry no due date, so the first 30 days count as current.
+const AR_AGING_BUCKETS = [
+  { key: 'current', maxDays: 30 },
+  { key: '31_60', maxDays: 60 },
+  { key: '61_90', maxDays: 90 },
+  { key: '90_plus', maxDays: Infinity }
+];
+
 module.exports = (sequelize, DataTypes) => {
   const Invoice = sequelize.define('Invoice', {
     id: {
@@ -174,6 +187,34 @@ module.exports = (sequelize, DataTypes) => {
         return val === null ? 0 : parseFloat(val);
       }
     },
+    promotion_discount_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Part of discount_amount that came from promotions (invoice_promotions)',
+      get() {
+        const val = this.getDataValue('promotion_discount_amount');
+        return val === null ? 0 : parseFloat(val);
+      }
+    },
+    // Tax: mode is fixed at creation from the company profile; lines live in invoice_tax_lines
+    tax_mode: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'none',
+      validate: {
+        isIn: [TAX_MODES]
+      }
+    },
+    tax_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('tax_amount');
+        return val === null ? 0 : parseFloat(val);
+      }
+    },
     notes: {
       type: DataTypes.TEXT,
       allowNull: true
@@ -223,7 +264,7 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(20),
       allowNull: true,
       defaultValue: 'in_store',
-      comment: 'Order source: in_store, website, jiji, instagram, whatsapp, phone, other'
+      comment: 'Order source: in_store, pos, website, jiji, instagram, whatsapp, phone, other'
     },
     payment_reference: {
       type: DataTypes.STRING(100),
@@ -235,6 +276,11 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       comment: 'Invoice-level payment method: cash, momo, bank_transfer, paystack, card, other'
     },
+    storefront_expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Website orders still UNPAID at this time are cancelled automatically'
+    },
     // Soft-delete fields
     is_deleted: {
       type: DataTypes.BOOLEAN,
@@ -269,11 +315,28 @@ module.exports = (sequelize, DataTypes) => {
     Invoice.belongsTo(models.User, { as: 'deletedBy', foreignKey: 'deleted_by_user_id' });
     Invoice.hasMany(models.InvoiceItem, { as: 'items', foreignKey: 'invoice_id' });
     Invoice.hasMany(models.InvoicePayment, { as: 'payments', foreignKey: 'invoice_id' });
+    Invoice.hasMany(models.InvoiceTaxLine, { as: 'taxLines', foreignKey: 'invoice_id' });
+    Invoice.hasMany(models.InvoicePromotion, { as: 'promotions', foreignKey: 'invoice_id' });
+    Invoice.hasMany(models.InstallmentPlan, { as: 'installmentPlans', foreignKey: 'invoice_id' });
   };
 
   // Static: Get statuses
   Invoice.STATUSES = INVOICE_STATUSES;
   Invoice.CURRENCIES = INVOICE_CURRENCIES;
+  Invoice.TAX_MODES = TAX_MODES;
+  Invoice.AR_AGING_BUCKETS = AR_AGING_BUCKETS.map(bucket => bucket.key);
+
+  /**
+   * Aging bucket for an unpaid balance on an invoice dated invoiceDate
+   * @param {string|Date} invoiceDate
+   * @param {string|Date} asOf
+   * @returns {string} one of Invoice.AR_AGING_BUCKETS
+   */
+  Invoice.agingBucket = function(invoiceDate, asOf) {
+    const start = new Date(new Date(invoiceDate).toISOString().slice(0, 10));
+    const daysOutstanding = Math.floor((new Date(asOf) - start) / (1000 * 60 * 60 * 24));
+    return AR_AGING_BUCKETS.find(bucket => daysOutstanding <= bucket.maxDays).key;
+  };
 
   // Generate invoice number
   Invoice.generateInvoiceNumber = async function() {
@@ -285,13 +348,21 @@ module.exports = (sequelize, DataTypes) => {
     return `INV-${year}-${String(seq).padStart(6, '0')}`;
   };
 
-  // Recalculate totals (including balance_due), excluding voided items
-  // Handles both line-item discounts (already in line_total_amount) and invoice-level discount
-  Invoice.prototype.recalculateTotals = async function() {
+  // Recalculate totals (including balance_due and tax lines), excluding voided items
+  // Handles line-item discounts (already in line_total_amount), redeemed promotions
+  // and the invoice-level discount
+  Invoice.prototype.recalculateTotals = async function(transaction = null) {
     const round2 = n => Math.round(n * 100) / 100;
     const InvoiceItem = sequelize.models.InvoiceItem;
+    const TaxRule = sequelize.models.TaxRule;
+    const InvoiceTaxLine = sequelize.models.InvoiceTaxLine;
+    const InvoicePromotion = sequelize.models.InvoicePromotion;
+    const options = transaction ? { transaction } : {};
+
     const items = await InvoiceItem.findAll({
-      where: { invoice_id: this.id, voided_at: null }
+      where: { invoice_id: this.id, voided_at: null },
+      include: [{ model: sequelize.models.Asset, as: 'asset', attributes: ['id', 'category', 'product_model_id'] }],
+      ...options
     });
 
     // subtotal = sum of line totals (already discounted per-item)
@@ -308,28 +379,66 @@ module.exports = (sequelize, DataTypes) => {
     subtotal = round2(subtotal);
     totalCost = round2(totalCost);
 
-    // Apply invoice-level discount on top of the (already line-discounted) subtotal
+    // Promotions are re-priced against the current lines, in the order they
+    // were redeemed, so removing the charger also drops the bundle discount
+    const redemptions = await InvoicePromotion.findAll({
+      where: { invoice_id: this.id },
+      include: [{ model: sequelize.models.Promotion, as: 'promotion' }],
+      order: [['created_at', 'ASC'], ['id', 'ASC']],
+      ...options
+    });
+    let promotionDiscountAmt = 0;
+    if (redemptions.length > 0) {
+      const results = applyPromotions(redemptions.map(r => r.promotion), toPromotionLines(items));
+      for (const [i, redemption] of redemptions.entries()) {
+        redemption.discount_amount = results[i].amount;
+        redemption.allocations = results[i].allocations;
+        await redemption.save(options);
+        promotionDiscountAmt += results[i].amount;
+      }
+    }
+    promotionDiscountAmt = round2(promotionDiscountAmt);
+    const discountBase = round2(subtotal - promotionDiscountAmt);
+
+    // Apply invoice-level discount on top of the (already line- and promotion-discounted) subtotal
     const discountType = this.discount_type || 'none';
     const discountValue = parseFloat(this.discount_value) || 0;
     let invoiceDiscountAmt = 0;
 
     if (discountType === 'percentage' && discountValue > 0) {
-      invoiceDiscountAmt = round2(subtotal * (discountValue / 100));
+      invoiceDiscountAmt = round2(discountBase * (discountValue / 100));
       this.discount_percent = discountValue;
     } else if (discountType === 'fixed' && discountValue > 0) {
-      invoiceDiscountAmt = round2(Math.min(discountValue, subtotal));
-      this.discount_percent = subtotal > 0 ? round2((invoiceDiscountAmt / subtotal) * 100) : 0;
+      invoiceDiscountAmt = round2(Math.min(discountValue, discountBase));
+      this.discount_percent = discountBase > 0 ? round2((invoiceDiscountAmt / discountBase) * 100) : 0;
     } else {
       this.discount_percent = 0;
     }
 
-    this.discount_amount = round2(invoiceDiscountAmt);
+    // discount_amount covers both, so reports that spread it over lines see promotions too
+    this.promotion_discount_amount = promotionDiscountAmt;
+    this.discount_amount = round2(invoiceDiscountAmt + promotionDiscountAmt);
+
+    // Taxes on the discounted value; exclusive mode adds them to the total
+    const taxMode = this.tax_mode || 'none';
+    const rules = taxMode === 'none' ? [] : await TaxRule.getApplicableRules(this.invoice_date, transaction);
+    const tax = computeInvoiceTaxes({
+      lines: items.map(item => ({
+        amount: item.line_total_amount,
+        category: item.category || item.asset?.category || null
+      })),
+      rules,
+      mode: taxMode,
+      discountAmount: this.discount_amount
+    });
 
-    const totalAmount = round2(subtotal - invoiceDiscountAmt);
-    const totalProfit = round2(totalAmount - totalCost);
-    const marginPercent = totalAmount > 0 ? round2((totalProfit / totalAmount) * 100) : null;
+    // Profit and margin exclude tax collected on behalf of the GRA
+    const totalAmount = tax.gross_amount;
+    const totalProfit = round2(tax.net_amount - totalCost);
+    const marginPercent = tax.net_amount > 0 ? round2((totalProfit / tax.net_amount) * 100) : null;
 
     this.subtotal_amount = subtotal;
+    this.tax_amount = tax.tax_amount;
     this.total_amount = totalAmount;
     this.total_cost_amount = totalCost;
     this.total_profit_amount = totalProfit;
@@ -339,7 +448,9 @@ module.exports = (sequelize, DataTypes) => {
     const amountPaid = parseFloat(this.amount_paid) || 0;
     this.balance_due = round2(totalAmount - amountPaid);
 
-    await this.save();
+    await this.save(options);
+    await InvoiceTaxLine.replaceForInvoice(this.id, tax.lines, transaction);
+    await sequelize.models.InstallmentPlan.syncForInvoice(this, transaction);
     return this;
   };
 
@@ -370,6 +481,27 @@ module.exports = (sequelize, DataTypes) => {
     return this;
   };
 
+  /**
+   * Mark the invoice cancelled and zero its totals. Not saved; callers
+   * release the items (see inventoryAvailabilityService.releaseInvoiceItems).
+   * @param {number} userId
+   * @param {string} reason
+   */
+  Invoice.prototype.applyCancellation = function(userId, reason = null) {
+    this.status = 'CANCELLED';
+    this.subtotal_amount = 0;
+    this.total_amount = 0;
+    this.balance_due = 0;
+    this.amount_paid = 0;
+    this.total_cost_amount = 0;
+    this.total_profit_amount = 0;
+    this.margin_percent = null;
+    this.cancelled_at = new Date();
+    this.cancelled_by_user_id = userId;
+    this.cancellation_reason = reason || null;
+    this.updated_by = userId;
+  };
+
   /**
    * Add a payment to this invoice
    * @param {number} amount - Payment amount
@@ -424,7 +556,8 @@ module.exports = (sequelize, DataTypes) => {
 
   /**
    * Handle inventory decrement when an invoice transitions to PAID.
-   * Decrements on-hand quantity for unreturned items and logs sold events.
+   * Decrements on-hand quantity for unreturned items, logs sold events and
+   * raises the invoice.paid webhook once the transaction commits.
    * Shared by in-app payment recording and Paystack webhook.
    */
   Invoice.prototype.handlePaidTransition = async function(transaction, userId = null) {
@@ -498,6 +631,14 @@ module.exports = (sequelize, DataTypes) => {
         if (batch) await batch.recomputeTotals(transaction);
       }
     }
+
+    // Issue customer warranties for sold serialized units
+    const CustomerWarranty = sequelize.models.CustomerWarranty;
+    if (CustomerWarranty) {
+      await CustomerWarranty.issueForInvoice(this, items, { transaction, userId });
+    }
+
+    emitInvoicePaid(this, transaction);
   };
 
   /**
@@ -536,6 +677,12 @@ module.exports = (sequelize, DataTypes) => {
         }
       }
     }
+
+    // Warranties only cover paid sales
+    const CustomerWarranty = sequelize.models.CustomerWarranty;
+    if (CustomerWarranty) {
+      await CustomerWarranty.voidWhere({ invoice_id: this.id }, 'Invoice no longer paid', transaction);
+    }
   };
 
   return Invoice;
@@ -28,6 +28,11 @@ module.exports = (sequelize, DataTypes) => {
       },
       comment: 'For serialized products, references the specific unit being sold'
     },
+    warranty_tier: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'Customer warranty tier (Standard/Premium) issued when a serialized unit is paid'
+    },
     description: {
       type: DataTypes.TEXT,
       allowNull: true
@@ -170,6 +175,7 @@ module.exports = (sequelize, DataTypes) => {
     InvoiceItem.belongsTo(models.AssetUnit, { as: 'assetUnit', foreignKey: 'asset_unit_id' });
     InvoiceItem.belongsTo(models.User, { as: 'voidedBy', foreignKey: 'voided_by_user_id' });
     InvoiceItem.hasMany(models.InvoiceReturnItem, { as: 'returnItems', foreignKey: 'invoice_item_id' });
+    InvoiceItem.hasMany(models.CustomerWarranty, { as: 'warranties', foreignKey: 'invoice_item_id' });
   };
 
   // Check if item is voided
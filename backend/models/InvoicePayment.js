@@ -1,6 +1,7 @@
 'use strict';
 
 const { Model } = require('sequelize');
+const ledgerService = require('../services/ledgerService');
 
 const PAYMENT_METHODS = ['Cash', 'MoMo', 'Card', 'ACH', 'Other'];
 const TRANSACTION_TYPES = ['PAYMENT', 'REFUND'];
@@ -189,6 +190,15 @@ module.exports = (sequelize, DataTypes) => {
     }
   });
 
+  // Post to the general ledger; a void reverses the posting on its original date.
+  // Payments carried over from a preorder are created with { fromPreorderDeposit: true }.
+  InvoicePayment.addHook('afterCreate', 'postToLedger', (payment, options) =>
+    ledgerService.postInvoicePayment(payment, options.transaction, { fromDeposit: Boolean(options.fromPreorderDeposit) }));
+  InvoicePayment.addHook('afterUpdate', 'postToLedger', (payment, options) => {
+    if (!payment.changed('voided_at') || !payment.voided_at) return null;
+    return ledgerService.reverseSource('invoice_payment', payment.id, { userId: payment.voided_by_user_id }, options.transaction);
+  });
+
   // Static constants
   InvoicePayment.PAYMENT_METHODS = PAYMENT_METHODS;
   InvoicePayment.TRANSACTION_TYPES = TRANSACTION_TYPES;
@@ -0,0 +1,76 @@
+/**
+ * InvoicePromotion Model
+ *
+ * A promotion redeemed on an invoice. discount_amount and allocations (what
+ * came off which invoice item) are rewritten whenever the invoice totals
+ * are recalculated; code is copied so the record survives code changes.
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const InvoicePromotion = sequelize.define('InvoicePromotion', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    invoice_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'invoices', key: 'id' }
+    },
+    promotion_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'promotions', key: 'id' }
+    },
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'customers', key: 'id' },
+      comment: 'Invoice customer when redeemed, for per-customer limits'
+    },
+    code: {
+      type: DataTypes.STRING(40),
+      allowNull: true
+    },
+    discount_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('discount_amount');
+        return val === null ? 0 : parseFloat(val);
+      }
+    },
+    allocations: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: '[{ invoice_item_id, quantity, amount }]'
+    },
+    applied_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'invoice_promotions',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { unique: true, fields: ['invoice_id', 'promotion_id'] },
+      { fields: ['promotion_id', 'customer_id'] }
+    ]
+  });
+
+  InvoicePromotion.associate = (models) => {
+    InvoicePromotion.belongsTo(models.Invoice, { foreignKey: 'invoice_id', as: 'invoice' });
+    InvoicePromotion.belongsTo(models.Promotion, { foreignKey: 'promotion_id', as: 'promotion' });
+    InvoicePromotion.belongsTo(models.Customer, { foreignKey: 'customer_id', as: 'customer' });
+    InvoicePromotion.belongsTo(models.User, { foreignKey: 'applied_by', as: 'appliedBy' });
+  };
+
+  return InvoicePromotion;
+};
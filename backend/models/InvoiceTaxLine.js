@@ -0,0 +1,112 @@
+/**
+ * InvoiceTaxLine Model
+ *
+ * One row per tax charged on an invoice, rewritten whenever the invoice
+ * totals are recalculated. Code, name and rate are copied from the TaxRule
+ * so issued invoices keep the rates they were charged at.
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const InvoiceTaxLine = sequelize.define('InvoiceTaxLine', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    invoice_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'invoices', key: 'id' }
+    },
+    tax_rule_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'tax_rules', key: 'id' }
+    },
+    code: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    rate_percent: {
+      type: DataTypes.DECIMAL(6, 3),
+      allowNull: false,
+      get() {
+        const val = this.getDataValue('rate_percent');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    is_compound: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    taxable_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('taxable_amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    tax_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('tax_amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    sequence: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'invoice_tax_lines',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['invoice_id'] },
+      { fields: ['code'] }
+    ]
+  });
+
+  InvoiceTaxLine.associate = (models) => {
+    InvoiceTaxLine.belongsTo(models.Invoice, { foreignKey: 'invoice_id', as: 'invoice' });
+    InvoiceTaxLine.belongsTo(models.TaxRule, { foreignKey: 'tax_rule_id', as: 'taxRule' });
+  };
+
+  /**
+   * Replace an invoice's tax lines with freshly computed ones
+   * @param {string} invoiceId
+   * @param {Array<Object>} lines - from taxService.computeInvoiceTaxes
+   * @param {Transaction} transaction
+   */
+  InvoiceTaxLine.replaceForInvoice = async function(invoiceId, lines, transaction = null) {
+    const options = transaction ? { transaction } : {};
+    await InvoiceTaxLine.destroy({ where: { invoice_id: invoiceId }, ...options });
+    if (lines.length === 0) return [];
+
+    return InvoiceTaxLine.bulkCreate(lines.map((line, index) => ({
+      invoice_id: invoiceId,
+      tax_rule_id: line.tax_rule_id,
+      code: line.code,
+      name: line.name,
+      rate_percent: line.rate_percent,
+      is_compound: line.is_compound,
+      taxable_amount: line.taxable_amount,
+      tax_amount: line.tax_amount,
+      sequence: index
+    })), options);
+  };
+
+  return InvoiceTaxLine;
+};
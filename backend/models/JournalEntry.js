@@ -0,0 +1,73 @@
+/**
+ * JournalEntry Model
+ *
+ * A balanced set of journal lines on one date. source_type/source_id point
+ * at what posted it (invoice_payment, expense, manual, ...). Entries are
+ * never edited: a correction is a reversal entry linked both ways.
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const JournalEntry = sequelize.define('JournalEntry', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    entry_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    period: {
+      type: DataTypes.STRING(7),
+      allowNull: false,
+      comment: 'YYYY-MM of entry_date'
+    },
+    description: {
+      type: DataTypes.STRING(500),
+      allowNull: false
+    },
+    source_type: {
+      type: DataTypes.STRING(30),
+      allowNull: false
+    },
+    source_id: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    reverses_entry_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'journal_entries', key: 'id' }
+    },
+    reversed_by_entry_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'journal_entries', key: 'id' }
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'journal_entries',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['source_type', 'source_id'] },
+      { fields: ['period'] },
+      { fields: ['entry_date'] }
+    ]
+  });
+
+  JournalEntry.associate = (models) => {
+    JournalEntry.hasMany(models.JournalLine, { foreignKey: 'entry_id', as: 'lines' });
+    JournalEntry.belongsTo(models.JournalEntry, { foreignKey: 'reverses_entry_id', as: 'reverses' });
+    JournalEntry.belongsTo(models.JournalEntry, { foreignKey: 'reversed_by_entry_id', as: 'reversedBy' });
+    JournalEntry.belongsTo(models.User, { foreignKey: 'created_by', as: 'creator' });
+  };
+
+  return JournalEntry;
+};
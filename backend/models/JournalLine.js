@@ -0,0 +1,58 @@
+/**
+ * JournalLine Model
+ *
+ * One side of a journal entry: a debit or a credit to one account.
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const JournalLine = sequelize.define('JournalLine', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    entry_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'journal_entries', key: 'id' }
+    },
+    account_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'ledger_accounts', key: 'id' }
+    },
+    debit: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('debit');
+        return val === null ? 0 : parseFloat(val);
+      }
+    },
+    credit: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('credit');
+        return val === null ? 0 : parseFloat(val);
+      }
+    },
+    memo: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+  }, {
+    tableName: 'journal_lines',
+    underscored: true,
+    timestamps: false
+  });
+
+  JournalLine.associate = (models) => {
+    JournalLine.belongsTo(models.JournalEntry, { foreignKey: 'entry_id', as: 'entry' });
+    JournalLine.belongsTo(models.LedgerAccount, { foreignKey: 'account_id', as: 'account' });
+  };
+
+  return JournalLine;
+};
@@ -0,0 +1,78 @@
+/**
+ * LedgerAccount Model
+ *
+ * An account in the chart of accounts. System accounts are seeded by the
+ * general ledger migration and used by the automatic postings in
+ * services/ledgerService.js; their code and type can't be changed.
+ */
+
+const { ACCOUNT_TYPES } = require('../services/ledgerService');
+
+module.exports = (sequelize, DataTypes) => {
+  const LedgerAccount = sequelize.define('LedgerAccount', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    code: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      unique: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      validate: {
+        isIn: [ACCOUNT_TYPES]
+      }
+    },
+    normal_balance: {
+      type: DataTypes.STRING(6),
+      allowNull: false,
+      validate: {
+        isIn: [['debit', 'credit']]
+      },
+      comment: 'Side that increases the account; contra accounts use the opposite of their type'
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    is_system: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'ledger_accounts',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  LedgerAccount.TYPES = ACCOUNT_TYPES;
+
+  /**
+   * Normal balance side for an account type
+   */
+  LedgerAccount.defaultNormalBalance = function(type) {
+    return ['asset', 'expense'].includes(type) ? 'debit' : 'credit';
+  };
+
+  LedgerAccount.associate = (models) => {
+    LedgerAccount.hasMany(models.JournalLine, { foreignKey: 'account_id', as: 'lines' });
+  };
+
+  return LedgerAccount;
+};
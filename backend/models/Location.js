@@ -0,0 +1,110 @@
+/**
+ * Location Model
+ *
+ * A place stock can physically be: a shop, the warehouse, or a technician
+ * holding units for repair. Serialized units carry a location_id; bulk
+ * quantities are split across locations in LocationStock. Exactly one
+ * location is the default — new stock lands there unless told otherwise.
+ */
+
+const LOCATION_TYPES = ['shop', 'warehouse', 'technician', 'other'];
+
+module.exports = (sequelize, DataTypes) => {
+  const Location = sequelize.define('Location', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    code: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      unique: true,
+      comment: 'Short code printed on transfer documents, e.g. DZW'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    location_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'shop',
+      validate: {
+        isIn: [LOCATION_TYPES]
+      }
+    },
+    address: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    phone: {
+      type: DataTypes.STRING(30),
+      allowNull: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      comment: 'Technician holding stock at a technician location'
+    },
+    is_default: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    updated_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'locations',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { unique: true, fields: ['code'] },
+      { fields: ['is_active'] }
+    ]
+  });
+
+  Location.associate = (models) => {
+    Location.belongsTo(models.User, { foreignKey: 'user_id', as: 'holder' });
+    Location.hasMany(models.AssetUnit, { foreignKey: 'location_id', as: 'units' });
+    Location.hasMany(models.LocationStock, { foreignKey: 'location_id', as: 'stocks' });
+  };
+
+  // Static constants
+  Location.TYPES = LOCATION_TYPES;
+
+  /**
+   * The location new stock lands in: the flagged default, else the oldest
+   * active location. Null only before any location exists.
+   * @param {Transaction} transaction
+   * @returns {Location|null}
+   */
+  Location.getDefault = async function(transaction = null) {
+    const options = transaction ? { transaction } : {};
+    const flagged = await Location.findOne({ where: { is_default: true, is_active: true }, ...options });
+    if (flagged) return flagged;
+    return Location.findOne({ where: { is_active: true }, order: [['id', 'ASC']], ...options });
+  };
+
+  return Location;
+};
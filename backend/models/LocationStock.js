@@ -0,0 +1,156 @@
+/**
+ * LocationStock Model
+ *
+ * On-hand quantity of a bulk (non-serialized) Asset at one Location.
+ * Asset.quantity stays the company-wide total; these rows say where it is.
+ * Quantity on a transfer that has been dispatched but not yet received is
+ * in neither location, so the rows can sum to less than Asset.quantity.
+ */
+
+const { Op } = require('sequelize');
+
+/**
+ * Decide which location rows a removal is taken from: the preferred
+ * location first, then the locations holding the most stock.
+ *
+ * @param {Array<{location_id: number, quantity: number}>} rows - current balances
+ * @param {number} quantity - positive quantity to remove
+ * @param {number|null} preferredLocationId
+ * @returns {{ takes: Array<{row: Object, quantity: number}>, shortfall: number }}
+ */
+function planRemoval(rows, quantity, preferredLocationId = null) {
+  const ordered = [...rows]
+    .filter(row => row.quantity > 0)
+    .sort((a, b) => {
+      if (a.location_id === preferredLocationId) return -1;
+      if (b.location_id === preferredLocationId) return 1;
+      return b.quantity - a.quantity;
+    });
+
+  const takes = [];
+  let remaining = quantity;
+  for (const row of ordered) {
+    if (remaining <= 0) break;
+    const take = Math.min(row.quantity, remaining);
+    takes.push({ row, quantity: take });
+    remaining -= take;
+  }
+
+  return { takes, shortfall: remaining };
+}
+
+module.exports = (sequelize, DataTypes) => {
+  const LocationStock = sequelize.define('LocationStock', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    asset_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'assets', key: 'id' }
+    },
+    location_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'locations', key: 'id' }
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    }
+  }, {
+    tableName: 'location_stocks',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { unique: true, fields: ['asset_id', 'location_id'] },
+      { fields: ['location_id'] }
+    ]
+  });
+
+  LocationStock.associate = (models) => {
+    LocationStock.belongsTo(models.Asset, { foreignKey: 'asset_id', as: 'asset' });
+    LocationStock.belongsTo(models.Location, { foreignKey: 'location_id', as: 'location' });
+  };
+
+  LocationStock.planRemoval = planRemoval;
+
+  /**
+   * Apply a signed quantity change to a bulk asset's location balances.
+   *
+   * Additions go to the given location (default location when omitted).
+   * Removals come from the given location first and, unless strict, spill
+   * over to other locations — sales and write-offs are not yet tied to a
+   * location. Any part of a removal no location can cover is left
+   * unallocated (stock in transit or recorded before locations existed).
+   *
+   * @param {number} assetId
+   * @param {number} change - signed; no-op when 0
+   * @param {Object} opts - { locationId, strict } — strict removals must be
+   *   fully covered by the given location or an error is thrown
+   * @param {Transaction} transaction
+   * @returns {number|null} the location the change was booked against
+   */
+  LocationStock.adjust = async function(assetId, change, { locationId = null, strict = false } = {}, transaction = null) {
+    const options = transaction ? { transaction } : {};
+    const delta = parseInt(change, 10) || 0;
+
+    let targetId = locationId;
+    if (!targetId) {
+      const fallback = await sequelize.models.Location.getDefault(transaction);
+      targetId = fallback ? fallback.id : null;
+    }
+    if (delta === 0 || !targetId) return targetId;
+
+    if (delta > 0) {
+      const [row] = await LocationStock.findOrCreate({
+        where: { asset_id: assetId, location_id: targetId },
+        defaults: { quantity: 0 },
+        ...options
+      });
+      row.quantity += delta;
+      await row.save(options);
+      return targetId;
+    }
+
+    const rows = await LocationStock.findAll({
+      where: strict
+        ? { asset_id: assetId, location_id: targetId }
+        : { asset_id: assetId, quantity: { [Op.gt]: 0 } },
+      ...(transaction ? { transaction, lock: true } : {})
+    });
+
+    const { takes, shortfall } = planRemoval(rows, -delta, targetId);
+    if (strict && shortfall > 0) {
+      throw new Error(`Only ${-delta - shortfall} of ${-delta} on hand at this location for asset ${assetId}`);
+    }
+
+    for (const { row, quantity } of takes) {
+      row.quantity -= quantity;
+      await row.save(options);
+    }
+
+    return targetId;
+  };
+
+  /**
+   * On-hand quantity of one asset at one location
+   */
+  LocationStock.quantityAt = async function(assetId, locationId, transaction = null) {
+    const row = await LocationStock.findOne({
+      where: { asset_id: assetId, location_id: locationId },
+      ...(transaction ? { transaction } : {})
+    });
+    return row ? row.quantity : 0;
+  };
+
+  return LocationStock;
+};
@@ -0,0 +1,97 @@
+/**
+ * MomoStatementImport Model
+ *
+ * One uploaded Mobile Money statement export (MTN MoMo or Telecel Cash).
+ * Its incoming receipts are kept as MomoStatementLines and matched to the
+ * MoMo payments recorded on invoices.
+ */
+
+const { PROVIDERS, PROVIDER_LABELS } = require('../services/momoReconciliationService');
+
+module.exports = (sequelize, DataTypes) => {
+  const MomoStatementImport = sequelize.define('MomoStatementImport', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    provider: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [PROVIDERS]
+      }
+    },
+    original_file_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    column_mapping: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Statement field -> file header used for this import'
+    },
+    period_from: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      comment: 'Earliest receipt date on the statement'
+    },
+    period_to: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      comment: 'Latest receipt date on the statement'
+    },
+    rows_total: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    rows_skipped: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Failed, outgoing or unreadable rows'
+    },
+    rows_duplicate: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Receipts already imported from an earlier statement'
+    },
+    skipped_rows: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    imported_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'momo_statement_imports',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['period_from', 'period_to'] }
+    ]
+  });
+
+  MomoStatementImport.associate = (models) => {
+    MomoStatementImport.hasMany(models.MomoStatementLine, { foreignKey: 'import_id', as: 'lines' });
+    MomoStatementImport.belongsTo(models.User, { foreignKey: 'imported_by', as: 'importer' });
+  };
+
+  // Static constants
+  MomoStatementImport.PROVIDERS = PROVIDERS;
+  MomoStatementImport.PROVIDER_LABELS = PROVIDER_LABELS;
+
+  MomoStatementImport.prototype.getProviderLabel = function() {
+    return PROVIDER_LABELS[this.provider] || this.provider;
+  };
+
+  return MomoStatementImport;
+};
@@ -0,0 +1,136 @@
+/**
+ * MomoStatementLine Model
+ *
+ * One incoming receipt on a Mobile Money statement and the recorded
+ * InvoicePayment it was matched to, if any. A receipt that is not a sale
+ * (e.g. the owner topping up the wallet) can be ignored with a reason.
+ */
+
+const MATCH_STATUSES = ['unmatched', 'matched', 'ignored'];
+const MATCH_METHODS = ['reference', 'amount_date', 'manual'];
+
+const STATUS_LABELS = {
+  unmatched: 'Unmatched',
+  matched: 'Matched',
+  ignored: 'Ignored'
+};
+
+module.exports = (sequelize, DataTypes) => {
+  const MomoStatementLine = sequelize.define('MomoStatementLine', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    import_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'momo_statement_imports', key: 'id' }
+    },
+    provider: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    row_number: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Spreadsheet row the receipt came from'
+    },
+    transaction_id: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Provider transaction ID'
+    },
+    transaction_date: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: false,
+      get() {
+        const val = this.getDataValue('amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    counterparty_phone: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    counterparty_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    reference: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    raw_data: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    match_status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'unmatched',
+      validate: {
+        isIn: [MATCH_STATUSES]
+      }
+    },
+    match_method: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      validate: {
+        isIn: [MATCH_METHODS]
+      }
+    },
+    invoice_payment_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'invoice_payments', key: 'id' }
+    },
+    matched_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    matched_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      comment: 'Null when matched automatically'
+    },
+    ignore_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'momo_statement_lines',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['import_id'] },
+      { fields: ['match_status'] },
+      { fields: ['transaction_date'] },
+      { unique: true, fields: ['provider', 'transaction_id'] }
+    ]
+  });
+
+  MomoStatementLine.associate = (models) => {
+    MomoStatementLine.belongsTo(models.MomoStatementImport, { foreignKey: 'import_id', as: 'statementImport' });
+    MomoStatementLine.belongsTo(models.InvoicePayment, { foreignKey: 'invoice_payment_id', as: 'payment' });
+    MomoStatementLine.belongsTo(models.User, { foreignKey: 'matched_by', as: 'matcher' });
+  };
+
+  // Static constants
+  MomoStatementLine.MATCH_STATUSES = MATCH_STATUSES;
+  MomoStatementLine.MATCH_METHODS = MATCH_METHODS;
+  MomoStatementLine.STATUS_LABELS = STATUS_LABELS;
+
+  MomoStatementLine.prototype.getStatusLabel = function() {
+    return STATUS_LABELS[this.match_status] || this.match_status;
+  };
+
+  return MomoStatementLine;
+};
@@ -1,3 +1,12 @@
+/**
+ * NotificationLog Model
+ *
+ * One attempt at sending a message (services/notificationService.js and the
+ * staff alert emails). A failed customer message waiting for a retry has
+ * next_attempt_at set; each retry is a new row whose retry_of_id points at
+ * the first attempt.
+ */
+
 module.exports = (sequelize, DataTypes) => {
   const NotificationLog = sequelize.define('NotificationLog', {
     id: {
@@ -9,6 +18,23 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.INTEGER,
       allowNull: true
     },
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    event: {
+      type: DataTypes.STRING(40),
+      allowNull: true
+    },
+    // What the message is about, e.g. invoice, installment, warranty
+    reference_type: {
+      type: DataTypes.STRING(30),
+      allowNull: true
+    },
+    reference_id: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
     channel: {
       type: DataTypes.ENUM('email', 'sms', 'whatsapp'),
       allowNull: false,
@@ -26,11 +52,20 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.TEXT,
       allowNull: false
     },
+    // WhatsApp template name, language and parameters
+    provider_options: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
     status: {
       type: DataTypes.ENUM('sent', 'failed', 'pending'),
       allowNull: false,
       defaultValue: 'pending'
     },
+    provider: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
     provider_id: {
       type: DataTypes.STRING(255),
       allowNull: true
@@ -38,13 +73,37 @@ module.exports = (sequelize, DataTypes) => {
     error_message: {
       type: DataTypes.TEXT,
       allowNull: true
+    },
+    attempt_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    retry_of_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    next_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
     tableName: 'notification_logs',
     underscored: true,
     timestamps: true,
     indexes: [
-      { fields: ['preorder_id'] }
+      { fields: ['preorder_id'] },
+      { fields: ['customer_id'] },
+      { fields: ['status', 'next_attempt_at'] },
+      { fields: ['event', 'reference_type', 'reference_id'] }
     ]
   });
 
@@ -53,6 +112,14 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'preorder_id',
       as: 'preorder'
     });
+    NotificationLog.belongsTo(models.Customer, {
+      foreignKey: 'customer_id',
+      as: 'customer'
+    });
+    NotificationLog.belongsTo(models.NotificationLog, {
+      foreignKey: 'retry_of_id',
+      as: 'retryOf'
+    });
   };
 
   return NotificationLog;
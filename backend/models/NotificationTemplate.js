@@ -0,0 +1,80 @@
+/**
+ * NotificationTemplate Model
+ *
+ * A customer message as edited for one event and channel. Events and
+ * channels without a saved template use the defaults in
+ * services/notificationService.js; deleting a template goes back to them.
+ *
+ * Placeholders are written {name}; the ones each event fills are listed in
+ * EVENT_PLACEHOLDERS. A WhatsApp template can name the template approved in
+ * WhatsApp Manager, which is then sent with the placeholders in order as its
+ * parameters.
+ */
+
+const { EVENTS, CHANNELS } = require('../services/notificationService');
+
+module.exports = (sequelize, DataTypes) => {
+  const NotificationTemplate = sequelize.define('NotificationTemplate', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    event: {
+      type: DataTypes.STRING(40),
+      allowNull: false,
+      validate: {
+        isIn: [EVENTS]
+      }
+    },
+    channel: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      validate: {
+        isIn: [CHANNELS]
+      }
+    },
+    subject: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Email only'
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    whatsapp_template_name: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    whatsapp_language: {
+      type: DataTypes.STRING(10),
+      allowNull: true
+    },
+    updated_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'notification_templates',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { unique: true, fields: ['event', 'channel'] }
+    ]
+  });
+
+  NotificationTemplate.associate = (models) => {
+    NotificationTemplate.belongsTo(models.User, { foreignKey: 'updated_by', as: 'updater' });
+  };
+
+  return NotificationTemplate;
+};
@@ -7,6 +7,9 @@
 const PREORDER_STATUSES = ['Deposit Paid', 'Purchased', 'Shipped', 'Arrived', 'Completed', 'Cancelled'];
 const SHIPPING_METHODS = ['air', 'sea', 'other'];
 
+// Progress steps shown to customers (Cancelled is not a step)
+const TRACKING_STEPS = ['Deposit Paid', 'Purchased', 'Shipped', 'Arrived', 'Completed'];
+
 module.exports = (sequelize, DataTypes) => {
   const Preorder = sequelize.define('Preorder', {
     id: {
@@ -92,6 +95,11 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATEONLY,
       allowNull: true
     },
+    // manual when entered by hand; otherwise learned or target (services/preorderSlaService.js)
+    estimated_arrival_source: {
+      type: DataTypes.STRING(10),
+      allowNull: true
+    },
     actual_arrival_date: {
       type: DataTypes.DATEONLY,
       allowNull: true
@@ -106,6 +114,7 @@ module.exports = (sequelize, DataTypes) => {
         return val === null ? null : parseFloat(val);
       }
     },
+    // Net amount held from PreorderPayments (deposit and top-ups less refunds)
     deposit_amount: {
       type: DataTypes.DECIMAL(12, 2),
       allowNull: false,
@@ -114,6 +123,7 @@ module.exports = (sequelize, DataTypes) => {
         return val === null ? 0 : parseFloat(val);
       }
     },
+    // Method of the first deposit; each payment carries its own
     deposit_payment_method: {
       type: DataTypes.STRING(20),
       allowNull: true
@@ -138,6 +148,33 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true
     },
 
+    // --- SLA (kept by services/preorderSlaService.js; null once closed) ---
+    sla_status: {
+      type: DataTypes.STRING(10),
+      allowNull: true
+    },
+    sla_stage: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    sla_due_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    sla_promised_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    // sla_status when the daily check last looked, so each worsening is alerted once
+    sla_alerted_status: {
+      type: DataTypes.STRING(10),
+      allowNull: true
+    },
+    sla_checked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
     // --- Conversion ---
     invoice_id: {
       type: DataTypes.UUID,
@@ -166,7 +203,8 @@ module.exports = (sequelize, DataTypes) => {
     indexes: [
       { unique: true, fields: ['tracking_code'] },
       { fields: ['customer_phone'] },
-      { fields: ['status'] }
+      { fields: ['status'] },
+      { fields: ['sla_status'] }
     ]
   });
 
@@ -175,6 +213,7 @@ module.exports = (sequelize, DataTypes) => {
     Preorder.belongsTo(models.Invoice, { as: 'invoice', foreignKey: 'invoice_id' });
     Preorder.belongsTo(models.User, { as: 'creator', foreignKey: 'created_by' });
     Preorder.belongsTo(models.User, { as: 'updater', foreignKey: 'updated_by' });
+    Preorder.hasMany(models.PreorderPayment, { as: 'payments', foreignKey: 'preorder_id' });
   };
 
   Preorder.STATUSES = PREORDER_STATUSES;
@@ -196,5 +235,38 @@ module.exports = (sequelize, DataTypes) => {
     return `PO-${String(next).padStart(5, '0')}`;
   };
 
+  /**
+   * Customer-facing view: status, amounts and dated progress steps.
+   * Used by preorder tracking and customer accounts on the storefront.
+   */
+  Preorder.prototype.toTrackingJSON = function() {
+    const currentIndex = TRACKING_STEPS.indexOf(this.status);
+    const dateMap = {
+      'Deposit Paid': this.created_at,
+      'Purchased': this.purchase_date,
+      'Shipped': this.shipped_date,
+      'Arrived': this.actual_arrival_date,
+      'Completed': this.status === 'Completed' ? this.updated_at : null
+    };
+
+    const steps = TRACKING_STEPS.map((label, i) => ({
+      label: label === 'Completed' ? 'Ready for Pickup' : label,
+      completed: i <= currentIndex,
+      date: dateMap[label] ? new Date(dateMap[label]).toISOString().split('T')[0] : null
+    }));
+
+    return {
+      tracking_code: this.tracking_code,
+      item_description: this.item_description,
+      quantity: this.quantity,
+      status: this.status,
+      status_message: this.status_message,
+      estimated_arrival_date: this.estimated_arrival_date,
+      deposit_amount: this.deposit_amount,
+      balance_due: this.balance_due,
+      steps
+    };
+  };
+
   return Preorder;
 };
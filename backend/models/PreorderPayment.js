@@ -0,0 +1,191 @@
+/**
+ * PreorderPayment Model
+ *
+ * Money taken or given back against a preorder: the deposit, any top-ups,
+ * and refunds (usually on cancellation). Each is dated and tagged with its
+ * payment method so it shows in reconciliation and the cashier's drawer on
+ * the day it was taken.
+ *
+ * When the preorder is converted, each payment is carried over as an
+ * InvoicePayment with the same date and method; invoice_payment_id links
+ * the two and from then on the invoice payment is the one that is reported.
+ *
+ * Preorder.deposit_amount is kept as the net amount held (payments less
+ * refunds, ignoring voids).
+ */
+
+const ledgerService = require('../services/ledgerService');
+
+const PAYMENT_METHODS = ['Cash', 'MoMo', 'Card', 'ACH', 'Other'];
+const TRANSACTION_TYPES = ['PAYMENT', 'REFUND'];
+
+// Labels the preorder forms have used for methods in PAYMENT_METHODS
+const METHOD_ALIASES = {
+  'bank transfer': 'ACH'
+};
+
+const round2 = n => Math.round(n * 100) / 100;
+
+module.exports = (sequelize, DataTypes) => {
+  const PreorderPayment = sequelize.define('PreorderPayment', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    preorder_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'preorders', key: 'id' }
+    },
+    transaction_type: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'PAYMENT',
+      validate: {
+        isIn: [TRANSACTION_TYPES]
+      }
+    },
+    payment_date: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01
+      },
+      get() {
+        const val = this.getDataValue('amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'GHS'
+    },
+    payment_method: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [PAYMENT_METHODS],
+          msg: 'Invalid payment method'
+        }
+      }
+    },
+    payment_method_other_text: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    comment: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    received_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    voided_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    voided_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    void_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    invoice_payment_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'invoice_payments', key: 'id' }
+    }
+  }, {
+    tableName: 'preorder_payments',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['preorder_id'] },
+      { fields: ['payment_date'] },
+      { fields: ['invoice_payment_id'] }
+    ]
+  });
+
+  PreorderPayment.associate = (models) => {
+    PreorderPayment.belongsTo(models.Preorder, { foreignKey: 'preorder_id', as: 'preorder' });
+    PreorderPayment.belongsTo(models.InvoicePayment, { foreignKey: 'invoice_payment_id', as: 'invoicePayment' });
+    PreorderPayment.belongsTo(models.User, { foreignKey: 'received_by', as: 'receivedBy' });
+    PreorderPayment.belongsTo(models.User, { foreignKey: 'voided_by', as: 'voidedBy' });
+  };
+
+  // Deposits are held as a liability until the preorder is invoiced; a void
+  // reverses the posting on its original date
+  PreorderPayment.addHook('afterCreate', 'postToLedger', (payment, options) =>
+    ledgerService.postPreorderPayment(payment, options.transaction));
+  PreorderPayment.addHook('afterUpdate', 'postToLedger', (payment, options) => {
+    if (!payment.changed('voided_at') || !payment.voided_at) return null;
+    return ledgerService.reverseSource('preorder_payment', payment.id, { userId: payment.voided_by }, options.transaction);
+  });
+
+  // Static constants
+  PreorderPayment.PAYMENT_METHODS = PAYMENT_METHODS;
+  PreorderPayment.TRANSACTION_TYPES = TRANSACTION_TYPES;
+
+  /**
+   * Resolve a method as entered (case-insensitive, with the old form labels)
+   * @param {string} method
+   * @param {string} [otherText] - required when the method is Other
+   * @returns {{ payment_method: string, payment_method_other_text: string|null }|null}
+   *   null when the method is not recognized or Other has no text
+   */
+  PreorderPayment.normalizeMethod = function(method, otherText = null) {
+    const raw = String(method || '').trim().toLowerCase();
+    const resolved = PAYMENT_METHODS.find(m => m.toLowerCase() === raw) || METHOD_ALIASES[raw];
+    if (!resolved) return null;
+    if (resolved !== 'Other') {
+      return { payment_method: resolved, payment_method_other_text: null };
+    }
+    const text = String(otherText || '').trim();
+    return text ? { payment_method: 'Other', payment_method_other_text: text.substring(0, 255) } : null;
+  };
+
+  /**
+   * Totals over a preorder's payments, ignoring voids
+   * @param {Array<{ transaction_type: string, amount: number, voided_at: Date|null }>} payments
+   * @returns {{ paid: number, refunded: number, net: number }}
+   */
+  PreorderPayment.summarize = function(payments) {
+    let paid = 0;
+    let refunded = 0;
+    for (const payment of payments) {
+      if (payment.voided_at) continue;
+      const amount = parseFloat(payment.amount) || 0;
+      if (payment.transaction_type === 'REFUND') refunded += amount;
+      else paid += amount;
+    }
+    return { paid: round2(paid), refunded: round2(refunded), net: round2(paid - refunded) };
+  };
+
+  PreorderPayment.prototype.isVoided = function() {
+    return this.voided_at !== null && this.voided_at !== undefined;
+  };
+
+  PreorderPayment.prototype.getMethodDisplay = function() {
+    if (this.payment_method === 'Other' && this.payment_method_other_text) {
+      return `Other – ${this.payment_method_other_text}`;
+    }
+    return this.payment_method;
+  };
+
+  return PreorderPayment;
+};
@@ -0,0 +1,69 @@
+/**
+ * PreorderSlaTarget Model
+ *
+ * Days allowed for each preorder stage, per shipping method. A preorder is
+ * promised ready for pickup the sum of its method's stage days after the
+ * deposit; at_risk_days is how close to a due date it is flagged.
+ */
+
+const SHIPPING_METHODS = ['air', 'sea', 'other'];
+const DAY_FIELDS = ['purchase_days', 'dispatch_days', 'transit_days', 'pickup_days', 'at_risk_days'];
+
+module.exports = (sequelize, DataTypes) => {
+  const dayField = () => ({
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 0,
+      max: 365
+    }
+  });
+
+  const PreorderSlaTarget = sequelize.define('PreorderSlaTarget', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    shipping_method: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      unique: true,
+      validate: {
+        isIn: [SHIPPING_METHODS]
+      }
+    },
+    purchase_days: dayField(),
+    dispatch_days: dayField(),
+    transit_days: dayField(),
+    pickup_days: dayField(),
+    at_risk_days: dayField(),
+    updated_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'preorder_sla_targets',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  PreorderSlaTarget.associate = (models) => {
+    PreorderSlaTarget.belongsTo(models.User, { foreignKey: 'updated_by', as: 'updater' });
+  };
+
+  PreorderSlaTarget.SHIPPING_METHODS = SHIPPING_METHODS;
+  PreorderSlaTarget.DAY_FIELDS = DAY_FIELDS;
+
+  /**
+   * Total days from deposit to ready for pickup
+   */
+  PreorderSlaTarget.prototype.getTotalDays = function() {
+    return this.purchase_days + this.dispatch_days + this.transit_days + this.pickup_days;
+  };
+
+  return PreorderSlaTarget;
+};
@@ -0,0 +1,307 @@
+/**
+ * ProductModel Model
+ *
+ * Catalog of canonical product models (e.g. "Apple iPhone 13 Pro") with
+ * reference specs, a default selling price, and aliases — the spellings the
+ * same model arrives under in supplier sheets and invoice descriptions.
+ * Assets link to a catalog model so reports can group by model instead of
+ * by free-text make/model strings.
+ */
+
+const SPEC_FIELDS = ['cpu', 'gpu', 'ram_gb', 'storage_gb', 'storage_type', 'screen_size_inches', 'resolution'];
+
+// Shorter keys are too ambiguous to find inside a free-text description
+const MIN_CONTAINED_KEY_LENGTH = 6;
+
+/**
+ * Normalize a make/model/alias string for matching:
+ * lowercase, punctuation to spaces, collapsed whitespace.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeName(text) {
+  if (text === undefined || text === null) return '';
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Clean an alias list: trim, drop blanks and case-insensitive duplicates.
+ * @param {Array<string>} aliases
+ * @returns {Array<string>}
+ */
+function cleanAliases(aliases) {
+  if (!Array.isArray(aliases)) return [];
+  const seen = new Set();
+  const result = [];
+  for (const alias of aliases) {
+    const trimmed = String(alias || '').trim();
+    const key = normalizeName(trimmed);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    result.push(trimmed);
+  }
+  return result;
+}
+
+/**
+ * Build a matcher over a list of catalog models.
+ *
+ * Precedence: "make model" equals a catalog name or alias, then the model
+ * string alone equals one (when make agrees or is absent), then the longest
+ * catalog name or alias found word-bounded inside the description.
+ *
+ * @param {Array<ProductModel>} productModels
+ * @returns {Function} ({ make, model, description }) => { productModel, matchType } | null
+ */
+function buildMatcher(productModels) {
+  const exact = new Map();
+  const contained = [];
+
+  for (const productModel of productModels) {
+    const canonical = normalizeName(`${productModel.make} ${productModel.model}`);
+    const keys = [
+      { key: canonical, matchType: 'exact' },
+      ...(productModel.aliases || []).map(alias => ({ key: normalizeName(alias), matchType: 'alias' }))
+    ];
+    for (const { key, matchType } of keys) {
+      if (!key) continue;
+      if (!exact.has(key)) exact.set(key, { productModel, matchType });
+      if (key.length >= MIN_CONTAINED_KEY_LENGTH) contained.push({ key, productModel });
+    }
+  }
+
+  // Longest keys first so "iphone 13 pro max" wins over "iphone 13 pro"
+  contained.sort((a, b) => b.key.length - a.key.length);
+
+  return ({ make, model, description } = {}) => {
+    const makeKey = normalizeName(make);
+    const modelKey = normalizeName(model);
+
+    if (makeKey && modelKey) {
+      const hit = exact.get(`${makeKey} ${modelKey}`);
+      if (hit) return hit;
+    }
+
+    // A make on the row rules out catalog models of any other make
+    const makeAgrees = productModel => !makeKey || normalizeName(productModel.make) === makeKey;
+
+    if (modelKey) {
+      const hit = exact.get(modelKey);
+      if (hit && makeAgrees(hit.productModel)) return hit;
+    }
+
+    const text = normalizeName(description || [make, model].filter(Boolean).join(' '));
+    if (!text) return null;
+
+    const direct = exact.get(text);
+    if (direct && makeAgrees(direct.productModel)) return direct;
+
+    const padded = ` ${text} `;
+    const found = contained.find(({ key, productModel }) => makeAgrees(productModel) && padded.includes(` ${key} `));
+    return found ? { productModel: found.productModel, matchType: 'contains' } : null;
+  };
+}
+
+module.exports = (sequelize, DataTypes) => {
+  const ProductModel = sequelize.define('ProductModel', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    make: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    model: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    category: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Taxonomy Level 1, copied onto linked assets when blank'
+    },
+    asset_type: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Taxonomy Level 2'
+    },
+    // Canonical specs
+    cpu: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    gpu: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    ram_gb: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    storage_gb: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    storage_type: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      validate: {
+        isIn: [['HDD', 'SSD', 'NVMe', 'Other']]
+      }
+    },
+    screen_size_inches: {
+      type: DataTypes.DECIMAL(4, 2),
+      allowNull: true,
+      get() {
+        const value = this.getDataValue('screen_size_inches');
+        return value == null ? null : parseFloat(value);
+      }
+    },
+    resolution: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    default_price_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      validate: {
+        min: 0
+      },
+      get() {
+        const value = this.getDataValue('default_price_amount');
+        return value == null ? null : parseFloat(value);
+      }
+    },
+    default_price_currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'GHS',
+      validate: {
+        isIn: [['USD', 'GHS', 'GBP']]
+      }
+    },
+    aliases: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Alternative names used when matching imports and invoice descriptions'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    updated_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'product_models',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['make', 'model'] },
+      { fields: ['category', 'asset_type'] },
+      { fields: ['is_active'] }
+    ]
+  });
+
+  ProductModel.associate = (models) => {
+    ProductModel.hasMany(models.Asset, { foreignKey: 'product_model_id', as: 'assets' });
+    ProductModel.hasMany(models.DescriptionMapping, { foreignKey: 'product_model_id', as: 'descriptionMappings' });
+    ProductModel.belongsTo(models.User, { foreignKey: 'created_by', as: 'creator' });
+    ProductModel.belongsTo(models.User, { foreignKey: 'updated_by', as: 'updater' });
+  };
+
+  // Static constants and helpers
+  ProductModel.SPEC_FIELDS = SPEC_FIELDS;
+  ProductModel.normalizeName = normalizeName;
+  ProductModel.cleanAliases = cleanAliases;
+  ProductModel.buildMatcher = buildMatcher;
+
+  /**
+   * Load a matcher over all active catalog models.
+   * Build once per import/request rather than once per row.
+   */
+  ProductModel.loadMatcher = async function(transaction = null) {
+    const productModels = await ProductModel.findAll({
+      where: { is_active: true },
+      transaction
+    });
+    return buildMatcher(productModels);
+  };
+
+  /**
+   * Resolve a free-text description (invoice line, supplier row) to a catalog
+   * model. A saved DescriptionMapping wins over fuzzy catalog matching.
+   * @returns {{ productModel, matchType }|null}
+   */
+  ProductModel.resolveDescription = async function(description, { matcher = null, transaction = null } = {}) {
+    if (!description) return null;
+
+    const mapping = await sequelize.models.DescriptionMapping.findOne({
+      where: { description },
+      transaction
+    });
+    if (mapping && mapping.product_model_id) {
+      const productModel = await ProductModel.findByPk(mapping.product_model_id, { transaction });
+      if (productModel && productModel.is_active) return { productModel, matchType: 'mapping' };
+    }
+
+    const match = matcher || await ProductModel.loadMatcher(transaction);
+    return match({ description });
+  };
+
+  /**
+   * Display name ("Apple iPhone 13 Pro")
+   */
+  ProductModel.prototype.getDisplayName = function() {
+    return `${this.make} ${this.model}`;
+  };
+
+  /**
+   * Fill blank taxonomy, spec, and price fields on asset data from the
+   * catalog. Values already present on the asset are kept.
+   * @param {Object} assetData - plain asset attributes (mutated and returned)
+   */
+  ProductModel.prototype.applyDefaults = function(assetData) {
+    const isBlank = value => value === undefined || value === null || value === '';
+
+    for (const field of ['make', 'model', 'category', 'asset_type', ...SPEC_FIELDS]) {
+      if (isBlank(assetData[field]) && !isBlank(this[field])) {
+        assetData[field] = this[field];
+      }
+    }
+    if (isBlank(assetData.price_amount) && this.default_price_amount != null) {
+      assetData.price_amount = this.default_price_amount;
+      assetData.price_currency = this.default_price_currency;
+    }
+    assetData.product_model_id = this.id;
+    return assetData;
+  };
+
+  return ProductModel;
+};
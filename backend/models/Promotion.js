@@ -0,0 +1,233 @@
+/**
+ * Promotion Model
+ *
+ * A centrally defined discount: a code shoppers or staff enter, or (with no
+ * code) an offer the website applies by itself. What it takes off is worked
+ * out in services/promotionService.js; each use is an InvoicePromotion.
+ */
+
+const { Op } = require('sequelize');
+const { DISCOUNT_TYPES, SCOPES, normalizeCode, toPromotionLines, applyPromotions, unavailableReason } = require('../services/promotionService');
+
+module.exports = (sequelize, DataTypes) => {
+  const Promotion = sequelize.define('Promotion', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    code: {
+      type: DataTypes.STRING(40),
+      allowNull: true,
+      comment: 'Upper-case code to enter at checkout; null for automatic website offers',
+      set(value) {
+        const code = normalizeCode(value);
+        this.setDataValue('code', code || null);
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    discount_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [DISCOUNT_TYPES]
+      }
+    },
+    discount_value: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      comment: 'Percent off, or amount off (per complete set for bundles)',
+      get() {
+        const val = this.getDataValue('discount_value');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    scope: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'all',
+      validate: {
+        isIn: [SCOPES]
+      }
+    },
+    scope_values: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Categories (scope category) or product model ids (scope product_model)'
+    },
+    bundle_items: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: '[{ category | product_model_id, quantity }] making up one set (scope bundle)'
+    },
+    starts_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    ends_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    usage_limit: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Total redemptions allowed; null = unlimited'
+    },
+    per_customer_limit: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    updated_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'promotions',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { unique: true, fields: ['code'] },
+      { fields: ['is_active', 'starts_at', 'ends_at'] }
+    ]
+  });
+
+  Promotion.DISCOUNT_TYPES = DISCOUNT_TYPES;
+  Promotion.SCOPES = SCOPES;
+
+  Promotion.associate = (models) => {
+    Promotion.hasMany(models.InvoicePromotion, { foreignKey: 'promotion_id', as: 'redemptions' });
+    Promotion.belongsTo(models.User, { foreignKey: 'created_by', as: 'creator' });
+    Promotion.belongsTo(models.User, { foreignKey: 'updated_by', as: 'updater' });
+  };
+
+  Promotion.findByCode = function(code, options = {}) {
+    const normalized = normalizeCode(code);
+    if (!normalized) return null;
+    return Promotion.findOne({ where: { code: normalized }, ...options });
+  };
+
+  /**
+   * Active code-less offers running at the given time
+   */
+  Promotion.findAutomatic = function(now = new Date(), transaction = null) {
+    return Promotion.findAll({
+      where: {
+        code: null,
+        is_active: true,
+        [Op.and]: [
+          { [Op.or]: [{ starts_at: null }, { starts_at: { [Op.lte]: now } }] },
+          { [Op.or]: [{ ends_at: null }, { ends_at: { [Op.gt]: now } }] }
+        ]
+      },
+      order: [['id', 'ASC']],
+      transaction
+    });
+  };
+
+  /**
+   * Redemptions on invoices that weren't cancelled, in total and by one customer
+   * @returns {Promise<{ totalUses: number, customerUses: number }>}
+   */
+  Promotion.prototype.countUses = async function(customerId = null, transaction = null) {
+    const where = { promotion_id: this.id };
+    const include = [{
+      model: sequelize.models.Invoice,
+      as: 'invoice',
+      attributes: [],
+      where: { status: { [Op.ne]: 'CANCELLED' }, is_deleted: false }
+    }];
+
+    const [totalUses, customerUses] = await Promise.all([
+      sequelize.models.InvoicePromotion.count({ where, include, transaction }),
+      customerId
+        ? sequelize.models.InvoicePromotion.count({ where: { ...where, customer_id: customerId }, include, transaction })
+        : 0
+    ]);
+    return { totalUses, customerUses };
+  };
+
+  /**
+   * Why this promotion can't be used on an invoice for the customer, if it can't
+   * @returns {Promise<{ code: string, message: string }|null>}
+   */
+  Promotion.prototype.checkRedeemable = async function(customerId = null, transaction = null) {
+    const early = unavailableReason(this);
+    if (early) return early;
+    return unavailableReason(this, await this.countUses(customerId, transaction));
+  };
+
+  /**
+   * Redeem on an invoice, after the invoice's own promotions. Locks the
+   * promotion row so usage limits hold under concurrent checkouts.
+   * @param {Invoice} invoice
+   * @param {Object} options
+   * @param {number} options.userId - staff member applying it, if any
+   * @param {Transaction} options.transaction
+   * @returns {Promise<InvoicePromotion>}
+   * @throws {Error} with .code when it can't be used or nothing on the invoice qualifies
+   */
+  Promotion.prototype.redeemOn = async function(invoice, { userId = null, transaction } = {}) {
+    const { InvoicePromotion, InvoiceItem, Asset } = sequelize.models;
+    const fail = (code, message) => Object.assign(new Error(message), { code });
+
+    await Promotion.findByPk(this.id, { transaction, lock: true });
+
+    const existing = await InvoicePromotion.findAll({
+      where: { invoice_id: invoice.id },
+      include: [{ model: Promotion, as: 'promotion' }],
+      order: [['created_at', 'ASC'], ['id', 'ASC']],
+      transaction
+    });
+    if (existing.some(r => r.promotion_id === this.id)) {
+      throw fail('PROMOTION_ALREADY_APPLIED', 'This promotion is already on the invoice');
+    }
+
+    const reason = await this.checkRedeemable(invoice.customer_id, transaction);
+    if (reason) throw fail(reason.code, reason.message);
+
+    const items = await InvoiceItem.findAll({
+      where: { invoice_id: invoice.id, voided_at: null },
+      include: [{ model: Asset, as: 'asset', attributes: ['id', 'category', 'product_model_id'] }],
+      transaction
+    });
+    const results = applyPromotions([...existing.map(r => r.promotion), this], toPromotionLines(items));
+    const { amount, allocations } = results[results.length - 1];
+    if (amount <= 0) {
+      throw fail('PROMOTION_NOT_APPLICABLE', 'Nothing on this invoice qualifies for this promotion');
+    }
+
+    return InvoicePromotion.create({
+      invoice_id: invoice.id,
+      promotion_id: this.id,
+      customer_id: invoice.customer_id || null,
+      code: this.code,
+      discount_amount: amount,
+      allocations,
+      applied_by: userId
+    }, { transaction });
+  };
+
+  return Promotion;
+};
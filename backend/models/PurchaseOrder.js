@@ -0,0 +1,212 @@
+/**
+ * PurchaseOrder Model
+ *
+ * An order placed with a supplier for phones by model and grade.
+ * Status workflow: draft → ordered → partially_received → received,
+ * then closed (or cancelled before anything arrives).
+ *
+ * Placing the order opens a SourcingBatch carrying the PO's cost inputs;
+ * goods-received notes add units to that batch, so landed cost and batch
+ * performance work exactly as they do for imported batches. Closing a PO
+ * with quantity still outstanding records it as short-shipped.
+ */
+
+const PO_STATUSES = ['draft', 'ordered', 'partially_received', 'received', 'closed', 'cancelled'];
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  ordered: 'Ordered',
+  partially_received: 'Partially Received',
+  received: 'Received',
+  closed: 'Closed',
+  cancelled: 'Cancelled'
+};
+
+// Cost inputs copied onto the sourcing batch when the order is placed
+const COST_FIELDS = ['shipping_cost_per_unit_usd', 'import_duty_rate', 'fx_rate_at_purchase', 'handling_per_unit_ghs'];
+
+module.exports = (sequelize, DataTypes) => {
+  const PurchaseOrder = sequelize.define('PurchaseOrder', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    po_number: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    supplier_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'suppliers', key: 'id' }
+    },
+    supplier_name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Copy of the supplier name for display'
+    },
+    supplier_type: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      defaultValue: 'wholesale'
+    },
+    order_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    expected_arrival_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'draft',
+      validate: {
+        isIn: [PO_STATUSES]
+      }
+    },
+    shipping_cost_per_unit_usd: {
+      type: DataTypes.DECIMAL(8, 2),
+      allowNull: true,
+      get() {
+        const val = this.getDataValue('shipping_cost_per_unit_usd');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    shipping_route: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    import_duty_rate: {
+      type: DataTypes.DECIMAL(5, 4),
+      allowNull: true,
+      get() {
+        const val = this.getDataValue('import_duty_rate');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    fx_rate_at_purchase: {
+      type: DataTypes.DECIMAL(10, 4),
+      allowNull: true,
+      get() {
+        const val = this.getDataValue('fx_rate_at_purchase');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    handling_per_unit_ghs: {
+      type: DataTypes.DECIMAL(8, 2),
+      allowNull: true,
+      get() {
+        const val = this.getDataValue('handling_per_unit_ghs');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    warranty_days: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    warranty_type: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    sourcing_batch_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'sourcing_batches', key: 'id' },
+      comment: 'Batch opened when the order was placed'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    ordered_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    closed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    closed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    close_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'purchase_orders',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { unique: true, fields: ['po_number'] },
+      { fields: ['status'] },
+      { fields: ['supplier_name'] },
+      { fields: ['supplier_id'] }
+    ]
+  });
+
+  PurchaseOrder.associate = (models) => {
+    PurchaseOrder.hasMany(models.PurchaseOrderLine, { foreignKey: 'purchase_order_id', as: 'lines' });
+    PurchaseOrder.hasMany(models.GoodsReceivedNote, { foreignKey: 'purchase_order_id', as: 'receipts' });
+    PurchaseOrder.belongsTo(models.Supplier, { foreignKey: 'supplier_id', as: 'supplier' });
+    PurchaseOrder.belongsTo(models.SourcingBatch, { foreignKey: 'sourcing_batch_id', as: 'sourcingBatch' });
+    PurchaseOrder.belongsTo(models.User, { foreignKey: 'created_by', as: 'creator' });
+    PurchaseOrder.belongsTo(models.User, { foreignKey: 'closed_by', as: 'closer' });
+  };
+
+  // Static constants
+  PurchaseOrder.STATUSES = PO_STATUSES;
+  PurchaseOrder.STATUS_LABELS = STATUS_LABELS;
+  PurchaseOrder.COST_FIELDS = COST_FIELDS;
+  PurchaseOrder.RECEIVABLE_STATUSES = ['ordered', 'partially_received', 'received'];
+
+  // Generate PO number (pattern: PO-000001)
+  PurchaseOrder.generatePoNumber = async function(transaction = null) {
+    const [results] = await sequelize.query(
+      `SELECT po_number FROM purchase_orders
+       WHERE po_number LIKE 'PO-%'
+       ORDER BY po_number DESC LIMIT 1`,
+      transaction ? { transaction } : {}
+    );
+
+    let nextSeq = 1;
+    if (results.length > 0) {
+      const match = results[0].po_number.match(/PO-(\d+)/);
+      if (match) {
+        nextSeq = parseInt(match[1], 10) + 1;
+      }
+    }
+
+    return `PO-${String(nextSeq).padStart(6, '0')}`;
+  };
+
+  /**
+   * Receiving status implied by line quantities: nothing in yet, some in,
+   * or every line received in full (over-shipments count as full).
+   * @param {Array<PurchaseOrderLine>} lines
+   * @returns {string} 'ordered' | 'partially_received' | 'received'
+   */
+  PurchaseOrder.receiptStatusFor = function(lines) {
+    const received = lines.reduce((sum, line) => sum + (line.quantity_received || 0), 0);
+    if (received === 0) return 'ordered';
+    return lines.every(line => line.getOutstandingQuantity() === 0) ? 'received' : 'partially_received';
+  };
+
+  PurchaseOrder.prototype.getStatusLabel = function() {
+    return STATUS_LABELS[this.status] || this.status;
+  };
+
+  return PurchaseOrder;
+};
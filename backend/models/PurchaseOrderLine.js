@@ -0,0 +1,115 @@
+/**
+ * PurchaseOrderLine Model
+ *
+ * Quantity of one product (a serialized Asset such as "iPhone 13 Pro 256GB")
+ * at one supplier grade, with the expected unit cost. quantity_received
+ * counts units booked in by goods-received notes and may exceed the ordered
+ * quantity when the supplier over-ships. quantity_short is set when the PO
+ * is closed with units still outstanding.
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const PurchaseOrderLine = sequelize.define('PurchaseOrderLine', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    purchase_order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'purchase_orders', key: 'id' }
+    },
+    asset_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'assets', key: 'id' }
+    },
+    description: {
+      type: DataTypes.STRING(200),
+      allowNull: false
+    },
+    supplier_grade: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    quantity_ordered: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    quantity_received: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    quantity_short: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Outstanding quantity written off as short-shipped when the PO was closed'
+    },
+    unit_cost_usd: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      get() {
+        const val = this.getDataValue('unit_cost_usd');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    projected_sell_price_ghs: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      get() {
+        const val = this.getDataValue('projected_sell_price_ghs');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'purchase_order_lines',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['purchase_order_id'] },
+      { fields: ['asset_id'] }
+    ]
+  });
+
+  PurchaseOrderLine.associate = (models) => {
+    PurchaseOrderLine.belongsTo(models.PurchaseOrder, { foreignKey: 'purchase_order_id', as: 'purchaseOrder' });
+    PurchaseOrderLine.belongsTo(models.Asset, { foreignKey: 'asset_id', as: 'asset' });
+    PurchaseOrderLine.hasMany(models.AssetUnit, { foreignKey: 'purchase_order_line_id', as: 'units' });
+  };
+
+  PurchaseOrderLine.prototype.getOutstandingQuantity = function() {
+    return Math.max(0, this.quantity_ordered - (this.quantity_received || 0) - (this.quantity_short || 0));
+  };
+
+  PurchaseOrderLine.prototype.getOverQuantity = function() {
+    return Math.max(0, (this.quantity_received || 0) - this.quantity_ordered);
+  };
+
+  PurchaseOrderLine.prototype.getExpectedCostUsd = function() {
+    return parseFloat((this.quantity_ordered * (this.unit_cost_usd || 0)).toFixed(2));
+  };
+
+  /**
+   * Count received units against the line (not saved).
+   * @returns {number} how many of the units are beyond what was outstanding
+   */
+  PurchaseOrderLine.prototype.receive = function(quantity) {
+    const over = Math.max(0, quantity - this.getOutstandingQuantity());
+    this.quantity_received = (this.quantity_received || 0) + quantity;
+    return over;
+  };
+
+  return PurchaseOrderLine;
+};
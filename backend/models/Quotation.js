@@ -0,0 +1,342 @@
+/**
+ * Quotation Model
+ *
+ * Quote / proforma invoice for a customer. Lines and discounts work as on
+ * invoices, but nothing is reserved or taken out of stock; converting an
+ * accepted quotation creates the invoice (see quotationController.convert).
+ */
+
+const { TAX_MODES, computeInvoiceTaxes } = require('../services/taxService');
+const { ALLOWED_CURRENCIES } = require('../utils/currencyUtils');
+const { QUOTATION_STATUSES, EDITABLE_STATUSES, isExpired } = require('../services/quotationService');
+
+const STATUS_LABELS = {
+  DRAFT: 'Draft',
+  SENT: 'Sent',
+  ACCEPTED: 'Accepted',
+  DECLINED: 'Declined',
+  CONVERTED: 'Converted'
+};
+
+module.exports = (sequelize, DataTypes) => {
+  const Quotation = sequelize.define('Quotation', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    quotation_number: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      unique: true
+    },
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'customers', key: 'id' }
+    },
+    quote_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    valid_until: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'DRAFT',
+      validate: {
+        isIn: [QUOTATION_STATUSES]
+      }
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'GHS',
+      validate: {
+        isIn: [ALLOWED_CURRENCIES]
+      }
+    },
+    subtotal_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('subtotal_amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    discount_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'none',
+      validate: {
+        isIn: [['none', 'percentage', 'fixed']]
+      }
+    },
+    discount_value: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('discount_value');
+        return val === null ? 0 : parseFloat(val);
+      }
+    },
+    discount_percent: {
+      type: DataTypes.DECIMAL(8, 4),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('discount_percent');
+        return val === null ? 0 : parseFloat(val);
+      }
+    },
+    discount_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('discount_amount');
+        return val === null ? 0 : parseFloat(val);
+      }
+    },
+    tax_mode: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'none',
+      validate: {
+        isIn: [TAX_MODES]
+      }
+    },
+    tax_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('tax_amount');
+        return val === null ? 0 : parseFloat(val);
+      }
+    },
+    tax_lines: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Tax breakdown as of the last recalculation (same shape as invoice tax lines)'
+    },
+    total_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('total_amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    total_cost_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('total_cost_amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    total_profit_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('total_profit_amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    margin_percent: {
+      type: DataTypes.DECIMAL(8, 4),
+      allowNull: true,
+      get() {
+        const val = this.getDataValue('margin_percent');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    pdf_access_token: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    pdf_generated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    accepted_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    declined_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    decline_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    converted_invoice_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'invoices', key: 'id' }
+    },
+    converted_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    converted_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    updated_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'quotations',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['customer_id'] },
+      { fields: ['status'] },
+      { fields: ['valid_until'] }
+    ]
+  });
+
+  Quotation.associate = (models) => {
+    Quotation.belongsTo(models.Customer, { as: 'customer', foreignKey: 'customer_id' });
+    Quotation.hasMany(models.QuotationItem, { as: 'items', foreignKey: 'quotation_id' });
+    Quotation.belongsTo(models.Invoice, { as: 'convertedInvoice', foreignKey: 'converted_invoice_id' });
+    Quotation.belongsTo(models.User, { as: 'creator', foreignKey: 'created_by' });
+    Quotation.belongsTo(models.User, { as: 'converter', foreignKey: 'converted_by' });
+  };
+
+  // Static constants
+  Quotation.STATUSES = QUOTATION_STATUSES;
+  Quotation.STATUS_LABELS = STATUS_LABELS;
+  Quotation.EDITABLE_STATUSES = EDITABLE_STATUSES;
+  Quotation.TAX_MODES = TAX_MODES;
+
+  /**
+   * Generate next quotation number (QT-YYYY-000001 format), from its own
+   * sequence so quotes never use up invoice numbers
+   * @returns {Promise<string>}
+   */
+  Quotation.generateQuotationNumber = async function() {
+    const year = new Date().getFullYear();
+    const [results] = await sequelize.query(
+      "SELECT nextval('quotation_number_seq') as seq"
+    );
+    const seq = results[0].seq;
+    return `QT-${year}-${String(seq).padStart(6, '0')}`;
+  };
+
+  Quotation.prototype.getStatusLabel = function() {
+    return STATUS_LABELS[this.status] || this.status;
+  };
+
+  Quotation.prototype.isEditable = function() {
+    return EDITABLE_STATUSES.includes(this.status);
+  };
+
+  /**
+   * Past its valid_until date without having been converted or declined
+   * @param {string} asOf - YYYY-MM-DD, default today
+   */
+  Quotation.prototype.isExpired = function(asOf) {
+    if (['CONVERTED', 'DECLINED'].includes(this.status)) return false;
+    return isExpired(this.valid_until, asOf);
+  };
+
+  // Recalculate totals and the tax breakdown, as Invoice.recalculateTotals does
+  Quotation.prototype.recalculateTotals = async function(transaction = null) {
+    const round2 = n => Math.round(n * 100) / 100;
+    const QuotationItem = sequelize.models.QuotationItem;
+    const TaxRule = sequelize.models.TaxRule;
+    const options = transaction ? { transaction } : {};
+
+    const items = await QuotationItem.findAll({
+      where: { quotation_id: this.id },
+      include: [{ model: sequelize.models.Asset, as: 'asset', attributes: ['id', 'category'] }],
+      ...options
+    });
+
+    let subtotal = 0;
+    let totalCost = 0;
+
+    items.forEach(item => {
+      subtotal += parseFloat(item.line_total_amount) || 0;
+      totalCost += parseFloat(item.line_cost_amount) || 0;
+    });
+
+    subtotal = round2(subtotal);
+    totalCost = round2(totalCost);
+
+    // Quote-level discount on top of the (already line-discounted) subtotal
+    const discountType = this.discount_type || 'none';
+    const discountValue = parseFloat(this.discount_value) || 0;
+    let quoteDiscountAmt = 0;
+
+    if (discountType === 'percentage' && discountValue > 0) {
+      quoteDiscountAmt = round2(subtotal * (discountValue / 100));
+      this.discount_percent = discountValue;
+    } else if (discountType === 'fixed' && discountValue > 0) {
+      quoteDiscountAmt = round2(Math.min(discountValue, subtotal));
+      this.discount_percent = subtotal > 0 ? round2((quoteDiscountAmt / subtotal) * 100) : 0;
+    } else {
+      this.discount_percent = 0;
+    }
+
+    this.discount_amount = quoteDiscountAmt;
+
+    const taxMode = this.tax_mode || 'none';
+    const rules = taxMode === 'none' ? [] : await TaxRule.getApplicableRules(this.quote_date, transaction);
+    const tax = computeInvoiceTaxes({
+      lines: items.map(item => ({
+        amount: item.line_total_amount,
+        category: item.category || item.asset?.category || null
+      })),
+      rules,
+      mode: taxMode,
+      discountAmount: quoteDiscountAmt
+    });
+
+    const totalProfit = round2(tax.net_amount - totalCost);
+
+    this.subtotal_amount = subtotal;
+    this.tax_amount = tax.tax_amount;
+    this.tax_lines = tax.lines;
+    this.total_amount = tax.gross_amount;
+    this.total_cost_amount = totalCost;
+    this.total_profit_amount = totalProfit;
+    this.margin_percent = tax.net_amount > 0 ? round2((totalProfit / tax.net_amount) * 100) : null;
+
+    await this.save(options);
+    return this;
+  };
+
+  return Quotation;
+};
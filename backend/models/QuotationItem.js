@@ -0,0 +1,156 @@
+/**
+ * QuotationItem Model
+ *
+ * Line on a quotation. Priced and discounted exactly like an invoice line,
+ * but holds no stock: serialized products are quoted by quantity unless a
+ * specific unit is named, and units are only picked on conversion.
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const QuotationItem = sequelize.define('QuotationItem', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    quotation_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'quotations', key: 'id' }
+    },
+    asset_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'assets', key: 'id' }
+    },
+    asset_unit_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'asset_units', key: 'id' },
+      comment: 'Specific serialized unit quoted, if any (not reserved)'
+    },
+    warranty_tier: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    unit_price_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('unit_price_amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    line_total_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('line_total_amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    unit_cost_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('unit_cost_amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    line_cost_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('line_cost_amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    line_profit_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('line_profit_amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    discount_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'none',
+      validate: {
+        isIn: [['none', 'percentage', 'fixed']]
+      }
+    },
+    discount_value: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('discount_value');
+        return val === null ? 0 : parseFloat(val);
+      }
+    },
+    discount_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('discount_amount');
+        return val === null ? 0 : parseFloat(val);
+      }
+    },
+    pre_discount_total: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      get() {
+        const val = this.getDataValue('pre_discount_total');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    category: {
+      type: DataTypes.STRING(60),
+      allowNull: true
+    },
+    asset_type: {
+      type: DataTypes.STRING(60),
+      allowNull: true
+    }
+  }, {
+    tableName: 'quotation_items',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  QuotationItem.associate = (models) => {
+    QuotationItem.belongsTo(models.Quotation, { as: 'quotation', foreignKey: 'quotation_id' });
+    QuotationItem.belongsTo(models.Asset, { as: 'asset', foreignKey: 'asset_id' });
+    QuotationItem.belongsTo(models.AssetUnit, { as: 'assetUnit', foreignKey: 'asset_unit_id' });
+  };
+
+  // Same line arithmetic as invoice lines, so a converted quote totals the same
+  QuotationItem.prototype.calculateTotals = function() {
+    return sequelize.models.InvoiceItem.prototype.calculateTotals.call(this);
+  };
+
+  QuotationItem.beforeSave((item) => {
+    item.calculateTotals();
+  });
+
+  return QuotationItem;
+};
@@ -0,0 +1,208 @@
+/**
+ * RepairTicket Model
+ *
+ * A repair job for either one of our own units (asset_unit_id) or a
+ * walk-in customer's device (customer_id + device fields).
+ * Status workflow: received → diagnosing → awaiting_parts → repaired → returned
+ */
+
+const REPAIR_TICKET_STATUSES = ['received', 'diagnosing', 'awaiting_parts', 'repaired', 'returned'];
+const REPAIR_OUTCOMES = ['repaired', 'unrepairable'];
+
+// Allowed manual transitions (completion is the only way into 'repaired')
+const STATUS_TRANSITIONS = {
+  received: ['diagnosing', 'awaiting_parts'],
+  diagnosing: ['awaiting_parts', 'received'],
+  awaiting_parts: ['diagnosing'],
+  repaired: ['returned'],
+  returned: []
+};
+
+module.exports = (sequelize, DataTypes) => {
+  const RepairTicket = sequelize.define('RepairTicket', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    ticket_number: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    intake_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    // In-house unit being repaired
+    asset_unit_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'asset_units', key: 'id' }
+    },
+    // Walk-in customer device
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'customers', key: 'id' }
+    },
+    device_description: {
+      type: DataTypes.STRING(200),
+      allowNull: true,
+      comment: 'Make/model of a walk-in device, e.g. "HP EliteBook 840 G7"'
+    },
+    device_serial: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    issue_description: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    diagnosis: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    assigned_to: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'received',
+      validate: {
+        isIn: [REPAIR_TICKET_STATUSES]
+      }
+    },
+    parts_cost: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('parts_cost');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    labour_cost: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('labour_cost');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'GHS'
+    },
+    outcome: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      validate: {
+        isIn: [REPAIR_OUTCOMES]
+      }
+    },
+    resolution_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status_history: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: [],
+      comment: 'Array of { from, to, note, author, author_id, timestamp }'
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    returned_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'repair_tickets',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { unique: true, fields: ['ticket_number'] },
+      { fields: ['status'] },
+      { fields: ['asset_unit_id'] },
+      { fields: ['assigned_to'] }
+    ]
+  });
+
+  RepairTicket.associate = (models) => {
+    RepairTicket.belongsTo(models.AssetUnit, { foreignKey: 'asset_unit_id', as: 'unit' });
+    RepairTicket.belongsTo(models.Customer, { foreignKey: 'customer_id', as: 'customer' });
+    RepairTicket.belongsTo(models.User, { foreignKey: 'assigned_to', as: 'technician' });
+    RepairTicket.belongsTo(models.User, { foreignKey: 'completed_by', as: 'completer' });
+    RepairTicket.belongsTo(models.User, { foreignKey: 'created_by', as: 'creator' });
+  };
+
+  // Static constants
+  RepairTicket.STATUSES = REPAIR_TICKET_STATUSES;
+  RepairTicket.OUTCOMES = REPAIR_OUTCOMES;
+  RepairTicket.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+  // Generate ticket number (pattern: TKT-000001)
+  RepairTicket.generateTicketNumber = async function(transaction = null) {
+    const [results] = await sequelize.query(
+      `SELECT ticket_number FROM repair_tickets
+       WHERE ticket_number LIKE 'TKT-%'
+       ORDER BY ticket_number DESC LIMIT 1`,
+      transaction ? { transaction } : {}
+    );
+
+    let nextSeq = 1;
+    if (results.length > 0) {
+      const match = results[0].ticket_number.match(/TKT-(\d+)/);
+      if (match) {
+        nextSeq = parseInt(match[1], 10) + 1;
+      }
+    }
+
+    return `TKT-${String(nextSeq).padStart(6, '0')}`;
+  };
+
+  /**
+   * Append a status history entry (not saved)
+   */
+  RepairTicket.prototype.addHistory = function(from, to, note, user) {
+    const history = Array.isArray(this.status_history) ? [...this.status_history] : [];
+    history.push({
+      from,
+      to,
+      note: note || null,
+      author: user?.full_name || user?.username || 'Unknown',
+      author_id: user?.id || null,
+      timestamp: new Date().toISOString()
+    });
+    this.status_history = history;
+  };
+
+  RepairTicket.prototype.getTotalCost = function() {
+    return parseFloat(((this.parts_cost || 0) + (this.labour_cost || 0)).toFixed(2));
+  };
+
+  RepairTicket.prototype.canTransitionTo = function(nextStatus) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(nextStatus);
+  };
+
+  return RepairTicket;
+};
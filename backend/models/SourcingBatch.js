@@ -9,9 +9,15 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(100),
       allowNull: false
     },
+    supplier_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'suppliers', key: 'id' }
+    },
     supplier_name: {
       type: DataTypes.STRING(100),
-      allowNull: false
+      allowNull: false,
+      comment: 'Copy of the supplier name for display'
     },
     supplier_type: {
       type: DataTypes.STRING(30),
@@ -218,6 +224,9 @@ module.exports = (sequelize, DataTypes) => {
   SourcingBatch.associate = (models) => {
     SourcingBatch.hasMany(models.AssetUnit, { foreignKey: 'sourcing_batch_id', as: 'units' });
     SourcingBatch.hasMany(models.WarrantyClaim, { foreignKey: 'sourcing_batch_id', as: 'warrantyClaims' });
+    SourcingBatch.hasOne(models.PurchaseOrder, { foreignKey: 'sourcing_batch_id', as: 'purchaseOrder' });
+    SourcingBatch.hasMany(models.SupplierBill, { foreignKey: 'sourcing_batch_id', as: 'bills' });
+    SourcingBatch.belongsTo(models.Supplier, { foreignKey: 'supplier_id', as: 'supplier' });
     SourcingBatch.belongsTo(models.User, { foreignKey: 'created_by', as: 'creator' });
   };
 
@@ -0,0 +1,197 @@
+/**
+ * StockMovement Model
+ *
+ * Quantity ledger for non-serialized (bulk) stock such as accessories and
+ * chargers. Every change to a bulk Asset's quantity is a signed movement with
+ * a reason and the resulting balance, so the ledger can be replayed to
+ * explain the current on-hand quantity. Rows are append-only.
+ *
+ * Each movement is also booked against a Location (see LocationStock);
+ * balance_after is always the company-wide balance.
+ *
+ * Serialized products are tracked per unit (AssetUnit) and are not ledgered.
+ */
+
+const MOVEMENT_REASONS = [
+  'opening_balance',
+  'receipt',
+  'sale',
+  'sale_reversal',
+  'return',
+  'damage',
+  'write_off',
+  'write_off_reversal',
+  'count_correction'
+];
+
+// Reasons that can be posted by hand through /bulk-stock/:id/adjust
+const MANUAL_REASONS = ['receipt', 'damage', 'count_correction'];
+
+const REASON_LABELS = {
+  opening_balance: 'Opening Balance',
+  receipt: 'Receipt',
+  sale: 'Sale',
+  sale_reversal: 'Sale Reversed',
+  return: 'Customer Return',
+  damage: 'Damage',
+  write_off: 'Write-Off',
+  write_off_reversal: 'Write-Off Reversed',
+  count_correction: 'Count Correction'
+};
+
+module.exports = (sequelize, DataTypes) => {
+  const StockMovement = sequelize.define('StockMovement', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    asset_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'assets', key: 'id' }
+    },
+    quantity_change: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Signed: positive adds stock, negative removes it'
+    },
+    balance_after: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'On-hand quantity after this movement'
+    },
+    reason: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      validate: {
+        isIn: [MOVEMENT_REASONS]
+      }
+    },
+    reference_type: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+      comment: 'invoice, invoice_return, write_off, stock_take'
+    },
+    reference_id: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    location_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'locations', key: 'id' },
+      comment: 'Location the movement was booked against; null before locations existed'
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'stock_movements',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      { fields: ['asset_id', 'created_at'] },
+      { fields: ['reason'] },
+      { fields: ['reference_type', 'reference_id'] }
+    ]
+  });
+
+  StockMovement.associate = (models) => {
+    StockMovement.belongsTo(models.Asset, { foreignKey: 'asset_id', as: 'asset' });
+    StockMovement.belongsTo(models.Location, { foreignKey: 'location_id', as: 'location' });
+    StockMovement.belongsTo(models.User, { foreignKey: 'created_by', as: 'creator' });
+  };
+
+  // Static constants
+  StockMovement.REASONS = MOVEMENT_REASONS;
+  StockMovement.MANUAL_REASONS = MANUAL_REASONS;
+  StockMovement.REASON_LABELS = REASON_LABELS;
+
+  /**
+   * Apply a signed quantity change to a bulk asset and record it.
+   * Saves the asset; callers should hold a row lock when concurrency matters.
+   *
+   * @param {Asset} asset - Non-serialized asset instance
+   * @param {number} quantityChange - Signed change (no-op when 0)
+   * @param {string} reason - One of StockMovement.REASONS
+   * @param {Object} opts - { referenceType, referenceId, notes, userId, locationId }
+   *   locationId defaults to the default location (see LocationStock.adjust)
+   * @param {Transaction} transaction
+   * @returns {StockMovement|null}
+   */
+  StockMovement.record = async function(asset, quantityChange, reason, {
+    referenceType = null,
+    referenceId = null,
+    notes = null,
+    userId = null,
+    locationId = null
+  } = {}, transaction = null) {
+    if (asset.is_serialized) {
+      throw new Error(`Asset ${asset.asset_tag} is serialized; stock is tracked per unit`);
+    }
+
+    const change = parseInt(quantityChange, 10) || 0;
+    if (change === 0) return null;
+
+    const before = parseInt(asset.quantity, 10) || 0;
+    const after = before + change;
+    if (after < 0) {
+      throw new Error(`Stock for ${asset.asset_tag} cannot go below zero (on hand ${before}, change ${change})`);
+    }
+
+    const options = transaction ? { transaction } : {};
+
+    asset.quantity = after;
+    await asset.save(options);
+
+    const bookedLocationId = await sequelize.models.LocationStock.adjust(asset.id, change, { locationId }, transaction);
+
+    return StockMovement.create({
+      asset_id: asset.id,
+      quantity_change: change,
+      balance_after: after,
+      reason,
+      reference_type: referenceType,
+      reference_id: referenceId != null ? String(referenceId) : null,
+      notes,
+      location_id: bookedLocationId,
+      created_by: userId
+    }, options);
+  };
+
+  /**
+   * Record the quantity a bulk asset was created with as its first movement
+   * and place it at a location (the default location when omitted).
+   * Does not modify the asset.
+   */
+  StockMovement.recordOpeningBalance = async function(asset, userId = null, transaction = null, locationId = null) {
+    const quantity = parseInt(asset.quantity, 10) || 0;
+    if (asset.is_serialized || quantity === 0) return null;
+
+    const bookedLocationId = await sequelize.models.LocationStock.adjust(asset.id, quantity, { locationId }, transaction);
+
+    return StockMovement.create({
+      asset_id: asset.id,
+      quantity_change: quantity,
+      balance_after: quantity,
+      reason: 'opening_balance',
+      location_id: bookedLocationId,
+      created_by: userId
+    }, transaction ? { transaction } : {});
+  };
+
+  StockMovement.prototype.getReasonLabel = function() {
+    return REASON_LABELS[this.reason] || this.reason;
+  };
+
+  return StockMovement;
+};
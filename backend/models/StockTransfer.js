@@ -0,0 +1,143 @@
+/**
+ * StockTransfer Model
+ *
+ * Moves serialized units and bulk quantities from one Location to another.
+ * Status workflow: draft → in_transit → received (or cancelled)
+ *
+ * Dispatch takes stock out of the source location; each receive scan puts
+ * it into the destination. Stock on an in-transit transfer is at neither.
+ */
+
+const TRANSFER_STATUSES = ['draft', 'in_transit', 'received', 'cancelled'];
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  in_transit: 'In Transit',
+  received: 'Received',
+  cancelled: 'Cancelled'
+};
+
+module.exports = (sequelize, DataTypes) => {
+  const StockTransfer = sequelize.define('StockTransfer', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    transfer_number: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    from_location_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'locations', key: 'id' }
+    },
+    to_location_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'locations', key: 'id' }
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'draft',
+      validate: {
+        isIn: [TRANSFER_STATUSES]
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    dispatched_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    dispatched_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    received_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    received_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    cancelled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelled_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    cancel_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'stock_transfers',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { unique: true, fields: ['transfer_number'] },
+      { fields: ['status'] },
+      { fields: ['from_location_id'] },
+      { fields: ['to_location_id'] }
+    ]
+  });
+
+  StockTransfer.associate = (models) => {
+    StockTransfer.belongsTo(models.Location, { foreignKey: 'from_location_id', as: 'fromLocation' });
+    StockTransfer.belongsTo(models.Location, { foreignKey: 'to_location_id', as: 'toLocation' });
+    StockTransfer.hasMany(models.StockTransferItem, { foreignKey: 'transfer_id', as: 'items' });
+    StockTransfer.belongsTo(models.User, { foreignKey: 'created_by', as: 'creator' });
+    StockTransfer.belongsTo(models.User, { foreignKey: 'dispatched_by', as: 'dispatcher' });
+    StockTransfer.belongsTo(models.User, { foreignKey: 'received_by', as: 'receiver' });
+    StockTransfer.belongsTo(models.User, { foreignKey: 'cancelled_by', as: 'canceller' });
+  };
+
+  // Static constants
+  StockTransfer.STATUSES = TRANSFER_STATUSES;
+  StockTransfer.STATUS_LABELS = STATUS_LABELS;
+  StockTransfer.OPEN_STATUSES = ['draft', 'in_transit'];
+
+  // Generate transfer number (pattern: TRF-000001)
+  StockTransfer.generateTransferNumber = async function(transaction = null) {
+    const [results] = await sequelize.query(
+      `SELECT transfer_number FROM stock_transfers
+       WHERE transfer_number LIKE 'TRF-%'
+       ORDER BY transfer_number DESC LIMIT 1`,
+      transaction ? { transaction } : {}
+    );
+
+    let nextSeq = 1;
+    if (results.length > 0) {
+      const match = results[0].transfer_number.match(/TRF-(\d+)/);
+      if (match) {
+        nextSeq = parseInt(match[1], 10) + 1;
+      }
+    }
+
+    return `TRF-${String(nextSeq).padStart(6, '0')}`;
+  };
+
+  StockTransfer.prototype.getStatusLabel = function() {
+    return STATUS_LABELS[this.status] || this.status;
+  };
+
+  return StockTransfer;
+};
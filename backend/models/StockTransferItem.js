@@ -0,0 +1,96 @@
+/**
+ * StockTransferItem Model
+ *
+ * One line on a stock transfer: a serialized unit (asset_unit_id set,
+ * quantity 1) or a bulk quantity of a non-serialized asset.
+ * received_quantity counts up as the destination scans stock in.
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const StockTransferItem = sequelize.define('StockTransferItem', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    transfer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'stock_transfers', key: 'id' }
+    },
+    asset_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'assets', key: 'id' }
+    },
+    asset_unit_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'asset_units', key: 'id' }
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 1
+      }
+    },
+    received_quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    received_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the line was fully received'
+    },
+    received_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'stock_transfer_items',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['transfer_id'] },
+      { fields: ['asset_unit_id'] }
+    ]
+  });
+
+  StockTransferItem.associate = (models) => {
+    StockTransferItem.belongsTo(models.StockTransfer, { foreignKey: 'transfer_id', as: 'transfer' });
+    StockTransferItem.belongsTo(models.Asset, { foreignKey: 'asset_id', as: 'asset' });
+    StockTransferItem.belongsTo(models.AssetUnit, { foreignKey: 'asset_unit_id', as: 'unit' });
+    StockTransferItem.belongsTo(models.User, { foreignKey: 'received_by', as: 'receiver' });
+  };
+
+  StockTransferItem.prototype.getOutstandingQuantity = function() {
+    return Math.max(0, this.quantity - (this.received_quantity || 0));
+  };
+
+  StockTransferItem.prototype.isFullyReceived = function() {
+    return this.getOutstandingQuantity() === 0;
+  };
+
+  /**
+   * Count a received quantity against the line (not saved).
+   * @returns {number} quantity actually received (capped at what is outstanding)
+   */
+  StockTransferItem.prototype.receive = function(quantity, userId) {
+    const accepted = Math.min(quantity, this.getOutstandingQuantity());
+    this.received_quantity = (this.received_quantity || 0) + accepted;
+    if (this.isFullyReceived()) {
+      this.received_at = new Date();
+      this.received_by = userId || null;
+    }
+    return accepted;
+  };
+
+  return StockTransferItem;
+};
@@ -0,0 +1,70 @@
+/**
+ * StorefrontCart Model
+ *
+ * A website shopping cart. The id is a random UUID, which the website keeps
+ * as the cart token. While active and not past expires_at, its items hold
+ * stock; see services/storefrontCartService.js.
+ */
+
+const { CART_STATUSES, isHoldActive } = require('../services/storefrontCartService');
+
+module.exports = (sequelize, DataTypes) => {
+  const StorefrontCart = sequelize.define('StorefrontCart', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'active',
+      validate: {
+        isIn: [CART_STATUSES]
+      }
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Hold lapses at this time unless the cart changes again'
+    },
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'customers', key: 'id' }
+    },
+    invoice_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'invoices', key: 'id' },
+      comment: 'Order created on checkout'
+    },
+    checked_out_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'storefront_carts',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['status', 'expires_at'] }
+    ]
+  });
+
+  StorefrontCart.associate = (models) => {
+    StorefrontCart.hasMany(models.StorefrontCartItem, { foreignKey: 'cart_id', as: 'items' });
+    StorefrontCart.belongsTo(models.Customer, { foreignKey: 'customer_id', as: 'customer' });
+    StorefrontCart.belongsTo(models.Invoice, { foreignKey: 'invoice_id', as: 'invoice' });
+  };
+
+  StorefrontCart.STATUSES = CART_STATUSES;
+
+  StorefrontCart.prototype.isHoldActive = function(now = new Date()) {
+    return isHoldActive(this, now);
+  };
+
+  return StorefrontCart;
+};
@@ -0,0 +1,51 @@
+/**
+ * StorefrontCartItem Model
+ *
+ * One product in a website cart. Prices are not stored: the cart always
+ * shows, and checkout charges, the product's current price.
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const StorefrontCartItem = sequelize.define('StorefrontCartItem', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    cart_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'storefront_carts', key: 'id' }
+    },
+    asset_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'assets', key: 'id' }
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 1
+      }
+    }
+  }, {
+    tableName: 'storefront_cart_items',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { unique: true, fields: ['cart_id', 'asset_id'] },
+      { fields: ['asset_id'] }
+    ]
+  });
+
+  StorefrontCartItem.associate = (models) => {
+    StorefrontCartItem.belongsTo(models.StorefrontCart, { foreignKey: 'cart_id', as: 'cart' });
+    StorefrontCartItem.belongsTo(models.Asset, { foreignKey: 'asset_id', as: 'asset' });
+  };
+
+  return StorefrontCartItem;
+};
@@ -0,0 +1,270 @@
+/**
+ * Supplier Model
+ *
+ * Master record for the businesses we buy stock from. Sourcing batches,
+ * purchase orders and warranty claims reference a supplier instead of a
+ * free-text name; the name is still copied onto batches and POs for
+ * display. Default warranty terms are copied onto each new batch.
+ *
+ * aliases holds other spellings of the name (including suppliers merged
+ * into this one) so imports that only carry a name resolve to the record.
+ * outstanding_balance is what we owe the supplier in default_currency.
+ */
+
+const SUPPLIER_TYPES = ['wholesale', 'b2b_platform', 'marketplace', 'individual', 'other'];
+
+// Company suffixes ignored when looking for duplicate names
+const NAME_SUFFIXES = ['ltd', 'limited', 'inc', 'llc', 'co', 'company', 'corp', 'gh', 'plc'];
+
+/**
+ * Normalize a supplier name for matching: lowercase, punctuation to spaces,
+ * collapsed whitespace.
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  if (name === undefined || name === null) return '';
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Looser key used to group likely duplicates: normalized, company suffixes
+ * dropped and spaces removed ("Eco-ATM Ltd" and "ecoatm" share a key).
+ * @param {string} name
+ * @returns {string}
+ */
+function duplicateKey(name) {
+  const words = normalizeName(name).split(' ').filter(Boolean);
+  while (words.length > 1 && NAME_SUFFIXES.includes(words[words.length - 1])) words.pop();
+  return words.join('');
+}
+
+module.exports = (sequelize, DataTypes) => {
+  const Supplier = sequelize.define('Supplier', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    supplier_type: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      defaultValue: 'wholesale',
+      validate: {
+        isIn: [SUPPLIER_TYPES]
+      }
+    },
+    aliases: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    contact_name: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    phone: {
+      type: DataTypes.STRING(30),
+      allowNull: true
+    },
+    whatsapp: {
+      type: DataTypes.STRING(30),
+      allowNull: true
+    },
+    website: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    address: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    country: {
+      type: DataTypes.STRING(60),
+      allowNull: true
+    },
+    default_currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'USD'
+    },
+    payment_terms_days: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Days after delivery payment is due; 0 = payment with order'
+    },
+    payment_terms: {
+      type: DataTypes.STRING(200),
+      allowNull: true,
+      comment: 'Free-text terms, e.g. "50% deposit, balance on arrival"'
+    },
+    default_warranty_days: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    default_warranty_type: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    default_warranty_terms: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    outstanding_balance: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('outstanding_balance');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    updated_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'suppliers',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['name'] },
+      { fields: ['is_active'] }
+    ]
+  });
+
+  Supplier.associate = (models) => {
+    Supplier.hasMany(models.SourcingBatch, { foreignKey: 'supplier_id', as: 'batches' });
+    Supplier.hasMany(models.PurchaseOrder, { foreignKey: 'supplier_id', as: 'purchaseOrders' });
+    Supplier.hasMany(models.WarrantyClaim, { foreignKey: 'supplier_id', as: 'warrantyClaims' });
+    Supplier.hasMany(models.SupplierBill, { foreignKey: 'supplier_id', as: 'bills' });
+    Supplier.hasMany(models.SupplierPayment, { foreignKey: 'supplier_id', as: 'payments' });
+    Supplier.belongsTo(models.User, { foreignKey: 'created_by', as: 'creator' });
+    Supplier.belongsTo(models.User, { foreignKey: 'updated_by', as: 'updater' });
+  };
+
+  // Static constants and helpers
+  Supplier.TYPES = SUPPLIER_TYPES;
+  Supplier.normalizeName = normalizeName;
+  Supplier.duplicateKey = duplicateKey;
+
+  /**
+   * Find the supplier a free-text name refers to (by name or alias).
+   * @returns {Promise<Supplier|null>}
+   */
+  Supplier.findByName = async function(name, transaction = null) {
+    const key = normalizeName(name);
+    if (!key) return null;
+
+    const suppliers = await Supplier.findAll({
+      order: [['is_active', 'DESC'], ['id', 'ASC']],
+      ...(transaction ? { transaction } : {})
+    });
+    return suppliers.find(supplier => supplier.matchesName(key)) || null;
+  };
+
+  /**
+   * Resolve a free-text name to a supplier, creating one when none matches.
+   * Used where only a name is supplied (spreadsheet imports, older clients).
+   */
+  Supplier.resolveName = async function(name, { supplierType = null, userId = null } = {}, transaction = null) {
+    const existing = await Supplier.findByName(name, transaction);
+    if (existing) return existing;
+
+    return Supplier.create({
+      name: String(name).trim(),
+      supplier_type: SUPPLIER_TYPES.includes(supplierType) ? supplierType : 'other',
+      created_by: userId,
+      updated_by: userId
+    }, transaction ? { transaction } : {});
+  };
+
+  /**
+   * Supplier for a batch or PO: by id when given (null if it doesn't
+   * exist), otherwise resolved from the free-text name.
+   * @returns {Promise<Supplier|null>}
+   */
+  Supplier.resolve = async function({ supplierId = null, supplierName = null, supplierType = null, userId = null } = {}, transaction = null) {
+    if (supplierId) {
+      return Supplier.findByPk(supplierId, transaction ? { transaction } : {});
+    }
+    if (!normalizeName(supplierName)) return null;
+    return Supplier.resolveName(supplierName, { supplierType, userId }, transaction);
+  };
+
+  /**
+   * True when a normalized name is this supplier's name or one of its aliases
+   */
+  Supplier.prototype.matchesName = function(normalizedName) {
+    return [this.name, ...(this.aliases || [])].some(name => normalizeName(name) === normalizedName);
+  };
+
+  /**
+   * Add names to the alias list, skipping blanks, this supplier's own name
+   * and spellings already listed (not saved).
+   * @param {Array<string>} names
+   * @returns {Array<string>} the aliases actually added
+   */
+  Supplier.prototype.addAliases = function(names) {
+    const aliases = [...(this.aliases || [])];
+    const added = [];
+    for (const name of names) {
+      const trimmed = String(name || '').trim();
+      const key = normalizeName(trimmed);
+      if (!key || this.matchesName(key) || aliases.some(alias => normalizeName(alias) === key)) continue;
+      aliases.push(trimmed);
+      added.push(trimmed);
+    }
+    // Reassign so Sequelize sees the JSONB change
+    if (added.length > 0) this.aliases = aliases;
+    return added;
+  };
+
+  /**
+   * Warranty and supplier fields a new batch or PO takes from this supplier.
+   * Values already present on the data are kept.
+   * @param {Object} data - plain batch/PO attributes (mutated and returned)
+   */
+  Supplier.prototype.applyDefaults = function(data) {
+    const isBlank = value => value === undefined || value === null || value === '';
+
+    data.supplier_id = this.id;
+    data.supplier_name = this.name;
+    if (isBlank(data.supplier_type)) data.supplier_type = this.supplier_type;
+    if (isBlank(data.warranty_days) && this.default_warranty_days != null) data.warranty_days = this.default_warranty_days;
+    if (isBlank(data.warranty_type) && this.default_warranty_type) data.warranty_type = this.default_warranty_type;
+    if (isBlank(data.warranty_terms) && this.default_warranty_terms) data.warranty_terms = this.default_warranty_terms;
+    return data;
+  };
+
+  return Supplier;
+};
@@ -0,0 +1,219 @@
+/**
+ * SupplierBill Model
+ *
+ * A supplier's invoice for stock, usually for one sourcing batch. Bills are
+ * kept in the supplier's default currency so they add up to the supplier's
+ * outstanding balance.
+ *
+ * fx_rate is the cedi rate the bill is booked at (GHS per unit of the bill
+ * currency; the batch's fx_rate_at_purchase for USD bills). Payments made
+ * at a different rate realize an FX gain or loss against it.
+ */
+
+const BILL_STATUSES = ['open', 'partially_paid', 'paid', 'void'];
+
+const STATUS_LABELS = {
+  open: 'Open',
+  partially_paid: 'Partially Paid',
+  paid: 'Paid',
+  void: 'Void'
+};
+
+// Days past due, upper bound inclusive; anything later is 90_plus
+const AGING_BUCKETS = [
+  { key: 'current', maxDays: 0 },
+  { key: '1_30', maxDays: 30 },
+  { key: '31_60', maxDays: 60 },
+  { key: '61_90', maxDays: 90 },
+  { key: '90_plus', maxDays: Infinity }
+];
+
+module.exports = (sequelize, DataTypes) => {
+  const SupplierBill = sequelize.define('SupplierBill', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    bill_number: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      unique: true
+    },
+    supplier_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'suppliers', key: 'id' }
+    },
+    sourcing_batch_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'sourcing_batches', key: 'id' }
+    },
+    supplier_reference: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: "Supplier's own invoice number"
+    },
+    bill_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    due_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'USD'
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01
+      },
+      get() {
+        const val = this.getDataValue('amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    amount_paid: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const val = this.getDataValue('amount_paid');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    fx_rate: {
+      type: DataTypes.DECIMAL(10, 4),
+      allowNull: false,
+      comment: 'GHS per unit of bill currency when booked',
+      get() {
+        const val = this.getDataValue('fx_rate');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'open',
+      validate: {
+        isIn: [BILL_STATUSES]
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    voided_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    voided_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    void_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'supplier_bills',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['supplier_id'] },
+      { fields: ['sourcing_batch_id'] },
+      { fields: ['status'] },
+      { fields: ['due_date'] }
+    ]
+  });
+
+  SupplierBill.associate = (models) => {
+    SupplierBill.belongsTo(models.Supplier, { foreignKey: 'supplier_id', as: 'supplier' });
+    SupplierBill.belongsTo(models.SourcingBatch, { foreignKey: 'sourcing_batch_id', as: 'sourcingBatch' });
+    SupplierBill.hasMany(models.SupplierPayment, { foreignKey: 'supplier_bill_id', as: 'payments' });
+    SupplierBill.belongsTo(models.User, { foreignKey: 'created_by', as: 'creator' });
+    SupplierBill.belongsTo(models.User, { foreignKey: 'voided_by', as: 'voider' });
+  };
+
+  // Static constants
+  SupplierBill.STATUSES = BILL_STATUSES;
+  SupplierBill.STATUS_LABELS = STATUS_LABELS;
+  SupplierBill.AGING_BUCKETS = AGING_BUCKETS.map(bucket => bucket.key);
+
+  /**
+   * Generate next bill number (BILL-000001 format)
+   * @param {Transaction} transaction - Optional Sequelize transaction
+   * @returns {Promise<string>}
+   */
+  SupplierBill.generateBillNumber = async function(transaction = null) {
+    const [results] = await sequelize.query(
+      `SELECT bill_number FROM supplier_bills
+       WHERE bill_number LIKE 'BILL-%'
+       ORDER BY bill_number DESC LIMIT 1`,
+      transaction ? { transaction } : {}
+    );
+
+    let nextSeq = 1;
+    if (results.length > 0) {
+      const match = results[0].bill_number.match(/BILL-(\d+)/);
+      if (match) {
+        nextSeq = parseInt(match[1], 10) + 1;
+      }
+    }
+
+    return `BILL-${String(nextSeq).padStart(6, '0')}`;
+  };
+
+  /**
+   * Aging bucket for an unpaid amount due on dueDate
+   * @param {string|Date} dueDate
+   * @param {string|Date} asOf
+   * @returns {string} one of SupplierBill.AGING_BUCKETS
+   */
+  SupplierBill.agingBucket = function(dueDate, asOf) {
+    const daysPastDue = Math.floor((new Date(asOf) - new Date(dueDate)) / (1000 * 60 * 60 * 24));
+    return AGING_BUCKETS.find(bucket => daysPastDue <= bucket.maxDays).key;
+  };
+
+  SupplierBill.prototype.getStatusLabel = function() {
+    return STATUS_LABELS[this.status] || this.status;
+  };
+
+  /**
+   * Amount still owed on the bill, in the bill currency
+   */
+  SupplierBill.prototype.getBalance = function() {
+    if (this.status === 'void') return 0;
+    return Math.max(0, parseFloat((this.amount - this.amount_paid).toFixed(2)));
+  };
+
+  /**
+   * Apply (or, with a negative amount, reverse) a payment and set the status
+   * from what has been paid. Not saved.
+   * @param {number} amountApplied - in the bill currency
+   */
+  SupplierBill.prototype.applyPayment = function(amountApplied) {
+    this.amount_paid = parseFloat((this.amount_paid + amountApplied).toFixed(2));
+    if (this.amount_paid <= 0) {
+      this.status = 'open';
+    } else {
+      this.status = this.amount_paid >= this.amount ? 'paid' : 'partially_paid';
+    }
+  };
+
+  return SupplierBill;
+};
@@ -0,0 +1,179 @@
+/**
+ * SupplierPayment Model
+ *
+ * A payment (often one of several) against a supplier bill. The payment can
+ * be in a different currency from the bill: amount is what left our account
+ * in the payment currency, amount_applied is how much of the bill it
+ * settled.
+ *
+ * Realized FX gain/loss = what the applied amount was booked at (bill
+ * fx_rate) minus what it actually cost in cedis. Positive is a gain.
+ */
+
+const PAYMENT_METHODS = ['Bank Transfer', 'Cash', 'MoMo', 'Card', 'Other'];
+
+module.exports = (sequelize, DataTypes) => {
+  const SupplierPayment = sequelize.define('SupplierPayment', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    supplier_bill_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'supplier_bills', key: 'id' }
+    },
+    supplier_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'suppliers', key: 'id' }
+    },
+    payment_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01
+      },
+      get() {
+        const val = this.getDataValue('amount');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false
+    },
+    fx_rate: {
+      type: DataTypes.DECIMAL(10, 4),
+      allowNull: false,
+      comment: 'GHS per unit of payment currency on the payment date',
+      get() {
+        const val = this.getDataValue('fx_rate');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    amount_applied: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      comment: 'Amount of the bill settled, in the bill currency',
+      get() {
+        const val = this.getDataValue('amount_applied');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    amount_ghs: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      comment: 'Cedi cost of the payment at fx_rate',
+      get() {
+        const val = this.getDataValue('amount_ghs');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    booked_ghs: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      comment: 'Cedi value of amount_applied at the bill fx_rate',
+      get() {
+        const val = this.getDataValue('booked_ghs');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    fx_gain_loss_ghs: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'booked_ghs - amount_ghs; positive is a gain',
+      get() {
+        const val = this.getDataValue('fx_gain_loss_ghs');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    payment_method: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'Bank Transfer',
+      validate: {
+        isIn: [PAYMENT_METHODS]
+      }
+    },
+    reference: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    paid_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    voided_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    voided_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    void_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'supplier_payments',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['supplier_bill_id'] },
+      { fields: ['supplier_id'] },
+      { fields: ['payment_date'] }
+    ]
+  });
+
+  SupplierPayment.associate = (models) => {
+    SupplierPayment.belongsTo(models.SupplierBill, { foreignKey: 'supplier_bill_id', as: 'bill' });
+    SupplierPayment.belongsTo(models.Supplier, { foreignKey: 'supplier_id', as: 'supplier' });
+    SupplierPayment.belongsTo(models.User, { foreignKey: 'paid_by', as: 'payer' });
+    SupplierPayment.belongsTo(models.User, { foreignKey: 'voided_by', as: 'voider' });
+  };
+
+  // Static constants
+  SupplierPayment.PAYMENT_METHODS = PAYMENT_METHODS;
+
+  /**
+   * Cedi amounts and realized FX for a payment against a bill.
+   * amountApplied is only needed when the payment currency differs from the
+   * bill currency; otherwise the payment settles its own amount.
+   * @param {Object} payment - { amount, currency, fxRate, amountApplied }
+   * @param {SupplierBill} bill
+   * @returns {Object} amount_applied, amount_ghs, booked_ghs, fx_gain_loss_ghs
+   */
+  SupplierPayment.computeAmounts = function({ amount, currency, fxRate, amountApplied = null }, bill) {
+    const applied = currency === bill.currency ? amount : amountApplied;
+    const amountGhs = parseFloat((amount * fxRate).toFixed(2));
+    const bookedGhs = parseFloat((applied * bill.fx_rate).toFixed(2));
+    return {
+      amount_applied: parseFloat(applied.toFixed(2)),
+      amount_ghs: amountGhs,
+      booked_ghs: bookedGhs,
+      fx_gain_loss_ghs: parseFloat((bookedGhs - amountGhs).toFixed(2))
+    };
+  };
+
+  SupplierPayment.prototype.isVoided = function() {
+    return this.voided_at !== null && this.voided_at !== undefined;
+  };
+
+  return SupplierPayment;
+};
@@ -0,0 +1,121 @@
+/**
+ * TaxRule Model
+ *
+ * Configurable sales taxes applied to invoices. Flat rules (Ghana's NHIL,
+ * GETFund and COVID-19 levies) are charged on the taxable value; compound
+ * rules (VAT) are charged on the taxable value plus the flat levies.
+ * Rules apply to invoices dated within their effective window, and each
+ * rule can exempt asset categories.
+ */
+
+const { Op } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  const TaxRule = sequelize.define('TaxRule', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    code: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: 'Short code printed on invoices and used in filing reports (e.g. VAT, NHIL)'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    rate_percent: {
+      type: DataTypes.DECIMAL(6, 3),
+      allowNull: false,
+      validate: {
+        min: 0,
+        max: 100
+      },
+      get() {
+        const val = this.getDataValue('rate_percent');
+        return val === null ? null : parseFloat(val);
+      }
+    },
+    is_compound: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Charged on the taxable value plus all flat (non-compound) taxes'
+    },
+    sequence: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Display order on invoices'
+    },
+    exempt_categories: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Asset categories this tax does not apply to'
+    },
+    effective_from: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    effective_to: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    },
+    updated_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'tax_rules',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { unique: true, fields: ['code'] },
+      { fields: ['is_active', 'sequence'] }
+    ]
+  });
+
+  TaxRule.associate = (models) => {
+    TaxRule.hasMany(models.InvoiceTaxLine, { foreignKey: 'tax_rule_id', as: 'invoiceTaxLines' });
+    TaxRule.belongsTo(models.User, { foreignKey: 'created_by', as: 'creator' });
+    TaxRule.belongsTo(models.User, { foreignKey: 'updated_by', as: 'updater' });
+  };
+
+  /**
+   * Active rules in force on a date, in display order.
+   * @param {Date|string} date - invoice date
+   * @param {Transaction} transaction
+   */
+  TaxRule.getApplicableRules = async function(date = new Date(), transaction = null) {
+    const day = new Date(date).toISOString().split('T')[0];
+    return TaxRule.findAll({
+      where: {
+        is_active: true,
+        [Op.and]: [
+          { [Op.or]: [{ effective_from: null }, { effective_from: { [Op.lte]: day } }] },
+          { [Op.or]: [{ effective_to: null }, { effective_to: { [Op.gte]: day } }] }
+        ]
+      },
+      order: [['sequence', 'ASC'], ['id', 'ASC']],
+      transaction
+    });
+  };
+
+  return TaxRule;
+};
@@ -10,6 +10,12 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       references: { model: 'sourcing_batches', key: 'id' }
     },
+    supplier_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'suppliers', key: 'id' },
+      comment: 'Supplier of the batch, copied so claims can be reported per supplier'
+    },
     asset_unit_id: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -88,6 +94,7 @@ module.exports = (sequelize, DataTypes) => {
 
   WarrantyClaim.associate = (models) => {
     WarrantyClaim.belongsTo(models.SourcingBatch, { foreignKey: 'sourcing_batch_id', as: 'batch' });
+    WarrantyClaim.belongsTo(models.Supplier, { foreignKey: 'supplier_id', as: 'supplier' });
     WarrantyClaim.belongsTo(models.AssetUnit, { foreignKey: 'asset_unit_id', as: 'unit' });
     WarrantyClaim.belongsTo(models.AssetUnit, { foreignKey: 'replacement_unit_id', as: 'replacementUnit' });
     WarrantyClaim.belongsTo(models.User, { foreignKey: 'created_by', as: 'creator' });
@@ -0,0 +1,120 @@
+/**
+ * WebhookDelivery Model
+ *
+ * One event sent (or still to be sent) to one subscription — the delivery
+ * log. Pending deliveries carry the time of their next retry; a replay is a
+ * new delivery of the same event pointing back at the original.
+ */
+
+const { DELIVERY_STATUSES, MAX_ATTEMPTS } = require('../services/webhookService');
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  succeeded: 'Delivered',
+  failed: 'Failed'
+};
+
+module.exports = (sequelize, DataTypes) => {
+  const WebhookDelivery = sequelize.define('WebhookDelivery', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    subscription_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'webhook_subscriptions', key: 'id' }
+    },
+    event: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    event_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Shared by every delivery and replay of the same event'
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: [DELIVERY_STATUSES]
+      }
+    },
+    attempt_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    next_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    response_status: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    response_body: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Start of the last response body'
+    },
+    last_error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    delivered_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    replay_of_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'webhook_deliveries', key: 'id' }
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      comment: 'User who replayed it; null for deliveries raised by events'
+    }
+  }, {
+    tableName: 'webhook_deliveries',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['status', 'next_attempt_at'] },
+      { fields: ['subscription_id', 'created_at'] },
+      { fields: ['event_id'] }
+    ]
+  });
+
+  WebhookDelivery.associate = (models) => {
+    WebhookDelivery.belongsTo(models.WebhookSubscription, { foreignKey: 'subscription_id', as: 'subscription' });
+    WebhookDelivery.belongsTo(models.WebhookDelivery, { foreignKey: 'replay_of_id', as: 'replayOf' });
+    WebhookDelivery.belongsTo(models.User, { foreignKey: 'created_by', as: 'replayer' });
+  };
+
+  // Static constants
+  WebhookDelivery.STATUSES = DELIVERY_STATUSES;
+  WebhookDelivery.STATUS_LABELS = STATUS_LABELS;
+  WebhookDelivery.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+  WebhookDelivery.prototype.getStatusLabel = function() {
+    return STATUS_LABELS[this.status] || this.status;
+  };
+
+  return WebhookDelivery;
+};
@@ -0,0 +1,97 @@
+/**
+ * WebhookSubscription Model
+ *
+ * An HTTPS endpoint that receives signed event notifications, e.g. the
+ * website or a bookkeeping sheet that would otherwise poll the API.
+ */
+
+const { EVENTS } = require('../services/webhookService');
+
+module.exports = (sequelize, DataTypes) => {
+  const WebhookSubscription = sequelize.define('WebhookSubscription', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    url: {
+      type: DataTypes.STRING(500),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    secret: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'HMAC-SHA512 signing key shared with the subscriber'
+    },
+    events: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Subscribed event names, or ["*"] for all',
+      validate: {
+        isKnownEvents(value) {
+          if (!Array.isArray(value) || value.length === 0) {
+            throw new Error('At least one event is required');
+          }
+          const unknown = value.filter(event => event !== '*' && !EVENTS.includes(event));
+          if (unknown.length > 0) {
+            throw new Error(`Unknown events: ${unknown.join(', ')}`);
+          }
+        }
+      }
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    last_success_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_failure_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' }
+    }
+  }, {
+    tableName: 'webhook_subscriptions',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  WebhookSubscription.associate = (models) => {
+    WebhookSubscription.hasMany(models.WebhookDelivery, { foreignKey: 'subscription_id', as: 'deliveries' });
+    WebhookSubscription.belongsTo(models.User, { foreignKey: 'created_by', as: 'creator' });
+  };
+
+  // Static constants
+  WebhookSubscription.EVENTS = EVENTS;
+
+  WebhookSubscription.prototype.isSubscribedTo = function(event) {
+    const events = this.events || [];
+    return events.includes('*') || events.includes(event);
+  };
+
+  /**
+   * The secret is only shown when it is created or rotated
+   */
+  WebhookSubscription.prototype.toSafeJSON = function() {
+    const json = this.toJSON();
+    json.secret_hint = json.secret ? `${json.secret.slice(0, 10)}…${json.secret.slice(-4)}` : null;
+    delete json.secret;
+    return json;
+  };
+
+  return WebhookSubscription;
+};
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/accountingExportController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+// Accounting exports are Admin only, like the financial reports
+router.use(authenticate);
+router.use(requireRole(['Admin']));
+
+// GET /api/v1/accounting-exports/mappings — account mapping with defaults
+router.get('/mappings', controller.listMappings);
+
+// PUT /api/v1/accounting-exports/mappings — save account mappings
+router.put('/mappings', controller.saveMappings);
+
+// GET /api/v1/accounting-exports — export batches
+router.get('/', controller.list);
+
+// POST /api/v1/accounting-exports — export new and changed records for a month
+router.post('/', controller.create);
+
+// GET /api/v1/accounting-exports/:id — batch with its records
+router.get('/:id', controller.getById);
+
+// GET /api/v1/accounting-exports/:id/download — IIF/CSV file for the batch
+router.get('/:id/download', controller.download);
+
+// POST /api/v1/accounting-exports/:id/void — release a batch's records for re-export
+router.post('/:id/void', controller.void);
+
+module.exports = router;
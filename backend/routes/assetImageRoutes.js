@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const controller = require('../controllers/assetImageController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/v1/assets/:assetId/images - list product and unit photos
+router.get('/', controller.list);
+
+// POST /api/v1/assets/:assetId/images - upload photos
+router.post('/', requireRole(['Admin', 'Manager', 'Warehouse']), controller.upload);
+
+// PUT /api/v1/assets/:assetId/images/reorder - set display order
+router.put('/reorder', requireRole(['Admin', 'Manager', 'Warehouse']), controller.reorder);
+
+// PUT /api/v1/assets/:assetId/images/:imageId - alt text / make primary
+router.put('/:imageId', requireRole(['Admin', 'Manager', 'Warehouse']), controller.update);
+
+// DELETE /api/v1/assets/:assetId/images/:imageId - delete photo
+router.delete('/:imageId', requireRole(['Admin', 'Manager', 'Warehouse']), controller.remove);
+
+module.exports = router;
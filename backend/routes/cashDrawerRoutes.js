@@ -0,0 +1,24 @@
+/**
+ * Cash Drawer Routes
+ *
+ * Cashier till sessions: open, cash in/out, close and Z-reports
+ */
+
+const express = require('express');
+const router = express.Router();
+const cashDrawerController = require('../controllers/cashDrawerController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+router.use(authenticate);
+router.use(requireRole(['Admin', 'Manager', 'Sales']));
+
+router.get('/', cashDrawerController.list);
+router.get('/current', cashDrawerController.current);
+router.post('/open', cashDrawerController.open);
+router.get('/:id', cashDrawerController.getById);
+router.post('/:id/movements', cashDrawerController.addMovement);
+router.post('/:id/close', cashDrawerController.close);
+router.get('/:id/z-report', cashDrawerController.getReport);
+router.get('/:id/z-report/pdf', cashDrawerController.getReportPdf);
+
+module.exports = router;
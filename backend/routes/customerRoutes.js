@@ -1,7 +1,7 @@
 /**
  * Customer Routes
  *
- * CRUD + merge + duplicate check + import
+ * CRUD + merge + duplicate check + import + statements
  */
 
 const express = require('express');
@@ -9,9 +9,14 @@ const router = express.Router();
 const customerController = require('../controllers/customerController');
 const customerImportController = require('../controllers/customerImportController');
 const returnController = require('../controllers/returnController');
+const customerStatementController = require('../controllers/customerStatementController');
 const { authenticate, requireRole } = require('../middleware/auth');
 
-// All routes require authentication
+// Public route - Download statement PDF with access token (no auth required)
+// GET /api/v1/customers/:id/statement/pdf/download?token=xxx
+router.get('/:id/statement/pdf/download', customerStatementController.downloadPdf);
+
+// All other routes require authentication
 router.use(authenticate);
 
 // GET /api/v1/customers/options - Get dropdown options
@@ -53,4 +58,14 @@ router.get('/:customerId/credits', returnController.getCustomerCredits);
 // POST /api/v1/customers/:customerId/credits/apply - Apply store credit to invoice
 router.post('/:customerId/credits/apply', returnController.applyCredit);
 
+// Statement of account
+// GET /api/v1/customers/:id/statement - Statement with running balance
+router.get('/:id/statement', customerStatementController.getStatement);
+
+// GET /api/v1/customers/:id/statement/pdf - Generate statement PDF
+router.get('/:id/statement/pdf', customerStatementController.generatePdf);
+
+// GET /api/v1/customers/:id/statement/whatsapp-link - WhatsApp share link
+router.get('/:id/statement/whatsapp-link', customerStatementController.getWhatsAppLink);
+
 module.exports = router;
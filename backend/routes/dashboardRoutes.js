@@ -8,6 +8,9 @@ router.use(authenticate);
 // GET /api/v1/dashboard/metrics
 router.get('/metrics', dashboardController.getMetrics);
 
+// GET /api/v1/dashboard/collections - Overdue installment plans
+router.get('/collections', dashboardController.getCollections);
+
 // GET /api/v1/dashboard/category-breakdown
 router.get('/category-breakdown', dashboardController.getCategoryBreakdown);
 
@@ -10,5 +10,8 @@ router.use(requireRole(['Admin']));
 router.get('/pnl', financialReportController.profitAndLoss);
 router.get('/revenue-vs-expense', financialReportController.revenueVsExpense);
 router.get('/summary', financialReportController.summary);
+router.get('/tax-liability', financialReportController.taxLiability);
+router.get('/ap-aging', financialReportController.apAging);
+router.get('/ar-aging', financialReportController.arAging);
 
 module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const installmentPlanController = require('../controllers/installmentPlanController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+router.use(authenticate);
+
+const PLAN_EDITORS = ['Admin', 'Manager', 'Sales'];
+const PLAN_ADMINS = ['Admin', 'Manager'];
+
+router.get('/', requireRole(PLAN_EDITORS), installmentPlanController.list);
+router.post('/', requireRole(PLAN_EDITORS), installmentPlanController.create);
+router.get('/:id', requireRole(PLAN_EDITORS), installmentPlanController.getById);
+router.post('/:id/cancel', requireRole(PLAN_ADMINS), installmentPlanController.cancel);
+router.post('/:id/default', requireRole(PLAN_ADMINS), installmentPlanController.defaultPlan);
+
+module.exports = router;
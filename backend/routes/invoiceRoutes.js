@@ -53,6 +53,12 @@ router.post('/:id/items/:itemId/void', invoiceAdmins, invoiceController.voidItem
 // PATCH /api/v1/invoices/:id/discount - Update invoice-level discount
 router.patch('/:id/discount', invoiceEditors, invoiceController.updateInvoiceDiscount);
 
+// POST /api/v1/invoices/:id/promotions - Redeem a promotion (code or promotion_id)
+router.post('/:id/promotions', invoiceEditors, invoiceController.applyPromotion);
+
+// DELETE /api/v1/invoices/:id/promotions/:promotionId - Remove a promotion
+router.delete('/:id/promotions/:promotionId', invoiceEditors, invoiceController.removePromotion);
+
 // POST /api/v1/invoices/:id/payments - Receive payment (legacy endpoint)
 router.post('/:id/payments', invoiceEditors, invoiceController.receivePayment);
 
@@ -78,6 +84,9 @@ router.get('/:id/pdf', invoiceController.generatePdf);
 // GET /api/v1/invoices/:id/whatsapp-link - Get WhatsApp share link
 router.get('/:id/whatsapp-link', invoiceController.getWhatsAppLink);
 
+// POST /api/v1/invoices/:id/notify - Send invoice to customer (SMS/WhatsApp/email)
+router.post('/:id/notify', invoiceEditors, invoiceController.notifyCustomer);
+
 // Return endpoints
 // GET /api/v1/invoices/:invoiceId/returnable-items - Get items that can be returned
 router.get('/:invoiceId/returnable-items', returnController.getReturnableItems);
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/ledgerController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+// The general ledger is Admin only, like the financial reports
+router.use(authenticate);
+router.use(requireRole(['Admin']));
+
+// GET /api/v1/ledger/accounts — chart of accounts with balances
+router.get('/accounts', controller.listAccounts);
+
+// POST /api/v1/ledger/accounts — add an account
+router.post('/accounts', controller.createAccount);
+
+// PUT /api/v1/ledger/accounts/:id — rename, deactivate or retype an account
+router.put('/accounts/:id', controller.updateAccount);
+
+// GET /api/v1/ledger/journal-entries — list entries with their lines
+router.get('/journal-entries', controller.listEntries);
+
+// GET /api/v1/ledger/journal-entries/:id — one entry
+router.get('/journal-entries/:id', controller.getEntry);
+
+// POST /api/v1/ledger/journal-entries — post a manual entry
+router.post('/journal-entries', controller.createEntry);
+
+// POST /api/v1/ledger/journal-entries/:id/reverse — reverse a manual entry
+router.post('/journal-entries/:id/reverse', controller.reverseEntry);
+
+// GET /api/v1/ledger/trial-balance — balances per account as of a date
+router.get('/trial-balance', controller.trialBalance);
+
+// GET /api/v1/ledger/balance-sheet — assets, liabilities and equity as of a date
+router.get('/balance-sheet', controller.balanceSheet);
+
+// GET /api/v1/ledger/periods — months and whether they are closed
+router.get('/periods', controller.listPeriods);
+
+// POST /api/v1/ledger/periods/:period/close — lock a month
+router.post('/periods/:period/close', controller.closePeriod);
+
+// POST /api/v1/ledger/periods/:period/reopen — unlock a month
+router.post('/periods/:period/reopen', controller.reopenPeriod);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const locationController = require('../controllers/locationController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+router.use(authenticate);
+
+// GET /api/v1/locations — list with on-hand counts (any authenticated user)
+router.get('/', locationController.list);
+
+// GET /api/v1/locations/:id — location with the stock on hand there
+router.get('/:id', locationController.getById);
+
+// POST /api/v1/locations — create (Admin, Manager)
+router.post('/', requireRole(['Admin', 'Manager']), locationController.create);
+
+// PUT /api/v1/locations/:id — update (Admin, Manager)
+router.put('/:id', requireRole(['Admin', 'Manager']), locationController.update);
+
+// DELETE /api/v1/locations/:id — delete (Admin only, blocked while in use)
+router.delete('/:id', requireRole(['Admin']), locationController.remove);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+/**
+ * Notification Routes
+ *
+ * Customer message templates (Admin only) and the message log
+ * (Admin and Manager)
+ */
+
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+router.use(authenticate);
+
+router.get('/events', requireRole(['Admin', 'Manager']), notificationController.listEvents);
+router.get('/templates', requireRole(['Admin']), notificationController.listTemplates);
+router.put('/templates/:event/:channel', requireRole(['Admin']), notificationController.updateTemplate);
+router.delete('/templates/:event/:channel', requireRole(['Admin']), notificationController.resetTemplate);
+router.post('/templates/:event/:channel/preview', requireRole(['Admin']), notificationController.previewTemplate);
+router.get('/logs', requireRole(['Admin', 'Manager']), notificationController.listLogs);
+router.post('/logs/:id/retry', requireRole(['Admin', 'Manager']), notificationController.retryLog);
+
+module.exports = router;
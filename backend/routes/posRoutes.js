@@ -0,0 +1,19 @@
+/**
+ * POS Routes
+ *
+ * Counter checkout: scan lookup, one-step checkout and receipts
+ */
+
+const express = require('express');
+const router = express.Router();
+const posController = require('../controllers/posController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+router.use(authenticate);
+router.use(requireRole(['Admin', 'Manager', 'Sales']));
+
+router.get('/lookup', posController.lookup);
+router.post('/checkout', posController.checkout);
+router.get('/receipts/:invoiceId', posController.getReceipt);
+
+module.exports = router;
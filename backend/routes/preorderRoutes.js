@@ -6,14 +6,21 @@ const preorderController = require('../controllers/preorderController');
 // All routes require authentication
 router.use(authenticate);
 
-// Summary must come before /:id
+// Summary and SLA targets must come before /:id
 router.get('/summary', preorderController.summary);
+router.get('/sla-targets', preorderController.listSlaTargets);
+router.put('/sla-targets/:method', requireRole(['Admin']), preorderController.updateSlaTarget);
 router.get('/', preorderController.list);
 router.get('/:id', preorderController.getById);
 router.get('/:id/notifications', preorderController.getNotifications);
+router.get('/:id/payments', preorderController.listPayments);
 router.post('/', requireRole(['Admin', 'Manager', 'Sales']), preorderController.create);
 router.put('/:id', requireRole(['Admin', 'Manager', 'Sales']), preorderController.update);
 router.put('/:id/status', requireRole(['Admin', 'Manager', 'Sales']), preorderController.updateStatus);
+router.post('/:id/payments', requireRole(['Admin', 'Manager', 'Sales']), preorderController.addPayment);
+router.post('/:id/refunds', requireRole(['Admin', 'Manager']), preorderController.refund);
+router.post('/:id/payments/:paymentId/void', requireRole(['Admin', 'Manager']), preorderController.voidPayment);
+router.post('/:id/cancel', requireRole(['Admin', 'Manager']), preorderController.cancel);
 router.post('/:id/convert-to-invoice', requireRole(['Admin', 'Manager']), preorderController.convertToInvoice);
 router.delete('/:id', requireRole(['Admin', 'Manager']), preorderController.remove);
 
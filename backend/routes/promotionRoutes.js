@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/promotionController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+router.use(authenticate);
+
+const promotionAdmins = requireRole(['Admin', 'Manager']);
+
+// GET /api/v1/promotions — list with usage (any authenticated user)
+router.get('/', controller.list);
+
+// GET /api/v1/promotions/:id — detail with recent redemptions
+router.get('/:id', controller.getById);
+
+// POST /api/v1/promotions — create (Admin, Manager)
+router.post('/', promotionAdmins, controller.create);
+
+// PUT /api/v1/promotions/:id — update (Admin, Manager)
+router.put('/:id', promotionAdmins, controller.update);
+
+// DELETE /api/v1/promotions/:id — delete (Admin, Manager; blocked once redeemed)
+router.delete('/:id', promotionAdmins, controller.remove);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const purchaseOrderController = require('../controllers/purchaseOrderController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+router.use(authenticate);
+
+const BUYERS = ['Manager', 'Admin'];
+const RECEIVERS = ['Warehouse', 'Manager', 'Admin'];
+
+// Reports (before /:id to avoid param capture)
+router.get('/shipment-discrepancies', requireRole(BUYERS), purchaseOrderController.shipmentDiscrepancies);
+
+router.get('/', requireRole(RECEIVERS), purchaseOrderController.list);
+router.post('/', requireRole(BUYERS), purchaseOrderController.create);
+router.get('/:id', requireRole(RECEIVERS), purchaseOrderController.getById);
+router.patch('/:id', requireRole(BUYERS), purchaseOrderController.update);
+
+// Workflow
+router.post('/:id/place', requireRole(BUYERS), purchaseOrderController.place);
+router.post('/:id/receipts', requireRole(RECEIVERS), purchaseOrderController.receive);
+router.post('/:id/close', requireRole(BUYERS), purchaseOrderController.close);
+router.post('/:id/cancel', requireRole(BUYERS), purchaseOrderController.cancel);
+
+module.exports = router;
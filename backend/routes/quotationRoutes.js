@@ -0,0 +1,32 @@
+/**
+ * Quotation Routes
+ *
+ * Quotes / proforma invoices, converted into invoices once accepted
+ */
+
+const express = require('express');
+const router = express.Router();
+const quotationController = require('../controllers/quotationController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+// Public route: PDF download with token (no auth required - token validates access)
+router.get('/:id/pdf/download', quotationController.downloadPdf);
+
+router.use(authenticate);
+
+const QUOTATION_EDITORS = ['Admin', 'Manager', 'Sales'];
+
+router.get('/', requireRole(QUOTATION_EDITORS), quotationController.list);
+router.post('/', requireRole(QUOTATION_EDITORS), quotationController.create);
+router.get('/:id', requireRole(QUOTATION_EDITORS), quotationController.getById);
+router.patch('/:id', requireRole(QUOTATION_EDITORS), quotationController.update);
+router.post('/:id/items', requireRole(QUOTATION_EDITORS), quotationController.addItem);
+router.patch('/:id/items/:itemId', requireRole(QUOTATION_EDITORS), quotationController.updateItem);
+router.delete('/:id/items/:itemId', requireRole(QUOTATION_EDITORS), quotationController.removeItem);
+router.patch('/:id/discount', requireRole(QUOTATION_EDITORS), quotationController.updateDiscount);
+router.post('/:id/status', requireRole(QUOTATION_EDITORS), quotationController.updateStatus);
+router.post('/:id/convert', requireRole(QUOTATION_EDITORS), quotationController.convert);
+router.get('/:id/pdf', requireRole(QUOTATION_EDITORS), quotationController.generatePdf);
+router.get('/:id/whatsapp-link', requireRole(QUOTATION_EDITORS), quotationController.getWhatsAppLink);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const reportController = require('../controllers/reportController');
 const forecastController = require('../controllers/forecastController');
+const momoReconciliationController = require('../controllers/momoReconciliationController');
 const { authenticate, requireRole } = require('../middleware/auth');
 
 router.use(authenticate);
@@ -21,6 +22,14 @@ router.get('/inventory-aging', adminOnly, reportController.inventoryAgingReport)
 router.get('/low-stock', adminOnly, reportController.lowStockReport);
 router.get('/preorder-sla', adminOnly, reportController.preorderSLAReport);
 router.get('/reconciliation', adminOnly, reportController.reconciliation);
+router.get('/reconciliation/momo/imports', adminOnly, momoReconciliationController.listImports);
+router.post('/reconciliation/momo/imports', adminOnly, momoReconciliationController.importStatement);
+router.get('/reconciliation/momo/imports/:id', adminOnly, momoReconciliationController.getImport);
+router.post('/reconciliation/momo/imports/:id/rematch', adminOnly, momoReconciliationController.rematchImport);
+router.get('/reconciliation/momo/lines/:id/candidates', adminOnly, momoReconciliationController.getCandidates);
+router.post('/reconciliation/momo/lines/:id/match', adminOnly, momoReconciliationController.matchLine);
+router.post('/reconciliation/momo/lines/:id/unmatch', adminOnly, momoReconciliationController.unmatchLine);
+router.post('/reconciliation/momo/lines/:id/ignore', adminOnly, momoReconciliationController.ignoreLine);
 router.get('/inventory-valuation', adminOnly, reportController.inventoryValuation);
 router.get('/forecast', adminOnly, forecastController.forecast);
 router.get('/forecast/history', adminOnly, forecastController.snapshotHistory);
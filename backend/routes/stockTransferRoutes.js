@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const stockTransferController = require('../controllers/stockTransferController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+router.use(authenticate);
+
+const SENDERS = ['Warehouse', 'Manager', 'Admin'];
+
+router.get('/', stockTransferController.list);
+router.post('/', requireRole(SENDERS), stockTransferController.create);
+router.get('/:id', stockTransferController.getById);
+router.patch('/:id', requireRole(SENDERS), stockTransferController.update);
+
+// Draft lines
+router.post('/:id/items', requireRole(SENDERS), stockTransferController.addItem);
+router.delete('/:id/items/:itemId', requireRole(SENDERS), stockTransferController.removeItem);
+
+// Workflow — any staff member at the destination can scan stock in
+router.post('/:id/dispatch', requireRole(SENDERS), stockTransferController.dispatch);
+router.post('/:id/receive', stockTransferController.receiveScan);
+router.post('/:id/complete', stockTransferController.complete);
+router.post('/:id/cancel', requireRole(['Manager', 'Admin']), stockTransferController.cancel);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const rateLimit = require('express-rate-limit');
-const { storefrontAuth, storefrontCors } = require('../middleware/storefrontAuth');
+const { storefrontAuth, storefrontCors, customerAuth } = require('../middleware/storefrontAuth');
 const storefront = require('../controllers/storefrontController');
 
 const readLimiter = rateLimit({
@@ -33,6 +33,9 @@ const trackLimiter = rateLimit({
 });
 router.get('/track', trackLimiter, storefront.trackPreorder);
 
+// --- Product images (public, NO API key — loaded by <img> tags on the website) ---
+router.get('/images/:filename', storefront.serveProductImage);
+
 // --- All other routes require API key ---
 router.use(storefrontAuth);
 
@@ -42,6 +45,14 @@ router.get('/products/:id', readLimiter, storefront.getProductById);
 router.get('/products', readLimiter, storefront.getProducts);
 router.get('/categories', readLimiter, storefront.getCategories);
 
+// Carts (item changes use the read limit: shoppers adjust quantities often)
+router.post('/carts', writeLimiter, storefront.createCart);
+router.get('/carts/:id', readLimiter, storefront.getCart);
+router.put('/carts/:id/items', readLimiter, storefront.setCartItem);
+router.delete('/carts/:id/items/:productId', readLimiter, storefront.removeCartItem);
+router.delete('/carts/:id', writeLimiter, storefront.abandonCart);
+router.post('/carts/:id/checkout', writeLimiter, storefront.checkoutCart);
+
 // Orders
 router.post('/orders', writeLimiter, storefront.createOrder);
 router.get('/orders/:id', readLimiter, storefront.getOrder);
@@ -50,4 +61,22 @@ router.post('/orders/:id/initiate-payment', writeLimiter, storefront.initiatePay
 // Customers
 router.post('/customers', writeLimiter, storefront.createOrFindCustomer);
 
+// Customer accounts — sign in with a one-time code, then send X-Customer-Token
+const loginLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000,
+  max: 5,
+  standardHeaders: true,
+  message: { success: false, error: { code: 'RATE_LIMITED', message: 'Too many attempts. Please try again in a minute.' } }
+});
+router.post('/account/login', loginLimiter, storefront.requestLoginCode);
+router.post('/account/verify', loginLimiter, storefront.verifyLoginCode);
+router.post('/account/logout', writeLimiter, customerAuth, storefront.logout);
+router.get('/account', readLimiter, customerAuth, storefront.getAccount);
+router.get('/account/orders', readLimiter, customerAuth, storefront.listAccountOrders);
+router.get('/account/orders/:id', readLimiter, customerAuth, storefront.getAccountOrder);
+router.get('/account/orders/:id/pdf', writeLimiter, customerAuth, storefront.getAccountOrderPdf);
+router.get('/account/preorders', readLimiter, customerAuth, storefront.listAccountPreorders);
+router.get('/account/warranties', readLimiter, customerAuth, storefront.listAccountWarranties);
+router.get('/account/credits', readLimiter, customerAuth, storefront.getAccountCredits);
+
 module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const supplierBillController = require('../controllers/supplierBillController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+router.use(authenticate);
+
+const PAYABLES = ['Manager', 'Admin'];
+
+router.get('/', requireRole(PAYABLES), supplierBillController.list);
+router.post('/', requireRole(PAYABLES), supplierBillController.create);
+router.get('/:id', requireRole(PAYABLES), supplierBillController.getById);
+router.patch('/:id', requireRole(PAYABLES), supplierBillController.update);
+router.post('/:id/void', requireRole(['Admin']), supplierBillController.voidBill);
+
+// Payments
+router.post('/:id/payments', requireRole(PAYABLES), supplierBillController.addPayment);
+router.post('/:id/payments/:paymentId/void', requireRole(['Admin']), supplierBillController.voidPayment);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const supplierController = require('../controllers/supplierController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+router.use(authenticate);
+
+const BUYERS = ['Manager', 'Admin'];
+
+// Duplicate finder (before /:id to avoid param capture)
+router.get('/duplicates', requireRole(BUYERS), supplierController.duplicates);
+
+router.get('/', requireRole(BUYERS), supplierController.list);
+router.post('/', requireRole(BUYERS), supplierController.create);
+router.get('/:id', requireRole(BUYERS), supplierController.getById);
+router.patch('/:id', requireRole(BUYERS), supplierController.update);
+router.delete('/:id', requireRole(['Admin']), supplierController.remove);
+
+router.post('/:id/merge', requireRole(['Admin']), supplierController.merge);
+
+module.exports = router;
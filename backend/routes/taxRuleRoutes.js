@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/taxRuleController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+router.use(authenticate);
+
+// GET /api/v1/tax-rules — list (any authenticated user)
+router.get('/', controller.list);
+
+// POST /api/v1/tax-rules — create (Admin only)
+router.post('/', requireRole(['Admin']), controller.create);
+
+// PUT /api/v1/tax-rules/:id — update (Admin only)
+router.put('/:id', requireRole(['Admin']), controller.update);
+
+// DELETE /api/v1/tax-rules/:id — delete (Admin only, blocked once charged on invoices)
+router.delete('/:id', requireRole(['Admin']), controller.remove);
+
+module.exports = router;
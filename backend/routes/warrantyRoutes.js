@@ -7,11 +7,13 @@ router.use(authenticate);
 
 router.get('/', warrantyController.list);
 router.post('/', requireRole(['Sales', 'Manager', 'Admin']), warrantyController.create);
-router.get('/:id', warrantyController.getById);
 
 // Warranty claims
+router.get('/claims', warrantyController.listClaims);
 router.post('/claims', requireRole(['Sales', 'Manager', 'Admin']), warrantyController.submitClaim);
 router.patch('/claims/:id', requireRole(['Manager', 'Admin']), warrantyController.updateClaim);
 router.post('/claims/:id/complete', requireRole(['Manager', 'Admin']), warrantyController.completeClaim);
 
+router.get('/:id', warrantyController.getById);
+
 module.exports = router;
@@ -0,0 +1,26 @@
+/**
+ * Webhook Routes
+ *
+ * Outbound webhook subscriptions, delivery log and replay (Admin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+router.use(authenticate);
+router.use(requireRole(['Admin']));
+
+router.get('/events', webhookController.listEvents);
+router.get('/deliveries', webhookController.listDeliveries);
+router.get('/deliveries/:id', webhookController.getDelivery);
+router.post('/deliveries/:id/replay', webhookController.replay);
+router.get('/', webhookController.list);
+router.post('/', webhookController.create);
+router.get('/:id', webhookController.getById);
+router.put('/:id', webhookController.update);
+router.delete('/:id', webhookController.remove);
+router.post('/:id/rotate-secret', webhookController.rotateSecret);
+
+module.exports = router;
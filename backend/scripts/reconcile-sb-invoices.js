@@ -280,10 +280,11 @@ async function run() {
           if (m.source.startsWith('auto')) {
             try {
               await sequelize.query(`
-                INSERT INTO description_asset_mappings (description, asset_id, match_type, confidence, created_at, updated_at)
-                VALUES (:desc, :assetId, 'fuzzy', 0.8, NOW(), NOW())
+                INSERT INTO description_asset_mappings (description, asset_id, product_model_id, match_type, confidence, created_at, updated_at)
+                VALUES (:desc, :assetId, (SELECT product_model_id FROM assets WHERE id = :assetId), 'fuzzy', 0.8, NOW(), NOW())
                 ON CONFLICT (description) DO UPDATE
                 SET asset_id = EXCLUDED.asset_id,
+                    product_model_id = COALESCE(EXCLUDED.product_model_id, description_asset_mappings.product_model_id),
                     match_type = 'fuzzy',
                     updated_at = NOW()
               `, {
@@ -76,6 +76,38 @@ async function startServer() {
     } catch (err) {
       console.error('⚠️ Forecast scheduler failed to start:', err.message);
     }
+
+    // Start webhook delivery retries
+    try {
+      const { startScheduler } = require('./services/webhookService');
+      startScheduler();
+    } catch (err) {
+      console.error('⚠️ Webhook scheduler failed to start:', err.message);
+    }
+
+    // Start storefront cart expiry and unpaid order timeout
+    try {
+      const { startScheduler } = require('./services/storefrontScheduler');
+      startScheduler();
+    } catch (err) {
+      console.error('⚠️ Storefront scheduler failed to start:', err.message);
+    }
+
+    // Start daily preorder SLA check
+    try {
+      const { startScheduler } = require('./services/preorderSlaScheduler');
+      startScheduler();
+    } catch (err) {
+      console.error('⚠️ Preorder SLA scheduler failed to start:', err.message);
+    }
+
+    // Start customer notification retries, layaway reminders and warranty notices
+    try {
+      const { startScheduler } = require('./services/notificationScheduler');
+      startScheduler();
+    } catch (err) {
+      console.error('⚠️ Notification scheduler failed to start:', err.message);
+    }
   });
 
   // Graceful shutdown
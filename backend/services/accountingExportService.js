@@ -0,0 +1,571 @@
+/**
+ * Accounting Export Service
+ *
+ * Turns a month of invoices, payments, refunds, credit notes (finalized
+ * returns), expenses and approved write-offs into journal entries an
+ * accountant can import:
+ *   quickbooks_iif - QuickBooks Desktop general journal (IIF)
+ *   quickbooks_csv - QuickBooks Online journal entry import (CSV)
+ *   xero_csv       - Xero manual journal import (CSV)
+ *
+ * Invoices are exported on the accrual basis through Accounts Receivable;
+ * payments, refunds and credit notes then settle the receivable.
+ *
+ * Account codes come from accounting_export_mappings, keyed by
+ * mapping_type + mapping_key (an ACCOUNT_ROLES key, a payment method, an
+ * expense category id or a product category), falling back to the chart
+ * of accounts in ledgerService.
+ *
+ * Every exported journal is kept on its batch with a fingerprint. Exporting
+ * the same month again only adds what changed since: new records, and for
+ * records that were edited, voided or deleted a reversal of what was sent
+ * (plus the new version). Voiding a batch releases its records.
+ */
+
+const crypto = require('crypto');
+const { ACCOUNTS, PAYMENT_METHOD_ACCOUNTS, invoiceShare, toDateOnly } = require('./ledgerService');
+
+const TARGETS = ['quickbooks_iif', 'quickbooks_csv', 'xero_csv'];
+const MAPPING_TYPES = ['account', 'payment_method', 'expense_category', 'sales_category'];
+const RECORD_TYPES = ['invoice', 'payment', 'refund', 'credit_note', 'expense', 'write_off'];
+
+// Defaults for the 'account' mapping type
+const ACCOUNT_ROLES = {
+  accounts_receivable: { code: '1100', name: 'Accounts Receivable' },
+  inventory: { code: ACCOUNTS.INVENTORY, name: 'Inventory' },
+  taxes_payable: { code: ACCOUNTS.TAXES_PAYABLE, name: 'Taxes Payable' },
+  sales: { code: ACCOUNTS.SALES, name: 'Sales Revenue' },
+  sales_returns: { code: ACCOUNTS.SALES_RETURNS, name: 'Sales Returns' },
+  sales_discounts: { code: '4200', name: 'Sales Discounts' },
+  cogs: { code: ACCOUNTS.COGS, name: 'Cost of Goods Sold' },
+  write_offs: { code: ACCOUNTS.WRITE_OFFS, name: 'Inventory Write-offs' },
+  expenses: { code: ACCOUNTS.OPERATING_EXPENSES, name: 'Operating Expenses' },
+  expense_payment: { code: ACCOUNTS.CASH, name: 'Cash on Hand' }
+};
+
+const PAYMENT_ACCOUNT_NAMES = {
+  [ACCOUNTS.CASH]: 'Cash on Hand',
+  [ACCOUNTS.MOBILE_MONEY]: 'Mobile Money',
+  [ACCOUNTS.BANK]: 'Bank'
+};
+
+const round2 = n => Math.round(n * 100) / 100;
+
+/**
+ * Account resolver over saved mappings
+ * @param {Array<{ mapping_type, mapping_key, account_code, account_name }>} mappings
+ * @returns {{ role, paymentMethod, expenseCategory, salesCategory }}
+ */
+function accountResolver(mappings = []) {
+  const byKey = new Map(mappings.map(m => [
+    `${m.mapping_type}:${String(m.mapping_key).toLowerCase()}`,
+    { code: m.account_code, name: m.account_name || m.account_code }
+  ]));
+  const find = (type, key) => (key == null ? null : byKey.get(`${type}:${String(key).toLowerCase()}`));
+
+  const role = key => find('account', key) || ACCOUNT_ROLES[key];
+  return {
+    role,
+    paymentMethod: method => {
+      const mapped = find('payment_method', method);
+      if (mapped) return mapped;
+      const code = PAYMENT_METHOD_ACCOUNTS[method] || ACCOUNTS.CASH;
+      return { code, name: PAYMENT_ACCOUNT_NAMES[code] };
+    },
+    expenseCategory: categoryId => find('expense_category', categoryId) || role('expenses'),
+    salesCategory: category => find('sales_category', category) || role('sales')
+  };
+}
+
+function line(account, debit, credit, memo = null, name = null) {
+  return {
+    account_code: account.code,
+    account_name: account.name,
+    debit: round2(debit || 0),
+    credit: round2(credit || 0),
+    memo,
+    name
+  };
+}
+
+/**
+ * Drop empty lines; null when nothing is left to export
+ */
+function journal(fields, lines) {
+  const kept = lines.filter(l => l.debit !== 0 || l.credit !== 0);
+  if (kept.length === 0) return null;
+  return { ...fields, record_id: String(fields.record_id), record_date: toDateOnly(fields.record_date), lines: kept };
+}
+
+/**
+ * Invoice: receivable for the total, revenue per item (net of tax), any
+ * discount, tax collected, and the cost of the goods sold
+ * @param {Invoice} invoice - with customer
+ * @param {Array<InvoiceItem>} items - non-voided, with asset (category)
+ */
+function invoiceJournal(invoice, items, accounts) {
+  const customer = invoice.customer?.getDisplayName?.() || null;
+  const gross = parseFloat(invoice.total_amount) || 0;
+  const tax = parseFloat(invoice.tax_amount) || 0;
+  const discount = parseFloat(invoice.discount_amount) || 0;
+  const cost = parseFloat(invoice.total_cost_amount) || 0;
+  const revenue = round2(gross - tax + discount);
+  const subtotal = items.reduce((sum, item) => sum + (parseFloat(item.line_total_amount) || 0), 0);
+
+  const revenueLines = [];
+  if (items.length === 0 || subtotal <= 0) {
+    revenueLines.push(line(accounts.role('sales'), 0, revenue, `Invoice ${invoice.invoice_number}`));
+  } else {
+    // Line totals include tax on tax-inclusive invoices, so scale them to the net revenue
+    let remaining = revenue;
+    items.forEach((item, i) => {
+      const amount = i === items.length - 1
+        ? round2(remaining)
+        : round2((parseFloat(item.line_total_amount) || 0) * revenue / subtotal);
+      remaining -= amount;
+      const category = item.category || item.asset?.category || null;
+      revenueLines.push(line(accounts.salesCategory(category), 0, amount, `${item.quantity} x ${item.description}`));
+    });
+  }
+
+  return journal({
+    record_type: 'invoice',
+    record_id: invoice.id,
+    record_date: invoice.invoice_date,
+    reference: invoice.invoice_number,
+    description: `Invoice ${invoice.invoice_number}${customer ? ` - ${customer}` : ''}`
+  }, [
+    line(accounts.role('accounts_receivable'), gross, 0, null, customer),
+    line(accounts.role('sales_discounts'), discount, 0, 'Discounts and promotions'),
+    ...revenueLines,
+    line(accounts.role('taxes_payable'), 0, tax, 'Tax collected'),
+    line(accounts.role('cogs'), cost, 0, 'Cost of goods sold'),
+    line(accounts.role('inventory'), 0, cost, 'Cost of goods sold')
+  ]);
+}
+
+/**
+ * Payment or refund against an invoice's receivable
+ * @param {InvoicePayment} payment - with invoice (invoice_number, customer)
+ */
+function paymentJournal(payment, accounts) {
+  const invoice = payment.invoice;
+  const customer = invoice?.customer?.getDisplayName?.() || null;
+  const amount = parseFloat(payment.amount) || 0;
+  const method = accounts.paymentMethod(payment.payment_method);
+  const receivable = accounts.role('accounts_receivable');
+  const isRefund = payment.transaction_type === 'REFUND';
+  const memo = `${isRefund ? 'Refund' : 'Payment'} (${payment.payment_method}) on ${invoice?.invoice_number || 'invoice'}`;
+
+  return journal({
+    record_type: isRefund ? 'refund' : 'payment',
+    record_id: payment.id,
+    record_date: payment.payment_date,
+    reference: invoice?.invoice_number || null,
+    description: memo
+  }, isRefund
+    ? [line(receivable, amount, 0, memo, customer), line(method, 0, amount, memo)]
+    : [line(method, amount, 0, memo), line(receivable, 0, amount, memo, customer)]);
+}
+
+/**
+ * Credit note for a finalized return: sales returns and tax back against
+ * the receivable, and the returned stock back into inventory
+ * @param {InvoiceReturn} invoiceReturn - with invoice (and customer) and items (invoiceItem)
+ */
+function creditNoteJournal(invoiceReturn, accounts) {
+  const invoice = invoiceReturn.invoice;
+  const customer = invoice?.customer?.getDisplayName?.() || null;
+  const amount = parseFloat(invoiceReturn.total_return_amount) || 0;
+  const { net, tax } = invoiceShare(amount, invoice);
+  const restocked = (invoiceReturn.items || [])
+    .filter(item => item.asset_id)
+    .reduce((sum, item) => sum + (parseFloat(item.invoiceItem?.unit_cost_amount) || 0) * item.quantity_returned, 0);
+  const reference = `${invoice?.invoice_number || 'Invoice'}-CN`;
+  const memo = `Credit note for ${invoiceReturn.return_type === 'EXCHANGE' ? 'exchange' : 'return'} on ${invoice?.invoice_number || 'invoice'}`;
+
+  return journal({
+    record_type: 'credit_note',
+    record_id: invoiceReturn.id,
+    record_date: invoiceReturn.finalized_at,
+    reference,
+    description: memo
+  }, [
+    line(accounts.role('sales_returns'), net, 0, memo),
+    line(accounts.role('taxes_payable'), tax, 0, 'Tax on returned goods'),
+    line(accounts.role('accounts_receivable'), 0, amount, memo, customer),
+    line(accounts.role('inventory'), restocked, 0, 'Returned stock'),
+    line(accounts.role('cogs'), 0, restocked, 'Returned stock')
+  ]);
+}
+
+/**
+ * @param {Expense} expense - with category
+ */
+function expenseJournal(expense, accounts) {
+  const amount = parseFloat(expense.amount_local) || 0;
+  const memo = expense.description;
+
+  return journal({
+    record_type: 'expense',
+    record_id: expense.id,
+    record_date: expense.expense_date,
+    reference: `EXP-${expense.id}`,
+    description: `${expense.category?.name || 'Expense'}: ${expense.description}`
+  }, [
+    line(accounts.expenseCategory(expense.category_id), amount, 0, memo, expense.vendor_or_payee || null),
+    line(accounts.role('expense_payment'), 0, amount, memo, expense.vendor_or_payee || null)
+  ]);
+}
+
+/**
+ * @param {InventoryWriteOff} writeOff
+ */
+function writeOffJournal(writeOff, accounts) {
+  const amount = parseFloat(writeOff.total_cost_amount) || 0;
+  const memo = `Write-off ${writeOff.write_off_number} (${writeOff.reason})`;
+
+  return journal({
+    record_type: 'write_off',
+    record_id: writeOff.id,
+    record_date: writeOff.approved_at,
+    reference: writeOff.write_off_number,
+    description: memo
+  }, [
+    line(accounts.role('write_offs'), amount, 0, memo),
+    line(accounts.role('inventory'), 0, amount, memo)
+  ]);
+}
+
+function fingerprint(entry) {
+  return crypto.createHash('sha1')
+    .update(JSON.stringify({ date: entry.record_date, lines: entry.lines }))
+    .digest('hex');
+}
+
+/**
+ * What a new batch has to contain
+ * @param {Array<Object>} current - journals as they stand now for the period
+ * @param {Array<Object>} exported - records already in live batches, oldest first
+ * @param {{ start: string, end: string }} range - YYYY-MM-DD bounds of the period
+ * @returns {Array<Object>} records to add, with action 'export' or 'reversal'
+ */
+function planRecords(current, exported, range) {
+  // What each source last sent, unless that was already reversed
+  const live = new Map();
+  for (const record of exported) {
+    const key = `${record.record_type}:${record.record_id}`;
+    if (record.action === 'reversal') live.delete(key);
+    else live.set(key, record);
+  }
+
+  const reversal = record => ({
+    record_type: record.record_type,
+    record_id: record.record_id,
+    record_date: record.record_date,
+    reference: record.reference,
+    description: `Reversal: ${record.description}`,
+    action: 'reversal',
+    fingerprint: record.fingerprint,
+    lines: record.lines.map(l => ({ ...l, debit: l.credit, credit: l.debit }))
+  });
+
+  const planned = [];
+  const seen = new Set();
+  for (const entry of current) {
+    const key = `${entry.record_type}:${entry.record_id}`;
+    seen.add(key);
+    const fp = fingerprint(entry);
+    const previous = live.get(key);
+    if (previous && previous.fingerprint === fp) continue;
+    if (previous) planned.push(reversal(previous));
+    planned.push({ ...entry, action: 'export', fingerprint: fp });
+  }
+
+  // Sent from this period but since voided, cancelled, deleted or moved out
+  for (const [key, record] of live) {
+    if (seen.has(key)) continue;
+    if (record.record_date < range.start || record.record_date > range.end) continue;
+    planned.push(reversal(record));
+  }
+  return planned;
+}
+
+// ─── File layouts ───
+
+function ddmmyyyy(date) {
+  const [y, m, d] = date.split('-');
+  return `${d}/${m}/${y}`;
+}
+
+function mmddyyyy(date) {
+  const [y, m, d] = date.split('-');
+  return `${m}/${d}/${y}`;
+}
+
+function csvRow(values) {
+  return values.map(v => {
+    const s = v == null ? '' : String(v);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }).join(',');
+}
+
+function iifField(value) {
+  return value == null ? '' : String(value).replace(/[\t\r\n]+/g, ' ');
+}
+
+/**
+ * QuickBooks Desktop: one TRNS line per journal, SPL lines for the rest.
+ * Amounts are signed (debit positive); accounts by name.
+ */
+function renderIIF(records) {
+  const columns = ['TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'];
+  const out = [
+    ['!TRNS', 'TRNSID', ...columns].join('\t'),
+    ['!SPL', 'SPLID', ...columns].join('\t'),
+    '!ENDTRNS'
+  ];
+  for (const record of records) {
+    record.lines.forEach((l, i) => {
+      out.push([
+        i === 0 ? 'TRNS' : 'SPL',
+        '',
+        'GENERAL JOURNAL',
+        mmddyyyy(record.record_date),
+        iifField(l.account_name),
+        iifField(l.name),
+        (l.debit - l.credit).toFixed(2),
+        iifField(record.reference),
+        iifField(l.memo || record.description)
+      ].join('\t'));
+    });
+    out.push('ENDTRNS');
+  }
+  return out.join('\r\n') + '\r\n';
+}
+
+/**
+ * QuickBooks Online journal entry import: lines sharing a Journal No form
+ * one entry
+ */
+function renderQuickBooksCsv(records) {
+  const out = [csvRow(['Journal No', 'Journal Date', 'Account', 'Debits', 'Credits', 'Description', 'Name'])];
+  records.forEach((record, i) => {
+    const journalNo = `${record.reference || record.record_type}-${i + 1}`;
+    for (const l of record.lines) {
+      out.push(csvRow([
+        journalNo,
+        ddmmyyyy(record.record_date),
+        l.account_name,
+        l.debit ? l.debit.toFixed(2) : '',
+        l.credit ? l.credit.toFixed(2) : '',
+        l.memo || record.description,
+        l.name || ''
+      ]));
+    }
+  });
+  return out.join('\r\n') + '\r\n';
+}
+
+/**
+ * Xero manual journal import: lines sharing Narration and Date form one
+ * journal. Accounts by code, debits positive. Tax is posted to its own
+ * account, so lines carry no tax rate of their own.
+ */
+function renderXeroCsv(records) {
+  const out = [csvRow(['*Narration', '*Date', 'Description', '*AccountCode', '*TaxRate', '*Amount'])];
+  records.forEach((record, i) => {
+    const narration = `${record.description} [${i + 1}]`;
+    for (const l of record.lines) {
+      out.push(csvRow([
+        narration,
+        ddmmyyyy(record.record_date),
+        l.memo || record.description,
+        l.account_code,
+        'Tax Exempt',
+        (l.debit - l.credit).toFixed(2)
+      ]));
+    }
+  });
+  return out.join('\r\n') + '\r\n';
+}
+
+const RENDERERS = {
+  quickbooks_iif: { render: renderIIF, extension: 'iif', contentType: 'application/octet-stream' },
+  quickbooks_csv: { render: renderQuickBooksCsv, extension: 'csv', contentType: 'text/csv' },
+  xero_csv: { render: renderXeroCsv, extension: 'csv', contentType: 'text/csv' }
+};
+
+/**
+ * @param {string} target
+ * @param {Array<Object>} records - in export order
+ * @returns {{ content: string, extension: string, contentType: string }}
+ */
+function renderBatch(target, records) {
+  const renderer = RENDERERS[target];
+  return { content: renderer.render(records), extension: renderer.extension, contentType: renderer.contentType };
+}
+
+// ─── Database ───
+
+/**
+ * First and last day of a YYYY-MM period
+ */
+function periodRange(period) {
+  const [y, m] = period.split('-').map(Number);
+  const last = new Date(y, m, 0).getDate();
+  return { start: `${period}-01`, end: `${period}-${String(last).padStart(2, '0')}` };
+}
+
+/**
+ * Journals for everything dated in the period, as it stands now
+ */
+async function loadJournals(period, accounts, transaction = null) {
+  const { Invoice, InvoiceItem, InvoicePayment, InvoiceReturn, InvoiceReturnItem, Customer, Asset, Expense, ExpenseCategory, InventoryWriteOff } = require('../models');
+  const { Op } = require('sequelize');
+
+  const [y, m] = period.split('-').map(Number);
+  const between = { [Op.gte]: new Date(y, m - 1, 1), [Op.lt]: new Date(y, m, 1) };
+  const { start, end } = periodRange(period);
+  const customer = { model: Customer, as: 'customer' };
+
+  const [invoices, payments, returns, expenses, writeOffs] = await Promise.all([
+    Invoice.findAll({
+      where: { invoice_date: between, status: { [Op.ne]: 'CANCELLED' }, is_deleted: false },
+      include: [customer],
+      order: [['invoice_date', 'ASC'], ['invoice_number', 'ASC']],
+      transaction
+    }),
+    InvoicePayment.findAll({
+      where: { payment_date: between, voided_at: null },
+      include: [{ model: Invoice, as: 'invoice', attributes: ['id', 'invoice_number', 'customer_id'], include: [customer] }],
+      order: [['payment_date', 'ASC'], ['id', 'ASC']],
+      transaction
+    }),
+    InvoiceReturn.findAll({
+      where: { status: 'FINALIZED', finalized_at: between },
+      include: [
+        { model: Invoice, as: 'invoice', include: [customer] },
+        { model: InvoiceReturnItem, as: 'items', include: [{ model: InvoiceItem, as: 'invoiceItem' }] }
+      ],
+      order: [['finalized_at', 'ASC']],
+      transaction
+    }),
+    Expense.findAll({
+      // Write-off expenses are exported as write-offs
+      where: { expense_date: { [Op.between]: [start, end] }, source_type: { [Op.ne]: 'write_off' } },
+      include: [{ model: ExpenseCategory, as: 'category', attributes: ['id', 'name'] }],
+      order: [['expense_date', 'ASC'], ['id', 'ASC']],
+      transaction
+    }),
+    InventoryWriteOff.findAll({
+      where: { status: 'APPROVED', approved_at: between },
+      order: [['approved_at', 'ASC']],
+      transaction
+    })
+  ]);
+
+  const items = invoices.length === 0 ? [] : await InvoiceItem.findAll({
+    where: { invoice_id: invoices.map(i => i.id), voided_at: null },
+    include: [{ model: Asset, as: 'asset', attributes: ['id', 'category'] }],
+    order: [['created_at', 'ASC'], ['id', 'ASC']],
+    transaction
+  });
+  const itemsByInvoice = new Map();
+  for (const item of items) {
+    if (!itemsByInvoice.has(item.invoice_id)) itemsByInvoice.set(item.invoice_id, []);
+    itemsByInvoice.get(item.invoice_id).push(item);
+  }
+
+  return [
+    ...invoices.map(invoice => invoiceJournal(invoice, itemsByInvoice.get(invoice.id) || [], accounts)),
+    ...payments.map(payment => paymentJournal(payment, accounts)),
+    ...returns.map(invoiceReturn => creditNoteJournal(invoiceReturn, accounts)),
+    ...expenses.map(expense => expenseJournal(expense, accounts)),
+    ...writeOffs.map(writeOff => writeOffJournal(writeOff, accounts))
+  ].filter(Boolean);
+}
+
+/**
+ * Export what is new or changed in a period since the last batches
+ * @returns {Promise<AccountingExportBatch|null>} null when everything is already exported
+ */
+async function createBatch({ target, period, userId = null }) {
+  const { AccountingExportBatch, AccountingExportRecord, AccountingExportMapping, sequelize } = require('../models');
+  const { Op } = require('sequelize');
+
+  const t = await sequelize.transaction();
+  try {
+    const accounts = accountResolver(await AccountingExportMapping.findAll({ transaction: t }));
+    const current = await loadJournals(period, accounts, t);
+    const range = periodRange(period);
+
+    const exported = await AccountingExportRecord.findAll({
+      where: {
+        [Op.or]: [
+          { record_date: { [Op.between]: [range.start, range.end] } },
+          { record_id: [...new Set(current.map(entry => entry.record_id))] }
+        ]
+      },
+      include: [{
+        model: AccountingExportBatch,
+        as: 'batch',
+        attributes: [],
+        where: { target, voided_at: null }
+      }],
+      order: [['id', 'ASC']],
+      transaction: t
+    });
+
+    const planned = planRecords(current, exported, range);
+    if (planned.length === 0) {
+      await t.commit();
+      return null;
+    }
+
+    const batch = await AccountingExportBatch.create({
+      target,
+      period,
+      record_count: planned.length,
+      total_debit: round2(planned.reduce((sum, r) => sum + r.lines.reduce((s, l) => s + l.debit, 0), 0)),
+      created_by: userId
+    }, { transaction: t });
+
+    await AccountingExportRecord.bulkCreate(planned.map(record => ({
+      batch_id: batch.id,
+      record_type: record.record_type,
+      record_id: record.record_id,
+      record_date: record.record_date,
+      reference: record.reference,
+      description: record.description.substring(0, 500),
+      action: record.action,
+      fingerprint: record.fingerprint,
+      lines: record.lines
+    })), { transaction: t });
+
+    await t.commit();
+    return batch;
+  } catch (err) {
+    if (!t.finished) await t.rollback();
+    throw err;
+  }
+}
+
+module.exports = {
+  TARGETS,
+  MAPPING_TYPES,
+  RECORD_TYPES,
+  ACCOUNT_ROLES,
+  accountResolver,
+  invoiceJournal,
+  paymentJournal,
+  creditNoteJournal,
+  expenseJournal,
+  writeOffJournal,
+  fingerprint,
+  planRecords,
+  renderBatch,
+  periodRange,
+  loadJournals,
+  createBatch
+};
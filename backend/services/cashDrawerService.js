@@ -0,0 +1,108 @@
+/**
+ * Cash Drawer Service
+ *
+ * Drawer arithmetic for cashier sessions, kept free of the database.
+ *
+ * Cash expected in the drawer at close is the opening float plus cash
+ * sales, less cash refunds, plus cash put in (float top-ups) less cash
+ * taken out (petty expenses, bank drops). The difference between what is
+ * counted and what is expected is the drawer's over (+) or short (-).
+ */
+
+const MOVEMENT_TYPES = ['cash_in', 'cash_out'];
+
+const MOVEMENT_REASONS = {
+  cash_in: ['float_top_up', 'other'],
+  cash_out: ['petty_expense', 'bank_drop', 'other']
+};
+
+const REASON_LABELS = {
+  float_top_up: 'Float top-up',
+  petty_expense: 'Petty expense',
+  bank_drop: 'Bank drop',
+  other: 'Other'
+};
+
+const round2 = n => Math.round(n * 100) / 100;
+
+const sumAmounts = rows => round2(rows.reduce((sum, row) => sum + (parseFloat(row.amount) || 0), 0));
+
+/**
+ * Summarize a drawer session
+ * @param {Object} params
+ * @param {number} params.openingFloat
+ * @param {Array<{ transaction_type: string, amount: number }>} params.payments -
+ *   non-voided cash InvoicePayments taken during the session
+ * @param {Array<{ movement_type: string, amount: number }>} params.movements
+ * @param {number|null} [params.counted] - cash counted at close, if known
+ * @returns {{
+ *   opening_float: number,
+ *   cash_sales: number,
+ *   cash_sales_count: number,
+ *   cash_refunds: number,
+ *   cash_refunds_count: number,
+ *   cash_in: number,
+ *   cash_out: number,
+ *   expected: number,
+ *   counted: number|null,
+ *   over_short: number|null
+ * }}
+ */
+function summarizeSession({ openingFloat, payments = [], movements = [], counted = null }) {
+  const sales = payments.filter(p => p.transaction_type === 'PAYMENT');
+  const refunds = payments.filter(p => p.transaction_type === 'REFUND');
+
+  const summary = {
+    opening_float: round2(parseFloat(openingFloat) || 0),
+    cash_sales: sumAmounts(sales),
+    cash_sales_count: sales.length,
+    cash_refunds: sumAmounts(refunds),
+    cash_refunds_count: refunds.length,
+    cash_in: sumAmounts(movements.filter(m => m.movement_type === 'cash_in')),
+    cash_out: sumAmounts(movements.filter(m => m.movement_type === 'cash_out'))
+  };
+
+  summary.expected = round2(
+    summary.opening_float + summary.cash_sales - summary.cash_refunds + summary.cash_in - summary.cash_out
+  );
+
+  const hasCount = counted !== null && counted !== undefined && counted !== '';
+  summary.counted = hasCount ? round2(parseFloat(counted)) : null;
+  summary.over_short = hasCount ? round2(summary.counted - summary.expected) : null;
+
+  return summary;
+}
+
+/**
+ * Totals of every non-voided payment in the session window by method, for
+ * the Z-report's takings section. Refunds are netted off.
+ * @param {Array<{ payment_method: string, transaction_type: string, amount: number }>} payments
+ * @returns {Array<{ method: string, payments: number, refunds: number, net: number, count: number }>}
+ */
+function totalsByMethod(payments) {
+  const byMethod = new Map();
+  for (const payment of payments) {
+    const method = payment.payment_method || 'Other';
+    if (!byMethod.has(method)) {
+      byMethod.set(method, { method, payments: 0, refunds: 0, net: 0, count: 0 });
+    }
+    const row = byMethod.get(method);
+    const amount = parseFloat(payment.amount) || 0;
+    if (payment.transaction_type === 'REFUND') {
+      row.refunds = round2(row.refunds + amount);
+    } else {
+      row.payments = round2(row.payments + amount);
+    }
+    row.net = round2(row.payments - row.refunds);
+    row.count += 1;
+  }
+  return [...byMethod.values()].sort((a, b) => b.net - a.net);
+}
+
+module.exports = {
+  MOVEMENT_TYPES,
+  MOVEMENT_REASONS,
+  REASON_LABELS,
+  summarizeSession,
+  totalsByMethod
+};
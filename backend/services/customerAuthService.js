@@ -0,0 +1,129 @@
+/**
+ * Customer Auth Service
+ *
+ * Passwordless sign-in for storefront customers. A shopper asks for a
+ * one-time code by phone (sent by SMS) or email; entering it within
+ * CODE_TTL_MINUTES opens a session on the Customer with that phone or email.
+ *
+ * Codes and session tokens are only stored hashed. Session tokens are
+ * opaque and unrelated to the staff JWT (middleware/auth.js); the website
+ * sends them in the X-Customer-Token header alongside its API key.
+ */
+
+const crypto = require('crypto');
+const { normalizePhone } = require('../utils/phoneNormalizer');
+
+const CODE_LENGTH = 6;
+const CODE_TTL_MINUTES = 10;
+const MAX_CODE_ATTEMPTS = 5;
+
+// Per phone number / email address
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_CODES_PER_HOUR = 5;
+
+const SESSION_TTL_DAYS = 30;
+const SESSION_TOKEN_PREFIX = 'cst_';
+const SESSION_HEADER = 'x-customer-token';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function secret() {
+  return process.env.CUSTOMER_AUTH_SECRET || process.env.JWT_SECRET || '';
+}
+
+/**
+ * Work out where to send a code from a login request
+ * @param {{ phone?: string, email?: string }} body
+ * @returns {{ channel: 'sms'|'email', destination: string }} E.164 phone or lower-cased email
+ * @throws {Error} with .code and .field when neither is usable
+ */
+function parseLoginIdentity({ phone, email } = {}) {
+  const invalid = (field, message) => Object.assign(new Error(message), { code: 'INVALID_INPUT', field });
+
+  if (phone) {
+    const { e164, isValid } = normalizePhone(String(phone));
+    if (!e164 || !isValid) throw invalid('phone', 'Enter a valid phone number');
+    return { channel: 'sms', destination: e164 };
+  }
+  if (email) {
+    const address = String(email).trim().toLowerCase();
+    if (address.length > 254 || !EMAIL_PATTERN.test(address)) throw invalid('email', 'Enter a valid email address');
+    return { channel: 'email', destination: address };
+  }
+  throw invalid('phone', 'Phone or email is required');
+}
+
+function generateCode() {
+  return String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+}
+
+/**
+ * Keyed hash of a code, bound to where it was sent
+ */
+function hashCode(code, destination) {
+  return crypto.createHmac('sha256', secret()).update(`${destination}:${code}`).digest('hex');
+}
+
+function codeMatches(code, destination, codeHash) {
+  const candidate = Buffer.from(hashCode(String(code || '').trim(), destination));
+  const stored = Buffer.from(String(codeHash || ''));
+  return candidate.length === stored.length && crypto.timingSafeEqual(candidate, stored);
+}
+
+function generateSessionToken() {
+  return SESSION_TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function codeExpiry(from = new Date()) {
+  return new Date(new Date(from).getTime() + CODE_TTL_MINUTES * 60 * 1000);
+}
+
+function sessionExpiry(from = new Date()) {
+  return new Date(new Date(from).getTime() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Hide most of a phone number or email for "code sent to ..." messages
+ */
+function maskDestination(channel, destination) {
+  if (channel === 'email') {
+    const [local, domain] = destination.split('@');
+    return `${local.slice(0, 2)}${'*'.repeat(Math.max(1, local.length - 2))}@${domain}`;
+  }
+  return `${'*'.repeat(Math.max(0, destination.length - 4))}${destination.slice(-4)}`;
+}
+
+/**
+ * The message carrying a code
+ * @returns {{ subject: string, text: string }}
+ */
+function buildCodeMessage(code) {
+  return {
+    subject: `Your Payless4Tech sign-in code: ${code}`,
+    text: `Your Payless4Tech sign-in code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes. Don't share it with anyone.`
+  };
+}
+
+module.exports = {
+  CODE_LENGTH,
+  CODE_TTL_MINUTES,
+  MAX_CODE_ATTEMPTS,
+  RESEND_COOLDOWN_SECONDS,
+  MAX_CODES_PER_HOUR,
+  SESSION_TTL_DAYS,
+  SESSION_HEADER,
+  parseLoginIdentity,
+  generateCode,
+  hashCode,
+  codeMatches,
+  generateSessionToken,
+  hashToken,
+  codeExpiry,
+  sessionExpiry,
+  maskDestination,
+  buildCodeMessage
+};
@@ -0,0 +1,214 @@
+/**
+ * Customer Statement Service
+ *
+ * Builds a customer's statement of account: invoices, payments, refunds,
+ * returns and store credits in date order with a running balance, one
+ * section per currency.
+ *
+ * The running balance follows the same arithmetic as Invoice.balance_due
+ * (invoice total - payments + refunds - store credit applied), so a
+ * statement's closing balance agrees with the invoices and the AR aging
+ * report. Returns and store credits issued are listed as memo lines: what
+ * moves the balance is the refund or credit application that settles them.
+ * Cancelled and deleted invoices are left out along with their payments.
+ */
+
+const { Customer, Invoice, InvoicePayment, InvoiceReturn, CustomerCredit, CustomerCreditApplication } = require('../models');
+const { Op } = require('sequelize');
+
+const round2 = n => Math.round(n * 100) / 100;
+
+// Same-day entries: charges first, then settlements, then memos
+const TYPE_ORDER = {
+  INVOICE: 0,
+  REFUND: 1,
+  PAYMENT: 2,
+  CREDIT_APPLIED: 3,
+  RETURN: 4,
+  CREDIT_ISSUED: 5
+};
+
+function dateOnly(value) {
+  if (!value) return null;
+  return typeof value === 'string' ? value.slice(0, 10) : new Date(value).toISOString().slice(0, 10);
+}
+
+/**
+ * Order entries and add running balances.
+ * Each entry: { date, type, debit, credit } (memo lines have neither).
+ * Entries before `from` roll into the opening balance.
+ * @param {Array<Object>} entries - for one currency
+ * @param {Object} period - { from, to } as YYYY-MM-DD (from optional)
+ * @returns {Object} { opening_balance, lines, total_debits, total_credits, closing_balance }
+ */
+function buildLedger(entries, { from = null, to }) {
+  const sorted = entries
+    .filter(entry => entry.date <= to)
+    .sort((a, b) =>
+      a.date.localeCompare(b.date) ||
+      TYPE_ORDER[a.type] - TYPE_ORDER[b.type] ||
+      String(a.reference).localeCompare(String(b.reference))
+    );
+
+  let balance = 0;
+  let totalDebits = 0;
+  let totalCredits = 0;
+  const lines = [];
+  for (const entry of sorted) {
+    const debit = entry.debit || 0;
+    const credit = entry.credit || 0;
+    balance = round2(balance + debit - credit);
+
+    if (from && entry.date < from) continue;
+    totalDebits += debit;
+    totalCredits += credit;
+    lines.push({ ...entry, debit, credit, balance });
+  }
+
+  const openingBalance = round2(balance - totalDebits + totalCredits);
+  return {
+    opening_balance: openingBalance,
+    lines,
+    total_debits: round2(totalDebits),
+    total_credits: round2(totalCredits),
+    closing_balance: balance
+  };
+}
+
+/**
+ * Statement entries for a customer, keyed by currency
+ */
+async function collectEntries(customerId) {
+  const invoices = await Invoice.findAll({
+    where: {
+      customer_id: customerId,
+      status: { [Op.ne]: 'CANCELLED' },
+      is_deleted: false
+    },
+    attributes: ['id', 'invoice_number', 'invoice_date', 'currency', 'total_amount']
+  });
+  const invoiceById = new Map(invoices.map(invoice => [invoice.id, invoice]));
+  const invoiceIds = invoices.map(invoice => invoice.id);
+
+  const payments = invoiceIds.length === 0 ? [] : await InvoicePayment.findAll({
+    where: { invoice_id: { [Op.in]: invoiceIds }, voided_at: null }
+  });
+  const applications = invoiceIds.length === 0 ? [] : await CustomerCreditApplication.findAll({
+    where: { invoice_id: { [Op.in]: invoiceIds }, voided_at: null }
+  });
+  const returns = await InvoiceReturn.findAll({
+    where: { customer_id: customerId, status: 'FINALIZED' },
+    include: [{ model: Invoice, as: 'invoice', attributes: ['id', 'invoice_number'] }]
+  });
+  const credits = await CustomerCredit.findAll({
+    where: { customer_id: customerId }
+  });
+
+  const entries = [];
+  for (const invoice of invoices) {
+    entries.push({
+      date: dateOnly(invoice.invoice_date),
+      type: 'INVOICE',
+      reference: invoice.invoice_number,
+      description: 'Invoice',
+      currency: invoice.currency,
+      debit: parseFloat(invoice.total_amount) || 0
+    });
+  }
+  for (const payment of payments) {
+    const invoice = invoiceById.get(payment.invoice_id);
+    const isRefund = payment.transaction_type === 'REFUND';
+    entries.push({
+      date: dateOnly(payment.payment_date),
+      type: isRefund ? 'REFUND' : 'PAYMENT',
+      reference: invoice.invoice_number,
+      description: `${isRefund ? 'Refund' : 'Payment'} (${payment.getMethodDisplay()})`,
+      currency: invoice.currency,
+      ...(isRefund ? { debit: payment.amount } : { credit: payment.amount })
+    });
+  }
+  for (const application of applications) {
+    const invoice = invoiceById.get(application.invoice_id);
+    entries.push({
+      date: dateOnly(application.applied_at),
+      type: 'CREDIT_APPLIED',
+      reference: invoice.invoice_number,
+      description: 'Store credit applied',
+      currency: invoice.currency,
+      credit: parseFloat(application.amount_applied) || 0
+    });
+  }
+  for (const invoiceReturn of returns) {
+    entries.push({
+      date: dateOnly(invoiceReturn.finalized_at || invoiceReturn.created_at),
+      type: 'RETURN',
+      reference: invoiceReturn.invoice?.invoice_number || '—',
+      description: invoiceReturn.return_type === 'EXCHANGE' ? 'Return (store credit)' : 'Return (refunded)',
+      currency: invoiceReturn.currency,
+      memo_amount: parseFloat(invoiceReturn.total_return_amount) || 0
+    });
+  }
+  for (const credit of credits) {
+    entries.push({
+      date: dateOnly(credit.created_at),
+      type: 'CREDIT_ISSUED',
+      reference: `CR-${credit.id}`,
+      description: credit.status === 'VOIDED' ? 'Store credit issued (voided)' : 'Store credit issued',
+      currency: credit.currency,
+      memo_amount: parseFloat(credit.original_amount) || 0
+    });
+  }
+
+  const byCurrency = {};
+  for (const entry of entries) {
+    (byCurrency[entry.currency] = byCurrency[entry.currency] || []).push(entry);
+  }
+  return { byCurrency, credits };
+}
+
+/**
+ * Build a customer's statement of account.
+ * @param {number} customerId
+ * @param {Object} options - { from, to } as YYYY-MM-DD; to defaults to today,
+ *   no from means full history
+ * @returns {Promise<Object|null>} null when the customer doesn't exist
+ */
+async function buildStatement(customerId, { from = null, to = null } = {}) {
+  const customer = await Customer.findByPk(customerId);
+  if (!customer) return null;
+
+  const period = { from: from || null, to: to || new Date().toISOString().slice(0, 10) };
+  const { byCurrency, credits } = await collectEntries(customer.id);
+
+  const sections = Object.keys(byCurrency).sort().map(currency => ({
+    currency,
+    ...buildLedger(byCurrency[currency], period)
+  }));
+
+  const availableCredit = {};
+  for (const credit of credits) {
+    if (credit.status !== 'ACTIVE') continue;
+    availableCredit[credit.currency] = round2((availableCredit[credit.currency] || 0) + (parseFloat(credit.remaining_amount) || 0));
+  }
+
+  return {
+    customer: {
+      id: customer.id,
+      displayName: customer.getDisplayName(),
+      company_name: customer.company_name,
+      phone_e164: customer.phone_e164,
+      whatsapp_e164: customer.whatsapp_e164,
+      email: customer.email,
+      address: customer.address
+    },
+    period,
+    generated_at: new Date().toISOString(),
+    sections,
+    available_store_credit: Object.entries(availableCredit).map(([currency, amount]) => ({ currency, amount }))
+  };
+}
+
+module.exports = {
+  buildLedger,
+  buildStatement
+};
@@ -13,6 +13,8 @@ function getClient() {
 
 const FROM_EMAIL = process.env.RESEND_FROM_EMAIL || 'Payless4Tech <noreply@payless4tech.com>';
 
+// Preorder status emails; the default email templates for those events in
+// services/notificationService.js
 const STATUS_TEMPLATES = {
   'Purchased': {
     subject: 'Your order {tracking_code} has been purchased! 🛒',
@@ -71,57 +73,56 @@ function fillTemplate(template, data) {
   return result;
 }
 
-async function sendPreorderStatusEmail(preorder) {
+function isConfigured() {
+  return Boolean(process.env.RESEND_API_KEY);
+}
+
+/**
+ * Send one plain-text email. Not logged; callers log what they need to.
+ * @returns {Promise<{ sent: boolean, id?: string, reason?: string }>}
+ */
+async function sendEmail(to, subject, text) {
   const client = getClient();
   if (!client) {
     console.log('Resend not configured — skipping email');
     return { sent: false, reason: 'no_api_key' };
   }
 
-  if (!preorder.customer_email) {
-    return { sent: false, reason: 'no_email' };
-  }
-
-  const template = STATUS_TEMPLATES[preorder.status];
-  if (!template) {
-    return { sent: false, reason: 'no_template_for_status' };
+  try {
+    const sendResult = await client.emails.send({ from: FROM_EMAIL, to: [to], subject, text });
+    return { sent: true, id: sendResult.data?.id };
+  } catch (err) {
+    console.error(`📧 Email to ${to} failed:`, err.message);
+    return { sent: false, reason: err.message };
   }
+}
 
-  const data = {
-    customer_name: (preorder.customer_name || '').split(' ')[0],
-    tracking_code: preorder.tracking_code,
-    item_description: preorder.item_description,
-    quantity: String(preorder.quantity || 1),
-    shipping_method: preorder.shipping_method || 'Air',
-    estimated_arrival_date: preorder.estimated_arrival_date || 'TBD',
-    balance_due: String(preorder.balance_due || 0)
-  };
-
-  const subject = fillTemplate(template.subject, data);
-  const text = fillTemplate(template.body, data);
+/**
+ * Send a storefront sign-in code. Not written to NotificationLog, which
+ * would keep the code in plain text.
+ */
+async function sendLoginCodeEmail(to, subject, text) {
+  return sendEmail(to, subject, text);
+}
 
-  let result;
-  try {
-    const sendResult = await client.emails.send({
-      from: FROM_EMAIL,
-      to: [preorder.customer_email],
-      subject,
-      text
-    });
-    console.log(`📧 Email sent to ${preorder.customer_email} for ${preorder.tracking_code}: ${preorder.status}`);
-    result = { sent: true, id: sendResult.data?.id };
-  } catch (err) {
-    console.error(`📧 Email failed for ${preorder.tracking_code}:`, err.message);
-    result = { sent: false, reason: err.message };
+/**
+ * Send an alert to a staff member (e.g. the daily preorder SLA digest) and
+ * log it. Not tied to a single preorder.
+ */
+async function sendStaffAlertEmail(to, subject, text) {
+  if (!isConfigured()) {
+    console.log('Resend not configured — skipping email');
+    return { sent: false, reason: 'no_api_key' };
   }
 
-  // Log notification
+  const result = await sendEmail(to, subject, text);
+
   try {
     const { NotificationLog } = require('../models');
     await NotificationLog.create({
-      preorder_id: preorder.id,
+      preorder_id: null,
       channel: 'email',
-      recipient: preorder.customer_email,
+      recipient: to,
       subject,
       body: text,
       status: result.sent ? 'sent' : 'failed',
@@ -135,4 +136,4 @@ async function sendPreorderStatusEmail(preorder) {
   return result;
 }
 
-module.exports = { sendPreorderStatusEmail, STATUS_TEMPLATES };
+module.exports = { sendEmail, sendLoginCodeEmail, sendStaffAlertEmail, isConfigured, fillTemplate, STATUS_TEMPLATES };
@@ -0,0 +1,194 @@
+/**
+ * Installment Plan Service
+ *
+ * Schedule arithmetic for layaway / BNPL plans on invoices.
+ *
+ * A plan is an optional down payment (sequence 0, due on the start date)
+ * followed by N installments at a fixed frequency. The schedule always adds
+ * up to the invoice total; when the total changes, the difference is taken
+ * up by the last installments.
+ *
+ * Payments are allocated oldest installment first, in payment date order.
+ * Refunds take money back off the newest installments first. Allocations
+ * are recomputed from the invoice's transactions rather than stored, so
+ * voiding a payment simply re-runs the allocation.
+ */
+
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+const round2 = n => Math.round(n * 100) / 100;
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+function toUtcDate(date) {
+  return new Date(`${String(date).slice(0, 10)}T00:00:00Z`);
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Date n periods after startDate
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} frequency - weekly | biweekly | monthly
+ * @param {number} n
+ * @returns {string} YYYY-MM-DD; monthly dates past the end of a month fall
+ *   on its last day (31 Jan + 1 month = 28/29 Feb)
+ */
+function addInterval(startDate, frequency, n) {
+  const date = toUtcDate(startDate);
+  if (frequency === 'monthly') {
+    const day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + n);
+    const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    date.setUTCDate(Math.min(day, lastDay));
+  } else {
+    date.setUTCDate(date.getUTCDate() + n * (frequency === 'biweekly' ? 14 : 7));
+  }
+  return formatDate(date);
+}
+
+/**
+ * Build a plan schedule.
+ * @param {Object} params
+ * @param {number} params.total - invoice total, fees included
+ * @param {number} params.downPayment - due on the start date (0 for none)
+ * @param {number} params.count - number of installments after the down payment
+ * @param {string} params.frequency - weekly | biweekly | monthly
+ * @param {string} params.startDate - YYYY-MM-DD
+ * @returns {Array<{sequence, due_date, amount_due}>} rounding is absorbed by the last installment
+ */
+function buildSchedule({ total, downPayment = 0, count, frequency, startDate }) {
+  const financed = round2(total - downPayment);
+  const base = Math.floor((financed / count) * 100) / 100;
+
+  const schedule = [];
+  if (downPayment > 0) {
+    schedule.push({ sequence: 0, due_date: startDate, amount_due: round2(downPayment) });
+  }
+  for (let k = 1; k <= count; k++) {
+    schedule.push({
+      sequence: k,
+      due_date: addInterval(startDate, frequency, k),
+      amount_due: k === count ? round2(financed - base * (count - 1)) : base
+    });
+  }
+  return schedule;
+}
+
+/**
+ * Make the schedule add up to a new invoice total. Increases go on the last
+ * installment; decreases come off the last installments first.
+ * @param {Array<Object>} installments - mutated
+ * @param {number} total
+ * @returns {boolean} whether anything changed
+ */
+function rebalanceSchedule(installments, total) {
+  const ordered = [...installments].sort((a, b) => a.sequence - b.sequence);
+  if (ordered.length === 0) return false;
+
+  let diff = round2(total - ordered.reduce((sum, inst) => sum + inst.amount_due, 0));
+  if (diff === 0) return false;
+
+  if (diff > 0) {
+    const last = ordered[ordered.length - 1];
+    last.amount_due = round2(last.amount_due + diff);
+    return true;
+  }
+  for (let i = ordered.length - 1; i >= 0 && diff < 0; i--) {
+    const take = Math.min(ordered[i].amount_due, -diff);
+    ordered[i].amount_due = round2(ordered[i].amount_due - take);
+    diff = round2(diff + take);
+  }
+  return true;
+}
+
+/**
+ * Allocate an invoice's transactions to its installments, setting
+ * amount_paid, paid_at and status on each.
+ * @param {Array<Object>} installments - mutated
+ * @param {Array<{date, amount}>} transactions - payments and credits applied
+ *   positive, refunds negative
+ * @returns {number} amount left over after every installment is paid
+ */
+function allocatePayments(installments, transactions) {
+  const ordered = [...installments].sort((a, b) => a.sequence - b.sequence);
+  const paid = ordered.map(() => 0);
+  const paidAt = ordered.map(() => null);
+  let unallocated = 0;
+
+  const sorted = [...transactions].sort((a, b) => new Date(a.date) - new Date(b.date));
+  for (const tx of sorted) {
+    let remaining = round2(Math.abs(tx.amount));
+    if (tx.amount > 0) {
+      for (let i = 0; i < ordered.length && remaining > 0; i++) {
+        const room = round2(ordered[i].amount_due - paid[i]);
+        if (room <= 0) continue;
+        const take = Math.min(room, remaining);
+        paid[i] = round2(paid[i] + take);
+        remaining = round2(remaining - take);
+        if (paid[i] >= ordered[i].amount_due) paidAt[i] = new Date(tx.date);
+      }
+      unallocated = round2(unallocated + remaining);
+    } else {
+      // Refunds use up any overpayment before touching installments
+      const fromUnallocated = Math.min(unallocated, remaining);
+      unallocated = round2(unallocated - fromUnallocated);
+      remaining = round2(remaining - fromUnallocated);
+      for (let i = ordered.length - 1; i >= 0 && remaining > 0; i--) {
+        const take = Math.min(paid[i], remaining);
+        paid[i] = round2(paid[i] - take);
+        remaining = round2(remaining - take);
+        if (paid[i] < ordered[i].amount_due) paidAt[i] = null;
+      }
+    }
+  }
+
+  ordered.forEach((inst, i) => {
+    inst.amount_paid = paid[i];
+    inst.paid_at = paidAt[i];
+    if (paid[i] >= inst.amount_due) {
+      inst.status = 'paid';
+    } else {
+      inst.status = paid[i] > 0 ? 'partially_paid' : 'pending';
+    }
+  });
+  return unallocated;
+}
+
+/**
+ * Unpaid installments past their due date (plus grace days) as of a date
+ * @param {Array<Object>} installments
+ * @param {string} asOf - YYYY-MM-DD
+ * @param {number} graceDays
+ * @returns {{ overdue_count, overdue_amount, oldest_due_date, days_overdue }}
+ */
+function summarizeOverdue(installments, asOf, graceDays = 0) {
+  const asOfDate = toUtcDate(asOf);
+  const overdue = installments
+    .filter(inst => inst.status !== 'paid')
+    .filter(inst => (asOfDate - toUtcDate(inst.due_date)) / DAY_MS > graceDays)
+    .sort((a, b) => a.sequence - b.sequence);
+
+  if (overdue.length === 0) {
+    return { overdue_count: 0, overdue_amount: 0, oldest_due_date: null, days_overdue: 0 };
+  }
+  const oldest = String(overdue[0].due_date).slice(0, 10);
+  return {
+    overdue_count: overdue.length,
+    overdue_amount: round2(overdue.reduce((sum, inst) => sum + inst.amount_due - inst.amount_paid, 0)),
+    oldest_due_date: oldest,
+    days_overdue: Math.round((asOfDate - toUtcDate(oldest)) / DAY_MS)
+  };
+}
+
+module.exports = {
+  FREQUENCIES,
+  addInterval,
+  buildSchedule,
+  rebalanceSchedule,
+  allocatePayments,
+  summarizeOverdue
+};
@@ -5,12 +5,14 @@
  * Handles the complex logic of tracking what's available vs. reserved on invoices
  */
 
-const { Asset, InvoiceItem, Invoice, sequelize } = require('../models');
+const { Asset, AssetUnit, InvoiceItem, Invoice, StockMovement, InventoryItemEvent, StorefrontCart, StorefrontCartItem, sequelize } = require('../models');
 const { Op } = require('sequelize');
 
 /**
  * Get total reserved quantity for an asset across all active invoices
- * Active = non-CANCELLED, non-PAID invoices (UNPAID, PARTIALLY_PAID)
+ * Active = non-CANCELLED, non-PAID invoices (UNPAID, PARTIALLY_PAID).
+ * Invoices on an installment plan stay in this state until the plan
+ * completes (invoice PAID) or defaults (invoice cancelled).
  * 
  * @param {number} assetId - Asset ID
  * @returns {number} Total reserved quantity
@@ -45,15 +47,83 @@ async function getReservedQuantity(assetId) {
   }
 }
 
+/**
+ * Quantities held in website carts whose hold has not lapsed
+ * (see services/storefrontCartService.js).
+ *
+ * @param {number[]} assetIds - Asset IDs
+ * @param {Object} options
+ * @param {string} options.excludeCartId - Leave out this cart's own hold
+ * @param {Transaction} options.transaction - Database transaction
+ * @returns {Map} assetId -> held quantity
+ */
+async function getHeldQuantities(assetIds, { excludeCartId = null, transaction = null } = {}) {
+  const held = new Map();
+  if (!assetIds || assetIds.length === 0) return held;
+
+  const cartWhere = { status: 'active', expires_at: { [Op.gt]: new Date() } };
+  if (excludeCartId) cartWhere.id = { [Op.ne]: excludeCartId };
+
+  const rows = await StorefrontCartItem.findAll({
+    attributes: [
+      'asset_id',
+      [sequelize.fn('COALESCE', sequelize.fn('SUM', sequelize.col('quantity')), 0), 'total_held']
+    ],
+    include: [{ model: StorefrontCart, as: 'cart', where: cartWhere, attributes: [] }],
+    where: { asset_id: { [Op.in]: assetIds } },
+    group: ['asset_id'],
+    raw: true,
+    transaction
+  });
+
+  rows.forEach(row => held.set(row.asset_id, parseInt(row.total_held || 0)));
+  return held;
+}
+
+/**
+ * Quantities on the road between locations: bulk quantity dispatched on a
+ * stock transfer and not yet received, and In Transit units. Neither can be
+ * sold until the transfer is received.
+ *
+ * @param {number[]} assetIds - Asset IDs
+ * @param {Object} options
+ * @param {Transaction} options.transaction - Database transaction
+ * @returns {Map} assetId -> quantity in transit
+ */
+async function getInTransitQuantities(assetIds, { transaction = null } = {}) {
+  const inTransit = new Map();
+  if (!assetIds || assetIds.length === 0) return inTransit;
+
+  const [rows] = await sequelize.query(
+    `SELECT asset_id, SUM(qty) AS quantity FROM (
+       SELECT sti.asset_id, sti.quantity - sti.received_quantity AS qty
+       FROM stock_transfer_items sti
+       JOIN stock_transfers st ON st.id = sti.transfer_id
+       WHERE sti.asset_id IN (:assetIds) AND st.status = 'in_transit' AND sti.asset_unit_id IS NULL
+       UNION ALL
+       SELECT au.asset_id, COUNT(*) AS qty
+       FROM asset_units au
+       WHERE au.asset_id IN (:assetIds) AND au.status = 'In Transit'
+       GROUP BY au.asset_id
+     ) on_the_road
+     GROUP BY asset_id`,
+    { replacements: { assetIds }, transaction }
+  );
+
+  rows.forEach(row => inTransit.set(row.asset_id, parseInt(row.quantity, 10) || 0));
+  return inTransit;
+}
+
 /**
  * Compute availability for a single asset with proper locking
  * 
  * @param {number} assetId - Asset ID  
  * @param {Object} options - Options object
  * @param {Transaction} options.transaction - Database transaction for locking
- * @returns {Object} { available, asset } - Available quantity and asset object
+ * @param {string} options.excludeCartId - Don't count this cart's hold against it
+ * @returns {Object} { available, held, asset } - Available quantity, quantity held in carts and asset object
  */
-async function computeAvailability(assetId, { transaction } = {}) {
+async function computeAvailability(assetId, { transaction, excludeCartId } = {}) {
   try {
     const queryOptions = transaction ? { transaction, lock: true } : {};
     
@@ -61,22 +131,25 @@ async function computeAvailability(assetId, { transaction } = {}) {
     const asset = await Asset.findByPk(assetId, queryOptions);
     
     if (!asset) {
-      return { available: 0, asset: null };
+      return { available: 0, held: 0, asset: null };
     }
 
     // Calculate reserved quantity on active invoices
     const reserved = await getReservedQuantity(assetId);
+    const held = (await getHeldQuantities([asset.id], { excludeCartId, transaction })).get(asset.id) || 0;
+    const inTransit = (await getInTransitQuantities([asset.id], { transaction })).get(asset.id) || 0;
     
-    // Available = on-hand quantity minus reserved on active invoices
-    const available = Math.max(0, (asset.quantity || 0) - reserved);
+    // Available = on-hand quantity minus reserved on active invoices, held in carts and in transit
+    const available = Math.max(0, (asset.quantity || 0) - reserved - held - inTransit);
 
     return { 
       available,
+      held,
       asset
     };
   } catch (error) {
     console.error('Error computing availability:', error);
-    return { available: 0, asset: null };
+    return { available: 0, held: 0, asset: null };
   }
 }
 
@@ -84,9 +157,11 @@ async function computeAvailability(assetId, { transaction } = {}) {
  * Compute bulk availability for multiple assets
  * 
  * @param {number[]} assetIds - Array of asset IDs
- * @returns {Map} Map of assetId -> { reserved, available, asset }
+ * @param {Object} options - Options object
+ * @param {string} options.excludeCartId - Don't count this cart's hold against them
+ * @returns {Map} Map of assetId -> { reserved, held, in_transit, available, asset }
  */
-async function computeBulkAvailability(assetIds) {
+async function computeBulkAvailability(assetIds, { excludeCartId } = {}) {
   try {
     if (!assetIds || assetIds.length === 0) {
       return new Map();
@@ -133,15 +208,22 @@ async function computeBulkAvailability(assetIds) {
       reservedMap.set(result.asset_id, parseInt(result.total_reserved || 0));
     });
 
+    const heldMap = await getHeldQuantities(assetIds, { excludeCartId });
+    const inTransitMap = await getInTransitQuantities(assetIds);
+
     // Build final availability map
     const availabilityMap = new Map();
     
     assets.forEach(asset => {
       const reserved = reservedMap.get(asset.id) || 0;
-      const available = Math.max(0, (asset.quantity || 0) - reserved);
+      const held = heldMap.get(asset.id) || 0;
+      const inTransit = inTransitMap.get(asset.id) || 0;
+      const available = Math.max(0, (asset.quantity || 0) - reserved - held - inTransit);
       
       availabilityMap.set(asset.id, {
         reserved,
+        held,
+        in_transit: inTransit,
         available,
         asset
       });
@@ -154,6 +236,144 @@ async function computeBulkAvailability(assetIds) {
   }
 }
 
+/**
+ * SQL subquery selecting the ids of assets with sellable stock at a location:
+ * Available units there, or a positive bulk balance there.
+ *
+ * @param {string} locationParam - replacement placeholder for the location id
+ * @returns {string}
+ */
+function assetsAtLocationSql(locationParam = ':locationId') {
+  return `(
+    SELECT au.asset_id FROM asset_units au
+    WHERE au.location_id = ${locationParam} AND au.status = 'Available'
+    UNION
+    SELECT ls.asset_id FROM location_stocks ls
+    WHERE ls.location_id = ${locationParam} AND ls.quantity > 0
+  )`;
+}
+
+/**
+ * On-hand quantity of each asset at one location: Available units for
+ * serialized assets, the LocationStock balance for bulk assets.
+ * Reservations are not location-specific, so callers cap this at the
+ * asset's overall availability.
+ *
+ * @param {number[]} assetIds
+ * @param {number} locationId
+ * @returns {Map} assetId -> quantity at the location
+ */
+async function computeLocationQuantities(assetIds, locationId) {
+  const quantities = new Map();
+  if (!assetIds || assetIds.length === 0) return quantities;
+
+  const [rows] = await sequelize.query(
+    `SELECT asset_id, SUM(qty) AS quantity FROM (
+       SELECT au.asset_id, COUNT(*) AS qty
+       FROM asset_units au
+       WHERE au.asset_id IN (:assetIds) AND au.location_id = :locationId AND au.status = 'Available'
+       GROUP BY au.asset_id
+       UNION ALL
+       SELECT ls.asset_id, ls.quantity AS qty
+       FROM location_stocks ls
+       WHERE ls.asset_id IN (:assetIds) AND ls.location_id = :locationId
+     ) at_location
+     GROUP BY asset_id`,
+    { replacements: { assetIds, locationId } }
+  );
+
+  for (const row of rows) {
+    quantities.set(row.asset_id, parseInt(row.quantity, 10) || 0);
+  }
+  return quantities;
+}
+
+/**
+ * Release the stock held by a cancelled invoice: serialized units still on
+ * it go back to Available, non-serialized quantity taken out of stock on
+ * delivery is put back, and each asset's status is recomputed.
+ *
+ * The invoice must already be saved as CANCELLED (so it no longer counts
+ * towards reserved quantities) and have items loaded with their asset.
+ *
+ * @param {Invoice} invoice - with items (and item.asset)
+ * @param {Object} options
+ * @param {Transaction} options.transaction - Database transaction
+ * @param {number} options.userId - User releasing the stock
+ * @param {string} options.reason - Cancellation reason for the item events
+ * @param {string} options.fulfillmentType - fulfillment_type before cancelling
+ * @returns {Array<Object>} { assetId, assetTag, previousStatus, newStatus } per released item
+ */
+async function releaseInvoiceItems(invoice, { transaction, userId = null, reason = null, fulfillmentType = 'delivered' } = {}) {
+  const releasedItems = [];
+
+  for (const item of invoice.items) {
+    if (item.asset && !item.voided_at) {
+      const previousStatus = item.asset.status;
+
+      // Revert serialized unit status to Available — but only if unit is still on THIS invoice
+      if (item.asset_unit_id) {
+        const unit = await AssetUnit.findByPk(item.asset_unit_id, { transaction });
+        if (unit && ['Reserved', 'Sold'].includes(unit.status)) {
+          // Skip if unit has been reassigned to a different invoice (e.g. via exchange)
+          const isStillOnThisInvoice = !unit.invoice_item_id || unit.invoice_item_id === item.id;
+          if (isStillOnThisInvoice) {
+            unit.status = 'Available';
+            unit.sold_date = null;
+            unit.invoice_item_id = null;
+            await unit.save({ transaction });
+          }
+        }
+      }
+
+      // Restore non-serialized quantity (was decremented on addItem for delivered invoices)
+      if (!item.asset.is_serialized && fulfillmentType !== 'held') {
+        const unreturned = item.quantity - (item.quantity_returned_total || 0);
+        if (unreturned > 0) {
+          await StockMovement.record(item.asset, unreturned, 'sale_reversal', {
+            referenceType: 'invoice',
+            referenceId: invoice.id,
+            notes: `Invoice ${invoice.invoice_number} cancelled`,
+            userId
+          }, transaction);
+        }
+      }
+
+      // Update computed status (will go back to 'In Stock' if no other active items)
+      await item.asset.updateComputedStatus(transaction);
+
+      const newStatus = item.asset.status;
+
+      // Log invoice cancelled event
+      await InventoryItemEvent.logInvoiceCancelled(
+        item.asset,
+        invoice,
+        reason,
+        userId,
+        transaction
+      );
+
+      // Log inventory released event
+      await InventoryItemEvent.logInvoiceCancelledInventoryReleased(
+        item.asset,
+        invoice,
+        newStatus,
+        userId,
+        transaction
+      );
+
+      releasedItems.push({
+        assetId: item.asset.id,
+        assetTag: item.asset.asset_tag,
+        previousStatus,
+        newStatus
+      });
+    }
+  }
+
+  return releasedItems;
+}
+
 /**
  * Check and reserve inventory for an asset
  * This is a placeholder - may be used for future reservation logic
@@ -201,7 +421,12 @@ async function checkAndReserve(assetId, quantity, { transaction } = {}) {
 
 module.exports = {
   getReservedQuantity,
+  getHeldQuantities,
+  getInTransitQuantities,
   computeAvailability,
   computeBulkAvailability,
+  assetsAtLocationSql,
+  computeLocationQuantities,
+  releaseInvoiceItems,
   checkAndReserve
 };
\ No newline at end of file
@@ -8,7 +8,8 @@ const crypto = require('crypto');
 /**
  * Invoice PDF Generation Service
  *
- * Generates professional branded PDF invoices
+ * Generates professional branded PDF invoices, quotations and customer statements,
+ * and cash drawer Z-reports for the receipt printer
  */
 class InvoicePdfService {
   constructor() {
@@ -63,6 +64,180 @@ class InvoicePdfService {
     return labels[status] || status;
   }
 
+  /**
+   * Company logo and details across the top of the first page
+   * @returns {number} y position below the header
+   */
+  renderHeader(doc, companyProfile) {
+    const leftCol = 40;
+    const rightCol = doc.page.width - 230;
+    let yPos = 40;
+
+    // Company Logo (left side)
+    let logoLoaded = false;
+    if (companyProfile?.logo_url && companyProfile.logo_storage_key) {
+      const logoDir = path.join(__dirname, '..', 'uploads', 'logos');
+      const logoPath = path.join(logoDir, companyProfile.logo_storage_key);
+      if (!fs.existsSync(logoPath) && companyProfile.logo_data) {
+        if (!fs.existsSync(logoDir)) fs.mkdirSync(logoDir, { recursive: true });
+        fs.writeFileSync(logoPath, Buffer.from(companyProfile.logo_data, 'base64'));
+      }
+      if (fs.existsSync(logoPath)) {
+        try {
+          doc.image(logoPath, leftCol, yPos, { width: 90 });
+          logoLoaded = true;
+        } catch (err) {
+          console.error('Error loading logo:', err.message);
+        }
+      }
+    }
+    if (!logoLoaded) {
+      const fallbackLogo = path.join(__dirname, '..', 'assets', 'company-logo.jpeg');
+      if (fs.existsSync(fallbackLogo)) {
+        try {
+          doc.image(fallbackLogo, leftCol, yPos, { width: 90 });
+        } catch (err) {
+          console.error('Error loading fallback logo:', err.message);
+        }
+      }
+    }
+
+    // Company Info (right side)
+    doc.fontSize(13).font('Helvetica-Bold');
+    doc.text(companyProfile?.company_name || 'Company Name', rightCol, yPos, { width: 200, align: 'right' });
+
+    yPos += 18;
+    doc.fontSize(8).font('Helvetica').fillColor('#666666');
+
+    const companyLines = [];
+    if (companyProfile?.tagline) companyLines.push(companyProfile.tagline);
+    if (companyProfile?.address_line_1) companyLines.push(companyProfile.address_line_1);
+    if (companyProfile?.address_line_2) companyLines.push(companyProfile.address_line_2);
+    const cityLine = [companyProfile?.city, companyProfile?.region_state, companyProfile?.country].filter(Boolean).join(', ');
+    if (cityLine) companyLines.push(cityLine);
+    if (companyProfile?.phone) companyLines.push(`Tel: ${companyProfile.phone}`);
+    if (companyProfile?.email) companyLines.push(companyProfile.email);
+    if (companyProfile?.website) companyLines.push(companyProfile.website);
+    if (companyProfile?.tax_id_or_tin) companyLines.push(`TIN: ${companyProfile.tax_id_or_tin}`);
+
+    for (const line of companyLines) {
+      doc.text(line, rightCol, yPos, { width: 200, align: 'right' });
+      yPos += 11;
+    }
+
+    return Math.max(yPos, 120);
+  }
+
+  /**
+   * Footer note and generation date, below yPos or at the foot of the page
+   */
+  renderFooter(doc, yPos, companyProfile) {
+    const pageWidth = doc.page.width - 80;
+    const leftCol = 40;
+
+    if (yPos < doc.page.height - 60) {
+      // Footer on same page
+      doc.moveTo(leftCol, yPos).lineTo(leftCol + pageWidth, yPos).stroke('#cccccc');
+
+      if (companyProfile?.notes_footer) {
+        doc.fontSize(8).font('Helvetica').fillColor('#666666');
+        doc.text(companyProfile.notes_footer, leftCol, yPos + 10, { width: pageWidth, align: 'center' });
+      }
+
+      doc.fontSize(7).fillColor('#999999');
+      doc.text(`Generated on ${new Date().toLocaleDateString('en-US')}`, leftCol, yPos + 28, { width: pageWidth, align: 'center' });
+    } else {
+      // Footer at bottom of last page
+      const footerY = doc.page.height - 55;
+      doc.moveTo(leftCol, footerY).lineTo(leftCol + pageWidth, footerY).stroke('#cccccc');
+
+      if (companyProfile?.notes_footer) {
+        doc.fontSize(8).font('Helvetica').fillColor('#666666');
+        doc.text(companyProfile.notes_footer, leftCol, footerY + 10, { width: pageWidth, align: 'center' });
+      }
+
+      doc.fontSize(7).fillColor('#999999');
+      doc.text(`Generated on ${new Date().toLocaleDateString('en-US')}`, leftCol, footerY + 28, { width: pageWidth, align: 'center' });
+    }
+  }
+
+  /**
+   * Description / qty / unit price / total table for invoice and quotation
+   * lines. Voided lines are skipped.
+   * @returns {{ yPos: number, colWidths: Object }}
+   */
+  renderLineItems(doc, items, currency, yPos) {
+    const pageWidth = doc.page.width - 80;
+    const leftCol = 40;
+
+    doc.moveTo(leftCol, yPos).lineTo(leftCol + pageWidth, yPos).stroke('#cccccc');
+    yPos += 8;
+
+    // Table header
+    const colWidths = {
+      desc: 260,
+      qty: 45,
+      price: 95,
+      total: pageWidth - 260 - 45 - 95
+    };
+
+    doc.fontSize(8).font('Helvetica-Bold').fillColor('#666666');
+    doc.text('DESCRIPTION', leftCol, yPos);
+    doc.text('QTY', leftCol + colWidths.desc, yPos, { width: colWidths.qty, align: 'center' });
+    doc.text('UNIT PRICE', leftCol + colWidths.desc + colWidths.qty, yPos, { width: colWidths.price, align: 'right' });
+    doc.text('TOTAL', leftCol + colWidths.desc + colWidths.qty + colWidths.price, yPos, { width: colWidths.total, align: 'right' });
+
+    yPos += 13;
+    doc.moveTo(leftCol, yPos).lineTo(leftCol + pageWidth, yPos).stroke('#eeeeee');
+    yPos += 5;
+
+    // Table rows
+    doc.font('Helvetica').fillColor('#333333');
+
+    const activeItems = items.filter(item => !item.voided_at);
+    for (const item of activeItems) {
+      if (yPos > doc.page.height - 100) {
+        doc.addPage();
+        yPos = 40;
+      }
+
+      const rowY = yPos;
+      let desc = item.description || 'Item';
+      if (item.asset) {
+        const assetInfo = [];
+        if (item.asset.make) assetInfo.push(item.asset.make);
+        if (item.asset.model) assetInfo.push(item.asset.model);
+        if (assetInfo.length > 0) desc = assetInfo.join(' ');
+
+        const subInfo = [];
+        if (item.asset.asset_tag) subInfo.push(item.asset.asset_tag);
+        if (item.asset.serial_number) subInfo.push(`S/N: ${item.asset.serial_number}`);
+
+        doc.fontSize(9).text(desc, leftCol, yPos, { width: colWidths.desc - 10 });
+
+        if (subInfo.length > 0) {
+          yPos += 11;
+          doc.fontSize(7).fillColor('#888888');
+          doc.text(subInfo.join(' · '), leftCol, yPos, { width: colWidths.desc - 10 });
+          doc.fillColor('#333333').fontSize(9);
+        }
+      } else {
+        doc.fontSize(9).text(desc, leftCol, yPos, { width: colWidths.desc - 10 });
+      }
+
+      doc.fontSize(9);
+      doc.text(item.quantity?.toString() || '1', leftCol + colWidths.desc, rowY, { width: colWidths.qty, align: 'center' });
+      doc.text(this.formatCurrency(item.unit_price_amount, currency), leftCol + colWidths.desc + colWidths.qty, rowY, { width: colWidths.price, align: 'right' });
+      doc.text(this.formatCurrency(item.line_total_amount, currency), leftCol + colWidths.desc + colWidths.qty + colWidths.price, rowY, { width: colWidths.total, align: 'right' });
+
+      yPos += 14;
+      doc.moveTo(leftCol, yPos).lineTo(leftCol + pageWidth, yPos).stroke('#f5f5f5');
+      yPos += 5;
+    }
+
+    return { yPos, colWidths };
+  }
+
   /**
    * Generate Invoice PDF
    *
@@ -97,62 +272,8 @@ class InvoicePdfService {
         const leftCol = 40;
         const rightCol = doc.page.width - 230;
 
-        let yPos = 40;
-
         // ============== HEADER ==============
-        // Company Logo (left side)
-        let logoLoaded = false;
-        if (companyProfile?.logo_url && companyProfile.logo_storage_key) {
-          const logoDir = path.join(__dirname, '..', 'uploads', 'logos');
-          const logoPath = path.join(logoDir, companyProfile.logo_storage_key);
-          if (!fs.existsSync(logoPath) && companyProfile.logo_data) {
-            if (!fs.existsSync(logoDir)) fs.mkdirSync(logoDir, { recursive: true });
-            fs.writeFileSync(logoPath, Buffer.from(companyProfile.logo_data, 'base64'));
-          }
-          if (fs.existsSync(logoPath)) {
-            try {
-              doc.image(logoPath, leftCol, yPos, { width: 90 });
-              logoLoaded = true;
-            } catch (err) {
-              console.error('Error loading logo:', err.message);
-            }
-          }
-        }
-        if (!logoLoaded) {
-          const fallbackLogo = path.join(__dirname, '..', 'assets', 'company-logo.jpeg');
-          if (fs.existsSync(fallbackLogo)) {
-            try {
-              doc.image(fallbackLogo, leftCol, yPos, { width: 90 });
-            } catch (err) {
-              console.error('Error loading fallback logo:', err.message);
-            }
-          }
-        }
-
-        // Company Info (right side)
-        doc.fontSize(13).font('Helvetica-Bold');
-        doc.text(companyProfile?.company_name || 'Company Name', rightCol, yPos, { width: 200, align: 'right' });
-
-        yPos += 18;
-        doc.fontSize(8).font('Helvetica').fillColor('#666666');
-
-        const companyLines = [];
-        if (companyProfile?.tagline) companyLines.push(companyProfile.tagline);
-        if (companyProfile?.address_line_1) companyLines.push(companyProfile.address_line_1);
-        if (companyProfile?.address_line_2) companyLines.push(companyProfile.address_line_2);
-        const cityLine = [companyProfile?.city, companyProfile?.region_state, companyProfile?.country].filter(Boolean).join(', ');
-        if (cityLine) companyLines.push(cityLine);
-        if (companyProfile?.phone) companyLines.push(`Tel: ${companyProfile.phone}`);
-        if (companyProfile?.email) companyLines.push(companyProfile.email);
-        if (companyProfile?.website) companyLines.push(companyProfile.website);
-        if (companyProfile?.tax_id_or_tin) companyLines.push(`TIN: ${companyProfile.tax_id_or_tin}`);
-
-        for (const line of companyLines) {
-          doc.text(line, rightCol, yPos, { width: 200, align: 'right' });
-          yPos += 11;
-        }
-
-        yPos = Math.max(yPos, 120);
+        let yPos = this.renderHeader(doc, companyProfile);
 
         // ============== INVOICE TITLE ==============
         doc.fillColor('#000000');
@@ -232,81 +353,47 @@ class InvoicePdfService {
         yPos = Math.max(yPos + 20, custY + 8);
 
         // ============== LINE ITEMS TABLE ==============
-        doc.moveTo(leftCol, yPos).lineTo(leftCol + pageWidth, yPos).stroke('#cccccc');
-        yPos += 8;
-
-        // Table header
-        const colWidths = {
-          desc: 260,
-          qty: 45,
-          price: 95,
-          total: pageWidth - 260 - 45 - 95
-        };
-
-        doc.fontSize(8).font('Helvetica-Bold').fillColor('#666666');
-        doc.text('DESCRIPTION', leftCol, yPos);
-        doc.text('QTY', leftCol + colWidths.desc, yPos, { width: colWidths.qty, align: 'center' });
-        doc.text('UNIT PRICE', leftCol + colWidths.desc + colWidths.qty, yPos, { width: colWidths.price, align: 'right' });
-        doc.text('TOTAL', leftCol + colWidths.desc + colWidths.qty + colWidths.price, yPos, { width: colWidths.total, align: 'right' });
-
-        yPos += 13;
-        doc.moveTo(leftCol, yPos).lineTo(leftCol + pageWidth, yPos).stroke('#eeeeee');
-        yPos += 5;
-
-        // Table rows
-        doc.font('Helvetica').fillColor('#333333');
-
-        const items = (invoice.items || []).filter(item => !item.voided_at);
-        for (const item of items) {
-          if (yPos > doc.page.height - 100) {
-            doc.addPage();
-            yPos = 40;
-          }
-
-          const rowY = yPos;
-          let desc = item.description || 'Item';
-          if (item.asset) {
-            const assetInfo = [];
-            if (item.asset.make) assetInfo.push(item.asset.make);
-            if (item.asset.model) assetInfo.push(item.asset.model);
-            if (assetInfo.length > 0) desc = assetInfo.join(' ');
-
-            const subInfo = [];
-            if (item.asset.asset_tag) subInfo.push(item.asset.asset_tag);
-            if (item.asset.serial_number) subInfo.push(`S/N: ${item.asset.serial_number}`);
-
-            doc.fontSize(9).text(desc, leftCol, yPos, { width: colWidths.desc - 10 });
-
-            if (subInfo.length > 0) {
-              yPos += 11;
-              doc.fontSize(7).fillColor('#888888');
-              doc.text(subInfo.join(' · '), leftCol, yPos, { width: colWidths.desc - 10 });
-              doc.fillColor('#333333').fontSize(9);
-            }
-          } else {
-            doc.fontSize(9).text(desc, leftCol, yPos, { width: colWidths.desc - 10 });
-          }
-
-          doc.fontSize(9);
-          doc.text(item.quantity?.toString() || '1', leftCol + colWidths.desc, rowY, { width: colWidths.qty, align: 'center' });
-          doc.text(this.formatCurrency(item.unit_price_amount, invoice.currency), leftCol + colWidths.desc + colWidths.qty, rowY, { width: colWidths.price, align: 'right' });
-          doc.text(this.formatCurrency(item.line_total_amount, invoice.currency), leftCol + colWidths.desc + colWidths.qty + colWidths.price, rowY, { width: colWidths.total, align: 'right' });
-
-          yPos += 14;
-          doc.moveTo(leftCol, yPos).lineTo(leftCol + pageWidth, yPos).stroke('#f5f5f5');
-          yPos += 5;
-        }
+        const table = this.renderLineItems(doc, invoice.items || [], invoice.currency, yPos);
+        const { colWidths } = table;
+        yPos = table.yPos;
 
         // ============== TOTALS ==============
         yPos += 6;
         const totalsX = leftCol + colWidths.desc + colWidths.qty;
 
+        const taxLines = invoice.taxLines || [];
+        const taxAmount = parseFloat(invoice.tax_amount) || 0;
+
         doc.fontSize(9).font('Helvetica');
         doc.text('Subtotal:', totalsX, yPos, { width: colWidths.price, align: 'right' });
-        doc.text(this.formatCurrency(invoice.total_amount, invoice.currency), totalsX + colWidths.price, yPos, { width: colWidths.total, align: 'right' });
+        doc.text(this.formatCurrency(invoice.total_amount - taxAmount, invoice.currency), totalsX + colWidths.price, yPos, { width: colWidths.total, align: 'right' });
 
         yPos += 14;
 
+        // Tax breakdown (labels extend left of the price column to fit levy names)
+        if (taxLines.length > 0) {
+          const taxLabelX = totalsX - 80;
+          for (const line of taxLines) {
+            const rate = parseFloat(line.rate_percent);
+            doc.text(`${line.name} (${rate}%):`, taxLabelX, yPos, { width: colWidths.price + 80, align: 'right' });
+            doc.text(this.formatCurrency(line.tax_amount, invoice.currency), totalsX + colWidths.price, yPos, { width: colWidths.total, align: 'right' });
+            yPos += 12;
+          }
+
+          doc.font('Helvetica-Bold');
+          doc.text('Total:', totalsX, yPos, { width: colWidths.price, align: 'right' });
+          doc.text(this.formatCurrency(invoice.total_amount, invoice.currency), totalsX + colWidths.price, yPos, { width: colWidths.total, align: 'right' });
+          doc.font('Helvetica');
+          yPos += 14;
+
+          if (invoice.tax_mode === 'inclusive') {
+            doc.fontSize(7).fillColor('#666666');
+            doc.text('Prices include the taxes shown.', taxLabelX, yPos, { width: colWidths.price + 80 + colWidths.total, align: 'right' });
+            doc.fontSize(9).fillColor('#333333');
+            yPos += 12;
+          }
+        }
+
         if (invoice.amount_paid > 0) {
           doc.fillColor('#10b981');
           doc.text('Amount Paid:', totalsX, yPos, { width: colWidths.price, align: 'right' });
@@ -364,31 +451,7 @@ class InvoicePdfService {
         }
 
         // ============== FOOTER ==============
-        yPos += 20;
-        if (yPos < doc.page.height - 60) {
-          // Footer on same page
-          doc.moveTo(leftCol, yPos).lineTo(leftCol + pageWidth, yPos).stroke('#cccccc');
-
-          if (companyProfile?.notes_footer) {
-            doc.fontSize(8).font('Helvetica').fillColor('#666666');
-            doc.text(companyProfile.notes_footer, leftCol, yPos + 10, { width: pageWidth, align: 'center' });
-          }
-
-          doc.fontSize(7).fillColor('#999999');
-          doc.text(`Generated on ${new Date().toLocaleDateString('en-US')}`, leftCol, yPos + 28, { width: pageWidth, align: 'center' });
-        } else {
-          // Footer at bottom of last page
-          const footerY = doc.page.height - 55;
-          doc.moveTo(leftCol, footerY).lineTo(leftCol + pageWidth, footerY).stroke('#cccccc');
-
-          if (companyProfile?.notes_footer) {
-            doc.fontSize(8).font('Helvetica').fillColor('#666666');
-            doc.text(companyProfile.notes_footer, leftCol, footerY + 10, { width: pageWidth, align: 'center' });
-          }
-
-          doc.fontSize(7).fillColor('#999999');
-          doc.text(`Generated on ${new Date().toLocaleDateString('en-US')}`, leftCol, footerY + 28, { width: pageWidth, align: 'center' });
-        }
+        this.renderFooter(doc, yPos + 20, companyProfile);
 
         // PAID stamp watermark on all pages
         if (invoice.status === 'PAID') {
@@ -427,6 +490,488 @@ class InvoicePdfService {
     });
   }
 
+  /**
+   * Generate Quotation PDF
+   *
+   * @param {Object} quotation - Quotation data with items, customer and tax_lines
+   * @param {Object} companyProfile - Company profile data
+   * @param {string} existingToken - Optional existing token for regeneration
+   * @returns {Promise<{filePath: string, fileName: string, accessToken: string}>}
+   */
+  async generateQuotationPdf(quotation, companyProfile, existingToken = null) {
+    return new Promise((resolve, reject) => {
+      try {
+        const accessToken = existingToken || this.generateAccessToken();
+        const fileName = `quotation-${quotation.quotation_number}-${accessToken.substring(0, 8)}.pdf`;
+        const filePath = path.join(this.pdfDir, fileName);
+
+        const doc = new PDFDocument({
+          size: 'A4',
+          margin: 40,
+          info: {
+            Title: `Quotation ${quotation.quotation_number}`,
+            Author: companyProfile?.company_name || 'BizHub',
+            Subject: 'Quotation',
+            Creator: 'BizHub Invoice System'
+          }
+        });
+
+        const writeStream = fs.createWriteStream(filePath);
+        doc.pipe(writeStream);
+
+        const pageWidth = doc.page.width - 80;
+        const leftCol = 40;
+        const rightCol = doc.page.width - 230;
+
+        // ============== HEADER ==============
+        let yPos = this.renderHeader(doc, companyProfile);
+
+        // ============== QUOTATION TITLE ==============
+        doc.fillColor('#000000');
+        doc.moveTo(leftCol, yPos).lineTo(leftCol + pageWidth, yPos).stroke('#cccccc');
+        yPos += 12;
+
+        doc.fontSize(18).font('Helvetica-Bold').fillColor('#333333');
+        doc.text('QUOTATION', leftCol, yPos);
+        yPos += 28;
+
+        // ============== QUOTATION DETAILS ==============
+        const detailsYStart = yPos;
+        doc.fontSize(9).font('Helvetica-Bold').fillColor('#333333');
+        doc.text('Quote Number:', leftCol, yPos);
+        doc.font('Helvetica').text(quotation.quotation_number, leftCol + 90, yPos);
+
+        yPos += 13;
+        doc.font('Helvetica-Bold').text('Date:', leftCol, yPos);
+        doc.font('Helvetica').text(this.formatDate(quotation.quote_date), leftCol + 90, yPos);
+
+        yPos += 13;
+        doc.font('Helvetica-Bold').text('Valid Until:', leftCol, yPos);
+        doc.font('Helvetica').text(this.formatDate(quotation.valid_until), leftCol + 90, yPos);
+
+        yPos += 13;
+        doc.font('Helvetica-Bold').text('Currency:', leftCol, yPos);
+        doc.font('Helvetica').text(quotation.currency, leftCol + 90, yPos);
+
+        // Right: Customer info
+        let custY = detailsYStart;
+        doc.font('Helvetica-Bold').text('Prepared For:', rightCol, custY);
+        custY += 13;
+
+        if (quotation.customer) {
+          doc.text(quotation.customer.displayName || 'Customer', rightCol, custY, { width: 200 });
+          custY += 12;
+          doc.font('Helvetica');
+
+          if (quotation.customer.company_name && quotation.customer.first_name) {
+            doc.text(quotation.customer.company_name, rightCol, custY, { width: 200 });
+            custY += 11;
+          }
+          for (const line of [quotation.customer.phone_e164, quotation.customer.email, quotation.customer.address].filter(Boolean)) {
+            doc.text(line, rightCol, custY, { width: 200 });
+            custY += 11;
+          }
+        } else {
+          doc.font('Helvetica').text('—', rightCol, custY);
+        }
+
+        yPos = Math.max(yPos + 20, custY + 8);
+
+        // ============== LINE ITEMS TABLE ==============
+        const table = this.renderLineItems(doc, quotation.items || [], quotation.currency, yPos);
+        const { colWidths } = table;
+        yPos = table.yPos;
+
+        // ============== TOTALS ==============
+        yPos += 6;
+        const totalsX = leftCol + colWidths.desc + colWidths.qty;
+        const taxLabelX = totalsX - 80;
+
+        doc.fontSize(9).font('Helvetica');
+        doc.text('Subtotal:', totalsX, yPos, { width: colWidths.price, align: 'right' });
+        doc.text(this.formatCurrency(quotation.subtotal_amount, quotation.currency), totalsX + colWidths.price, yPos, { width: colWidths.total, align: 'right' });
+        yPos += 14;
+
+        if (quotation.discount_amount > 0) {
+          doc.text('Discount:', totalsX, yPos, { width: colWidths.price, align: 'right' });
+          doc.text(`-${this.formatCurrency(quotation.discount_amount, quotation.currency)}`, totalsX + colWidths.price, yPos, { width: colWidths.total, align: 'right' });
+          yPos += 14;
+        }
+
+        for (const line of quotation.tax_lines || []) {
+          const rate = parseFloat(line.rate_percent);
+          doc.text(`${line.name} (${rate}%):`, taxLabelX, yPos, { width: colWidths.price + 80, align: 'right' });
+          doc.text(this.formatCurrency(line.tax_amount, quotation.currency), totalsX + colWidths.price, yPos, { width: colWidths.total, align: 'right' });
+          yPos += 12;
+        }
+
+        doc.font('Helvetica-Bold').fontSize(10);
+        doc.text('Total:', totalsX, yPos, { width: colWidths.price, align: 'right' });
+        doc.text(this.formatCurrency(quotation.total_amount, quotation.currency), totalsX + colWidths.price, yPos, { width: colWidths.total, align: 'right' });
+        yPos += 14;
+
+        if (quotation.tax_mode === 'inclusive' && (quotation.tax_lines || []).length > 0) {
+          doc.fontSize(7).font('Helvetica').fillColor('#666666');
+          doc.text('Prices include the taxes shown.', taxLabelX, yPos, { width: colWidths.price + 80 + colWidths.total, align: 'right' });
+          doc.fillColor('#333333');
+          yPos += 12;
+        }
+
+        // ============== TERMS ==============
+        yPos += 16;
+        if (yPos > doc.page.height - 120) {
+          doc.addPage();
+          yPos = 40;
+        }
+
+        doc.fontSize(8).font('Helvetica').fillColor('#666666');
+        doc.text(
+          `This quotation is valid until ${this.formatDate(quotation.valid_until)}. ` +
+          'Stock is not reserved; availability is confirmed when the order is placed.',
+          leftCol, yPos, { width: pageWidth }
+        );
+        yPos += 24;
+
+        if (quotation.notes) {
+          doc.fillColor('#333333').font('Helvetica-Bold').text('Notes', leftCol, yPos);
+          yPos += 11;
+          doc.font('Helvetica').text(quotation.notes, leftCol, yPos, { width: pageWidth });
+          yPos = doc.y + 8;
+        }
+
+        // ============== FOOTER ==============
+        this.renderFooter(doc, yPos + 10, companyProfile);
+
+        doc.end();
+
+        writeStream.on('finish', () => {
+          resolve({
+            filePath,
+            fileName,
+            accessToken
+          });
+        });
+
+        writeStream.on('error', (err) => {
+          reject(err);
+        });
+
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Generate Customer Statement PDF
+   *
+   * @param {Object} statement - from customerStatementService.buildStatement
+   * @param {Object} companyProfile - Company profile data
+   * @param {string} existingToken - Optional existing token for regeneration
+   * @returns {Promise<{filePath: string, fileName: string, accessToken: string}>}
+   */
+  async generateStatementPdf(statement, companyProfile, existingToken = null) {
+    return new Promise((resolve, reject) => {
+      try {
+        const accessToken = existingToken || this.generateAccessToken();
+        const fileName = `statement-${statement.customer.id}-${accessToken.substring(0, 8)}.pdf`;
+        const filePath = path.join(this.pdfDir, fileName);
+
+        const doc = new PDFDocument({
+          size: 'A4',
+          margin: 40,
+          info: {
+            Title: `Statement of Account — ${statement.customer.displayName}`,
+            Author: companyProfile?.company_name || 'BizHub',
+            Subject: 'Statement of Account',
+            Creator: 'BizHub Invoice System'
+          }
+        });
+
+        const writeStream = fs.createWriteStream(filePath);
+        doc.pipe(writeStream);
+
+        const pageWidth = doc.page.width - 80;
+        const leftCol = 40;
+        const rightCol = doc.page.width - 230;
+
+        // ============== HEADER ==============
+        let yPos = this.renderHeader(doc, companyProfile);
+
+        // ============== STATEMENT TITLE ==============
+        doc.fillColor('#000000');
+        doc.moveTo(leftCol, yPos).lineTo(leftCol + pageWidth, yPos).stroke('#cccccc');
+        yPos += 12;
+
+        doc.fontSize(18).font('Helvetica-Bold').fillColor('#333333');
+        doc.text('STATEMENT OF ACCOUNT', leftCol, yPos);
+        yPos += 28;
+
+        const detailsYStart = yPos;
+        const { period, customer } = statement;
+        doc.fontSize(9).font('Helvetica-Bold').fillColor('#333333');
+        doc.text('Period:', leftCol, yPos);
+        doc.font('Helvetica').text(
+          period.from ? `${this.formatDate(period.from)} – ${this.formatDate(period.to)}` : `All activity to ${this.formatDate(period.to)}`,
+          leftCol + 90, yPos, { width: 200 }
+        );
+        yPos += 13;
+        doc.font('Helvetica-Bold').text('Date:', leftCol, yPos);
+        doc.font('Helvetica').text(this.formatDate(statement.generated_at), leftCol + 90, yPos);
+
+        // Right: Customer info
+        let custY = detailsYStart;
+        doc.font('Helvetica-Bold').text('Customer:', rightCol, custY);
+        custY += 13;
+        doc.text(customer.displayName, rightCol, custY, { width: 200 });
+        custY += 12;
+        doc.font('Helvetica');
+        for (const line of [customer.phone_e164, customer.email, customer.address].filter(Boolean)) {
+          doc.text(line, rightCol, custY, { width: 200 });
+          custY += 11;
+        }
+
+        yPos = Math.max(yPos + 20, custY + 8);
+
+        // ============== LEDGER, ONE SECTION PER CURRENCY ==============
+        const cols = { date: 70, ref: 105, desc: 135, debit: 70, credit: 70 };
+        cols.balance = pageWidth - cols.date - cols.ref - cols.desc - cols.debit - cols.credit;
+        const x = {
+          date: leftCol,
+          ref: leftCol + cols.date,
+          desc: leftCol + cols.date + cols.ref,
+          debit: leftCol + cols.date + cols.ref + cols.desc,
+          credit: leftCol + cols.date + cols.ref + cols.desc + cols.debit,
+          balance: leftCol + cols.date + cols.ref + cols.desc + cols.debit + cols.credit
+        };
+
+        const tableHeader = () => {
+          doc.fontSize(8).font('Helvetica-Bold').fillColor('#666666');
+          doc.text('DATE', x.date, yPos);
+          doc.text('REFERENCE', x.ref, yPos);
+          doc.text('DETAILS', x.desc, yPos);
+          doc.text('CHARGES', x.debit, yPos, { width: cols.debit, align: 'right' });
+          doc.text('CREDITS', x.credit, yPos, { width: cols.credit, align: 'right' });
+          doc.text('BALANCE', x.balance, yPos, { width: cols.balance, align: 'right' });
+          yPos += 12;
+          doc.moveTo(leftCol, yPos).lineTo(leftCol + pageWidth, yPos).stroke('#eeeeee');
+          yPos += 5;
+          doc.font('Helvetica').fillColor('#333333');
+        };
+
+        if (statement.sections.length === 0) {
+          doc.fontSize(9).font('Helvetica').fillColor('#666666');
+          doc.text('No account activity.', leftCol, yPos);
+          yPos += 20;
+        }
+
+        for (const section of statement.sections) {
+          const money = amount => this.formatCurrency(amount, section.currency);
+
+          if (yPos > doc.page.height - 140) {
+            doc.addPage();
+            yPos = 40;
+          }
+          doc.fontSize(10).font('Helvetica-Bold').fillColor('#333333');
+          doc.text(`${section.currency} Account`, leftCol, yPos);
+          yPos += 16;
+          tableHeader();
+
+          doc.fontSize(8);
+          doc.text('Opening balance', x.desc, yPos, { width: cols.desc });
+          doc.text(money(section.opening_balance), x.balance, yPos, { width: cols.balance, align: 'right' });
+          yPos += 13;
+
+          for (const line of section.lines) {
+            if (yPos > doc.page.height - 80) {
+              doc.addPage();
+              yPos = 40;
+              tableHeader();
+            }
+            const isMemo = !line.debit && !line.credit;
+            doc.fontSize(8).fillColor(isMemo ? '#888888' : '#333333');
+            doc.text(this.formatDate(line.date), x.date, yPos, { width: cols.date - 5 });
+            doc.text(line.reference || '—', x.ref, yPos, { width: cols.ref - 5 });
+            doc.text(isMemo ? `${line.description} ${money(line.memo_amount)}` : line.description, x.desc, yPos, { width: cols.desc - 5 });
+            if (line.debit) doc.text(money(line.debit), x.debit, yPos, { width: cols.debit, align: 'right' });
+            if (line.credit) doc.text(money(line.credit), x.credit, yPos, { width: cols.credit, align: 'right' });
+            if (!isMemo) doc.text(money(line.balance), x.balance, yPos, { width: cols.balance, align: 'right' });
+            yPos += 13;
+          }
+
+          doc.moveTo(leftCol, yPos).lineTo(leftCol + pageWidth, yPos).stroke('#cccccc');
+          yPos += 6;
+          doc.font('Helvetica-Bold').fontSize(9);
+          doc.fillColor(section.closing_balance > 0 ? '#dc2626' : '#333333');
+          doc.text('Balance Due:', x.credit - 40, yPos, { width: cols.credit + 40, align: 'right' });
+          doc.text(money(section.closing_balance), x.balance, yPos, { width: cols.balance, align: 'right' });
+          doc.fillColor('#333333').font('Helvetica');
+          yPos += 24;
+        }
+
+        if (statement.available_store_credit.length > 0) {
+          doc.fontSize(9).font('Helvetica').fillColor('#10b981');
+          const credits = statement.available_store_credit.map(c => this.formatCurrency(c.amount, c.currency)).join(', ');
+          doc.text(`Store credit available: ${credits}`, leftCol, yPos, { width: pageWidth });
+          doc.fillColor('#333333');
+          yPos += 16;
+        }
+
+        // ============== FOOTER ==============
+        this.renderFooter(doc, yPos + 10, companyProfile);
+
+        doc.end();
+
+        writeStream.on('finish', () => {
+          resolve({
+            filePath,
+            fileName,
+            accessToken
+          });
+        });
+
+        writeStream.on('error', (err) => {
+          reject(err);
+        });
+
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Cash drawer Z-report (X-report while the session is open) on an 80mm
+   * receipt roll. The page is as long as the report needs.
+   * @param {Object} report - from cashDrawerController buildReport
+   */
+  async generateZReportPdf(report, companyProfile) {
+    return new Promise((resolve, reject) => {
+      try {
+        const { session, takings_by_method: takings } = report;
+        const accessToken = this.generateAccessToken();
+        const fileName = `zreport-${session.session_number}-${accessToken.substring(0, 8)}.pdf`;
+        const filePath = path.join(this.pdfDir, fileName);
+
+        const width = 227; // 80mm
+        const margin = 10;
+        const lineWidth = width - margin * 2;
+        const height = 330 + 12 * (takings.length + session.movements.length);
+
+        const doc = new PDFDocument({
+          size: [width, height],
+          margin,
+          info: {
+            Title: `${report.report_type}-Report ${session.session_number}`,
+            Author: companyProfile?.company_name || 'BizHub',
+            Subject: 'Cash Drawer Report',
+            Creator: 'BizHub Invoice System'
+          }
+        });
+
+        const writeStream = fs.createWriteStream(filePath);
+        doc.pipe(writeStream);
+
+        const money = amount => this.formatCurrency(amount, session.currency);
+        const dateTime = value => (value ? new Date(value).toLocaleString('en-US', {
+          year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        }) : '—');
+
+        let yPos = margin;
+        const row = (label, value, { bold = false } = {}) => {
+          doc.fontSize(8).font(bold ? 'Helvetica-Bold' : 'Helvetica').fillColor('#000000');
+          doc.text(label, margin, yPos, { width: lineWidth * 0.6 });
+          doc.text(value, margin + lineWidth * 0.4, yPos, { width: lineWidth * 0.6, align: 'right' });
+          yPos += 12;
+        };
+        const rule = () => {
+          yPos += 2;
+          doc.moveTo(margin, yPos).lineTo(width - margin, yPos).dash(2, { space: 2 }).stroke('#000000').undash();
+          yPos += 6;
+        };
+        const heading = text => {
+          doc.fontSize(8).font('Helvetica-Bold').fillColor('#000000');
+          doc.text(text, margin, yPos, { width: lineWidth });
+          yPos += 12;
+        };
+
+        // ============== HEADER ==============
+        doc.fontSize(10).font('Helvetica-Bold').fillColor('#000000');
+        doc.text(companyProfile?.company_name || 'Company Name', margin, yPos, { width: lineWidth, align: 'center' });
+        yPos += 14;
+        doc.fontSize(11);
+        doc.text(report.report_type === 'Z' ? 'Z-REPORT' : 'X-REPORT (INTERIM)', margin, yPos, { width: lineWidth, align: 'center' });
+        yPos += 16;
+
+        row('Session', session.session_number);
+        row('Cashier', session.cashier?.full_name || '—');
+        if (session.location) row('Location', session.location.name);
+        if (session.register_name) row('Register', session.register_name);
+        row('Opened', dateTime(session.opened_at));
+        row('Closed', dateTime(session.closed_at));
+        if (session.closer && session.closer.id !== session.cashier?.id) row('Closed by', session.closer.full_name);
+        rule();
+
+        // ============== CASH ==============
+        const { summary } = session;
+        heading('CASH');
+        row('Opening float', money(summary.opening_float));
+        row('Cash sales', money(summary.cash_sales));
+        row('Cash refunds', money(-summary.cash_refunds));
+        row('Cash in', money(summary.cash_in));
+        row('Cash out', money(-summary.cash_out));
+        row('Expected in drawer', money(summary.expected), { bold: true });
+        if (summary.counted !== null) {
+          row('Counted', money(summary.counted), { bold: true });
+          const label = summary.over_short > 0 ? 'Over' : summary.over_short < 0 ? 'Short' : 'Over/Short';
+          row(label, money(summary.over_short), { bold: true });
+        }
+        rule();
+
+        // ============== MOVEMENTS ==============
+        if (session.movements.length > 0) {
+          heading('CASH IN / OUT');
+          for (const movement of session.movements) {
+            const signed = movement.movement_type === 'cash_out' ? -movement.amount : movement.amount;
+            row(movement.reason_label, money(signed));
+          }
+          rule();
+        }
+
+        // ============== TAKINGS BY METHOD ==============
+        heading('TAKINGS BY METHOD');
+        if (takings.length === 0) {
+          row('No payments', money(0));
+        }
+        for (const method of takings) {
+          row(`${method.method} (${method.count})`, money(method.net));
+        }
+        row('Total', money(takings.reduce((sum, method) => sum + method.net, 0)), { bold: true });
+        rule();
+
+        doc.fontSize(7).font('Helvetica').fillColor('#000000');
+        doc.text(`Printed ${dateTime(report.generated_at)}`, margin, yPos, { width: lineWidth, align: 'center' });
+
+        doc.end();
+
+        writeStream.on('finish', () => {
+          resolve({
+            filePath,
+            fileName,
+            accessToken
+          });
+        });
+
+        writeStream.on('error', (err) => {
+          reject(err);
+        });
+
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
   /**
    * Get PDF file path by invoice and token
    */
@@ -457,6 +1002,84 @@ class InvoicePdfService {
       console.error('Error cleaning up old PDFs:', err.message);
     }
   }
+
+  /**
+   * Get statement PDF file path by customer and token
+   */
+  getStatementPdfPath(customerId, token) {
+    const files = fs.readdirSync(this.pdfDir);
+    const matchingFile = files.find(f =>
+      f.startsWith(`statement-${customerId}-`) && f.includes(token.substring(0, 8))
+    );
+
+    if (matchingFile) {
+      return path.join(this.pdfDir, matchingFile);
+    }
+    return null;
+  }
+
+  /**
+   * Delete old statement PDFs for a customer (cleanup)
+   */
+  cleanupOldStatementPdfs(customerId) {
+    try {
+      const files = fs.readdirSync(this.pdfDir);
+      const oldFiles = files.filter(f => f.startsWith(`statement-${customerId}-`));
+
+      for (const file of oldFiles) {
+        fs.unlinkSync(path.join(this.pdfDir, file));
+      }
+    } catch (err) {
+      console.error('Error cleaning up old statement PDFs:', err.message);
+    }
+  }
+  /**
+   * Get quotation PDF file path by quotation number and token
+   */
+  getQuotationPdfPath(quotationNumber, token) {
+    const files = fs.readdirSync(this.pdfDir);
+    const matchingFile = files.find(f =>
+      f.startsWith(`quotation-${quotationNumber}-`) && f.includes(token.substring(0, 8))
+    );
+
+    if (matchingFile) {
+      return path.join(this.pdfDir, matchingFile);
+    }
+    return null;
+  }
+
+  /**
+   * Delete old PDFs for a quotation (cleanup)
+   */
+  cleanupOldQuotationPdfs(quotationNumber) {
+    try {
+      const files = fs.readdirSync(this.pdfDir);
+      const oldFiles = files.filter(f => f.startsWith(`quotation-${quotationNumber}-`));
+
+      for (const file of oldFiles) {
+        fs.unlinkSync(path.join(this.pdfDir, file));
+      }
+    } catch (err) {
+      console.error('Error cleaning up old quotation PDFs:', err.message);
+    }
+  }
+
+  /**
+   * Delete old Z-report PDFs for a cash drawer session (cleanup)
+   */
+  cleanupOldZReportPdfs(sessionNumber) {
+    try {
+      const files = fs.readdirSync(this.pdfDir);
+      const oldFiles = files.filter(f => f.startsWith(`zreport-${sessionNumber}-`));
+
+      for (const file of oldFiles) {
+        fs.unlinkSync(path.join(this.pdfDir, file));
+      }
+    } catch (err) {
+      console.error('Error cleaning up old Z-report PDFs:', err.message);
+    }
+  }
+
 }
 
 module.exports = new InvoicePdfService();
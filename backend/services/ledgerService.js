@@ -0,0 +1,622 @@
+/**
+ * Ledger Service
+ *
+ * Double-entry general ledger. The operational flows post journal entries
+ * as they happen:
+ *   invoice payment      - Dr cash/MoMo/bank, Cr sales and taxes payable for
+ *                          the paid share of the invoice, with the same
+ *                          share of its cost moved from inventory to COGS
+ *   refund               - Dr sales returns and taxes payable, Cr cash/MoMo/bank
+ *   store credit issued  - Dr sales returns (warranty claims: warranty
+ *                          claims expense), Cr customer store credit
+ *   store credit applied - as a payment, paid from customer store credit
+ *   return finalized     - cost of the returned items back into inventory
+ *   expense              - Dr operating expenses, Cr cash; write-off
+ *                          expenses Dr inventory write-offs, Cr inventory
+ *
+ * Sales are recognized as they are paid, matching the collected figures in
+ * the P&L. The ledger is kept in GHS: amounts recorded in another currency
+ * are converted at the cached rate for the date the money moved.
+ *
+ * A voided or edited source is reversed on the date it was originally
+ * posted, so nothing can change inside a closed period: posting to one
+ * fails with PERIOD_CLOSED.
+ *
+ * The automatic postings run in model hooks, inside the transaction of the
+ * write that triggers them. If one can't be posted - PERIOD_CLOSED (409),
+ * LEDGER_NOT_SET_UP when a system account is missing (409), or
+ * FX_RATE_UNAVAILABLE (409) - the payment, credit or expense is not saved
+ * either, and the error reaches the client with its status.
+ */
+
+const ACCOUNT_TYPES = ['asset', 'liability', 'equity', 'revenue', 'expense'];
+
+const LEDGER_CURRENCY = 'GHS';
+
+// Codes of the seeded system accounts the automatic postings use
+const ACCOUNTS = {
+  CASH: '1000',
+  MOBILE_MONEY: '1010',
+  BANK: '1020',
+  INVENTORY: '1200',
+  STORE_CREDIT: '2100',
+  TAXES_PAYABLE: '2200',
+  CUSTOMER_DEPOSITS: '2300',
+  OWNERS_EQUITY: '3000',
+  RETAINED_EARNINGS: '3100',
+  SALES: '4000',
+  SALES_RETURNS: '4100',
+  COGS: '5000',
+  WRITE_OFFS: '5100',
+  WARRANTY_CLAIMS: '5200',
+  OPERATING_EXPENSES: '6000'
+};
+
+const PAYMENT_METHOD_ACCOUNTS = {
+  Cash: ACCOUNTS.CASH,
+  MoMo: ACCOUNTS.MOBILE_MONEY,
+  Card: ACCOUNTS.BANK,
+  ACH: ACCOUNTS.BANK,
+  Other: ACCOUNTS.CASH
+};
+
+const round2 = n => Math.round(n * 100) / 100;
+
+/**
+ * YYYY-MM-DD for a Date or date string (local time, like expense dates)
+ */
+function toDateOnly(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(date)) return date.substring(0, 10);
+  const d = date ? new Date(date) : new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function periodOf(date) {
+  return toDateOnly(date).substring(0, 7);
+}
+
+function isValidPeriod(period) {
+  return /^\d{4}-(0[1-9]|1[0-2])$/.test(String(period || ''));
+}
+
+/**
+ * The part of an invoice an amount settles: its tax and cost shares
+ * @param {number} amount
+ * @param {{ total_amount, tax_amount, total_cost_amount }} invoice
+ */
+function invoiceShare(amount, invoice) {
+  const total = parseFloat(invoice?.total_amount) || 0;
+  const share = total > 0 ? Math.min(amount / total, 1) : 0;
+  const tax = round2((parseFloat(invoice?.tax_amount) || 0) * share);
+  return {
+    net: round2(amount - tax),
+    tax,
+    cost: round2((parseFloat(invoice?.total_cost_amount) || 0) * share)
+  };
+}
+
+/**
+ * An invoice's totals in the ledger currency, at `rate`
+ * @param {{ invoice_number, total_amount, tax_amount, total_cost_amount }|null} invoice
+ */
+function invoiceInLedgerCurrency(invoice, rate) {
+  if (!invoice || rate === 1) return invoice;
+  return {
+    invoice_number: invoice.invoice_number,
+    total_amount: round2((parseFloat(invoice.total_amount) || 0) * rate),
+    tax_amount: round2((parseFloat(invoice.tax_amount) || 0) * rate),
+    total_cost_amount: round2((parseFloat(invoice.total_cost_amount) || 0) * rate)
+  };
+}
+
+/**
+ * Payment (or store credit applied) on an invoice
+ */
+function saleLines(amount, invoice, debitAccount) {
+  const { net, tax, cost } = invoiceShare(amount, invoice);
+  return [
+    { account: debitAccount, debit: amount },
+    { account: ACCOUNTS.SALES, credit: net },
+    { account: ACCOUNTS.TAXES_PAYABLE, credit: tax },
+    { account: ACCOUNTS.COGS, debit: cost },
+    { account: ACCOUNTS.INVENTORY, credit: cost }
+  ];
+}
+
+/**
+ * Money or store credit given back on an invoice. Cost stays in COGS until
+ * the goods come back (returnRestockLines).
+ */
+function refundLines(amount, invoice, creditAccount) {
+  const { net, tax } = invoice ? invoiceShare(amount, invoice) : { net: amount, tax: 0 };
+  return [
+    { account: ACCOUNTS.SALES_RETURNS, debit: net },
+    { account: ACCOUNTS.TAXES_PAYABLE, debit: tax },
+    { account: creditAccount, credit: amount }
+  ];
+}
+
+/**
+ * Preorder money held against goods not yet invoiced: a deposit or top-up
+ * (or, with isRefund, money given back out of deposits)
+ */
+function depositLines(amount, methodAccount, isRefund = false) {
+  return isRefund
+    ? [
+      { account: ACCOUNTS.CUSTOMER_DEPOSITS, debit: amount },
+      { account: methodAccount, credit: amount }
+    ]
+    : [
+      { account: methodAccount, debit: amount },
+      { account: ACCOUNTS.CUSTOMER_DEPOSITS, credit: amount }
+    ];
+}
+
+function returnRestockLines(cost) {
+  return [
+    { account: ACCOUNTS.INVENTORY, debit: cost },
+    { account: ACCOUNTS.COGS, credit: cost }
+  ];
+}
+
+/**
+ * @param {{ amount_local, source_type }} expense
+ * @param {number} [rate] - from the expense's currency to the ledger currency
+ */
+function expenseLines(expense, rate = 1) {
+  const amount = round2((parseFloat(expense.amount_local) || 0) * rate);
+  if (expense.source_type === 'write_off') {
+    return [
+      { account: ACCOUNTS.WRITE_OFFS, debit: amount },
+      { account: ACCOUNTS.INVENTORY, credit: amount }
+    ];
+  }
+  return [
+    { account: ACCOUNTS.OPERATING_EXPENSES, debit: amount },
+    { account: ACCOUNTS.CASH, credit: amount }
+  ];
+}
+
+function reverseLines(lines) {
+  return lines.map(line => ({
+    account: line.account,
+    debit: line.credit || 0,
+    credit: line.debit || 0,
+    memo: line.memo
+  }));
+}
+
+/**
+ * Round, drop empty lines and check debits equal credits
+ * @throws {Error} UNBALANCED_ENTRY
+ */
+function balanceLines(lines) {
+  const fail = message => Object.assign(new Error(message), { code: 'UNBALANCED_ENTRY', statusCode: 400 });
+
+  const cleaned = lines
+    .map(line => ({ ...line, debit: round2(parseFloat(line.debit) || 0), credit: round2(parseFloat(line.credit) || 0) }))
+    .filter(line => line.debit !== 0 || line.credit !== 0);
+
+  for (const line of cleaned) {
+    if (line.debit < 0 || line.credit < 0 || (line.debit > 0 && line.credit > 0)) {
+      throw fail('Each line must be a positive debit or a positive credit');
+    }
+  }
+  const debits = round2(cleaned.reduce((sum, l) => sum + l.debit, 0));
+  const credits = round2(cleaned.reduce((sum, l) => sum + l.credit, 0));
+  if (cleaned.length < 2 || debits === 0) {
+    throw fail('An entry needs at least one debit and one credit');
+  }
+  if (debits !== credits) {
+    throw fail(`Debits (${debits.toFixed(2)}) do not equal credits (${credits.toFixed(2)})`);
+  }
+  return cleaned;
+}
+
+/**
+ * Debit-positive balance of an account in its normal direction
+ */
+function normalBalance(row) {
+  const net = round2((parseFloat(row.debit) || 0) - (parseFloat(row.credit) || 0));
+  return row.normal_balance === 'credit' ? round2(-net) : net;
+}
+
+/**
+ * @param {Array<{ code, name, type, normal_balance, debit, credit }>} rows - totals per account
+ */
+function buildTrialBalance(rows) {
+  const accounts = rows
+    .filter(row => (parseFloat(row.debit) || 0) !== 0 || (parseFloat(row.credit) || 0) !== 0)
+    .map(row => {
+      const net = round2((parseFloat(row.debit) || 0) - (parseFloat(row.credit) || 0));
+      return {
+        code: row.code,
+        name: row.name,
+        type: row.type,
+        debit: net > 0 ? net : 0,
+        credit: net < 0 ? -net : 0
+      };
+    })
+    .sort((a, b) => a.code.localeCompare(b.code));
+
+  const totals = {
+    debit: round2(accounts.reduce((sum, a) => sum + a.debit, 0)),
+    credit: round2(accounts.reduce((sum, a) => sum + a.credit, 0))
+  };
+  return { accounts, totals, balanced: totals.debit === totals.credit };
+}
+
+/**
+ * Assets = liabilities + equity, with revenue less expenses not yet closed
+ * to retained earnings shown as current earnings
+ */
+function buildBalanceSheet(rows) {
+  const section = type => {
+    const accounts = rows
+      .filter(row => row.type === type)
+      .map(row => ({ code: row.code, name: row.name, balance: normalBalance(row) }))
+      .filter(a => a.balance !== 0)
+      .sort((a, b) => a.code.localeCompare(b.code));
+    return { accounts, total: round2(accounts.reduce((sum, a) => sum + a.balance, 0)) };
+  };
+  const sumType = type => rows
+    .filter(row => row.type === type)
+    .reduce((sum, row) => sum + (parseFloat(row.debit) || 0) - (parseFloat(row.credit) || 0), 0);
+
+  const assets = section('asset');
+  const liabilities = section('liability');
+  const equity = section('equity');
+  const currentEarnings = round2(-(sumType('revenue') + sumType('expense')));
+  equity.current_earnings = currentEarnings;
+  equity.total = round2(equity.total + currentEarnings);
+
+  const liabilitiesAndEquity = round2(liabilities.total + equity.total);
+  return {
+    assets,
+    liabilities,
+    equity,
+    total_liabilities_and_equity: liabilitiesAndEquity,
+    balanced: assets.total === liabilitiesAndEquity
+  };
+}
+
+// ─── Database ───
+
+function periodClosedError(period) {
+  return Object.assign(
+    new Error(`Accounting period ${period} is closed`),
+    { code: 'PERIOD_CLOSED', statusCode: 409 }
+  );
+}
+
+async function isPeriodClosed(period, transaction = null) {
+  const { AccountingPeriod } = require('../models');
+  const row = await AccountingPeriod.findOne({ where: { period, status: 'closed' }, transaction });
+  return !!row;
+}
+
+/**
+ * @throws {Error} PERIOD_CLOSED
+ */
+async function assertPeriodOpen(date, transaction = null) {
+  const period = periodOf(date);
+  if (await isPeriodClosed(period, transaction)) throw periodClosedError(period);
+}
+
+/**
+ * Rate from `currency` to the ledger currency on a date
+ * @throws {Error} FX_RATE_UNAVAILABLE
+ */
+async function ledgerRate(currency, date) {
+  if (!currency || currency === LEDGER_CURRENCY) return 1;
+  const { getHistoricalFxRate } = require('./exchangeRateService');
+  const rate = await getHistoricalFxRate(toDateOnly(date), currency, LEDGER_CURRENCY);
+  if (!rate) {
+    throw Object.assign(
+      new Error(`No ${currency}/${LEDGER_CURRENCY} exchange rate to post this to the ledger`),
+      { code: 'FX_RATE_UNAVAILABLE', statusCode: 409 }
+    );
+  }
+  return rate;
+}
+
+/**
+ * Post a balanced entry, in the ledger currency
+ * @param {Object} entry
+ * @param {string|Date} entry.date
+ * @param {string} entry.description
+ * @param {string} entry.sourceType
+ * @param {string|number} [entry.sourceId]
+ * @param {Array<{ account: string, debit?: number, credit?: number, memo?: string }>} entry.lines - account codes
+ * @param {number} [entry.userId]
+ * @param {number} [entry.reversesEntryId]
+ * @param {Transaction} [transaction]
+ * @returns {Promise<JournalEntry|null>} null when there is nothing to post
+ * @throws {Error} UNBALANCED_ENTRY, PERIOD_CLOSED, ACCOUNT_NOT_FOUND (manual
+ *   entries) or LEDGER_NOT_SET_UP (automatic postings)
+ */
+async function postEntry({ date, description, sourceType, sourceId = null, lines, userId = null, reversesEntryId = null }, transaction = null) {
+  const { JournalEntry, JournalLine, LedgerAccount } = require('../models');
+
+  if (lines.every(line => !round2(parseFloat(line.debit) || 0) && !round2(parseFloat(line.credit) || 0))) {
+    return null;
+  }
+  const balanced = balanceLines(lines);
+  const entryDate = toDateOnly(date);
+  await assertPeriodOpen(entryDate, transaction);
+
+  const codes = [...new Set(balanced.map(l => l.account))];
+  const accounts = await LedgerAccount.findAll({ where: { code: codes }, transaction });
+  const idByCode = new Map(accounts.map(a => [a.code, a.id]));
+  const missing = codes.filter(code => !idByCode.has(code));
+  if (missing.length > 0 && sourceType === 'manual') {
+    throw Object.assign(new Error(`Unknown ledger account(s): ${missing.join(', ')}`), { code: 'ACCOUNT_NOT_FOUND', statusCode: 400 });
+  }
+  if (missing.length > 0) {
+    // A system account the automatic postings rely on was never seeded
+    throw Object.assign(
+      new Error(`The general ledger is not set up: system account(s) ${missing.join(', ')} are missing`),
+      { code: 'LEDGER_NOT_SET_UP', statusCode: 409 }
+    );
+  }
+
+  const entry = await JournalEntry.create({
+    entry_date: entryDate,
+    period: periodOf(entryDate),
+    description: String(description).substring(0, 500),
+    source_type: sourceType,
+    source_id: sourceId === null ? null : String(sourceId),
+    reverses_entry_id: reversesEntryId,
+    created_by: userId
+  }, { transaction });
+
+  entry.lines = await JournalLine.bulkCreate(balanced.map(line => ({
+    entry_id: entry.id,
+    account_id: idByCode.get(line.account),
+    debit: line.debit,
+    credit: line.credit,
+    memo: line.memo || null
+  })), { transaction });
+
+  return entry;
+}
+
+/**
+ * Reverse an entry on its own date
+ * @throws {Error} ALREADY_REVERSED, PERIOD_CLOSED
+ */
+async function reverseEntry(entry, { userId = null, description = null } = {}, transaction = null) {
+  const { JournalLine, LedgerAccount } = require('../models');
+
+  if (entry.reversed_by_entry_id || entry.reverses_entry_id) {
+    throw Object.assign(new Error('This entry has already been reversed or is itself a reversal'), { code: 'ALREADY_REVERSED', statusCode: 409 });
+  }
+
+  const lines = await JournalLine.findAll({
+    where: { entry_id: entry.id },
+    include: [{ model: LedgerAccount, as: 'account', attributes: ['code'] }],
+    transaction
+  });
+  const reversal = await postEntry({
+    date: entry.entry_date,
+    description: description || `Reversal: ${entry.description}`,
+    sourceType: entry.source_type,
+    sourceId: entry.source_id,
+    lines: reverseLines(lines.map(l => ({ account: l.account.code, debit: l.debit, credit: l.credit, memo: l.memo }))),
+    userId,
+    reversesEntryId: entry.id
+  }, transaction);
+
+  entry.reversed_by_entry_id = reversal.id;
+  await entry.save({ transaction });
+  return reversal;
+}
+
+/**
+ * Reverse whatever is currently posted for a source document
+ */
+async function reverseSource(sourceType, sourceId, options = {}, transaction = null) {
+  const { JournalEntry } = require('../models');
+
+  const entries = await JournalEntry.findAll({
+    where: { source_type: sourceType, source_id: String(sourceId), reverses_entry_id: null, reversed_by_entry_id: null },
+    order: [['id', 'ASC']],
+    transaction
+  });
+  const reversals = [];
+  for (const entry of entries) {
+    reversals.push(await reverseEntry(entry, options, transaction));
+  }
+  return reversals;
+}
+
+// ─── Postings for the operational flows (called from model hooks) ───
+
+async function loadInvoice(invoiceId, transaction) {
+  const { Invoice } = require('../models');
+  return Invoice.findByPk(invoiceId, {
+    attributes: ['id', 'invoice_number', 'currency', 'total_amount', 'tax_amount', 'total_cost_amount'],
+    transaction
+  });
+}
+
+/**
+ * A payment or refund on an invoice. One carried over from a preorder
+ * (fromDeposit) was already received into customer deposits, so it moves
+ * out of deposits into the sale on the day it is carried over, rather than
+ * hitting the till again on its original date. Both are converted at the
+ * rate for the date the money was received.
+ */
+async function postInvoicePayment(payment, transaction = null, { fromDeposit = false } = {}) {
+  if (payment.voided_at) return null;
+  const loaded = await loadInvoice(payment.invoice_id, transaction);
+  const invoice = invoiceInLedgerCurrency(loaded, await ledgerRate(loaded?.currency, payment.payment_date));
+  const amount = round2(payment.amount * await ledgerRate(payment.currency, payment.payment_date));
+  const account = fromDeposit
+    ? ACCOUNTS.CUSTOMER_DEPOSITS
+    : PAYMENT_METHOD_ACCOUNTS[payment.payment_method] || ACCOUNTS.CASH;
+  const isRefund = payment.transaction_type === 'REFUND';
+
+  return postEntry({
+    date: fromDeposit ? new Date() : payment.payment_date,
+    description: `${isRefund ? 'Refund' : 'Payment'} (${fromDeposit ? 'preorder deposit' : payment.payment_method}) on invoice ${invoice?.invoice_number || payment.invoice_id}`,
+    sourceType: 'invoice_payment',
+    sourceId: payment.id,
+    lines: isRefund ? refundLines(amount, invoice, account) : saleLines(amount, invoice, account),
+    userId: payment.received_by_user_id
+  }, transaction);
+}
+
+/**
+ * Preorder deposit, top-up or refund: held as customer deposits until the
+ * preorder is invoiced
+ */
+async function postPreorderPayment(payment, transaction = null) {
+  if (payment.voided_at) return null;
+  const { Preorder } = require('../models');
+  const preorder = await Preorder.findByPk(payment.preorder_id, { attributes: ['id', 'tracking_code'], transaction });
+  const isRefund = payment.transaction_type === 'REFUND';
+  const amount = round2(payment.amount * await ledgerRate(payment.currency, payment.payment_date));
+
+  return postEntry({
+    date: payment.payment_date,
+    description: `Preorder ${isRefund ? 'refund' : 'deposit'} (${payment.payment_method}) on ${preorder?.tracking_code || payment.preorder_id}`,
+    sourceType: 'preorder_payment',
+    sourceId: payment.id,
+    lines: depositLines(amount, PAYMENT_METHOD_ACCOUNTS[payment.payment_method] || ACCOUNTS.CASH, isRefund),
+    userId: payment.received_by
+  }, transaction);
+}
+
+async function postCreditApplication(application, transaction = null) {
+  if (application.voided_at) return null;
+  const date = application.applied_at || new Date();
+  const loaded = await loadInvoice(application.invoice_id, transaction);
+  // Credit is applied in the invoice's currency
+  const rate = await ledgerRate(loaded?.currency, date);
+  const invoice = invoiceInLedgerCurrency(loaded, rate);
+
+  return postEntry({
+    date,
+    description: `Store credit applied to invoice ${invoice?.invoice_number || application.invoice_id}`,
+    sourceType: 'credit_application',
+    sourceId: application.id,
+    lines: saleLines(round2((parseFloat(application.amount_applied) || 0) * rate), invoice, ACCOUNTS.STORE_CREDIT),
+    userId: application.applied_by_user_id
+  }, transaction);
+}
+
+async function postCustomerCredit(credit, transaction = null) {
+  const { InvoiceReturn } = require('../models');
+  const date = credit.created_at || new Date();
+  const amount = round2((parseFloat(credit.original_amount) || 0) * await ledgerRate(credit.currency, date));
+
+  let lines;
+  if (credit.source_type === 'WARRANTY_CLAIM') {
+    lines = [
+      { account: ACCOUNTS.WARRANTY_CLAIMS, debit: amount },
+      { account: ACCOUNTS.STORE_CREDIT, credit: amount }
+    ];
+  } else {
+    const invoiceReturn = credit.source_return_id
+      ? await InvoiceReturn.findByPk(credit.source_return_id, { attributes: ['id', 'invoice_id'], transaction })
+      : null;
+    const loaded = invoiceReturn ? await loadInvoice(invoiceReturn.invoice_id, transaction) : null;
+    const invoice = invoiceInLedgerCurrency(loaded, await ledgerRate(loaded?.currency, date));
+    lines = refundLines(amount, invoice, ACCOUNTS.STORE_CREDIT);
+  }
+
+  return postEntry({
+    date,
+    description: `Store credit issued (${credit.source_type})`,
+    sourceType: 'customer_credit',
+    sourceId: credit.id,
+    lines,
+    userId: credit.created_by_user_id
+  }, transaction);
+}
+
+async function postExpense(expense, transaction = null) {
+  return postEntry({
+    date: expense.expense_date,
+    description: `Expense: ${expense.description}`,
+    sourceType: 'expense',
+    sourceId: expense.id,
+    lines: expenseLines(expense, await ledgerRate(expense.currency_code, expense.expense_date)),
+    userId: expense.created_by
+  }, transaction);
+}
+
+/**
+ * Cost of finalized return items going back on the shelf
+ * @param {number} cost - in the return's currency
+ */
+async function postReturnRestock(invoiceReturn, cost, { userId = null, invoiceNumber = null } = {}, transaction = null) {
+  const date = invoiceReturn.finalized_at || new Date();
+  const rate = await ledgerRate(invoiceReturn.currency, date);
+
+  return postEntry({
+    date,
+    description: `Items restocked from return${invoiceNumber ? ` on invoice ${invoiceNumber}` : ''}`,
+    sourceType: 'invoice_return',
+    sourceId: invoiceReturn.id,
+    lines: returnRestockLines(round2(cost * rate)),
+    userId
+  }, transaction);
+}
+
+// ─── Reports ───
+
+/**
+ * Debit and credit totals per account up to and including a date
+ * @returns {Promise<Array<{ id, code, name, type, normal_balance, debit, credit }>>}
+ */
+async function accountTotals(asOf = null) {
+  const { sequelize } = require('../models');
+  const { QueryTypes } = require('sequelize');
+
+  return sequelize.query(`
+    SELECT a.id, a.code, a.name, a.type, a.normal_balance,
+      COALESCE(SUM(l.debit), 0) as debit,
+      COALESCE(SUM(l.credit), 0) as credit
+    FROM ledger_accounts a
+    LEFT JOIN journal_lines l ON l.account_id = a.id
+      AND l.entry_id IN (SELECT id FROM journal_entries WHERE (:asOf)::date IS NULL OR entry_date <= (:asOf)::date)
+    GROUP BY a.id, a.code, a.name, a.type, a.normal_balance
+    ORDER BY a.code ASC
+  `, { replacements: { asOf: asOf ? toDateOnly(asOf) : null }, type: QueryTypes.SELECT });
+}
+
+module.exports = {
+  ACCOUNT_TYPES,
+  LEDGER_CURRENCY,
+  ACCOUNTS,
+  PAYMENT_METHOD_ACCOUNTS,
+  toDateOnly,
+  periodOf,
+  isValidPeriod,
+  invoiceShare,
+  invoiceInLedgerCurrency,
+  saleLines,
+  refundLines,
+  depositLines,
+  returnRestockLines,
+  expenseLines,
+  reverseLines,
+  balanceLines,
+  buildTrialBalance,
+  buildBalanceSheet,
+  isPeriodClosed,
+  assertPeriodOpen,
+  ledgerRate,
+  postEntry,
+  reverseEntry,
+  reverseSource,
+  postInvoicePayment,
+  postPreorderPayment,
+  postCreditApplication,
+  postCustomerCredit,
+  postExpense,
+  postReturnRestock,
+  accountTotals
+};
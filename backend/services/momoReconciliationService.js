@@ -0,0 +1,237 @@
+/**
+ * MoMo Reconciliation Service
+ *
+ * Statement parsing and matching for Mobile Money reconciliation, kept
+ * free of the database.
+ *
+ * Statement rows are normalized to incoming receipts (failed, pending and
+ * outgoing transactions are skipped), then matched one-to-one against the
+ * MoMo payments recorded on invoices:
+ * 1. By reference — the provider transaction ID appears in the payment's
+ *    comment, or the statement reference names the payment's invoice.
+ * 2. By amount and date — same amount, paid within a window of days of each
+ *    other; the closest pairs in time are matched first.
+ * Amounts must agree to the pesewa in both passes.
+ */
+
+const PROVIDERS = ['mtn', 'telecel'];
+
+const PROVIDER_LABELS = {
+  mtn: 'MTN MoMo',
+  telecel: 'Telecel Cash'
+};
+
+const REQUIRED_FIELDS = ['transaction_id', 'transaction_date', 'amount'];
+
+const DEFAULT_WINDOW_DAYS = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FAILED_STATUS = /fail|reject|pend|revers|cancel|declin/i;
+const OUTGOING_TYPE = /debit|cash[ _-]?out|withdraw|transfer[ _-]to|payment[ _-]sent|disburse/i;
+
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+
+const round2 = n => Math.round(n * 100) / 100;
+
+const normalizeRef = value => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Parse a statement amount such as "GHS 1,250.00". A leading minus,
+ * parentheses or a trailing "DR" make it negative.
+ * @returns {number|null}
+ */
+function parseStatementAmount(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? round2(value) : null;
+
+  let text = String(value).trim();
+  let sign = 1;
+  if (/^\(.*\)$/.test(text) || /\bDR$/i.test(text)) sign = -1;
+  text = text.replace(/[^0-9.-]/g, '');
+  if (text.startsWith('-')) {
+    sign = -sign;
+    text = text.slice(1);
+  }
+  const num = parseFloat(text);
+  return Number.isFinite(num) ? round2(sign * num) : null;
+}
+
+/**
+ * Parse a statement date. Accepts Date objects, Excel serial numbers, ISO
+ * strings, day-first numeric dates (DD/MM/YYYY, as Ghanaian providers
+ * export them) and "01-Oct-2026" style dates, each with an optional time.
+ * Times are taken as UTC (Ghana time).
+ * @returns {Date|null}
+ */
+function parseStatementDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value === 'number') {
+    // Excel serial date: days since 1899-12-30
+    return new Date(Math.round((value - 25569) * DAY_MS));
+  }
+
+  const text = String(value).trim();
+  const time = text.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?/i);
+  let hours = time ? parseInt(time[1], 10) : 0;
+  const minutes = time ? parseInt(time[2], 10) : 0;
+  const seconds = time && time[3] ? parseInt(time[3], 10) : 0;
+  if (time && time[4]) {
+    const pm = time[4].toUpperCase() === 'PM';
+    if (pm && hours < 12) hours += 12;
+    if (!pm && hours === 12) hours = 0;
+  }
+
+  let year;
+  let month;
+  let day;
+  let match;
+  if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})/))) {
+    [year, month, day] = [parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)];
+  } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/))) {
+    [day, month, year] = [parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)];
+  } else if ((match = text.match(/^(\d{1,2})[\s-]([A-Za-z]{3})[A-Za-z]*[\s-](\d{2,4})/))) {
+    [day, month, year] = [parseInt(match[1], 10), MONTHS[match[2].toLowerCase()], parseInt(match[3], 10)];
+  } else {
+    return null;
+  }
+  if (year < 100) year += 2000;
+  if (month === undefined || month < 0 || month > 11 || day < 1 || day > 31) return null;
+
+  const date = new Date(Date.UTC(year, month, day, hours, minutes, seconds));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Turn raw statement rows into incoming receipts
+ * @param {Array<Object>} rows - parsed CSV/XLSX rows keyed by header
+ * @param {Object} mapping - field -> header, see columnDetector.MOMO_STATEMENT_PATTERNS
+ * @param {Object} options
+ * @param {number} options.firstRowNumber - spreadsheet row of rows[0]
+ * @returns {{
+ *   lines: Array<{ row_number, transaction_id, transaction_date, amount, counterparty_phone, counterparty_name, reference, raw }>,
+ *   skipped: Array<{ row_number: number, reason: string }>
+ * }} row_number is the spreadsheet row, so skipped rows can be found in the file
+ */
+function normalizeStatementRows(rows, mapping, { firstRowNumber = 2 } = {}) {
+  const lines = [];
+  const skipped = [];
+  const cell = (row, field) => {
+    if (!mapping[field]) return null;
+    const value = row[mapping[field]];
+    return value === undefined || value === '' ? null : value;
+  };
+  const text = (row, field) => {
+    const value = cell(row, field);
+    return value === null ? null : String(value).trim() || null;
+  };
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + firstRowNumber;
+    const skip = reason => skipped.push({ row_number: rowNumber, reason });
+    if (Object.values(row).every(value => value === null || value === undefined || String(value).trim() === '')) return;
+
+    const status = text(row, 'status');
+    if (status && FAILED_STATUS.test(status)) return skip(`Status ${status}`);
+    const type = text(row, 'transaction_type');
+    if (type && OUTGOING_TYPE.test(type)) return skip(`Outgoing ${type}`);
+
+    const transactionId = text(row, 'transaction_id');
+    if (!transactionId) return skip('No transaction ID');
+    const amount = parseStatementAmount(cell(row, 'amount'));
+    if (amount === null) return skip('Amount not readable');
+    if (amount <= 0) return skip('Not a receipt');
+    const transactionDate = parseStatementDate(cell(row, 'transaction_date'));
+    if (!transactionDate) return skip('Date not readable');
+
+    lines.push({
+      row_number: rowNumber,
+      transaction_id: transactionId,
+      transaction_date: transactionDate,
+      amount,
+      counterparty_phone: text(row, 'counterparty_phone'),
+      counterparty_name: text(row, 'counterparty_name'),
+      reference: text(row, 'reference'),
+      raw: row
+    });
+  });
+
+  return { lines, skipped };
+}
+
+function referenceMatches(line, payment) {
+  const paymentText = normalizeRef(`${payment.comment || ''} ${payment.payment_method_other_text || ''}`);
+  const transactionId = normalizeRef(line.transaction_id);
+  if (transactionId.length >= 6 && paymentText.includes(transactionId)) return true;
+
+  const invoiceNumber = normalizeRef(payment.invoice_number);
+  const reference = normalizeRef(line.reference);
+  return invoiceNumber.length >= 4 && reference.includes(invoiceNumber);
+}
+
+/**
+ * Match statement receipts to recorded payments, one-to-one
+ * @param {Array<{ transaction_id, transaction_date, amount, reference }>} lines
+ * @param {Array<{ id, amount, payment_date, comment, payment_method_other_text, invoice_number }>} payments
+ * @param {Object} options
+ * @param {number} options.windowDays - how far apart an amount/date match may be
+ * @returns {{
+ *   matches: Array<{ line_index: number, payment_id: string, match_method: 'reference'|'amount_date' }>,
+ *   unmatched_line_indexes: number[],
+ *   unmatched_payment_ids: string[]
+ * }}
+ */
+function matchStatementLines(lines, payments, { windowDays = DEFAULT_WINDOW_DAYS } = {}) {
+  const matches = [];
+  const usedLines = new Set();
+  const usedPayments = new Set();
+  const cents = amount => Math.round((parseFloat(amount) || 0) * 100);
+  const take = (lineIndex, payment, method) => {
+    matches.push({ line_index: lineIndex, payment_id: payment.id, match_method: method });
+    usedLines.add(lineIndex);
+    usedPayments.add(payment.id);
+  };
+
+  // Pass 1: reference
+  lines.forEach((line, lineIndex) => {
+    const payment = payments.find(p =>
+      !usedPayments.has(p.id) && cents(p.amount) === cents(line.amount) && referenceMatches(line, p)
+    );
+    if (payment) take(lineIndex, payment, 'reference');
+  });
+
+  // Pass 2: amount within the date window, closest pairs first
+  const pairs = [];
+  lines.forEach((line, lineIndex) => {
+    if (usedLines.has(lineIndex)) return;
+    for (const payment of payments) {
+      if (usedPayments.has(payment.id) || cents(payment.amount) !== cents(line.amount)) continue;
+      const gap = Math.abs(new Date(line.transaction_date) - new Date(payment.payment_date));
+      if (gap <= windowDays * DAY_MS) pairs.push({ lineIndex, payment, gap });
+    }
+  });
+  pairs.sort((a, b) => a.gap - b.gap);
+  for (const { lineIndex, payment } of pairs) {
+    if (usedLines.has(lineIndex) || usedPayments.has(payment.id)) continue;
+    take(lineIndex, payment, 'amount_date');
+  }
+
+  matches.sort((a, b) => a.line_index - b.line_index);
+  return {
+    matches,
+    unmatched_line_indexes: lines.map((_, index) => index).filter(index => !usedLines.has(index)),
+    unmatched_payment_ids: payments.filter(p => !usedPayments.has(p.id)).map(p => p.id)
+  };
+}
+
+module.exports = {
+  PROVIDERS,
+  PROVIDER_LABELS,
+  REQUIRED_FIELDS,
+  DEFAULT_WINDOW_DAYS,
+  parseStatementAmount,
+  parseStatementDate,
+  normalizeStatementRows,
+  matchStatementLines
+};
@@ -0,0 +1,157 @@
+const cron = require('node-cron');
+const { Op } = require('sequelize');
+const { InstallmentPlan, Installment, Invoice, Customer, CustomerWarranty, Asset, NotificationLog } = require('../models');
+const { notify, processDueRetries, formatAmount, firstName } = require('./notificationService');
+const { toDateOnly, addDays, daysBetween } = require('./preorderSlaService');
+
+// Days ahead of an installment's due date to remind the customer
+const LAYAWAY_REMINDER_DAYS = 3;
+// Days ahead of a warranty's end date to tell the customer
+const WARRANTY_NOTICE_DAYS = 30;
+
+/**
+ * Ids already notified for an event, so each reminder goes out once
+ * @returns {Promise<Set<string>>}
+ */
+async function alreadyNotified(event, referenceType, ids) {
+  if (ids.length === 0) return new Set();
+  const logs = await NotificationLog.findAll({
+    where: { event, reference_type: referenceType, reference_id: { [Op.in]: ids.map(String) } },
+    attributes: ['reference_id']
+  });
+  return new Set(logs.map(log => log.reference_id));
+}
+
+/**
+ * Remind customers of installments due within LAYAWAY_REMINDER_DAYS, and
+ * tell them once an installment is past due and its plan's grace days
+ */
+async function sendLayawayReminders(today = toDateOnly(new Date())) {
+  let sent = 0;
+  try {
+    const installments = await Installment.findAll({
+      where: {
+        status: { [Op.in]: ['pending', 'partially_paid'] },
+        due_date: { [Op.lte]: addDays(today, LAYAWAY_REMINDER_DAYS) }
+      },
+      include: [{
+        model: InstallmentPlan,
+        as: 'plan',
+        where: { status: 'active' },
+        include: [
+          { model: Invoice, as: 'invoice', attributes: ['id', 'invoice_number', 'currency'] },
+          { model: Customer, as: 'customer', attributes: ['id', 'first_name', 'company_name'] }
+        ]
+      }],
+      order: [['due_date', 'ASC']]
+    });
+
+    const due = installments.filter(inst => String(inst.due_date) >= today);
+    const overdue = installments.filter(inst =>
+      daysBetween(String(inst.due_date), today) > (inst.plan.grace_days || 0));
+
+    const batches = [
+      { event: 'layaway.reminder', installments: due },
+      { event: 'layaway.overdue', installments: overdue }
+    ];
+    for (const { event, installments: batch } of batches) {
+      const done = await alreadyNotified(event, 'installment', batch.map(inst => inst.id));
+      for (const inst of batch) {
+        if (done.has(String(inst.id)) || !inst.plan.customer_id) continue;
+        const plan = inst.plan;
+        const logs = await notify(event, {
+          customerId: plan.customer_id,
+          referenceType: 'installment',
+          referenceId: inst.id,
+          data: {
+            customer_name: firstName(plan.customer?.first_name || plan.customer?.company_name),
+            plan_number: plan.plan_number,
+            invoice_number: plan.invoice?.invoice_number,
+            amount_due: formatAmount(inst.getBalance()),
+            due_date: String(inst.due_date),
+            currency: plan.currency || plan.invoice?.currency || 'GHS',
+            days_overdue: String(daysBetween(String(inst.due_date), today))
+          }
+        });
+        sent += logs.length;
+      }
+    }
+
+    if (sent > 0) {
+      console.log(`[NotificationScheduler] Sent ${sent} layaway reminder message(s)`);
+    }
+  } catch (err) {
+    console.error('[NotificationScheduler] Layaway reminder error:', err.message);
+  }
+  return sent;
+}
+
+/**
+ * Tell customers WARRANTY_NOTICE_DAYS ahead that their warranty is ending
+ */
+async function sendWarrantyExpiryNotices(today = toDateOnly(new Date())) {
+  let sent = 0;
+  try {
+    const warranties = await CustomerWarranty.findAll({
+      where: {
+        status: 'active',
+        end_date: { [Op.between]: [today, addDays(today, WARRANTY_NOTICE_DAYS)] }
+      },
+      include: [
+        { model: Customer, as: 'customer', attributes: ['id', 'first_name', 'company_name'] },
+        { model: Asset, as: 'asset', attributes: ['id', 'make', 'model'], paranoid: false }
+      ]
+    });
+
+    const done = await alreadyNotified('warranty.expiring', 'warranty', warranties.map(w => w.id));
+    for (const warranty of warranties) {
+      if (done.has(String(warranty.id)) || !warranty.customer_id) continue;
+      const logs = await notify('warranty.expiring', {
+        customerId: warranty.customer_id,
+        referenceType: 'warranty',
+        referenceId: warranty.id,
+        data: {
+          customer_name: firstName(warranty.customer?.first_name || warranty.customer?.company_name),
+          warranty_number: warranty.warranty_number,
+          item_description: warranty.asset ? `${warranty.asset.make} ${warranty.asset.model}` : 'your device',
+          end_date: String(warranty.end_date),
+          days_left: String(daysBetween(today, String(warranty.end_date)))
+        }
+      });
+      sent += logs.length;
+    }
+
+    if (sent > 0) {
+      console.log(`[NotificationScheduler] Sent ${sent} warranty expiry message(s)`);
+    }
+  } catch (err) {
+    console.error('[NotificationScheduler] Warranty notice error:', err.message);
+  }
+  return sent;
+}
+
+/**
+ * Start the cron schedule
+ * Retries failed messages every 5 minutes; layaway reminders and warranty
+ * notices daily at 9:00 AM
+ */
+function startScheduler() {
+  cron.schedule('*/5 * * * *', async () => {
+    await processDueRetries();
+  });
+
+  cron.schedule('0 9 * * *', async () => {
+    await sendLayawayReminders();
+    await sendWarrantyExpiryNotices();
+  });
+
+  console.log('[NotificationScheduler] Scheduled: notification retries (every 5 min), layaway reminders and warranty notices (daily 9:00 AM)');
+}
+
+module.exports = {
+  startScheduler,
+  sendLayawayReminders,
+  sendWarrantyExpiryNotices,
+  LAYAWAY_REMINDER_DAYS,
+  WARRANTY_NOTICE_DAYS
+};
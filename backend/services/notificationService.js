@@ -0,0 +1,721 @@
+/**
+ * Notification Service
+ *
+ * Messages to customers by SMS, WhatsApp and email when something happens to
+ * their preorder, invoice, layaway plan or warranty.
+ *
+ * Each event has a template per channel. The defaults are below; a saved
+ * NotificationTemplate replaces the default for its event and channel and
+ * can switch that channel off. A message goes out on every channel whose
+ * template is on and whose provider is configured, if the customer has a
+ * contact for it and has not opted out of it. WhatsApp is off by default:
+ * messages we start must use a template approved by Meta, named on the
+ * saved template (see services/whatsappService.js).
+ *
+ * Invoice, payment and preorder events are raised from their ActivityLog
+ * entries, as webhooks are, and an invoice can be sent again by hand;
+ * layaway reminders and warranty expiry notices come from
+ * services/notificationScheduler.js.
+ *
+ * Every attempt is a NotificationLog row. A failed attempt is retried after
+ * RETRY_DELAYS_MINUTES as a new row pointing back at the first one, until
+ * the retries run out.
+ *
+ * With NOTIFICATION_PROVIDER=fake nothing is sent: messages are kept in
+ * fakeProvider.outbox instead, for local development and tests.
+ */
+
+const smsService = require('./smsService');
+const whatsappService = require('./whatsappService');
+const emailService = require('./emailService');
+
+const { fillTemplate, STATUS_TEMPLATES } = emailService;
+
+const CHANNELS = ['sms', 'whatsapp', 'email'];
+
+const EVENTS = [
+  'preorder.purchased',
+  'preorder.shipped',
+  'preorder.arrived',
+  'preorder.cancelled',
+  'invoice.issued',
+  'payment.received',
+  'layaway.reminder',
+  'layaway.overdue',
+  'warranty.expiring'
+];
+
+const EVENT_LABELS = {
+  'preorder.purchased': 'Preorder purchased from the supplier',
+  'preorder.shipped': 'Preorder shipped',
+  'preorder.arrived': 'Preorder arrived, ready for pickup',
+  'preorder.cancelled': 'Preorder cancelled',
+  'invoice.issued': 'Invoice issued',
+  'payment.received': 'Payment received',
+  'layaway.reminder': 'Layaway installment due soon',
+  'layaway.overdue': 'Layaway installment overdue',
+  'warranty.expiring': 'Warranty expiring'
+};
+
+const PREORDER_PLACEHOLDERS = ['customer_name', 'tracking_code', 'item_description', 'quantity', 'shipping_method', 'estimated_arrival_date', 'balance_due'];
+const LAYAWAY_PLACEHOLDERS = ['customer_name', 'plan_number', 'invoice_number', 'amount_due', 'due_date', 'currency'];
+
+// Values each event fills in; templates may use any of them as {name}
+const EVENT_PLACEHOLDERS = {
+  'preorder.purchased': PREORDER_PLACEHOLDERS,
+  'preorder.shipped': PREORDER_PLACEHOLDERS,
+  'preorder.arrived': PREORDER_PLACEHOLDERS,
+  'preorder.cancelled': PREORDER_PLACEHOLDERS,
+  'invoice.issued': ['customer_name', 'invoice_number', 'total_amount', 'balance_due', 'currency'],
+  'payment.received': ['customer_name', 'invoice_number', 'amount', 'payment_method', 'balance_due', 'currency'],
+  'layaway.reminder': LAYAWAY_PLACEHOLDERS,
+  'layaway.overdue': [...LAYAWAY_PLACEHOLDERS, 'days_overdue'],
+  'warranty.expiring': ['customer_name', 'warranty_number', 'item_description', 'end_date', 'days_left']
+};
+
+// Preorder status -> event
+const PREORDER_STATUS_EVENTS = {
+  Purchased: 'preorder.purchased',
+  Shipped: 'preorder.shipped',
+  Arrived: 'preorder.arrived',
+  Cancelled: 'preorder.cancelled'
+};
+
+const SIGN_OFF = '— The Payless4Tech Team';
+
+const DEFAULT_TEMPLATES = {
+  'preorder.purchased': {
+    sms: 'Payless4Tech: your preorder {tracking_code} ({item_description}) has been purchased. We will text you when it ships. Track: payless4tech.com/track',
+    email: STATUS_TEMPLATES.Purchased
+  },
+  'preorder.shipped': {
+    sms: 'Payless4Tech: your preorder {tracking_code} has shipped by {shipping_method}. Expected arrival {estimated_arrival_date}. Track: payless4tech.com/track',
+    email: STATUS_TEMPLATES.Shipped
+  },
+  'preorder.arrived': {
+    sms: 'Payless4Tech: your preorder {tracking_code} has arrived and is ready for pickup at Dworwulu, Accra. Balance due: GHS {balance_due}.',
+    email: STATUS_TEMPLATES.Arrived
+  },
+  'preorder.cancelled': {
+    sms: 'Payless4Tech: your preorder {tracking_code} ({item_description}) has been cancelled. Please call us about your deposit.',
+    email: {
+      subject: 'Your order {tracking_code} has been cancelled',
+      body: `Hi {customer_name},
+
+Your preorder ({tracking_code}) for {item_description} has been cancelled.
+
+If you paid a deposit, please call or WhatsApp us and we will sort it out with you.
+
+${SIGN_OFF}`
+    }
+  },
+  'invoice.issued': {
+    sms: 'Payless4Tech: invoice {invoice_number} for {currency} {total_amount} has been issued to you. Balance due: {currency} {balance_due}.',
+    email: {
+      subject: 'Invoice {invoice_number} from Payless4Tech',
+      body: `Hi {customer_name},
+
+Invoice {invoice_number} for {currency} {total_amount} has been issued to you.
+
+Balance due: {currency} {balance_due}
+
+Thank you for choosing Payless4Tech!
+${SIGN_OFF}`
+    }
+  },
+  'payment.received': {
+    sms: 'Payless4Tech: we received {currency} {amount} ({payment_method}) for invoice {invoice_number}. Balance due: {currency} {balance_due}. Thank you!',
+    email: {
+      subject: 'Payment received for invoice {invoice_number}',
+      body: `Hi {customer_name},
+
+We received your payment of {currency} {amount} ({payment_method}) for invoice {invoice_number}.
+
+Balance due: {currency} {balance_due}
+
+Thank you!
+${SIGN_OFF}`
+    }
+  },
+  'layaway.reminder': {
+    sms: 'Payless4Tech: reminder, your layaway installment of {currency} {amount_due} (plan {plan_number}) is due on {due_date}.',
+    email: {
+      subject: 'Installment due on {due_date}',
+      body: `Hi {customer_name},
+
+This is a reminder that your installment of {currency} {amount_due} on layaway plan {plan_number} (invoice {invoice_number}) is due on {due_date}.
+
+You can pay in store, by MoMo or by bank transfer.
+${SIGN_OFF}`
+    }
+  },
+  'layaway.overdue': {
+    sms: 'Payless4Tech: your layaway installment of {currency} {amount_due} (plan {plan_number}) was due on {due_date}. Please pay soon to keep your items reserved.',
+    email: {
+      subject: 'Installment overdue on plan {plan_number}',
+      body: `Hi {customer_name},
+
+Your installment of {currency} {amount_due} on layaway plan {plan_number} (invoice {invoice_number}) was due on {due_date} and is now {days_overdue} days overdue.
+
+Please pay as soon as you can so we can keep your items reserved. Call or WhatsApp us if you need to talk it through.
+${SIGN_OFF}`
+    }
+  },
+  'warranty.expiring': {
+    sms: 'Payless4Tech: your warranty {warranty_number} for {item_description} ends on {end_date}. Bring it in before then if anything needs looking at.',
+    email: {
+      subject: 'Your warranty {warranty_number} ends on {end_date}',
+      body: `Hi {customer_name},
+
+Your warranty {warranty_number} for {item_description} ends on {end_date} ({days_left} days from now).
+
+If anything is not working as it should, bring it in before then and we will look at it under warranty.
+${SIGN_OFF}`
+    }
+  }
+};
+
+// WhatsApp needs an approved template name before it can be switched on
+const DEFAULT_ACTIVE = { sms: true, whatsapp: false, email: true };
+
+// Wait before each retry; the first attempt is immediate
+const RETRY_DELAYS_MINUTES = [5, 30, 120];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+const BATCH_SIZE = 50;
+
+// ─── Providers ───
+
+const fakeProvider = {
+  outbox: [],
+  failures: 0,
+
+  /** Fail the next count sends */
+  failNext(count = 1) {
+    this.failures = count;
+  },
+
+  reset() {
+    this.outbox = [];
+    this.failures = 0;
+  },
+
+  async send(channel, to, message) {
+    if (this.failures > 0) {
+      this.failures--;
+      return { sent: false, reason: 'Fake provider failure' };
+    }
+    const id = `fake-${this.outbox.length + 1}`;
+    this.outbox.push({ id, channel, to, ...message });
+    return { sent: true, id };
+  }
+};
+
+const PROVIDERS = {
+  sms: {
+    name: 'arkesel',
+    isConfigured: smsService.isConfigured,
+    send: (to, message) => smsService.sendSms(to, message.body)
+  },
+  whatsapp: {
+    name: 'whatsapp_cloud',
+    isConfigured: whatsappService.isConfigured,
+    send: (to, message) => whatsappService.sendWhatsApp(to, message)
+  },
+  email: {
+    name: 'resend',
+    isConfigured: emailService.isConfigured,
+    send: (to, message) => emailService.sendEmail(to, message.subject, message.body)
+  }
+};
+
+/**
+ * Provider for a channel: { name, isConfigured(), send(to, message) }
+ */
+function providerFor(channel) {
+  if (process.env.NOTIFICATION_PROVIDER === 'fake') {
+    return {
+      name: 'fake',
+      isConfigured: () => true,
+      send: (to, message) => fakeProvider.send(channel, to, message)
+    };
+  }
+  return PROVIDERS[channel];
+}
+
+// ─── Templates ───
+
+/**
+ * Template as shipped for an event and channel
+ * @returns {{ subject: string|null, body: string, is_active: boolean }}
+ */
+function defaultTemplate(event, channel) {
+  const defaults = DEFAULT_TEMPLATES[event];
+  // WhatsApp starts from the SMS wording
+  const source = defaults[channel] || defaults.sms;
+  const isEmail = channel === 'email';
+  return {
+    subject: isEmail ? source.subject : null,
+    body: typeof source === 'string' ? source : source.body,
+    is_active: DEFAULT_ACTIVE[channel]
+  };
+}
+
+/**
+ * Templates in use: saved ones over the defaults
+ * @param {Array<NotificationTemplate>} saved
+ * @returns {Object} event -> channel -> { event, channel, subject, body, is_active, whatsapp_template_name, whatsapp_language, customized }
+ */
+function resolveTemplates(saved = []) {
+  const byKey = new Map(saved.map(row => [`${row.event}:${row.channel}`, row]));
+  const templates = {};
+  for (const event of EVENTS) {
+    templates[event] = {};
+    for (const channel of CHANNELS) {
+      const row = byKey.get(`${event}:${channel}`);
+      const base = defaultTemplate(event, channel);
+      templates[event][channel] = {
+        event,
+        channel,
+        subject: row ? row.subject : base.subject,
+        body: row ? row.body : base.body,
+        is_active: row ? row.is_active : base.is_active,
+        whatsapp_template_name: row ? row.whatsapp_template_name : null,
+        whatsapp_language: row ? row.whatsapp_language : null,
+        customized: Boolean(row)
+      };
+    }
+  }
+  return templates;
+}
+
+/**
+ * Placeholders in a template that the event does not fill
+ * @returns {string[]}
+ */
+function unknownPlaceholders(event, text) {
+  const known = EVENT_PLACEHOLDERS[event] || [];
+  const used = [...String(text || '').matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+  return [...new Set(used.filter(name => !known.includes(name)))];
+}
+
+/**
+ * WhatsApp template parameters: the template's placeholders in order, so an
+ * approved template's {{1}}, {{2}}... line up with them
+ */
+function templateParameters(body, data) {
+  return [...String(body).matchAll(/\{(\w+)\}/g)].map(m => {
+    const value = data[m[1]];
+    return value === undefined || value === null || value === '' ? 'N/A' : String(value);
+  });
+}
+
+/**
+ * Where to reach a customer on each channel, leaving out channels they have
+ * opted out of. Contact details given for the occasion (e.g. on a preorder)
+ * come before the customer record.
+ * @param {Customer|null} customer
+ * @param {{ phone?: string, whatsapp?: string, email?: string }} [contact]
+ * @returns {{ sms: string|null, whatsapp: string|null, email: string|null }}
+ */
+function recipientsFor(customer, contact = {}) {
+  const recipients = {
+    sms: contact.phone || customer?.phone_e164 || null,
+    whatsapp: contact.whatsapp || customer?.whatsapp_e164 || null,
+    email: contact.email || customer?.email || null
+  };
+  if (customer) {
+    for (const channel of CHANNELS) {
+      if (customer[`${channel}_opt_out`]) recipients[channel] = null;
+    }
+  }
+  return recipients;
+}
+
+/**
+ * The messages an event sends, one per channel that is on and reachable
+ * @param {Object} channelTemplates - channel -> template, from resolveTemplates
+ * @param {Object} recipients - from recipientsFor
+ * @param {Object} data - placeholder values
+ * @param {string[]} [channels] - channels with a configured provider
+ * @returns {Array<{ channel, recipient, subject, body, provider_options }>}
+ */
+function buildMessages(channelTemplates, recipients, data, channels = CHANNELS) {
+  const messages = [];
+  for (const channel of channels) {
+    const template = channelTemplates[channel];
+    if (!template || !template.is_active || !recipients[channel]) continue;
+
+    const useWhatsAppTemplate = channel === 'whatsapp' && template.whatsapp_template_name;
+    messages.push({
+      channel,
+      recipient: recipients[channel],
+      subject: channel === 'email' ? fillTemplate(template.subject || '', data) : null,
+      body: fillTemplate(template.body, data),
+      provider_options: useWhatsAppTemplate
+        ? {
+          templateName: template.whatsapp_template_name,
+          language: template.whatsapp_language || 'en',
+          parameters: templateParameters(template.body, data)
+        }
+        : null
+    });
+  }
+  return messages;
+}
+
+/**
+ * When to try again after a failed attempt
+ * @param {number} attemptNumber - the attempt that failed, from 1
+ * @returns {Date|null} null once the retries are used up
+ */
+function nextAttemptAt(attemptNumber, from = new Date()) {
+  if (attemptNumber >= MAX_ATTEMPTS) return null;
+  const minutes = RETRY_DELAYS_MINUTES[Math.max(attemptNumber - 1, 0)];
+  return new Date(from.getTime() + minutes * 60 * 1000);
+}
+
+function formatAmount(value) {
+  return (parseFloat(value) || 0).toFixed(2);
+}
+
+function firstName(name) {
+  return String(name || '').trim().split(/\s+/)[0] || 'there';
+}
+
+// ─── Database ───
+
+async function loadTemplates() {
+  const { NotificationTemplate } = require('../models');
+  return resolveTemplates(await NotificationTemplate.findAll());
+}
+
+/**
+ * Make one attempt at a logged message and record the outcome on it
+ * @param {NotificationLog} log
+ */
+async function attemptSend(log) {
+  const provider = providerFor(log.channel);
+  const message = { subject: log.subject, body: log.body, ...(log.provider_options || {}) };
+
+  let result;
+  try {
+    result = await provider.send(log.recipient, message);
+  } catch (err) {
+    result = { sent: false, reason: err.message };
+  }
+
+  const now = new Date();
+  log.provider = provider.name;
+  log.last_attempt_at = now;
+  if (result.sent) {
+    log.status = 'sent';
+    log.provider_id = result.id || null;
+    log.error_message = null;
+    log.sent_at = now;
+    log.next_attempt_at = null;
+  } else {
+    log.status = 'failed';
+    log.error_message = result.reason || 'Not sent';
+    log.next_attempt_at = nextAttemptAt(log.attempt_number, now);
+  }
+  await log.save();
+  return log;
+}
+
+// A new message is sent straight away; the scheduler only picks it up if
+// that first attempt never gets to record its outcome (e.g. a restart)
+function retryGuard() {
+  return nextAttemptAt(1);
+}
+
+function sendInBackground(logs) {
+  (async () => {
+    for (const log of logs) {
+      await attemptSend(log);
+    }
+  })().catch(err => {
+    console.error('[Notifications] Send error:', err.message);
+  });
+}
+
+/**
+ * Send an event's messages to a customer. Never throws — a notification
+ * must not break the action that raised it.
+ * @param {string} event - one of EVENTS
+ * @param {Object} options
+ * @param {number} [options.customerId] - for opt-outs and contact details
+ * @param {Object} [options.contact] - { phone, whatsapp, email } for this occasion
+ * @param {Object} options.data - placeholder values
+ * @param {string} [options.referenceType] - what the message is about, e.g. installment
+ * @param {string|number} [options.referenceId]
+ * @param {number} [options.preorderId]
+ * @returns {Promise<Array<NotificationLog>>} the messages queued
+ */
+async function notify(event, { customerId = null, contact = {}, data, referenceType = null, referenceId = null, preorderId = null }) {
+  try {
+    const { Customer, NotificationLog } = require('../models');
+
+    const customer = customerId ? await Customer.findByPk(customerId) : null;
+    const templates = await loadTemplates();
+    const channels = CHANNELS.filter(channel => providerFor(channel).isConfigured());
+    const messages = buildMessages(templates[event], recipientsFor(customer, contact), data, channels);
+
+    const logs = [];
+    for (const message of messages) {
+      logs.push(await NotificationLog.create({
+        ...message,
+        event,
+        customer_id: customerId,
+        preorder_id: preorderId,
+        reference_type: referenceType,
+        reference_id: referenceId === null ? null : String(referenceId),
+        provider: providerFor(message.channel).name,
+        status: 'pending',
+        attempt_number: 1,
+        next_attempt_at: retryGuard()
+      }));
+    }
+
+    sendInBackground(logs);
+    return logs;
+  } catch (err) {
+    console.error(`[Notifications] Could not queue ${event}:`, err.message);
+    return [];
+  }
+}
+
+/**
+ * Send a logged message again as a new attempt. Skipped (and no longer
+ * retried) if the customer has since opted out of the channel.
+ * @param {NotificationLog} previous
+ * @returns {Promise<NotificationLog|null>} the new attempt
+ */
+async function retry(previous) {
+  const { Customer, NotificationLog } = require('../models');
+
+  previous.next_attempt_at = null;
+  await previous.save();
+
+  if (previous.customer_id) {
+    const customer = await Customer.findByPk(previous.customer_id, { attributes: ['id', 'sms_opt_out', 'whatsapp_opt_out', 'email_opt_out'] });
+    if (customer && customer[`${previous.channel}_opt_out`]) return null;
+  }
+
+  const attempt = await NotificationLog.create({
+    event: previous.event,
+    customer_id: previous.customer_id,
+    preorder_id: previous.preorder_id,
+    reference_type: previous.reference_type,
+    reference_id: previous.reference_id,
+    channel: previous.channel,
+    recipient: previous.recipient,
+    subject: previous.subject,
+    body: previous.body,
+    provider_options: previous.provider_options,
+    provider: providerFor(previous.channel).name,
+    status: 'pending',
+    attempt_number: previous.attempt_number + 1,
+    retry_of_id: previous.retry_of_id || previous.id,
+    next_attempt_at: retryGuard()
+  });
+  return attemptSend(attempt);
+}
+
+let processing = false;
+
+/**
+ * Retry every failed message that is due, and send any whose first attempt
+ * was cut short
+ */
+async function processDueRetries() {
+  if (processing) return 0;
+  processing = true;
+
+  try {
+    const { Op } = require('sequelize');
+    const { NotificationLog } = require('../models');
+
+    const due = await NotificationLog.findAll({
+      where: {
+        status: { [Op.in]: ['pending', 'failed'] },
+        next_attempt_at: { [Op.lte]: new Date() }
+      },
+      order: [['next_attempt_at', 'ASC']],
+      limit: BATCH_SIZE
+    });
+
+    for (const log of due) {
+      if (log.status === 'pending') {
+        await attemptSend(log);
+      } else {
+        await retry(log);
+      }
+    }
+    return due.length;
+  } catch (err) {
+    console.error('[Notifications] Retry error:', err.message);
+    return 0;
+  } finally {
+    processing = false;
+  }
+}
+
+// ─── Events ───
+
+/**
+ * Tell a preorder's customer about its new status (statuses without an event
+ * send nothing)
+ */
+async function notifyPreorderStatus(preorder) {
+  const event = PREORDER_STATUS_EVENTS[preorder.status];
+  if (!event) return [];
+
+  const { normalizePhone } = require('../utils/phoneNormalizer');
+  const phone = normalizePhone(preorder.customer_phone).e164;
+
+  return notify(event, {
+    customerId: preorder.customer_id,
+    contact: { phone, whatsapp: phone, email: preorder.customer_email },
+    preorderId: preorder.id,
+    referenceType: 'preorder',
+    referenceId: preorder.id,
+    data: {
+      customer_name: firstName(preorder.customer_name),
+      tracking_code: preorder.tracking_code,
+      item_description: preorder.item_description,
+      quantity: String(preorder.quantity || 1),
+      shipping_method: preorder.shipping_method || 'air',
+      estimated_arrival_date: preorder.estimated_arrival_date || 'TBD',
+      balance_due: formatAmount(preorder.balance_due)
+    }
+  });
+}
+
+async function notifyInvoiceIssued(invoice) {
+  if (!invoice.customer_id) return [];
+  const { Customer } = require('../models');
+  const customer = await Customer.findByPk(invoice.customer_id, { attributes: ['id', 'first_name', 'last_name', 'company_name'] });
+
+  return notify('invoice.issued', {
+    customerId: invoice.customer_id,
+    referenceType: 'invoice',
+    referenceId: invoice.id,
+    data: {
+      customer_name: firstName(customer?.first_name || customer?.company_name),
+      invoice_number: invoice.invoice_number,
+      total_amount: formatAmount(invoice.total_amount),
+      balance_due: formatAmount(invoice.balance_due),
+      currency: invoice.currency || 'GHS'
+    }
+  });
+}
+
+async function notifyPaymentReceived(payment, invoice) {
+  if (!invoice.customer_id) return [];
+  const { Customer } = require('../models');
+  const customer = await Customer.findByPk(invoice.customer_id, { attributes: ['id', 'first_name', 'last_name', 'company_name'] });
+
+  return notify('payment.received', {
+    customerId: invoice.customer_id,
+    referenceType: 'invoice_payment',
+    referenceId: payment.id,
+    data: {
+      customer_name: firstName(customer?.first_name || customer?.company_name),
+      invoice_number: invoice.invoice_number,
+      amount: formatAmount(payment.amount),
+      payment_method: payment.payment_method,
+      balance_due: formatAmount(invoice.balance_due),
+      currency: payment.currency || invoice.currency || 'GHS'
+    }
+  });
+}
+
+/**
+ * The payment a PAYMENT_RECEIVED entry is about. Staff payments are logged
+ * against the InvoicePayment; Paystack payments against the invoice, with
+ * the Paystack reference in the metadata.
+ */
+async function paymentForActivity(entry, InvoicePayment) {
+  const metadata = entry.metadata || {};
+  if (entry.entity_type !== 'INVOICE') {
+    return InvoicePayment.findByPk(metadata.transactionId || entry.entity_id);
+  }
+  return InvoicePayment.findOne({
+    where: {
+      invoice_id: entry.entity_id,
+      transaction_type: 'PAYMENT',
+      voided_at: null,
+      ...(metadata.reference && { payment_reference: metadata.reference })
+    },
+    order: [['created_at', 'DESC'], ['id', 'DESC']]
+  });
+}
+
+/**
+ * Raise the customer notification, if any, for a new ActivityLog entry.
+ * Runs in the background and never throws.
+ */
+function notifyForActivity(entry) {
+  const run = async () => {
+    const { Invoice, InvoicePayment, Preorder } = require('../models');
+
+    switch (entry.action_type) {
+      case 'INVOICE_CREATED': {
+        // Invoices started empty on the invoice page are sent from there
+        // once filled in (POST /invoices/:id/notify)
+        const invoice = await Invoice.findByPk(entry.entity_id);
+        return invoice && parseFloat(invoice.total_amount) > 0 ? notifyInvoiceIssued(invoice) : [];
+      }
+      case 'PAYMENT_RECEIVED': {
+        const payment = await paymentForActivity(entry, InvoicePayment);
+        const invoice = payment && await Invoice.findByPk(payment.invoice_id);
+        if (!invoice) {
+          console.warn(`[Notifications] No payment found for ${entry.entity_type} ${entry.entity_id}; payment.received not sent`);
+          return [];
+        }
+        return notifyPaymentReceived(payment, invoice);
+      }
+      case 'PREORDER_STATUS_CHANGED': {
+        const preorder = await Preorder.findByPk(entry.entity_id);
+        return preorder ? notifyPreorderStatus(preorder) : [];
+      }
+      default:
+        return [];
+    }
+  };
+
+  return run().catch(err => {
+    console.error(`[Notifications] ${entry.action_type} notification error:`, err.message);
+    return [];
+  });
+}
+
+module.exports = {
+  CHANNELS,
+  EVENTS,
+  EVENT_LABELS,
+  EVENT_PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  RETRY_DELAYS_MINUTES,
+  MAX_ATTEMPTS,
+  fakeProvider,
+  providerFor,
+  defaultTemplate,
+  resolveTemplates,
+  unknownPlaceholders,
+  templateParameters,
+  recipientsFor,
+  buildMessages,
+  nextAttemptAt,
+  formatAmount,
+  firstName,
+  loadTemplates,
+  attemptSend,
+  notify,
+  retry,
+  processDueRetries,
+  notifyPreorderStatus,
+  notifyInvoiceIssued,
+  notifyPaymentReceived,
+  notifyForActivity
+};
@@ -0,0 +1,62 @@
+/**
+ * POS Service
+ *
+ * Tender arithmetic for counter checkout, kept free of the database.
+ *
+ * A sale can be paid with several tenders (e.g. part MoMo, part cash).
+ * Only cash can be over-tendered: the excess is handed back as change and
+ * taken off the cash tenders, newest first, so the payments recorded on the
+ * invoice add up to exactly what was kept.
+ */
+
+const round2 = n => Math.round(n * 100) / 100;
+
+/**
+ * Settle a list of tenders against a sale total
+ * @param {number} total - invoice total
+ * @param {Array<{ payment_method: string, amount: number }>} tenders
+ * @returns {{
+ *   tendered: number,
+ *   change_due: number,
+ *   shortfall: number,
+ *   non_cash_excess: number,
+ *   payments: Array<{ payment_method: string, amount: number, tendered: number }>
+ * }} payments are the tenders with change taken off; a cash tender
+ *   entirely given back as change is dropped. Callers reject a sale with a
+ *   shortfall or a non-cash excess.
+ */
+function settleTender(total, tenders) {
+  const saleTotal = round2(parseFloat(total) || 0);
+  const lines = tenders.map(tender => {
+    const amount = round2(parseFloat(tender.amount) || 0);
+    return { ...tender, amount, tendered: amount };
+  });
+
+  const tendered = round2(lines.reduce((sum, line) => sum + line.tendered, 0));
+  const cashTendered = round2(lines
+    .filter(line => line.payment_method === 'Cash')
+    .reduce((sum, line) => sum + line.tendered, 0));
+
+  const excess = round2(Math.max(tendered - saleTotal, 0));
+  const changeDue = round2(Math.min(excess, cashTendered));
+
+  let changeLeft = changeDue;
+  for (let i = lines.length - 1; i >= 0 && changeLeft > 0; i--) {
+    if (lines[i].payment_method !== 'Cash') continue;
+    const taken = Math.min(lines[i].amount, changeLeft);
+    lines[i].amount = round2(lines[i].amount - taken);
+    changeLeft = round2(changeLeft - taken);
+  }
+
+  return {
+    tendered,
+    change_due: changeDue,
+    shortfall: round2(Math.max(saleTotal - tendered, 0)),
+    non_cash_excess: round2(excess - changeDue),
+    payments: lines.filter(line => line.amount > 0)
+  };
+}
+
+module.exports = {
+  settleTender
+};
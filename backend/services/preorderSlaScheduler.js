@@ -0,0 +1,108 @@
+const cron = require('node-cron');
+const { Op } = require('sequelize');
+const { Preorder, User, ActivityLog } = require('../models');
+const slaService = require('./preorderSlaService');
+const { sendStaffAlertEmail } = require('./emailService');
+
+const ACTIVE_STATUSES = ['Deposit Paid', 'Purchased', 'Shipped', 'Arrived'];
+
+let checking = false;
+
+/**
+ * Digest of the preorders flagged today, one line each
+ */
+function buildDigest(flagged, today) {
+  const line = p => `  ${p.tracking_code}  ${p.customer_name} – ${p.item_description}\n` +
+    `    ${p.status} (${p.shipping_method || 'no shipping method'}), ${p.sla_stage} due ${p.sla_due_date}, promised ${p.sla_promised_date}`;
+
+  const breached = flagged.filter(p => p.sla_status === 'breached');
+  const atRisk = flagged.filter(p => p.sla_status === 'at_risk');
+
+  const sections = [];
+  if (breached.length) sections.push(`Past due (${breached.length}):\n${breached.map(line).join('\n')}`);
+  if (atRisk.length) sections.push(`At risk (${atRisk.length}):\n${atRisk.map(line).join('\n')}`);
+
+  return {
+    subject: `Preorder SLA: ${breached.length} breached, ${atRisk.length} at risk (${today})`,
+    text: `These preorders became at risk or went past due today.\n\n${sections.join('\n\n')}\n`
+  };
+}
+
+/**
+ * Re-evaluate every open preorder against its SLA target and refresh its
+ * expected arrival. With alert, preorders whose standing got worse since the
+ * last alerting check are logged and emailed to active Admins and Managers
+ * as one digest.
+ * @returns {Promise<{ checked: number, flagged: number, notified: number }>}
+ */
+async function checkPreorderSla({ alert = true } = {}) {
+  if (checking) return { checked: 0, flagged: 0, notified: 0 };
+  checking = true;
+
+  try {
+    const today = slaService.toDateOnly(new Date());
+    const targets = await slaService.loadTargets();
+    const transit = await slaService.learnTransitDays(targets);
+
+    const preorders = await Preorder.findAll({
+      where: { status: { [Op.in]: ACTIVE_STATUSES } },
+      order: [['id', 'ASC']]
+    });
+
+    const flagged = [];
+    for (const preorder of preorders) {
+      try {
+        const { current } = await slaService.refreshPreorder(preorder, { targets, transit, today });
+        const lastAlerted = preorder.sla_alerted_status;
+        const worse = alert && slaService.isWorse(lastAlerted, current);
+        if (alert) preorder.sla_alerted_status = current;
+
+        // silent: a check is not an edit, so updated_at is left alone
+        await preorder.save({ silent: true });
+        if (worse) {
+          flagged.push(preorder);
+          await ActivityLog.logPreorderSlaFlagged(preorder, lastAlerted);
+        }
+      } catch (err) {
+        console.error(`[PreorderSlaScheduler] Could not check ${preorder.tracking_code}:`, err.message);
+      }
+    }
+
+    let notified = 0;
+    if (flagged.length > 0) {
+      const staff = await User.findAll({
+        where: { role: { [Op.in]: ['Admin', 'Manager'] }, is_active: true },
+        attributes: ['id', 'email']
+      });
+      const { subject, text } = buildDigest(flagged, today);
+      for (const user of staff) {
+        const result = await sendStaffAlertEmail(user.email, subject, text);
+        if (result.sent) notified++;
+      }
+    }
+
+    if (flagged.length > 0) {
+      console.log(`[PreorderSlaScheduler] ${flagged.length} of ${preorders.length} preorder(s) flagged, ${notified} staff notified`);
+    }
+    return { checked: preorders.length, flagged: flagged.length, notified };
+  } catch (err) {
+    console.error('[PreorderSlaScheduler] Error:', err.message);
+    return { checked: 0, flagged: 0, notified: 0 };
+  } finally {
+    checking = false;
+  }
+}
+
+/**
+ * Start the cron schedule
+ * Checks preorder SLAs daily at 7:00 AM
+ */
+function startScheduler() {
+  cron.schedule('0 7 * * *', async () => {
+    await checkPreorderSla();
+  });
+
+  console.log('[PreorderSlaScheduler] Scheduled: preorder SLA check (daily 7:00 AM)');
+}
+
+module.exports = { startScheduler, checkPreorderSla, buildDigest };
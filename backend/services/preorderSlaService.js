@@ -0,0 +1,298 @@
+/**
+ * Preorder SLA Service
+ *
+ * Each preorder moves through four stages after the deposit is taken:
+ * bought from the supplier (Purchased), dispatched (Shipped), landed in
+ * Ghana (Arrived) and made ready for pickup (Completed). A target per
+ * shipping method gives the days allowed for each stage.
+ *
+ * A stage is due a number of days after the previous stage actually
+ * happened (or, if it has not happened yet, after it was due), so a late
+ * purchase pushes the later due dates back while the overall promised date
+ * (deposit date plus the sum of the stage days) stays put.
+ *
+ * Expected arrival is learned from how long past shipments by the same
+ * method took from shipped_date to actual_arrival_date; until there are
+ * enough of them the target transit days are used.
+ *
+ * The date arithmetic here is free of the database; loadTargets,
+ * learnTransitDays and refreshPreorder read from it.
+ */
+
+const SLA_STATUSES = ['on_track', 'at_risk', 'breached'];
+const SHIPPING_METHODS = ['air', 'sea', 'other'];
+
+// Stage reached, the days target that covers it, and the dates that mark
+// the start and end of the stage on the preorder
+const STAGES = [
+  { stage: 'Purchased', daysKey: 'purchase_days', doneField: 'purchase_date' },
+  { stage: 'Shipped', daysKey: 'dispatch_days', doneField: 'shipped_date' },
+  { stage: 'Arrived', daysKey: 'transit_days', doneField: 'actual_arrival_date' },
+  { stage: 'Completed', daysKey: 'pickup_days', doneField: null }
+];
+
+const STATUS_ORDER = ['Deposit Paid', 'Purchased', 'Shipped', 'Arrived', 'Completed'];
+
+// Used when a method has no saved target (the README's 21 days for air)
+const DEFAULT_TARGETS = {
+  air: { purchase_days: 3, dispatch_days: 4, transit_days: 12, pickup_days: 2, at_risk_days: 2 },
+  sea: { purchase_days: 3, dispatch_days: 7, transit_days: 45, pickup_days: 2, at_risk_days: 5 },
+  other: { purchase_days: 3, dispatch_days: 5, transit_days: 14, pickup_days: 2, at_risk_days: 2 }
+};
+
+// Past shipments needed before expected arrival is learned, and how many
+// of the most recent are used
+const MIN_TRANSIT_SAMPLES = 3;
+const MAX_TRANSIT_SAMPLES = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * YYYY-MM-DD (local date) for a Date or date string
+ */
+function toDateOnly(date) {
+  if (!date) return null;
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(date)) return date.substring(0, 10);
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function addDays(dateOnly, days) {
+  const [y, m, d] = dateOnly.split('-').map(Number);
+  return toDateOnly(new Date(y, m - 1, d + days));
+}
+
+/**
+ * Whole days from a to b (YYYY-MM-DD); negative if b is earlier
+ */
+function daysBetween(a, b) {
+  const [ay, am, ad] = a.split('-').map(Number);
+  const [by, bm, bd] = b.split('-').map(Number);
+  return Math.round((Date.UTC(by, bm - 1, bd) - Date.UTC(ay, am - 1, ad)) / DAY_MS);
+}
+
+function methodKey(shippingMethod) {
+  return SHIPPING_METHODS.includes(shippingMethod) ? shippingMethod : 'other';
+}
+
+/**
+ * Target for a shipping method: the saved one, else the default
+ * @param {Object} targets - by method, from loadTargets
+ */
+function targetFor(targets, shippingMethod) {
+  const key = methodKey(shippingMethod);
+  return (targets && targets[key]) || DEFAULT_TARGETS[key];
+}
+
+/**
+ * Expected transit days from past shipments (most recent first). The median
+ * is the estimate; too few samples fall back to the target.
+ * @param {number[]} durations - shipped → arrived, in days
+ * @param {number} fallbackDays
+ * @returns {{ days: number, source: 'learned'|'target', samples: number, median: number|null, p80: number|null }}
+ */
+function transitEstimate(durations, fallbackDays) {
+  const recent = durations.filter(d => Number.isFinite(d) && d >= 0).slice(0, MAX_TRANSIT_SAMPLES);
+  if (recent.length < MIN_TRANSIT_SAMPLES) {
+    return { days: fallbackDays, source: 'target', samples: recent.length, median: null, p80: null };
+  }
+  const sorted = [...recent].sort((a, b) => a - b);
+  const percentile = p => sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+  const mid = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  return {
+    days: Math.ceil(median),
+    source: 'learned',
+    samples: recent.length,
+    median,
+    p80: percentile(0.8)
+  };
+}
+
+/**
+ * Due date of each stage, when it happened and whether it was on time
+ * @param {Object} preorder - created_at, status and the stage date fields
+ * @param {Object} target - stage days (see DEFAULT_TARGETS)
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {{ promised_date: string, stages: Array<{ stage, due_date, completed_date, state }> }}
+ *   state is done, late (done after its due date), pending, at_risk or breached
+ */
+function computeSchedule(preorder, target, today = toDateOnly(new Date())) {
+  const start = toDateOnly(preorder.created_at) || today;
+  const reached = STATUS_ORDER.indexOf(preorder.status);
+
+  let from = start;
+  let promised = start;
+  const stages = STAGES.map((s, i) => {
+    const days = target[s.daysKey];
+    const dueDate = addDays(from, days);
+    promised = addDays(promised, days);
+
+    const isDone = reached > i;
+    let completedDate = s.doneField ? toDateOnly(preorder[s.doneField]) : null;
+    if (s.stage === 'Completed' && isDone) completedDate = toDateOnly(preorder.updated_at);
+    if (!isDone) completedDate = null;
+
+    let state;
+    if (isDone) {
+      state = completedDate && completedDate > dueDate ? 'late' : 'done';
+    } else if (today > dueDate) {
+      state = 'breached';
+    } else if (daysBetween(today, dueDate) <= target.at_risk_days) {
+      state = 'at_risk';
+    } else {
+      state = 'pending';
+    }
+
+    from = completedDate || dueDate;
+    return { stage: s.stage, due_date: dueDate, completed_date: completedDate, state };
+  });
+
+  return { promised_date: promised, stages };
+}
+
+/**
+ * SLA standing of an open preorder: the next stage due and whether it is
+ * on track, at risk or breached. Missing the overall promised date is a
+ * breach even when the current stage is not yet due.
+ * @returns {{ sla_status: string|null, sla_stage: string|null, sla_due_date: string|null, sla_promised_date: string|null }}
+ *   all null for completed and cancelled preorders
+ */
+function evaluate(preorder, target, today = toDateOnly(new Date())) {
+  if (!STATUS_ORDER.includes(preorder.status) || preorder.status === 'Completed') {
+    return { sla_status: null, sla_stage: null, sla_due_date: null, sla_promised_date: null };
+  }
+
+  const { promised_date: promised, stages } = computeSchedule(preorder, target, today);
+  const next = stages[STATUS_ORDER.indexOf(preorder.status)];
+
+  let status = 'on_track';
+  if (next.state === 'breached' || today > promised) {
+    status = 'breached';
+  } else if (next.state === 'at_risk' || daysBetween(today, promised) <= target.at_risk_days) {
+    status = 'at_risk';
+  }
+
+  return { sla_status: status, sla_stage: next.stage, sla_due_date: next.due_date, sla_promised_date: promised };
+}
+
+/**
+ * Expected arrival: shipped date (or when shipping is due) plus expected
+ * transit. Null once the item has arrived.
+ */
+function estimateArrival(preorder, target, transitDays, today = toDateOnly(new Date())) {
+  if (preorder.actual_arrival_date) return null;
+  if (preorder.status === 'Cancelled' || preorder.status === 'Completed') return null;
+
+  const shipped = toDateOnly(preorder.shipped_date);
+  if (shipped) return addDays(shipped, transitDays);
+
+  const shipDue = computeSchedule(preorder, target, today).stages[1].due_date;
+  return addDays(shipDue < today ? today : shipDue, transitDays);
+}
+
+/**
+ * Whether an SLA status has got worse (null < on_track < at_risk < breached)
+ * and now needs attention
+ */
+function isWorse(previous, current) {
+  const rank = s => (s ? SLA_STATUSES.indexOf(s) + 1 : 0);
+  return rank(current) > rank(previous) && current !== 'on_track';
+}
+
+// ─── Database ───
+
+/**
+ * Saved targets by shipping method, with defaults for any not saved
+ */
+async function loadTargets(transaction = null) {
+  const { PreorderSlaTarget } = require('../models');
+  const rows = await PreorderSlaTarget.findAll({ transaction });
+  const targets = { ...DEFAULT_TARGETS };
+  for (const row of rows) {
+    targets[row.shipping_method] = {
+      purchase_days: row.purchase_days,
+      dispatch_days: row.dispatch_days,
+      transit_days: row.transit_days,
+      pickup_days: row.pickup_days,
+      at_risk_days: row.at_risk_days
+    };
+  }
+  return targets;
+}
+
+/**
+ * Transit estimate per shipping method from past shipments
+ * @returns {Promise<Object>} method → transitEstimate result
+ */
+async function learnTransitDays(targets, transaction = null) {
+  const { sequelize } = require('../models');
+  const { QueryTypes } = require('sequelize');
+
+  const rows = await sequelize.query(`
+    SELECT COALESCE(shipping_method::text, 'other') AS method,
+      (actual_arrival_date - shipped_date) AS days
+    FROM preorders
+    WHERE shipped_date IS NOT NULL
+      AND actual_arrival_date IS NOT NULL
+      AND actual_arrival_date >= shipped_date
+    ORDER BY actual_arrival_date DESC, id DESC
+  `, { type: QueryTypes.SELECT, transaction });
+
+  const estimates = {};
+  for (const method of SHIPPING_METHODS) {
+    const durations = rows.filter(r => r.method === method).map(r => parseInt(r.days, 10));
+    estimates[method] = transitEstimate(durations, targetFor(targets, method).transit_days);
+  }
+  return estimates;
+}
+
+/**
+ * Set a preorder's SLA fields and, unless it was entered by hand, its
+ * expected arrival date. Does not save.
+ * @param {Preorder} preorder
+ * @param {Object} [context] - { targets, transit, today } to reuse across many preorders
+ * @returns {Promise<{ previous: string|null, current: string|null }>} SLA status before and after
+ */
+async function refreshPreorder(preorder, context = {}) {
+  const today = context.today || toDateOnly(new Date());
+  const targets = context.targets || await loadTargets(context.transaction);
+  const transit = context.transit || await learnTransitDays(targets, context.transaction);
+
+  const target = targetFor(targets, preorder.shipping_method);
+  const previous = preorder.sla_status || null;
+  Object.assign(preorder, evaluate(preorder, target, today));
+  preorder.sla_checked_at = new Date();
+
+  if (preorder.estimated_arrival_source !== 'manual') {
+    const estimate = transit[methodKey(preorder.shipping_method)];
+    const eta = estimateArrival(preorder, target, estimate.days, today);
+    if (eta) {
+      preorder.estimated_arrival_date = eta;
+      preorder.estimated_arrival_source = estimate.source;
+    }
+  }
+
+  return { previous, current: preorder.sla_status };
+}
+
+module.exports = {
+  SLA_STATUSES,
+  SHIPPING_METHODS,
+  STAGES,
+  DEFAULT_TARGETS,
+  MIN_TRANSIT_SAMPLES,
+  MAX_TRANSIT_SAMPLES,
+  toDateOnly,
+  addDays,
+  daysBetween,
+  targetFor,
+  transitEstimate,
+  computeSchedule,
+  evaluate,
+  estimateArrival,
+  isWorse,
+  loadTargets,
+  learnTransitDays,
+  refreshPreorder
+};
@@ -0,0 +1,133 @@
+/**
+ * Product Image Service
+ *
+ * Photos of an Asset for the storefront, optionally tied to one AssetUnit
+ * for grade-specific pictures.
+ *
+ * Uploads are re-encoded to JPEG (auto-rotated, capped at MAX_DIMENSION)
+ * with a THUMBNAIL_SIZE thumbnail, written to uploads/product-images and
+ * also kept base64 in the database so they survive an ephemeral filesystem,
+ * as company logos are.
+ *
+ * Images are grouped per asset, or per unit for unit photos. Each group has
+ * its own order and at most one primary image, which is shown first.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const IMAGES_DIR = path.join(__dirname, '..', 'uploads', 'product-images');
+
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const ALLOWED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB per file
+const MAX_FILES_PER_UPLOAD = 10;
+
+const MAX_DIMENSION = 1600;
+const THUMBNAIL_SIZE = 400;
+
+const KEY_PATTERN = /^img-[a-f0-9]{32}(-thumb)?\.jpg$/;
+
+/**
+ * Re-encode an upload and generate its thumbnail
+ * @param {Buffer} buffer - the uploaded file
+ * @returns {Promise<{ image: Buffer, thumbnail: Buffer, width: number, height: number }>}
+ */
+async function processImage(buffer) {
+  const image = await sharp(buffer)
+    .rotate()
+    .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 85, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+
+  const thumbnail = await sharp(image.data)
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 80, mozjpeg: true })
+    .toBuffer();
+
+  return {
+    image: image.data,
+    thumbnail,
+    width: image.info.width,
+    height: image.info.height
+  };
+}
+
+/**
+ * New file names for an image and its thumbnail
+ */
+function generateStorageKeys() {
+  const id = crypto.randomBytes(16).toString('hex');
+  return {
+    storage_key: `img-${id}.jpg`,
+    thumbnail_key: `img-${id}-thumb.jpg`
+  };
+}
+
+function isStorageKey(filename) {
+  return KEY_PATTERN.test(String(filename || ''));
+}
+
+/**
+ * Primary first, then by sort order, then oldest first
+ */
+function sortImages(images) {
+  return [...images].sort((a, b) =>
+    (b.is_primary ? 1 : 0) - (a.is_primary ? 1 : 0)
+    || (a.sort_order || 0) - (b.sort_order || 0)
+    || a.id - b.id
+  );
+}
+
+/**
+ * Public shape of an image
+ * @param {AssetImage} image
+ * @param {string} baseUrl - where images are served, e.g. https://api.example.com/api/v1/storefront/images
+ */
+function formatImage(image, baseUrl) {
+  return {
+    id: image.id,
+    url: `${baseUrl}/${image.storage_key}`,
+    thumbnail_url: `${baseUrl}/${image.thumbnail_key}`,
+    alt: image.alt_text || null,
+    is_primary: !!image.is_primary,
+    width: image.width,
+    height: image.height,
+    unit_id: image.asset_unit_id || null
+  };
+}
+
+/**
+ * Delete the files of removed images. The database rows go by themselves
+ * (ON DELETE CASCADE) when their asset or unit is deleted.
+ * @param {Array<{ storage_key: string, thumbnail_key: string }>} images
+ */
+function removeImageFiles(images) {
+  for (const image of images) {
+    for (const key of [image.storage_key, image.thumbnail_key]) {
+      const filePath = path.join(IMAGES_DIR, path.basename(key));
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  }
+}
+
+module.exports = {
+  IMAGES_DIR,
+  ALLOWED_MIME_TYPES,
+  ALLOWED_EXTENSIONS,
+  MAX_FILE_SIZE,
+  MAX_FILES_PER_UPLOAD,
+  MAX_DIMENSION,
+  THUMBNAIL_SIZE,
+  processImage,
+  generateStorageKeys,
+  isStorageKey,
+  sortImages,
+  formatImage,
+  removeImageFiles
+};
@@ -0,0 +1,215 @@
+/**
+ * Promotion Service
+ *
+ * Works out what a promotion takes off an invoice. A promotion is a
+ * percentage or fixed discount on the lines in its scope:
+ *   all           - every line
+ *   category      - lines whose asset category is in scope_values
+ *   product_model - lines whose product model id is in scope_values
+ *   bundle        - complete sets of bundle_items ("a laptop and a
+ *                   charger"); a fixed value comes off once per set
+ *
+ * Discounts are spread over the lines they came from (allocations), so
+ * margin reports can charge each promotion with what it cost.
+ */
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+const SCOPES = ['all', 'category', 'product_model', 'bundle'];
+
+const round2 = n => Math.round(n * 100) / 100;
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Invoice items as promotion lines
+ * @param {Array<InvoiceItem>} items - with asset (category, product_model_id) loaded
+ * @returns {Array<{ invoice_item_id, quantity, amount, category, product_model_id }>}
+ */
+function toPromotionLines(items) {
+  return items.map(item => ({
+    invoice_item_id: item.id,
+    quantity: item.quantity || 0,
+    amount: parseFloat(item.line_total_amount) || 0,
+    category: item.category || item.asset?.category || null,
+    product_model_id: item.asset?.product_model_id || null
+  }));
+}
+
+/**
+ * Whether a line is a target: { category } or { product_model_id }
+ */
+function matchesTarget(line, target) {
+  if (target.product_model_id != null) {
+    return line.product_model_id != null && Number(line.product_model_id) === Number(target.product_model_id);
+  }
+  if (target.category != null) {
+    return !!line.category && line.category.toLowerCase() === String(target.category).toLowerCase();
+  }
+  return false;
+}
+
+function inScope(promotion, line) {
+  const values = promotion.scope_values || [];
+  switch (promotion.scope) {
+    case 'all':
+      return true;
+    case 'category':
+      return values.some(category => matchesTarget(line, { category }));
+    case 'product_model':
+      return values.some(id => matchesTarget(line, { product_model_id: id }));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Units of each line that make up complete bundles. Each line is used by
+ * the first bundle item it matches.
+ * @returns {{ sets: number, used: Map<number, number> }} used = line index -> units
+ */
+function bundleUsage(bundleItems, lines) {
+  const groups = bundleItems.map(() => []);
+  lines.forEach((line, index) => {
+    const match = bundleItems.findIndex(target => matchesTarget(line, target));
+    if (match !== -1 && line.quantity > 0 && line.amount > 0) groups[match].push(index);
+  });
+
+  const sets = bundleItems.length === 0 ? 0 : Math.min(...bundleItems.map((target, i) => {
+    const units = groups[i].reduce((sum, index) => sum + lines[index].quantity, 0);
+    return Math.floor(units / (target.quantity || 1));
+  }));
+
+  const used = new Map();
+  if (sets === 0) return { sets, used };
+
+  bundleItems.forEach((target, i) => {
+    let needed = sets * (target.quantity || 1);
+    for (const index of groups[i]) {
+      if (needed === 0) break;
+      const units = Math.min(needed, lines[index].quantity);
+      used.set(index, units);
+      needed -= units;
+    }
+  });
+  return { sets, used };
+}
+
+/**
+ * Spread a discount over the lines it came from, in proportion to their
+ * value. Rounding is settled on the last line so the parts add up.
+ */
+function allocate(amount, parts) {
+  const base = parts.reduce((sum, part) => sum + part.value, 0);
+  if (amount <= 0 || base <= 0) return [];
+
+  let remaining = amount;
+  return parts.map((part, i) => {
+    const share = i === parts.length - 1 ? round2(remaining) : round2(amount * part.value / base);
+    remaining = round2(remaining - share);
+    return { index: part.index, quantity: part.quantity, amount: share };
+  }).filter(part => part.amount > 0);
+}
+
+/**
+ * What one promotion takes off the lines
+ * @param {Object} promotion - discount_type, discount_value, scope, scope_values, bundle_items
+ * @param {Array<Object>} lines - from toPromotionLines; amount is what is left to discount
+ * @returns {{ amount: number, allocations: Array<{ index, quantity, amount }> }}
+ */
+function computeDiscount(promotion, lines) {
+  const value = parseFloat(promotion.discount_value) || 0;
+  if (value <= 0) return { amount: 0, allocations: [] };
+
+  let parts;
+  let sets = 0;
+  if (promotion.scope === 'bundle') {
+    const usage = bundleUsage(promotion.bundle_items || [], lines);
+    sets = usage.sets;
+    parts = [...usage.used].map(([index, quantity]) => ({
+      index,
+      quantity,
+      value: lines[index].amount * quantity / lines[index].quantity
+    }));
+  } else {
+    parts = lines
+      .map((line, index) => ({ index, quantity: line.quantity, value: line.amount }))
+      .filter(part => part.value > 0 && inScope(promotion, lines[part.index]));
+  }
+
+  const eligible = round2(parts.reduce((sum, part) => sum + part.value, 0));
+  let amount;
+  if (promotion.discount_type === 'percentage') {
+    amount = round2(eligible * Math.min(value, 100) / 100);
+  } else {
+    amount = round2(Math.min(promotion.scope === 'bundle' ? value * sets : value, eligible));
+  }
+
+  const allocations = allocate(amount, parts);
+  return { amount: round2(allocations.reduce((sum, part) => sum + part.amount, 0)), allocations };
+}
+
+/**
+ * Apply promotions in turn; each one discounts what the ones before it left.
+ * @returns {Array<{ amount, allocations: Array<{ invoice_item_id, quantity, amount }> }>} one per promotion
+ */
+function applyPromotions(promotions, lines) {
+  const remaining = lines.map(line => ({ ...line }));
+
+  return promotions.map(promotion => {
+    const { amount, allocations } = computeDiscount(promotion, remaining);
+    for (const part of allocations) {
+      remaining[part.index].amount = round2(remaining[part.index].amount - part.amount);
+    }
+    return {
+      amount,
+      allocations: allocations.map(part => ({
+        invoice_item_id: lines[part.index].invoice_item_id,
+        quantity: part.quantity,
+        amount: part.amount
+      }))
+    };
+  });
+}
+
+/**
+ * Why a promotion can't be redeemed right now, if it can't
+ * @param {Object} promotion
+ * @param {Object} usage
+ * @param {number} usage.totalUses - redemptions on invoices that weren't cancelled
+ * @param {number} usage.customerUses - of those, by this customer
+ * @param {Date} now
+ * @returns {{ code: string, message: string }|null}
+ */
+function unavailableReason(promotion, { totalUses = 0, customerUses = 0 } = {}, now = new Date()) {
+  if (!promotion.is_active) {
+    return { code: 'PROMOTION_INACTIVE', message: 'This promotion is not active' };
+  }
+  if (promotion.starts_at && new Date(promotion.starts_at) > now) {
+    return { code: 'PROMOTION_NOT_STARTED', message: 'This promotion has not started yet' };
+  }
+  if (promotion.ends_at && new Date(promotion.ends_at) <= now) {
+    return { code: 'PROMOTION_ENDED', message: 'This promotion has ended' };
+  }
+  if (promotion.usage_limit != null && totalUses >= promotion.usage_limit) {
+    return { code: 'PROMOTION_USED_UP', message: 'This promotion has been fully redeemed' };
+  }
+  if (promotion.per_customer_limit != null && customerUses >= promotion.per_customer_limit) {
+    return { code: 'PROMOTION_LIMIT_REACHED', message: 'This customer has already used this promotion' };
+  }
+  return null;
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  SCOPES,
+  normalizeCode,
+  toPromotionLines,
+  matchesTarget,
+  inScope,
+  bundleUsage,
+  computeDiscount,
+  applyPromotions,
+  unavailableReason
+};
@@ -0,0 +1,112 @@
+/**
+ * Quotation Service
+ *
+ * Rules for quotations (proforma invoices) that don't need the database.
+ *
+ * A quotation holds no stock. Availability and prices are only settled when
+ * an accepted quotation is converted into an invoice:
+ * - While the quote is valid, the quoted unit prices are honoured.
+ * - Once it has expired, lines are repriced at the current selling price,
+ *   and only if the caller explicitly asks for it.
+ * Either way, the conversion reports every line whose price has moved since
+ * it was quoted.
+ */
+
+const QUOTATION_STATUSES = ['DRAFT', 'SENT', 'ACCEPTED', 'DECLINED', 'CONVERTED'];
+
+// Statuses in which lines, discounts and dates can still change
+const EDITABLE_STATUSES = ['DRAFT', 'SENT'];
+
+// Manual status changes allowed from each status (CONVERTED is set by convert)
+const STATUS_TRANSITIONS = {
+  DRAFT: ['SENT', 'ACCEPTED', 'DECLINED'],
+  SENT: ['ACCEPTED', 'DECLINED'],
+  ACCEPTED: ['SENT', 'DECLINED'],
+  DECLINED: ['SENT'],
+  CONVERTED: []
+};
+
+const DEFAULT_VALIDITY_DAYS = 14;
+
+const round2 = n => Math.round(n * 100) / 100;
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Default valid-until date for a quote dated quoteDate
+ * @param {string} quoteDate - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string} YYYY-MM-DD
+ */
+function defaultValidUntil(quoteDate, days = DEFAULT_VALIDITY_DAYS) {
+  const date = new Date(`${String(quoteDate).slice(0, 10)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * A quote is valid through the end of its valid_until date
+ * @param {string} validUntil - YYYY-MM-DD
+ * @param {string} asOf - YYYY-MM-DD, default today
+ * @returns {boolean}
+ */
+function isExpired(validUntil, asOf = today()) {
+  if (!validUntil) return false;
+  return String(validUntil).slice(0, 10) < String(asOf).slice(0, 10);
+}
+
+/**
+ * Whether a manual status change is allowed
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Unit price to invoice a quoted line at
+ * @param {Object} params
+ * @param {number} params.quotedPrice - unit price on the quote
+ * @param {number} params.currentPrice - current selling price
+ * @param {boolean} params.useCurrentPrices - reprice instead of honouring the quote
+ * @returns {{ price: number, changed: boolean }} changed when the current
+ *   price differs from the quoted one, whichever is used
+ */
+function resolveConversionPrice({ quotedPrice, currentPrice, useCurrentPrices = false }) {
+  const quoted = round2(parseFloat(quotedPrice) || 0);
+  const current = round2(parseFloat(currentPrice) || 0);
+  return {
+    price: useCurrentPrices ? current : quoted,
+    changed: quoted !== current
+  };
+}
+
+/**
+ * Split a fixed line discount across the single-unit invoice lines a
+ * serialized quote line becomes. The last unit absorbs the rounding.
+ * @param {number} amount - fixed discount on the quote line
+ * @param {number} count - units on the line
+ * @returns {number[]}
+ */
+function splitFixedDiscount(amount, count) {
+  if (count <= 0) return [];
+  const base = Math.floor((amount / count) * 100) / 100;
+  const shares = Array(count).fill(base);
+  shares[count - 1] = round2(amount - base * (count - 1));
+  return shares;
+}
+
+module.exports = {
+  QUOTATION_STATUSES,
+  EDITABLE_STATUSES,
+  DEFAULT_VALIDITY_DAYS,
+  defaultValidUntil,
+  isExpired,
+  canTransition,
+  resolveConversionPrice,
+  splitFixedDiscount
+};
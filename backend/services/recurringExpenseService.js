@@ -81,7 +81,8 @@ async function generateRecurringExpenses(targetPeriod = null) {
           // Use the 1st of the month as expense_date for recurring entries
           const expenseDate = `${period}-01`;
 
-          await Expense.create({
+          // One transaction with its ledger posting, so a closed period leaves no expense behind
+          await sequelize.transaction(transaction => Expense.create({
             expense_date: expenseDate,
             recognition_period: period,
             category_id: rec.category_id,
@@ -96,7 +97,7 @@ async function generateRecurringExpenses(targetPeriod = null) {
             recurrence_group_id: rec.id,
             notes: `Auto-generated from recurring expense #${rec.id}`,
             created_by: rec.created_by
-          });
+          }, { transaction }));
 
           generated++;
         }
@@ -0,0 +1,92 @@
+/**
+ * Repair State Service
+ *
+ * Shared repair/salvage state transitions for assets and units.
+ * Moving into repair or salvage swaps the condition status to the matching
+ * valuation condition; moving back to regular restores the previous one.
+ */
+
+const { ConditionStatus } = require('../models');
+
+const REPAIR_STATES = ['regular', 'under_repair', 'salvage_parts'];
+
+const REPAIR_STATE_LABELS = {
+  regular: 'Regular',
+  under_repair: 'Under Repair',
+  salvage_parts: 'Salvage / Parts'
+};
+
+/**
+ * Resolve the condition statuses used for repair valuation.
+ * @returns {Object} { conditionMap, defaultConditionId }
+ */
+async function resolveRepairConditions(transaction = null) {
+  const options = transaction ? { transaction } : {};
+  const [needsRepairCond, partsOnlyCond, defaultCond] = await Promise.all([
+    ConditionStatus.findOne({ where: { name: 'Needs Repair' }, ...options }),
+    ConditionStatus.findOne({ where: { name: 'Parts Only' }, ...options }),
+    ConditionStatus.findOne({ where: { is_default: true }, ...options })
+  ]);
+
+  return {
+    conditionMap: {
+      under_repair: needsRepairCond?.id || null,
+      salvage_parts: partsOnlyCond?.id || null,
+      regular: null // will use previous or default
+    },
+    defaultConditionId: defaultCond?.id || null
+  };
+}
+
+/**
+ * Append a note entry to a JSONB notes array.
+ */
+function appendRepairNote(existing, text, userName, userId) {
+  if (!text) return existing;
+  const arr = Array.isArray(existing) ? [...existing] : [];
+  arr.push({ text, author: userName || 'Unknown', author_id: userId, timestamp: new Date().toISOString() });
+  return arr;
+}
+
+/**
+ * Apply a repair state to an Asset or AssetUnit instance (not saved).
+ *
+ * @param {Model} record - Asset or AssetUnit
+ * @param {string} repairState - regular | under_repair | salvage_parts
+ * @param {Object} conditions - Result of resolveRepairConditions()
+ * @param {Object} opts - { note, userId, userName }
+ * @returns {boolean} true if the state changed
+ */
+function applyRepairState(record, repairState, conditions, { note = null, userId = null, userName = null } = {}) {
+  const oldState = record.repair_state || 'regular';
+  const changed = oldState !== repairState;
+
+  if (changed) {
+    // Store previous condition when entering repair/salvage
+    if (repairState !== 'regular' && oldState === 'regular') {
+      record.previous_condition_status_id = record.condition_status_id;
+    }
+
+    // Update condition status for valuation
+    if (repairState === 'regular') {
+      record.condition_status_id = record.previous_condition_status_id || conditions.defaultConditionId;
+      record.previous_condition_status_id = null;
+    } else {
+      record.condition_status_id = conditions.conditionMap[repairState];
+    }
+  }
+
+  record.repair_state = repairState;
+  if (note) record.repair_notes = appendRepairNote(record.repair_notes, note, userName, userId);
+  record.repair_updated_at = new Date();
+  record.repair_updated_by = userId;
+  return changed;
+}
+
+module.exports = {
+  REPAIR_STATES,
+  REPAIR_STATE_LABELS,
+  resolveRepairConditions,
+  appendRepairNote,
+  applyRepairState
+};
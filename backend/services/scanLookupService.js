@@ -0,0 +1,59 @@
+/**
+ * Scan Lookup Service
+ *
+ * Resolves a scanned or typed code to inventory. Codes are matched
+ * case-insensitively, in this order:
+ * 1. Product serial number or asset tag
+ * 2. Unit serial number
+ * 3. Unit barcode (SalesBinder SKU)
+ * 4. Unit IMEI
+ * Deleted products are never matched.
+ */
+
+const { Asset, AssetUnit, sequelize } = require('../models');
+const { Op } = require('sequelize');
+
+const UNIT_FIELDS = ['serial_number', 'barcode', 'imei'];
+
+/**
+ * @param {string} code
+ * @param {Object} options
+ * @param {Transaction} options.transaction
+ * @returns {Promise<{ asset: Asset|null, unit: AssetUnit|null, matchedOn: string|null }>}
+ *   unit is set when the code identified a specific serialized unit
+ */
+async function resolveScanCode(code, { transaction } = {}) {
+  const codeUpper = String(code).trim().toUpperCase();
+  const queryOptions = transaction ? { transaction } : {};
+
+  const asset = await Asset.findOne({
+    where: {
+      [Op.or]: [
+        sequelize.where(sequelize.fn('UPPER', sequelize.col('serial_number')), codeUpper),
+        sequelize.where(sequelize.fn('UPPER', sequelize.col('asset_tag')), codeUpper)
+      ],
+      deleted_at: null
+    },
+    ...queryOptions
+  });
+  if (asset) {
+    return { asset, unit: null, matchedOn: 'asset' };
+  }
+
+  for (const field of UNIT_FIELDS) {
+    const unit = await AssetUnit.findOne({
+      where: sequelize.where(sequelize.fn('UPPER', sequelize.col(`AssetUnit.${field}`)), codeUpper),
+      include: [{ model: Asset, as: 'product', where: { deleted_at: null } }],
+      ...queryOptions
+    });
+    if (unit) {
+      return { asset: unit.product, unit, matchedOn: field };
+    }
+  }
+
+  return { asset: null, unit: null, matchedOn: null };
+}
+
+module.exports = {
+  resolveScanCode
+};
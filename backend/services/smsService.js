@@ -0,0 +1,49 @@
+const axios = require('axios');
+
+/**
+ * SMS through the Arkesel gateway (https://developers.arkesel.com).
+ * Without ARKESEL_API_KEY nothing is sent, as with Resend for email.
+ */
+
+const ARKESEL_URL = 'https://sms.arkesel.com/api/v2/sms/send';
+const SENDER_ID = process.env.SMS_SENDER_ID || 'Payless4Tech';
+
+function isConfigured() {
+  return Boolean(process.env.ARKESEL_API_KEY);
+}
+
+/**
+ * Send one text message
+ * @param {string} to - E.164 phone number
+ * @param {string} message
+ * @returns {Promise<{ sent: boolean, id?: string, reason?: string }>}
+ */
+async function sendSms(to, message) {
+  const apiKey = process.env.ARKESEL_API_KEY;
+  if (!apiKey) {
+    console.log('SMS gateway not configured — skipping SMS');
+    return { sent: false, reason: 'no_api_key' };
+  }
+
+  try {
+    const response = await axios.post(ARKESEL_URL, {
+      sender: SENDER_ID,
+      message,
+      // Arkesel takes international numbers without the +
+      recipients: [String(to).replace(/^\+/, '')]
+    }, {
+      headers: { 'api-key': apiKey },
+      timeout: 15000
+    });
+
+    if (response.data?.status !== 'success') {
+      return { sent: false, reason: response.data?.message || 'Rejected by SMS gateway' };
+    }
+    return { sent: true, id: response.data?.data?.[0]?.id || null };
+  } catch (err) {
+    console.error(`📱 SMS to ${to} failed:`, err.response?.data?.message || err.message);
+    return { sent: false, reason: err.response?.data?.message || err.message };
+  }
+}
+
+module.exports = { sendSms, isConfigured };
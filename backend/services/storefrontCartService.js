@@ -0,0 +1,133 @@
+/**
+ * Storefront Cart Service
+ *
+ * Rules for website carts and unpaid website orders that don't need the
+ * database.
+ *
+ * A cart holds its items' stock for HOLD_MINUTES from the last change to
+ * it. While the hold lasts the quantities count against availability like
+ * an invoice reservation does (see inventoryAvailabilityService); once it
+ * lapses they stop counting straight away, and storefrontScheduler marks
+ * the cart expired.
+ *
+ * Checking out turns the cart into an UNPAID invoice, which reserves the
+ * stock from then on. If it is still unpaid ORDER_TIMEOUT_MINUTES later the
+ * scheduler cancels it and the stock is released. Starting a Paystack
+ * payment gives the order at least PAYMENT_GRACE_MINUTES more, and the
+ * scheduler asks Paystack about the payment before cancelling.
+ *
+ * The durations can be set in the environment:
+ *   STOREFRONT_CART_HOLD_MINUTES     (default 15)
+ *   STOREFRONT_ORDER_TIMEOUT_MINUTES (default 60, 0 = never cancel)
+ *   STOREFRONT_PAYMENT_GRACE_MINUTES (default 30)
+ */
+
+const CART_STATUSES = ['active', 'checked_out', 'expired', 'abandoned'];
+
+const DEFAULT_HOLD_MINUTES = 15;
+const DEFAULT_ORDER_TIMEOUT_MINUTES = 60;
+const DEFAULT_PAYMENT_GRACE_MINUTES = 30;
+
+// Same limits as POST /orders
+const MAX_CART_ITEMS = 20;
+const MAX_LINE_QUANTITY = 99;
+
+/**
+ * Whole minutes from an environment value, or the fallback when it is
+ * missing or not a number
+ */
+function minutesFromEnv(value, fallback) {
+  if (value === undefined || value === null || String(value).trim() === '') return fallback;
+  const minutes = parseInt(value, 10);
+  return Number.isInteger(minutes) && minutes >= 0 ? minutes : fallback;
+}
+
+function holdMinutes() {
+  return minutesFromEnv(process.env.STOREFRONT_CART_HOLD_MINUTES, DEFAULT_HOLD_MINUTES) || DEFAULT_HOLD_MINUTES;
+}
+
+function orderTimeoutMinutes() {
+  return minutesFromEnv(process.env.STOREFRONT_ORDER_TIMEOUT_MINUTES, DEFAULT_ORDER_TIMEOUT_MINUTES);
+}
+
+function paymentGraceMinutes() {
+  return minutesFromEnv(process.env.STOREFRONT_PAYMENT_GRACE_MINUTES, DEFAULT_PAYMENT_GRACE_MINUTES) || DEFAULT_PAYMENT_GRACE_MINUTES;
+}
+
+function addMinutes(from, minutes) {
+  return new Date(new Date(from).getTime() + minutes * 60 * 1000);
+}
+
+/**
+ * When a cart changed at `from` stops holding stock
+ * @returns {Date}
+ */
+function holdExpiry(from = new Date()) {
+  return addMinutes(from, holdMinutes());
+}
+
+/**
+ * When an order placed at `from` is cancelled if still unpaid
+ * @returns {Date|null} null when auto-cancelling is turned off
+ */
+function orderExpiry(from = new Date()) {
+  const minutes = orderTimeoutMinutes();
+  return minutes > 0 ? addMinutes(from, minutes) : null;
+}
+
+/**
+ * When an order whose payment was started at `from` is cancelled if still
+ * unpaid: its own expiry, or the payment grace period if that ends later
+ * @param {Date|null} currentExpiry - the order's storefront_expires_at
+ * @returns {Date|null} null when the order is never cancelled
+ */
+function paymentExpiry(currentExpiry, from = new Date()) {
+  if (!currentExpiry) return null;
+  const graceEnd = addMinutes(from, paymentGraceMinutes());
+  return new Date(currentExpiry) > graceEnd ? new Date(currentExpiry) : graceEnd;
+}
+
+/**
+ * Whether a cart still holds its stock
+ * @param {{ status: string, expires_at: Date }} cart
+ */
+function isHoldActive(cart, now = new Date()) {
+  return cart.status === 'active' && new Date(cart.expires_at) > new Date(now);
+}
+
+/**
+ * Validate one PUT /carts/:id/items body
+ * @returns {{ assetId: number, quantity: number }} quantity 0 removes the line
+ * @throws {Error} with .code and .field when invalid
+ */
+function parseCartLine({ product_id, quantity = 1 } = {}) {
+  const assetId = parseInt(product_id, 10);
+  const qty = Number(quantity);
+
+  const invalid = (field, message) => Object.assign(new Error(message), { code: 'INVALID_ITEM', field });
+  if (!Number.isInteger(assetId) || assetId < 1) {
+    throw invalid('product_id', 'A valid product_id is required');
+  }
+  if (!Number.isInteger(qty) || qty < 0 || qty > MAX_LINE_QUANTITY) {
+    throw invalid('quantity', `Quantity must be a whole number from 0 to ${MAX_LINE_QUANTITY}`);
+  }
+  return { assetId, quantity: qty };
+}
+
+module.exports = {
+  CART_STATUSES,
+  DEFAULT_HOLD_MINUTES,
+  DEFAULT_ORDER_TIMEOUT_MINUTES,
+  DEFAULT_PAYMENT_GRACE_MINUTES,
+  MAX_CART_ITEMS,
+  MAX_LINE_QUANTITY,
+  minutesFromEnv,
+  holdMinutes,
+  orderTimeoutMinutes,
+  paymentGraceMinutes,
+  holdExpiry,
+  orderExpiry,
+  paymentExpiry,
+  isHoldActive,
+  parseCartLine
+};
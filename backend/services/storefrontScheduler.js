@@ -0,0 +1,180 @@
+const cron = require('node-cron');
+const axios = require('axios');
+const { Op } = require('sequelize');
+const { Invoice, InvoiceItem, InvoicePayment, Asset, InstallmentPlan, StorefrontCart, ActivityLog, sequelize } = require('../models');
+const { releaseInvoiceItems } = require('./inventoryAvailabilityService');
+const { paymentExpiry } = require('./storefrontCartService');
+
+const ORDER_TIMEOUT_REASON = 'Unpaid website order timed out';
+
+// Paystack transaction statuses that mean no money was taken
+const PAYSTACK_UNPAID_STATUSES = ['abandoned', 'failed', 'reversed'];
+
+let cancelling = false;
+
+/**
+ * Mark active carts whose hold has lapsed as expired. Their stock stopped
+ * counting as held at expires_at already; this keeps the status honest.
+ */
+async function expireCarts() {
+  try {
+    const [count] = await StorefrontCart.update(
+      { status: 'expired' },
+      { where: { status: 'active', expires_at: { [Op.lte]: new Date() } } }
+    );
+    if (count > 0) {
+      console.log(`[StorefrontScheduler] Expired ${count} cart(s)`);
+    }
+  } catch (err) {
+    console.error('[StorefrontScheduler] Cart expiry error:', err.message);
+  }
+}
+
+/**
+ * Whether a Paystack payment started for an order may still take the
+ * customer's money
+ * @param {string} reference - the order's payment_reference
+ * @returns {Promise<boolean>} false only when Paystack says nothing was or
+ *   will be charged; true when it can't be asked
+ */
+async function paystackPaymentMayComplete(reference) {
+  const paystackSecret = process.env.PAYSTACK_SECRET_KEY;
+  // Without the gateway no payment could have been started
+  if (!paystackSecret) return false;
+
+  try {
+    const response = await axios.get(
+      `https://api.paystack.co/transaction/verify/${encodeURIComponent(reference)}`,
+      {
+        headers: { Authorization: `Bearer ${paystackSecret}` },
+        timeout: 10000,
+        validateStatus: status => status < 500
+      }
+    );
+    // Paystack answers 400 for a reference it never saw
+    if (response.status === 400 || response.status === 404) return false;
+    const status = response.data?.data?.status;
+    return !PAYSTACK_UNPAID_STATUSES.includes(status);
+  } catch (err) {
+    console.error(`[StorefrontScheduler] Could not check Paystack payment ${reference}:`, err.message);
+    return true;
+  }
+}
+
+/**
+ * Cancel one timed-out website order, releasing its stock. Skipped if it
+ * was paid, partly paid or put on an installment plan in the meantime, or if
+ * a Paystack payment for it may still go through — then the order gets the
+ * payment grace period again.
+ * @returns {boolean} whether it was cancelled
+ */
+async function cancelExpiredOrder(invoiceId) {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const invoice = await Invoice.findByPk(invoiceId, { transaction, lock: true });
+    if (!invoice || invoice.status !== 'UNPAID' || !invoice.storefront_expires_at || invoice.storefront_expires_at > new Date()) {
+      await transaction.rollback();
+      return false;
+    }
+
+    const [payments, activePlan] = await Promise.all([
+      InvoicePayment.count({ where: { invoice_id: invoice.id, voided_at: null }, transaction }),
+      InstallmentPlan.count({ where: { invoice_id: invoice.id, status: 'active' }, transaction })
+    ]);
+    if (payments > 0 || activePlan > 0) {
+      await transaction.rollback();
+      return false;
+    }
+
+    // Checked with the order locked, so the Paystack webhook waits for the
+    // outcome instead of finding the order cancelled under it
+    if (invoice.payment_reference && await paystackPaymentMayComplete(invoice.payment_reference)) {
+      invoice.storefront_expires_at = paymentExpiry(invoice.storefront_expires_at);
+      await invoice.save({ transaction });
+      await transaction.commit();
+      return false;
+    }
+
+    invoice.items = await InvoiceItem.findAll({
+      where: { invoice_id: invoice.id },
+      include: [{ model: Asset, as: 'asset' }],
+      transaction
+    });
+
+    invoice.applyCancellation(null, ORDER_TIMEOUT_REASON);
+    await invoice.save({ transaction });
+
+    // Website orders only reserve stock until paid (nothing was taken out
+    // of on-hand quantity), so release them as held
+    await releaseInvoiceItems(invoice, {
+      transaction,
+      userId: null,
+      reason: ORDER_TIMEOUT_REASON,
+      fulfillmentType: 'held'
+    });
+
+    await transaction.commit();
+
+    await ActivityLog.logInvoiceCancelled(invoice, null, ORDER_TIMEOUT_REASON);
+    return true;
+  } catch (err) {
+    if (!transaction.finished) await transaction.rollback();
+    throw err;
+  }
+}
+
+/**
+ * Cancel website orders still UNPAID after their storefront_expires_at
+ */
+async function cancelExpiredOrders() {
+  if (cancelling) return;
+  cancelling = true;
+
+  try {
+    const due = await Invoice.findAll({
+      where: {
+        status: 'UNPAID',
+        storefront_expires_at: { [Op.lte]: new Date() }
+      },
+      attributes: ['id', 'invoice_number'],
+      order: [['storefront_expires_at', 'ASC']],
+      limit: 100
+    });
+
+    let cancelled = 0;
+    for (const invoice of due) {
+      try {
+        if (await cancelExpiredOrder(invoice.id)) cancelled++;
+      } catch (err) {
+        console.error(`[StorefrontScheduler] Could not cancel ${invoice.invoice_number}:`, err.message);
+      }
+    }
+
+    if (cancelled > 0) {
+      console.log(`[StorefrontScheduler] Cancelled ${cancelled} unpaid website order(s)`);
+    }
+  } catch (err) {
+    console.error('[StorefrontScheduler] Order timeout error:', err.message);
+  } finally {
+    cancelling = false;
+  }
+}
+
+/**
+ * Start the cron schedule
+ * Expires carts every minute, cancels timed-out orders every 5 minutes
+ */
+function startScheduler() {
+  cron.schedule('* * * * *', async () => {
+    await expireCarts();
+  });
+
+  cron.schedule('*/5 * * * *', async () => {
+    await cancelExpiredOrders();
+  });
+
+  console.log('[StorefrontScheduler] Scheduled: cart expiry (every minute), unpaid order timeout (every 5 min)');
+}
+
+module.exports = { startScheduler, expireCarts, cancelExpiredOrders, cancelExpiredOrder, paystackPaymentMayComplete, ORDER_TIMEOUT_REASON };
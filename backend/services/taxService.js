@@ -0,0 +1,108 @@
+/**
+ * Tax Service
+ *
+ * Computes invoice tax lines from TaxRule records.
+ *
+ * Flat rules are charged on the taxable value. Compound rules are charged on
+ * the taxable value plus the flat taxes on it — Ghana's VAT is levied on the
+ * value inclusive of NHIL, GETFund and the COVID-19 levy.
+ *
+ * Tax modes (per invoice):
+ * - none:      no tax charged
+ * - exclusive: line prices are net; taxes are added on top
+ * - inclusive: line prices already include taxes; taxes are extracted
+ */
+
+const TAX_MODES = ['none', 'exclusive', 'inclusive'];
+
+const round2 = n => Math.round(n * 100) / 100;
+
+/**
+ * Rules that apply to a line in the given category
+ */
+function rulesForCategory(rules, category) {
+  if (!category) return rules;
+  const target = String(category).toLowerCase();
+  return rules.filter(rule =>
+    !(rule.exempt_categories || []).some(c => String(c).toLowerCase() === target)
+  );
+}
+
+/**
+ * Compute taxes for an invoice.
+ *
+ * @param {Object} params
+ * @param {Array<{amount: number, category: string}>} params.lines - line totals after line discounts
+ * @param {Array<TaxRule>} params.rules - applicable rules in display order
+ * @param {string} params.mode - none | exclusive | inclusive
+ * @param {number} params.discountAmount - invoice-level discount, spread across lines pro rata
+ * @returns {{ lines: Array<Object>, tax_amount: number, net_amount: number, gross_amount: number }}
+ *   net_amount excludes tax; gross_amount is what the customer pays
+ */
+function computeInvoiceTaxes({ lines, rules, mode = 'none', discountAmount = 0 }) {
+  const subtotal = lines.reduce((sum, line) => sum + (parseFloat(line.amount) || 0), 0);
+  const afterDiscount = round2(subtotal - (parseFloat(discountAmount) || 0));
+
+  if (mode === 'none' || !rules || rules.length === 0 || subtotal === 0) {
+    return { lines: [], tax_amount: 0, net_amount: afterDiscount, gross_amount: afterDiscount };
+  }
+
+  const discountFactor = afterDiscount / subtotal;
+  const totals = new Map(rules.map(rule => [rule.id, { taxable: 0, tax: 0 }]));
+
+  for (const line of lines) {
+    const amount = (parseFloat(line.amount) || 0) * discountFactor;
+    if (amount === 0) continue;
+
+    const applicable = rulesForCategory(rules, line.category);
+    const flatRate = applicable.filter(r => !r.is_compound).reduce((sum, r) => sum + r.rate_percent / 100, 0);
+    const compoundRate = applicable.filter(r => r.is_compound).reduce((sum, r) => sum + r.rate_percent / 100, 0);
+
+    // Taxable value of the line before any tax
+    const base = mode === 'inclusive'
+      ? amount / ((1 + flatRate) * (1 + compoundRate))
+      : amount;
+
+    for (const rule of applicable) {
+      const taxable = rule.is_compound ? base * (1 + flatRate) : base;
+      const entry = totals.get(rule.id);
+      entry.taxable += taxable;
+      entry.tax += taxable * (rule.rate_percent / 100);
+    }
+  }
+
+  const taxLines = rules
+    .map(rule => ({
+      tax_rule_id: rule.id,
+      code: rule.code,
+      name: rule.name,
+      rate_percent: rule.rate_percent,
+      is_compound: !!rule.is_compound,
+      taxable_amount: round2(totals.get(rule.id).taxable),
+      tax_amount: round2(totals.get(rule.id).tax)
+    }))
+    .filter(line => line.taxable_amount !== 0);
+
+  const taxAmount = round2(taxLines.reduce((sum, line) => sum + line.tax_amount, 0));
+
+  if (mode === 'inclusive') {
+    return {
+      lines: taxLines,
+      tax_amount: taxAmount,
+      net_amount: round2(afterDiscount - taxAmount),
+      gross_amount: afterDiscount
+    };
+  }
+
+  return {
+    lines: taxLines,
+    tax_amount: taxAmount,
+    net_amount: afterDiscount,
+    gross_amount: round2(afterDiscount + taxAmount)
+  };
+}
+
+module.exports = {
+  TAX_MODES,
+  computeInvoiceTaxes
+};
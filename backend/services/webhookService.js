@@ -0,0 +1,501 @@
+/**
+ * Webhook Service
+ *
+ * Outbound webhooks: subscribers register an HTTPS endpoint and the events
+ * they want, and every matching event is POSTed to them as JSON.
+ *
+ * Events are raised where the audit trail is already written — ActivityLog
+ * entries for invoices, payments, returns and preorders, InventoryItemEvents
+ * for stock changes, and Invoice#handlePaidTransition for invoice.paid.
+ *
+ * Each request is signed with the subscription secret: an HMAC-SHA512 hex
+ * digest of `<timestamp>.<raw body>`, sent in the X-BizHub-Signature header,
+ * with the Unix timestamp (seconds) in X-BizHub-Timestamp. Receivers should
+ * refuse requests whose timestamp is more than a few minutes old, so a
+ * captured request cannot be replayed later. Failed deliveries are retried
+ * with backoff until RETRY_DELAYS_MINUTES runs out, then marked failed; any
+ * delivery can be replayed from the delivery log.
+ *
+ * A delivery is claimed before it is sent by moving its next_attempt_at
+ * CLAIM_MINUTES ahead, atomically, so neither the retry sweep nor another
+ * server picks it up while the attempt is under way. A claim only lapses if
+ * the process dies mid-attempt.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const cron = require('node-cron');
+
+const EVENTS = [
+  'invoice.created',
+  'invoice.paid',
+  'invoice.cancelled',
+  'payment.recorded',
+  'payment.voided',
+  'return.finalized',
+  'asset.stock_changed',
+  'preorder.status_changed'
+];
+
+const EVENT_LABELS = {
+  'invoice.created': 'Invoice created',
+  'invoice.paid': 'Invoice paid in full',
+  'invoice.cancelled': 'Invoice cancelled',
+  'payment.recorded': 'Payment or refund recorded',
+  'payment.voided': 'Payment or refund voided',
+  'return.finalized': 'Return finalized',
+  'asset.stock_changed': 'Asset stock changed',
+  'preorder.status_changed': 'Preorder status changed'
+};
+
+// ActivityLog action type -> webhook event
+const ACTIVITY_EVENTS = {
+  INVOICE_CREATED: 'invoice.created',
+  INVOICE_CANCELLED: 'invoice.cancelled',
+  PAYMENT_RECEIVED: 'payment.recorded',
+  REFUND_RECORDED: 'payment.recorded',
+  TRANSACTION_VOIDED: 'payment.voided',
+  RETURN_FINALIZED: 'return.finalized',
+  PREORDER_STATUS_CHANGED: 'preorder.status_changed'
+};
+
+// InventoryItemEvent types that move on-hand quantity or availability
+const STOCK_EVENT_TYPES = [
+  'IMPORTED',
+  'CREATED',
+  'ADDED_TO_INVOICE',
+  'SOLD',
+  'RETURN_FINALIZED',
+  'INVENTORY_RELEASED',
+  'SOFT_DELETED',
+  'RESTORED',
+  'BULK_UPLOAD_REVERTED',
+  'INVOICE_CANCELLED_INVENTORY_RELEASED',
+  'STOCK_ADJUSTED',
+  'WARRANTY_REPLACEMENT',
+  'TRANSFERRED'
+];
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Wait before each retry; the first attempt is immediate
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 360, 720];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+const REQUEST_TIMEOUT_MS = 10000;
+const RESPONSE_BODY_LIMIT = 2000;
+const BATCH_SIZE = 50;
+
+// Longer than a whole batch of attempts can take (BATCH_SIZE x timeout)
+const CLAIM_MINUTES = 15;
+
+const SIGNATURE_HEADER = 'X-BizHub-Signature';
+const TIMESTAMP_HEADER = 'X-BizHub-Timestamp';
+
+/**
+ * Sign a request with a subscription secret
+ * @param {string} secret
+ * @param {string} body - the exact JSON string that is sent
+ * @param {number|string} timestamp - Unix seconds, as sent in X-BizHub-Timestamp
+ * @returns {string} HMAC-SHA512 hex digest of `<timestamp>.<body>`
+ */
+function signPayload(secret, body, timestamp) {
+  return crypto.createHmac('sha512', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * When to try again after a failed attempt
+ * @param {number} attemptCount - attempts made so far, including the failed one
+ * @param {Date} from
+ * @returns {Date|null} null once the retries are used up
+ */
+function nextAttemptAt(attemptCount, from = new Date()) {
+  if (attemptCount >= MAX_ATTEMPTS) return null;
+  const minutes = RETRY_DELAYS_MINUTES[Math.max(attemptCount - 1, 0)];
+  return new Date(from.getTime() + minutes * 60 * 1000);
+}
+
+/**
+ * Subscriptions only accept https:// URLs
+ * @returns {string|null} error message, or null when the URL is usable
+ */
+function validateEndpointUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || ''));
+  } catch (err) {
+    return 'URL is not valid';
+  }
+  if (parsed.protocol !== 'https:') return 'URL must use https://';
+  if (parsed.username || parsed.password) return 'URL must not contain credentials';
+  return null;
+}
+
+/**
+ * Build the webhook event for an ActivityLog entry
+ * @returns {{ event: string, data: Object }|null} null when the action is not published
+ */
+function eventFromActivity(entry) {
+  const event = ACTIVITY_EVENTS[entry.action_type];
+  if (!event) return null;
+
+  return {
+    event,
+    data: {
+      entity_type: entry.entity_type,
+      entity_id: entry.entity_id,
+      summary: entry.summary,
+      actor_user_id: entry.actor_user_id,
+      ...(entry.action_type === 'PAYMENT_RECEIVED' && { transactionType: 'PAYMENT' }),
+      ...(entry.action_type === 'REFUND_RECORDED' && { transactionType: 'REFUND' }),
+      ...(entry.metadata || {})
+    }
+  };
+}
+
+/**
+ * Whether an InventoryItemEvent changes stock. Manual edits only count when
+ * the quantity was edited.
+ */
+function isStockEvent(eventType, details) {
+  if (eventType === 'UPDATED') {
+    return Boolean(details && Array.isArray(details.changedFields) && details.changedFields.includes('quantity'));
+  }
+  return STOCK_EVENT_TYPES.includes(eventType);
+}
+
+function truncate(text, limit = RESPONSE_BODY_LIMIT) {
+  if (text === undefined || text === null) return null;
+  const str = typeof text === 'string' ? text : JSON.stringify(text);
+  return str.length > limit ? `${str.slice(0, limit)}…` : str;
+}
+
+/**
+ * POST one delivery and record the outcome on it
+ * @param {WebhookDelivery} delivery - with its subscription loaded
+ */
+async function attemptDelivery(delivery) {
+  const subscription = delivery.subscription;
+  const now = new Date();
+
+  if (!subscription || !subscription.is_active) {
+    delivery.status = 'failed';
+    delivery.next_attempt_at = null;
+    delivery.last_error = 'Subscription is disabled';
+    await delivery.save();
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+  let ok = false;
+
+  delivery.attempt_count += 1;
+  delivery.last_attempt_at = now;
+
+  try {
+    const response = await axios.post(subscription.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'BizHub-Webhooks/1.0',
+        [SIGNATURE_HEADER]: signPayload(subscription.secret, body, timestamp),
+        [TIMESTAMP_HEADER]: String(timestamp),
+        'X-BizHub-Event': delivery.event,
+        'X-BizHub-Event-Id': delivery.event_id,
+        'X-BizHub-Delivery': String(delivery.id)
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      transformRequest: [data => data],
+      transformResponse: [data => data],
+      validateStatus: () => true
+    });
+
+    ok = response.status >= 200 && response.status < 300;
+    delivery.response_status = response.status;
+    delivery.response_body = truncate(response.data);
+    delivery.last_error = ok ? null : `Endpoint responded ${response.status}`;
+  } catch (err) {
+    delivery.response_status = null;
+    delivery.response_body = null;
+    delivery.last_error = err.code ? `${err.code}: ${err.message}` : err.message;
+  }
+
+  if (ok) {
+    delivery.status = 'succeeded';
+    delivery.delivered_at = now;
+    delivery.next_attempt_at = null;
+    subscription.last_success_at = now;
+  } else {
+    delivery.next_attempt_at = nextAttemptAt(delivery.attempt_count, now);
+    delivery.status = delivery.next_attempt_at ? 'pending' : 'failed';
+    subscription.last_failure_at = now;
+  }
+
+  await delivery.save();
+  await subscription.save({ fields: ['last_success_at', 'last_failure_at'] });
+  return delivery;
+}
+
+// A new delivery is sent straight away, so it starts out claimed; the
+// scheduler only picks it up if that first attempt never gets to record its
+// outcome (e.g. a restart)
+function claimExpiry(from = new Date()) {
+  return new Date(from.getTime() + CLAIM_MINUTES * 60 * 1000);
+}
+
+function deliverInBackground(deliveries) {
+  (async () => {
+    for (const delivery of deliveries) {
+      await attemptDelivery(delivery);
+    }
+  })().catch(err => {
+    console.error('[Webhooks] Delivery error:', err.message);
+  });
+}
+
+/**
+ * Queue an event for every active subscription that wants it and start
+ * delivering. Never throws — webhooks must not break the action that
+ * raised them.
+ * @param {string} event - one of EVENTS
+ * @param {Object} data
+ */
+async function emit(event, data) {
+  try {
+    const { WebhookSubscription, WebhookDelivery } = require('../models');
+
+    const subscriptions = await WebhookSubscription.findAll({ where: { is_active: true } });
+    const targets = subscriptions.filter(sub => sub.isSubscribedTo(event));
+    if (targets.length === 0) return [];
+
+    const eventId = crypto.randomUUID();
+    const payload = { id: eventId, event, created_at: new Date().toISOString(), data };
+
+    const deliveries = [];
+    for (const subscription of targets) {
+      const delivery = await WebhookDelivery.create({
+        subscription_id: subscription.id,
+        event,
+        event_id: eventId,
+        payload,
+        status: 'pending',
+        next_attempt_at: claimExpiry()
+      });
+      delivery.subscription = subscription;
+      deliveries.push(delivery);
+    }
+
+    deliverInBackground(deliveries);
+    return deliveries;
+  } catch (err) {
+    console.error(`[Webhooks] Could not queue ${event}:`, err.message);
+    return [];
+  }
+}
+
+/**
+ * Raise the webhook event, if any, for a new ActivityLog entry
+ */
+function emitForActivity(entry) {
+  const mapped = eventFromActivity(entry);
+  if (!mapped) return Promise.resolve([]);
+  return emit(mapped.event, mapped.data);
+}
+
+/**
+ * Raise asset.stock_changed for an InventoryItemEvent. Inside a database
+ * transaction the event waits for the commit, and an asset touched several
+ * times in one transaction is reported once with every change listed.
+ */
+function emitForInventoryEvent(itemEvent, dbTransaction = null) {
+  if (!isStockEvent(itemEvent.event_type, itemEvent.details_json)) return;
+
+  const change = {
+    event_type: itemEvent.event_type,
+    summary: itemEvent.summary,
+    reference_type: itemEvent.reference_type,
+    reference_id: itemEvent.reference_id
+  };
+
+  if (!dbTransaction) {
+    emitStockChanged(itemEvent.inventory_item_id, [change]);
+    return;
+  }
+
+  if (!dbTransaction.webhookStockChanges) {
+    dbTransaction.webhookStockChanges = new Map();
+    dbTransaction.afterCommit(() => {
+      for (const [assetId, changes] of dbTransaction.webhookStockChanges) {
+        emitStockChanged(assetId, changes);
+      }
+    });
+  }
+  const changes = dbTransaction.webhookStockChanges.get(itemEvent.inventory_item_id) || [];
+  changes.push(change);
+  dbTransaction.webhookStockChanges.set(itemEvent.inventory_item_id, changes);
+}
+
+async function emitStockChanged(assetId, changes) {
+  try {
+    const { Asset } = require('../models');
+    const asset = await Asset.findByPk(assetId, {
+      attributes: ['id', 'asset_tag', 'make', 'model', 'status', 'quantity', 'deleted_at'],
+      paranoid: false
+    });
+    await emit('asset.stock_changed', {
+      asset_id: assetId,
+      asset_tag: asset ? asset.asset_tag : null,
+      make: asset ? asset.make : null,
+      model: asset ? asset.model : null,
+      status: asset ? asset.status : null,
+      quantity: asset ? asset.quantity : null,
+      deleted: asset ? Boolean(asset.deleted_at) : null,
+      changes
+    });
+  } catch (err) {
+    console.error('[Webhooks] Could not queue asset.stock_changed:', err.message);
+  }
+}
+
+/**
+ * Raise invoice.paid once the transaction that settled the invoice commits
+ */
+function emitInvoicePaid(invoice, dbTransaction = null) {
+  const send = () => emit('invoice.paid', {
+    invoice_id: invoice.id,
+    invoice_number: invoice.invoice_number,
+    customer_id: invoice.customer_id,
+    total_amount: invoice.total_amount,
+    amount_paid: invoice.amount_paid,
+    currency: invoice.currency
+  });
+
+  if (dbTransaction) {
+    dbTransaction.afterCommit(send);
+  } else {
+    send();
+  }
+}
+
+/**
+ * Send again a delivery from the log, as a new delivery of the same event
+ * (same event id, so receivers can de-duplicate)
+ * @returns {Promise<WebhookDelivery>} the new delivery, after its first attempt
+ */
+async function replayDelivery(original, userId) {
+  const { WebhookDelivery, WebhookSubscription } = require('../models');
+
+  const replay = await WebhookDelivery.create({
+    subscription_id: original.subscription_id,
+    event: original.event,
+    event_id: original.event_id,
+    payload: original.payload,
+    status: 'pending',
+    next_attempt_at: claimExpiry(),
+    replay_of_id: original.id,
+    created_by: userId
+  });
+  replay.subscription = await WebhookSubscription.findByPk(original.subscription_id);
+
+  return attemptDelivery(replay);
+}
+
+let processing = false;
+
+/**
+ * Claim up to BATCH_SIZE due deliveries. Rows another server is claiming at
+ * the same moment are skipped, not waited for.
+ * @returns {Promise<number[]>} ids of the claimed deliveries
+ */
+async function claimDueDeliveries() {
+  const { sequelize } = require('../models');
+
+  const [rows] = await sequelize.query(
+    `UPDATE webhook_deliveries
+     SET next_attempt_at = :claimedUntil, updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM webhook_deliveries
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at ASC
+       LIMIT :limit
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id`,
+    { replacements: { claimedUntil: claimExpiry(), limit: BATCH_SIZE } }
+  );
+  return rows.map(row => row.id);
+}
+
+/**
+ * Retry every pending delivery that is due
+ */
+async function processDueDeliveries() {
+  if (processing) return 0;
+  processing = true;
+
+  try {
+    const { Op } = require('sequelize');
+    const { WebhookDelivery, WebhookSubscription } = require('../models');
+
+    const claimedIds = await claimDueDeliveries();
+    if (claimedIds.length === 0) return 0;
+
+    const due = await WebhookDelivery.findAll({
+      where: { id: { [Op.in]: claimedIds } },
+      include: [{ model: WebhookSubscription, as: 'subscription' }],
+      order: [['id', 'ASC']]
+    });
+
+    for (const delivery of due) {
+      await attemptDelivery(delivery);
+    }
+    return due.length;
+  } catch (err) {
+    console.error('[Webhooks] Retry run error:', err.message);
+    return 0;
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Check for due retries every minute
+ */
+function startScheduler() {
+  cron.schedule('* * * * *', async () => {
+    await processDueDeliveries();
+  });
+
+  console.log('[Webhooks] Scheduled: delivery retries (every minute)');
+}
+
+module.exports = {
+  EVENTS,
+  EVENT_LABELS,
+  ACTIVITY_EVENTS,
+  STOCK_EVENT_TYPES,
+  DELIVERY_STATUSES,
+  RETRY_DELAYS_MINUTES,
+  MAX_ATTEMPTS,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  signPayload,
+  generateSecret,
+  nextAttemptAt,
+  validateEndpointUrl,
+  eventFromActivity,
+  isStockEvent,
+  attemptDelivery,
+  emit,
+  emitForActivity,
+  emitForInventoryEvent,
+  emitInvoicePaid,
+  replayDelivery,
+  processDueDeliveries,
+  startScheduler
+};
@@ -0,0 +1,71 @@
+const axios = require('axios');
+
+/**
+ * WhatsApp through the WhatsApp Business Cloud API
+ * (https://developers.facebook.com/docs/whatsapp/cloud-api).
+ * Without WHATSAPP_ACCESS_TOKEN and WHATSAPP_PHONE_NUMBER_ID nothing is
+ * sent, as with the SMS gateway.
+ *
+ * Messages we start (rather than replies within 24 hours of the customer
+ * writing to us) must use a template approved in WhatsApp Manager; free
+ * text is only delivered inside that window.
+ */
+
+const GRAPH_URL = 'https://graph.facebook.com/v20.0';
+
+function isConfigured() {
+  return Boolean(process.env.WHATSAPP_ACCESS_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID);
+}
+
+/**
+ * Send one WhatsApp message
+ * @param {string} to - E.164 phone number
+ * @param {Object} message
+ * @param {string} message.body - free text, used when there is no template
+ * @param {string} [message.templateName] - approved template to send instead
+ * @param {string} [message.language] - template language code
+ * @param {string[]} [message.parameters] - template body parameters, {{1}} onwards
+ * @returns {Promise<{ sent: boolean, id?: string, reason?: string }>}
+ */
+async function sendWhatsApp(to, { body, templateName = null, language = 'en', parameters = [] }) {
+  if (!isConfigured()) {
+    console.log('WhatsApp not configured — skipping message');
+    return { sent: false, reason: 'no_api_key' };
+  }
+
+  // The Cloud API takes international numbers without the +
+  const recipient = String(to).replace(/^\+/, '');
+  const payload = templateName
+    ? {
+      messaging_product: 'whatsapp',
+      to: recipient,
+      type: 'template',
+      template: {
+        name: templateName,
+        language: { code: language },
+        components: parameters.length > 0
+          ? [{ type: 'body', parameters: parameters.map(text => ({ type: 'text', text: String(text) })) }]
+          : []
+      }
+    }
+    : {
+      messaging_product: 'whatsapp',
+      to: recipient,
+      type: 'text',
+      text: { body }
+    };
+
+  try {
+    const response = await axios.post(`${GRAPH_URL}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`, payload, {
+      headers: { Authorization: `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}` },
+      timeout: 15000
+    });
+    return { sent: true, id: response.data?.messages?.[0]?.id || null };
+  } catch (err) {
+    const reason = err.response?.data?.error?.message || err.message;
+    console.error(`💬 WhatsApp to ${to} failed:`, reason);
+    return { sent: false, reason };
+  }
+}
+
+module.exports = { sendWhatsApp, isConfigured };
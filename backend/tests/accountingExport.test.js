@@ -0,0 +1,205 @@
+/**
+ * Accounting Export Tests
+ *
+ * Tests for:
+ * 1. Journals for invoices, payments, refunds, credit notes, expenses and write-offs
+ * 2. Account mapping with defaults
+ * 3. Re-exporting a period (only new and changed records)
+ * 4. QuickBooks IIF/CSV and Xero CSV layouts
+ */
+
+const {
+  accountResolver,
+  invoiceJournal,
+  paymentJournal,
+  creditNoteJournal,
+  expenseJournal,
+  writeOffJournal,
+  fingerprint,
+  planRecords,
+  renderBatch,
+  periodRange
+} = require('../services/accountingExportService');
+
+const defaults = accountResolver([]);
+const customer = { getDisplayName: () => 'Ama Mensah' };
+const byCode = entry => entry.lines.reduce((acc, l) => {
+  acc[l.account_code] = Math.round(((acc[l.account_code] || 0) + l.debit - l.credit) * 100) / 100;
+  return acc;
+}, {});
+const balanced = entry => {
+  const d = entry.lines.reduce((s, l) => s + l.debit, 0);
+  const c = entry.lines.reduce((s, l) => s + l.credit, 0);
+  return Math.round(d * 100) === Math.round(c * 100);
+};
+
+// GHS 1000 of goods, 100 discount, 197.10 tax on top, cost 600
+const invoice = {
+  id: 'inv-1',
+  invoice_number: 'INV-000101',
+  invoice_date: new Date(2026, 9, 5, 14, 30),
+  total_amount: 1097.1,
+  tax_amount: 197.1,
+  discount_amount: 100,
+  total_cost_amount: 600,
+  customer
+};
+const items = [
+  { quantity: 1, description: 'ThinkPad T14', line_total_amount: 800, category: 'Laptops' },
+  { quantity: 2, description: 'USB-C charger', line_total_amount: 200, category: null, asset: { category: 'Accessories' } }
+];
+
+describe('journals', () => {
+  test('invoice: receivable, revenue per item, discount, tax and cost of sale', () => {
+    const entry = invoiceJournal(invoice, items, defaults);
+
+    expect(entry.record_date).toBe('2026-10-05');
+    expect(entry.reference).toBe('INV-000101');
+    expect(balanced(entry)).toBe(true);
+    expect(byCode(entry)).toEqual({
+      1100: 1097.1,
+      4200: 100,
+      4000: -1000,
+      2200: -197.1,
+      5000: 600,
+      1200: -600
+    });
+    expect(entry.lines.filter(l => l.account_code === '4000').map(l => l.memo)).toEqual(['1 x ThinkPad T14', '2 x USB-C charger']);
+    expect(entry.lines.find(l => l.account_code === '1100').name).toBe('Ama Mensah');
+  });
+
+  test('tax-inclusive invoices book revenue net of tax', () => {
+    const inclusive = { ...invoice, total_amount: 900, tax_amount: 147.54, discount_amount: 100 };
+    const entry = invoiceJournal(inclusive, items, defaults);
+
+    expect(balanced(entry)).toBe(true);
+    expect(byCode(entry)['4000']).toBe(-852.46);
+  });
+
+  test('revenue maps by product category', () => {
+    const accounts = accountResolver([
+      { mapping_type: 'sales_category', mapping_key: 'accessories', account_code: '4010', account_name: 'Accessory Sales' }
+    ]);
+    const entry = invoiceJournal(invoice, items, accounts);
+
+    expect(entry.lines.find(l => l.memo === '2 x USB-C charger')).toMatchObject({ account_code: '4010', account_name: 'Accessory Sales', credit: 200 });
+    expect(entry.lines.find(l => l.memo === '1 x ThinkPad T14').account_code).toBe('4000');
+  });
+
+  test('payments and refunds settle the receivable through the payment method account', () => {
+    const payment = { id: 'p1', amount: 500, payment_method: 'MoMo', transaction_type: 'PAYMENT', payment_date: '2026-10-06T09:00:00', invoice: { ...invoice } };
+
+    expect(byCode(paymentJournal(payment, defaults))).toEqual({ 1010: 500, 1100: -500 });
+    const refund = paymentJournal({ ...payment, transaction_type: 'REFUND', payment_method: 'Card' }, defaults);
+    expect(refund.record_type).toBe('refund');
+    expect(byCode(refund)).toEqual({ 1100: 500, 1020: -500 });
+
+    const mapped = accountResolver([{ mapping_type: 'payment_method', mapping_key: 'MoMo', account_code: '1015', account_name: 'MTN MoMo' }]);
+    expect(paymentJournal(payment, mapped).lines[0]).toMatchObject({ account_code: '1015', account_name: 'MTN MoMo' });
+  });
+
+  test('credit note returns revenue and tax, and restocks what came back', () => {
+    const entry = creditNoteJournal({
+      id: 'r1',
+      return_type: 'RETURN_REFUND',
+      total_return_amount: 219.42,
+      finalized_at: new Date(2026, 9, 20),
+      invoice,
+      items: [{ asset_id: 9, quantity_returned: 2, invoiceItem: { unit_cost_amount: 60 } }]
+    }, defaults);
+
+    expect(entry.reference).toBe('INV-000101-CN');
+    expect(balanced(entry)).toBe(true);
+    expect(byCode(entry)).toEqual({ 4100: 180, 2200: 39.42, 1100: -219.42, 1200: 120, 5000: -120 });
+  });
+
+  test('expenses map by category; write-offs come out of inventory', () => {
+    const accounts = accountResolver([{ mapping_type: 'expense_category', mapping_key: '3', account_code: '6100', account_name: 'Rent' }]);
+    const expense = { id: 12, expense_date: '2026-10-01', category_id: 3, category: { name: 'Rent' }, description: 'October rent', amount_local: 2500, vendor_or_payee: 'Landlord' };
+
+    expect(byCode(expenseJournal(expense, accounts))).toEqual({ 6100: 2500, 1000: -2500 });
+    expect(byCode(expenseJournal({ ...expense, category_id: 4 }, accounts))).toEqual({ 6000: 2500, 1000: -2500 });
+    expect(byCode(writeOffJournal({ id: 'w1', write_off_number: 'WO-0007', reason: 'DAMAGED', total_cost_amount: 450, approved_at: new Date(2026, 9, 9) }, defaults)))
+      .toEqual({ 5100: 450, 1200: -450 });
+  });
+
+  test('nothing to export for zero amounts', () => {
+    expect(expenseJournal({ id: 1, expense_date: '2026-10-01', amount_local: 0, description: 'x' }, defaults)).toBeNull();
+  });
+});
+
+describe('planRecords', () => {
+  const range = periodRange('2026-10');
+  const expense = { id: 12, expense_date: '2026-10-01', category_id: 3, description: 'October rent', amount_local: 2500 };
+  const exportedAs = (entry, action = 'export') => ({ ...entry, action, fingerprint: fingerprint(entry) });
+
+  test('period range covers the whole month', () => {
+    expect(periodRange('2026-02')).toEqual({ start: '2026-02-01', end: '2026-02-28' });
+    expect(range).toEqual({ start: '2026-10-01', end: '2026-10-31' });
+  });
+
+  test('first export takes everything', () => {
+    const current = [expenseJournal(expense, defaults)];
+    expect(planRecords(current, [], range).map(r => r.action)).toEqual(['export']);
+  });
+
+  test('exporting again with no changes adds nothing', () => {
+    const entry = expenseJournal(expense, defaults);
+    expect(planRecords([entry], [exportedAs(entry)], range)).toEqual([]);
+  });
+
+  test('an edited record is reversed and sent again', () => {
+    const before = expenseJournal(expense, defaults);
+    const after = expenseJournal({ ...expense, amount_local: 2700 }, defaults);
+    const planned = planRecords([after], [exportedAs(before)], range);
+
+    expect(planned.map(r => r.action)).toEqual(['reversal', 'export']);
+    expect(byCode(planned[0])).toEqual({ 6000: -2500, 1000: 2500 });
+    expect(byCode(planned[1])).toEqual({ 6000: 2700, 1000: -2700 });
+  });
+
+  test('a voided or deleted record is reversed once', () => {
+    const entry = expenseJournal(expense, defaults);
+    const planned = planRecords([], [exportedAs(entry)], range);
+
+    expect(planned).toHaveLength(1);
+    expect(planned[0]).toMatchObject({ action: 'reversal', record_date: '2026-10-01' });
+    expect(planRecords([], [exportedAs(entry), planned[0]], range)).toEqual([]);
+  });
+
+  test('records from other months are left alone', () => {
+    const september = expenseJournal({ ...expense, expense_date: '2026-09-30' }, defaults);
+    expect(planRecords([], [exportedAs(september)], range)).toEqual([]);
+  });
+});
+
+describe('file layouts', () => {
+  const entry = { ...expenseJournal({ id: 12, expense_date: '2026-10-01', category_id: 3, category: { name: 'Rent' }, description: 'October rent, shop', amount_local: 2500, vendor_or_payee: 'Landlord' }, defaults), action: 'export' };
+
+  test('QuickBooks IIF general journal', () => {
+    const { content, extension } = renderBatch('quickbooks_iif', [entry]);
+    const rows = content.trim().split('\r\n');
+
+    expect(extension).toBe('iif');
+    expect(rows[0]).toBe('!TRNS\tTRNSID\tTRNSTYPE\tDATE\tACCNT\tNAME\tAMOUNT\tDOCNUM\tMEMO');
+    expect(rows[3]).toBe('TRNS\t\tGENERAL JOURNAL\t10/01/2026\tOperating Expenses\tLandlord\t2500.00\tEXP-12\tOctober rent, shop');
+    expect(rows[4].split('\t').slice(0, 7)).toEqual(['SPL', '', 'GENERAL JOURNAL', '10/01/2026', 'Cash on Hand', 'Landlord', '-2500.00']);
+    expect(rows[5]).toBe('ENDTRNS');
+  });
+
+  test('QuickBooks Online journal CSV', () => {
+    const rows = renderBatch('quickbooks_csv', [entry]).content.trim().split('\r\n');
+
+    expect(rows[0]).toBe('Journal No,Journal Date,Account,Debits,Credits,Description,Name');
+    expect(rows[1]).toBe('EXP-12-1,01/10/2026,Operating Expenses,2500.00,,"October rent, shop",Landlord');
+    expect(rows[2]).toBe('EXP-12-1,01/10/2026,Cash on Hand,,2500.00,"October rent, shop",Landlord');
+  });
+
+  test('Xero manual journal CSV', () => {
+    const rows = renderBatch('xero_csv', [entry]).content.trim().split('\r\n');
+
+    expect(rows[0]).toBe('*Narration,*Date,Description,*AccountCode,*TaxRate,*Amount');
+    expect(rows[1]).toBe('"Rent: October rent, shop [1]",01/10/2026,"October rent, shop",6000,Tax Exempt,2500.00');
+    expect(rows[2]).toBe('"Rent: October rent, shop [1]",01/10/2026,"October rent, shop",1000,Tax Exempt,-2500.00');
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Cash Drawer Tests
+ *
+ * Tests for:
+ * 1. Expected cash from float, sales, refunds and movements
+ * 2. Over/short against the counted amount
+ * 3. Takings by payment method for the Z-report
+ */
+
+const { summarizeSession, totalsByMethod } = require('../services/cashDrawerService');
+
+describe('summarizeSession', () => {
+  const payments = [
+    { transaction_type: 'PAYMENT', amount: '350.00' },
+    { transaction_type: 'PAYMENT', amount: 150 },
+    { transaction_type: 'REFUND', amount: 40 }
+  ];
+  const movements = [
+    { movement_type: 'cash_in', amount: 100 },
+    { movement_type: 'cash_out', amount: '25.50' },
+    { movement_type: 'cash_out', amount: 300 }
+  ];
+
+  test('expected cash is float plus sales less refunds plus cash in less cash out', () => {
+    const summary = summarizeSession({ openingFloat: '200.00', payments, movements });
+
+    expect(summary).toMatchObject({
+      opening_float: 200,
+      cash_sales: 500,
+      cash_sales_count: 2,
+      cash_refunds: 40,
+      cash_refunds_count: 1,
+      cash_in: 100,
+      cash_out: 325.5,
+      expected: 434.5
+    });
+  });
+
+  test('leaves over/short unset until the drawer is counted', () => {
+    const summary = summarizeSession({ openingFloat: 200, payments, movements });
+
+    expect(summary.counted).toBeNull();
+    expect(summary.over_short).toBeNull();
+  });
+
+  test('a short drawer has a negative over/short', () => {
+    const summary = summarizeSession({ openingFloat: 200, payments, movements, counted: 430 });
+
+    expect(summary.counted).toBe(430);
+    expect(summary.over_short).toBe(-4.5);
+  });
+
+  test('a drawer counted at exactly zero is short by the expected amount', () => {
+    const summary = summarizeSession({ openingFloat: 50, counted: 0 });
+
+    expect(summary.expected).toBe(50);
+    expect(summary.over_short).toBe(-50);
+  });
+
+  test('an over drawer has a positive over/short without floating point noise', () => {
+    const summary = summarizeSession({
+      openingFloat: 0.1,
+      payments: [{ transaction_type: 'PAYMENT', amount: 0.2 }],
+      counted: 0.4
+    });
+
+    expect(summary.expected).toBe(0.3);
+    expect(summary.over_short).toBe(0.1);
+  });
+});
+
+describe('totalsByMethod', () => {
+  test('nets refunds off each method and orders by net takings', () => {
+    const totals = totalsByMethod([
+      { payment_method: 'Cash', transaction_type: 'PAYMENT', amount: 200 },
+      { payment_method: 'MoMo', transaction_type: 'PAYMENT', amount: 900 },
+      { payment_method: 'Cash', transaction_type: 'REFUND', amount: 50 },
+      { payment_method: 'Cash', transaction_type: 'PAYMENT', amount: '100.25' }
+    ]);
+
+    expect(totals).toEqual([
+      { method: 'MoMo', payments: 900, refunds: 0, net: 900, count: 1 },
+      { method: 'Cash', payments: 300.25, refunds: 50, net: 250.25, count: 3 }
+    ]);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Customer Account Tests
+ *
+ * Tests for:
+ * 1. Where sign-in codes are sent
+ * 2. Code and session token hashing
+ * 3. Code and session lifetimes
+ * 4. Session middleware
+ * 5. Customer-facing preorder progress
+ */
+
+const {
+  CODE_LENGTH,
+  MAX_CODE_ATTEMPTS,
+  parseLoginIdentity,
+  generateCode,
+  hashCode,
+  codeMatches,
+  generateSessionToken,
+  hashToken,
+  maskDestination
+} = require('../services/customerAuthService');
+const { CustomerLoginCode, CustomerSession, Preorder } = require('../models');
+const { customerAuth } = require('../middleware/storefrontAuth');
+
+describe('parseLoginIdentity', () => {
+  test('phones get an SMS, normalized to E.164', () => {
+    expect(parseLoginIdentity({ phone: '024 412 3456' })).toEqual({ channel: 'sms', destination: '+233244123456' });
+  });
+
+  test('emails get an email, lower-cased', () => {
+    expect(parseLoginIdentity({ email: ' Ama@Example.COM ' })).toEqual({ channel: 'email', destination: 'ama@example.com' });
+  });
+
+  test('rejects missing or invalid details', () => {
+    expect(() => parseLoginIdentity({})).toThrow(expect.objectContaining({ field: 'phone' }));
+    expect(() => parseLoginIdentity({ phone: '12' })).toThrow(expect.objectContaining({ field: 'phone' }));
+    expect(() => parseLoginIdentity({ email: 'not-an-email' })).toThrow(expect.objectContaining({ field: 'email' }));
+  });
+});
+
+describe('codes and tokens', () => {
+  test('codes are six digits', () => {
+    for (let i = 0; i < 20; i++) {
+      expect(generateCode()).toMatch(new RegExp(`^\\d{${CODE_LENGTH}}$`));
+    }
+  });
+
+  test('a code only matches where it was sent', () => {
+    const hash = hashCode('123456', '+233244123456');
+
+    expect(hash).not.toContain('123456');
+    expect(codeMatches('123456', '+233244123456', hash)).toBe(true);
+    expect(codeMatches(' 123456 ', '+233244123456', hash)).toBe(true);
+    expect(codeMatches('654321', '+233244123456', hash)).toBe(false);
+    expect(codeMatches('123456', '+233200000000', hash)).toBe(false);
+  });
+
+  test('session tokens are random and stored hashed', () => {
+    const token = generateSessionToken();
+
+    expect(token).toMatch(/^cst_[a-f0-9]{64}$/);
+    expect(generateSessionToken()).not.toBe(token);
+    expect(hashToken(token)).toHaveLength(64);
+    expect(hashToken(token)).toBe(hashToken(token));
+  });
+
+  test('masks where a code was sent', () => {
+    expect(maskDestination('sms', '+233244123456')).toBe('*********3456');
+    expect(maskDestination('email', 'ama@example.com')).toBe('am*@example.com');
+  });
+});
+
+describe('lifetimes', () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+  const later = new Date('2026-10-19T10:05:00Z');
+
+  test('a code is usable once, until it expires or is guessed too often', () => {
+    const build = attrs => CustomerLoginCode.build({ channel: 'sms', destination: '+233244123456', code_hash: 'x', expires_at: later, ...attrs });
+
+    expect(build({}).isUsable(now)).toBe(true);
+    expect(build({ consumed_at: now }).isUsable(now)).toBe(false);
+    expect(build({ attempts: MAX_CODE_ATTEMPTS }).isUsable(now)).toBe(false);
+    expect(build({ expires_at: now }).isUsable(now)).toBe(false);
+  });
+
+  test('revoked and expired sessions are not active', () => {
+    const build = attrs => CustomerSession.build({ customer_id: 1, token_hash: 'x', channel: 'sms', destination: '+233244123456', expires_at: later, ...attrs });
+
+    expect(build({}).isActive(now)).toBe(true);
+    expect(build({ revoked_at: now }).isActive(now)).toBe(false);
+    expect(build({ expires_at: now }).isActive(now)).toBe(false);
+  });
+});
+
+describe('customerAuth', () => {
+  test('account endpoints need a session token', async () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    await customerAuth({ headers: {} }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json.mock.calls[0][0].error.code).toBe('NOT_SIGNED_IN');
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
+describe('Preorder.toTrackingJSON', () => {
+  test('marks steps up to the current status as completed', () => {
+    const preorder = Preorder.build({
+      tracking_code: 'PO-00042',
+      customer_name: 'Ama Mensah',
+      customer_phone: '0244123456',
+      item_description: 'MacBook Air M2',
+      quantity: 1,
+      status: 'Shipped',
+      purchase_date: '2026-10-01',
+      shipped_date: '2026-10-05',
+      created_at: new Date('2026-09-28T09:00:00Z')
+    });
+
+    const tracking = preorder.toTrackingJSON();
+
+    expect(tracking.tracking_code).toBe('PO-00042');
+    expect(tracking.steps.map(step => [step.label, step.completed, step.date])).toEqual([
+      ['Deposit Paid', true, '2026-09-28'],
+      ['Purchased', true, '2026-10-01'],
+      ['Shipped', true, '2026-10-05'],
+      ['Arrived', false, null],
+      ['Ready for Pickup', false, null]
+    ]);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Customer Statement Tests
+ *
+ * Tests for:
+ * 1. Statement ledger ordering and running balance
+ * 2. Opening balance when the statement starts mid-history
+ * 3. AR aging buckets
+ * 4. AR aging balances as of a past date
+ */
+
+const { buildLedger } = require('../services/customerStatementService');
+const { Invoice, InvoicePayment, CustomerCreditApplication } = require('../models');
+const financialReportController = require('../controllers/financialReportController');
+
+describe('buildLedger', () => {
+  const entries = [
+    { date: '2026-09-05', type: 'PAYMENT', reference: 'INV-2026-000001', credit: 400 },
+    { date: '2026-09-01', type: 'INVOICE', reference: 'INV-2026-000001', debit: 1000 },
+    { date: '2026-10-02', type: 'PAYMENT', reference: 'INV-2026-000002', credit: 250 },
+    { date: '2026-10-02', type: 'INVOICE', reference: 'INV-2026-000002', debit: 500 },
+    { date: '2026-10-10', type: 'RETURN', reference: 'INV-2026-000001', memo_amount: 300 },
+    { date: '2026-10-12', type: 'REFUND', reference: 'INV-2026-000001', debit: 300 },
+    { date: '2026-11-01', type: 'INVOICE', reference: 'INV-2026-000003', debit: 900 }
+  ];
+
+  test('orders entries and carries a running balance up to the end date', () => {
+    const ledger = buildLedger(entries, { to: '2026-10-31' });
+
+    expect(ledger.opening_balance).toBe(0);
+    expect(ledger.lines.map(line => [line.type, line.balance])).toEqual([
+      ['INVOICE', 1000],
+      ['PAYMENT', 600],
+      ['INVOICE', 1100],
+      ['PAYMENT', 850],
+      ['RETURN', 850],
+      ['REFUND', 1150]
+    ]);
+    expect(ledger.total_debits).toBe(1800);
+    expect(ledger.total_credits).toBe(650);
+    expect(ledger.closing_balance).toBe(1150);
+  });
+
+  test('memo lines carry no debit or credit', () => {
+    const ledger = buildLedger(entries, { to: '2026-10-31' });
+    const memo = ledger.lines.find(line => line.type === 'RETURN');
+
+    expect(memo.debit).toBe(0);
+    expect(memo.credit).toBe(0);
+    expect(memo.memo_amount).toBe(300);
+  });
+
+  test('entries before the start date roll into the opening balance', () => {
+    const ledger = buildLedger(entries, { from: '2026-10-01', to: '2026-10-31' });
+
+    expect(ledger.opening_balance).toBe(600);
+    expect(ledger.lines[0].type).toBe('INVOICE');
+    expect(ledger.lines[0].balance).toBe(1100);
+    expect(ledger.total_debits).toBe(800);
+    expect(ledger.total_credits).toBe(250);
+    expect(ledger.closing_balance).toBe(1150);
+  });
+
+  test('an empty period keeps the opening balance as the closing balance', () => {
+    const ledger = buildLedger(entries, { from: '2026-10-20', to: '2026-10-25' });
+
+    expect(ledger.lines).toEqual([]);
+    expect(ledger.opening_balance).toBe(1150);
+    expect(ledger.closing_balance).toBe(1150);
+  });
+});
+
+describe('Invoice.agingBucket', () => {
+  test.each([
+    ['2026-10-19', 'current'],
+    ['2026-09-19', 'current'],
+    ['2026-09-18', '31_60'],
+    ['2026-08-20', '31_60'],
+    ['2026-08-19', '61_90'],
+    ['2026-07-21', '61_90'],
+    ['2026-07-20', '90_plus']
+  ])('invoice dated %s is %s on 2026-10-19', (invoiceDate, bucket) => {
+    expect(Invoice.agingBucket(invoiceDate, '2026-10-19')).toBe(bucket);
+  });
+
+  test('ignores the time of day on the invoice date', () => {
+    expect(Invoice.agingBucket(new Date('2026-09-19T18:30:00Z'), '2026-10-19')).toBe('current');
+  });
+});
+
+describe('AR aging report as of a past date', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('uses the balance at the end of as_of, not today\'s', async () => {
+    const paidSince = Invoice.build({ id: 1, invoice_number: 'INV-2026-000001', customer_id: null, currency: 'GHS', invoice_date: '2026-08-15', total_amount: 1000, balance_due: 0, status: 'PAID' });
+    const stillOwing = Invoice.build({ id: 2, invoice_number: 'INV-2026-000002', customer_id: null, currency: 'GHS', invoice_date: '2026-09-20', total_amount: 500, balance_due: 100, status: 'PARTIALLY_PAID' });
+
+    const paymentFind = jest.spyOn(InvoicePayment, 'findAll')
+      // Invoices with payments after as_of
+      .mockResolvedValueOnce([{ invoice_id: 1 }, { invoice_id: 2 }])
+      // Totals on or before as_of: 400 paid on INV-1; 500 paid and 100 refunded on INV-2
+      .mockResolvedValueOnce([
+        { invoice_id: 1, transaction_type: 'PAYMENT', total: '400.00' },
+        { invoice_id: 2, transaction_type: 'PAYMENT', total: '500.00' },
+        { invoice_id: 2, transaction_type: 'REFUND', total: '100.00' }
+      ]);
+    jest.spyOn(CustomerCreditApplication, 'findAll')
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([{ invoice_id: 2, total: '50.00' }]);
+    const invoiceFind = jest.spyOn(Invoice, 'findAll').mockResolvedValue([paidSince, stillOwing]);
+
+    const { data } = await new Promise((resolve, reject) => {
+      const res = { status: () => res, json: resolve };
+      financialReportController.arAging({ query: { as_of: '2026-10-01' } }, res, reject);
+    });
+
+    expect(invoiceFind).toHaveBeenCalledTimes(1);
+    expect(paymentFind).toHaveBeenCalledTimes(2);
+    // INV-1: 1000 - 400 paid by then; INV-2: 500 - 500 + 100 refunded - 50 credit
+    expect(data.totals).toEqual([{ currency: 'GHS', buckets: { current: 50, '31_60': 600, '61_90': 0, '90_plus': 0 }, total: 650 }]);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Customer Warranty Tests
+ *
+ * Tests for:
+ * 1. End date calculation per tier
+ * 2. Expiry and claimability
+ * 3. Issuing on payment, voiding when un-paid and re-issuing when paid again
+ */
+
+const { CustomerWarranty, CustomerWarrantyClaim } = require('../models');
+
+describe('CustomerWarranty - computeEndDate', () => {
+  test('one-year cover ends the day before the anniversary', () => {
+    expect(CustomerWarranty.computeEndDate('2026-10-19', 'Standard')).toBe('2027-10-18');
+    expect(CustomerWarranty.computeEndDate('2026-01-01', 'Premium')).toBe('2026-12-31');
+  });
+
+  test('cover starting on 29 February ends on 28 February', () => {
+    expect(CustomerWarranty.computeEndDate('2024-02-29')).toBe('2025-02-28');
+  });
+
+  test('cover spanning a leap day still runs to the anniversary', () => {
+    expect(CustomerWarranty.computeEndDate('2023-03-01')).toBe('2024-02-29');
+  });
+
+  test('unknown tier falls back to Standard duration', () => {
+    expect(CustomerWarranty.computeEndDate('2026-10-19', 'Gold')).toBe('2027-10-18');
+  });
+});
+
+describe('CustomerWarranty - status helpers', () => {
+  const build = (attrs) => CustomerWarranty.build({
+    warranty_number: 'WAR-000001',
+    asset_unit_id: 1,
+    start_date: '2026-01-01',
+    end_date: '2026-12-31',
+    ...attrs
+  });
+
+  test('active warranty within its term is claimable', () => {
+    const warranty = build();
+    expect(warranty.isClaimable('2026-12-31')).toBe(true);
+    expect(warranty.getDisplayStatus('2026-06-01')).toBe('active');
+  });
+
+  test('active warranty past its end date shows as expired', () => {
+    const warranty = build();
+    expect(warranty.isExpired('2027-01-01')).toBe(true);
+    expect(warranty.isClaimable('2027-01-01')).toBe(false);
+    expect(warranty.getDisplayStatus('2027-01-01')).toBe('expired');
+  });
+
+  test('void and replaced warranties are not claimable', () => {
+    expect(build({ status: 'void' }).isClaimable('2026-06-01')).toBe(false);
+    expect(build({ status: 'replaced' }).getDisplayStatus('2027-06-01')).toBe('replaced');
+  });
+});
+
+describe('CustomerWarranty - issueForInvoice', () => {
+  const invoice = { id: 21, customer_id: 9 };
+  const item = { id: 301, asset_id: 5, asset_unit_id: 40, quantity: 1, quantity_returned_total: 0, warranty_tier: 'Premium' };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-10T09:00:00Z') });
+    jest.spyOn(CustomerWarranty, 'generateWarrantyNumber').mockResolvedValue('WAR-000031');
+    jest.spyOn(CustomerWarranty, 'create').mockImplementation(async fields => {
+      const warranty = CustomerWarranty.build(fields);
+      jest.spyOn(warranty, 'save').mockResolvedValue(warranty);
+      return warranty;
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('a line with no tier is covered on the Standard tier', async () => {
+    jest.spyOn(CustomerWarranty, 'findOne').mockResolvedValue(null);
+
+    const [warranty] = await CustomerWarranty.issueForInvoice(invoice, [{ ...item, warranty_tier: null }]);
+
+    expect(warranty.warranty_tier).toBe('Standard');
+    expect(warranty.start_date).toBe('2026-01-10');
+    expect(warranty.end_date).toBe('2027-01-09');
+  });
+
+  test('PAID, UNPAID, PAID again re-issues the same warranty from the new paid date', async () => {
+    const findOne = jest.spyOn(CustomerWarranty, 'findOne').mockResolvedValue(null);
+    const [warranty] = await CustomerWarranty.issueForInvoice(invoice, [item]);
+    expect(warranty).toMatchObject({ status: 'active', start_date: '2026-01-10', end_date: '2027-01-09' });
+
+    jest.spyOn(CustomerWarranty, 'findAll').mockResolvedValue([warranty]);
+    jest.spyOn(CustomerWarrantyClaim, 'count').mockResolvedValue(0);
+    await expect(CustomerWarranty.voidWhere({ invoice_id: invoice.id }, 'Invoice no longer paid')).resolves.toBe(1);
+    expect(warranty.status).toBe('void');
+
+    jest.setSystemTime(new Date('2026-03-01T09:00:00Z'));
+    findOne.mockResolvedValue(warranty);
+    const issued = await CustomerWarranty.issueForInvoice(invoice, [item]);
+
+    expect(issued).toEqual([]);
+    expect(CustomerWarranty.create).toHaveBeenCalledTimes(1);
+    expect(warranty).toMatchObject({
+      warranty_number: 'WAR-000031',
+      status: 'active',
+      void_reason: null,
+      voided_at: null,
+      start_date: '2026-03-01',
+      end_date: '2027-02-28'
+    });
+  });
+});
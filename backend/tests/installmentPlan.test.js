@@ -0,0 +1,152 @@
+/**
+ * Installment Plan Tests
+ *
+ * Tests for:
+ * 1. Schedule building (down payment, frequencies, rounding)
+ * 2. Rebalancing the schedule when the invoice total changes
+ * 3. Allocating payments and refunds to installments
+ * 4. Overdue detection for the collections queue
+ */
+
+const {
+  addInterval,
+  buildSchedule,
+  rebalanceSchedule,
+  allocatePayments,
+  summarizeOverdue
+} = require('../services/installmentPlanService');
+
+describe('addInterval', () => {
+  test('weekly and biweekly add 7 and 14 days per period', () => {
+    expect(addInterval('2026-10-19', 'weekly', 2)).toBe('2026-11-02');
+    expect(addInterval('2026-10-19', 'biweekly', 1)).toBe('2026-11-02');
+  });
+
+  test('monthly keeps the day of month, clamped to the month end', () => {
+    expect(addInterval('2026-10-19', 'monthly', 3)).toBe('2027-01-19');
+    expect(addInterval('2027-01-31', 'monthly', 1)).toBe('2027-02-28');
+    expect(addInterval('2027-01-31', 'monthly', 2)).toBe('2027-03-31');
+  });
+});
+
+describe('buildSchedule', () => {
+  test('down payment on the start date, then installments absorbing rounding', () => {
+    const schedule = buildSchedule({
+      total: 1000,
+      downPayment: 200,
+      count: 3,
+      frequency: 'monthly',
+      startDate: '2026-10-19'
+    });
+
+    expect(schedule).toEqual([
+      { sequence: 0, due_date: '2026-10-19', amount_due: 200 },
+      { sequence: 1, due_date: '2026-11-19', amount_due: 266.66 },
+      { sequence: 2, due_date: '2026-12-19', amount_due: 266.66 },
+      { sequence: 3, due_date: '2027-01-19', amount_due: 266.68 }
+    ]);
+  });
+
+  test('no down payment means no sequence 0', () => {
+    const schedule = buildSchedule({ total: 300, count: 3, frequency: 'weekly', startDate: '2026-10-19' });
+
+    expect(schedule.map(inst => inst.sequence)).toEqual([1, 2, 3]);
+    expect(schedule.reduce((sum, inst) => sum + inst.amount_due, 0)).toBe(300);
+  });
+});
+
+describe('rebalanceSchedule', () => {
+  const schedule = () => [
+    { sequence: 0, amount_due: 200 },
+    { sequence: 1, amount_due: 400 },
+    { sequence: 2, amount_due: 400 }
+  ];
+
+  test('an increase goes on the last installment', () => {
+    const installments = schedule();
+    expect(rebalanceSchedule(installments, 1050)).toBe(true);
+    expect(installments.map(inst => inst.amount_due)).toEqual([200, 400, 450]);
+  });
+
+  test('a decrease comes off the last installments first', () => {
+    const installments = schedule();
+    rebalanceSchedule(installments, 500);
+    expect(installments.map(inst => inst.amount_due)).toEqual([200, 300, 0]);
+  });
+
+  test('no change when the schedule already matches', () => {
+    expect(rebalanceSchedule(schedule(), 1000)).toBe(false);
+  });
+});
+
+describe('allocatePayments', () => {
+  const schedule = () => [
+    { sequence: 2, amount_due: 400 },
+    { sequence: 0, amount_due: 200 },
+    { sequence: 1, amount_due: 400 }
+  ];
+  const bySequence = installments => [...installments].sort((a, b) => a.sequence - b.sequence);
+
+  test('each payment goes to the oldest installment still owing', () => {
+    const installments = schedule();
+    const leftover = allocatePayments(installments, [
+      { date: '2026-11-20', amount: 300 },
+      { date: '2026-10-19', amount: 200 }
+    ]);
+
+    const [down, first, second] = bySequence(installments);
+    expect(down).toMatchObject({ amount_paid: 200, status: 'paid' });
+    expect(down.paid_at).toEqual(new Date('2026-10-19'));
+    expect(first).toMatchObject({ amount_paid: 300, status: 'partially_paid', paid_at: null });
+    expect(second).toMatchObject({ amount_paid: 0, status: 'pending' });
+    expect(leftover).toBe(0);
+  });
+
+  test('a payment larger than an installment spills into the next', () => {
+    const installments = schedule();
+    allocatePayments(installments, [{ date: '2026-10-19', amount: 700 }]);
+
+    expect(bySequence(installments).map(inst => inst.amount_paid)).toEqual([200, 400, 100]);
+  });
+
+  test('refunds come off the newest installments first', () => {
+    const installments = schedule();
+    allocatePayments(installments, [
+      { date: '2026-10-19', amount: 700 },
+      { date: '2026-10-25', amount: -250 }
+    ]);
+
+    const [down, first, second] = bySequence(installments);
+    expect(down.status).toBe('paid');
+    expect(first).toMatchObject({ amount_paid: 250, status: 'partially_paid', paid_at: null });
+    expect(second).toMatchObject({ amount_paid: 0, status: 'pending' });
+  });
+});
+
+describe('summarizeOverdue', () => {
+  const installments = [
+    { sequence: 0, due_date: '2026-09-01', amount_due: 200, amount_paid: 200, status: 'paid' },
+    { sequence: 1, due_date: '2026-10-01', amount_due: 400, amount_paid: 150, status: 'partially_paid' },
+    { sequence: 2, due_date: '2026-10-15', amount_due: 400, amount_paid: 0, status: 'pending' },
+    { sequence: 3, due_date: '2026-11-01', amount_due: 400, amount_paid: 0, status: 'pending' }
+  ];
+
+  test('sums what is owing on unpaid installments past due', () => {
+    expect(summarizeOverdue(installments, '2026-10-19')).toEqual({
+      overdue_count: 2,
+      overdue_amount: 650,
+      oldest_due_date: '2026-10-01',
+      days_overdue: 18
+    });
+  });
+
+  test('grace days hold off recent installments', () => {
+    const summary = summarizeOverdue(installments, '2026-10-19', 7);
+    expect(summary.overdue_count).toBe(1);
+    expect(summary.overdue_amount).toBe(250);
+  });
+
+  test('nothing overdue on the due date itself', () => {
+    expect(summarizeOverdue(installments, '2026-10-01').overdue_count).toBe(0);
+  });
+});
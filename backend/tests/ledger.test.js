@@ -0,0 +1,276 @@
+/**
+ * General Ledger Tests
+ *
+ * Tests for:
+ * 1. Journal lines posted by payments, refunds, returns and expenses
+ * 2. Balanced entry checks
+ * 3. Trial balance and balance sheet from account totals
+ * 4. Periods
+ * 5. Automatic postings: conversion to GHS, and the errors that stop a write
+ */
+
+const {
+  ACCOUNTS,
+  PAYMENT_METHOD_ACCOUNTS,
+  periodOf,
+  isValidPeriod,
+  saleLines,
+  refundLines,
+  returnRestockLines,
+  expenseLines,
+  reverseLines,
+  balanceLines,
+  buildTrialBalance,
+  buildBalanceSheet,
+  postEntry,
+  postInvoicePayment
+} = require('../services/ledgerService');
+const {
+  LedgerAccount,
+  AccountingPeriod,
+  JournalEntry,
+  JournalLine,
+  ExchangeRateCache,
+  Invoice,
+  Expense
+} = require('../models');
+const { errorHandler } = require('../middleware/errorHandler');
+
+// GHS 1,000 net + 219 tax, cost 600
+const invoice = { total_amount: 1219, tax_amount: 219, total_cost_amount: 600 };
+
+const byAccount = lines => Object.fromEntries(
+  balanceLines(lines).map(l => [l.account, l.debit ? l.debit : -l.credit])
+);
+
+describe('posting lines', () => {
+  test('full payment recognizes revenue, tax and cost of sale', () => {
+    expect(byAccount(saleLines(1219, invoice, PAYMENT_METHOD_ACCOUNTS.MoMo))).toEqual({
+      [ACCOUNTS.MOBILE_MONEY]: 1219,
+      [ACCOUNTS.SALES]: -1000,
+      [ACCOUNTS.TAXES_PAYABLE]: -219,
+      [ACCOUNTS.COGS]: 600,
+      [ACCOUNTS.INVENTORY]: -600
+    });
+  });
+
+  test('part payment recognizes its share', () => {
+    expect(byAccount(saleLines(609.5, invoice, ACCOUNTS.CASH))).toEqual({
+      [ACCOUNTS.CASH]: 609.5,
+      [ACCOUNTS.SALES]: -500,
+      [ACCOUNTS.TAXES_PAYABLE]: -109.5,
+      [ACCOUNTS.COGS]: 300,
+      [ACCOUNTS.INVENTORY]: -300
+    });
+  });
+
+  test('overpayment does not take more than the invoice cost', () => {
+    const lines = byAccount(saleLines(1300, invoice, ACCOUNTS.BANK));
+    expect(lines[ACCOUNTS.COGS]).toBe(600);
+    expect(lines[ACCOUNTS.TAXES_PAYABLE]).toBe(-219);
+    expect(lines[ACCOUNTS.SALES]).toBe(-1081);
+  });
+
+  test('card and bank transfers land in the bank account', () => {
+    expect(PAYMENT_METHOD_ACCOUNTS.Card).toBe(ACCOUNTS.BANK);
+    expect(PAYMENT_METHOD_ACCOUNTS.ACH).toBe(ACCOUNTS.BANK);
+  });
+
+  test('refunds reverse revenue and tax but leave cost until goods come back', () => {
+    expect(byAccount(refundLines(609.5, invoice, ACCOUNTS.CASH))).toEqual({
+      [ACCOUNTS.SALES_RETURNS]: 500,
+      [ACCOUNTS.TAXES_PAYABLE]: 109.5,
+      [ACCOUNTS.CASH]: -609.5
+    });
+    expect(byAccount(returnRestockLines(300))).toEqual({
+      [ACCOUNTS.INVENTORY]: 300,
+      [ACCOUNTS.COGS]: -300
+    });
+  });
+
+  test('credit with no invoice to split is all sales returns', () => {
+    expect(byAccount(refundLines(250, null, ACCOUNTS.STORE_CREDIT))).toEqual({
+      [ACCOUNTS.SALES_RETURNS]: 250,
+      [ACCOUNTS.STORE_CREDIT]: -250
+    });
+  });
+
+  test('expenses are paid from cash; write-offs come out of inventory', () => {
+    expect(byAccount(expenseLines({ amount_local: 80, source_type: 'manual' }))).toEqual({
+      [ACCOUNTS.OPERATING_EXPENSES]: 80,
+      [ACCOUNTS.CASH]: -80
+    });
+    expect(byAccount(expenseLines({ amount_local: 450, source_type: 'write_off' }))).toEqual({
+      [ACCOUNTS.WRITE_OFFS]: 450,
+      [ACCOUNTS.INVENTORY]: -450
+    });
+  });
+
+  test('reversal swaps every side', () => {
+    const reversed = byAccount(reverseLines(balanceLines(saleLines(1219, invoice, ACCOUNTS.CASH))));
+    expect(reversed[ACCOUNTS.CASH]).toBe(-1219);
+    expect(reversed[ACCOUNTS.SALES]).toBe(1000);
+    expect(reversed[ACCOUNTS.INVENTORY]).toBe(600);
+  });
+});
+
+describe('balanceLines', () => {
+  test('drops empty lines and rounds to cents', () => {
+    expect(balanceLines([
+      { account: '1000', debit: 10.004 },
+      { account: '2200', credit: 0 },
+      { account: '4000', credit: 10 }
+    ])).toEqual([
+      { account: '1000', debit: 10, credit: 0 },
+      { account: '4000', debit: 0, credit: 10 }
+    ]);
+  });
+
+  test('rejects unbalanced or one-sided entries', () => {
+    const code = lines => {
+      try {
+        balanceLines(lines);
+        return null;
+      } catch (err) {
+        return err.code;
+      }
+    };
+    expect(code([{ account: '1000', debit: 10 }, { account: '4000', credit: 9.99 }])).toBe('UNBALANCED_ENTRY');
+    expect(code([{ account: '1000', debit: 10 }])).toBe('UNBALANCED_ENTRY');
+    expect(code([{ account: '1000', debit: 10, credit: 10 }, { account: '4000', credit: 0 }])).toBe('UNBALANCED_ENTRY');
+    expect(code([{ account: '1000', debit: -5 }, { account: '4000', credit: -5 }])).toBe('UNBALANCED_ENTRY');
+  });
+
+  test('postEntry refuses an unbalanced entry before touching the ledger', async () => {
+    await expect(postEntry({
+      date: '2026-10-01',
+      description: 'Bad entry',
+      sourceType: 'manual',
+      lines: [{ account: '1000', debit: 100 }, { account: '3000', credit: 90 }]
+    })).rejects.toMatchObject({ code: 'UNBALANCED_ENTRY', statusCode: 400 });
+  });
+});
+
+describe('reports', () => {
+  // Opening capital 5000; stock bought 2000; one sale paid by MoMo (invoice above);
+  // rent 300; a 250 exchange credit
+  const rows = [
+    { code: '1000', name: 'Cash on Hand', type: 'asset', normal_balance: 'debit', debit: 5000, credit: 2300 },
+    { code: '1010', name: 'Mobile Money', type: 'asset', normal_balance: 'debit', debit: 1219, credit: 0 },
+    { code: '1020', name: 'Bank', type: 'asset', normal_balance: 'debit', debit: 0, credit: 0 },
+    { code: '1200', name: 'Inventory', type: 'asset', normal_balance: 'debit', debit: 2000, credit: 600 },
+    { code: '2100', name: 'Customer Store Credit', type: 'liability', normal_balance: 'credit', debit: 0, credit: 250 },
+    { code: '2200', name: 'Taxes Payable', type: 'liability', normal_balance: 'credit', debit: 0, credit: 219 },
+    { code: '3000', name: "Owner's Equity", type: 'equity', normal_balance: 'credit', debit: 0, credit: 5000 },
+    { code: '4000', name: 'Sales Revenue', type: 'revenue', normal_balance: 'credit', debit: 0, credit: 1000 },
+    { code: '4100', name: 'Sales Returns', type: 'revenue', normal_balance: 'debit', debit: 250, credit: 0 },
+    { code: '5000', name: 'Cost of Goods Sold', type: 'expense', normal_balance: 'debit', debit: 600, credit: 0 },
+    { code: '6000', name: 'Operating Expenses', type: 'expense', normal_balance: 'debit', debit: 300, credit: 0 }
+  ];
+
+  test('trial balance nets each account onto one side and balances', () => {
+    const tb = buildTrialBalance(rows);
+
+    expect(tb.accounts.find(a => a.code === '1000')).toMatchObject({ debit: 2700, credit: 0 });
+    expect(tb.accounts.find(a => a.code === '4000')).toMatchObject({ debit: 0, credit: 1000 });
+    expect(tb.accounts.some(a => a.code === '1020')).toBe(false);
+    expect(tb.totals).toEqual({ debit: 6469, credit: 6469 });
+    expect(tb.balanced).toBe(true);
+  });
+
+  test('balance sheet carries unclosed earnings into equity', () => {
+    const bs = buildBalanceSheet(rows);
+
+    expect(bs.assets.total).toBe(5319);
+    expect(bs.liabilities.total).toBe(469);
+    // 1000 sales - 250 returns - 600 COGS - 300 rent
+    expect(bs.equity.current_earnings).toBe(-150);
+    expect(bs.equity.total).toBe(4850);
+    expect(bs.total_liabilities_and_equity).toBe(5319);
+    expect(bs.balanced).toBe(true);
+  });
+
+  test('an out-of-balance ledger is flagged', () => {
+    const broken = rows.map(r => (r.code === '1010' ? { ...r, debit: 1200 } : r));
+    expect(buildTrialBalance(broken).balanced).toBe(false);
+    expect(buildBalanceSheet(broken).balanced).toBe(false);
+  });
+});
+
+describe('periods and accounts', () => {
+  test('period is the month of the posting date', () => {
+    expect(periodOf('2026-09-30')).toBe('2026-09');
+    expect(periodOf(new Date(2026, 9, 1, 10, 0))).toBe('2026-10');
+    expect(isValidPeriod('2026-10')).toBe(true);
+    expect(isValidPeriod('2026-13')).toBe(false);
+    expect(isValidPeriod('26-10')).toBe(false);
+  });
+
+  test('normal balance follows account type', () => {
+    expect(LedgerAccount.defaultNormalBalance('asset')).toBe('debit');
+    expect(LedgerAccount.defaultNormalBalance('expense')).toBe('debit');
+    expect(LedgerAccount.defaultNormalBalance('liability')).toBe('credit');
+    expect(LedgerAccount.defaultNormalBalance('revenue')).toBe('credit');
+  });
+});
+
+describe('automatic postings', () => {
+  let postedLines;
+
+  beforeEach(() => {
+    postedLines = null;
+    jest.spyOn(AccountingPeriod, 'findOne').mockResolvedValue(null);
+    jest.spyOn(LedgerAccount, 'findAll').mockImplementation(async ({ where }) =>
+      where.code.map((code, i) => ({ id: i + 1, code })));
+    jest.spyOn(JournalEntry, 'create').mockImplementation(async values => ({ id: 1, ...values }));
+    jest.spyOn(JournalLine, 'bulkCreate').mockImplementation(async lines => { postedLines = lines; return lines; });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a USD payment is posted in GHS at the rate for its date', async () => {
+    jest.spyOn(Invoice, 'findByPk').mockResolvedValue({
+      id: 3, invoice_number: 'INV-000003', currency: 'USD', total_amount: 121.9, tax_amount: 21.9, total_cost_amount: 60
+    });
+    const rate = jest.spyOn(ExchangeRateCache, 'findOne').mockResolvedValue({ rate: '12.5' });
+
+    await postInvoicePayment({
+      id: 9, invoice_id: 3, amount: 121.9, currency: 'USD', payment_method: 'MoMo', payment_date: '2026-10-01', transaction_type: 'PAYMENT'
+    });
+
+    expect(rate.mock.calls[0][0].where).toMatchObject({ base_currency: 'USD', quote_currency: 'GHS', rate_date: '2026-10-01' });
+    const byId = Object.fromEntries(postedLines.map(l => [l.account_id, l.debit ? l.debit : -l.credit]));
+    expect(Object.values(byId).sort((a, b) => a - b)).toEqual([-1250, -750, -273.75, 750, 1523.75]);
+  });
+
+  test('a posting to a closed month stops the expense being saved, with a 409', async () => {
+    AccountingPeriod.findOne.mockResolvedValue({ period: '2026-09', status: 'closed' });
+    const expense = Expense.build({ id: 4, expense_date: '2026-09-15', description: 'Rent', amount_local: 300, currency_code: 'GHS', source_type: 'manual' });
+
+    const err = await Expense.runHooks('afterCreate', expense, {}).catch(e => e);
+
+    expect(err).toMatchObject({ code: 'PERIOD_CLOSED', statusCode: 409 });
+    expect(JournalEntry.create).not.toHaveBeenCalled();
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    errorHandler(err, { method: 'POST', originalUrl: '/api/v1/expenses' }, res, jest.fn());
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].error.code).toBe('PERIOD_CLOSED');
+  });
+
+  test('a missing system account is reported as an unset-up ledger, not a bad request', async () => {
+    LedgerAccount.findAll.mockResolvedValue([{ id: 1, code: ACCOUNTS.CASH }]);
+    const expense = Expense.build({ id: 4, expense_date: '2026-10-02', description: 'Fuel', amount_local: 80, currency_code: 'GHS', source_type: 'manual' });
+
+    await expect(Expense.runHooks('afterCreate', expense, {}))
+      .rejects.toMatchObject({ code: 'LEDGER_NOT_SET_UP', statusCode: 409, message: expect.stringContaining(ACCOUNTS.OPERATING_EXPENSES) });
+
+    await expect(postEntry({
+      date: '2026-10-02',
+      description: 'Opening balance',
+      sourceType: 'manual',
+      lines: [{ account: ACCOUNTS.CASH, debit: 100 }, { account: '3999', credit: 100 }]
+    })).rejects.toMatchObject({ code: 'ACCOUNT_NOT_FOUND', statusCode: 400 });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * MoMo Reconciliation Tests
+ *
+ * Tests for:
+ * 1. Statement column detection
+ * 2. Statement amount and date parsing
+ * 3. Normalizing rows to incoming receipts
+ * 4. Matching receipts to recorded payments
+ */
+
+const { autoDetectStatementColumns } = require('../utils/columnDetector');
+const {
+  parseStatementAmount,
+  parseStatementDate,
+  normalizeStatementRows,
+  matchStatementLines
+} = require('../services/momoReconciliationService');
+
+describe('autoDetectStatementColumns', () => {
+  test('detects an MTN MoMo export without mapping one column twice', () => {
+    const mapping = autoDetectStatementColumns([
+      'Id', 'External Transaction Id', 'Date', 'Status', 'Type', 'From', 'From Name', 'To', 'Amount', 'Fee', 'Note/Message'
+    ]);
+
+    expect(mapping).toMatchObject({
+      transaction_id: 'Id',
+      transaction_date: 'Date',
+      amount: 'Amount',
+      status: 'Status',
+      transaction_type: 'Type',
+      counterparty_phone: 'From',
+      counterparty_name: 'From Name',
+      reference: 'Note/Message'
+    });
+  });
+
+  test('detects a Telecel Cash export', () => {
+    const mapping = autoDetectStatementColumns([
+      'Transaction ID', 'Transaction Date', 'Transaction Type', 'Sender', 'Sender Name', 'Amount (GHS)', 'Reference', 'Balance'
+    ]);
+
+    expect(mapping).toMatchObject({
+      transaction_id: 'Transaction ID',
+      transaction_date: 'Transaction Date',
+      transaction_type: 'Transaction Type',
+      amount: 'Amount (GHS)',
+      counterparty_phone: 'Sender',
+      counterparty_name: 'Sender Name',
+      reference: 'Reference'
+    });
+  });
+});
+
+describe('parseStatementAmount', () => {
+  test.each([
+    ['GHS 1,250.00', 1250],
+    ['-200.50', -200.5],
+    ['(75.00)', -75],
+    ['300.00 DR', -300],
+    [99.999, 100],
+    ['n/a', null],
+    ['', null]
+  ])('%p -> %p', (input, expected) => {
+    expect(parseStatementAmount(input)).toBe(expected);
+  });
+});
+
+describe('parseStatementDate', () => {
+  test('reads numeric dates day first', () => {
+    expect(parseStatementDate('02/10/2026 14:32:11').toISOString()).toBe('2026-10-02T14:32:11.000Z');
+  });
+
+  test('reads ISO, month-name and 12-hour dates', () => {
+    expect(parseStatementDate('2026-10-02 09:05').toISOString()).toBe('2026-10-02T09:05:00.000Z');
+    expect(parseStatementDate('02-Oct-2026 02:15 PM').toISOString()).toBe('2026-10-02T14:15:00.000Z');
+  });
+
+  test('reads Excel serial dates', () => {
+    expect(parseStatementDate(46297.5).toISOString()).toBe('2026-10-02T12:00:00.000Z');
+  });
+
+  test('rejects text that is not a date', () => {
+    expect(parseStatementDate('yesterday')).toBeNull();
+    expect(parseStatementDate('31/13/2026')).toBeNull();
+  });
+});
+
+describe('normalizeStatementRows', () => {
+  const mapping = {
+    transaction_id: 'Id',
+    transaction_date: 'Date',
+    amount: 'Amount',
+    status: 'Status',
+    transaction_type: 'Type',
+    reference: 'Message'
+  };
+
+  test('keeps successful incoming receipts and reports the rest as skipped', () => {
+    const rows = [
+      { Id: '1001', Date: '01/10/2026 10:00', Amount: '500.00', Status: 'Successful', Type: 'PAYMENT', Message: 'INV-2026-000001' },
+      { Id: '1002', Date: '01/10/2026 11:00', Amount: '80.00', Status: 'Failed', Type: 'PAYMENT' },
+      { Id: '1003', Date: '01/10/2026 12:00', Amount: '40.00', Status: 'Successful', Type: 'CASH_OUT' },
+      { Id: '', Date: '', Amount: '', Status: '', Type: '' },
+      { Id: '1004', Date: 'soon', Amount: '10.00', Status: 'Successful', Type: 'PAYMENT' },
+      { Id: '1005', Date: '01/10/2026 13:00', Amount: '-25.00', Status: 'Successful', Type: 'TRANSFER' }
+    ];
+
+    const { lines, skipped } = normalizeStatementRows(rows, mapping, { firstRowNumber: 5 });
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({ row_number: 5, transaction_id: '1001', amount: 500, reference: 'INV-2026-000001' });
+    expect(skipped).toEqual([
+      { row_number: 6, reason: 'Status Failed' },
+      { row_number: 7, reason: 'Outgoing CASH_OUT' },
+      { row_number: 9, reason: 'Date not readable' },
+      { row_number: 10, reason: 'Not a receipt' }
+    ]);
+  });
+});
+
+describe('matchStatementLines', () => {
+  const line = (transaction_id, amount, date, reference = null) => ({
+    transaction_id,
+    amount,
+    transaction_date: new Date(date),
+    reference
+  });
+  const payment = (id, amount, date, extra = {}) => ({
+    id,
+    amount,
+    payment_date: new Date(date),
+    comment: 'MoMo payment',
+    invoice_number: null,
+    ...extra
+  });
+
+  test('matches on the transaction ID in the payment comment before amount and date', () => {
+    const result = matchStatementLines(
+      [line('7788990011', 300, '2026-10-05T10:00:00Z')],
+      [
+        payment('p-near', 300, '2026-10-05T09:00:00Z'),
+        payment('p-ref', 300, '2026-10-06T09:00:00Z', { comment: 'MoMo ref 7788990011' })
+      ]
+    );
+
+    expect(result.matches).toEqual([{ line_index: 0, payment_id: 'p-ref', match_method: 'reference' }]);
+    expect(result.unmatched_payment_ids).toEqual(['p-near']);
+  });
+
+  test('matches on the invoice number in the statement reference', () => {
+    const result = matchStatementLines(
+      [line('111', 450, '2026-10-01T10:00:00Z', 'payment for inv 2026 000123')],
+      [payment('p1', 450, '2026-09-20T00:00:00Z', { invoice_number: 'INV-2026-000123' })]
+    );
+
+    expect(result.matches).toEqual([{ line_index: 0, payment_id: 'p1', match_method: 'reference' }]);
+  });
+
+  test('pairs equal amounts closest in time first and leaves the rest unmatched', () => {
+    const result = matchStatementLines(
+      [
+        line('A', 100, '2026-10-01T10:00:00Z'),
+        line('B', 100, '2026-10-02T10:00:00Z'),
+        line('C', 75, '2026-10-02T10:00:00Z')
+      ],
+      [
+        payment('p-oct2', 100, '2026-10-02T08:00:00Z'),
+        payment('p-oct1', 100, '2026-10-01T00:00:00Z'),
+        payment('p-other', 80, '2026-10-02T10:00:00Z')
+      ]
+    );
+
+    expect(result.matches).toEqual([
+      { line_index: 0, payment_id: 'p-oct1', match_method: 'amount_date' },
+      { line_index: 1, payment_id: 'p-oct2', match_method: 'amount_date' }
+    ]);
+    expect(result.unmatched_line_indexes).toEqual([2]);
+    expect(result.unmatched_payment_ids).toEqual(['p-other']);
+  });
+
+  test('does not match an equal amount outside the date window', () => {
+    const result = matchStatementLines(
+      [line('A', 100, '2026-10-10T10:00:00Z')],
+      [payment('p1', 100, '2026-10-01T10:00:00Z')],
+      { windowDays: 2 }
+    );
+
+    expect(result.matches).toEqual([]);
+  });
+
+  test('a reference alone is not enough when the amounts differ', () => {
+    const result = matchStatementLines(
+      [line('7788990011', 299, '2026-10-05T10:00:00Z')],
+      [payment('p1', 300, '2026-10-05T10:00:00Z', { comment: 'ref 7788990011' })]
+    );
+
+    expect(result.matches).toEqual([]);
+  });
+});
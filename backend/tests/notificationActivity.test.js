@@ -0,0 +1,80 @@
+/**
+ * Customer Notification Tests — payments from the ActivityLog
+ *
+ * Tests for:
+ * 1. A staff payment, logged against its transaction
+ * 2. A Paystack payment, logged against the invoice
+ *
+ * The models are mocked here, so these live apart from the service tests in
+ * notifications.test.js.
+ */
+
+jest.mock('../models', () => ({
+  Invoice: { findByPk: jest.fn() },
+  InvoicePayment: { findByPk: jest.fn(), findOne: jest.fn() },
+  Preorder: { findByPk: jest.fn() },
+  Customer: { findByPk: jest.fn() },
+  NotificationTemplate: { findAll: jest.fn() },
+  NotificationLog: { create: jest.fn() }
+}));
+
+const models = require('../models');
+const { fakeProvider, notifyForActivity } = require('../services/notificationService');
+
+describe('notifyForActivity for PAYMENT_RECEIVED', () => {
+  const previousProvider = process.env.NOTIFICATION_PROVIDER;
+
+  const invoice = { id: 55, invoice_number: 'INV-000055', customer_id: 9, balance_due: '0.00', currency: 'GHS' };
+  const payment = { id: 301, invoice_id: 55, amount: '450.00', payment_method: 'Card', currency: 'GHS' };
+
+  beforeEach(() => {
+    process.env.NOTIFICATION_PROVIDER = 'fake';
+    fakeProvider.reset();
+    jest.clearAllMocks();
+    models.Invoice.findByPk.mockResolvedValue(invoice);
+    models.Customer.findByPk.mockResolvedValue({ id: 9, first_name: 'Kofi', phone_e164: '+233241234567', sms_opt_out: false });
+    models.NotificationTemplate.findAll.mockResolvedValue([]);
+    models.NotificationLog.create.mockImplementation(async fields => ({ ...fields, save: jest.fn() }));
+  });
+
+  afterAll(() => {
+    if (previousProvider === undefined) delete process.env.NOTIFICATION_PROVIDER;
+    else process.env.NOTIFICATION_PROVIDER = previousProvider;
+  });
+
+  test('a staff payment is found by its transaction id', async () => {
+    models.InvoicePayment.findByPk.mockResolvedValue(payment);
+
+    const logs = await notifyForActivity({
+      action_type: 'PAYMENT_RECEIVED',
+      entity_type: 'TRANSACTION',
+      entity_id: '301',
+      metadata: { transactionId: 301, invoiceId: 55 }
+    });
+
+    expect(models.InvoicePayment.findByPk).toHaveBeenCalledWith(301);
+    expect(logs.map(log => log.event)).toEqual(['payment.received']);
+  });
+
+  test('a Paystack payment logged against the invoice is found by its reference', async () => {
+    models.InvoicePayment.findOne.mockResolvedValue(payment);
+
+    const logs = await notifyForActivity({
+      action_type: 'PAYMENT_RECEIVED',
+      entity_type: 'INVOICE',
+      entity_id: '55',
+      metadata: { reference: 'PSK_abc123', channel: 'card', amount: 450, invoiceNumber: 'INV-000055' }
+    });
+
+    expect(models.InvoicePayment.findByPk).not.toHaveBeenCalled();
+    expect(models.InvoicePayment.findOne.mock.calls[0][0].where).toMatchObject({
+      invoice_id: '55',
+      transaction_type: 'PAYMENT',
+      voided_at: null,
+      payment_reference: 'PSK_abc123'
+    });
+    expect(logs).toHaveLength(1);
+    expect(logs[0]).toMatchObject({ channel: 'sms', recipient: '+233241234567', reference_id: '301' });
+    expect(logs[0].body).toContain('GHS 450.00 (Card) for invoice INV-000055');
+  });
+});
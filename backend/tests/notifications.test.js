@@ -0,0 +1,249 @@
+/**
+ * Customer Notification Tests
+ *
+ * Tests for:
+ * 1. Saved templates over the defaults
+ * 2. Recipients and per-customer opt-outs
+ * 3. Building messages per channel, including WhatsApp template parameters
+ * 4. Placeholder checks
+ * 5. Retry backoff schedule
+ * 6. Recording send outcomes through the fake provider
+ * 7. Which ActivityLog entries notify customers
+ */
+
+const {
+  EVENTS,
+  CHANNELS,
+  MAX_ATTEMPTS,
+  RETRY_DELAYS_MINUTES,
+  fakeProvider,
+  providerFor,
+  resolveTemplates,
+  unknownPlaceholders,
+  templateParameters,
+  recipientsFor,
+  buildMessages,
+  nextAttemptAt,
+  attemptSend,
+  notifyForActivity
+} = require('../services/notificationService');
+
+describe('resolveTemplates', () => {
+  test('every event has a template on every channel, WhatsApp off until set up', () => {
+    const templates = resolveTemplates();
+
+    for (const event of EVENTS) {
+      for (const channel of CHANNELS) {
+        expect(templates[event][channel].body).toBeTruthy();
+        expect(templates[event][channel].customized).toBe(false);
+      }
+      expect(templates[event].email.subject).toBeTruthy();
+      expect(templates[event].sms.is_active).toBe(true);
+      expect(templates[event].whatsapp.is_active).toBe(false);
+      // WhatsApp starts from the SMS wording
+      expect(templates[event].whatsapp.body).toBe(templates[event].sms.body);
+    }
+  });
+
+  test('a saved template replaces the default for its event and channel only', () => {
+    const templates = resolveTemplates([{
+      event: 'payment.received',
+      channel: 'sms',
+      subject: null,
+      body: 'Thanks {customer_name}, got {currency} {amount}',
+      is_active: false,
+      whatsapp_template_name: null,
+      whatsapp_language: null
+    }]);
+
+    expect(templates['payment.received'].sms).toMatchObject({
+      body: 'Thanks {customer_name}, got {currency} {amount}',
+      is_active: false,
+      customized: true
+    });
+    expect(templates['payment.received'].email.customized).toBe(false);
+    expect(templates['invoice.issued'].sms.customized).toBe(false);
+  });
+
+  test('default templates only use placeholders their event fills', () => {
+    const templates = resolveTemplates();
+    for (const event of EVENTS) {
+      for (const channel of CHANNELS) {
+        const { subject, body } = templates[event][channel];
+        expect(unknownPlaceholders(event, `${subject || ''} ${body}`)).toEqual([]);
+      }
+    }
+  });
+});
+
+describe('recipientsFor', () => {
+  const customer = {
+    phone_e164: '+233241234567',
+    whatsapp_e164: '+233501234567',
+    email: 'ama@example.com',
+    sms_opt_out: false,
+    whatsapp_opt_out: false,
+    email_opt_out: false
+  };
+
+  test('contact details given for the occasion come before the customer record', () => {
+    expect(recipientsFor(customer, { email: 'orders@example.com' })).toEqual({
+      sms: '+233241234567',
+      whatsapp: '+233501234567',
+      email: 'orders@example.com'
+    });
+    expect(recipientsFor(null, { phone: '+233200000000' })).toEqual({ sms: '+233200000000', whatsapp: null, email: null });
+  });
+
+  test('leaves out channels the customer opted out of, even with a contact given', () => {
+    const optedOut = { ...customer, sms_opt_out: true, email_opt_out: true };
+    expect(recipientsFor(optedOut, { phone: '+233200000000' })).toEqual({
+      sms: null,
+      whatsapp: '+233501234567',
+      email: null
+    });
+  });
+});
+
+describe('buildMessages', () => {
+  const data = {
+    customer_name: 'Ama',
+    invoice_number: 'INV-000107',
+    amount: '300.00',
+    payment_method: 'MoMo',
+    balance_due: '0.00',
+    currency: 'GHS'
+  };
+  const recipients = { sms: '+233241234567', whatsapp: '+233241234567', email: 'ama@example.com' };
+
+  test('fills one message per active, reachable channel', () => {
+    const templates = resolveTemplates()['payment.received'];
+    const messages = buildMessages(templates, { ...recipients, email: null }, data);
+
+    expect(messages.map(m => m.channel)).toEqual(['sms']);
+    expect(messages[0].body).toContain('GHS 300.00 (MoMo) for invoice INV-000107');
+    expect(messages[0].subject).toBeNull();
+  });
+
+  test('skips channels without a configured provider', () => {
+    const templates = resolveTemplates()['payment.received'];
+    const messages = buildMessages(templates, recipients, data, ['email']);
+
+    expect(messages.map(m => m.channel)).toEqual(['email']);
+    expect(messages[0].subject).toBe('Payment received for invoice INV-000107');
+  });
+
+  test('WhatsApp sends the approved template with the placeholders in order', () => {
+    const templates = resolveTemplates([{
+      event: 'payment.received',
+      channel: 'whatsapp',
+      subject: null,
+      body: 'Hi {customer_name}, we got {currency} {amount} for {invoice_number}.',
+      is_active: true,
+      whatsapp_template_name: 'payment_received',
+      whatsapp_language: 'en_GB'
+    }])['payment.received'];
+    const [message] = buildMessages(templates, recipients, data, ['whatsapp']);
+
+    expect(message.provider_options).toEqual({
+      templateName: 'payment_received',
+      language: 'en_GB',
+      parameters: ['Ama', 'GHS', '300.00', 'INV-000107']
+    });
+  });
+});
+
+describe('placeholders', () => {
+  test('flags placeholders the event does not fill', () => {
+    expect(unknownPlaceholders('layaway.reminder', 'Pay {amount_due} by {due_date}')).toEqual([]);
+    expect(unknownPlaceholders('layaway.reminder', 'Overdue {days_overdue} days, {days_overdue}!')).toEqual(['days_overdue']);
+    expect(unknownPlaceholders('layaway.overdue', 'Overdue {days_overdue} days')).toEqual([]);
+  });
+
+  test('template parameters stand in N/A for empty values', () => {
+    expect(templateParameters('{tracking_code} arrives {estimated_arrival_date}', { tracking_code: 'PRE-0042', estimated_arrival_date: '' }))
+      .toEqual(['PRE-0042', 'N/A']);
+  });
+});
+
+describe('nextAttemptAt', () => {
+  const from = new Date('2026-10-19T10:00:00Z');
+
+  test('backs off through the retry schedule', () => {
+    expect(nextAttemptAt(1, from).toISOString()).toBe('2026-10-19T10:05:00.000Z');
+    expect(nextAttemptAt(2, from).toISOString()).toBe('2026-10-19T10:30:00.000Z');
+    expect(nextAttemptAt(MAX_ATTEMPTS - 1, from) - from).toBe(RETRY_DELAYS_MINUTES[RETRY_DELAYS_MINUTES.length - 1] * 60000);
+  });
+
+  test('gives up once every attempt is used', () => {
+    expect(nextAttemptAt(MAX_ATTEMPTS, from)).toBeNull();
+  });
+});
+
+describe('attemptSend', () => {
+  const previousProvider = process.env.NOTIFICATION_PROVIDER;
+
+  const makeLog = (attemptNumber = 1) => ({
+    channel: 'whatsapp',
+    recipient: '+233241234567',
+    subject: null,
+    body: 'Your preorder PRE-0042 has shipped',
+    provider_options: { templateName: 'preorder_shipped', language: 'en', parameters: ['PRE-0042'] },
+    attempt_number: attemptNumber,
+    status: 'pending',
+    save: jest.fn()
+  });
+
+  beforeEach(() => {
+    process.env.NOTIFICATION_PROVIDER = 'fake';
+    fakeProvider.reset();
+  });
+
+  afterAll(() => {
+    if (previousProvider === undefined) delete process.env.NOTIFICATION_PROVIDER;
+    else process.env.NOTIFICATION_PROVIDER = previousProvider;
+  });
+
+  test('the fake provider stands in for every channel', () => {
+    for (const channel of CHANNELS) {
+      expect(providerFor(channel).name).toBe('fake');
+      expect(providerFor(channel).isConfigured()).toBe(true);
+    }
+  });
+
+  test('a sent message is recorded and lands in the outbox with its options', async () => {
+    const log = makeLog();
+    await attemptSend(log);
+
+    expect(log.status).toBe('sent');
+    expect(log.provider).toBe('fake');
+    expect(log.provider_id).toBe('fake-1');
+    expect(log.sent_at).toBeInstanceOf(Date);
+    expect(log.next_attempt_at).toBeNull();
+    expect(log.save).toHaveBeenCalled();
+    expect(fakeProvider.outbox[0]).toMatchObject({ channel: 'whatsapp', to: '+233241234567', templateName: 'preorder_shipped' });
+  });
+
+  test('a failed attempt is scheduled for retry until the attempts run out', async () => {
+    fakeProvider.failNext(2);
+
+    const first = makeLog();
+    await attemptSend(first);
+    expect(first.status).toBe('failed');
+    expect(first.error_message).toBe('Fake provider failure');
+    expect(first.next_attempt_at).toBeInstanceOf(Date);
+
+    const last = makeLog(MAX_ATTEMPTS);
+    await attemptSend(last);
+    expect(last.status).toBe('failed');
+    expect(last.next_attempt_at).toBeNull();
+
+    expect(fakeProvider.outbox).toHaveLength(0);
+  });
+});
+
+describe('notifyForActivity', () => {
+  test('ignores activity that does not concern the customer', async () => {
+    await expect(notifyForActivity({ action_type: 'CUSTOMER_UPDATED', entity_id: '1' })).resolves.toEqual([]);
+  });
+});
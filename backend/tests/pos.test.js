@@ -0,0 +1,64 @@
+/**
+ * POS Tests
+ *
+ * Tests for:
+ * 1. Split tender settlement
+ * 2. Change given back from cash
+ * 3. Short and non-cash over-tender detection
+ */
+
+const { settleTender } = require('../services/posService');
+
+describe('settleTender', () => {
+  test('exact split tender records every payment as given', () => {
+    const result = settleTender(1500, [
+      { payment_method: 'MoMo', amount: 1000 },
+      { payment_method: 'Cash', amount: '500.00' }
+    ]);
+
+    expect(result.tendered).toBe(1500);
+    expect(result.change_due).toBe(0);
+    expect(result.shortfall).toBe(0);
+    expect(result.payments.map(p => [p.payment_method, p.amount])).toEqual([['MoMo', 1000], ['Cash', 500]]);
+  });
+
+  test('cash over-tender becomes change and is taken off the cash payment', () => {
+    const result = settleTender(1234.5, [
+      { payment_method: 'Card', amount: 1000 },
+      { payment_method: 'Cash', amount: 300 }
+    ]);
+
+    expect(result.change_due).toBe(65.5);
+    expect(result.non_cash_excess).toBe(0);
+    expect(result.payments[1]).toMatchObject({ payment_method: 'Cash', amount: 234.5, tendered: 300 });
+    expect(result.payments.reduce((sum, p) => sum + p.amount, 0)).toBeCloseTo(1234.5, 2);
+  });
+
+  test('change comes off the newest cash tender first and drops a fully returned one', () => {
+    const result = settleTender(100, [
+      { payment_method: 'Cash', amount: 80 },
+      { payment_method: 'MoMo', amount: 20 },
+      { payment_method: 'Cash', amount: 10 }
+    ]);
+
+    expect(result.change_due).toBe(10);
+    expect(result.payments.map(p => [p.payment_method, p.amount])).toEqual([['Cash', 80], ['MoMo', 20]]);
+  });
+
+  test('reports a shortfall when tender does not cover the total', () => {
+    const result = settleTender(500, [{ payment_method: 'MoMo', amount: 450 }]);
+
+    expect(result.shortfall).toBe(50);
+    expect(result.change_due).toBe(0);
+  });
+
+  test('excess beyond the cash tendered is a non-cash overpayment', () => {
+    const result = settleTender(500, [
+      { payment_method: 'Card', amount: 520 },
+      { payment_method: 'Cash', amount: 5 }
+    ]);
+
+    expect(result.change_due).toBe(5);
+    expect(result.non_cash_excess).toBe(20);
+  });
+});
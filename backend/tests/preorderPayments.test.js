@@ -0,0 +1,212 @@
+/**
+ * Preorder Payment Tests
+ *
+ * Tests for:
+ * 1. Payment methods as entered on the preorder forms
+ * 2. Amount held from deposits, top-ups, refunds and voids
+ * 3. Ledger postings: held as customer deposits, moved into the sale on conversion
+ * 4. Payment and refund input checks
+ * 5. Converting to an invoice
+ */
+
+const { Preorder, PreorderPayment, Invoice, InvoiceItem, InvoicePayment, ActivityLog, sequelize } = require('../models');
+const slaService = require('../services/preorderSlaService');
+const { ACCOUNTS, PAYMENT_METHOD_ACCOUNTS, depositLines, saleLines, refundLines, balanceLines } = require('../services/ledgerService');
+const preorderController = require('../controllers/preorderController');
+
+const byAccount = lines => balanceLines(lines).reduce((acc, l) => {
+  acc[l.account] = Math.round(((acc[l.account] || 0) + l.debit - l.credit) * 100) / 100;
+  return acc;
+}, {});
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('normalizeMethod', () => {
+  test('accepts payment methods in any case', () => {
+    expect(PreorderPayment.normalizeMethod('momo')).toEqual({ payment_method: 'MoMo', payment_method_other_text: null });
+    expect(PreorderPayment.normalizeMethod('Cash', 'ignored')).toEqual({ payment_method: 'Cash', payment_method_other_text: null });
+  });
+
+  test('maps the old Bank Transfer label to ACH', () => {
+    expect(PreorderPayment.normalizeMethod('Bank Transfer').payment_method).toBe('ACH');
+  });
+
+  test('Other needs a description; unknown methods are rejected', () => {
+    expect(PreorderPayment.normalizeMethod('Other')).toBeNull();
+    expect(PreorderPayment.normalizeMethod('Other', ' Cheque ')).toEqual({ payment_method: 'Other', payment_method_other_text: 'Cheque' });
+    expect(PreorderPayment.normalizeMethod('Bitcoin')).toBeNull();
+    expect(PreorderPayment.normalizeMethod(null)).toBeNull();
+  });
+});
+
+describe('summarize', () => {
+  test('amount held is payments less refunds, ignoring voids', () => {
+    expect(PreorderPayment.summarize([
+      { transaction_type: 'PAYMENT', amount: '200.00' },
+      { transaction_type: 'PAYMENT', amount: 150.1 },
+      { transaction_type: 'REFUND', amount: 50 },
+      { transaction_type: 'PAYMENT', amount: 999, voided_at: new Date() }
+    ])).toEqual({ paid: 350.1, refunded: 50, net: 300.1 });
+  });
+
+  test('a preorder with no payments holds nothing', () => {
+    expect(PreorderPayment.summarize([])).toEqual({ paid: 0, refunded: 0, net: 0 });
+  });
+});
+
+describe('ledger', () => {
+  test('a deposit is held as a liability until the preorder is invoiced', () => {
+    expect(byAccount(depositLines(300, PAYMENT_METHOD_ACCOUNTS.MoMo))).toEqual({
+      [ACCOUNTS.MOBILE_MONEY]: 300,
+      [ACCOUNTS.CUSTOMER_DEPOSITS]: -300
+    });
+  });
+
+  test('a refund pays it back out of deposits', () => {
+    expect(byAccount(depositLines(100, ACCOUNTS.CASH, true))).toEqual({
+      [ACCOUNTS.CUSTOMER_DEPOSITS]: 100,
+      [ACCOUNTS.CASH]: -100
+    });
+  });
+
+  test('carrying payments over to the invoice clears deposits into the sale without touching the till again', () => {
+    const invoice = { total_amount: 1000, tax_amount: 0, total_cost_amount: 0 };
+    const lines = [
+      ...depositLines(300, ACCOUNTS.CASH),
+      ...depositLines(200, ACCOUNTS.MOBILE_MONEY),
+      ...depositLines(100, ACCOUNTS.CASH, true),
+      ...saleLines(300, invoice, ACCOUNTS.CUSTOMER_DEPOSITS),
+      ...saleLines(200, invoice, ACCOUNTS.CUSTOMER_DEPOSITS),
+      ...refundLines(100, invoice, ACCOUNTS.CUSTOMER_DEPOSITS)
+    ];
+    const totals = byAccount(lines);
+
+    expect(totals[ACCOUNTS.CUSTOMER_DEPOSITS]).toBe(0);
+    expect(totals[ACCOUNTS.CASH]).toBe(200);
+    expect(totals[ACCOUNTS.MOBILE_MONEY]).toBe(200);
+    expect(totals[ACCOUNTS.SALES]).toBe(-500);
+    expect(totals[ACCOUNTS.SALES_RETURNS]).toBe(100);
+  });
+});
+
+describe('payment input', () => {
+  const call = async (handler, body) => {
+    const res = mockRes();
+    await handler({ params: { id: '1' }, body, user: { id: 1 } }, res, jest.fn());
+    return res;
+  };
+
+  test('a top-up needs an amount and a known method', async () => {
+    const res = await call(preorderController.addPayment, { payment_method: 'Cheque' });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    const { message } = res.json.mock.calls[0][0].error;
+    expect(message).toContain('amount is required');
+    expect(message).toContain('payment_method must be one of');
+  });
+
+  test('payments cannot be dated in the future', async () => {
+    const res = await call(preorderController.addPayment, {
+      amount: 50,
+      payment_method: 'Cash',
+      payment_date: new Date(Date.now() + 86400000).toISOString()
+    });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error.message).toBe('payment_date cannot be in the future');
+  });
+
+  test('a refund needs a reason', async () => {
+    const res = await call(preorderController.refund, { amount: 50, payment_method: 'MoMo' });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error.message).toBe('comment (reason for the refund) is required');
+  });
+
+  test('voiding needs a reason', async () => {
+    const res = mockRes();
+    await preorderController.voidPayment({ params: { id: '1', paymentId: '2' }, body: {}, user: { id: 1 } }, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error.code).toBe('VALIDATION_ERROR');
+  });
+});
+
+describe('convert to invoice', () => {
+  let dbTransaction;
+
+  // Resolves once the handler responds; rejects with what it passed to next
+  const convert = () => new Promise((resolve, reject) => {
+    const res = mockRes();
+    res.json = jest.fn(() => resolve(res));
+    preorderController.convertToInvoice({ params: { id: '4' }, body: {}, user: { id: 1 } }, res, reject);
+  });
+
+  const deposit = (amount, currency = 'GHS') => {
+    const payment = PreorderPayment.build({
+      id: 10, preorder_id: 4, transaction_type: 'PAYMENT', amount, currency, payment_method: 'MoMo', payment_date: new Date('2026-10-01')
+    });
+    jest.spyOn(payment, 'save').mockResolvedValue(payment);
+    return payment;
+  };
+
+  beforeEach(() => {
+    dbTransaction = { commit: jest.fn(async () => { dbTransaction.finished = 'commit'; }), rollback: jest.fn(async () => { dbTransaction.finished = 'rollback'; }) };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(dbTransaction);
+    jest.spyOn(Invoice, 'create');
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('is checked against the preorder as locked, so a second request is turned away', async () => {
+    const findPreorder = jest.spyOn(Preorder, 'findByPk').mockResolvedValue(Preorder.build({ id: 4, invoice_id: 12, status: 'Completed' }));
+
+    const res = await convert();
+
+    expect(findPreorder).toHaveBeenCalledWith('4', { transaction: dbTransaction, lock: true });
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error.code).toBe('ALREADY_CONVERTED');
+    expect(dbTransaction.rollback).toHaveBeenCalled();
+    expect(Invoice.create).not.toHaveBeenCalled();
+  });
+
+  test('payments in another currency are not carried over to the GHS invoice', async () => {
+    jest.spyOn(Preorder, 'findByPk').mockResolvedValue(Preorder.build({ id: 4, customer_id: 2, status: 'Arrived', selling_price: 500, quantity: 1 }));
+    jest.spyOn(PreorderPayment, 'findAll').mockResolvedValue([deposit(200), deposit(40, 'USD')]);
+
+    const res = await convert();
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error).toMatchObject({ code: 'CURRENCY_MISMATCH', message: expect.stringContaining('USD') });
+    expect(dbTransaction.rollback).toHaveBeenCalled();
+    expect(Invoice.create).not.toHaveBeenCalled();
+  });
+
+  test('an invoice paid in full by the deposits goes through the paid transition', async () => {
+    const preorder = Preorder.build({ id: 4, tracking_code: 'PO-0004', customer_id: 2, status: 'Arrived', item_description: 'iPhone 15', selling_price: 500, quantity: 1 });
+    jest.spyOn(preorder, 'save').mockResolvedValue(preorder);
+    jest.spyOn(Preorder, 'findByPk').mockResolvedValue(preorder);
+    jest.spyOn(PreorderPayment, 'findAll').mockResolvedValue([deposit(500)]);
+    jest.spyOn(Invoice, 'generateInvoiceNumber').mockResolvedValue('INV-000050');
+    const invoice = Invoice.build({ id: 50, invoice_number: 'INV-000050', status: 'UNPAID', currency: 'GHS' });
+    jest.spyOn(invoice, 'save').mockResolvedValue(invoice);
+    const paidTransition = jest.spyOn(invoice, 'handlePaidTransition').mockResolvedValue();
+    Invoice.create.mockResolvedValue(invoice);
+    jest.spyOn(InvoiceItem, 'create').mockResolvedValue({});
+    jest.spyOn(InvoicePayment, 'create').mockResolvedValue({ id: 70 });
+    jest.spyOn(slaService, 'refreshPreorder').mockResolvedValue();
+    jest.spyOn(ActivityLog, 'logPreorderStatusChanged').mockResolvedValue(null);
+
+    const res = await convert();
+
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ invoice_id: 50, preorder_status: 'Completed' });
+    expect(invoice.status).toBe('PAID');
+    expect(paidTransition).toHaveBeenCalledWith(dbTransaction, 1);
+    expect(dbTransaction.commit).toHaveBeenCalled();
+  });
+});
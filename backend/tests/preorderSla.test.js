@@ -0,0 +1,186 @@
+/**
+ * Preorder SLA Tests
+ *
+ * Tests for:
+ * 1. Stage due dates from the shipping method's target
+ * 2. On track, at risk and breached standing of open preorders
+ * 3. Expected arrival learned from past shipments
+ * 4. When the daily check alerts, and the staff digest
+ * 5. SLA target input checks
+ */
+
+const {
+  DEFAULT_TARGETS,
+  MIN_TRANSIT_SAMPLES,
+  addDays,
+  daysBetween,
+  targetFor,
+  transitEstimate,
+  computeSchedule,
+  evaluate,
+  estimateArrival,
+  isWorse
+} = require('../services/preorderSlaService');
+const { buildDigest } = require('../services/preorderSlaScheduler');
+const preorderController = require('../controllers/preorderController');
+
+const air = DEFAULT_TARGETS.air; // 3 + 4 + 12 + 2 = 21 days
+const sea = DEFAULT_TARGETS.sea;
+
+const preorder = (fields = {}) => ({
+  status: 'Deposit Paid',
+  shipping_method: 'air',
+  created_at: '2026-03-01T10:00:00Z',
+  ...fields
+});
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('date helpers', () => {
+  test('adds days across month ends', () => {
+    expect(addDays('2026-02-27', 3)).toBe('2026-03-02');
+    expect(daysBetween('2026-02-27', '2026-03-02')).toBe(3);
+    expect(daysBetween('2026-03-02', '2026-02-27')).toBe(-3);
+  });
+
+  test('unknown shipping methods use the other target', () => {
+    expect(targetFor({}, null)).toBe(DEFAULT_TARGETS.other);
+    expect(targetFor({ sea: { ...sea, transit_days: 40 } }, 'sea').transit_days).toBe(40);
+  });
+});
+
+describe('computeSchedule', () => {
+  test('an air preorder is promised 21 days after the deposit', () => {
+    const { promised_date: promised, stages } = computeSchedule(preorder(), air, '2026-03-01');
+
+    expect(promised).toBe('2026-03-22');
+    expect(stages.map(s => s.due_date)).toEqual(['2026-03-04', '2026-03-08', '2026-03-20', '2026-03-22']);
+    expect(stages.map(s => s.state)).toEqual(['pending', 'pending', 'pending', 'pending']);
+  });
+
+  test('a late purchase pushes later due dates back but not the promised date', () => {
+    const { promised_date: promised, stages } = computeSchedule(
+      preorder({ status: 'Purchased', purchase_date: '2026-03-06' }), air, '2026-03-07'
+    );
+
+    expect(stages[0]).toMatchObject({ completed_date: '2026-03-06', state: 'late' });
+    expect(stages[1].due_date).toBe('2026-03-10');
+    expect(promised).toBe('2026-03-22');
+  });
+});
+
+describe('evaluate', () => {
+  test('on track well before the next stage is due', () => {
+    expect(evaluate(preorder(), air, '2026-03-01')).toEqual({
+      sla_status: 'on_track',
+      sla_stage: 'Purchased',
+      sla_due_date: '2026-03-04',
+      sla_promised_date: '2026-03-22'
+    });
+  });
+
+  test('at risk within at_risk_days of the due date, breached after it', () => {
+    expect(evaluate(preorder(), air, '2026-03-02').sla_status).toBe('at_risk');
+    expect(evaluate(preorder(), air, '2026-03-05').sla_status).toBe('breached');
+  });
+
+  test('missing the promised date is a breach even if the stage is not yet due', () => {
+    const shippedLate = preorder({
+      status: 'Shipped',
+      purchase_date: '2026-03-10',
+      shipped_date: '2026-03-14'
+    });
+
+    // Arrival is due 2026-03-26, but the customer was promised 2026-03-22
+    expect(evaluate(shippedLate, air, '2026-03-23')).toMatchObject({
+      sla_status: 'breached',
+      sla_stage: 'Arrived',
+      sla_due_date: '2026-03-26'
+    });
+  });
+
+  test('completed and cancelled preorders have no SLA standing', () => {
+    expect(evaluate(preorder({ status: 'Completed' }), air, '2026-05-01').sla_status).toBeNull();
+    expect(evaluate(preorder({ status: 'Cancelled' }), air, '2026-05-01').sla_status).toBeNull();
+  });
+});
+
+describe('expected arrival', () => {
+  test('too few past shipments fall back to the target', () => {
+    expect(transitEstimate([10, 11], 12)).toMatchObject({ days: 12, source: 'target', samples: 2 });
+  });
+
+  test('learns the median of recent shipments', () => {
+    const estimate = transitEstimate([9, 14, 10, 11], 12);
+
+    expect(MIN_TRANSIT_SAMPLES).toBeLessThanOrEqual(4);
+    expect(estimate).toMatchObject({ days: 11, source: 'learned', samples: 4, median: 10.5, p80: 14 });
+  });
+
+  test('from the shipped date once shipped, from when shipping is due before', () => {
+    expect(estimateArrival(preorder({ status: 'Shipped', shipped_date: '2026-03-05' }), air, 10, '2026-03-06'))
+      .toBe('2026-03-15');
+    expect(estimateArrival(preorder(), air, 10, '2026-03-02')).toBe('2026-03-18');
+    // Shipping overdue: counted from today
+    expect(estimateArrival(preorder(), air, 10, '2026-03-12')).toBe('2026-03-22');
+    expect(estimateArrival(preorder({ status: 'Arrived', actual_arrival_date: '2026-03-20' }), air, 10)).toBeNull();
+  });
+});
+
+describe('daily check', () => {
+  test('alerts only when the standing gets worse', () => {
+    expect(isWorse(null, 'at_risk')).toBe(true);
+    expect(isWorse('at_risk', 'breached')).toBe(true);
+    expect(isWorse('at_risk', 'at_risk')).toBe(false);
+    expect(isWorse('breached', 'at_risk')).toBe(false);
+    expect(isWorse(null, 'on_track')).toBe(false);
+  });
+
+  test('the digest lists breached before at risk', () => {
+    const flagged = [
+      { tracking_code: 'PO-00001', customer_name: 'Ama', item_description: 'MacBook', status: 'Purchased', shipping_method: 'air', sla_status: 'at_risk', sla_stage: 'Shipped', sla_due_date: '2026-03-08', sla_promised_date: '2026-03-22' },
+      { tracking_code: 'PO-00002', customer_name: 'Kofi', item_description: 'iPhone', status: 'Shipped', shipping_method: 'sea', sla_status: 'breached', sla_stage: 'Arrived', sla_due_date: '2026-03-01', sla_promised_date: '2026-04-01' }
+    ];
+    const { subject, text } = buildDigest(flagged, '2026-03-06');
+
+    expect(subject).toBe('Preorder SLA: 1 breached, 1 at risk (2026-03-06)');
+    expect(text.indexOf('PO-00002')).toBeLessThan(text.indexOf('PO-00001'));
+    expect(text).toContain('Arrived due 2026-03-01');
+  });
+});
+
+describe('SLA target input', () => {
+  const call = async (method, body) => {
+    const res = mockRes();
+    await preorderController.updateSlaTarget({ params: { method }, body, user: { id: 1 } }, res, jest.fn());
+    return res;
+  };
+
+  test('the shipping method must be known', async () => {
+    const res = await call('rail', { transit_days: 10 });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error.message).toContain('shipping method must be one of');
+  });
+
+  test('days must be whole numbers in range', async () => {
+    const res = await call('air', { transit_days: 2.5, pickup_days: -1 });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    const { message } = res.json.mock.calls[0][0].error;
+    expect(message).toContain('transit_days must be a whole number');
+    expect(message).toContain('pickup_days must be a whole number');
+  });
+
+  test('something must change', async () => {
+    const res = await call('sea', {});
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error.message).toContain('at least one of');
+  });
+});
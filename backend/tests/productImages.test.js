@@ -0,0 +1,98 @@
+/**
+ * Product Image Tests
+ *
+ * Tests for:
+ * 1. Re-encoding uploads and generating thumbnails
+ * 2. Storage key generation and validation
+ * 3. Display order and public image shape
+ */
+
+const sharp = require('sharp');
+const {
+  MAX_DIMENSION,
+  THUMBNAIL_SIZE,
+  processImage,
+  generateStorageKeys,
+  isStorageKey,
+  sortImages,
+  formatImage
+} = require('../services/productImageService');
+
+const makePng = (width, height) => sharp({
+  create: { width, height, channels: 4, background: { r: 200, g: 30, b: 30, alpha: 0.5 } }
+}).png().toBuffer();
+
+describe('processImage', () => {
+  test('caps large photos and makes a thumbnail, both as JPEG', async () => {
+    const result = await processImage(await makePng(3200, 2400));
+
+    expect(result.width).toBe(MAX_DIMENSION);
+    expect(result.height).toBe(1200);
+
+    const imageMeta = await sharp(result.image).metadata();
+    const thumbMeta = await sharp(result.thumbnail).metadata();
+    expect(imageMeta.format).toBe('jpeg');
+    expect(thumbMeta.format).toBe('jpeg');
+    expect(thumbMeta.width).toBe(THUMBNAIL_SIZE);
+    expect(thumbMeta.height).toBe(300);
+  });
+
+  test('does not enlarge small photos', async () => {
+    const result = await processImage(await makePng(300, 200));
+
+    expect([result.width, result.height]).toEqual([300, 200]);
+    expect((await sharp(result.thumbnail).metadata()).width).toBe(300);
+  });
+
+  test('rejects files that are not images', async () => {
+    await expect(processImage(Buffer.from('not an image'))).rejects.toThrow();
+  });
+});
+
+describe('storage keys', () => {
+  test('pairs an image with its thumbnail and only accepts generated names', () => {
+    const keys = generateStorageKeys();
+
+    expect(keys.thumbnail_key).toBe(keys.storage_key.replace('.jpg', '-thumb.jpg'));
+    expect(isStorageKey(keys.storage_key)).toBe(true);
+    expect(isStorageKey(keys.thumbnail_key)).toBe(true);
+    expect(isStorageKey('../../.env')).toBe(false);
+    expect(isStorageKey('logo-abc.png')).toBe(false);
+  });
+});
+
+describe('sortImages / formatImage', () => {
+  test('shows the primary first, then by sort order', () => {
+    const sorted = sortImages([
+      { id: 1, sort_order: 0, is_primary: false },
+      { id: 2, sort_order: 2, is_primary: true },
+      { id: 3, sort_order: 1, is_primary: false }
+    ]);
+
+    expect(sorted.map(image => image.id)).toEqual([2, 1, 3]);
+  });
+
+  test('builds image and thumbnail URLs from the base URL', () => {
+    const formatted = formatImage({
+      id: 9,
+      storage_key: 'img-abc.jpg',
+      thumbnail_key: 'img-abc-thumb.jpg',
+      alt_text: 'Lid closed',
+      is_primary: true,
+      width: 1600,
+      height: 1200,
+      asset_unit_id: 4
+    }, 'https://api.example.com/api/v1/storefront/images');
+
+    expect(formatted).toEqual({
+      id: 9,
+      url: 'https://api.example.com/api/v1/storefront/images/img-abc.jpg',
+      thumbnail_url: 'https://api.example.com/api/v1/storefront/images/img-abc-thumb.jpg',
+      alt: 'Lid closed',
+      is_primary: true,
+      width: 1600,
+      height: 1200,
+      unit_id: 4
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Product Model Catalog Tests
+ *
+ * Tests for:
+ * 1. Name normalization and alias cleanup
+ * 2. Resolving make/model and descriptions to a catalog model
+ * 3. Filling blank asset fields from the catalog
+ */
+
+const { ProductModel } = require('../models');
+
+function catalog() {
+  return [
+    ProductModel.build({ id: 1, make: 'Apple', model: 'iPhone 13 Pro', category: 'Smartphone', aliases: ['IP13P', 'iPhone13 Pro'] }),
+    ProductModel.build({ id: 2, make: 'Apple', model: 'iPhone 13 Pro Max', category: 'Smartphone', aliases: [] }),
+    ProductModel.build({ id: 3, make: 'HP', model: 'EliteBook 840 G5', category: 'Computer', aliases: ['840 G5'] })
+  ];
+}
+
+describe('ProductModel - normalization', () => {
+  test('normalizeName lowercases and collapses punctuation', () => {
+    expect(ProductModel.normalizeName('  HP EliteBook-840  G5 ')).toBe('hp elitebook 840 g5');
+    expect(ProductModel.normalizeName(null)).toBe('');
+  });
+
+  test('cleanAliases drops blanks and case-insensitive duplicates', () => {
+    expect(ProductModel.cleanAliases([' IP13P ', '', 'ip13p', 'iPhone-13 Pro', 'iphone 13 pro'])).toEqual(['IP13P', 'iPhone-13 Pro']);
+    expect(ProductModel.cleanAliases('IP13P')).toEqual([]);
+  });
+});
+
+describe('ProductModel - buildMatcher', () => {
+  const match = ProductModel.buildMatcher(catalog());
+
+  test('matches make and model exactly, ignoring case and punctuation', () => {
+    const result = match({ make: 'APPLE', model: 'iphone-13 pro' });
+    expect(result.productModel.id).toBe(1);
+    expect(result.matchType).toBe('exact');
+  });
+
+  test('matches a model-only alias when make agrees', () => {
+    expect(match({ make: 'Apple', model: 'IP13P' })).toMatchObject({ matchType: 'alias' });
+    expect(match({ make: 'HP', model: '840 G5' }).productModel.id).toBe(3);
+  });
+
+  test('does not match an alias belonging to another make', () => {
+    expect(match({ make: 'Dell', model: '840 G5' })).toBeNull();
+  });
+
+  test('finds the longest catalog name inside a description', () => {
+    const result = match({ description: 'Apple iPhone 13 Pro Max - 256GB Graphite' });
+    expect(result.productModel.id).toBe(2);
+    expect(result.matchType).toBe('contains');
+  });
+
+  test('requires whole words when searching descriptions', () => {
+    expect(match({ description: 'HP EliteBook 840 G50 charger' })).toBeNull();
+  });
+
+  test('returns null when nothing matches', () => {
+    expect(match({ make: 'Samsung', model: 'Galaxy S22' })).toBeNull();
+    expect(match({})).toBeNull();
+  });
+});
+
+describe('ProductModel - applyDefaults', () => {
+  test('fills blank fields and keeps values already on the asset', () => {
+    const productModel = ProductModel.build({
+      id: 3,
+      make: 'HP',
+      model: 'EliteBook 840 G5',
+      category: 'Computer',
+      asset_type: 'Laptop',
+      cpu: 'Intel Core i5-8350U',
+      ram_gb: 8,
+      storage_gb: 256,
+      default_price_amount: 4500,
+      default_price_currency: 'GHS'
+    });
+
+    const data = productModel.applyDefaults({ make: 'HP', model: '840 G5', ram_gb: 16, cpu: '' });
+
+    expect(data).toMatchObject({
+      product_model_id: 3,
+      model: '840 G5',
+      category: 'Computer',
+      asset_type: 'Laptop',
+      cpu: 'Intel Core i5-8350U',
+      ram_gb: 16,
+      storage_gb: 256,
+      price_amount: 4500,
+      price_currency: 'GHS'
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Promotion Tests
+ *
+ * Tests for:
+ * 1. Percentage and fixed discounts, whole-invoice and scoped
+ * 2. Bundle deals
+ * 3. Several promotions on one invoice
+ * 4. Date windows and usage limits
+ */
+
+const {
+  computeDiscount,
+  applyPromotions,
+  unavailableReason,
+  toPromotionLines
+} = require('../services/promotionService');
+const { Promotion } = require('../models');
+
+const laptop = { invoice_item_id: 'a', quantity: 1, amount: 5000, category: 'Laptops', product_model_id: 7 };
+const charger = { invoice_item_id: 'b', quantity: 2, amount: 400, category: 'Accessories', product_model_id: 12 };
+const phone = { invoice_item_id: 'c', quantity: 1, amount: 3000, category: 'Phones', product_model_id: 3 };
+
+describe('computeDiscount', () => {
+  test('percentage off everything, spread by line value', () => {
+    const { amount, allocations } = computeDiscount(
+      { discount_type: 'percentage', discount_value: 10, scope: 'all' },
+      [laptop, charger]
+    );
+
+    expect(amount).toBe(540);
+    expect(allocations).toEqual([
+      { index: 0, quantity: 1, amount: 500 },
+      { index: 1, quantity: 2, amount: 40 }
+    ]);
+  });
+
+  test('fixed amounts never exceed what is in scope', () => {
+    expect(computeDiscount({ discount_type: 'fixed', discount_value: 200, scope: 'all' }, [laptop]).amount).toBe(200);
+    expect(computeDiscount({ discount_type: 'fixed', discount_value: 900, scope: 'category', scope_values: ['accessories'] }, [laptop, charger]).amount).toBe(400);
+  });
+
+  test('category and product model scopes only touch matching lines', () => {
+    const byCategory = computeDiscount(
+      { discount_type: 'percentage', discount_value: 20, scope: 'category', scope_values: ['Phones'] },
+      [laptop, phone]
+    );
+    const byModel = computeDiscount(
+      { discount_type: 'percentage', discount_value: 20, scope: 'product_model', scope_values: [7] },
+      [laptop, phone]
+    );
+
+    expect(byCategory.allocations).toEqual([{ index: 1, quantity: 1, amount: 600 }]);
+    expect(byModel.allocations).toEqual([{ index: 0, quantity: 1, amount: 1000 }]);
+    expect(computeDiscount({ discount_type: 'percentage', discount_value: 20, scope: 'category', scope_values: ['Tablets'] }, [laptop]).amount).toBe(0);
+  });
+
+  test('rounding is settled so allocations add up', () => {
+    const lines = [1, 2, 3].map(i => ({ invoice_item_id: String(i), quantity: 1, amount: 100, category: 'Laptops' }));
+    const { amount, allocations } = computeDiscount({ discount_type: 'fixed', discount_value: 100, scope: 'all' }, lines);
+
+    expect(allocations.map(a => a.amount)).toEqual([33.33, 33.33, 33.34]);
+    expect(amount).toBe(100);
+  });
+});
+
+describe('bundles', () => {
+  const laptopAndCharger = {
+    discount_type: 'fixed',
+    discount_value: 150,
+    scope: 'bundle',
+    bundle_items: [{ category: 'Laptops', quantity: 1 }, { product_model_id: 12, quantity: 1 }]
+  };
+
+  test('needs every part of the bundle', () => {
+    expect(computeDiscount(laptopAndCharger, [laptop]).amount).toBe(0);
+    expect(computeDiscount(laptopAndCharger, [charger]).amount).toBe(0);
+  });
+
+  test('fixed value comes off once per complete set, on the units used', () => {
+    const { amount, allocations } = computeDiscount(laptopAndCharger, [laptop, charger]);
+
+    // One laptop -> one set; only one of the two chargers is part of it
+    expect(amount).toBe(150);
+    expect(allocations).toEqual([
+      { index: 0, quantity: 1, amount: 144.23 },
+      { index: 1, quantity: 1, amount: 5.77 }
+    ]);
+  });
+
+  test('percentage bundles discount the bundled units only', () => {
+    const twoLaptops = { ...laptop, quantity: 2, amount: 10000 };
+    const { amount } = computeDiscount({ ...laptopAndCharger, discount_type: 'percentage', discount_value: 10 }, [twoLaptops, charger]);
+
+    // Two sets: two laptops (10000) and two chargers (400)
+    expect(amount).toBe(1040);
+  });
+});
+
+describe('applyPromotions', () => {
+  test('each promotion discounts what the earlier ones left', () => {
+    const results = applyPromotions([
+      { discount_type: 'fixed', discount_value: 1000, scope: 'product_model', scope_values: [7] },
+      { discount_type: 'percentage', discount_value: 10, scope: 'all' }
+    ], [laptop, phone]);
+
+    expect(results[0]).toEqual({ amount: 1000, allocations: [{ invoice_item_id: 'a', quantity: 1, amount: 1000 }] });
+    expect(results[1].amount).toBe(700);
+    expect(results[1].allocations).toEqual([
+      { invoice_item_id: 'a', quantity: 1, amount: 400 },
+      { invoice_item_id: 'c', quantity: 1, amount: 300 }
+    ]);
+  });
+
+  test('reads categories and product models from invoice items', () => {
+    const lines = toPromotionLines([
+      { id: 'x', quantity: 1, line_total_amount: '250.00', category: null, asset: { category: 'Accessories', product_model_id: 12 } }
+    ]);
+
+    expect(lines).toEqual([{ invoice_item_id: 'x', quantity: 1, amount: 250, category: 'Accessories', product_model_id: 12 }]);
+  });
+});
+
+describe('unavailableReason', () => {
+  const now = new Date('2026-11-15T12:00:00Z');
+  const promotion = {
+    is_active: true,
+    starts_at: new Date('2026-11-01T00:00:00Z'),
+    ends_at: new Date('2026-12-01T00:00:00Z'),
+    usage_limit: 100,
+    per_customer_limit: 1
+  };
+  const reason = (overrides, usage, at = now) => unavailableReason({ ...promotion, ...overrides }, usage, at)?.code || null;
+
+  test('runs within its window', () => {
+    expect(reason({}, {})).toBeNull();
+    expect(reason({}, {}, new Date('2026-10-31T23:59:59Z'))).toBe('PROMOTION_NOT_STARTED');
+    expect(reason({}, {}, new Date('2026-12-01T00:00:00Z'))).toBe('PROMOTION_ENDED');
+    expect(reason({ is_active: false }, {})).toBe('PROMOTION_INACTIVE');
+  });
+
+  test('stops at its usage limits', () => {
+    expect(reason({}, { totalUses: 99 })).toBeNull();
+    expect(reason({}, { totalUses: 100 })).toBe('PROMOTION_USED_UP');
+    expect(reason({}, { customerUses: 1 })).toBe('PROMOTION_LIMIT_REACHED');
+    expect(reason({ usage_limit: null, per_customer_limit: null }, { totalUses: 5000, customerUses: 20 })).toBeNull();
+  });
+});
+
+describe('Promotion model', () => {
+  test('codes are stored upper-case, blank codes as automatic offers', () => {
+    expect(Promotion.build({ code: ' black-friday ' }).code).toBe('BLACK-FRIDAY');
+    expect(Promotion.build({ code: '  ' }).code).toBeNull();
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Purchase Order & Goods Received Tests
+ *
+ * Tests for:
+ * 1. PO line receiving: outstanding, over-shipped and short-shipped quantities
+ * 2. PO receiving status from line quantities
+ * 3. Sourcing unit field derivations shared with the batch import
+ */
+
+const { PurchaseOrder, PurchaseOrderLine, SourcingBatch } = require('../models');
+const { colorTier, isEsimOnly, batteryFlag, projectedMargin, buyDecision } = require('../utils/sourcingUnitFields');
+
+function line(attrs) {
+  return PurchaseOrderLine.build({
+    purchase_order_id: 1,
+    asset_id: 10,
+    description: 'iPhone 13 Pro 256GB',
+    unit_cost_usd: 400,
+    ...attrs
+  });
+}
+
+describe('PurchaseOrderLine receiving', () => {
+  test('partial delivery leaves the rest outstanding', () => {
+    const poLine = line({ quantity_ordered: 10 });
+
+    expect(poLine.receive(4)).toBe(0);
+    expect(poLine.quantity_received).toBe(4);
+    expect(poLine.getOutstandingQuantity()).toBe(6);
+    expect(poLine.getOverQuantity()).toBe(0);
+  });
+
+  test('units beyond the outstanding quantity are reported as over-shipped', () => {
+    const poLine = line({ quantity_ordered: 10, quantity_received: 8 });
+
+    expect(poLine.receive(5)).toBe(3);
+    expect(poLine.quantity_received).toBe(13);
+    expect(poLine.getOutstandingQuantity()).toBe(0);
+    expect(poLine.getOverQuantity()).toBe(3);
+  });
+
+  test('short-shipped quantity is no longer outstanding', () => {
+    const poLine = line({ quantity_ordered: 10, quantity_received: 7, quantity_short: 3 });
+
+    expect(poLine.getOutstandingQuantity()).toBe(0);
+    expect(poLine.receive(1)).toBe(1);
+  });
+
+  test('expected cost is quantity times unit cost', () => {
+    expect(line({ quantity_ordered: 3, unit_cost_usd: 333.35 }).getExpectedCostUsd()).toBe(1000.05);
+  });
+});
+
+describe('PurchaseOrder.receiptStatusFor', () => {
+  test('nothing received is still ordered', () => {
+    expect(PurchaseOrder.receiptStatusFor([line({ quantity_ordered: 2 })])).toBe('ordered');
+  });
+
+  test('some lines outstanding is partially received', () => {
+    const lines = [
+      line({ quantity_ordered: 2, quantity_received: 2 }),
+      line({ quantity_ordered: 5, quantity_received: 1 })
+    ];
+    expect(PurchaseOrder.receiptStatusFor(lines)).toBe('partially_received');
+  });
+
+  test('every line in full (or over) is received', () => {
+    const lines = [
+      line({ quantity_ordered: 2, quantity_received: 2 }),
+      line({ quantity_ordered: 5, quantity_received: 6 })
+    ];
+    expect(PurchaseOrder.receiptStatusFor(lines)).toBe('received');
+  });
+});
+
+describe('sourcing unit fields', () => {
+  test('landed cost uses the batch formula', () => {
+    const batch = SourcingBatch.build({
+      shipping_cost_per_unit_usd: 10,
+      import_duty_rate: 0.2,
+      fx_rate_at_purchase: 12,
+      handling_per_unit_ghs: 50
+    });
+    // (400 + 10) * 1.2 * 12 + 50
+    expect(batch.computeLandedCost(400)).toBe(5954);
+  });
+
+  test('derives color tier, eSIM, battery flag and buy decision', () => {
+    expect(colorTier(' Sierra Blue ')).toBe(3);
+    expect(colorTier('Mystery')).toBeNull();
+    expect(isEsimOnly('iPhone 15 Pro')).toBe(true);
+    expect(isEsimOnly('iPhone 13')).toBe(false);
+    expect(batteryFlag(79)).toBe('SERVICE_WARNING');
+    expect(batteryFlag(82)).toBe('LOW');
+    expect(batteryFlag(90)).toBeNull();
+    expect(projectedMargin(8000, 6000)).toBe(25);
+    expect(projectedMargin(null, 6000)).toBeNull();
+    expect(buyDecision(25)).toBe('BUY');
+    expect(buyDecision(null)).toBeNull();
+  });
+});
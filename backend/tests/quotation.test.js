@@ -0,0 +1,120 @@
+/**
+ * Quotation Tests
+ *
+ * Tests for:
+ * 1. Validity dates and expiry
+ * 2. Status transitions
+ * 3. Prices used when converting to an invoice
+ * 4. Splitting fixed discounts across serialized units
+ * 5. Quotation lines priced and discounted like invoice lines
+ */
+
+const {
+  defaultValidUntil,
+  isExpired,
+  canTransition,
+  resolveConversionPrice,
+  splitFixedDiscount
+} = require('../services/quotationService');
+const { Quotation, QuotationItem } = require('../models');
+
+describe('validity', () => {
+  test('defaults to 14 days after the quote date', () => {
+    expect(defaultValidUntil('2026-10-19')).toBe('2026-11-02');
+    expect(defaultValidUntil('2026-12-25', 10)).toBe('2027-01-04');
+  });
+
+  test('a quote is valid through the end of its valid_until date', () => {
+    expect(isExpired('2026-10-19', '2026-10-19')).toBe(false);
+    expect(isExpired('2026-10-19', '2026-10-20')).toBe(true);
+  });
+
+  test('converted and declined quotes never count as expired', () => {
+    const build = status => Quotation.build({ status, quote_date: '2020-01-01', valid_until: '2020-01-15' });
+
+    expect(build('SENT').isExpired('2026-10-19')).toBe(true);
+    expect(build('CONVERTED').isExpired('2026-10-19')).toBe(false);
+    expect(build('DECLINED').isExpired('2026-10-19')).toBe(false);
+  });
+});
+
+describe('canTransition', () => {
+  test('drafts can be sent, accepted or declined', () => {
+    expect(canTransition('DRAFT', 'SENT')).toBe(true);
+    expect(canTransition('DRAFT', 'ACCEPTED')).toBe(true);
+    expect(canTransition('DRAFT', 'DECLINED')).toBe(true);
+  });
+
+  test('converted quotes are final and CONVERTED is never set by hand', () => {
+    expect(canTransition('CONVERTED', 'SENT')).toBe(false);
+    expect(canTransition('ACCEPTED', 'CONVERTED')).toBe(false);
+  });
+
+  test('accepted quotes can be reopened for editing', () => {
+    expect(canTransition('ACCEPTED', 'SENT')).toBe(true);
+    expect(Quotation.build({ status: 'ACCEPTED' }).isEditable()).toBe(false);
+    expect(Quotation.build({ status: 'SENT' }).isEditable()).toBe(true);
+  });
+});
+
+describe('resolveConversionPrice', () => {
+  test('honours the quoted price and flags a change', () => {
+    expect(resolveConversionPrice({ quotedPrice: 1200, currentPrice: 1350 }))
+      .toEqual({ price: 1200, changed: true });
+  });
+
+  test('reprices at the current price when asked', () => {
+    expect(resolveConversionPrice({ quotedPrice: 1200, currentPrice: 1350, useCurrentPrices: true }))
+      .toEqual({ price: 1350, changed: true });
+  });
+
+  test('no change when prices match to the cent', () => {
+    expect(resolveConversionPrice({ quotedPrice: '999.99', currentPrice: 999.99 }))
+      .toEqual({ price: 999.99, changed: false });
+  });
+});
+
+describe('splitFixedDiscount', () => {
+  test('shares add up to the discount with rounding on the last unit', () => {
+    const shares = splitFixedDiscount(100, 3);
+
+    expect(shares).toEqual([33.33, 33.33, 33.34]);
+    expect(shares.reduce((sum, share) => sum + share, 0)).toBeCloseTo(100, 2);
+  });
+
+  test('a single unit takes the whole discount', () => {
+    expect(splitFixedDiscount(45.5, 1)).toEqual([45.5]);
+  });
+});
+
+describe('QuotationItem.calculateTotals', () => {
+  test('applies line discounts exactly as invoice lines do', () => {
+    const item = QuotationItem.build({
+      quantity: 4,
+      unit_price_amount: 250,
+      unit_cost_amount: 180,
+      discount_type: 'percentage',
+      discount_value: 10
+    });
+    item.calculateTotals();
+
+    expect(item.pre_discount_total).toBe(1000);
+    expect(item.discount_amount).toBe(100);
+    expect(item.line_total_amount).toBe(900);
+    expect(item.line_cost_amount).toBe(720);
+    expect(item.line_profit_amount).toBe(180);
+  });
+
+  test('fixed discounts are capped at the line total', () => {
+    const item = QuotationItem.build({
+      quantity: 1,
+      unit_price_amount: 50,
+      discount_type: 'fixed',
+      discount_value: 80
+    });
+    item.calculateTotals();
+
+    expect(item.discount_amount).toBe(50);
+    expect(item.line_total_amount).toBe(0);
+  });
+});
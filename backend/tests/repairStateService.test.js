@@ -0,0 +1,79 @@
+/**
+ * Tests for Repair State Service
+ *
+ * Verifies condition swapping when units move in and out of repair/salvage
+ */
+
+const { applyRepairState, appendRepairNote } = require('../services/repairStateService');
+
+const conditions = {
+  conditionMap: { under_repair: 3, salvage_parts: 4, regular: null },
+  defaultConditionId: 1
+};
+
+describe('Repair State Service - applyRepairState', () => {
+  test('entering repair stores previous condition and swaps to Needs Repair', () => {
+    const unit = { repair_state: 'regular', condition_status_id: 2, previous_condition_status_id: null };
+
+    const changed = applyRepairState(unit, 'under_repair', conditions, { userId: 7 });
+
+    expect(changed).toBe(true);
+    expect(unit.repair_state).toBe('under_repair');
+    expect(unit.previous_condition_status_id).toBe(2);
+    expect(unit.condition_status_id).toBe(3);
+    expect(unit.repair_updated_by).toBe(7);
+    expect(unit.repair_updated_at).toBeInstanceOf(Date);
+  });
+
+  test('returning to regular restores the previous condition', () => {
+    const unit = { repair_state: 'under_repair', condition_status_id: 3, previous_condition_status_id: 2 };
+
+    applyRepairState(unit, 'regular', conditions);
+
+    expect(unit.repair_state).toBe('regular');
+    expect(unit.condition_status_id).toBe(2);
+    expect(unit.previous_condition_status_id).toBeNull();
+  });
+
+  test('returning to regular falls back to the default condition', () => {
+    const unit = { repair_state: 'under_repair', condition_status_id: 3, previous_condition_status_id: null };
+
+    applyRepairState(unit, 'regular', conditions);
+
+    expect(unit.condition_status_id).toBe(1);
+  });
+
+  test('repair to salvage keeps the original previous condition', () => {
+    const unit = { repair_state: 'under_repair', condition_status_id: 3, previous_condition_status_id: 2 };
+
+    applyRepairState(unit, 'salvage_parts', conditions);
+
+    expect(unit.condition_status_id).toBe(4);
+    expect(unit.previous_condition_status_id).toBe(2);
+  });
+
+  test('same state only appends the note', () => {
+    const unit = { repair_state: 'under_repair', condition_status_id: 3, previous_condition_status_id: 2, repair_notes: null };
+
+    const changed = applyRepairState(unit, 'under_repair', conditions, { note: 'Waiting on screen', userId: 5, userName: 'Ama' });
+
+    expect(changed).toBe(false);
+    expect(unit.condition_status_id).toBe(3);
+    expect(unit.repair_notes).toHaveLength(1);
+    expect(unit.repair_notes[0]).toMatchObject({ text: 'Waiting on screen', author: 'Ama', author_id: 5 });
+  });
+});
+
+describe('Repair State Service - appendRepairNote', () => {
+  test('returns existing notes unchanged when text is empty', () => {
+    const existing = [{ text: 'a' }];
+    expect(appendRepairNote(existing, '', 'Ama', 1)).toBe(existing);
+  });
+
+  test('does not mutate the existing array', () => {
+    const existing = [{ text: 'a' }];
+    const result = appendRepairNote(existing, 'b', 'Ama', 1);
+    expect(existing).toHaveLength(1);
+    expect(result).toHaveLength(2);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Repair Ticket Controller Tests
+ *
+ * Tests for:
+ * 1. Completing a ticket that is already completed
+ */
+
+const { RepairTicket, AssetUnit, sequelize } = require('../models');
+const repairController = require('../controllers/repairController');
+
+/**
+ * Run a handler and resolve with the status and body it sent, or reject
+ * with what it passed to next
+ */
+function runHandler(handler, req) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ status: this.statusCode, body }); }
+    };
+    handler(req, res, reject);
+  });
+}
+
+describe('completing a repair ticket', () => {
+  const req = {
+    params: { id: 12 },
+    body: { outcome: 'repaired', parts_cost: 150 },
+    user: { id: 7, full_name: 'Kwame' }
+  };
+  const buildTicket = status => RepairTicket.build({
+    id: 12,
+    ticket_number: 'RPR-000012',
+    status,
+    currency: 'GHS',
+    parts_cost: 0,
+    labour_cost: 0,
+    asset_unit_id: 40
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a ticket already completed is refused', async () => {
+    jest.spyOn(RepairTicket, 'findByPk').mockResolvedValue(buildTicket('repaired'));
+    const transaction = jest.spyOn(sequelize, 'transaction');
+
+    const { status, body } = await runHandler(repairController.complete, req);
+
+    expect(status).toBe(409);
+    expect(body.error.code).toBe('INVALID_STATUS');
+    expect(transaction).not.toHaveBeenCalled();
+  });
+
+  test('a ticket completed by someone else meanwhile is refused without touching the unit', async () => {
+    const t = { finished: undefined, commit: jest.fn(), rollback: jest.fn(async () => { t.finished = 'rollback'; }) };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(t);
+    const findTicket = jest.spyOn(RepairTicket, 'findByPk')
+      .mockResolvedValueOnce(buildTicket('diagnosing'))
+      .mockResolvedValueOnce(buildTicket('repaired'));
+    const findUnit = jest.spyOn(AssetUnit, 'findByPk').mockResolvedValue(null);
+    jest.spyOn(sequelize, 'query').mockResolvedValue([[]]);
+
+    const { status, body } = await runHandler(repairController.complete, req);
+
+    expect(status).toBe(409);
+    expect(body.error.code).toBe('INVALID_STATUS');
+    expect(findTicket).toHaveBeenLastCalledWith(12, { transaction: t, lock: true });
+    expect(t.rollback).toHaveBeenCalled();
+    expect(t.commit).not.toHaveBeenCalled();
+    // Only the unlocked look-up before the transaction
+    expect(findUnit).toHaveBeenCalledTimes(1);
+    expect(findUnit.mock.calls[0][1].transaction).toBeUndefined();
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Stock Movement Ledger Tests
+ *
+ * Tests for:
+ * 1. Signed movements update quantity and record the running balance
+ * 2. Guards against negative stock and serialized assets
+ * 3. Movements are booked against a location
+ */
+
+const { StockMovement, LocationStock } = require('../models');
+
+function bulkAsset(quantity) {
+  return {
+    id: 42,
+    asset_tag: 'INV-000042',
+    is_serialized: false,
+    quantity,
+    save: jest.fn().mockResolvedValue(true)
+  };
+}
+
+describe('StockMovement.record', () => {
+  let createSpy;
+  let adjustSpy;
+
+  beforeEach(() => {
+    createSpy = jest.spyOn(StockMovement, 'create').mockImplementation(async (row) => row);
+    adjustSpy = jest.spyOn(LocationStock, 'adjust').mockImplementation(async (assetId, change, { locationId }) => locationId || 1);
+  });
+
+  afterEach(() => {
+    createSpy.mockRestore();
+    adjustSpy.mockRestore();
+  });
+
+  test('receipt adds stock and records the balance after', async () => {
+    const asset = bulkAsset(5);
+
+    const movement = await StockMovement.record(asset, 10, 'receipt', { userId: 3, notes: 'Supplier delivery' });
+
+    expect(asset.quantity).toBe(15);
+    expect(asset.save).toHaveBeenCalledTimes(1);
+    expect(movement).toMatchObject({
+      asset_id: 42,
+      quantity_change: 10,
+      balance_after: 15,
+      reason: 'receipt',
+      notes: 'Supplier delivery',
+      created_by: 3
+    });
+  });
+
+  test('sale removes stock with a negative change', async () => {
+    const asset = bulkAsset(4);
+
+    const movement = await StockMovement.record(asset, -3, 'sale', { referenceType: 'invoice', referenceId: 'abc' });
+
+    expect(asset.quantity).toBe(1);
+    expect(movement.quantity_change).toBe(-3);
+    expect(movement.balance_after).toBe(1);
+    expect(movement.reference_id).toBe('abc');
+  });
+
+  test('zero change is a no-op', async () => {
+    const asset = bulkAsset(4);
+
+    const movement = await StockMovement.record(asset, 0, 'count_correction');
+
+    expect(movement).toBeNull();
+    expect(asset.save).not.toHaveBeenCalled();
+    expect(createSpy).not.toHaveBeenCalled();
+  });
+
+  test('refuses to take stock below zero', async () => {
+    const asset = bulkAsset(2);
+
+    await expect(StockMovement.record(asset, -3, 'damage')).rejects.toThrow('cannot go below zero');
+    expect(asset.quantity).toBe(2);
+    expect(createSpy).not.toHaveBeenCalled();
+  });
+
+  test('books the change against the given location', async () => {
+    const asset = bulkAsset(6);
+
+    const movement = await StockMovement.record(asset, -2, 'damage', { locationId: 4 });
+
+    expect(adjustSpy).toHaveBeenCalledWith(42, -2, { locationId: 4 }, null);
+    expect(movement.location_id).toBe(4);
+  });
+
+  test('falls back to the default location', async () => {
+    const movement = await StockMovement.record(bulkAsset(0), 5, 'receipt');
+
+    expect(movement.location_id).toBe(1);
+  });
+
+  test('refuses serialized assets', async () => {
+    const asset = { ...bulkAsset(1), is_serialized: true };
+
+    await expect(StockMovement.record(asset, 1, 'receipt')).rejects.toThrow('serialized');
+  });
+});
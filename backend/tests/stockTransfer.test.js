@@ -0,0 +1,184 @@
+/**
+ * Stock Location & Transfer Tests
+ *
+ * Tests for:
+ * 1. Bulk removals are planned against the preferred location first
+ * 2. Transfer lines count receipts up to the dispatched quantity
+ * 3. Transfer status labels
+ * 4. Stock on the road cannot be sold or offered on an invoice
+ */
+
+const {
+  Asset,
+  AssetUnit,
+  Invoice,
+  InvoiceItem,
+  StorefrontCartItem,
+  Location,
+  LocationStock,
+  StockTransfer,
+  StockTransferItem,
+  InventoryItemEvent,
+  ActivityLog,
+  sequelize
+} = require('../models');
+const stockTransferController = require('../controllers/stockTransferController');
+const invoiceController = require('../controllers/invoiceController');
+const { computeAvailability } = require('../services/inventoryAvailabilityService');
+
+/**
+ * Run an asyncHandler-wrapped handler and resolve with the status and body it
+ * sent, or reject with what it passed to next
+ */
+function runHandler(handler, req) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ status: this.statusCode, body }); }
+    };
+    handler(req, res, reject);
+  });
+}
+
+describe('LocationStock.planRemoval', () => {
+  const rows = [
+    { location_id: 1, quantity: 4 },
+    { location_id: 2, quantity: 10 },
+    { location_id: 3, quantity: 0 }
+  ];
+
+  test('takes from the preferred location when it has enough', () => {
+    const { takes, shortfall } = LocationStock.planRemoval(rows, 3, 1);
+
+    expect(shortfall).toBe(0);
+    expect(takes).toHaveLength(1);
+    expect(takes[0].row.location_id).toBe(1);
+    expect(takes[0].quantity).toBe(3);
+  });
+
+  test('spills over to the largest balance after the preferred location', () => {
+    const { takes, shortfall } = LocationStock.planRemoval(rows, 7, 1);
+
+    expect(shortfall).toBe(0);
+    expect(takes.map(t => [t.row.location_id, t.quantity])).toEqual([[1, 4], [2, 3]]);
+  });
+
+  test('reports the shortfall no location can cover and skips empty rows', () => {
+    const { takes, shortfall } = LocationStock.planRemoval(rows, 20, 3);
+
+    expect(shortfall).toBe(6);
+    expect(takes.map(t => t.row.location_id)).toEqual([2, 1]);
+  });
+});
+
+describe('StockTransferItem receiving', () => {
+  test('partial receipt leaves the line outstanding', () => {
+    const item = StockTransferItem.build({ transfer_id: 1, asset_id: 5, quantity: 10 });
+
+    expect(item.receive(4, 7)).toBe(4);
+    expect(item.received_quantity).toBe(4);
+    expect(item.getOutstandingQuantity()).toBe(6);
+    expect(item.isFullyReceived()).toBe(false);
+    expect(item.received_at).toBeFalsy();
+  });
+
+  test('receipt is capped at the outstanding quantity and stamps the receiver', () => {
+    const item = StockTransferItem.build({ transfer_id: 1, asset_id: 5, quantity: 10, received_quantity: 8 });
+
+    expect(item.receive(5, 7)).toBe(2);
+    expect(item.received_quantity).toBe(10);
+    expect(item.isFullyReceived()).toBe(true);
+    expect(item.received_by).toBe(7);
+    expect(item.received_at).toBeInstanceOf(Date);
+  });
+
+  test('serialized unit line is received by a single scan', () => {
+    const item = StockTransferItem.build({ transfer_id: 1, asset_id: 5, asset_unit_id: 99, quantity: 1 });
+
+    expect(item.receive(1, 7)).toBe(1);
+    expect(item.isFullyReceived()).toBe(true);
+    expect(item.receive(1, 7)).toBe(0);
+  });
+});
+
+describe('StockTransfer statuses', () => {
+  test('labels each status and treats draft and in transit as open', () => {
+    const transfer = StockTransfer.build({ transfer_number: 'TRF-000001', from_location_id: 1, to_location_id: 2, status: 'in_transit' });
+
+    expect(transfer.getStatusLabel()).toBe('In Transit');
+    expect(StockTransfer.OPEN_STATUSES).toEqual(['draft', 'in_transit']);
+    expect(StockTransfer.STATUSES).toEqual(['draft', 'in_transit', 'received', 'cancelled']);
+  });
+});
+
+describe('stock in transit', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a dispatched unit is In Transit and cannot be added to an invoice', async () => {
+    const transfer = StockTransfer.build({ id: 1, transfer_number: 'TRF-000001', from_location_id: 1, to_location_id: 2, status: 'draft' });
+    const asset = Asset.build({ id: 5, asset_tag: 'INV-000005', make: 'Apple', model: 'MacBook Air', is_serialized: true });
+    const unit = AssetUnit.build({ id: 99, asset_id: 5, serial_number: 'C02XYZ', status: 'Available', location_id: 1 });
+    unit.product = asset;
+
+    const dbTransaction = { commit: jest.fn(async () => { dbTransaction.finished = 'commit'; }), rollback: jest.fn(async () => {}) };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(dbTransaction);
+    jest.spyOn(StockTransfer, 'findByPk').mockResolvedValue(transfer);
+    jest.spyOn(Location, 'findByPk').mockImplementation(async id => ({ id, name: id === 1 ? 'Osu' : 'Kumasi' }));
+    jest.spyOn(StockTransferItem, 'findAll').mockResolvedValue([{ asset_id: 5, asset_unit_id: 99, quantity: 1, unit }]);
+    jest.spyOn(InventoryItemEvent, 'logTransferred').mockResolvedValue(null);
+    jest.spyOn(ActivityLog, 'log').mockResolvedValue(null);
+    jest.spyOn(transfer, 'save').mockResolvedValue(transfer);
+    jest.spyOn(unit, 'save').mockResolvedValue(unit);
+
+    await runHandler(stockTransferController.dispatch, { params: { id: 1 }, user: { id: 7 } });
+
+    expect(unit.status).toBe('In Transit');
+    expect(unit.location_id).toBeNull();
+    expect(transfer.status).toBe('in_transit');
+
+    jest.spyOn(Invoice, 'findByPk').mockResolvedValue(Invoice.build({ id: 3, status: 'UNPAID', currency: 'GHS', created_by: 7 }));
+    jest.spyOn(Asset, 'findByPk').mockResolvedValue(asset);
+    jest.spyOn(InvoiceItem, 'findOne').mockResolvedValue({ total_reserved: 0 });
+    jest.spyOn(StorefrontCartItem, 'findAll').mockResolvedValue([]);
+    jest.spyOn(sequelize, 'query').mockResolvedValue([[]]);
+    jest.spyOn(AssetUnit, 'findOne').mockResolvedValue(unit);
+
+    const { status, body } = await runHandler(invoiceController.addItem, {
+      params: { id: 3 },
+      body: { asset_id: 5, asset_unit_id: 99 },
+      user: { id: 7, role: 'Admin' }
+    });
+
+    expect(status).toBe(400);
+    expect(body.error.code).toBe('UNIT_UNAVAILABLE');
+  });
+
+  test('bulk quantity on the road is not available to sell', async () => {
+    jest.spyOn(Asset, 'findByPk').mockResolvedValue(Asset.build({ id: 8, asset_tag: 'INV-000008', quantity: 10 }));
+    jest.spyOn(InvoiceItem, 'findOne').mockResolvedValue({ total_reserved: 2 });
+    jest.spyOn(StorefrontCartItem, 'findAll').mockResolvedValue([]);
+    const query = jest.spyOn(sequelize, 'query').mockResolvedValue([[{ asset_id: 8, quantity: '6' }]]);
+
+    const { available } = await computeAvailability(8);
+
+    expect(query.mock.calls[0][0]).toMatch(/st\.status = 'in_transit'/);
+    expect(available).toBe(2);
+  });
+
+  test('the invoice item picker leaves out stock on the road or held in carts', async () => {
+    const query = jest.spyOn(sequelize, 'query')
+      .mockResolvedValueOnce([[
+        { id: 8, asset_tag: 'INV-000008', is_serialized: false, quantity: 10, reserved_quantity: '2', available_quantity: '8' },
+        { id: 9, asset_tag: 'INV-000009', is_serialized: false, quantity: 3, reserved_quantity: '0', available_quantity: '3' }
+      ]])
+      .mockResolvedValueOnce([[{ asset_id: 8, quantity: '5' }, { asset_id: 9, quantity: '3' }]]);
+    jest.spyOn(StorefrontCartItem, 'findAll').mockResolvedValue([{ asset_id: 8, total_held: '1' }]);
+
+    const { body } = await runHandler(invoiceController.getAvailableAssets, { query: {}, user: { id: 7, role: 'Admin' } });
+
+    expect(query.mock.calls[1][0]).toMatch(/st\.status = 'in_transit'/);
+    expect(body.data.assets).toHaveLength(1);
+    expect(body.data.assets[0]).toMatchObject({ id: 8, held_quantity: 1, in_transit_quantity: 5, available_quantity: 2 });
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Storefront Cart Tests
+ *
+ * Tests for:
+ * 1. Hold and unpaid-order timeouts, and their environment overrides
+ * 2. Which carts still hold stock
+ * 3. Validating cart lines
+ * 4. Paying near the order timeout
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const {
+  DEFAULT_HOLD_MINUTES,
+  MAX_LINE_QUANTITY,
+  minutesFromEnv,
+  holdExpiry,
+  orderExpiry,
+  paymentExpiry,
+  isHoldActive,
+  parseCartLine
+} = require('../services/storefrontCartService');
+const { StorefrontCart, Invoice, InvoicePayment, InstallmentPlan, ActivityLog, sequelize } = require('../models');
+const { cancelExpiredOrder, paystackPaymentMayComplete } = require('../services/storefrontScheduler');
+const storefrontController = require('../controllers/storefrontController');
+
+const NOW = new Date('2026-10-19T10:00:00Z');
+const ENV_KEYS = ['STOREFRONT_CART_HOLD_MINUTES', 'STOREFRONT_ORDER_TIMEOUT_MINUTES', 'STOREFRONT_PAYMENT_GRACE_MINUTES'];
+
+describe('timeouts', () => {
+  const saved = {};
+  beforeEach(() => ENV_KEYS.forEach(key => { saved[key] = process.env[key]; delete process.env[key]; }));
+  afterEach(() => ENV_KEYS.forEach(key => {
+    if (saved[key] === undefined) delete process.env[key];
+    else process.env[key] = saved[key];
+  }));
+
+  test('holds last 15 minutes and orders an hour by default', () => {
+    expect(holdExpiry(NOW).toISOString()).toBe('2026-10-19T10:15:00.000Z');
+    expect(orderExpiry(NOW).toISOString()).toBe('2026-10-19T11:00:00.000Z');
+  });
+
+  test('both can be set in the environment', () => {
+    process.env.STOREFRONT_CART_HOLD_MINUTES = '30';
+    process.env.STOREFRONT_ORDER_TIMEOUT_MINUTES = '1440';
+
+    expect(holdExpiry(NOW).toISOString()).toBe('2026-10-19T10:30:00.000Z');
+    expect(orderExpiry(NOW).toISOString()).toBe('2026-10-20T10:00:00.000Z');
+  });
+
+  test('an order timeout of 0 turns auto-cancelling off, a hold of 0 does not', () => {
+    process.env.STOREFRONT_CART_HOLD_MINUTES = '0';
+    process.env.STOREFRONT_ORDER_TIMEOUT_MINUTES = '0';
+
+    expect(holdExpiry(NOW).getTime() - NOW.getTime()).toBe(DEFAULT_HOLD_MINUTES * 60 * 1000);
+    expect(orderExpiry(NOW)).toBeNull();
+  });
+
+  test('starting a payment gives the order at least the grace period', () => {
+    expect(paymentExpiry(new Date('2026-10-19T10:05:00Z'), NOW).toISOString()).toBe('2026-10-19T10:30:00.000Z');
+    expect(paymentExpiry(new Date('2026-10-19T10:50:00Z'), NOW).toISOString()).toBe('2026-10-19T10:50:00.000Z');
+    expect(paymentExpiry(null, NOW)).toBeNull();
+
+    process.env.STOREFRONT_PAYMENT_GRACE_MINUTES = '60';
+    expect(paymentExpiry(new Date('2026-10-19T10:05:00Z'), NOW).toISOString()).toBe('2026-10-19T11:00:00.000Z');
+  });
+
+  test('ignores values that are not whole minutes', () => {
+    expect(minutesFromEnv('abc', 15)).toBe(15);
+    expect(minutesFromEnv('-5', 15)).toBe(15);
+    expect(minutesFromEnv('', 15)).toBe(15);
+    expect(minutesFromEnv('45', 15)).toBe(45);
+  });
+});
+
+describe('isHoldActive', () => {
+  test('only active carts before expires_at hold stock', () => {
+    const later = new Date(NOW.getTime() + 60 * 1000);
+
+    expect(isHoldActive({ status: 'active', expires_at: later }, NOW)).toBe(true);
+    expect(isHoldActive({ status: 'active', expires_at: NOW }, NOW)).toBe(false);
+    expect(isHoldActive({ status: 'abandoned', expires_at: later }, NOW)).toBe(false);
+    expect(isHoldActive({ status: 'checked_out', expires_at: later }, NOW)).toBe(false);
+  });
+
+  test('is available on the model', () => {
+    const cart = StorefrontCart.build({ status: 'active', expires_at: new Date(NOW.getTime() - 1) });
+
+    expect(cart.isHoldActive(NOW)).toBe(false);
+    expect(cart.id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
+
+describe('parseCartLine', () => {
+  test('defaults to one of the product', () => {
+    expect(parseCartLine({ product_id: '42' })).toEqual({ assetId: 42, quantity: 1 });
+  });
+
+  test('accepts 0 to remove a product', () => {
+    expect(parseCartLine({ product_id: 42, quantity: 0 })).toEqual({ assetId: 42, quantity: 0 });
+  });
+
+  test('rejects bad products and quantities', () => {
+    expect(() => parseCartLine({ quantity: 1 })).toThrow(expect.objectContaining({ field: 'product_id' }));
+    expect(() => parseCartLine({ product_id: 42, quantity: 1.5 })).toThrow(expect.objectContaining({ field: 'quantity' }));
+    expect(() => parseCartLine({ product_id: 42, quantity: -1 })).toThrow(expect.objectContaining({ code: 'INVALID_ITEM' }));
+    expect(() => parseCartLine({ product_id: 42, quantity: MAX_LINE_QUANTITY + 1 })).toThrow(/whole number/);
+  });
+});
+
+describe('paying near the order timeout', () => {
+  const previousSecret = process.env.PAYSTACK_SECRET_KEY;
+
+  const makeTransaction = () => {
+    const t = {
+      commit: jest.fn(async () => { t.finished = 'commit'; }),
+      rollback: jest.fn(async () => { t.finished = 'rollback'; })
+    };
+    return t;
+  };
+
+  beforeEach(() => {
+    process.env.PAYSTACK_SECRET_KEY = 'sk_test_secret';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (previousSecret === undefined) delete process.env.PAYSTACK_SECRET_KEY;
+    else process.env.PAYSTACK_SECRET_KEY = previousSecret;
+  });
+
+  test('only a payment Paystack says took no money lets the order be cancelled', async () => {
+    const get = jest.spyOn(axios, 'get');
+
+    get.mockResolvedValueOnce({ status: 200, data: { data: { status: 'success' } } });
+    await expect(paystackPaymentMayComplete('INV-000107')).resolves.toBe(true);
+    expect(get.mock.calls[0][0]).toBe('https://api.paystack.co/transaction/verify/INV-000107');
+
+    get.mockResolvedValueOnce({ status: 200, data: { data: { status: 'ongoing' } } });
+    await expect(paystackPaymentMayComplete('INV-000107')).resolves.toBe(true);
+
+    get.mockResolvedValueOnce({ status: 200, data: { data: { status: 'abandoned' } } });
+    await expect(paystackPaymentMayComplete('INV-000107')).resolves.toBe(false);
+
+    get.mockResolvedValueOnce({ status: 400, data: { status: false, message: 'Transaction reference not found' } });
+    await expect(paystackPaymentMayComplete('INV-000107')).resolves.toBe(false);
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    get.mockRejectedValueOnce(new Error('socket hang up'));
+    await expect(paystackPaymentMayComplete('INV-000107')).resolves.toBe(true);
+  });
+
+  test('a timed-out order whose payment went through is kept and given more time', async () => {
+    const t = makeTransaction();
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(t);
+    const invoice = Invoice.build({
+      id: 107,
+      invoice_number: 'INV-000107',
+      status: 'UNPAID',
+      payment_reference: 'INV-000107',
+      storefront_expires_at: new Date(Date.now() - 60 * 1000)
+    });
+    jest.spyOn(invoice, 'save').mockResolvedValue(invoice);
+    const findInvoice = jest.spyOn(Invoice, 'findByPk').mockResolvedValue(invoice);
+    jest.spyOn(InvoicePayment, 'count').mockResolvedValue(0);
+    jest.spyOn(InstallmentPlan, 'count').mockResolvedValue(0);
+    jest.spyOn(axios, 'get').mockResolvedValue({ status: 200, data: { data: { status: 'success' } } });
+
+    await expect(cancelExpiredOrder(107)).resolves.toBe(false);
+
+    expect(findInvoice).toHaveBeenCalledWith(107, { transaction: t, lock: true });
+    expect(invoice.status).toBe('UNPAID');
+    expect(invoice.storefront_expires_at.getTime()).toBeGreaterThan(Date.now());
+    expect(t.commit).toHaveBeenCalled();
+  });
+
+  test('the Paystack webhook locks the order before looking at its status', async () => {
+    const t = makeTransaction();
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(t);
+    const findInvoice = jest.spyOn(Invoice, 'findOne').mockResolvedValue(
+      Invoice.build({ id: 107, invoice_number: 'INV-000107', status: 'CANCELLED', currency: 'GHS' })
+    );
+    const log = jest.spyOn(ActivityLog, 'log').mockResolvedValue(null);
+
+    const body = { event: 'charge.success', data: { reference: 'INV-000107', amount: 45000, channel: 'card' } };
+    const signature = crypto.createHmac('sha512', 'sk_test_secret').update(JSON.stringify(body)).digest('hex');
+
+    const status = await new Promise((resolve, reject) => {
+      const res = { sendStatus: resolve, status: () => ({ send: resolve }) };
+      storefrontController.handlePaystackWebhook({ headers: { 'x-paystack-signature': signature }, body }, res, reject);
+    });
+
+    expect(status).toBe(200);
+    expect(findInvoice.mock.calls[0][0]).toMatchObject({ transaction: t, lock: true });
+    expect(t.rollback).toHaveBeenCalled();
+    expect(log.mock.calls[0][0].actionType).toBe('PAYMENT_NOT_APPLIED');
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Supplier Tests
+ *
+ * Tests for:
+ * 1. Name normalization and duplicate keys
+ * 2. Matching names and aliases, adding aliases
+ * 3. Supplier defaults copied onto new batches and purchase orders
+ */
+
+const { Supplier } = require('../models');
+
+function supplier(attrs) {
+  return Supplier.build({
+    id: 7,
+    name: 'EcoATM',
+    supplier_type: 'wholesale',
+    aliases: [],
+    ...attrs
+  });
+}
+
+describe('Supplier name matching', () => {
+  test('normalizeName ignores case, punctuation and extra spaces', () => {
+    expect(Supplier.normalizeName('  Eco-ATM,  Ltd. ')).toBe('eco atm ltd');
+    expect(Supplier.normalizeName(null)).toBe('');
+  });
+
+  test('duplicateKey drops company suffixes and spaces', () => {
+    expect(Supplier.duplicateKey('Eco-ATM Ltd')).toBe('ecoatm');
+    expect(Supplier.duplicateKey('ecoatm')).toBe('ecoatm');
+    expect(Supplier.duplicateKey('Phones Co. Ghana Limited')).toBe('phonescoghana');
+    // A suffix on its own is still a name
+    expect(Supplier.duplicateKey('Co')).toBe('co');
+  });
+
+  test('matchesName checks the name and aliases', () => {
+    const record = supplier({ aliases: ['Eco ATM Wholesale'] });
+
+    expect(record.matchesName(Supplier.normalizeName('ECOATM'))).toBe(true);
+    expect(record.matchesName(Supplier.normalizeName('eco-atm wholesale'))).toBe(true);
+    expect(record.matchesName(Supplier.normalizeName('Eco ATM'))).toBe(false);
+  });
+
+  test('addAliases skips blanks, the own name and known spellings', () => {
+    const record = supplier({ aliases: ['Eco ATM'] });
+
+    const added = record.addAliases(['ecoatm', 'ECO-ATM', '', 'Eco ATM Ltd', 'eco atm ltd']);
+
+    expect(added).toEqual(['Eco ATM Ltd']);
+    expect(record.aliases).toEqual(['Eco ATM', 'Eco ATM Ltd']);
+  });
+});
+
+describe('Supplier.applyDefaults', () => {
+  const record = supplier({
+    supplier_type: 'b2b_platform',
+    default_warranty_days: 30,
+    default_warranty_type: 'DOA',
+    default_warranty_terms: 'Dead on arrival only'
+  });
+
+  test('fills supplier and warranty fields on a new batch', () => {
+    const data = record.applyDefaults({ supplier_name: 'ecoatm ' });
+
+    expect(data).toEqual({
+      supplier_id: 7,
+      supplier_name: 'EcoATM',
+      supplier_type: 'b2b_platform',
+      warranty_days: 30,
+      warranty_type: 'DOA',
+      warranty_terms: 'Dead on arrival only'
+    });
+  });
+
+  test('keeps values already given', () => {
+    const data = record.applyDefaults({ supplier_type: 'wholesale', warranty_days: 0, warranty_type: '' });
+
+    expect(data.supplier_type).toBe('wholesale');
+    expect(data.warranty_days).toBe(0);
+    expect(data.warranty_type).toBe('DOA');
+  });
+});
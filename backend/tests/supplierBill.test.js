@@ -0,0 +1,119 @@
+/**
+ * Supplier Bill Tests
+ *
+ * Tests for:
+ * 1. Bill balance and status as payments are applied and reversed
+ * 2. Realized FX gain/loss on payments in the bill currency and others
+ * 3. AP aging buckets
+ * 4. AP aging report input
+ */
+
+const { SupplierBill, SupplierPayment } = require('../models');
+const financialReportController = require('../controllers/financialReportController');
+
+function bill(attrs) {
+  return SupplierBill.build({
+    bill_number: 'BILL-000001',
+    supplier_id: 1,
+    bill_date: '2026-09-01',
+    due_date: '2026-09-30',
+    currency: 'USD',
+    amount: 5000,
+    fx_rate: 12,
+    ...attrs
+  });
+}
+
+describe('SupplierBill payments', () => {
+  test('part payments move the bill to partially paid, then paid', () => {
+    const supplierBill = bill();
+
+    supplierBill.applyPayment(2000);
+    expect(supplierBill.status).toBe('partially_paid');
+    expect(supplierBill.getBalance()).toBe(3000);
+
+    supplierBill.applyPayment(3000);
+    expect(supplierBill.status).toBe('paid');
+    expect(supplierBill.getBalance()).toBe(0);
+  });
+
+  test('reversing a payment reopens the bill', () => {
+    const supplierBill = bill({ amount_paid: 1500.5, status: 'partially_paid' });
+
+    supplierBill.applyPayment(-1500.5);
+    expect(supplierBill.status).toBe('open');
+    expect(supplierBill.getBalance()).toBe(5000);
+  });
+
+  test('a void bill has no balance', () => {
+    expect(bill({ status: 'void' }).getBalance()).toBe(0);
+  });
+});
+
+describe('SupplierPayment.computeAmounts', () => {
+  test('cedi weakening since purchase is a loss', () => {
+    const amounts = SupplierPayment.computeAmounts({ amount: 1000, currency: 'USD', fxRate: 12.5 }, bill());
+
+    expect(amounts).toEqual({
+      amount_applied: 1000,
+      amount_ghs: 12500,
+      booked_ghs: 12000,
+      fx_gain_loss_ghs: -500
+    });
+  });
+
+  test('cedi strengthening since purchase is a gain', () => {
+    const amounts = SupplierPayment.computeAmounts({ amount: 1000, currency: 'USD', fxRate: 11.75 }, bill());
+    expect(amounts.fx_gain_loss_ghs).toBe(250);
+  });
+
+  test('paying in another currency settles amount_applied of the bill', () => {
+    // £800 at 15.2 settles $1,000 booked at 12
+    const amounts = SupplierPayment.computeAmounts(
+      { amount: 800, currency: 'GBP', fxRate: 15.2, amountApplied: 1000 },
+      bill()
+    );
+
+    expect(amounts.amount_applied).toBe(1000);
+    expect(amounts.amount_ghs).toBe(12160);
+    expect(amounts.booked_ghs).toBe(12000);
+    expect(amounts.fx_gain_loss_ghs).toBe(-160);
+  });
+
+  test('paying a cedi bill in cedis has no FX effect', () => {
+    const amounts = SupplierPayment.computeAmounts(
+      { amount: 2500, currency: 'GHS', fxRate: 1 },
+      bill({ currency: 'GHS', fx_rate: 1 })
+    );
+    expect(amounts.fx_gain_loss_ghs).toBe(0);
+  });
+});
+
+describe('SupplierBill.agingBucket', () => {
+  test.each([
+    ['2026-10-19', 'current'],
+    ['2026-10-20', 'current'],
+    ['2026-10-18', '1_30'],
+    ['2026-09-19', '1_30'],
+    ['2026-09-18', '31_60'],
+    ['2026-07-21', '61_90'],
+    ['2026-07-20', '90_plus']
+  ])('due %s is %s on 2026-10-19', (dueDate, bucket) => {
+    expect(SupplierBill.agingBucket(dueDate, '2026-10-19')).toBe(bucket);
+  });
+});
+
+describe('AP aging report', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('an as_of that is not a YYYY-MM-DD date is a 400, not a query', async () => {
+    const findAll = jest.spyOn(SupplierBill, 'findAll');
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+
+    await financialReportController.apAging({ query: { as_of: 'last week' } }, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error.code).toBe('VALIDATION_ERROR');
+    expect(findAll).not.toHaveBeenCalled();
+  });
+});
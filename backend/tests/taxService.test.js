@@ -0,0 +1,119 @@
+/**
+ * Tax Service Tests
+ *
+ * Tests for:
+ * 1. Ghana flat levies with compound VAT (exclusive and inclusive pricing)
+ * 2. Per-category exemptions
+ * 3. Invoice-level discount proration
+ */
+
+const { computeInvoiceTaxes } = require('../services/taxService');
+
+const GHANA_RULES = [
+  { id: 1, code: 'NHIL', name: 'NHIL', rate_percent: 2.5, is_compound: false, exempt_categories: [] },
+  { id: 2, code: 'GETFUND', name: 'GETFund Levy', rate_percent: 2.5, is_compound: false, exempt_categories: [] },
+  { id: 3, code: 'COVID', name: 'COVID-19 Levy', rate_percent: 1, is_compound: false, exempt_categories: [] },
+  { id: 4, code: 'VAT', name: 'VAT', rate_percent: 15, is_compound: true, exempt_categories: [] }
+];
+
+const byCode = result => Object.fromEntries(result.lines.map(line => [line.code, line]));
+
+describe('Tax Service - exclusive pricing', () => {
+  test('adds flat levies on the value and VAT on value plus levies', () => {
+    const result = computeInvoiceTaxes({
+      lines: [{ amount: 100, category: 'Computer' }],
+      rules: GHANA_RULES,
+      mode: 'exclusive'
+    });
+    const lines = byCode(result);
+
+    expect(lines.NHIL.tax_amount).toBe(2.5);
+    expect(lines.GETFUND.tax_amount).toBe(2.5);
+    expect(lines.COVID.tax_amount).toBe(1);
+    expect(lines.VAT.taxable_amount).toBe(106);
+    expect(lines.VAT.tax_amount).toBe(15.9);
+    expect(result.tax_amount).toBe(21.9);
+    expect(result.net_amount).toBe(100);
+    expect(result.gross_amount).toBe(121.9);
+  });
+
+  test('charges nothing when mode is none', () => {
+    const result = computeInvoiceTaxes({
+      lines: [{ amount: 100, category: 'Computer' }],
+      rules: GHANA_RULES,
+      mode: 'none',
+      discountAmount: 10
+    });
+
+    expect(result.lines).toEqual([]);
+    expect(result.tax_amount).toBe(0);
+    expect(result.gross_amount).toBe(90);
+  });
+});
+
+describe('Tax Service - inclusive pricing', () => {
+  test('extracts taxes from a tax-inclusive price', () => {
+    const result = computeInvoiceTaxes({
+      lines: [{ amount: 121.9, category: 'Computer' }],
+      rules: GHANA_RULES,
+      mode: 'inclusive'
+    });
+
+    expect(byCode(result).VAT.tax_amount).toBe(15.9);
+    expect(result.tax_amount).toBe(21.9);
+    expect(result.net_amount).toBe(100);
+    expect(result.gross_amount).toBe(121.9);
+  });
+});
+
+describe('Tax Service - exemptions and discounts', () => {
+  test('skips rules for exempt categories, matching case-insensitively', () => {
+    const rules = GHANA_RULES.map(rule =>
+      rule.code === 'VAT' ? { ...rule, exempt_categories: ['Accessory'] } : rule
+    );
+    const result = computeInvoiceTaxes({
+      lines: [
+        { amount: 100, category: 'Computer' },
+        { amount: 50, category: 'accessory' }
+      ],
+      rules,
+      mode: 'exclusive'
+    });
+    const lines = byCode(result);
+
+    expect(lines.NHIL.taxable_amount).toBe(150);
+    expect(lines.VAT.taxable_amount).toBe(106);
+    expect(result.tax_amount).toBe(24.9);
+  });
+
+  test('drops tax lines with nothing taxable', () => {
+    const rules = GHANA_RULES.map(rule => ({ ...rule, exempt_categories: ['Service'] }));
+    const result = computeInvoiceTaxes({
+      lines: [{ amount: 80, category: 'Service' }],
+      rules,
+      mode: 'exclusive'
+    });
+
+    expect(result.lines).toEqual([]);
+    expect(result.gross_amount).toBe(80);
+  });
+
+  test('spreads the invoice discount across lines before taxing', () => {
+    const rules = GHANA_RULES.map(rule => ({ ...rule, exempt_categories: ['Accessory'] }));
+    const result = computeInvoiceTaxes({
+      lines: [
+        { amount: 150, category: 'Computer' },
+        { amount: 50, category: 'Accessory' }
+      ],
+      rules,
+      mode: 'exclusive',
+      discountAmount: 100
+    });
+
+    // Half the subtotal is discounted, so only 75 of the computer line is taxable;
+    // each tax is rounded on its own (1.88 + 1.88 + 0.75 + 11.93)
+    expect(byCode(result).NHIL.taxable_amount).toBe(75);
+    expect(result.net_amount).toBe(100);
+    expect(result.gross_amount).toBe(116.44);
+  });
+});
@@ -32,6 +32,20 @@ const COLUMN_PATTERNS = {
   subcategory: ['subcategory', 'subcat', 'sub_category']
 };
 
+// Mobile Money statement exports (MTN MoMo, Telecel Cash). Column names
+// differ by provider and by export format, so each field lists the variants
+// seen in the wild.
+const MOMO_STATEMENT_PATTERNS = {
+  transaction_id: ['transactionid', 'financialtransactionid', 'txnid', 'transid', 'receiptno', 'receiptnumber'],
+  transaction_date: ['transactiondate', 'datetime', 'date', 'timestamp', 'time'],
+  amount: ['amount', 'credit', 'creditamount', 'amountghs', 'value'],
+  counterparty_phone: ['frommsisdn', 'sendermsisdn', 'msisdn', 'sendernumber', 'fromnumber', 'from', 'sender'],
+  counterparty_name: ['fromname', 'sendername', 'customername', 'name'],
+  reference: ['reference', 'message', 'narration', 'description', 'note'],
+  transaction_type: ['transactiontype', 'txntype', 'type'],
+  status: ['transactionstatus', 'status']
+};
+
 /**
  * Auto-detect column mappings based on header names
  */
@@ -58,6 +72,41 @@ function autoDetectColumns(headers) {
   return mappings;
 }
 
+/**
+ * Auto-detect MoMo statement columns. Exact header matches are preferred
+ * over fuzzy ones, and a header is never mapped to two fields — statements
+ * have several similar columns (From, From Name, Transaction ID, ...).
+ */
+function autoDetectStatementColumns(headers) {
+  const mappings = {};
+  const used = new Set();
+  const normalizedHeaders = headers.map(h => ({
+    original: h,
+    normalized: String(h).toLowerCase().replace(/[^a-z0-9]/g, '')
+  }));
+
+  const matchers = [
+    (header, pattern) => header.normalized === pattern,
+    (header, pattern) => header.normalized.includes(pattern) || pattern.includes(header.normalized)
+  ];
+
+  for (const matches of matchers) {
+    for (const [field, patterns] of Object.entries(MOMO_STATEMENT_PATTERNS)) {
+      if (mappings[field]) continue;
+      for (const pattern of patterns) {
+        const header = normalizedHeaders.find(h => h.normalized && !used.has(h.original) && matches(h, pattern));
+        if (header) {
+          mappings[field] = header.original;
+          used.add(header.original);
+          break;
+        }
+      }
+    }
+  }
+
+  return mappings;
+}
+
 /**
  * Get required fields for validation
  */
@@ -126,5 +175,7 @@ module.exports = {
   getRequiredFields,
   getConditionalRequiredFields,
   getFieldMetadata,
-  COLUMN_PATTERNS
+  autoDetectStatementColumns,
+  COLUMN_PATTERNS,
+  MOMO_STATEMENT_PATTERNS
 };
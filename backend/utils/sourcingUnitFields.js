@@ -0,0 +1,53 @@
+/**
+ * Sourcing unit field derivations
+ *
+ * Values derived for each phone as it arrives on a sourcing batch — shared
+ * by the spreadsheet import and goods-received notes so both grade units
+ * the same way.
+ */
+
+// Color tier map (1 = most popular)
+const COLOR_TIERS = {
+  black: 1, graphite: 1, 'space black': 1, 'space gray': 1, midnight: 1,
+  silver: 2, gold: 2, starlight: 2, white: 2, 'natural titanium': 2, 'white titanium': 2,
+  blue: 3, 'sierra blue': 3, 'pacific blue': 3, 'blue titanium': 3, purple: 3, 'deep purple': 3,
+  green: 4, pink: 4, red: 4, yellow: 4, orange: 4, coral: 4,
+};
+
+function colorTier(color) {
+  return COLOR_TIERS[(color || '').toLowerCase().trim()] || null;
+}
+
+// iPhone 14 and later ship eSIM-only in the US
+function isEsimOnly(modelText) {
+  return /iPhone\s*(14|15|16)/i.test(modelText || '');
+}
+
+function batteryFlag(batteryHealth) {
+  if (batteryHealth == null) return null;
+  if (batteryHealth < 80) return 'SERVICE_WARNING';
+  if (batteryHealth < 85) return 'LOW';
+  return null;
+}
+
+function projectedMargin(projectedSellGhs, landedCostGhs) {
+  if (!(projectedSellGhs > 0) || !(landedCostGhs > 0)) return null;
+  return Math.round(((projectedSellGhs - landedCostGhs) / projectedSellGhs) * 10000) / 100;
+}
+
+function buyDecision(marginPercent) {
+  if (marginPercent == null) return null;
+  if (marginPercent >= 30) return 'STRONG_BUY';
+  if (marginPercent >= 20) return 'BUY';
+  if (marginPercent >= 15) return 'NEGOTIATE';
+  return 'NO_BUY';
+}
+
+module.exports = {
+  COLOR_TIERS,
+  colorTier,
+  isEsimOnly,
+  batteryFlag,
+  projectedMargin,
+  buyDecision
+};
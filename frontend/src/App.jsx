@@ -19,6 +19,7 @@ import Sales from './pages/Sales'
 import Invoices from './pages/Invoices'
 import InvoiceCreate from './pages/InvoiceCreate'
 import InvoiceDetail from './pages/InvoiceDetail'
+import POS from './pages/POS'
 import Preorders from './pages/Preorders'
 import PreorderDetail from './pages/PreorderDetail'
 import Repairs from './pages/Repairs'
@@ -100,6 +101,7 @@ function App() {
         <Route path="sales/invoices/new" element={<RoleRoute roles={['Admin', 'Manager', 'Sales']}><InvoiceCreate /></RoleRoute>} />
         <Route path="sales/invoices/:id" element={<RoleRoute roles={['Admin', 'Manager', 'Sales']}><InvoiceDetail /></RoleRoute>} />
         <Route path="sales/invoices/:id/edit" element={<RoleRoute roles={['Admin', 'Manager', 'Sales']}><InvoiceCreate /></RoleRoute>} />
+        <Route path="sales/pos" element={<RoleRoute roles={['Admin', 'Manager', 'Sales']}><POS /></RoleRoute>} />
         <Route path="sales/payments" element={<RoleRoute roles={['Admin', 'Manager', 'Sales']}><Payments /></RoleRoute>} />
         <Route path="preorders" element={<RoleRoute roles={['Admin', 'Manager', 'Sales']}><Preorders /></RoleRoute>} />
         <Route path="preorders/:id" element={<RoleRoute roles={['Admin', 'Manager', 'Sales']}><PreorderDetail /></RoleRoute>} />
@@ -173,6 +173,7 @@ const navGroups = [
       {
         name: 'Sales', roles: ['Admin', 'Manager', 'Sales'],
         submenu: [
+          { name: 'Point of Sale', path: '/sales/pos' },
           { name: 'Invoices', path: '/sales/invoices', addPath: '/sales/invoices/new' },
           { name: 'Payments', path: '/sales/payments' },
           { name: 'Preorders', path: '/preorders' },
@@ -638,6 +638,9 @@ export default function AssetDetail() {
         )}
       </div>
 
+      {/* Storefront photos */}
+      <ProductPhotos assetId={id} units={asset.is_serialized ? units : []} canManage={canManage} />
+
       {/* Units Section (serialized only) */}
       {asset.is_serialized && (
         <div className="card mb-6">
@@ -671,6 +674,9 @@ export default function AssetDetail() {
               {unitSummary.in_repair > 0 && (
                 <span className="px-2.5 py-1 text-xs font-medium rounded-full bg-orange-100 text-orange-700">In Repair: {unitSummary.in_repair}</span>
               )}
+              {unitSummary.in_transit > 0 && (
+                <span className="px-2.5 py-1 text-xs font-medium rounded-full bg-purple-100 text-purple-700">In Transit: {unitSummary.in_transit}</span>
+              )}
               {unitSummary.scrapped > 0 && (
                 <span className="px-2.5 py-1 text-xs font-medium rounded-full bg-red-100 text-red-700">Scrapped: {unitSummary.scrapped}</span>
               )}
@@ -689,6 +695,7 @@ export default function AssetDetail() {
               <option value="Reserved">Reserved</option>
               <option value="Sold">Sold</option>
               <option value="In Repair">In Repair</option>
+              <option value="In Transit">In Transit</option>
               <option value="Scrapped">Scrapped</option>
             </select>
             <select
@@ -901,6 +908,7 @@ export default function AssetDetail() {
                             <option value="Sold">Sold</option>
                             <option value="In Repair">In Repair</option>
                             <option value="Scrapped">Scrapped</option>
+                            {editFormData.status === 'In Transit' && <option value="In Transit" disabled>In Transit</option>}
                           </select>
                         </td>
                         <td className="py-2 pr-2">
@@ -1048,6 +1056,167 @@ export default function AssetDetail() {
   );
 }
 
+/**
+ * Storefront photos: product photos plus optional per-unit photos
+ */
+function ProductPhotos({ assetId, units, canManage }) {
+  const [images, setImages] = useState({ product: [], units: {} });
+  const [unitId, setUnitId] = useState('');
+  const [uploading, setUploading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const res = await axios.get(`/api/v1/assets/${assetId}/images`);
+      setImages(res.data.data);
+    } catch (err) {
+      console.error('Failed to fetch images:', err);
+    }
+  }, [assetId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const run = async (request) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await request();
+      setImages(res.data.data);
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to update photos');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    const formData = new FormData();
+    files.forEach(file => formData.append('images', file));
+    if (unitId) formData.append('asset_unit_id', unitId);
+
+    setUploading(true);
+    await run(() => axios.post(`/api/v1/assets/${assetId}/images`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    }));
+    setUploading(false);
+  };
+
+  const makePrimary = (image) => run(() => axios.put(`/api/v1/assets/${assetId}/images/${image.id}`, { is_primary: true }));
+
+  const remove = (image) => {
+    if (!window.confirm('Delete this photo?')) return;
+    run(() => axios.delete(`/api/v1/assets/${assetId}/images/${image.id}`));
+  };
+
+  const move = (group, index, direction) => {
+    const ids = group.map(image => image.id);
+    const target = index + direction;
+    if (target < 0 || target >= ids.length) return;
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    run(() => axios.put(`/api/v1/assets/${assetId}/images/reorder`, { image_ids: ids }));
+  };
+
+  const unitLabel = (id) => {
+    const unit = units.find(u => String(u.id) === String(id));
+    if (!unit) return `Unit #${id}`;
+    return `${unit.serial_number || `Unit #${unit.id}`}${unit.conditionStatus ? ` · ${unit.conditionStatus.name}` : ''}`;
+  };
+
+  const renderGroup = (group) => (
+    <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-6 gap-3">
+      {group.map((image, index) => (
+        <div key={image.id} className={`relative border rounded-lg overflow-hidden ${image.is_primary ? 'border-blue-500 ring-2 ring-blue-200' : 'border-gray-200'}`}>
+          <a href={image.url} target="_blank" rel="noopener noreferrer">
+            <img src={image.thumbnail_url} alt={image.alt || ''} className="w-full h-28 object-cover bg-gray-50" />
+          </a>
+          {image.is_primary && (
+            <span className="absolute top-1 left-1 px-1.5 py-0.5 text-xs bg-blue-600 text-white rounded">Primary</span>
+          )}
+          {canManage && (
+            <div className="flex items-center justify-between px-1.5 py-1 bg-gray-50 text-xs">
+              <div className="flex gap-1">
+                <button onClick={() => move(group, index, -1)} disabled={busy || index === 0} className="px-1 text-gray-600 hover:text-gray-900 disabled:opacity-30" title="Move left">←</button>
+                <button onClick={() => move(group, index, 1)} disabled={busy || index === group.length - 1} className="px-1 text-gray-600 hover:text-gray-900 disabled:opacity-30" title="Move right">→</button>
+              </div>
+              <div className="flex gap-2">
+                {!image.is_primary && (
+                  <button onClick={() => makePrimary(image)} disabled={busy} className="text-blue-600 hover:text-blue-800">Primary</button>
+                )}
+                <button onClick={() => remove(image)} disabled={busy} className="text-red-600 hover:text-red-800">Delete</button>
+              </div>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+
+  const unitGroups = Object.entries(images.units || {});
+  const hasPhotos = images.product.length > 0 || unitGroups.length > 0;
+
+  if (!canManage && !hasPhotos) return null;
+
+  return (
+    <div className="card mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Photos</h2>
+          <p className="text-xs text-gray-500">Shown on the website. The primary photo is shown first.</p>
+        </div>
+        {canManage && (
+          <div className="flex items-center gap-2">
+            {units.length > 0 && (
+              <select
+                value={unitId}
+                onChange={(e) => setUnitId(e.target.value)}
+                className="text-sm border border-gray-300 rounded-md px-2 py-1.5"
+              >
+                <option value="">Product photos</option>
+                {units.map(unit => (
+                  <option key={unit.id} value={unit.id}>{unitLabel(unit.id)}</option>
+                ))}
+              </select>
+            )}
+            <label className={`px-3 py-1.5 text-sm text-white rounded-md cursor-pointer ${uploading ? 'bg-gray-400' : 'bg-blue-600 hover:bg-blue-700'}`}>
+              {uploading ? 'Uploading...' : '+ Add Photos'}
+              <input
+                type="file"
+                accept="image/jpeg,image/png,image/webp"
+                multiple
+                onChange={handleUpload}
+                disabled={uploading}
+                className="hidden"
+              />
+            </label>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-3 p-2 bg-red-50 border border-red-200 rounded text-sm text-red-700">{error}</div>
+      )}
+
+      {images.product.length > 0 ? (
+        renderGroup(images.product)
+      ) : (
+        <p className="text-sm text-gray-500">No product photos yet. The website shows a placeholder.</p>
+      )}
+
+      {unitGroups.map(([id, group]) => (
+        <div key={id} className="mt-5">
+          <h3 className="text-sm font-semibold text-gray-800 mb-2">{unitLabel(id)}</h3>
+          {renderGroup(group)}
+        </div>
+      ))}
+    </div>
+  );
+}
+
 function DetailItem({ label, value, highlight, negative, subtext }) {
   if (!value) return null;
 
@@ -1100,6 +1269,7 @@ function UnitStatusBadge({ status }) {
     'Reserved': 'bg-blue-100 text-blue-700',
     'Sold': 'bg-gray-200 text-gray-600',
     'In Repair': 'bg-orange-100 text-orange-700',
+    'In Transit': 'bg-purple-100 text-purple-700',
     'Scrapped': 'bg-red-100 text-red-700'
   };
   return (
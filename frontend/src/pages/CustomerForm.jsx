@@ -37,6 +37,9 @@ export default function CustomerForm() {
     notes: '',
     heard_about_us: '',
     heard_about_us_other_text: '',
+    sms_opt_out: false,
+    whatsapp_opt_out: false,
+    email_opt_out: false,
     tags: []
   });
 
@@ -87,6 +90,9 @@ export default function CustomerForm() {
         notes: customer.notes || '',
         heard_about_us: customer.heard_about_us || '',
         heard_about_us_other_text: customer.heard_about_us_other_text || '',
+        sms_opt_out: customer.sms_opt_out || false,
+        whatsapp_opt_out: customer.whatsapp_opt_out || false,
+        email_opt_out: customer.email_opt_out || false,
         tags: customer.tags || []
       });
       // Set initial phone previews
@@ -617,6 +623,31 @@ export default function CustomerForm() {
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
               />
             </div>
+
+            {/* Message opt-outs */}
+            <div>
+              <span className="block text-sm font-medium text-gray-700 mb-1">
+                Order and payment messages
+              </span>
+              <div className="flex flex-wrap gap-4">
+                {[
+                  { name: 'sms_opt_out', label: 'No SMS' },
+                  { name: 'whatsapp_opt_out', label: 'No WhatsApp' },
+                  { name: 'email_opt_out', label: 'No email' }
+                ].map(({ name, label }) => (
+                  <label key={name} className="flex items-center">
+                    <input
+                      type="checkbox"
+                      name={name}
+                      checked={formData[name]}
+                      onChange={handleChange}
+                      className="mr-2"
+                    />
+                    <span className="text-sm text-gray-700">{label}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
           </div>
         </div>
 
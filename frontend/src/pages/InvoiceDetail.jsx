@@ -604,6 +604,7 @@ export default function InvoiceDetail() {
   // PDF and WhatsApp state
   const [pdfLoading, setPdfLoading] = useState(false);
   const [whatsappLoading, setWhatsappLoading] = useState(false);
+  const [notifyLoading, setNotifyLoading] = useState(false);
 
   // Fetch returns when invoice loads
   const fetchReturns = async () => {
@@ -842,6 +843,20 @@ export default function InvoiceDetail() {
     }
   };
 
+  const handleNotifyCustomer = async () => {
+    if (!window.confirm('Send this invoice to the customer by text and email?')) return;
+
+    try {
+      setNotifyLoading(true);
+      const response = await axios.post(`/api/v1/invoices/${id}/notify`);
+      alert(response.data.message);
+    } catch (err) {
+      alert(err.response?.data?.error?.message || 'Failed to notify customer');
+    } finally {
+      setNotifyLoading(false);
+    }
+  };
+
   const handleCopyInvoiceLink = async () => {
     try {
       setPdfLoading(true);
@@ -1040,6 +1055,21 @@ export default function InvoiceDetail() {
             Copy Link
           </button>
 
+          {/* Notify customer by SMS / WhatsApp / email */}
+          {invoice.customer && invoice.status !== 'CANCELLED' && (
+            <button
+              onClick={handleNotifyCustomer}
+              disabled={notifyLoading}
+              className="btn btn-secondary flex items-center gap-2"
+              title="Send invoice to customer by SMS, WhatsApp and email"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+              </svg>
+              {notifyLoading ? 'Sending...' : 'Notify'}
+            </button>
+          )}
+
           {canEdit && (
             <Link
               to={`/sales/invoices/${id}/edit`}
@@ -0,0 +1,494 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import CustomerPickerModal from '../components/CustomerPickerModal';
+
+const PAYMENT_METHODS = ['Cash', 'MoMo', 'Card', 'ACH', 'Other'];
+const RECEIPT_WIDTHS = ['58', '80'];
+const RECEIPT_WIDTH_KEY = 'pos.receiptWidth';
+
+/**
+ * Format currency for display
+ */
+function formatCurrency(amount, currency = 'GHS') {
+  if (amount === null || amount === undefined) return '—';
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency,
+    minimumFractionDigits: 2
+  }).format(amount);
+}
+
+const round2 = n => Math.round(n * 100) / 100;
+
+const emptyTender = (method = 'Cash', amount = '') => ({
+  payment_method: method,
+  amount,
+  payment_method_other_text: '',
+  reference: ''
+});
+
+/**
+ * Thermal receipt. Printed on its own via the @media print rules below;
+ * width follows the selected paper roll (58mm or 80mm).
+ */
+function Receipt({ receipt, width }) {
+  const c = receipt.currency;
+  const money = (n) => (parseFloat(n) || 0).toFixed(2);
+
+  return (
+    <div id="pos-receipt" className={`pos-receipt pos-receipt-${width}`}>
+      {receipt.company && (
+        <div className="text-center">
+          <div className="font-bold">{receipt.company.name}</div>
+          {receipt.company.tagline && <div>{receipt.company.tagline}</div>}
+          {receipt.company.address && <div>{receipt.company.address}</div>}
+          {receipt.company.phone && <div>Tel: {receipt.company.phone}</div>}
+          {receipt.company.tax_id && <div>TIN: {receipt.company.tax_id}</div>}
+        </div>
+      )}
+      <div className="pos-receipt-rule" />
+      <div>Receipt: {receipt.invoice_number}</div>
+      <div>{new Date(receipt.date).toLocaleString()}</div>
+      {receipt.cashier && <div>Cashier: {receipt.cashier}</div>}
+      {receipt.customer_name && <div>Customer: {receipt.customer_name}</div>}
+      <div className="pos-receipt-rule" />
+      {receipt.items.map((item, index) => (
+        <div key={index} className="pos-receipt-item">
+          <div>{item.description}</div>
+          {item.serial_number && <div>S/N: {item.serial_number}</div>}
+          {item.imei && item.imei !== item.serial_number && <div>IMEI: {item.imei}</div>}
+          <div className="pos-receipt-row">
+            <span>{item.quantity} x {money(item.unit_price)}</span>
+            <span>{money(item.line_total)}</span>
+          </div>
+          {item.discount_amount > 0 && (
+            <div className="pos-receipt-row">
+              <span>Discount</span>
+              <span>-{money(item.discount_amount)}</span>
+            </div>
+          )}
+        </div>
+      ))}
+      <div className="pos-receipt-rule" />
+      <div className="pos-receipt-row"><span>Subtotal</span><span>{money(receipt.subtotal)}</span></div>
+      {receipt.discount_amount > 0 && (
+        <div className="pos-receipt-row"><span>Discount</span><span>-{money(receipt.discount_amount)}</span></div>
+      )}
+      {receipt.tax_lines.map((line, index) => (
+        <div key={index} className="pos-receipt-row">
+          <span>{line.name} {parseFloat(line.rate_percent)}%</span>
+          <span>{money(line.tax_amount)}</span>
+        </div>
+      ))}
+      <div className="pos-receipt-row font-bold"><span>TOTAL {c}</span><span>{money(receipt.total)}</span></div>
+      <div className="pos-receipt-rule" />
+      {receipt.payments.map((payment, index) => (
+        <div key={index} className="pos-receipt-row">
+          <span>{payment.method}</span>
+          <span>{money(payment.amount)}</span>
+        </div>
+      ))}
+      {receipt.tendered !== null && (
+        <div className="pos-receipt-row"><span>Tendered</span><span>{money(receipt.tendered)}</span></div>
+      )}
+      {receipt.change_due > 0 && (
+        <div className="pos-receipt-row font-bold"><span>CHANGE</span><span>{money(receipt.change_due)}</span></div>
+      )}
+      <div className="pos-receipt-rule" />
+      <div className="text-center">{receipt.company?.footer || 'Thank you for your purchase!'}</div>
+    </div>
+  );
+}
+
+export default function POS() {
+  const scanInputRef = useRef(null);
+  const [code, setCode] = useState('');
+  const [scanning, setScanning] = useState(false);
+  const [cart, setCart] = useState([]);
+  const [customer, setCustomer] = useState(null);
+  const [showCustomerPicker, setShowCustomerPicker] = useState(false);
+  const [tenders, setTenders] = useState([emptyTender()]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [receipt, setReceipt] = useState(null);
+  const [receiptWidth, setReceiptWidth] = useState(() => localStorage.getItem(RECEIPT_WIDTH_KEY) || '80');
+  const currency = 'GHS';
+
+  const subtotal = round2(cart.reduce((sum, line) => sum + line.quantity * line.unit_price, 0));
+  const tendered = round2(tenders.reduce((sum, t) => sum + (parseFloat(t.amount) || 0), 0));
+  const remaining = round2(Math.max(subtotal - tendered, 0));
+
+  useEffect(() => {
+    if (!receipt && !showCustomerPicker) scanInputRef.current?.focus();
+  }, [receipt, showCustomerPicker, cart.length]);
+
+  useEffect(() => {
+    localStorage.setItem(RECEIPT_WIDTH_KEY, receiptWidth);
+  }, [receiptWidth]);
+
+  const handleScan = async (e) => {
+    e.preventDefault();
+    const scanned = code.trim();
+    if (!scanned || scanning) return;
+
+    setScanning(true);
+    setError(null);
+    try {
+      const res = await axios.get('/api/v1/pos/lookup', { params: { code: scanned } });
+      const line = res.data.data.line;
+
+      if (line.asset_unit_id) {
+        if (cart.some(l => l.asset_unit_id === line.asset_unit_id)) {
+          setError(`${line.serial_number} is already in the cart`);
+        } else {
+          setCart(prev => [...prev, { ...line, key: `unit-${line.asset_unit_id}`, quantity: 1 }]);
+        }
+      } else {
+        const existing = cart.find(l => !l.asset_unit_id && l.asset_id === line.asset_id);
+        if (!existing) {
+          setCart(prev => [...prev, { ...line, key: `asset-${line.asset_id}`, quantity: 1 }]);
+        } else if (existing.quantity >= line.available) {
+          setError(`Only ${line.available} of ${line.make} ${line.model} available`);
+        } else {
+          setCart(prev => prev.map(l => (l.key === existing.key ? { ...l, quantity: l.quantity + 1, available: line.available } : l)));
+        }
+      }
+    } catch (err) {
+      setError(err.response?.data?.error?.message || `Lookup failed: ${scanned}`);
+    } finally {
+      setCode('');
+      setScanning(false);
+    }
+  };
+
+  const updateQuantity = (key, quantity) => {
+    setCart(prev => prev.map(l => (l.key === key ? { ...l, quantity: Math.min(Math.max(quantity, 1), l.available) } : l)));
+  };
+
+  const removeLine = (key) => {
+    setCart(prev => prev.filter(l => l.key !== key));
+  };
+
+  const updateTender = (index, fields) => {
+    setTenders(prev => prev.map((t, i) => (i === index ? { ...t, ...fields } : t)));
+  };
+
+  const addTender = () => {
+    setTenders(prev => [...prev, emptyTender('MoMo', remaining ? remaining.toFixed(2) : '')]);
+  };
+
+  const removeTender = (index) => {
+    setTenders(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const fillRemaining = (index) => {
+    const others = round2(tenders.reduce((sum, t, i) => (i === index ? sum : sum + (parseFloat(t.amount) || 0)), 0));
+    updateTender(index, { amount: Math.max(subtotal - others, 0).toFixed(2) });
+  };
+
+  const resetSale = () => {
+    setCart([]);
+    setCustomer(null);
+    setTenders([emptyTender()]);
+    setReceipt(null);
+    setError(null);
+  };
+
+  const handleCheckout = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const res = await axios.post('/api/v1/pos/checkout', {
+        customer_id: customer?.id,
+        currency,
+        items: cart.map(line => ({
+          asset_id: line.asset_id,
+          asset_unit_id: line.asset_unit_id || undefined,
+          quantity: line.quantity
+        })),
+        payments: tenders
+          .filter(t => parseFloat(t.amount) > 0)
+          .map(t => ({
+            payment_method: t.payment_method,
+            amount: parseFloat(t.amount),
+            payment_method_other_text: t.payment_method_other_text || undefined,
+            reference: t.reference || undefined
+          }))
+      });
+      setReceipt(res.data.data.receipt);
+    } catch (err) {
+      const apiError = err.response?.data?.error;
+      // Tax is only known server-side; show the real total when tender falls short
+      if (apiError?.code === 'INSUFFICIENT_TENDER' && apiError.fields?.total) {
+        setError(`${apiError.message} (total incl. tax: ${formatCurrency(apiError.fields.total, currency)})`);
+      } else {
+        setError(apiError?.message || 'Checkout failed');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <style>{`
+        .pos-receipt { font-family: 'Courier New', monospace; font-size: 11px; line-height: 1.35; color: #000; background: #fff; padding: 3mm; }
+        .pos-receipt-58 { width: 58mm; }
+        .pos-receipt-80 { width: 80mm; font-size: 12px; }
+        .pos-receipt-row { display: flex; justify-content: space-between; gap: 4px; }
+        .pos-receipt-item { margin-bottom: 3px; }
+        .pos-receipt-rule { border-top: 1px dashed #000; margin: 4px 0; }
+        @media print {
+          @page { size: ${receiptWidth}mm auto; margin: 0; }
+          body * { visibility: hidden; }
+          #pos-receipt, #pos-receipt * { visibility: visible; }
+          #pos-receipt { position: absolute; left: 0; top: 0; }
+        }
+      `}</style>
+
+      {/* Header */}
+      <div className="mb-6 flex items-center justify-between">
+        <div>
+          <Link to="/sales/invoices" className="text-sm text-blue-600 hover:text-blue-800 mb-2 inline-block">
+            &larr; Back to Invoices
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900">Point of Sale</h1>
+        </div>
+        <div className="flex items-center gap-2 text-sm">
+          <span className="text-gray-500">Receipt paper</span>
+          <select
+            value={receiptWidth}
+            onChange={(e) => setReceiptWidth(e.target.value)}
+            className="px-2 py-1.5 border border-gray-300 rounded text-sm bg-white"
+          >
+            {RECEIPT_WIDTHS.map(w => <option key={w} value={w}>{w}mm</option>)}
+          </select>
+        </div>
+      </div>
+
+      {/* Error */}
+      {error && (
+        <div className="mb-6 p-4 bg-red-100 text-red-700 rounded-lg">
+          {error}
+          <button onClick={() => setError(null)} className="float-right">&times;</button>
+        </div>
+      )}
+
+      {receipt ? (
+        <div className="card flex flex-col items-center gap-4">
+          <div className="text-lg font-semibold text-green-700">
+            Sale {receipt.invoice_number} complete
+            {receipt.change_due > 0 && ` — change due ${formatCurrency(receipt.change_due, receipt.currency)}`}
+          </div>
+          <div className="border border-gray-200 shadow-sm">
+            <Receipt receipt={receipt} width={receiptWidth} />
+          </div>
+          <div className="flex gap-3">
+            <button onClick={() => window.print()} className="btn btn-secondary">Print Receipt</button>
+            <Link to={`/sales/invoices/${receipt.invoice_id}`} className="btn btn-secondary">View Invoice</Link>
+            <button onClick={resetSale} className="btn btn-primary">New Sale</button>
+          </div>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Scan + cart */}
+          <div className="lg:col-span-2 space-y-6">
+            <div className="card">
+              <form onSubmit={handleScan}>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Scan serial, IMEI or barcode</label>
+                <input
+                  ref={scanInputRef}
+                  type="text"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  disabled={scanning}
+                  autoComplete="off"
+                  placeholder="Scan or type a code and press Enter"
+                  className="w-full px-3 py-3 border border-gray-300 rounded-md font-mono text-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+              </form>
+            </div>
+
+            <div className="card">
+              <h2 className="text-lg font-semibold mb-4">Cart</h2>
+              {cart.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">Scan an item to start the sale</div>
+              ) : (
+                <div className="divide-y divide-gray-200">
+                  {cart.map(line => (
+                    <div key={line.key} className="py-3 flex justify-between items-start">
+                      <div className="flex-1">
+                        <div className="font-medium">{line.make} {line.model}</div>
+                        <div className="text-sm text-gray-500 flex items-center gap-1">
+                          {line.asset_unit_id ? (
+                            <span className="text-xs font-mono text-purple-600 bg-purple-50 px-1.5 py-0.5 rounded">
+                              S/N: {line.serial_number}
+                            </span>
+                          ) : (
+                            <>
+                              <span>Qty:</span>
+                              <button
+                                type="button"
+                                onClick={() => updateQuantity(line.key, line.quantity - 1)}
+                                className="w-6 h-6 flex items-center justify-center rounded border border-gray-300 bg-gray-50 hover:bg-gray-100 text-sm font-medium"
+                              >
+                                −
+                              </button>
+                              <span className="w-6 text-center font-medium text-gray-700">{line.quantity}</span>
+                              <button
+                                type="button"
+                                onClick={() => updateQuantity(line.key, line.quantity + 1)}
+                                disabled={line.quantity >= line.available}
+                                className="w-6 h-6 flex items-center justify-center rounded border border-gray-300 bg-gray-50 hover:bg-gray-100 text-sm font-medium disabled:opacity-50"
+                              >
+                                +
+                              </button>
+                            </>
+                          )}
+                          <span>× {formatCurrency(line.unit_price, currency)}</span>
+                        </div>
+                      </div>
+                      <div className="text-right">
+                        <div className="font-medium">{formatCurrency(line.quantity * line.unit_price, currency)}</div>
+                        <button onClick={() => removeLine(line.key)} className="text-sm text-red-600 hover:text-red-800">
+                          Remove
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Customer + tender */}
+          <div className="space-y-6">
+            <div className="card">
+              <h2 className="text-lg font-semibold mb-4">Customer</h2>
+              {customer ? (
+                <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                  <div>
+                    <div className="font-medium">{customer.displayName || customer.first_name || customer.company_name}</div>
+                    {customer.phone_e164 && <div className="text-sm text-gray-500">{customer.phone_e164}</div>}
+                  </div>
+                  <button onClick={() => setCustomer(null)} className="text-red-600 hover:text-red-800 text-sm">
+                    Remove
+                  </button>
+                </div>
+              ) : (
+                <button
+                  onClick={() => setShowCustomerPicker(true)}
+                  className="w-full px-4 py-2 border-2 border-dashed border-gray-300 rounded-lg text-gray-600 hover:border-primary-400 hover:text-primary-600 hover:bg-primary-50 transition-colors"
+                >
+                  Walk-in — add customer (optional)
+                </button>
+              )}
+              <CustomerPickerModal
+                open={showCustomerPicker}
+                onClose={() => setShowCustomerPicker(false)}
+                onSelect={setCustomer}
+                onCreateNew={() => window.open('/customers/add', '_blank')}
+              />
+            </div>
+
+            <div className="card">
+              <h2 className="text-lg font-semibold mb-4">Payment</h2>
+              <div className="space-y-3">
+                {tenders.map((tender, index) => (
+                  <div key={index} className="space-y-2">
+                    <div className="flex items-center gap-2">
+                      <select
+                        value={tender.payment_method}
+                        onChange={(e) => updateTender(index, { payment_method: e.target.value })}
+                        className="px-2 py-1.5 border border-gray-300 rounded text-sm bg-white"
+                      >
+                        {PAYMENT_METHODS.map(m => <option key={m} value={m}>{m}</option>)}
+                      </select>
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={tender.amount}
+                        onChange={(e) => updateTender(index, { amount: e.target.value })}
+                        placeholder="0.00"
+                        className="flex-1 px-2 py-1.5 border border-gray-300 rounded text-sm text-right"
+                      />
+                      <button type="button" onClick={() => fillRemaining(index)} className="text-xs text-blue-600 hover:text-blue-800">
+                        Exact
+                      </button>
+                      {tenders.length > 1 && (
+                        <button type="button" onClick={() => removeTender(index)} className="text-red-600 hover:text-red-800">
+                          &times;
+                        </button>
+                      )}
+                    </div>
+                    {tender.payment_method === 'Other' && (
+                      <input
+                        type="text"
+                        value={tender.payment_method_other_text}
+                        onChange={(e) => updateTender(index, { payment_method_other_text: e.target.value })}
+                        placeholder="Specify payment method"
+                        className="w-full px-2 py-1.5 border border-gray-300 rounded text-sm"
+                      />
+                    )}
+                    {tender.payment_method !== 'Cash' && (
+                      <input
+                        type="text"
+                        value={tender.reference}
+                        onChange={(e) => updateTender(index, { reference: e.target.value })}
+                        placeholder="Reference (optional)"
+                        className="w-full px-2 py-1.5 border border-gray-300 rounded text-sm"
+                      />
+                    )}
+                  </div>
+                ))}
+                <button type="button" onClick={addTender} className="text-sm text-blue-600 hover:text-blue-800">
+                  + Split payment
+                </button>
+              </div>
+            </div>
+
+            <div className="card">
+              <div className="space-y-3">
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-500">Items</span>
+                  <span>{cart.reduce((sum, line) => sum + line.quantity, 0)}</span>
+                </div>
+                <div className="border-t pt-3 flex justify-between">
+                  <span className="font-semibold">Total</span>
+                  <span className="font-bold text-lg">{formatCurrency(subtotal, currency)}</span>
+                </div>
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-500">Tendered</span>
+                  <span>{formatCurrency(tendered, currency)}</span>
+                </div>
+                {remaining > 0 ? (
+                  <div className="flex justify-between text-sm text-orange-600">
+                    <span>Remaining</span>
+                    <span>{formatCurrency(remaining, currency)}</span>
+                  </div>
+                ) : tendered > subtotal && (
+                  <div className="flex justify-between text-sm text-green-700">
+                    <span>Change</span>
+                    <span>{formatCurrency(tendered - subtotal, currency)}</span>
+                  </div>
+                )}
+              </div>
+              <button
+                onClick={handleCheckout}
+                disabled={submitting || cart.length === 0 || tendered <= 0}
+                className="w-full btn btn-primary mt-4"
+              >
+                {submitting ? 'Processing...' : 'Complete Sale'}
+              </button>
+              <p className="text-xs text-gray-500 text-center mt-2">
+                Any tax is added at checkout.
+              </p>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -4,7 +4,22 @@ import axios from 'axios';
 
 const STATUSES = ['Deposit Paid', 'Purchased', 'Shipped', 'Arrived', 'Completed', 'Cancelled'];
 const SHIPPING_METHODS = [{ value: '', label: 'Select...' }, { value: 'air', label: 'Air' }, { value: 'sea', label: 'Sea' }, { value: 'other', label: 'Other' }];
-const PAYMENT_METHODS = ['Cash', 'MoMo', 'Bank Transfer', 'Card', 'Other'];
+const PAYMENT_METHODS = ['Cash', 'MoMo', 'Card', 'ACH', 'Other'];
+const ARRIVAL_SOURCE_LABELS = { learned: 'from past shipments', target: 'from SLA target' };
+const SLA_STATUS_STYLES = {
+  on_track: 'bg-green-100 text-green-700',
+  at_risk: 'bg-amber-100 text-amber-700',
+  breached: 'bg-red-100 text-red-700'
+};
+const SLA_STAGE_STYLES = {
+  done: 'text-green-600',
+  late: 'text-amber-600',
+  pending: 'text-gray-400',
+  at_risk: 'text-amber-600',
+  breached: 'text-red-600'
+};
+
+const formatShortDate = (d) => new Date(d).toLocaleDateString('en-GB', { day: '2-digit', month: 'short' });
 const STATUS_STEPS = ['Deposit Paid', 'Purchased', 'Shipped', 'Arrived', 'Completed'];
 
 function formatCurrency(amount, currency = 'GHS') {
@@ -47,6 +62,13 @@ export default function PreorderDetail() {
   // Convert
   const [converting, setConverting] = useState(false);
 
+  // Payments: deposit, top-ups and refunds
+  const [payments, setPayments] = useState([]);
+  const [paymentTotals, setPaymentTotals] = useState(null);
+  const [paymentModal, setPaymentModal] = useState(null); // 'PAYMENT' | 'REFUND' | 'CANCEL'
+  const [paymentForm, setPaymentForm] = useState({});
+  const [recordingPayment, setRecordingPayment] = useState(false);
+
   // Notifications
   const [notifications, setNotifications] = useState([]);
   const [loadingNotifications, setLoadingNotifications] = useState(false);
@@ -63,6 +85,16 @@ export default function PreorderDetail() {
     }
   };
 
+  const fetchPayments = async () => {
+    try {
+      const res = await axios.get(`/api/v1/preorders/${id}/payments`);
+      setPayments(res.data.data.payments || []);
+      setPaymentTotals(res.data.data.totals);
+    } catch (_) {
+      // silent fail
+    }
+  };
+
   const fetchPreorder = async () => {
     setLoading(true);
     try {
@@ -76,15 +108,15 @@ export default function PreorderDetail() {
     }
   };
 
-  useEffect(() => { fetchPreorder(); fetchNotifications(); }, [id]);
+  useEffect(() => { fetchPreorder(); fetchPayments(); fetchNotifications(); }, [id]);
 
   const handleSave = async () => {
     setSaving(true);
     setError(null);
     try {
-      const res = await axios.put(`/api/v1/preorders/${id}`, editForm);
-      setPreorder(res.data.data);
+      await axios.put(`/api/v1/preorders/${id}`, editForm);
       setEditing(false);
+      fetchPreorder();
     } catch (err) {
       setError(err.response?.data?.error?.message || 'Failed to save');
     } finally {
@@ -113,7 +145,7 @@ export default function PreorderDetail() {
   };
 
   const handleConvert = async () => {
-    if (!window.confirm('Convert this preorder to an invoice? The deposit will be recorded as a payment.')) return;
+    if (!window.confirm('Convert this preorder to an invoice? Its payments will be carried over to the invoice.')) return;
     setConverting(true);
     setError(null);
     try {
@@ -125,6 +157,58 @@ export default function PreorderDetail() {
     }
   };
 
+  const openPaymentModal = (mode) => {
+    setPaymentForm({
+      amount: mode === 'PAYMENT' ? '' : String(preorder.deposit_amount || ''),
+      payment_method: 'Cash',
+      payment_method_other_text: '',
+      comment: '',
+      refund: mode !== 'CANCEL' || preorder.deposit_amount > 0
+    });
+    setPaymentModal(mode);
+  };
+
+  const handleRecordPayment = async () => {
+    setRecordingPayment(true);
+    setError(null);
+    const payment = {
+      amount: paymentForm.amount,
+      payment_method: paymentForm.payment_method,
+      payment_method_other_text: paymentForm.payment_method_other_text || null,
+      comment: paymentForm.comment || null
+    };
+    try {
+      if (paymentModal === 'PAYMENT') {
+        await axios.post(`/api/v1/preorders/${id}/payments`, payment);
+      } else if (paymentModal === 'REFUND') {
+        await axios.post(`/api/v1/preorders/${id}/refunds`, payment);
+      } else {
+        await axios.post(`/api/v1/preorders/${id}/cancel`, paymentForm.refund ? { refund: payment } : {});
+        setTimeout(fetchNotifications, 1500);
+      }
+      setPaymentModal(null);
+      fetchPreorder();
+      fetchPayments();
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to record payment');
+    } finally {
+      setRecordingPayment(false);
+    }
+  };
+
+  const handleVoidPayment = async (payment) => {
+    const reason = window.prompt(`Void this ${payment.transaction_type === 'REFUND' ? 'refund' : 'payment'} of ${formatCurrency(payment.amount)}? Reason:`);
+    if (!reason) return;
+    setError(null);
+    try {
+      await axios.post(`/api/v1/preorders/${id}/payments/${payment.id}/void`, { reason });
+      fetchPreorder();
+      fetchPayments();
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to void payment');
+    }
+  };
+
   const handleDelete = async () => {
     if (!window.confirm('Delete this preorder? This action cannot be undone.')) return;
     try {
@@ -261,7 +345,10 @@ export default function PreorderDetail() {
                   {converting ? 'Converting...' : 'Convert to Invoice'}
                 </button>
               )}
-              {['Deposit Paid', 'Cancelled'].includes(preorder.status) && (
+              {!preorder.invoice_id && preorder.status !== 'Cancelled' && (
+                <button onClick={() => openPaymentModal('CANCEL')} className="px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50">Cancel Preorder</button>
+              )}
+              {['Deposit Paid', 'Cancelled'].includes(preorder.status) && !(preorder.deposit_amount > 0) && (
                 <button onClick={handleDelete} className="px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50">Delete</button>
               )}
             </>
@@ -322,6 +409,34 @@ export default function PreorderDetail() {
         </div>
       )}
 
+      {/* SLA */}
+      {preorder.sla && (
+        <div className="bg-white rounded-xl border border-gray-200 p-5 mb-6">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-sm font-semibold text-gray-900">SLA</h3>
+            <div className="flex items-center gap-2 text-xs text-gray-500">
+              Promised by {formatShortDate(preorder.sla.promised_date)}
+              {preorder.sla_status && (
+                <span className={`px-2 py-0.5 rounded-full font-medium ${SLA_STATUS_STYLES[preorder.sla_status]}`}>
+                  {preorder.sla_status.replace('_', ' ')}
+                </span>
+              )}
+            </div>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {preorder.sla.stages.map(s => (
+              <div key={s.stage} className="border border-gray-100 rounded-lg px-3 py-2">
+                <div className="text-xs text-gray-500">{s.stage === 'Completed' ? 'Ready' : s.stage}</div>
+                <div className="text-sm text-gray-900">
+                  {s.completed_date ? formatShortDate(s.completed_date) : `Due ${formatShortDate(s.due_date)}`}
+                </div>
+                <div className={`text-[11px] font-medium ${SLA_STAGE_STYLES[s.state]}`}>{s.state.replace('_', ' ')}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Details Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
         {/* Customer Info */}
@@ -354,8 +469,10 @@ export default function PreorderDetail() {
           <h3 className="text-sm font-semibold text-gray-900 mb-3">Pricing</h3>
           <div className="grid grid-cols-2 gap-3">
             <Field label="Selling Price (GHS)" value={formatCurrency(preorder.selling_price)} editKey="selling_price" type="number" />
-            <Field label="Deposit (GHS)" value={formatCurrency(preorder.deposit_amount)} editKey="deposit_amount" type="number" />
-            <Field label="Payment Method" value={preorder.deposit_payment_method} editKey="deposit_payment_method" options={PAYMENT_METHODS} />
+            <div>
+              <div className="text-xs text-gray-500 mb-0.5">Paid (held)</div>
+              <div className="text-sm text-gray-900">{formatCurrency(preorder.deposit_amount)}</div>
+            </div>
             <div>
               <div className="text-xs text-gray-500 mb-0.5">Balance Due</div>
               <div className="text-sm font-bold text-red-600">{formatCurrency(preorder.balance_due)}</div>
@@ -370,7 +487,12 @@ export default function PreorderDetail() {
             <Field label="Method" value={preorder.shipping_method} editKey="shipping_method" options={SHIPPING_METHODS} />
             <Field label="Tracking Number" value={preorder.tracking_number} editKey="tracking_number" />
             <Field label="Shipped Date" value={preorder.shipped_date} editKey="shipped_date" type="date" />
-            <Field label="Est. Arrival" value={preorder.estimated_arrival_date} editKey="estimated_arrival_date" type="date" />
+            <Field
+              label={`Est. Arrival${!editing && ARRIVAL_SOURCE_LABELS[preorder.estimated_arrival_source] ? ` (${ARRIVAL_SOURCE_LABELS[preorder.estimated_arrival_source]})` : ''}`}
+              value={preorder.estimated_arrival_date}
+              editKey="estimated_arrival_date"
+              type="date"
+            />
             <Field label="Actual Arrival" value={preorder.actual_arrival_date} editKey="actual_arrival_date" type="date" />
           </div>
         </div>
@@ -423,6 +545,67 @@ export default function PreorderDetail() {
         </div>
       </div>
 
+      {/* Payments */}
+      <div className="bg-white rounded-xl border border-gray-200 p-5 mb-6">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-sm font-semibold text-gray-900">Payments</h3>
+          {!preorder.invoice_id && (
+            <div className="flex items-center gap-2">
+              {preorder.status !== 'Cancelled' && (
+                <button onClick={() => openPaymentModal('PAYMENT')} className="px-3 py-1.5 text-sm bg-violet-600 text-white rounded-lg hover:bg-violet-700">Record Payment</button>
+              )}
+              {preorder.deposit_amount > 0 && (
+                <button onClick={() => openPaymentModal('REFUND')} className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg hover:bg-gray-50">Refund</button>
+              )}
+            </div>
+          )}
+        </div>
+        {payments.length === 0 ? (
+          <p className="text-sm text-gray-500">No payments recorded.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b border-gray-100">
+                <th className="py-2 pr-3 font-medium">Date</th>
+                <th className="py-2 pr-3 font-medium">Type</th>
+                <th className="py-2 pr-3 font-medium">Method</th>
+                <th className="py-2 pr-3 font-medium">Comment</th>
+                <th className="py-2 pr-3 font-medium">Received By</th>
+                <th className="py-2 pr-3 font-medium text-right">Amount</th>
+                <th className="py-2 font-medium"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {payments.map((p) => (
+                <tr key={p.id} className={`border-b border-gray-50 last:border-0 ${p.voided_at ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+                  <td className="py-2 pr-3">{new Date(p.payment_date).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' })}</td>
+                  <td className="py-2 pr-3">{p.transaction_type === 'REFUND' ? 'Refund' : 'Payment'}</td>
+                  <td className="py-2 pr-3">{p.method_display}</td>
+                  <td className="py-2 pr-3">{p.voided_at ? `Voided: ${p.void_reason}` : (p.comment || '—')}</td>
+                  <td className="py-2 pr-3">{p.receivedBy?.full_name || '—'}</td>
+                  <td className={`py-2 pr-3 text-right font-medium ${p.transaction_type === 'REFUND' ? 'text-red-600' : ''}`}>
+                    {p.transaction_type === 'REFUND' ? '-' : ''}{formatCurrency(p.amount)}
+                  </td>
+                  <td className="py-2 text-right">
+                    {!p.voided_at && !p.invoice_payment_id && (
+                      <button onClick={() => handleVoidPayment(p)} className="text-xs text-red-600 hover:underline">Void</button>
+                    )}
+                    {p.invoice_payment_id && <span className="text-xs text-gray-400">On invoice</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {paymentTotals && (
+          <div className="flex justify-end gap-6 mt-3 text-sm">
+            <span className="text-gray-500">Paid: <span className="text-gray-900">{formatCurrency(paymentTotals.paid)}</span></span>
+            <span className="text-gray-500">Refunded: <span className="text-gray-900">{formatCurrency(paymentTotals.refunded)}</span></span>
+            <span className="text-gray-500">Balance Due: <span className="font-bold text-red-600">{formatCurrency(paymentTotals.balance_due)}</span></span>
+          </div>
+        )}
+      </div>
+
       {/* Notifications */}
       {notifications.length > 0 && (
         <div className="bg-white rounded-xl border border-gray-200 p-5 mb-6">
@@ -455,6 +638,86 @@ export default function PreorderDetail() {
         </div>
       )}
 
+      {/* Payment / Refund / Cancel Modal */}
+      {paymentModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30" onClick={() => setPaymentModal(null)}>
+          <div className="bg-white rounded-xl border border-gray-200 p-6 w-full max-w-md shadow-xl" onClick={(e) => e.stopPropagation()}>
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">
+              {paymentModal === 'PAYMENT' ? 'Record Payment' : paymentModal === 'REFUND' ? 'Refund' : 'Cancel Preorder'}
+            </h2>
+            <div className="space-y-4">
+              {paymentModal === 'CANCEL' && preorder.deposit_amount > 0 && (
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={paymentForm.refund}
+                    onChange={(e) => setPaymentForm(f => ({ ...f, refund: e.target.checked }))}
+                  />
+                  Refund the {formatCurrency(preorder.deposit_amount)} held
+                </label>
+              )}
+              {paymentForm.refund && (
+                <>
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Amount (GHS)</label>
+                      <input
+                        type="number"
+                        step="0.01"
+                        value={paymentForm.amount}
+                        onChange={(e) => setPaymentForm(f => ({ ...f, amount: e.target.value }))}
+                        className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Method</label>
+                      <select
+                        value={paymentForm.payment_method}
+                        onChange={(e) => setPaymentForm(f => ({ ...f, payment_method: e.target.value }))}
+                        className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                      >
+                        {PAYMENT_METHODS.map(m => <option key={m} value={m}>{m}</option>)}
+                      </select>
+                    </div>
+                  </div>
+                  {paymentForm.payment_method === 'Other' && (
+                    <input
+                      type="text"
+                      value={paymentForm.payment_method_other_text}
+                      onChange={(e) => setPaymentForm(f => ({ ...f, payment_method_other_text: e.target.value }))}
+                      placeholder="Specify method"
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                    />
+                  )}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      {paymentModal === 'PAYMENT' ? 'Comment' : 'Reason'}
+                    </label>
+                    <input
+                      type="text"
+                      value={paymentForm.comment}
+                      onChange={(e) => setPaymentForm(f => ({ ...f, comment: e.target.value }))}
+                      placeholder={paymentModal === 'PAYMENT' ? 'e.g. Top-up on arrival' : 'e.g. Customer cancelled'}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                    />
+                  </div>
+                </>
+              )}
+              <div className="flex justify-end gap-2">
+                <button onClick={() => setPaymentModal(null)} className="px-4 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50">Close</button>
+                <button
+                  onClick={handleRecordPayment}
+                  disabled={recordingPayment}
+                  className={`px-4 py-2 text-sm text-white rounded-lg disabled:opacity-50 ${paymentModal === 'PAYMENT' ? 'bg-violet-600 hover:bg-violet-700' : 'bg-red-600 hover:bg-red-700'}`}
+                >
+                  {recordingPayment ? 'Saving...' : paymentModal === 'PAYMENT' ? 'Record Payment' : paymentModal === 'REFUND' ? 'Refund' : 'Cancel Preorder'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Status Update Modal */}
       {showStatusModal && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30" onClick={() => setShowStatusModal(false)}>
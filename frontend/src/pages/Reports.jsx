@@ -294,7 +294,7 @@ function MarginsTab({ data, loading }) {
   if (loading) return <LoadingSpinner />
   if (!data) return <EmptyState message="No margin data available" />
 
-  const { overall, by_category, by_model, loss_makers, trend, granularity } = data
+  const { overall, by_category, by_model, by_promotion, loss_makers, trend, granularity } = data
 
   return (
     <div className="space-y-6">
@@ -448,6 +448,48 @@ function MarginsTab({ data, loading }) {
         </div>
       )}
 
+      {/* Promotions — discount cost and margin on the units they covered */}
+      {by_promotion && by_promotion.length > 0 && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-5">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Margin by Promotion</h3>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="text-left py-2 px-3 font-medium text-gray-500">Promotion</th>
+                  <th className="text-right py-2 px-3 font-medium text-gray-500">Invoices</th>
+                  <th className="text-right py-2 px-3 font-medium text-gray-500">Sales Before</th>
+                  <th className="text-right py-2 px-3 font-medium text-gray-500">Discount Cost</th>
+                  <th className="text-right py-2 px-3 font-medium text-gray-500">Profit</th>
+                  <th className="text-right py-2 px-3 font-medium text-gray-500">Margin Before</th>
+                  <th className="text-right py-2 px-3 font-medium text-gray-500">Margin</th>
+                </tr>
+              </thead>
+              <tbody>
+                {by_promotion.map((p) => (
+                  <tr key={p.promotion_id} className="border-b border-gray-100 hover:bg-gray-50">
+                    <td className="py-2 px-3 font-medium">
+                      {p.name}
+                      {p.code && <span className="ml-2 text-xs font-mono text-gray-500">{p.code}</span>}
+                    </td>
+                    <td className="text-right py-2 px-3">{p.invoice_count}</td>
+                    <td className="text-right py-2 px-3">{formatCurrency(p.gross_sales)}</td>
+                    <td className="text-right py-2 px-3 text-red-600">{formatCurrency(p.discount_cost)}</td>
+                    <td className={`text-right py-2 px-3 font-medium ${p.profit >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                      {formatCurrency(p.profit)}
+                    </td>
+                    <td className="text-right py-2 px-3 text-gray-500">{formatPercent(p.margin_before_percent)}</td>
+                    <td className={`text-right py-2 px-3 font-medium ${p.margin_percent >= 20 ? 'text-green-600' : p.margin_percent >= 0 ? 'text-yellow-600' : 'text-red-600'}`}>
+                      {formatPercent(p.margin_percent)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Loss Makers */}
       {loss_makers.length > 0 && (
         <div className="bg-white rounded-lg shadow-sm border border-red-200 p-5">
@@ -1294,7 +1336,291 @@ function MyPerformanceTab({ data, loading }) {
 const METHOD_COLORS = { Cash: '#10b981', MoMo: '#f59e0b', Card: '#3b82f6', ACH: '#8b5cf6', Other: '#6b7280' }
 const METHOD_KEY_MAP = { cash: 'Cash', momo: 'MoMo', card: 'Card', ach: 'ACH', other: 'Other' }
 
-function ReconciliationTab({ data, loading }) {
+// ─── MoMo Statement Check ─────────────────────────────────────
+const MOMO_PROVIDERS = [
+  { value: 'mtn', label: 'MTN MoMo' },
+  { value: 'telecel', label: 'Telecel Cash' },
+]
+const STATEMENT_FIELD_LABELS = { transaction_id: 'Transaction ID', transaction_date: 'Date', amount: 'Amount' }
+
+function formatDateTime(d) {
+  return new Date(d).toLocaleString('en-GB', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+}
+
+function MomoStatementPanel({ section, onChanged }) {
+  const [provider, setProvider] = useState('mtn')
+  const [file, setFile] = useState(null)
+  const [uploading, setUploading] = useState(false)
+  const [message, setMessage] = useState(null)
+  const [uploadError, setUploadError] = useState(null)
+  // Set when the statement's columns could not be detected: { headers, mapping, missing }
+  const [columnHelp, setColumnHelp] = useState(null)
+  const [mapping, setMapping] = useState({})
+  const [openLineId, setOpenLineId] = useState(null)
+  const [candidates, setCandidates] = useState([])
+  const [loadingCandidates, setLoadingCandidates] = useState(false)
+  const [busy, setBusy] = useState(false)
+
+  const handleUpload = async (e) => {
+    e.preventDefault()
+    if (!file) return
+    setUploading(true)
+    setUploadError(null)
+    setMessage(null)
+    try {
+      const form = new FormData()
+      form.append('file', file)
+      form.append('provider', provider)
+      if (columnHelp) form.append('mapping', JSON.stringify(mapping))
+      const res = await axios.post('/api/v1/reports/reconciliation/momo/imports', form)
+      setMessage(res.data.message)
+      setFile(null)
+      setColumnHelp(null)
+      setMapping({})
+      e.target.reset()
+      onChanged()
+    } catch (err) {
+      const apiError = err.response?.data?.error
+      if (apiError?.code === 'COLUMNS_NOT_DETECTED') {
+        setColumnHelp(apiError.fields)
+        setMapping(apiError.fields.mapping || {})
+      }
+      setUploadError(apiError?.message || 'Failed to import statement')
+    } finally {
+      setUploading(false)
+    }
+  }
+
+  const toggleCandidates = async (line) => {
+    if (openLineId === line.id) {
+      setOpenLineId(null)
+      return
+    }
+    setOpenLineId(line.id)
+    setCandidates([])
+    setLoadingCandidates(true)
+    try {
+      const res = await axios.get(`/api/v1/reports/reconciliation/momo/lines/${line.id}/candidates`)
+      setCandidates(res.data.data.payments || [])
+    } catch (err) {
+      setUploadError(err.response?.data?.error?.message || 'Failed to load payments')
+    } finally {
+      setLoadingCandidates(false)
+    }
+  }
+
+  const lineAction = async (lineId, action, body = {}) => {
+    setBusy(true)
+    setUploadError(null)
+    try {
+      const res = await axios.post(`/api/v1/reports/reconciliation/momo/lines/${lineId}/${action}`, body)
+      setMessage(res.data.message)
+      setOpenLineId(null)
+      onChanged()
+    } catch (err) {
+      setUploadError(err.response?.data?.error?.message || 'Action failed')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleIgnore = (line) => {
+    const reason = window.prompt(`Why is receipt ${line.transaction_id} not a sale? (e.g. wallet top-up)`)
+    if (reason && reason.trim()) lineAction(line.id, 'ignore', { reason: reason.trim() })
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-amber-200 p-5 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">MoMo Statement Check</h3>
+          <p className="text-xs text-gray-500">Upload your MTN MoMo or Telecel Cash statement export to match each receipt to a recorded payment.</p>
+        </div>
+        <form onSubmit={handleUpload} className="flex flex-wrap items-center gap-2">
+          <select
+            value={provider}
+            onChange={e => setProvider(e.target.value)}
+            className="border border-gray-300 rounded-lg px-2 py-1.5 text-sm"
+          >
+            {MOMO_PROVIDERS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+          </select>
+          <input
+            type="file"
+            accept=".csv,.xls,.xlsx"
+            onChange={e => { setFile(e.target.files[0] || null); setColumnHelp(null) }}
+            className="text-sm"
+          />
+          <button
+            type="submit"
+            disabled={!file || uploading}
+            className="px-3 py-1.5 rounded-lg text-sm font-medium bg-amber-500 text-white hover:bg-amber-600 disabled:opacity-50"
+          >
+            {uploading ? 'Importing…' : 'Import statement'}
+          </button>
+        </form>
+      </div>
+
+      {columnHelp && (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 text-sm">
+          <p className="font-medium text-amber-800 mb-2">Pick the statement columns, then import again:</p>
+          <div className="flex flex-wrap gap-3">
+            {Object.keys(STATEMENT_FIELD_LABELS).map(field => (
+              <label key={field} className="flex items-center gap-2">
+                <span className="text-gray-700">{STATEMENT_FIELD_LABELS[field]}</span>
+                <select
+                  value={mapping[field] || ''}
+                  onChange={e => setMapping(prev => ({ ...prev, [field]: e.target.value || undefined }))}
+                  className="border border-gray-300 rounded px-2 py-1"
+                >
+                  <option value="">—</option>
+                  {columnHelp.headers.map(h => <option key={h} value={h}>{h}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+      {uploadError && <p className="text-sm text-red-600">{uploadError}</p>}
+      {message && <p className="text-sm text-green-700">{message}</p>}
+
+      {!section ? (
+        <p className="text-sm text-gray-500">No MoMo statement has been imported for this period yet.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+            <div className="rounded-lg bg-green-50 p-3">
+              <div className="text-xs text-green-700">Matched receipts</div>
+              <div className="text-lg font-bold">{formatCurrency(section.receipts.matched.amount)}</div>
+              <div className="text-xs text-gray-500">{section.receipts.matched.count} receipts</div>
+            </div>
+            <div className="rounded-lg bg-red-50 p-3">
+              <div className="text-xs text-red-700">Receipts with no payment recorded</div>
+              <div className="text-lg font-bold">{formatCurrency(section.receipts.unmatched.amount)}</div>
+              <div className="text-xs text-gray-500">{section.receipts.unmatched.count} receipts</div>
+            </div>
+            <div className="rounded-lg bg-orange-50 p-3">
+              <div className="text-xs text-orange-700">Payments not on the statement</div>
+              <div className="text-lg font-bold">{formatCurrency(section.unmatched_payments.amount)}</div>
+              <div className="text-xs text-gray-500">{section.unmatched_payments.count} payments</div>
+            </div>
+            <div className="rounded-lg bg-gray-50 p-3">
+              <div className="text-xs text-gray-600">Ignored receipts</div>
+              <div className="text-lg font-bold">{formatCurrency(section.receipts.ignored.amount)}</div>
+              <div className="text-xs text-gray-500">{section.receipts.ignored.count} receipts</div>
+            </div>
+          </div>
+          <p className="text-xs text-gray-400">
+            Statements cover {new Date(section.covered_from).toLocaleDateString()} – {new Date(section.covered_to).toLocaleDateString()} ({section.import_count} import{section.import_count !== 1 ? 's' : ''}).
+            Payments outside those dates are not checked.
+          </p>
+
+          {section.unmatched_receipts.length > 0 && (
+            <div className="overflow-x-auto">
+              <h4 className="text-sm font-semibold text-red-700 mb-2">Receipts with no payment recorded</h4>
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200">
+                    <th className="text-left py-2 px-3 font-medium text-gray-500">Date</th>
+                    <th className="text-left py-2 px-3 font-medium text-gray-500">Transaction ID</th>
+                    <th className="text-left py-2 px-3 font-medium text-gray-500">From</th>
+                    <th className="text-left py-2 px-3 font-medium text-gray-500">Reference</th>
+                    <th className="text-right py-2 px-3 font-medium text-gray-500">Amount</th>
+                    <th className="py-2 px-3"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {section.unmatched_receipts.map(line => (
+                    <React.Fragment key={line.id}>
+                      <tr className="border-b border-gray-100 hover:bg-red-50">
+                        <td className="py-2 px-3">{formatDateTime(line.transaction_date)}</td>
+                        <td className="py-2 px-3 font-mono text-xs">{line.transaction_id}</td>
+                        <td className="py-2 px-3">{line.counterparty_name || line.counterparty_phone || '—'}</td>
+                        <td className="py-2 px-3 text-gray-500 max-w-[160px] truncate" title={line.reference}>{line.reference || '—'}</td>
+                        <td className="text-right py-2 px-3 font-medium">{formatCurrency(line.amount)}</td>
+                        <td className="py-2 px-3 text-right whitespace-nowrap">
+                          <button onClick={() => toggleCandidates(line)} className="text-blue-600 hover:text-blue-800 text-xs font-medium mr-3">
+                            {openLineId === line.id ? 'Close' : 'Find payment'}
+                          </button>
+                          <button onClick={() => handleIgnore(line)} disabled={busy} className="text-gray-500 hover:text-gray-700 text-xs font-medium">
+                            Ignore
+                          </button>
+                        </td>
+                      </tr>
+                      {openLineId === line.id && (
+                        <tr className="bg-blue-50">
+                          <td colSpan={6} className="py-2 px-3">
+                            {loadingCandidates ? (
+                              <p className="text-xs text-gray-500">Looking for payments…</p>
+                            ) : candidates.length === 0 ? (
+                              <p className="text-xs text-gray-500">No unmatched MoMo payment of this amount within a week. Record the payment on its invoice, then check again.</p>
+                            ) : (
+                              <ul className="space-y-1">
+                                {candidates.map(c => (
+                                  <li key={c.id} className="flex items-center justify-between gap-3 text-xs">
+                                    <span>
+                                      {new Date(c.payment_date).toLocaleDateString()} · {c.invoice_number} · {c.customer_name}
+                                      {c.received_by && <span className="text-gray-500"> · {c.received_by}</span>}
+                                      <span className="text-gray-400"> · {c.comment}</span>
+                                    </span>
+                                    <button
+                                      onClick={() => lineAction(line.id, 'match', { invoice_payment_id: c.id })}
+                                      disabled={busy}
+                                      className="px-2 py-0.5 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                                    >
+                                      Match
+                                    </button>
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {section.unmatched_payments.payments.length > 0 && (
+            <div className="overflow-x-auto">
+              <h4 className="text-sm font-semibold text-orange-700 mb-2">MoMo payments recorded but not on the statement</h4>
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200">
+                    <th className="text-left py-2 px-3 font-medium text-gray-500">Payment Date</th>
+                    <th className="text-left py-2 px-3 font-medium text-gray-500">Invoice #</th>
+                    <th className="text-left py-2 px-3 font-medium text-gray-500">Customer</th>
+                    <th className="text-left py-2 px-3 font-medium text-gray-500">Comment</th>
+                    <th className="text-left py-2 px-3 font-medium text-gray-500">Received By</th>
+                    <th className="text-right py-2 px-3 font-medium text-gray-500">Amount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {section.unmatched_payments.payments.map(p => (
+                    <tr key={p.id} className="border-b border-gray-100 hover:bg-orange-50">
+                      <td className="py-2 px-3">{new Date(p.payment_date).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' })}</td>
+                      <td className="py-2 px-3 font-medium">
+                        <a href={`/sales/invoices/${p.invoice_id}`} className="text-blue-600 hover:text-blue-800 hover:underline">{p.invoice_number}</a>
+                      </td>
+                      <td className="py-2 px-3">{p.customer_name}</td>
+                      <td className="py-2 px-3 text-gray-500 max-w-[200px] truncate" title={p.comment}>{p.comment}</td>
+                      <td className="py-2 px-3 text-gray-500">{p.received_by || '—'}</td>
+                      <td className="text-right py-2 px-3 font-medium">{formatCurrency(p.amount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+function ReconciliationTab({ data, loading, onReload }) {
   const [showPrior, setShowPrior] = useState(false)
   // Bar filter state: { type: 'date'|'method', date?, method? }
   const [barFilter, setBarFilter] = useState(null)
@@ -1366,7 +1692,7 @@ function ReconciliationTab({ data, loading }) {
   if (loading) return <LoadingSpinner />
   if (!data) return <EmptyState message="No reconciliation data available" />
 
-  const { summary, by_method, daily_collections, prior_period_collections, current_period_collections, outstanding_invoices, granularity } = data
+  const { summary, by_method, daily_collections, prior_period_collections, current_period_collections, preorder_deposits, outstanding_invoices, granularity, momo_statement } = data
 
   const totalOutstandingSum = outstanding_invoices.reduce((sum, inv) => sum + inv.balance_due, 0)
 
@@ -1551,6 +1877,9 @@ function ReconciliationTab({ data, loading }) {
         <p className="text-xs text-gray-400 mt-2">Compare these totals against your MoMo statement, bank statement, POS terminal report, and cash count.</p>
       </div>
 
+      {/* MoMo Statement Check */}
+      <MomoStatementPanel section={momo_statement} onChanged={onReload} />
+
       {/* Prior Period Collections */}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
         <div className="bg-white rounded-lg shadow-sm border border-blue-200 p-5">
@@ -1577,6 +1906,19 @@ function ReconciliationTab({ data, loading }) {
         </div>
       </div>
 
+      {/* Preorder Deposits */}
+      {preorder_deposits && (preorder_deposits.received > 0 || preorder_deposits.held > 0) && (
+        <div className="bg-white rounded-lg shadow-sm border border-violet-200 p-5">
+          <h4 className="text-sm font-medium text-violet-700 mb-1">Preorder Deposits</h4>
+          <div className="text-2xl font-bold text-gray-900">{formatCurrency(preorder_deposits.received)}</div>
+          <p className="text-sm text-gray-500 mt-1">
+            from {preorder_deposits.received_count} deposit{preorder_deposits.received_count !== 1 ? 's' : ''} and top-up{preorder_deposits.received_count !== 1 ? 's' : ''} this period
+            {preorder_deposits.refunded > 0 && <>, {formatCurrency(preorder_deposits.refunded)} refunded</>}
+            {' '}&middot; {formatCurrency(preorder_deposits.held)} held on preorders not yet invoiced
+          </p>
+        </div>
+      )}
+
       {/* Prior Period Details Table */}
       {showPrior && prior_period_collections.invoices.length > 0 && (
         <div className="bg-white rounded-lg shadow-sm border border-blue-200 p-5">
@@ -1942,7 +2284,7 @@ export default function Reports() {
             loadingCondVal={loadingCondVal}
           />
         )}
-        {activeTab === 'reconciliation' && <ReconciliationTab data={reconData} loading={loadingRecon} />}
+        {activeTab === 'reconciliation' && <ReconciliationTab data={reconData} loading={loadingRecon} onReload={() => fetchReport('reconciliation', setReconData, () => {})} />}
       </ReportErrorBoundary>
     </div>
   )